@@ -12,6 +12,7 @@ import EditIncident from './pages/EditIncident';
 import ChatPage from './pages/Chat';
 import Cases from './pages/Cases';
 import CaseDetail from './pages/CaseDetail';
+import Infringers from './pages/Infringers';
 import Documents from './pages/Documents';
 import Templates from './pages/Templates';
 import Monitoring from './pages/Monitoring';
@@ -57,6 +58,7 @@ function App() {
         <Route path="/incidents/:id" element={<IncidentDetail />} />
         <Route path="/cases" element={<Cases />} />
         <Route path="/cases/:id" element={<CaseDetail />} />
+        <Route path="/infringers" element={<Infringers />} />
         <Route path="/documents" element={<Documents />} />
         <Route path="/templates" element={<Templates />} />
         <Route path="/monitoring" element={<Monitoring />} />
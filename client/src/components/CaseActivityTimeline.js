@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import api from '../api/api';
+import {
+  PlusCircle,
+  Edit,
+  UserPlus,
+  RefreshCw,
+  MessageSquare,
+  Upload,
+  FileText,
+  Scale,
+  CheckCircle,
+  Trash2,
+  RotateCcw,
+  GitMerge,
+  Activity,
+  ChevronLeft,
+  ChevronRight
+} from 'lucide-react';
+
+const activityConfig = {
+  created: { label: 'Created', icon: PlusCircle, color: 'bg-blue-100 text-blue-600' },
+  updated: { label: 'Updated', icon: Edit, color: 'bg-gray-100 text-gray-600' },
+  assigned: { label: 'Assigned', icon: UserPlus, color: 'bg-purple-100 text-purple-600' },
+  status_changed: { label: 'Status changed', icon: RefreshCw, color: 'bg-yellow-100 text-yellow-600' },
+  comment_added: { label: 'Note', icon: MessageSquare, color: 'bg-blue-100 text-blue-600' },
+  document_uploaded: { label: 'Evidence', icon: Upload, color: 'bg-green-100 text-green-600' },
+  template_used: { label: 'Template used', icon: FileText, color: 'bg-indigo-100 text-indigo-600' },
+  legal_action_taken: { label: 'Legal action', icon: Scale, color: 'bg-red-100 text-red-600' },
+  resolved: { label: 'Resolved', icon: CheckCircle, color: 'bg-green-100 text-green-600' },
+  closed: { label: 'Closed', icon: CheckCircle, color: 'bg-gray-100 text-gray-600' },
+  deleted: { label: 'Deleted', icon: Trash2, color: 'bg-red-100 text-red-600' },
+  restored: { label: 'Restored', icon: RotateCcw, color: 'bg-green-100 text-green-600' },
+  merged: { label: 'Merged', icon: GitMerge, color: 'bg-purple-100 text-purple-600' }
+};
+
+const formatValue = (value) => {
+  if (value === null || typeof value === 'undefined' || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value).replace(/_/g, ' ');
+};
+
+const CaseActivityTimeline = ({ caseId }) => {
+  const [page, setPage] = useState(1);
+  const [type, setType] = useState('');
+
+  const { data, isLoading, error } = useQuery(
+    ['case-activity', caseId, page, type],
+    () => api.get(`/api/cases/${caseId}/activity`, {
+      params: { page, limit: 15, type: type || undefined }
+    }).then(res => res.data),
+    {
+      enabled: !!caseId,
+      keepPreviousData: true,
+    }
+  );
+
+  const activities = data?.activities || [];
+  const pagination = data?.pagination;
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">Activity Timeline</h3>
+        <select
+          value={type}
+          onChange={(e) => {
+            setType(e.target.value);
+            setPage(1);
+          }}
+          className="form-select w-48"
+        >
+          <option value="">All activity</option>
+          {Object.entries(activityConfig).map(([value, config]) => (
+            <option key={value} value={value}>{config.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="card-body">
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-600">
+            {error.response?.data?.message || 'Failed to load activity'}
+          </p>
+        ) : activities.length === 0 ? (
+          <div className="text-center py-6">
+            <Activity className="mx-auto h-8 w-8 text-gray-300" />
+            <p className="mt-2 text-sm text-gray-500">No activity recorded yet.</p>
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {activities.map((activity) => {
+              const config = activityConfig[activity.type] || activityConfig.updated;
+              const Icon = config.icon;
+              const changedFields = Object.keys(activity.newValues || {});
+
+              return (
+                <li key={activity.id} className="flex space-x-3">
+                  <div className={`flex-shrink-0 h-8 w-8 rounded-full flex items-center justify-center ${config.color}`}>
+                    <Icon className="h-4 w-4" />
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center justify-between">
+                      <p className="text-sm font-medium text-gray-900">
+                        {activity.user ? `${activity.user.firstName} ${activity.user.lastName}` : 'System'}
+                      </p>
+                      <span className="text-xs text-gray-500">
+                        {new Date(activity.createdAt).toLocaleString()}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-700">{activity.description}</p>
+                    {activity.type === 'updated' && changedFields.length > 0 && (
+                      <ul className="mt-1 space-y-0.5">
+                        {changedFields.map((field) => (
+                          <li key={field} className="text-xs text-gray-500 truncate">
+                            <span className="font-medium">{field.replace(/_/g, ' ')}:</span>{' '}
+                            {formatValue(activity.oldValues?.[field])} → {formatValue(activity.newValues[field])}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {activity.type === 'comment_added' && activity.metadata?.content && (
+                      <p className="mt-1 text-sm text-gray-600 border-l-2 border-blue-200 pl-2 whitespace-pre-wrap">
+                        {activity.metadata.content}
+                      </p>
+                    )}
+                    {activity.type === 'document_uploaded' && activity.metadata?.files && (
+                      <ul className="mt-1 space-y-0.5">
+                        {activity.metadata.files.map((file, index) => (
+                          <li key={index} className="text-xs text-gray-500">{file.name}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {pagination && pagination.pages > 1 && (
+          <div className="flex items-center justify-between mt-4 pt-4 border-t border-gray-200">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="btn-outline btn-sm"
+            >
+              <ChevronLeft className="h-3 w-3 mr-1" />
+              Newer
+            </button>
+            <span className="text-xs text-gray-500">
+              Page {pagination.current} of {pagination.pages}
+            </span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.pages}
+              className="btn-outline btn-sm"
+            >
+              Older
+              <ChevronRight className="h-3 w-3 ml-1" />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CaseActivityTimeline;
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { X, Send, Users, Trash2, MessageCircle } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import useChatRealtime from '../hooks/useChatRealtime';
 import api from '../api/api';
 import toast from 'react-hot-toast';
 
@@ -12,6 +13,7 @@ const Chat = ({ isOpen, onClose }) => {
   const [showActiveUsers, setShowActiveUsers] = useState(true);
   const [selectedUser, setSelectedUser] = useState(null); // null = group chat, user object = DM
   const messagesEndRef = useRef(null);
+  const { connected, typingNames, notifyTyping, stopTyping } = useChatRealtime(selectedUser?.id);
 
   // Fetch messages
   const { data: messagesData, isLoading } = useQuery(
@@ -22,7 +24,8 @@ const Chat = ({ isOpen, onClose }) => {
     },
     {
       enabled: isOpen,
-      refetchInterval: 3000, // Poll every 3 seconds for new messages
+      // New messages arrive over the event stream; poll only while it is disconnected
+      refetchInterval: connected ? false : 3000,
       refetchIntervalInBackground: true
     }
   );
@@ -33,7 +36,7 @@ const Chat = ({ isOpen, onClose }) => {
     () => api.get('/api/chat/active-users').then(res => res.data),
     {
       enabled: isOpen && showActiveUsers,
-      refetchInterval: 10000, // Poll every 10 seconds
+      refetchInterval: connected ? false : 10000,
     }
   );
 
@@ -47,6 +50,7 @@ const Chat = ({ isOpen, onClose }) => {
       onSuccess: () => {
         queryClient.invalidateQueries(['chat-messages']);
         setNewMessage('');
+        stopTyping();
       },
       onError: (error) => {
         toast.error(error.response?.data?.message || 'Failed to send message');
@@ -285,6 +289,11 @@ const Chat = ({ isOpen, onClose }) => {
             );
           })
         )}
+        {typingNames.length > 0 && (
+          <p className="text-xs text-gray-500 italic">
+            {typingNames.join(', ')} {typingNames.length === 1 ? 'is' : 'are'} typing...
+          </p>
+        )}
         <div ref={messagesEndRef} />
       </div>
 
@@ -311,7 +320,11 @@ const Chat = ({ isOpen, onClose }) => {
           <input
             type="text"
             value={newMessage}
-            onChange={(e) => setNewMessage(e.target.value)}
+            onChange={(e) => {
+              setNewMessage(e.target.value);
+              notifyTyping();
+            }}
+            onBlur={stopTyping}
             placeholder={selectedUser ? `Message ${selectedUser.firstName}...` : "Message everyone..."}
             className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             disabled={sendMessageMutation.isLoading}
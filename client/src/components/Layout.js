@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import SearchSuggestions from './SearchSuggestions';
+import NotificationBell from './NotificationBell';
 import {
   Menu,
   X,
@@ -16,10 +17,10 @@ import {
   UserPlus,
   User,
   LogOut,
-  Bell,
   Settings,
   Trash2,
-  MessageCircle
+  MessageCircle,
+  UserX
 } from 'lucide-react';
 
 const Layout = ({ children }) => {
@@ -44,6 +45,7 @@ const Layout = ({ children }) => {
       { name: 'Dashboard', href: '/dashboard', icon: Home },
       { name: 'Incidents', href: '/incidents', icon: FileText },
       { name: 'Cases', href: '/cases', icon: FolderOpen },
+      { name: 'Infringers', href: '/infringers', icon: UserX },
       { name: 'Documents', href: '/documents', icon: FileCheck },
       { name: 'Templates', href: '/templates', icon: LayoutTemplate },
       { name: 'Monitoring', href: '/monitoring', icon: Search },
@@ -223,9 +225,7 @@ const Layout = ({ children }) => {
               </div>
             </div>
             <div className="ml-4 flex items-center md:ml-6 space-x-2">
-              <button className="bg-white p-1 rounded-full text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500">
-                <Bell className="h-6 w-6" />
-              </button>
+              <NotificationBell />
               <Link
                 to="/profile"
                 className="bg-white p-1 rounded-full text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
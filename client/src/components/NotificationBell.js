@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../api/api';
+import { useRealtime, useRealtimeEvent } from '../contexts/RealtimeContext';
+import toast from 'react-hot-toast';
+import {
+  Bell,
+  CheckCheck,
+  X,
+  Info,
+  AlertTriangle,
+  AlertCircle,
+  CheckCircle
+} from 'lucide-react';
+
+const typeConfig = {
+  info: { icon: Info, color: 'text-blue-500' },
+  warning: { icon: AlertTriangle, color: 'text-yellow-500' },
+  error: { icon: AlertCircle, color: 'text-red-500' },
+  success: { icon: CheckCircle, color: 'text-green-500' }
+};
+
+const NotificationBell = () => {
+  const [open, setOpen] = useState(false);
+  const dropdownRef = useRef(null);
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { connected } = useRealtime();
+
+  const { data } = useQuery(
+    ['notifications'],
+    () => api.get('/api/notifications', { params: { limit: 10 } }).then(res => res.data),
+    {
+      // New notifications arrive over the event stream; poll only while it is disconnected
+      refetchInterval: connected ? false : 30000,
+    }
+  );
+
+  useRealtimeEvent('notification:new', () => {
+    queryClient.invalidateQueries(['notifications']);
+  });
+
+  const notifications = data?.notifications || [];
+  const unreadCount = data?.unreadCount || 0;
+
+  const invalidate = () => queryClient.invalidateQueries(['notifications']);
+
+  const markReadMutation = useMutation(
+    (id) => api.put(`/api/notifications/${id}/read`),
+    { onSuccess: invalidate }
+  );
+
+  const markAllReadMutation = useMutation(
+    () => api.put('/api/notifications/read-all'),
+    {
+      onSuccess: invalidate,
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to mark notifications as read');
+      },
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (id) => api.delete(`/api/notifications/${id}`),
+    {
+      onSuccess: invalidate,
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete notification');
+      },
+    }
+  );
+
+  // Close the dropdown when clicking outside it
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleSelect = (notification) => {
+    if (!notification.isRead) {
+      markReadMutation.mutate(notification.id);
+    }
+    if (notification.actionUrl) {
+      setOpen(false);
+      navigate(notification.actionUrl);
+    }
+  };
+
+  return (
+    <div className="relative" ref={dropdownRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative bg-white p-1 rounded-full text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        title="Notifications"
+      >
+        <Bell className="h-6 w-6" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-medium flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg border border-gray-200 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h3 className="text-sm font-medium text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => markAllReadMutation.mutate()}
+                disabled={markAllReadMutation.isLoading}
+                className="flex items-center text-xs text-blue-600 hover:text-blue-800"
+              >
+                <CheckCheck className="h-3 w-3 mr-1" />
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <div className="px-4 py-6 text-center">
+              <Bell className="mx-auto h-8 w-8 text-gray-300" />
+              <p className="mt-2 text-sm text-gray-500">You're all caught up.</p>
+            </div>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map((notification) => {
+                const config = typeConfig[notification.type] || typeConfig.info;
+                const Icon = config.icon;
+
+                return (
+                  <li
+                    key={notification.id}
+                    className={`flex px-4 py-3 hover:bg-gray-50 cursor-pointer ${notification.isRead ? '' : 'bg-blue-50'}`}
+                    onClick={() => handleSelect(notification)}
+                  >
+                    <Icon className={`flex-shrink-0 h-5 w-5 mt-0.5 ${config.color}`} />
+                    <div className="ml-3 flex-1 min-w-0">
+                      <p className={`text-sm text-gray-900 ${notification.isRead ? '' : 'font-medium'}`}>
+                        {notification.title}
+                      </p>
+                      <p className="text-sm text-gray-600">{notification.message}</p>
+                      <p className="mt-1 text-xs text-gray-400">
+                        {new Date(notification.createdAt).toLocaleString()}
+                      </p>
+                    </div>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        deleteMutation.mutate(notification.id);
+                      }}
+                      className="flex-shrink-0 ml-2 text-gray-300 hover:text-gray-500"
+                      title="Delete"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
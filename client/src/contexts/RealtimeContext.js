@@ -0,0 +1,103 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import api from '../api/api';
+import { useAuth } from './AuthContext';
+
+const RealtimeContext = createContext({ connected: false, subscribe: () => () => {} });
+
+const EVENTS = [
+  'connected',
+  'chat:message',
+  'chat:message_deleted',
+  'chat:typing',
+  'presence:update',
+  'case:status_changed',
+  'monitoring:alerts',
+  'notification:new'
+];
+
+const RECONNECT_DELAY_MS = 5000;
+
+export const useRealtime = () => useContext(RealtimeContext);
+
+// Subscribe to a server event for the lifetime of the calling component
+export const useRealtimeEvent = (event, handler) => {
+  const { subscribe } = useRealtime();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => subscribe(event, (data) => handlerRef.current(data)), [event, subscribe]);
+};
+
+export const RealtimeProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [connected, setConnected] = useState(false);
+  const listenersRef = useRef({});
+
+  const subscribe = useCallback((event, listener) => {
+    const listeners = listenersRef.current;
+    listeners[event] = listeners[event] || new Set();
+    listeners[event].add(listener);
+    return () => listeners[event].delete(listener);
+  }, []);
+
+  useEffect(() => {
+    if (!user) return undefined;
+
+    let source = null;
+    let reconnectTimer = null;
+    let closed = false;
+
+    const dispatch = (event) => (message) => {
+      let data;
+      try {
+        data = JSON.parse(message.data);
+      } catch (error) {
+        return;
+      }
+      (listenersRef.current[event] || []).forEach(listener => listener(data));
+    };
+
+    // Stream tokens are short-lived, so fetch a fresh one for every connection attempt
+    const connect = async () => {
+      try {
+        const { data } = await api.post('/api/realtime/token');
+        if (closed) return;
+
+        source = new EventSource(`${api.defaults.baseURL}/api/realtime/stream?token=${encodeURIComponent(data.token)}`);
+        EVENTS.forEach(event => source.addEventListener(event, dispatch(event)));
+        source.onopen = () => setConnected(true);
+        source.onerror = () => {
+          setConnected(false);
+          source.close();
+          scheduleReconnect();
+        };
+      } catch (error) {
+        scheduleReconnect();
+      }
+    };
+
+    const scheduleReconnect = () => {
+      if (closed) return;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (source) source.close();
+      setConnected(false);
+    };
+  }, [user]);
+
+  return (
+    <RealtimeContext.Provider value={{ connected, subscribe }}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
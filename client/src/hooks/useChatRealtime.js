@@ -0,0 +1,81 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useQueryClient } from 'react-query';
+import api from '../api/api';
+import { useRealtime, useRealtimeEvent } from '../contexts/RealtimeContext';
+
+// How long a typing indicator stays up without a fresh event, and how often we re-send ours
+const TYPING_TIMEOUT_MS = 6000;
+const TYPING_THROTTLE_MS = 3000;
+
+// Keeps chat queries current from the event stream and tracks who is typing in the open
+// conversation (`selectedUserId` is null for group chat)
+const useChatRealtime = (selectedUserId) => {
+  const queryClient = useQueryClient();
+  const { connected } = useRealtime();
+  const [typingUsers, setTypingUsers] = useState({});
+  const lastTypingSentRef = useRef(0);
+
+  useRealtimeEvent('chat:message', (data) => {
+    queryClient.invalidateQueries(['chat-messages']);
+    const senderId = data.message?.user?.id;
+    if (senderId) {
+      setTypingUsers(({ [senderId]: removed, ...rest }) => rest);
+    }
+  });
+
+  useRealtimeEvent('chat:message_deleted', () => {
+    queryClient.invalidateQueries(['chat-messages']);
+  });
+
+  useRealtimeEvent('presence:update', () => {
+    queryClient.invalidateQueries(['active-users']);
+  });
+
+  useRealtimeEvent('chat:typing', (data) => {
+    setTypingUsers(({ [data.userId]: removed, ...rest }) => (data.isTyping ? {
+      ...rest,
+      [data.userId]: {
+        name: data.firstName,
+        // Direct-message typing events are addressed to us, so the conversation is the sender
+        conversation: data.recipientId ? data.userId : null,
+        expiresAt: Date.now() + TYPING_TIMEOUT_MS
+      }
+    } : rest));
+  });
+
+  // Drop indicators whose "stopped typing" event never arrived
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setTypingUsers(current => {
+        const now = Date.now();
+        const active = Object.entries(current).filter(([, typing]) => typing.expiresAt > now);
+        return active.length === Object.keys(current).length ? current : Object.fromEntries(active);
+      });
+    }, 2000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const sendTyping = useCallback((isTyping) => {
+    api.post('/api/realtime/typing', { isTyping, recipientId: selectedUserId || null }).catch(() => {});
+  }, [selectedUserId]);
+
+  const notifyTyping = useCallback(() => {
+    if (!connected || Date.now() - lastTypingSentRef.current < TYPING_THROTTLE_MS) return;
+    lastTypingSentRef.current = Date.now();
+    sendTyping(true);
+  }, [connected, sendTyping]);
+
+  const stopTyping = useCallback(() => {
+    if (!connected || !lastTypingSentRef.current) return;
+    lastTypingSentRef.current = 0;
+    sendTyping(false);
+  }, [connected, sendTyping]);
+
+  const typingNames = Object.values(typingUsers)
+    .filter(typing => typing.conversation === (selectedUserId || null))
+    .map(typing => typing.name);
+
+  return { connected, typingNames, notifyTyping, stopTyping };
+};
+
+export default useChatRealtime;
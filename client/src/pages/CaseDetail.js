@@ -1,8 +1,10 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import api from '../api/api';
 import toast from 'react-hot-toast';
+import CaseActivityTimeline from '../components/CaseActivityTimeline';
+import { useRealtimeEvent } from '../contexts/RealtimeContext';
 import {
   ArrowLeft,
   Calendar,
@@ -19,7 +21,13 @@ import {
   Send,
   Download,
   UserPlus,
-  Eye
+  Eye,
+  RefreshCw,
+  Server,
+  Camera,
+  ShieldCheck,
+  ShieldAlert,
+  X
 } from 'lucide-react';
 
 const CaseDetail = () => {
@@ -35,11 +43,63 @@ const CaseDetail = () => {
     }
   );
 
+  const [pendingStatus, setPendingStatus] = useState(null);
+  const [resolution, setResolution] = useState({ outcome: '', notes: '' });
+  const [custody, setCustody] = useState(null);
+
+  const { data: transitionsData } = useQuery(
+    ['case-transitions', id],
+    () => api.get(`/api/cases/${id}/transitions`).then(res => res.data),
+    {
+      enabled: !!id,
+    }
+  );
+
+  // Evidence is served through short-lived signed URLs after a server-side access check
+  const handleDownloadEvidence = async (evidence) => {
+    try {
+      const { data } = await api.get(`/api/incidents/${id}/evidence/${evidence.id || evidence._id}/url`);
+      window.open(data.url, '_blank', 'noopener');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to download evidence');
+    }
+  };
+
+  // Recomputes the evidence item's custody chain and file checksum on the server
+  const handleVerifyCustody = async (evidence) => {
+    try {
+      const { data } = await api.get(`/api/incidents/${id}/evidence/${evidence.id || evidence._id}/custody`);
+      setCustody(data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to verify chain of custody');
+    }
+  };
+
+  const handleExportCustody = async () => {
+    try {
+      const { data } = await api.get(`/api/incidents/${id}/evidence/${custody.evidenceId}/custody/export`, { responseType: 'blob' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(data);
+      link.download = `custody-${custody.evidenceId}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      // The export is itself recorded in the log
+      const { data: report } = await api.get(`/api/incidents/${id}/evidence/${custody.evidenceId}/custody`);
+      setCustody(report);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to export custody report');
+    }
+  };
+
   const updateStatusMutation = useMutation(
-    (status) => api.put(`/api/cases/${id}/status`, { status }),
+    (payload) => api.put(`/api/cases/${id}/status`, payload),
     {
       onSuccess: () => {
         queryClient.invalidateQueries(['case', id]);
+        queryClient.invalidateQueries(['case-activity', id]);
+        queryClient.invalidateQueries(['case-transitions', id]);
+        setPendingStatus(null);
+        setResolution({ outcome: '', notes: '' });
         toast.success('Case status updated successfully');
       },
       onError: (error) => {
@@ -48,8 +108,114 @@ const CaseDetail = () => {
     }
   );
 
+  const generateTakedownMutation = useMutation(
+    () => api.post('/api/documents/takedown', { incidentId: id }),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['case-activity', id]);
+        const { document, recipientSource } = response.data;
+        toast.success(
+          recipientSource === 'provided'
+            ? 'DMCA notice drafted'
+            : `DMCA notice drafted for ${document.recipient.email}; confirm the designated agent before sending`
+        );
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to generate DMCA notice');
+      },
+    }
+  );
+
+  const refreshDomainIntelMutation = useMutation(
+    () => api.post(`/api/cases/${id}/domain-intel`),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['case', id]);
+        toast.success('Hosting details updated');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to look up hosting details');
+      },
+    }
+  );
+
+  const captureEvidenceMutation = useMutation(
+    (urls) => api.post(`/api/cases/${id}/capture`, urls ? { urls } : {}),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['case', id]);
+        queryClient.invalidateQueries(['case-activity', id]);
+        const failed = response.data.results.filter(result => result.error);
+        if (failed.length > 0) {
+          toast.error(`${response.data.message}. ${failed[0].url}: ${failed[0].error}`);
+        } else {
+          toast.success(response.data.message);
+        }
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to capture pages');
+      },
+    }
+  );
+
+  const recheckTakedownMutation = useMutation(
+    () => api.post(`/api/cases/${id}/takedown-checks`),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['case', id]);
+        queryClient.invalidateQueries(['case-activity', id]);
+        toast.success(response.data.reopened
+          ? `${response.data.message}. Content is back, so the case was reopened`
+          : response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to recheck URLs');
+      },
+    }
+  );
+
+  const fileLitigationMutation = useMutation(
+    (documentId) => api.post(`/api/documents/${documentId}/counter-notice/litigation`, {}),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['case', id]);
+        queryClient.invalidateQueries(['case-activity', id]);
+        queryClient.invalidateQueries(['case-transitions', id]);
+        toast.success('Suit recorded; the material stays down');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to record suit');
+      },
+    }
+  );
+
+  // Pick up status changes made by other users or the SLA scheduler
+  useRealtimeEvent('case:status_changed', (event) => {
+    if (event.id !== id) return;
+    queryClient.invalidateQueries(['case', id]);
+    queryClient.invalidateQueries(['case-activity', id]);
+    queryClient.invalidateQueries(['case-transitions', id]);
+  });
+
+  const availableTransitions = (transitionsData?.transitions || []).filter(transition => transition.allowed);
+
   const handleStatusChange = (newStatus) => {
-    updateStatusMutation.mutate(newStatus);
+    const transition = availableTransitions.find(candidate => candidate.to === newStatus);
+    if (!transition) return;
+
+    // Ask for the resolution outcome before submitting transitions that require it
+    if (transition.missingFields.includes('resolution.outcome')) {
+      // Start from the outcome suggested by the takedown recheck, if any
+      setResolution({ ...resolution, outcome: resolution.outcome || data?.case?.takedownCheck?.suggestedOutcome || '' });
+      setPendingStatus(newStatus);
+      return;
+    }
+
+    updateStatusMutation.mutate({ status: newStatus });
+  };
+
+  const handleConfirmResolution = () => {
+    updateStatusMutation.mutate({ status: pendingStatus, resolution });
   };
 
   if (isLoading) {
@@ -98,6 +264,11 @@ const CaseDetail = () => {
     );
   }
 
+  const formatStatus = (status) => status
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
   const getStatusBadge = (status) => {
     const statusConfig = {
       reported: { color: 'badge-info', icon: Clock },
@@ -105,7 +276,9 @@ const CaseDetail = () => {
       in_progress: { color: 'badge-warning', icon: Clock },
       resolved: { color: 'badge-success', icon: CheckCircle },
       closed: { color: 'badge-gray', icon: CheckCircle },
-      escalated: { color: 'badge-danger', icon: AlertTriangle }
+      escalated: { color: 'badge-danger', icon: AlertTriangle },
+      counter_notice_received: { color: 'badge-warning', icon: AlertTriangle },
+      litigation_filed: { color: 'badge-danger', icon: FileText }
     };
     
     const config = statusConfig[status] || statusConfig.reported;
@@ -114,7 +287,22 @@ const CaseDetail = () => {
     return (
       <span className={`badge ${config.color}`}>
         <Icon className="h-3 w-3 mr-1" />
-        {status.replace('_', ' ')}
+        {status.replace(/_/g, ' ')}
+      </span>
+    );
+  };
+
+  const getTakedownBadge = (state) => {
+    const takedownConfig = {
+      live: 'badge-danger',
+      removed: 'badge-success',
+      changed: 'badge-success',
+      redirected: 'badge-success'
+    };
+
+    return (
+      <span className={`badge ${takedownConfig[state] || 'badge-gray'}`}>
+        {state}
       </span>
     );
   };
@@ -192,7 +380,29 @@ const CaseDetail = () => {
 
               {caseData.infringedUrls && caseData.infringedUrls.length > 0 && (
                 <div>
-                  <h4 className="font-medium text-gray-900 mb-2">Infringed URLs</h4>
+                  <div className="flex items-center justify-between mb-2">
+                    <h4 className="font-medium text-gray-900">Infringed URLs</h4>
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => recheckTakedownMutation.mutate()}
+                        disabled={recheckTakedownMutation.isLoading}
+                        className="btn-outline btn-sm"
+                        title="Check whether the content is still online"
+                      >
+                        <RefreshCw className="h-3 w-3 mr-1" />
+                        {recheckTakedownMutation.isLoading ? 'Checking...' : 'Recheck'}
+                      </button>
+                      <button
+                        onClick={() => captureEvidenceMutation.mutate()}
+                        disabled={captureEvidenceMutation.isLoading}
+                        className="btn-outline btn-sm"
+                        title="Archive pages that have not been captured yet"
+                      >
+                        <Camera className="h-3 w-3 mr-1" />
+                        {captureEvidenceMutation.isLoading ? 'Capturing...' : 'Capture Pages'}
+                      </button>
+                    </div>
+                  </div>
                   <div className="space-y-2">
                     {caseData.infringedUrls.map((url, index) => (
                       <div key={index} className="flex items-center space-x-2 p-2 bg-gray-50 rounded">
@@ -209,7 +419,27 @@ const CaseDetail = () => {
                           {url.description && (
                             <p className="text-xs text-gray-500">{url.description}</p>
                           )}
+                          {url.capturedAt && (
+                            <p className="text-xs text-gray-500">Captured {new Date(url.capturedAt).toLocaleString()}</p>
+                          )}
+                          {url.lastCheckedAt && (
+                            <p className="text-xs text-gray-500">
+                              Checked {new Date(url.lastCheckedAt).toLocaleString()}
+                              {url.lastCheckError && ` (unreachable: ${url.lastCheckError})`}
+                            </p>
+                          )}
                         </div>
+                        {url.takedownStatus && getTakedownBadge(url.takedownStatus)}
+                        {url.capturedAt && (
+                          <button
+                            onClick={() => captureEvidenceMutation.mutate([url.url])}
+                            disabled={captureEvidenceMutation.isLoading}
+                            className="text-gray-400 hover:text-gray-600"
+                            title="Capture again"
+                          >
+                            <Camera className="h-4 w-4" />
+                          </button>
+                        )}
                         {url.verified && (
                           <CheckCircle className="h-4 w-4 text-green-500" />
                         )}
@@ -227,17 +457,76 @@ const CaseDetail = () => {
                       <div key={index} className="flex items-center space-x-2 p-2 bg-gray-50 rounded">
                         <FileText className="h-4 w-4 text-gray-400" />
                         <div className="flex-1">
-                          <p className="text-sm font-medium text-gray-900">{evidence.filename}</p>
+                          <p className="text-sm font-medium text-gray-900">{evidence.filename || evidence.original_name}</p>
                           {evidence.description && (
                             <p className="text-xs text-gray-500">{evidence.description}</p>
                           )}
                         </div>
-                        <button className="btn-outline btn-sm">
+                        <button
+                          onClick={() => handleVerifyCustody(evidence)}
+                          className="btn-outline btn-sm"
+                          title="Verify chain of custody"
+                        >
+                          <ShieldCheck className="h-3 w-3" />
+                        </button>
+                        <button
+                          onClick={() => handleDownloadEvidence(evidence)}
+                          className="btn-outline btn-sm"
+                          title="Download"
+                        >
                           <Download className="h-3 w-3" />
                         </button>
                       </div>
                     ))}
                   </div>
+                  {custody && (
+                    <div className="mt-3 p-3 border border-gray-200 rounded">
+                      <div className="flex items-start justify-between">
+                        <div className="flex items-center space-x-2">
+                          {custody.valid
+                            ? <ShieldCheck className="h-5 w-5 text-green-500" />
+                            : <ShieldAlert className="h-5 w-5 text-red-500" />}
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">{custody.fileName}</p>
+                            <p className="text-xs text-gray-500">
+                              {custody.valid ? 'Chain of custody intact' : `${custody.issues.length} problem(s) found`}
+                              {' · '}verified {new Date(custody.verifiedAt).toLocaleString()}
+                            </p>
+                          </div>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <button onClick={handleExportCustody} className="btn-outline btn-sm" title="Export custody report">
+                            <Download className="h-3 w-3" />
+                          </button>
+                          <button onClick={() => setCustody(null)} className="text-gray-400 hover:text-gray-600" title="Close">
+                            <X className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </div>
+                      {custody.issues.length > 0 && (
+                        <ul className="mt-2 space-y-1">
+                          {custody.issues.map((issue, index) => (
+                            <li key={index} className="text-xs text-red-700">
+                              {issue.sequence ? `Event ${issue.sequence}: ` : ''}{issue.message}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      <ol className="mt-2 divide-y divide-gray-100">
+                        {custody.events.map(event => (
+                          <li key={event.sequence} className="py-1 flex justify-between text-xs">
+                            <span className="text-gray-900 capitalize">
+                              {event.sequence}. {event.action}
+                              {event.actor?.firstName ? ` by ${event.actor.firstName} ${event.actor.lastName}` : ''}
+                            </span>
+                            <span className="text-gray-500 font-mono" title={event.hash}>
+                              {new Date(event.occurredAt).toLocaleString()} · {event.hash.slice(0, 12)}
+                            </span>
+                          </li>
+                        ))}
+                      </ol>
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -306,6 +595,9 @@ const CaseDetail = () => {
               </div>
             </div>
           )}
+
+          {/* Activity Timeline */}
+          <CaseActivityTimeline caseId={id} />
         </div>
 
         {/* Sidebar */}
@@ -322,28 +614,115 @@ const CaseDetail = () => {
                   {getStatusBadge(caseData.status)}
                 </div>
                 <select
-                  value={caseData.status}
+                  value={pendingStatus || caseData.status}
                   onChange={(e) => handleStatusChange(e.target.value)}
                   className="form-select"
-                  disabled={updateStatusMutation.isLoading}
+                  disabled={updateStatusMutation.isLoading || availableTransitions.length === 0}
                 >
-                  <option value="reported">Reported</option>
-                  <option value="under_review">Under Review</option>
-                  <option value="in_progress">In Progress</option>
-                  <option value="resolved">Resolved</option>
-                  <option value="closed">Closed</option>
-                  <option value="escalated">Escalated</option>
+                  <option value={caseData.status}>{formatStatus(caseData.status)}</option>
+                  {availableTransitions.map((transition) => (
+                    <option key={transition.to} value={transition.to}>
+                      Move to {formatStatus(transition.to)}
+                    </option>
+                  ))}
                 </select>
+                {transitionsData && availableTransitions.length === 0 && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    No status changes are available to your role from this status.
+                  </p>
+                )}
               </div>
 
+              {caseData.takedownCheck?.suggestedOutcome && !pendingStatus && !['resolved', 'closed'].includes(caseData.status) && (
+                <div className="p-3 bg-green-50 rounded text-sm text-green-800">
+                  Every infringing URL was down at the last recheck
+                  {caseData.takedownCheck.allRemovedAt && ` (since ${new Date(caseData.takedownCheck.allRemovedAt).toLocaleDateString()})`}.
+                  Suggested outcome: {formatStatus(caseData.takedownCheck.suggestedOutcome)}.
+                </div>
+              )}
+
+              {(caseData.legalActions || []).filter(action => action.counterNotice).map((action) => (
+                <div key={action.documentId} className="p-3 bg-yellow-50 rounded text-sm text-yellow-800 space-y-1">
+                  <p className="font-medium">
+                    Counter-notice from {action.counterNotice.party?.name || 'the subscriber'}
+                    {' '}({formatStatus(action.counterNotice.status || 'pending')})
+                  </p>
+                  <p>Received {new Date(action.counterNotice.receivedAt).toLocaleDateString()}</p>
+                  <p>
+                    May be restored {new Date(action.counterNotice.restoreAfter).toLocaleDateString()} to
+                    {' '}{new Date(action.counterNotice.restoreBy).toLocaleDateString()} unless suit is filed
+                  </p>
+                  {action.counterNotice.missingElements?.length > 0 && (
+                    <p>Missing: {action.counterNotice.missingElements.join(', ')}</p>
+                  )}
+                  {action.counterNotice.status !== 'litigation_filed' && (
+                    <button
+                      onClick={() => fileLitigationMutation.mutate(action.documentId)}
+                      disabled={fileLitigationMutation.isLoading}
+                      className="btn-outline btn-sm"
+                    >
+                      <FileText className="h-3 w-3 mr-1" />
+                      Suit Filed
+                    </button>
+                  )}
+                </div>
+              ))}
+
+              {pendingStatus && (
+                <div className="space-y-3 border-t border-gray-200 pt-4">
+                  <div>
+                    <label className="form-label">Resolution Outcome</label>
+                    <select
+                      value={resolution.outcome}
+                      onChange={(e) => setResolution({ ...resolution, outcome: e.target.value })}
+                      className="form-select"
+                    >
+                      <option value="">Select an outcome</option>
+                      {(transitionsData?.resolutionOutcomes || []).map((outcome) => (
+                        <option key={outcome} value={outcome}>{formatStatus(outcome)}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="form-label">Resolution Notes</label>
+                    <textarea
+                      value={resolution.notes}
+                      onChange={(e) => setResolution({ ...resolution, notes: e.target.value })}
+                      rows={3}
+                      className="form-textarea"
+                    />
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={handleConfirmResolution}
+                      disabled={!resolution.outcome || updateStatusMutation.isLoading}
+                      className="btn-primary btn-sm"
+                    >
+                      <CheckCircle className="h-4 w-4 mr-1" />
+                      Mark {formatStatus(pendingStatus)}
+                    </button>
+                    <button
+                      onClick={() => setPendingStatus(null)}
+                      className="btn-outline btn-sm"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+
               <div className="space-y-2">
                 <button className="btn-primary w-full">
                   <Send className="h-4 w-4 mr-2" />
                   Send Cease & Desist
                 </button>
-                <button className="btn-outline w-full">
+                <button
+                  onClick={() => generateTakedownMutation.mutate()}
+                  disabled={generateTakedownMutation.isLoading}
+                  className="btn-outline w-full"
+                >
                   <FileText className="h-4 w-4 mr-2" />
-                  Generate DMCA Notice
+                  {generateTakedownMutation.isLoading ? 'Generating...' : 'Generate DMCA Notice'}
                 </button>
                 <button className="btn-outline w-full">
                   <AlertTriangle className="h-4 w-4 mr-2" />
@@ -386,6 +765,25 @@ const CaseDetail = () => {
                 </div>
               </div>
 
+              {caseData.dueDate && (
+                <div>
+                  <label className="form-label">Due Date</label>
+                  <div className="flex items-center text-sm text-gray-900">
+                    <Calendar className="h-4 w-4 mr-2 text-gray-400" />
+                    {new Date(caseData.dueDate).toLocaleString()}
+                    {caseData.sla?.status === 'at_risk' && (
+                      <span className="badge badge-warning ml-2">At risk</span>
+                    )}
+                    {caseData.sla?.status === 'breached' && (
+                      <span className="badge badge-danger ml-2">SLA breached</span>
+                    )}
+                  </div>
+                  {caseData.sla?.policy && (
+                    <p className="mt-1 text-xs text-gray-500">SLA policy: {caseData.sla.policy}</p>
+                  )}
+                </div>
+              )}
+
               <div>
                 <label className="form-label">Last Updated</label>
                 <div className="flex items-center text-sm text-gray-900">
@@ -490,6 +888,60 @@ const CaseDetail = () => {
               </div>
             </div>
           )}
+
+          {/* Hosting & Registration */}
+          <div className="card">
+            <div className="card-header flex items-center justify-between">
+              <h3 className="text-lg font-medium text-gray-900">Hosting & Registration</h3>
+              <button
+                onClick={() => refreshDomainIntelMutation.mutate()}
+                disabled={refreshDomainIntelMutation.isLoading}
+                className="text-gray-400 hover:text-gray-600"
+                title="Look up again"
+              >
+                <RefreshCw className={`h-4 w-4 ${refreshDomainIntelMutation.isLoading ? 'animate-spin' : ''}`} />
+              </button>
+            </div>
+            <div className="card-body space-y-4">
+              {(caseData.domainIntel || []).length === 0 ? (
+                <p className="text-sm text-gray-500">No lookups yet.</p>
+              ) : (
+                caseData.domainIntel.map(intel => (
+                  <div key={intel.domain} className="space-y-1">
+                    <p className="text-sm font-medium text-gray-900">{intel.domain}</p>
+                    {intel.error ? (
+                      <p className="text-sm text-gray-500">{intel.error}</p>
+                    ) : (
+                      <>
+                        {intel.hostingProvider && (
+                          <div className="flex items-center space-x-2">
+                            <Server className="h-4 w-4 text-gray-400" />
+                            <span className="text-sm text-gray-900">
+                              {intel.hostingProvider}{intel.asn ? ` (AS${intel.asn})` : ''}
+                            </span>
+                          </div>
+                        )}
+                        {intel.hostingAbuseEmail && (
+                          <div className="flex items-center space-x-2">
+                            <Mail className="h-4 w-4 text-gray-400" />
+                            <span className="text-sm text-gray-900">{intel.hostingAbuseEmail}</span>
+                          </div>
+                        )}
+                        {intel.registrar && (
+                          <div className="flex items-center space-x-2">
+                            <Building className="h-4 w-4 text-gray-400" />
+                            <span className="text-sm text-gray-900">
+                              {intel.registrar}{intel.registrarAbuseEmail ? ` · ${intel.registrarAbuseEmail}` : ''}
+                            </span>
+                          </div>
+                        )}
+                      </>
+                    )}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
         </div>
       </div>
     </div>
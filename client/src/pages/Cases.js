@@ -1,6 +1,8 @@
 import React from 'react';
-import { useQuery } from 'react-query';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
 import api from '../api/api';
+import { useRealtimeEvent } from '../contexts/RealtimeContext';
 import { Link, useLocation } from 'react-router-dom';
 import {
   FileText,
@@ -13,9 +15,51 @@ import {
   Eye,
   BarChart3,
   TrendingUp,
-  Search
+  Search,
+  Bookmark,
+  Trash2
 } from 'lucide-react';
 
+// List orders the API supports; with no sort chosen, searches rank by relevance
+const SORT_OPTIONS = {
+  relevance: { sortBy: 'relevance' },
+  date_desc: { sortBy: 'reportedAt', sortOrder: 'desc' },
+  date_asc: { sortBy: 'reportedAt', sortOrder: 'asc' },
+  updated_desc: { sortBy: 'updatedAt', sortOrder: 'desc' },
+  due_asc: { sortBy: 'dueDate', sortOrder: 'asc' }
+};
+
+const SAVED_FILTER_KEYS = ['status', 'incidentType', 'severity', 'priority', 'assignedTo', 'view'];
+
+const HIGHLIGHT_LABELS = {
+  title: 'Title',
+  infringedContent: 'Content',
+  tags: 'Tag',
+  infringerInfo: 'Infringer',
+  infringedUrls: 'URL',
+  description: 'Description',
+  notes: 'Note'
+};
+
+// Search snippet with the matched words marked
+const HighlightedText = ({ text, matches = [] }) => {
+  const parts = [];
+  let last = 0;
+
+  matches.forEach(([start, end]) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(
+      <mark key={start} className="bg-yellow-100 text-gray-900 rounded">
+        {text.slice(start, end)}
+      </mark>
+    );
+    last = end;
+  });
+  parts.push(text.slice(last));
+
+  return <>{parts}</>;
+};
+
 const Cases = () => {
   const location = useLocation();
   
@@ -29,7 +73,7 @@ const Cases = () => {
     assignedTo: urlParams.get('assignedTo') || '',
     search: urlParams.get('search') || '',
     view: urlParams.get('view') || 'all',
-    sort: urlParams.get('sort') || 'date_desc',
+    sort: urlParams.get('sort') || '',
     page: parseInt(urlParams.get('page')) || 1
   });
 
@@ -44,25 +88,50 @@ const Cases = () => {
       assignedTo: params.get('assignedTo') || '',
       search: params.get('search') || '',
       view: params.get('view') || 'all',
-      sort: params.get('sort') || 'date_desc',
+      sort: params.get('sort') || '',
       page: parseInt(params.get('page')) || 1
     });
   }, [location.search]);
 
+  // The search box updates the list once typing pauses
+  const [searchInput, setSearchInput] = React.useState(filters.search);
+  React.useEffect(() => {
+    setSearchInput(filters.search);
+  }, [filters.search]);
+
+  React.useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters(prev => (prev.search === searchInput ? prev : { ...prev, search: searchInput, page: 1 }));
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
   const { data, isLoading, error } = useQuery(
     ['cases', filters],
     () => {
-      console.log('🌐 Fetching cases with filters:', filters);
-      return api.get('/api/cases', { params: filters }).then(res => {
-        console.log('✅ Cases data received:', res.data);
-        return res.data;
-      });
+      const { sort, ...rest } = filters;
+      const params = Object.fromEntries(Object.entries(rest).filter(([, value]) => value !== ''));
+      return api.get('/api/cases', { params: { ...params, ...SORT_OPTIONS[sort] } }).then(res => res.data);
     },
     {
       keepPreviousData: true,
     }
   );
 
+  const { data: savedSearchData } = useQuery(
+    'saved-searches',
+    () => api.get('/api/cases/saved-searches').then(res => res.data)
+  );
+  const savedSearches = savedSearchData?.savedSearches || [];
+  const [savedSearchName, setSavedSearchName] = React.useState('');
+
+  // Refresh the list when any case changes status
+  const queryClient = useQueryClient();
+  useRealtimeEvent('case:status_changed', () => {
+    queryClient.invalidateQueries(['cases']);
+  });
+
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({
       ...prev,
@@ -71,13 +140,68 @@ const Cases = () => {
     }));
   };
 
-  const handleSearch = (searchTerm) => {
-    console.log('🔍 Search triggered:', searchTerm);
-    setFilters(prev => ({
-      ...prev,
-      search: searchTerm,
+  const handlePageChange = (page) => {
+    setFilters(prev => ({ ...prev, page }));
+  };
+
+  const saveSearchMutation = useMutation(
+    (name) => api.post('/api/cases/saved-searches', {
+      name,
+      search: filters.search,
+      filters: {
+        ...Object.fromEntries(SAVED_FILTER_KEYS.map(key => [key, filters[key]])),
+        ...SORT_OPTIONS[filters.sort]
+      }
+    }),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('saved-searches');
+        setSavedSearchName('');
+        toast.success('Search saved');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to save search');
+      }
+    }
+  );
+
+  const deleteSavedSearchMutation = useMutation(
+    (id) => api.delete(`/api/cases/saved-searches/${id}`),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('saved-searches');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete saved search');
+      }
+    }
+  );
+
+  const applySavedSearch = (savedSearch) => {
+    const { sortBy, sortOrder, ...savedFilters } = savedSearch.filters;
+    const sort = Object.keys(SORT_OPTIONS).find(key =>
+      SORT_OPTIONS[key].sortBy === sortBy && (!sortOrder || SORT_OPTIONS[key].sortOrder === sortOrder)
+    );
+
+    setFilters({
+      status: '',
+      incidentType: '',
+      severity: '',
+      priority: '',
+      assignedTo: '',
+      view: 'all',
+      ...savedFilters,
+      search: savedSearch.search,
+      sort: sort || '',
       page: 1
-    }));
+    });
+  };
+
+  const handleSaveSearch = (e) => {
+    e.preventDefault();
+    if (savedSearchName.trim()) {
+      saveSearchMutation.mutate(savedSearchName.trim());
+    }
   };
 
   const handleSuggestionSelect = (suggestion) => {
@@ -116,7 +240,9 @@ const Cases = () => {
       in_progress: { color: 'badge-warning', icon: Clock },
       resolved: { color: 'badge-success', icon: CheckCircle },
       closed: { color: 'badge-gray', icon: CheckCircle },
-      escalated: { color: 'badge-danger', icon: AlertTriangle }
+      escalated: { color: 'badge-danger', icon: AlertTriangle },
+      counter_notice_received: { color: 'badge-warning', icon: AlertTriangle },
+      litigation_filed: { color: 'badge-danger', icon: FileText }
     };
     
     const config = statusConfig[status] || statusConfig.reported;
@@ -125,7 +251,7 @@ const Cases = () => {
     return (
       <span className={`badge ${config.color}`}>
         <Icon className="h-3 w-3 mr-1" />
-        {status.replace('_', ' ')}
+        {status.replace(/_/g, ' ')}
       </span>
     );
   };
@@ -188,26 +314,6 @@ const Cases = () => {
     pages: pagination.pages || 1
   };
 
-  const severityRank = { critical: 4, high: 3, medium: 2, low: 1 };
-  const sortedCases = [...cases].sort((a, b) => {
-    const sort = filters.sort;
-    const aDate = new Date(a.reportedAt || a.reported_at || a.createdAt || a.created_at || 0).getTime();
-    const bDate = new Date(b.reportedAt || b.reported_at || b.createdAt || b.created_at || 0).getTime();
-    const aSev = severityRank[a.severity] || 0;
-    const bSev = severityRank[b.severity] || 0;
-    switch (sort) {
-      case 'date_asc':
-        return aDate - bDate;
-      case 'severity_desc':
-        return bSev - aSev || bDate - aDate;
-      case 'severity_asc':
-        return aSev - bSev || aDate - bDate;
-      case 'date_desc':
-      default:
-        return bDate - aDate;
-    }
-  });
-
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -293,246 +399,338 @@ const Cases = () => {
         </div>
       </div>
 
-      {/* Filters */}
-      <div className="card">
-        <div className="card-header">
-          <h3 className="text-lg font-medium text-gray-900">Filters & Search</h3>
-        </div>
-        <div className="card-body">
-          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-6">
-            <div>
-              <label className="form-label">View</label>
-              <select
-                className="form-select"
-                value={filters.view}
-                onChange={(e) => handleFilterChange('view', e.target.value)}
-              >
-                <option value="all">All Cases</option>
-                <option value="my">My Cases</option>
-                <option value="assigned">Assigned to Me</option>
-                <option value="open">Open Cases</option>
-                <option value="resolved">Resolved Cases</option>
-              </select>
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-4">
+        {/* Saved Searches */}
+        <div className="lg:col-span-1">
+          <div className="card">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                <Bookmark className="h-5 w-5 mr-2 text-gray-400" />
+                Saved Searches
+              </h3>
             </div>
+            <div className="card-body space-y-4">
+              {savedSearches.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  Save the current search and filters to come back to them later.
+                </p>
+              ) : (
+                <ul className="space-y-1">
+                  {savedSearches.map(savedSearch => (
+                    <li key={savedSearch._id} className="flex items-center justify-between group">
+                      <button
+                        onClick={() => applySavedSearch(savedSearch)}
+                        className="flex-1 text-left text-sm text-gray-700 hover:text-blue-600 truncate py-1"
+                        title={savedSearch.search || savedSearch.name}
+                      >
+                        {savedSearch.name}
+                      </button>
+                      <button
+                        onClick={() => deleteSavedSearchMutation.mutate(savedSearch._id)}
+                        className="ml-2 p-1 text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100"
+                        title="Delete saved search"
+                      >
+                        <Trash2 className="h-3 w-3" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
 
-            <div>
-              <label className="form-label">Search</label>
-              <div className="relative">
-                <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <form onSubmit={handleSaveSearch} className="space-y-2">
                 <input
                   type="text"
-                  placeholder="Search by title, description, or case number..."
-                  className="form-input pl-10 w-full"
-                  value={filters.search}
-                  onChange={(e) => handleSearch(e.target.value)}
+                  placeholder="Name this search"
+                  className="form-input w-full"
+                  maxLength={100}
+                  value={savedSearchName}
+                  onChange={(e) => setSavedSearchName(e.target.value)}
                 />
-              </div>
+                <button
+                  type="submit"
+                  disabled={!savedSearchName.trim() || saveSearchMutation.isLoading}
+                  className="btn-outline btn-sm w-full disabled:opacity-50"
+                >
+                  Save current search
+                </button>
+              </form>
             </div>
+          </div>
+        </div>
 
-            <div>
-              <label className="form-label">Status</label>
-              <select
-                className="form-select"
-                value={filters.status}
-                onChange={(e) => handleFilterChange('status', e.target.value)}
-              >
-                <option value="">All Statuses</option>
-                <option value="reported">Reported</option>
-                <option value="under_review">Under Review</option>
-                <option value="in_progress">In Progress</option>
-                <option value="resolved">Resolved</option>
-                <option value="closed">Closed</option>
-                <option value="escalated">Escalated</option>
-              </select>
+        <div className="lg:col-span-3 space-y-6">
+          {/* Filters */}
+          <div className="card">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900">Filters & Search</h3>
             </div>
+            <div className="card-body">
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+                <div>
+                  <label className="form-label">View</label>
+                  <select
+                    className="form-select"
+                    value={filters.view}
+                    onChange={(e) => handleFilterChange('view', e.target.value)}
+                  >
+                    <option value="all">All Cases</option>
+                    <option value="my">My Cases</option>
+                    <option value="assigned">Assigned to Me</option>
+                    <option value="open">Open Cases</option>
+                    <option value="resolved">Resolved Cases</option>
+                  </select>
+                </div>
 
-            <div>
-              <label className="form-label">Type</label>
-              <select
-                className="form-select"
-                value={filters.incidentType}
-                onChange={(e) => handleFilterChange('incidentType', e.target.value)}
-              >
-                <option value="">All Types</option>
-                <option value="copyright_infringement">Copyright Infringement</option>
-                <option value="trademark_violation">Trademark Violation</option>
-                <option value="impersonation">Impersonation</option>
-                <option value="unauthorized_distribution">Unauthorized Distribution</option>
-                <option value="other">Other</option>
-              </select>
-            </div>
+                <div>
+                  <label className="form-label">Search</label>
+                  <div className="relative">
+                    <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+                    <input
+                      type="text"
+                      placeholder="Search cases, infringers, URLs or notes..."
+                      className="form-input pl-10 w-full"
+                      value={searchInput}
+                      onChange={(e) => setSearchInput(e.target.value)}
+                    />
+                  </div>
+                </div>
 
-            <div>
-              <label className="form-label">Severity</label>
-              <select
-                className="form-select"
-                value={filters.severity}
-                onChange={(e) => handleFilterChange('severity', e.target.value)}
-              >
-                <option value="">All Severities</option>
-                <option value="low">Low</option>
-                <option value="medium">Medium</option>
-                <option value="high">High</option>
-                <option value="critical">Critical</option>
-              </select>
-            </div>
+                <div>
+                  <label className="form-label">Status</label>
+                  <select
+                    className="form-select"
+                    value={filters.status}
+                    onChange={(e) => handleFilterChange('status', e.target.value)}
+                  >
+                    <option value="">All Statuses</option>
+                    <option value="reported">Reported</option>
+                    <option value="under_review">Under Review</option>
+                    <option value="in_progress">In Progress</option>
+                    <option value="resolved">Resolved</option>
+                    <option value="closed">Closed</option>
+                    <option value="escalated">Escalated</option>
+                    <option value="counter_notice_received">Counter-Notice Received</option>
+                    <option value="litigation_filed">Litigation Filed</option>
+                  </select>
+                </div>
 
-            <div className="flex items-end">
-              <button
-                onClick={() => setFilters({
-                  status: '',
-                  incidentType: '',
-                  severity: '',
-                  priority: '',
-                  assignedTo: '',
-                  search: '',
-                  view: 'all',
-                  page: 1
-                })}
-                className="btn-outline w-full"
-              >
-                <Filter className="h-4 w-4 mr-2" />
-                Clear Filters
-              </button>
+                <div>
+                  <label className="form-label">Type</label>
+                  <select
+                    className="form-select"
+                    value={filters.incidentType}
+                    onChange={(e) => handleFilterChange('incidentType', e.target.value)}
+                  >
+                    <option value="">All Types</option>
+                    <option value="copyright_infringement">Copyright Infringement</option>
+                    <option value="trademark_violation">Trademark Violation</option>
+                    <option value="impersonation">Impersonation</option>
+                    <option value="unauthorized_distribution">Unauthorized Distribution</option>
+                    <option value="other">Other</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="form-label">Severity</label>
+                  <select
+                    className="form-select"
+                    value={filters.severity}
+                    onChange={(e) => handleFilterChange('severity', e.target.value)}
+                  >
+                    <option value="">All Severities</option>
+                    <option value="low">Low</option>
+                    <option value="medium">Medium</option>
+                    <option value="high">High</option>
+                    <option value="critical">Critical</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="form-label">Sort</label>
+                  <select
+                    className="form-select"
+                    value={filters.sort}
+                    onChange={(e) => handleFilterChange('sort', e.target.value)}
+                  >
+                    <option value="">Default</option>
+                    <option value="relevance">Best match</option>
+                    <option value="date_desc">Newest first</option>
+                    <option value="date_asc">Oldest first</option>
+                    <option value="updated_desc">Recently updated</option>
+                    <option value="due_asc">Due soonest</option>
+                  </select>
+                </div>
+
+                <div className="flex items-end">
+                  <button
+                    onClick={() => setFilters({
+                      status: '',
+                      incidentType: '',
+                      severity: '',
+                      priority: '',
+                      assignedTo: '',
+                      search: '',
+                      view: 'all',
+                      sort: '',
+                      page: 1
+                    })}
+                    className="btn-outline w-full"
+                  >
+                    <Filter className="h-4 w-4 mr-2" />
+                    Clear Filters
+                  </button>
+                </div>
+              </div>
             </div>
           </div>
-        </div>
-      </div>
 
-      {/* Cases Table */}
-      <div className="card">
-        <div className="overflow-x-auto">
-          <table className="table">
-            <thead className="table-header">
-              <tr>
-                <th className="table-header-cell">Case #</th>
-                <th className="table-header-cell">Title</th>
-                <th className="table-header-cell">Type</th>
-                <th className="table-header-cell">Status</th>
-                <th className="table-header-cell">Severity</th>
-                <th className="table-header-cell">Priority</th>
-                <th className="table-header-cell">Assigned To</th>
-                <th className="table-header-cell">Date</th>
-                <th className="table-header-cell text-right whitespace-nowrap">Actions</th>
-              </tr>
-            </thead>
-            <tbody className="table-body">
-              {cases.length === 0 ? (
-                <tr>
-                  <td colSpan="9" className="table-cell text-center py-12">
-                    <div className="empty-state">
-                      <FileText className="empty-state-icon" />
-                      <h3 className="empty-state-title">No cases found</h3>
-                      <p className="empty-state-description">
-                        {filters.search || filters.status || filters.incidentType || filters.severity
-                          ? 'Try adjusting your filters to see more results.'
-                          : 'No cases match your current view.'}
-                      </p>
-                    </div>
-                  </td>
-                </tr>
-              ) : (
-                sortedCases.map((case_) => (
-                  <tr key={case_.id} className="table-row">
-                    <td className="table-cell font-mono text-sm">
-                      {case_.caseNumber}
-                    </td>
-                    <td className="table-cell">
-                      <div>
-                        <div className="font-medium text-gray-900 truncate max-w-xs">
-                          {case_.title}
-                        </div>
-                        <div className="text-sm text-gray-500 truncate max-w-xs">
-                          {case_.infringedContent || case_.infringed_content}
+          {/* Cases Table */}
+          <div className="card">
+            <div className="overflow-x-auto">
+              <table className="table">
+                <thead className="table-header">
+                  <tr>
+                    <th className="table-header-cell">Case #</th>
+                    <th className="table-header-cell">Title</th>
+                    <th className="table-header-cell">Type</th>
+                    <th className="table-header-cell">Status</th>
+                    <th className="table-header-cell">Severity</th>
+                    <th className="table-header-cell">Priority</th>
+                    <th className="table-header-cell">Assigned To</th>
+                    <th className="table-header-cell">Date</th>
+                    <th className="table-header-cell text-right whitespace-nowrap">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body">
+                  {cases.length === 0 ? (
+                    <tr>
+                      <td colSpan="9" className="table-cell text-center py-12">
+                        <div className="empty-state">
+                          <FileText className="empty-state-icon" />
+                          <h3 className="empty-state-title">No cases found</h3>
+                          <p className="empty-state-description">
+                            {filters.search || filters.status || filters.incidentType || filters.severity
+                              ? 'Try adjusting your filters to see more results.'
+                              : 'No cases match your current view.'}
+                          </p>
                         </div>
-                      </div>
-                    </td>
-                    <td className="table-cell">
-                      <span className="text-sm text-gray-900">
-                        {(case_.incidentType || case_.incident_type || '').replace('_', ' ')}
-                      </span>
-                    </td>
-                    <td className="table-cell">
-                      {getStatusBadge(case_.status)}
-                    </td>
-                    <td className="table-cell">
-                      {getSeverityBadge(case_.severity)}
-                    </td>
-                    <td className="table-cell">
-                      {getPriorityBadge(case_.priority)}
-                    </td>
-                    <td className="table-cell">
-                      {case_.assignedTo ? (
-                        <div className="flex items-center">
-                          <User className="h-4 w-4 text-gray-400 mr-2" />
+                      </td>
+                    </tr>
+                  ) : (
+                    cases.map((case_) => (
+                      <tr key={case_.id} className="table-row">
+                        <td className="table-cell font-mono text-sm">
+                          {case_.caseNumber}
+                        </td>
+                        <td className="table-cell">
                           <div>
-                            <div className="text-sm font-medium text-gray-900">
-                              {case_.assignedTo.firstName} {case_.assignedTo.lastName}
+                            <div className="font-medium text-gray-900 truncate max-w-xs">
+                              {case_.highlights?.find(highlight => highlight.field === 'title') ? (
+                                <HighlightedText {...case_.highlights.find(highlight => highlight.field === 'title')} />
+                              ) : case_.title}
                             </div>
-                            <div className="text-sm text-gray-500">
-                              {case_.assignedTo.email}
+                            {case_.highlights?.some(highlight => highlight.field !== 'title') ? (
+                              case_.highlights.filter(highlight => highlight.field !== 'title').map(highlight => (
+                                <div key={highlight.field} className="text-sm text-gray-500 max-w-xs">
+                                  <span className="font-medium text-gray-600">{HIGHLIGHT_LABELS[highlight.field]}: </span>
+                                  <HighlightedText {...highlight} />
+                                </div>
+                              ))
+                            ) : (
+                              <div className="text-sm text-gray-500 truncate max-w-xs">
+                                {case_.infringedContent || case_.infringed_content}
+                              </div>
+                            )}
+                          </div>
+                        </td>
+                        <td className="table-cell">
+                          <span className="text-sm text-gray-900">
+                            {(case_.incidentType || case_.incident_type || '').replace('_', ' ')}
+                          </span>
+                        </td>
+                        <td className="table-cell">
+                          {getStatusBadge(case_.status)}
+                        </td>
+                        <td className="table-cell">
+                          {getSeverityBadge(case_.severity)}
+                        </td>
+                        <td className="table-cell">
+                          {getPriorityBadge(case_.priority)}
+                        </td>
+                        <td className="table-cell">
+                          {case_.assignedTo ? (
+                            <div className="flex items-center">
+                              <User className="h-4 w-4 text-gray-400 mr-2" />
+                              <div>
+                                <div className="text-sm font-medium text-gray-900">
+                                  {case_.assignedTo.firstName} {case_.assignedTo.lastName}
+                                </div>
+                                <div className="text-sm text-gray-500">
+                                  {case_.assignedTo.email}
+                                </div>
+                              </div>
                             </div>
+                          ) : (
+                            <span className="text-sm text-gray-500">Unassigned</span>
+                          )}
+                        </td>
+                        <td className="table-cell">
+                          <div className="flex items-center">
+                            <Calendar className="h-4 w-4 text-gray-400 mr-2" />
+                            <span className="text-sm text-gray-900">
+                              {new Date(case_.reportedAt || case_.reported_at).toLocaleDateString()}
+                            </span>
                           </div>
-                        </div>
-                      ) : (
-                        <span className="text-sm text-gray-500">Unassigned</span>
-                      )}
-                    </td>
-                    <td className="table-cell">
-                      <div className="flex items-center">
-                        <Calendar className="h-4 w-4 text-gray-400 mr-2" />
-                        <span className="text-sm text-gray-900">
-                          {new Date(case_.reportedAt || case_.reported_at).toLocaleDateString()}
-                        </span>
-                      </div>
-                    </td>
-                    <td className="table-cell whitespace-nowrap text-right">
-                      <Link
-                        to={`/cases/${case_.id}`}
-                        className="btn-outline btn-sm inline-flex"
-                      >
-                        <Eye className="h-4 w-4 mr-1" />
-                        View
-                      </Link>
-                    </td>
-                  </tr>
-                ))
-              )}
-            </tbody>
-          </table>
-        </div>
+                        </td>
+                        <td className="table-cell whitespace-nowrap text-right">
+                          <Link
+                            to={`/cases/${case_.id}`}
+                            className="btn-outline btn-sm inline-flex"
+                          >
+                            <Eye className="h-4 w-4 mr-1" />
+                            View
+                          </Link>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
 
-        {/* Pagination */}
-        {paginationData && paginationData.pages > 1 && (
-          <div className="card-footer">
-            <div className="flex items-center justify-between">
-              <div className="text-sm text-gray-700">
-                Showing {((paginationData.current - 1) * paginationData.limit) + 1} to{' '}
-                {Math.min(paginationData.current * paginationData.limit, paginationData.total)} of{' '}
-                {paginationData.total} results
-              </div>
-              <div className="flex space-x-2">
-                <button
-                  onClick={() => handleFilterChange('page', paginationData.current - 1)}
-                  disabled={paginationData.current === 1}
-                  className="btn-outline btn-sm disabled:opacity-50"
-                >
-                  Previous
-                </button>
-                <span className="flex items-center px-3 py-1 text-sm text-gray-700">
-                  Page {paginationData.current} of {paginationData.pages}
-                </span>
-                <button
-                  onClick={() => handleFilterChange('page', paginationData.current + 1)}
-                  disabled={paginationData.current === paginationData.pages}
-                  className="btn-outline btn-sm disabled:opacity-50"
-                >
-                  Next
-                </button>
+            {/* Pagination */}
+            {paginationData && paginationData.pages > 1 && (
+              <div className="card-footer">
+                <div className="flex items-center justify-between">
+                  <div className="text-sm text-gray-700">
+                    Showing {((paginationData.current - 1) * paginationData.limit) + 1} to{' '}
+                    {Math.min(paginationData.current * paginationData.limit, paginationData.total)} of{' '}
+                    {paginationData.total} results
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => handlePageChange(paginationData.current - 1)}
+                      disabled={paginationData.current === 1}
+                      className="btn-outline btn-sm disabled:opacity-50"
+                    >
+                      Previous
+                    </button>
+                    <span className="flex items-center px-3 py-1 text-sm text-gray-700">
+                      Page {paginationData.current} of {paginationData.pages}
+                    </span>
+                    <button
+                      onClick={() => handlePageChange(paginationData.current + 1)}
+                      disabled={paginationData.current === paginationData.pages}
+                      className="btn-outline btn-sm disabled:opacity-50"
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
               </div>
-            </div>
+            )}
           </div>
-        )}
+        </div>
       </div>
     </div>
   );
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { Send, Users, Trash2, MessageCircle } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import useChatRealtime from '../hooks/useChatRealtime';
 import api from '../api/api';
 import toast from 'react-hot-toast';
 
@@ -12,6 +13,7 @@ const ChatPage = () => {
   const [showActiveUsers, setShowActiveUsers] = useState(true);
   const [selectedUser, setSelectedUser] = useState(null);
   const messagesEndRef = useRef(null);
+  const { connected, typingNames, notifyTyping, stopTyping } = useChatRealtime(selectedUser?.id);
 
   // Fetch messages
   const { data: messagesData, isLoading } = useQuery(
@@ -21,7 +23,8 @@ const ChatPage = () => {
       return api.get(`/api/chat/messages${params}`).then(res => res.data);
     },
     {
-      refetchInterval: 3000,
+      // New messages arrive over the event stream; poll only while it is disconnected
+      refetchInterval: connected ? false : 3000,
       refetchIntervalInBackground: true
     }
   );
@@ -31,7 +34,7 @@ const ChatPage = () => {
     ['active-users'],
     () => api.get('/api/chat/active-users').then(res => res.data),
     {
-      refetchInterval: 10000,
+      refetchInterval: connected ? false : 10000,
     }
   );
 
@@ -45,6 +48,7 @@ const ChatPage = () => {
       onSuccess: () => {
         queryClient.invalidateQueries(['chat-messages']);
         setNewMessage('');
+        stopTyping();
       },
       onError: (error) => {
         toast.error(error.response?.data?.message || 'Failed to send message');
@@ -279,6 +283,11 @@ const ChatPage = () => {
                 );
               })
             )}
+            {typingNames.length > 0 && (
+              <p className="text-xs text-gray-500 italic">
+                {typingNames.join(', ')} {typingNames.length === 1 ? 'is' : 'are'} typing...
+              </p>
+            )}
             <div ref={messagesEndRef} />
           </div>
 
@@ -295,7 +304,11 @@ const ChatPage = () => {
               <input
                 type="text"
                 value={newMessage}
-                onChange={(e) => setNewMessage(e.target.value)}
+                onChange={(e) => {
+                  setNewMessage(e.target.value);
+                  notifyTyping();
+                }}
+                onBlur={stopTyping}
                 placeholder={selectedUser ? `Message ${selectedUser.firstName}...` : "Message everyone..."}
                 className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 disabled={sendMessageMutation.isLoading}
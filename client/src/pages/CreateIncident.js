@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useForm } from 'react-hook-form';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import api from '../api/api';
 import toast from 'react-hot-toast';
 import {
@@ -11,15 +11,25 @@ import {
   AlertTriangle,
   FileText,
   Globe,
-  User
+  User,
+  Copy
 } from 'lucide-react';
 
+const DUPLICATE_REASONS = {
+  same_url: 'Same URL',
+  same_domain: 'Same domain',
+  infringer_email: 'Same infringer email',
+  infringer_website: 'Same infringer website',
+  infringer_name: 'Same infringer name'
+};
+
 const CreateIncident = () => {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [infringedUrls, setInfringedUrls] = useState([]);
   const [newUrl, setNewUrl] = useState({ url: '', description: '' });
   const [uploadedFiles, setUploadedFiles] = useState([]);
+  const [duplicates, setDuplicates] = useState([]);
 
   const {
     register,
@@ -47,6 +57,7 @@ const CreateIncident = () => {
       
       setInfringedUrls([...infringedUrls, { ...newUrl, url, id: Date.now() }]);
       setNewUrl({ url: '', description: '' });
+      setDuplicates([]);
     }
   };
 
@@ -60,6 +71,7 @@ const CreateIncident = () => {
 
   const removeUrl = (id) => {
     setInfringedUrls(infringedUrls.filter(url => url.id !== id));
+    setDuplicates([]);
   };
 
   const handleFileUpload = (event) => {
@@ -78,7 +90,8 @@ const CreateIncident = () => {
     setUploadedFiles(uploadedFiles.filter(file => file.id !== id));
   };
 
-  const onSubmit = async (data) => {
+  // The server answers 409 with possible duplicates unless the reporter confirms them
+  const submitIncident = async (data, ignoreDuplicates = false) => {
     // Validate that at least one URL is added
     if (infringedUrls.length === 0) {
       toast.error('Please add at least one infringed URL');
@@ -129,6 +142,7 @@ const CreateIncident = () => {
           contactInfo: data.infringerContact
         }));
         formData.append('tags', JSON.stringify(data.tags?.split(',').map(tag => tag.trim()).filter(tag => tag) || []));
+        formData.append('ignoreDuplicates', ignoreDuplicates);
 
         // Add uploaded files
         uploadedFiles.forEach(file => {
@@ -157,7 +171,8 @@ const CreateIncident = () => {
             organization: data.infringerOrganization,
             contactInfo: data.infringerContact
           },
-          tags: data.tags?.split(',').map(tag => tag.trim()).filter(tag => tag) || []
+          tags: data.tags?.split(',').map(tag => tag.trim()).filter(tag => tag) || [],
+          ignoreDuplicates
         };
 
         response = await api.post('/api/incidents', incidentData, {
@@ -198,6 +213,12 @@ const CreateIncident = () => {
       
       // Dismiss loading toast
       toast.dismiss('creating-incident');
+
+      if (error.response?.status === 409 && error.response.data?.duplicates) {
+        setDuplicates(error.response.data.duplicates);
+        toast.error('This infringement may already be reported. Review the possible duplicates below.');
+        return;
+      }
       
       // Enhanced error message
       let errorMessage = 'Failed to create incident';
@@ -227,6 +248,9 @@ const CreateIncident = () => {
     }
   };
 
+  const onSubmit = (data) => submitIncident(data);
+  const reportAnyway = handleSubmit(data => submitIncident(data, true));
+
   return (
     <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 overflow-y-auto max-h-screen">
       <div className="mb-6">
@@ -534,6 +558,59 @@ const CreateIncident = () => {
           </div>
         </div>
 
+        {/* Possible Duplicates */}
+        {duplicates.length > 0 && (
+          <div className="card border border-yellow-300">
+            <div className="card-header flex items-center">
+              <Copy className="h-5 w-5 mr-2 text-yellow-600" />
+              <h3 className="text-lg font-medium text-gray-900">Possible Duplicates</h3>
+            </div>
+            <div className="card-body space-y-3">
+              <p className="text-sm text-gray-600">
+                These cases and monitoring alerts match the URLs or infringer you entered. Check them before
+                reporting this incident again.
+              </p>
+              <ul className="divide-y divide-gray-200">
+                {duplicates.map(match => (
+                  <li key={`${match.type}-${match.id}`} className="py-3 flex items-start justify-between">
+                    <div className="min-w-0">
+                      {match.type === 'incident' ? (
+                        <Link
+                          to={`/incidents/${match.id}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-sm font-medium text-blue-600 hover:text-blue-800"
+                        >
+                          {match.caseNumber} · {match.title}
+                        </Link>
+                      ) : (
+                        <Link to="/monitoring" className="text-sm font-medium text-blue-600 hover:text-blue-800">
+                          Alert · {match.title}
+                        </Link>
+                      )}
+                      <p className="mt-1 text-xs text-gray-500">
+                        {match.reasons.map(reason => `${DUPLICATE_REASONS[reason.type]}: ${reason.value}`).join(' · ')}
+                      </p>
+                      {match.mergedInto && (
+                        <p className="mt-1 text-xs text-gray-500">Merged into {match.mergedInto.caseNumber}</p>
+                      )}
+                    </div>
+                    <div className="ml-4 flex-shrink-0 text-right">
+                      <span className="badge badge-gray">{match.status?.replace(/_/g, ' ')}</span>
+                      <p className="mt-1 text-xs text-gray-500">{match.score}% match</p>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              <div className="flex justify-end">
+                <button type="button" onClick={reportAnyway} disabled={loading} className="btn-outline">
+                  Report Anyway
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Submit Button */}
         <div className="flex justify-end space-x-3">
           <button
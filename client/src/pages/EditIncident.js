@@ -105,18 +105,12 @@ const EditIncident = () => {
         },
       });
 
-      const newFiles = response.data.files.map(file => ({
-        id: Date.now() + Math.random(),
-        name: file.originalname,
-        url: file.url,
-        size: file.size
-      }));
-
-      setUploadedFiles([...uploadedFiles, ...newFiles]);
-      toast.success(`${newFiles.length} file(s) uploaded successfully`);
+      // Keep the signed descriptors as returned; the update sends them back to attach the files
+      setUploadedFiles([...uploadedFiles, ...response.data.files]);
+      toast.success(response.data.message);
     } catch (error) {
       console.error('File upload error:', error);
-      toast.error('Failed to upload files');
+      toast.error(error.response?.data?.message || 'Failed to upload files');
     } finally {
       setLoading(false);
     }
@@ -418,7 +412,7 @@ const EditIncident = () => {
                     <div className="flex items-center space-x-3">
                       <FileText className="h-4 w-4 text-gray-400" />
                       <div>
-                        <p className="text-sm font-medium text-gray-900">{file.name}</p>
+                        <p className="text-sm font-medium text-gray-900">{file.originalName}</p>
                         <p className="text-xs text-gray-500">{file.size} bytes</p>
                       </div>
                     </div>
@@ -447,11 +441,11 @@ const EditIncident = () => {
                       multiple
                       onChange={(e) => handleFileUpload(e.target.files)}
                       className="sr-only"
-                      accept=".pdf,.doc,.docx,.jpg,.jpeg,.png,.gif"
+                      accept=".pdf,.doc,.docx,.txt,.jpg,.jpeg,.png,.gif"
                     />
                   </label>
                   <p className="mt-1 text-xs text-gray-500">
-                    PDF, DOC, DOCX, JPG, PNG, GIF up to 10MB each
+                    PDF, DOC, DOCX, TXT, JPG, PNG, GIF up to 10MB each
                   </p>
                 </div>
               </div>
@@ -47,6 +47,16 @@ const IncidentDetail = () => {
     }
   );
 
+  // Evidence is served through short-lived signed URLs after a server-side access check
+  const handleDownloadEvidence = async (evidence) => {
+    try {
+      const { data } = await api.get(`/api/incidents/${id}/evidence/${evidence.id || evidence._id}/url`);
+      window.open(data.url, '_blank', 'noopener');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to download evidence');
+    }
+  };
+
   const updateStatusMutation = useMutation(
     (status) => api.put(`/api/incidents/${id}/status`, { status }),
     {
@@ -243,12 +253,16 @@ const IncidentDetail = () => {
                       <div key={index} className="flex items-center space-x-2 p-2 bg-gray-50 rounded">
                         <FileText className="h-4 w-4 text-gray-400" />
                         <div className="flex-1">
-                          <p className="text-sm font-medium text-gray-900">{evidence.filename}</p>
+                          <p className="text-sm font-medium text-gray-900">{evidence.filename || evidence.original_name}</p>
                           {evidence.description && (
                             <p className="text-xs text-gray-500">{evidence.description}</p>
                           )}
                         </div>
-                        <button className="btn-outline btn-sm">
+                        <button
+                          onClick={() => handleDownloadEvidence(evidence)}
+                          className="btn-outline btn-sm"
+                          title="Download"
+                        >
                           <Download className="h-3 w-3" />
                         </button>
                       </div>
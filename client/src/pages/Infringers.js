@@ -0,0 +1,284 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { format } from 'date-fns';
+import api from '../api/api';
+import {
+  Search,
+  UserX,
+  Globe,
+  Mail,
+  AtSign,
+  Server,
+  ChevronLeft,
+  ChevronRight
+} from 'lucide-react';
+
+const OUTCOME_LABELS = {
+  content_removed: 'Content removed',
+  partial_resolution: 'Partial resolution',
+  no_action_taken: 'No action taken',
+  legal_action: 'Legal action',
+  ongoing: 'Ongoing'
+};
+
+const formatDate = (value) => (value ? format(new Date(value), 'MMM d, yyyy') : '—');
+
+const Stat = ({ label, value }) => (
+  <div className="rounded-md bg-gray-50 px-3 py-2">
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className="text-lg font-semibold text-gray-900">{value}</p>
+  </div>
+);
+
+const IdentifierList = ({ icon: Icon, values }) => (
+  values.length > 0 && (
+    <div className="flex items-start text-sm text-gray-700">
+      <Icon className="h-4 w-4 mr-2 mt-0.5 text-gray-400 flex-shrink-0" />
+      <span className="break-all">{values.join(', ')}</span>
+    </div>
+  )
+);
+
+const InfringerHistory = ({ infringerId }) => {
+  const { data, isLoading } = useQuery(
+    ['infringer', infringerId],
+    () => api.get(`/api/infringers/${infringerId}`).then(res => res.data)
+  );
+
+  if (isLoading || !data) {
+    return (
+      <div className="card-body flex justify-center py-12">
+        <div className="loading-spinner" />
+      </div>
+    );
+  }
+
+  const { infringer, incidents, notices, stats } = data;
+
+  return (
+    <div className="card-body space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">{infringer.name}</h3>
+        {infringer.aliases.length > 0 && (
+          <p className="text-sm text-gray-500">Also known as {infringer.aliases.join(', ')}</p>
+        )}
+        <div className="mt-3 space-y-1">
+          <IdentifierList icon={Globe} values={infringer.domains} />
+          <IdentifierList icon={Mail} values={infringer.emails} />
+          <IdentifierList icon={Server} values={infringer.hostingProviders} />
+          <IdentifierList
+            icon={AtSign}
+            values={infringer.socialHandles.map(social => `${social.handle}${social.platform ? ` (${social.platform})` : ''}`)}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+        <Stat label="Incidents" value={stats.incidents} />
+        <Stat label="Open" value={stats.openIncidents} />
+        <Stat label="Notices sent" value={stats.noticesSent} />
+        <Stat label="Response rate" value={stats.responseRate === null ? '—' : `${stats.responseRate}%`} />
+        <Stat label="Alerts" value={stats.alerts} />
+        <Stat label="Avg. response" value={stats.averageResponseDays === null ? '—' : `${stats.averageResponseDays} days`} />
+        <Stat label="First seen" value={formatDate(stats.firstSeenAt)} />
+        <Stat label="Last seen" value={formatDate(infringer.lastSeenAt)} />
+      </div>
+
+      {Object.keys(stats.outcomes).length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Outcomes</h4>
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(stats.outcomes).map(([outcome, count]) => (
+              <span key={outcome} className="badge badge-gray">
+                {OUTCOME_LABELS[outcome] || outcome}: {count}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div>
+        <h4 className="text-sm font-medium text-gray-900 mb-2">Incidents</h4>
+        {incidents.length === 0 ? (
+          <p className="text-sm text-gray-500">No incidents you can view.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {incidents.map(incident => (
+              <li key={incident._id} className="py-2 flex items-center justify-between text-sm">
+                <Link to={`/cases/${incident._id}`} className="text-blue-600 hover:text-blue-800 truncate">
+                  {incident.caseNumber} · {incident.title}
+                </Link>
+                <span className="ml-4 flex-shrink-0 text-gray-500">
+                  {incident.status.replace(/_/g, ' ')} · {formatDate(incident.reportedAt)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div>
+        <h4 className="text-sm font-medium text-gray-900 mb-2">Notices</h4>
+        {notices.length === 0 ? (
+          <p className="text-sm text-gray-500">No notices sent.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {notices.map((notice, index) => (
+              <li key={`${notice.incident._id}-${index}`} className="py-2 flex items-center justify-between text-sm">
+                <span className="text-gray-700">
+                  {notice.actionType?.replace(/_/g, ' ')} · {notice.incident.caseNumber}
+                </span>
+                <span className="ml-4 flex-shrink-0 text-gray-500">
+                  Sent {formatDate(notice.sentDate)}
+                  {notice.responseDate ? ` · answered ${formatDate(notice.responseDate)}` : ` · ${notice.status}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const Infringers = () => {
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [repeatOnly, setRepeatOnly] = useState(false);
+  const [page, setPage] = useState(1);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const { data, isLoading } = useQuery(
+    ['infringers', search, repeatOnly, page],
+    () => api.get('/api/infringers', {
+      params: {
+        page,
+        limit: 20,
+        ...(search ? { search } : {}),
+        ...(repeatOnly ? { minIncidents: 2 } : {})
+      }
+    }).then(res => res.data),
+    { keepPreviousData: true }
+  );
+
+  const infringers = data?.infringers || [];
+  const pagination = data?.pagination;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Infringers</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          People, organizations and sites behind reported incidents, repeat offenders first
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+        <div className="card">
+          <div className="card-header space-y-3">
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="text"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search names, domains, emails..."
+                className="form-input pl-9"
+              />
+            </div>
+            <label className="flex items-center text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={repeatOnly}
+                onChange={(e) => {
+                  setRepeatOnly(e.target.checked);
+                  setPage(1);
+                }}
+                className="mr-2"
+              />
+              Repeat offenders only
+            </label>
+          </div>
+
+          {isLoading ? (
+            <div className="card-body flex justify-center py-12">
+              <div className="loading-spinner" />
+            </div>
+          ) : infringers.length === 0 ? (
+            <div className="card-body text-center py-12">
+              <UserX className="mx-auto h-12 w-12 text-gray-400" />
+              <p className="mt-2 text-sm text-gray-500">No infringers found.</p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {infringers.map(infringer => (
+                <li key={infringer._id}>
+                  <button
+                    type="button"
+                    onClick={() => setSelectedId(infringer._id)}
+                    className={`w-full px-6 py-3 text-left hover:bg-gray-50 ${selectedId === infringer._id ? 'bg-blue-50' : ''}`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm font-medium text-gray-900 truncate">{infringer.name}</span>
+                      <span className={`badge ${infringer.incidentCount > 1 ? 'badge-danger' : 'badge-gray'}`}>
+                        {infringer.incidentCount} incident{infringer.incidentCount === 1 ? '' : 's'}
+                      </span>
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500 truncate">
+                      {[...infringer.domains, ...infringer.emails].join(', ') || 'No domains or emails on file'}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {pagination && pagination.pages > 1 && (
+            <div className="card-body flex items-center justify-between border-t border-gray-200">
+              <button
+                type="button"
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="btn-outline"
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+              <span className="text-sm text-gray-500">
+                Page {pagination.current} of {pagination.pages}
+              </span>
+              <button
+                type="button"
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+                className="btn-outline"
+              >
+                <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="card">
+          {selectedId ? (
+            <InfringerHistory infringerId={selectedId} />
+          ) : (
+            <div className="card-body text-center py-12">
+              <p className="text-sm text-gray-500">Select an infringer to see their history.</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Infringers;
@@ -1,7 +1,544 @@
-import React from 'react';
-import { Search, Plus, AlertTriangle, Clock } from 'lucide-react';
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../api/api';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  Search,
+  Plus,
+  Edit,
+  Trash2,
+  BookOpen,
+  Globe,
+  Clock,
+  Radio,
+  Fingerprint
+} from 'lucide-react';
+
+const EDIT_ROLES = ['admin', 'legal', 'manager'];
+
+const MATCH_MODE_LABELS = {
+  any: 'Any keyword',
+  all: 'All keywords',
+  boolean: 'Boolean query'
+};
+
+const HEALTH_BADGES = {
+  healthy: 'badge-success',
+  degraded: 'badge-warning',
+  failing: 'badge-danger',
+  disabled: 'badge-gray',
+  never_run: 'badge-gray'
+};
+
+const RUN_BADGES = {
+  running: 'badge-info',
+  completed: 'badge-success',
+  failed: 'badge-danger',
+  abandoned: 'badge-warning'
+};
+
+const TRIGGER_LABELS = {
+  schedule: 'Scheduled',
+  manual: 'Manual',
+  http: 'External cron'
+};
+
+const formatDate = (value) => (value ? format(new Date(value), 'MMM d, yyyy h:mm a') : 'Never');
+
+const toLines = (value) => value.split('\n').map(line => line.trim()).filter(Boolean);
+
+// Server validation comes back either as express-validator errors or as a list of problems
+const errorMessage = (error, fallback) => {
+  const errors = error.response?.data?.errors;
+  if (errors && errors.length > 0) return errors[0].msg || errors[0];
+  return error.response?.data?.message || fallback;
+};
+
+const Modal = ({ title, children }) => (
+  <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+    <div className="relative top-20 mx-auto p-5 border w-full max-w-lg shadow-lg rounded-md bg-white">
+      <div className="mt-3">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">{title}</h3>
+        {children}
+      </div>
+    </div>
+  </div>
+);
+
+const WatchlistForm = ({ watchlist, works, frequencies, matchModes, saving, onSave, onCancel }) => {
+  const [form, setForm] = useState({
+    name: watchlist?.name || '',
+    description: watchlist?.description || '',
+    enabled: watchlist ? watchlist.enabled : true,
+    frequency: watchlist?.frequency || 'daily',
+    matchMode: watchlist?.matchMode || 'any',
+    keywords: (watchlist?.keywords || []).join('\n'),
+    query: watchlist?.query || '',
+    excludeTerms: (watchlist?.excludeTerms || []).join('\n'),
+    domains: (watchlist?.domains || []).join('\n'),
+    protectedWorks: (watchlist?.protectedWorks || []).map(work => work._id)
+  });
+
+  const set = (field) => (e) => setForm({ ...form, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
+
+  const toggleWork = (id) => setForm({
+    ...form,
+    protectedWorks: form.protectedWorks.includes(id)
+      ? form.protectedWorks.filter(workId => workId !== id)
+      : [...form.protectedWorks, id]
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      name: form.name,
+      description: form.description,
+      enabled: form.enabled,
+      frequency: form.frequency,
+      matchMode: form.matchMode,
+      keywords: toLines(form.keywords),
+      query: form.matchMode === 'boolean' ? form.query : null,
+      excludeTerms: toLines(form.excludeTerms),
+      domains: toLines(form.domains),
+      protectedWorks: form.protectedWorks
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="space-y-4">
+        <div>
+          <label className="form-label">Name *</label>
+          <input value={form.name} onChange={set('name')} required className="form-input" />
+        </div>
+
+        <div>
+          <label className="form-label">Description</label>
+          <input value={form.description} onChange={set('description')} className="form-input" />
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="form-label">Scan frequency</label>
+            <select value={form.frequency} onChange={set('frequency')} className="form-select">
+              {frequencies.map(frequency => (
+                <option key={frequency} value={frequency}>{frequency.charAt(0).toUpperCase() + frequency.slice(1)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Match</label>
+            <select value={form.matchMode} onChange={set('matchMode')} className="form-select">
+              {matchModes.map(mode => (
+                <option key={mode} value={mode}>{MATCH_MODE_LABELS[mode] || mode}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {form.matchMode === 'boolean' ? (
+          <div>
+            <label className="form-label">Query *</label>
+            <input
+              value={form.query}
+              onChange={set('query')}
+              placeholder={'"Signing Naturally" (PDF OR download) NOT review'}
+              className="form-input"
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Combine "quoted phrases" with AND, OR, NOT and parentheses.
+            </p>
+          </div>
+        ) : (
+          <div>
+            <label className="form-label">Keywords</label>
+            <textarea value={form.keywords} onChange={set('keywords')} rows={3} className="form-textarea" />
+            <p className="mt-1 text-xs text-gray-500">One phrase per line.</p>
+          </div>
+        )}
+
+        <div>
+          <label className="form-label">Exclude results mentioning</label>
+          <textarea value={form.excludeTerms} onChange={set('excludeTerms')} rows={2} className="form-textarea" />
+        </div>
+
+        <div>
+          <label className="form-label">Only on domains</label>
+          <textarea
+            value={form.domains}
+            onChange={set('domains')}
+            rows={2}
+            placeholder="Leave empty to match any site"
+            className="form-textarea"
+          />
+        </div>
+
+        {works.length > 0 && (
+          <div>
+            <label className="form-label">Protected works</label>
+            <div className="max-h-40 overflow-y-auto space-y-1 rounded-md border border-gray-200 p-2">
+              {works.map(work => (
+                <label key={work._id} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.protectedWorks.includes(work._id)}
+                    onChange={() => toggleWork(work._id)}
+                    className="h-4 w-4 mr-2 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  {work.title}
+                  {!work.active && <span className="ml-2 text-xs text-gray-400">(inactive)</span>}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            checked={form.enabled}
+            onChange={set('enabled')}
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          <label className="ml-2 block text-sm text-gray-900">Include in scheduled scans</label>
+        </div>
+      </div>
+
+      <div className="flex justify-end space-x-3 mt-6">
+        <button type="button" onClick={onCancel} className="btn-outline">
+          Cancel
+        </button>
+        <button type="submit" disabled={saving} className="btn-primary">
+          {saving ? 'Saving...' : 'Save Watchlist'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const WorkForm = ({ work, workTypes, saving, onSave, onCancel }) => {
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    onSave({
+      title: formData.get('title'),
+      workType: formData.get('workType'),
+      isbn: formData.get('isbn') || null,
+      aliases: toLines(formData.get('aliases')),
+      description: formData.get('description'),
+      active: formData.get('active') === 'on'
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="space-y-4">
+        <div>
+          <label className="form-label">Title *</label>
+          <input name="title" defaultValue={work?.title || ''} required className="form-input" />
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="form-label">Type</label>
+            <select name="workType" defaultValue={work?.workType || 'book'} className="form-select">
+              {workTypes.map(type => (
+                <option key={type} value={type}>{type.charAt(0).toUpperCase() + type.slice(1)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">ISBN</label>
+            <input name="isbn" defaultValue={work?.isbn || ''} className="form-input" />
+          </div>
+        </div>
+
+        <div>
+          <label className="form-label">Also known as</label>
+          <textarea name="aliases" defaultValue={(work?.aliases || []).join('\n')} rows={3} className="form-textarea" />
+          <p className="mt-1 text-xs text-gray-500">One name per line. Watchlists match the title and every alias.</p>
+        </div>
+
+        <div>
+          <label className="form-label">Description</label>
+          <input name="description" defaultValue={work?.description || ''} className="form-input" />
+        </div>
+
+        <div className="flex items-center">
+          <input
+            name="active"
+            type="checkbox"
+            defaultChecked={work ? work.active : true}
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          <label className="ml-2 block text-sm text-gray-900">Monitor this work</label>
+        </div>
+      </div>
+
+      <div className="flex justify-end space-x-3 mt-6">
+        <button type="button" onClick={onCancel} className="btn-outline">
+          Cancel
+        </button>
+        <button type="submit" disabled={saving} className="btn-primary">
+          {saving ? 'Saving...' : 'Save Work'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Reference copies of a work that scans compare fetched pages, PDFs and images against
+const FingerprintPanel = ({ work, canEdit, saving, onAdd, onDelete, onClose }) => {
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const formData = new FormData(form);
+    if (!formData.get('file')?.size) formData.delete('file');
+    if (!formData.get('file') && !formData.get('url')) {
+      toast.error('Choose a file or enter a URL');
+      return;
+    }
+    onAdd(formData, () => form.reset());
+  };
+
+  return (
+    <div>
+      {work.fingerprints.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No fingerprints yet. Alerts are scored by keyword until a reference copy is added.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {work.fingerprints.map(fingerprint => (
+            <li key={fingerprint._id} className="py-2 flex justify-between items-start">
+              <div className="min-w-0">
+                <p className="text-sm text-gray-900 break-words">{fingerprint.label}</p>
+                <p className="text-xs text-gray-500">
+                  {fingerprint.kind === 'text'
+                    ? `Text, ${fingerprint.wordCount.toLocaleString()} words`
+                    : 'Image'}
+                  {' · '}{formatDate(fingerprint.createdAt)}
+                </p>
+              </div>
+              {canEdit && (
+                <button onClick={() => onDelete(fingerprint)} className="text-gray-400 hover:text-red-600 ml-4" title="Delete">
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canEdit ? (
+        <form onSubmit={handleSubmit} className="mt-4 space-y-3 border-t border-gray-200 pt-4">
+          <div>
+            <label className="form-label">File</label>
+            <input
+              name="file"
+              type="file"
+              accept=".pdf,.txt,.html,.htm,.jpg,.jpeg,.png,.gif,.webp"
+              className="block w-full text-sm text-gray-700"
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              A PDF, text or HTML copy, or an image. For video, upload keyframe stills.
+            </p>
+          </div>
+          <div>
+            <label className="form-label">Or URL</label>
+            <input name="url" type="url" placeholder="https://" className="form-input" />
+          </div>
+          <div>
+            <label className="form-label">Label</label>
+            <input name="label" placeholder="Defaults to the file name or URL" className="form-input" />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-3">
+            <button type="button" onClick={onClose} className="btn-outline">
+              Close
+            </button>
+            <button type="submit" disabled={saving} className="btn-primary">
+              {saving ? 'Fingerprinting...' : 'Add Fingerprint'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex justify-end mt-6">
+          <button type="button" onClick={onClose} className="btn-outline">
+            Close
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
 
 const Monitoring = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const canEdit = EDIT_ROLES.includes(user?.role);
+
+  // null when closed, {} for a new record, otherwise the record being edited
+  const [editingWatchlist, setEditingWatchlist] = useState(null);
+  const [editingWork, setEditingWork] = useState(null);
+  const [fingerprintWorkId, setFingerprintWorkId] = useState(null);
+
+  const { data: watchlistData, isLoading: watchlistsLoading } = useQuery(
+    'monitoringWatchlists',
+    () => api.get('/api/monitoring/watchlists').then(res => res.data)
+  );
+
+  const { data: workData } = useQuery(
+    'protectedWorks',
+    () => api.get('/api/monitoring/works').then(res => res.data)
+  );
+
+  const { data: connectorData } = useQuery(
+    'monitoringConnectors',
+    () => api.get('/api/monitoring/connectors').then(res => res.data)
+  );
+
+  const { data: runData } = useQuery(
+    'monitoringRuns',
+    () => api.get('/api/monitoring/runs', { params: { limit: 5 } }).then(res => res.data)
+  );
+
+  const watchlists = watchlistData?.watchlists || [];
+  const works = workData?.works || [];
+  const connectors = connectorData?.connectors || [];
+  const runs = runData?.runs || [];
+
+  const scanMutation = useMutation(
+    () => api.post('/api/monitoring/scan'),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries('monitoringWatchlists');
+        queryClient.invalidateQueries('monitoringConnectors');
+        queryClient.invalidateQueries('monitoringRuns');
+        const { alertsFound, newAlerts } = response.data.results;
+        toast.success(`Scan complete: ${alertsFound} potential match(es), ${newAlerts} new`);
+      },
+      onError: (error) => {
+        queryClient.invalidateQueries('monitoringRuns');
+        toast.error(error.response?.data?.message || 'Failed to run scan');
+      }
+    }
+  );
+
+  const saveWatchlistMutation = useMutation(
+    ({ id, fields }) => (id
+      ? api.put(`/api/monitoring/watchlists/${id}`, fields)
+      : api.post('/api/monitoring/watchlists', fields)),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries('monitoringWatchlists');
+        toast.success(response.data.message);
+        setEditingWatchlist(null);
+      },
+      onError: (error) => {
+        toast.error(errorMessage(error, 'Failed to save watchlist'));
+      }
+    }
+  );
+
+  const deleteWatchlistMutation = useMutation(
+    (id) => api.delete(`/api/monitoring/watchlists/${id}`),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('monitoringWatchlists');
+        toast.success('Watchlist deleted');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete watchlist');
+      }
+    }
+  );
+
+  const saveWorkMutation = useMutation(
+    ({ id, fields }) => (id
+      ? api.put(`/api/monitoring/works/${id}`, fields)
+      : api.post('/api/monitoring/works', fields)),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries('protectedWorks');
+        queryClient.invalidateQueries('monitoringWatchlists');
+        toast.success(response.data.message);
+        setEditingWork(null);
+      },
+      onError: (error) => {
+        toast.error(errorMessage(error, 'Failed to save protected work'));
+      }
+    }
+  );
+
+  const deleteWorkMutation = useMutation(
+    (id) => api.delete(`/api/monitoring/works/${id}`),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('protectedWorks');
+        queryClient.invalidateQueries('monitoringWatchlists');
+        toast.success('Protected work deleted');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete protected work');
+      }
+    }
+  );
+
+  const addFingerprintMutation = useMutation(
+    ({ workId, formData }) => api.post(`/api/monitoring/works/${workId}/fingerprints`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    }),
+    {
+      onSuccess: (response, { onDone }) => {
+        queryClient.invalidateQueries('protectedWorks');
+        toast.success(response.data.message);
+        onDone();
+      },
+      onError: (error) => {
+        toast.error(errorMessage(error, 'Failed to fingerprint the work'));
+      }
+    }
+  );
+
+  const deleteFingerprintMutation = useMutation(
+    ({ workId, fingerprintId }) => api.delete(`/api/monitoring/works/${workId}/fingerprints/${fingerprintId}`),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('protectedWorks');
+        toast.success('Fingerprint deleted');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete fingerprint');
+      }
+    }
+  );
+
+  const handleDeleteWatchlist = (watchlist) => {
+    if (window.confirm(`Delete the "${watchlist.name}" watchlist? Alerts it already found are kept.`)) {
+      deleteWatchlistMutation.mutate(watchlist._id);
+    }
+  };
+
+  const handleDeleteWork = (work) => {
+    if (window.confirm(`Delete "${work.title}"? It will be removed from every watchlist.`)) {
+      deleteWorkMutation.mutate(work._id);
+    }
+  };
+
+  const handleDeleteFingerprint = (fingerprint) => {
+    if (window.confirm(`Delete the fingerprint "${fingerprint.label}"?`)) {
+      deleteFingerprintMutation.mutate({ workId: fingerprint.workId, fingerprintId: fingerprint._id });
+    }
+  };
+
+  // Looked up by ID so the panel shows fingerprints as they are added and removed
+  const fingerprintWork = works.find(work => work._id === fingerprintWorkId);
+
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
@@ -11,21 +548,254 @@ const Monitoring = () => {
             Automated monitoring and detection of DSP content usage
           </p>
         </div>
-        <button className="btn-primary">
-          <Plus className="h-4 w-4 mr-2" />
-          Manual Scan
+        <button
+          onClick={() => scanMutation.mutate()}
+          disabled={scanMutation.isLoading}
+          className="btn-primary"
+        >
+          <Search className="h-4 w-4 mr-2" />
+          {scanMutation.isLoading ? 'Scanning...' : 'Manual Scan'}
         </button>
       </div>
 
       <div className="card">
-        <div className="card-body text-center py-12">
-          <Search className="mx-auto h-12 w-12 text-gray-400" />
-          <h3 className="mt-2 text-sm font-medium text-gray-900">Automated Monitoring</h3>
-          <p className="mt-1 text-sm text-gray-500">
-            This feature will provide automated monitoring of DSP content across the web.
-          </p>
+        <div className="card-header flex justify-between items-center">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Watchlists</h3>
+            <p className="text-sm text-gray-500">What scans look for and how often</p>
+          </div>
+          {canEdit && (
+            <button onClick={() => setEditingWatchlist({})} className="btn-outline btn-sm">
+              <Plus className="h-4 w-4 mr-1" />
+              New Watchlist
+            </button>
+          )}
+        </div>
+        <div className="card-body">
+          {watchlistsLoading ? (
+            <div className="flex justify-center py-8">
+              <div className="loading-spinner" />
+            </div>
+          ) : watchlists.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-6">
+              No watchlists yet. Scans use the built-in DSP brand terms until one is created.
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {watchlists.map(watchlist => (
+                <li key={watchlist._id} className="py-4 flex justify-between items-start">
+                  <div className="min-w-0 space-y-1">
+                    <div className="flex items-center flex-wrap gap-2">
+                      <span className="font-medium text-gray-900">{watchlist.name}</span>
+                      <span className="badge-info">{watchlist.frequency}</span>
+                      <span className="badge-gray">{MATCH_MODE_LABELS[watchlist.matchMode] || watchlist.matchMode}</span>
+                      {!watchlist.enabled && <span className="badge-gray">Disabled</span>}
+                      {watchlist.due && <span className="badge-warning">Due</span>}
+                    </div>
+                    {watchlist.description && <p className="text-sm text-gray-500">{watchlist.description}</p>}
+                    <p className="text-sm text-gray-700 break-words">
+                      {watchlist.matchMode === 'boolean' ? watchlist.query : watchlist.keywords.join(', ')}
+                    </p>
+                    {watchlist.excludeTerms.length > 0 && (
+                      <p className="text-xs text-gray-500">Excluding {watchlist.excludeTerms.join(', ')}</p>
+                    )}
+                    {watchlist.protectedWorks.length > 0 && (
+                      <p className="flex items-center text-xs text-gray-500">
+                        <BookOpen className="h-3 w-3 mr-1" />
+                        {watchlist.protectedWorks.map(work => work.title).join(', ')}
+                      </p>
+                    )}
+                    {watchlist.domains.length > 0 && (
+                      <p className="flex items-center text-xs text-gray-500">
+                        <Globe className="h-3 w-3 mr-1" />
+                        {watchlist.domains.join(', ')}
+                      </p>
+                    )}
+                    <p className="flex items-center text-xs text-gray-400">
+                      <Clock className="h-3 w-3 mr-1" />
+                      Last scanned {formatDate(watchlist.lastScannedAt)}
+                      {watchlist.lastScannedAt && ` · ${watchlist.lastAlertCount} new alert(s)`}
+                    </p>
+                  </div>
+                  {canEdit && (
+                    <div className="flex space-x-2 ml-4">
+                      <button onClick={() => setEditingWatchlist(watchlist)} className="text-gray-400 hover:text-blue-600" title="Edit">
+                        <Edit className="h-4 w-4" />
+                      </button>
+                      <button onClick={() => handleDeleteWatchlist(watchlist)} className="text-gray-400 hover:text-red-600" title="Delete">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+        <div className="card lg:col-span-2">
+          <div className="card-header flex justify-between items-center">
+            <div>
+              <h3 className="text-lg font-medium text-gray-900">Protected Works</h3>
+              <p className="text-sm text-gray-500">DSP titles watchlists can match by name, and copies can be matched by fingerprint</p>
+            </div>
+            {canEdit && (
+              <button onClick={() => setEditingWork({})} className="btn-outline btn-sm">
+                <Plus className="h-4 w-4 mr-1" />
+                Add Work
+              </button>
+            )}
+          </div>
+          <div className="card-body">
+            {works.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-6">No protected works in the catalog.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {works.map(work => (
+                  <li key={work._id} className="py-3 flex justify-between items-start">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-gray-900">{work.title}</span>
+                        <span className="badge-gray">{work.workType}</span>
+                        {!work.active && <span className="badge-warning">Inactive</span>}
+                      </div>
+                      {work.isbn && <p className="text-xs text-gray-500">ISBN {work.isbn}</p>}
+                      {work.aliases.length > 0 && (
+                        <p className="text-xs text-gray-500">Also known as {work.aliases.join(', ')}</p>
+                      )}
+                      <p className="text-xs text-gray-500">
+                        {work.fingerprints.length === 0
+                          ? 'Not fingerprinted'
+                          : `${work.fingerprints.length} fingerprint${work.fingerprints.length === 1 ? '' : 's'}`}
+                      </p>
+                    </div>
+                    <div className="flex space-x-2 ml-4">
+                      <button onClick={() => setFingerprintWorkId(work._id)} className="text-gray-400 hover:text-blue-600" title="Fingerprints">
+                        <Fingerprint className="h-4 w-4" />
+                      </button>
+                      {canEdit && (
+                        <>
+                          <button onClick={() => setEditingWork(work)} className="text-gray-400 hover:text-blue-600" title="Edit">
+                            <Edit className="h-4 w-4" />
+                          </button>
+                          <button onClick={() => handleDeleteWork(work)} className="text-gray-400 hover:text-red-600" title="Delete">
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-6">
+          <div className="card">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900">Sources</h3>
+            </div>
+            <div className="card-body">
+              {connectors.length === 0 ? (
+                <p className="text-sm text-gray-500">No monitoring connectors are configured.</p>
+              ) : (
+                <ul className="space-y-3">
+                  {connectors.map(connector => (
+                    <li key={connector.id} className="flex items-start justify-between">
+                      <div className="min-w-0">
+                        <p className="flex items-center text-sm font-medium text-gray-900">
+                          <Radio className="h-4 w-4 mr-2 text-gray-400" />
+                          {connector.name || connector.id}
+                        </p>
+                        {connector.health.lastError && (
+                          <p className="text-xs text-red-600 break-words">{connector.health.lastError}</p>
+                        )}
+                      </div>
+                      <span className={HEALTH_BADGES[connector.health.status] || 'badge-gray'}>
+                        {connector.health.status.replace('_', ' ')}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          <div className="card">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900">Recent Scans</h3>
+            </div>
+            <div className="card-body">
+              {runs.length === 0 ? (
+                <p className="text-sm text-gray-500">No scans have run yet.</p>
+              ) : (
+                <ul className="space-y-3">
+                  {runs.map(run => (
+                    <li key={run._id}>
+                      <div className="flex items-center justify-between">
+                        <p className="text-sm text-gray-900">
+                          {TRIGGER_LABELS[run.trigger] || run.trigger}
+                          <span className="ml-2 text-xs text-gray-400">{formatDate(run.startedAt)}</span>
+                        </p>
+                        <span className={RUN_BADGES[run.status] || 'badge-gray'}>{run.status}</span>
+                      </div>
+                      {run.status === 'completed' && (
+                        <p className="text-xs text-gray-500">
+                          {run.alertsFound} found, {run.newAlertIds.length} new
+                          {run.connectors.some(connector => connector.error) && ' · some sources failed'}
+                        </p>
+                      )}
+                      {run.error && <p className="text-xs text-red-600 break-words">{run.error}</p>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
         </div>
       </div>
+
+      {editingWatchlist && (
+        <Modal title={editingWatchlist._id ? 'Edit Watchlist' : 'New Watchlist'}>
+          <WatchlistForm
+            watchlist={editingWatchlist._id ? editingWatchlist : null}
+            works={works}
+            frequencies={watchlistData?.frequencies || []}
+            matchModes={watchlistData?.matchModes || []}
+            saving={saveWatchlistMutation.isLoading}
+            onSave={(fields) => saveWatchlistMutation.mutate({ id: editingWatchlist._id, fields })}
+            onCancel={() => setEditingWatchlist(null)}
+          />
+        </Modal>
+      )}
+
+      {editingWork && (
+        <Modal title={editingWork._id ? 'Edit Protected Work' : 'Add Protected Work'}>
+          <WorkForm
+            work={editingWork._id ? editingWork : null}
+            workTypes={workData?.workTypes || []}
+            saving={saveWorkMutation.isLoading}
+            onSave={(fields) => saveWorkMutation.mutate({ id: editingWork._id, fields })}
+            onCancel={() => setEditingWork(null)}
+          />
+        </Modal>
+      )}
+
+      {fingerprintWork && (
+        <Modal title={`Fingerprints: ${fingerprintWork.title}`}>
+          <FingerprintPanel
+            work={fingerprintWork}
+            canEdit={canEdit}
+            saving={addFingerprintMutation.isLoading}
+            onAdd={(formData, onDone) => addFingerprintMutation.mutate({ workId: fingerprintWork._id, formData, onDone })}
+            onDelete={handleDeleteFingerprint}
+            onClose={() => setFingerprintWorkId(null)}
+          />
+        </Modal>
+      )}
     </div>
   );
 };
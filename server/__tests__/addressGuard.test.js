@@ -0,0 +1,96 @@
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const mockPage = {
+  setViewport: jest.fn(),
+  setRequestInterception: jest.fn(),
+  on: jest.fn(),
+  goto: jest.fn(),
+  screenshot: jest.fn(async () => Buffer.from('png')),
+  content: jest.fn(async () => '<html></html>')
+};
+const mockBrowser = {
+  newPage: jest.fn(async () => mockPage),
+  close: jest.fn()
+};
+
+jest.mock('puppeteer', () => ({
+  launch: jest.fn(async () => mockBrowser)
+}));
+
+const axios = require('axios');
+const addressGuard = require('../services/monitoring/addressGuard');
+const HttpClient = require('../services/monitoring/httpClient');
+const PuppeteerRenderer = require('../services/evidenceCapture/puppeteerRenderer');
+
+const PUBLIC_URL = 'http://93.184.216.34/page';
+
+const response = (status, headers = {}, data = '') => ({ status, headers, data });
+
+let client;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  client = new HttpClient({ minIntervalMs: 0, retries: 0 });
+});
+
+describe('addressGuard.isPublicAddress', () => {
+  it.each([
+    '127.0.0.1', '10.0.0.8', '172.20.1.1', '192.168.1.1', '169.254.169.254', '100.100.100.200',
+    '0.0.0.0', '::1', '::ffff:127.0.0.1', 'fd00:ec2::254', 'fe80::1'
+  ])('refuses %s', (address) => {
+    expect(addressGuard.isPublicAddress(address)).toBe(false);
+  });
+
+  it.each(['93.184.216.34', '8.8.8.8', '2606:4700::1111'])('allows %s', (address) => {
+    expect(addressGuard.isPublicAddress(address)).toBe(true);
+  });
+});
+
+describe('HttpClient', () => {
+  it('refuses private hosts before requesting them', async () => {
+    await expect(client.get('http://localhost:8080/admin')).rejects.toMatchObject({ code: addressGuard.BLOCKED_CODE });
+    await expect(client.get('http://[::1]/')).rejects.toMatchObject({ code: addressGuard.BLOCKED_CODE });
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  it('follows redirects between public addresses', async () => {
+    axios.get
+      .mockResolvedValueOnce(response(302, { location: '/moved' }))
+      .mockResolvedValueOnce(response(200, { 'content-type': 'text/html' }, '<p>moved</p>'));
+
+    const result = await client.get(PUBLIC_URL);
+
+    expect(axios.get.mock.calls.map(([url]) => url)).toEqual([PUBLIC_URL, 'http://93.184.216.34/moved']);
+    expect(axios.get.mock.calls[0][1].maxRedirects).toBe(0);
+    expect(result).toMatchObject({ url: 'http://93.184.216.34/moved', status: 200, body: '<p>moved</p>' });
+  });
+
+  it('refuses a redirect to the metadata service', async () => {
+    axios.get.mockResolvedValueOnce(response(301, { location: 'http://169.254.169.254/latest/meta-data/' }));
+
+    await expect(client.get(PUBLIC_URL)).rejects.toMatchObject({ code: addressGuard.BLOCKED_CODE });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('PuppeteerRenderer', () => {
+  it('aborts browser requests to private addresses', async () => {
+    await new PuppeteerRenderer().render(PUBLIC_URL);
+
+    expect(mockPage.setRequestInterception).toHaveBeenCalledWith(true);
+    const [event, onRequest] = mockPage.on.mock.calls[0];
+    expect(event).toBe('request');
+
+    const request = (url) => ({ url: () => url, continue: jest.fn(), abort: jest.fn() });
+    const allowed = request('http://93.184.216.34/style.css');
+    const blocked = request('http://127.0.0.1:5001/api/users');
+    const inline = request('data:image/png;base64,AAAA');
+    [allowed, blocked, inline].forEach(onRequest);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(allowed.continue).toHaveBeenCalled();
+    expect(blocked.abort).toHaveBeenCalledWith('blockedbyclient');
+    expect(blocked.continue).not.toHaveBeenCalled();
+    expect(inline.continue).toHaveBeenCalled();
+  });
+});
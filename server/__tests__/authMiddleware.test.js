@@ -0,0 +1,92 @@
+process.env.DATABASE_TYPE = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+
+const databaseService = require('../config/databaseService');
+const { createRepositories } = require('../repositories');
+const { auth, streamAuth } = require('../middleware/auth-supabase');
+const { cronAuth } = require('../middleware/cronAuth');
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+
+const sign = (payload) => jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1m' });
+
+// Run a middleware and report whether it let the request through
+const run = async (middleware, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const request = Object.assign(req, {
+    query: req.query || {},
+    headers: req.headers || {},
+    header(name) { return this.headers[name.toLowerCase()]; }
+  });
+  let passed = false;
+  await middleware(request, res, () => { passed = true; });
+  return { passed, res };
+};
+
+beforeEach(() => {
+  databaseService.useRepositories(createRepositories('memory', {
+    seed: { users: [{ _id: USER_ID, firstName: 'Ada', lastName: 'Admin', email: 'ada@example.com', role: 'admin', isActive: true }] }
+  }));
+});
+
+describe('auth', () => {
+  it('accepts a session token', async () => {
+    const { passed } = await run(auth, { headers: { authorization: `Bearer ${sign({ userId: USER_ID })}` } });
+    expect(passed).toBe(true);
+  });
+
+  it('rejects a stream token used as a bearer token', async () => {
+    const token = sign({ userId: USER_ID, purpose: 'stream' });
+    const { passed, res } = await run(auth, { headers: { authorization: `Bearer ${token}` } });
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(401);
+  });
+});
+
+describe('streamAuth', () => {
+  it('accepts a stream token in the query string', async () => {
+    const req = { query: { token: sign({ userId: USER_ID, purpose: 'stream' }) } };
+    const { passed } = await run(streamAuth, req);
+
+    expect(passed).toBe(true);
+    expect(req.user._id).toBe(USER_ID);
+  });
+
+  it('rejects a session token in the query string', async () => {
+    const { passed, res } = await run(streamAuth, { query: { token: sign({ userId: USER_ID }) } });
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(401);
+  });
+});
+
+describe('cronAuth', () => {
+  afterEach(() => {
+    delete process.env.CRON_SECRET;
+    delete process.env.MONITORING_CRON_SECRET;
+  });
+
+  it('is unavailable until a secret is set', async () => {
+    const { passed, res } = await run(cronAuth(), { headers: { authorization: 'Bearer anything' } });
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(503);
+  });
+
+  it('takes a route secret before CRON_SECRET', async () => {
+    process.env.CRON_SECRET = 'shared-secret';
+    process.env.MONITORING_CRON_SECRET = 'scan-secret';
+    const call = (middleware, secret) => run(middleware, { headers: { authorization: `Bearer ${secret}` } });
+
+    expect((await call(cronAuth(), 'shared-secret')).passed).toBe(true);
+    expect((await call(cronAuth('MONITORING_CRON_SECRET'), 'scan-secret')).passed).toBe(true);
+    expect((await call(cronAuth('MONITORING_CRON_SECRET'), 'shared-secret')).res.statusCode).toBe(401);
+  });
+});
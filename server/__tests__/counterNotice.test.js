@@ -0,0 +1,81 @@
+process.env.DATABASE_TYPE = 'memory';
+
+const databaseService = require('../config/databaseService');
+const { createRepositories } = require('../repositories');
+const takedownService = require('../services/takedownService');
+const counterNoticeService = require('../services/counterNoticeService');
+
+const LEGAL_ID = '66666666-6666-4666-8666-666666666666';
+const DOCUMENT_ID = '77777777-7777-4777-8777-777777777777';
+
+// Local dates, as business days are counted in the server's time zone
+const day = (month, date) => new Date(2026, month - 1, date, 9);
+
+let repositories;
+
+beforeEach(() => {
+  repositories = createRepositories('memory', {
+    seed: {
+      users: [{ _id: LEGAL_ID, firstName: 'Riley', lastName: 'Chen', email: 'riley@dsp.example', role: 'legal', isActive: true }]
+    }
+  });
+  databaseService.useRepositories(repositories);
+});
+
+describe('takedownService counter-notice window', () => {
+  it('counts 10 and 14 business days from receipt, skipping weekends', () => {
+    const window = takedownService.getCounterNoticeWindow(day(10, 16));
+
+    expect(window.restoreAfter).toEqual(day(10, 30));
+    expect(window.restoreBy).toEqual(day(11, 5));
+    expect(takedownService.businessDaysBetween(day(10, 16), day(10, 30))).toBe(10);
+    expect(takedownService.businessDaysBetween(day(10, 17), day(10, 19))).toBe(1);
+  });
+});
+
+describe('counterNoticeService', () => {
+  it('reminds legal as the window approaches and marks it lapsed once it opens', async () => {
+    const incident = await repositories.incidents.create({
+      title: 'Mirrored lesson videos',
+      status: 'in_progress',
+      legalActions: [{ type: 'dmca_notice', documentId: DOCUMENT_ID, status: 'sent' }]
+    });
+
+    const { incident: recorded, counterNotice } = await counterNoticeService.record({
+      incident,
+      legalAction: incident.legalActions[0],
+      document: { _id: DOCUMENT_ID, title: 'DMCA Takedown Notice' },
+      fields: { receivedAt: day(10, 16), party: { name: 'Example Files' }, signature: 'E. Files' },
+      userId: null
+    });
+
+    expect(recorded.status).toBe('counter_notice_received');
+    expect(counterNotice.missingElements).toEqual(['materialUrls', 'goodFaithMistake', 'address', 'phone', 'consentToJurisdiction', 'acceptsService']);
+
+    const runs = [];
+    for (const now of [day(10, 23), day(10, 23), day(10, 27), day(10, 28), day(10, 29), day(10, 30), day(11, 2)]) {
+      runs.push(await counterNoticeService.sendReminders(now));
+    }
+    expect(runs).toEqual([
+      { pending: 1, reminded: 1, lapsed: 0 },
+      { pending: 1, reminded: 0, lapsed: 0 },
+      { pending: 1, reminded: 0, lapsed: 0 },
+      { pending: 1, reminded: 1, lapsed: 0 },
+      { pending: 1, reminded: 1, lapsed: 0 },
+      { pending: 1, reminded: 0, lapsed: 1 },
+      { pending: 0, reminded: 0, lapsed: 0 }
+    ]);
+
+    const stored = await repositories.incidents.findById(incident._id);
+    expect(stored.legalActions[0].counterNotice).toMatchObject({ status: 'lapsed', remindersSent: [5, 2, 1] });
+
+    const { items: notifications } = await repositories.notifications.listByUser(LEGAL_ID, { sortOrder: 'asc' });
+    expect(notifications.map(notification => notification.title)).toEqual([
+      'Counter-notice received',
+      'Counter-notice deadline approaching',
+      'Counter-notice deadline approaching',
+      'Counter-notice deadline approaching',
+      'Counter-notice window has opened'
+    ]);
+  });
+});
@@ -0,0 +1,75 @@
+process.env.DATABASE_TYPE = 'memory';
+
+const databaseService = require('../config/databaseService');
+const { createRepositories } = require('../repositories');
+const custodyService = require('../services/custodyService');
+
+const LONG_AGO = '2020-01-01T00:00:00.000Z';
+
+let repositories;
+
+const deletedIncident = async (title) => {
+  const incident = await repositories.incidents.create({ title });
+  await repositories.incidents.update(incident._id, { deletedAt: LONG_AGO });
+  return incident;
+};
+
+beforeEach(() => {
+  repositories = createRepositories('memory');
+  databaseService.useRepositories(repositories);
+});
+
+describe('incidents.purgeDeleted', () => {
+  it('keeps deleted incidents that have a custody log', async () => {
+    const withEvidence = await deletedIncident('Mirrored lesson videos');
+    const withoutEvidence = await deletedIncident('Reposted flashcards');
+    await custodyService.record(withEvidence._id, 'evidence-1', 'uploaded', { checksum: 'abc' });
+
+    const { purged, retained } = await repositories.incidents.purgeDeleted(new Date());
+
+    expect(purged.map(incident => incident._id)).toEqual([withoutEvidence._id]);
+    expect(retained.map(incident => incident._id)).toEqual([withEvidence._id]);
+    expect(await repositories.incidents.findById(withEvidence._id, { includeDeleted: true })).not.toBeNull();
+  });
+});
+
+describe('custodyService', () => {
+  it('keeps one chain for evidence shared by two cases', async () => {
+    const source = await repositories.incidents.create({ title: 'Mirrored lesson videos' });
+    const target = await repositories.incidents.create({ title: 'Mirrored lesson videos again' });
+
+    await custodyService.record(source._id, 'evidence-1', 'uploaded', { checksum: 'abc' });
+    await custodyService.record(target._id, 'evidence-1', 'viewed');
+
+    const report = await custodyService.verify(target._id, { id: 'evidence-1', checksum: 'abc' });
+
+    expect(report.valid).toBe(true);
+    expect(report.events.map(event => [event.sequence, event.action, event.incidentId])).toEqual([
+      [1, 'uploaded', source._id],
+      [2, 'viewed', target._id]
+    ]);
+  });
+
+  it('reports events and records altered after they were logged', async () => {
+    const incident = await repositories.incidents.create({ title: 'Mirrored lesson videos' });
+    await custodyService.record(incident._id, 'evidence-1', 'uploaded', { checksum: 'abc' });
+    const viewed = await custodyService.record(incident._id, 'evidence-1', 'viewed', { details: { ip: '203.0.113.7' } });
+    await custodyService.record(incident._id, 'evidence-1', 'downloaded', { checksum: 'abc' });
+
+    repositories.custodyEvents.stores.custodyEvents.update(viewed._id, { details: { ip: '198.51.100.1' } });
+    const report = await custodyService.verify(incident._id, { id: 'evidence-1', checksum: 'def' });
+
+    expect(report.valid).toBe(false);
+    expect(report.issues.map(issue => [issue.sequence, issue.type])).toEqual([
+      [2, 'hash_mismatch'],
+      [null, 'record_altered']
+    ]);
+    expect(report.checksums).toEqual({ ingest: 'abc', record: 'def', stored: null });
+  });
+
+  it('reports evidence with no custody log', async () => {
+    const report = await custodyService.verify('incident-1', { id: 'evidence-2', checksum: 'abc' });
+
+    expect(report.issues.map(issue => issue.type)).toEqual(['missing_log']);
+  });
+});
@@ -0,0 +1,72 @@
+process.env.DATABASE_TYPE = 'memory';
+
+const path = require('path');
+
+const databaseService = require('../config/databaseService');
+const { createRepositories } = require('../repositories');
+const domainIntelService = require('../services/domainIntelService');
+const FixtureResolver = require('../services/domainIntel/fixtureResolver');
+
+const FIXTURES = path.join(__dirname, '..', 'services', 'monitoring', 'fixtures', 'domain-intel.json');
+
+let repositories;
+
+beforeEach(() => {
+  repositories = createRepositories('memory');
+  databaseService.useRepositories(repositories);
+  domainIntelService.setResolver(new FixtureResolver({ file: FIXTURES }));
+});
+
+describe('FixtureResolver', () => {
+  const resolver = new FixtureResolver({ file: FIXTURES });
+
+  it('answers for a domain and its subdomains', async () => {
+    expect(await resolver.lookup('oer.example.org')).toMatchObject({ registrar: 'Example Registrar, Inc.', country: 'CA' });
+    expect(await resolver.lookup('files.example.net')).toMatchObject({ hostingProvider: 'Example Hosting' });
+  });
+
+  it('resolves to null for domains it has no fixture for', async () => {
+    expect(await resolver.lookup('example.org')).toBeNull();
+  });
+});
+
+describe('domainIntelService', () => {
+  it('stores the intelligence for each infringing domain on the incident', async () => {
+    const incident = await repositories.incidents.create({
+      title: 'Mirrored lesson videos',
+      infringedUrls: [
+        { url: 'https://files.example.net/signing-naturally-units-1-6.pdf' },
+        { url: 'https://oer.example.org/resources/asl-unit-5' }
+      ],
+      infringerInfo: { website: 'https://unknown.example' }
+    });
+
+    const enriched = await domainIntelService.enrichIncident(incident._id);
+
+    expect(enriched.domainIntel.map(intel => [intel.domain, intel.resolver, intel.error])).toEqual([
+      ['files.example.net', 'fixture', null],
+      ['oer.example.org', 'fixture', null],
+      ['unknown.example', 'fixture', 'No registration or hosting data found']
+    ]);
+  });
+
+  it('sends takedowns to the host, falling back to the registrar', async () => {
+    const intel = await domainIntelService.lookupAll([
+      'https://files.example.net/signing-naturally-units-1-6.pdf',
+      'https://oer.example.org/resources/asl-unit-5',
+      'https://courses.example.com/courses/asl-101'
+    ]);
+
+    expect(domainIntelService.abuseContact(intel, 'https://files.example.net/a.pdf')).toEqual({
+      organization: 'Example Hosting',
+      email: 'abuse@hosting.example',
+      source: 'hosting_abuse_contact'
+    });
+    expect(domainIntelService.abuseContact(intel, 'https://oer.example.org/resources/asl-unit-5')).toEqual({
+      organization: 'Example Registrar, Inc.',
+      email: 'abuse@registrar.example',
+      source: 'registrar_abuse_contact'
+    });
+    expect(domainIntelService.abuseContact(intel, 'https://courses.example.com/courses/asl-101')).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'dsp-inbound-'));
+process.env.DATABASE_TYPE = 'memory';
+process.env.STORAGE_BACKEND = 'local';
+process.env.STORAGE_LOCAL_ROOT = storageRoot;
+
+const databaseService = require('../config/databaseService');
+const { createRepositories } = require('../repositories');
+const custodyService = require('../services/custodyService');
+const evidenceService = require('../services/evidenceService');
+const inboundEmailService = require('../services/inboundEmailService');
+
+const INCIDENT_ID = '33333333-3333-4333-8333-333333333333';
+const DOCUMENT_ID = '44444444-4444-4444-8444-444444444444';
+const REPLY_TOKEN = '3f9a1c0b7d2e4a61';
+
+const reply = [
+  'From: Host Abuse <abuse@host.example>',
+  `To: legal+${REPLY_TOKEN}@dsp.example`,
+  'Subject: Re: DMCA Takedown Notice',
+  'Message-ID: <reply-1@host.example>',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="part"',
+  '',
+  '--part',
+  'Content-Type: text/plain',
+  '',
+  'The content has been removed.',
+  '--part',
+  'Content-Type: text/plain; name="removal-log.txt"',
+  'Content-Disposition: attachment; filename="removal-log.txt"',
+  '',
+  'Removed /asl-unit-5 at 10:00 UTC',
+  '--part--',
+  ''
+].join('\r\n');
+
+afterAll(() => {
+  fs.rmSync(storageRoot, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  databaseService.useRepositories(createRepositories('memory', {
+    seed: {
+      incidents: [{ _id: INCIDENT_ID, title: 'Mirrored lesson videos', evidence: [], legalActions: [] }],
+      documents: [{ _id: DOCUMENT_ID, incidentId: INCIDENT_ID, title: 'DMCA Takedown Notice', replyToken: REPLY_TOKEN }]
+    }
+  }));
+});
+
+describe('inboundEmailService.ingest', () => {
+  it('opens a custody log for each attachment added as evidence', async () => {
+    const { incident, matchedBy } = await inboundEmailService.ingest(Buffer.from(reply));
+
+    expect(matchedBy).toBe('reply_token');
+    expect(incident.evidence).toHaveLength(1);
+
+    const report = await custodyService.verify(incident._id, evidenceService.describe(incident.evidence[0]));
+    expect(report.valid).toBe(true);
+    expect(report.events).toHaveLength(1);
+    expect(report.events[0]).toMatchObject({
+      action: 'uploaded',
+      details: { fileName: 'removal-log.txt', receivedFrom: '"Host Abuse" <abuse@host.example>', documentId: DOCUMENT_ID }
+    });
+  });
+});
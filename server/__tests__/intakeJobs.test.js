@@ -0,0 +1,79 @@
+process.env.DATABASE_TYPE = 'memory';
+
+const databaseService = require('../config/databaseService');
+const { createRepositories } = require('../repositories');
+const domainIntelService = require('../services/domainIntelService');
+const evidenceCaptureService = require('../services/evidenceCaptureService');
+const intakeJobService = require('../services/intakeJobService');
+
+let repositories;
+
+beforeEach(() => {
+  repositories = createRepositories('memory');
+  databaseService.useRepositories(repositories);
+  jest.spyOn(domainIntelService, 'enrichIncident').mockResolvedValue(null);
+  jest.spyOn(domainIntelService, 'enrichAlert').mockImplementation(async alert => alert);
+  jest.spyOn(evidenceCaptureService, 'captureIncident').mockResolvedValue(null);
+  jest.spyOn(evidenceCaptureService, 'captureAlert').mockImplementation(async alert => alert);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.EVIDENCE_CAPTURE_AUTO;
+});
+
+describe('intakeJobService', () => {
+  it('queues domain lookups, and evidence capture unless automatic capture is off', () => {
+    expect(intakeJobService.jobsFor()).toEqual(['domain_intel', 'evidence_capture']);
+
+    process.env.EVIDENCE_CAPTURE_AUTO = 'false';
+    expect(intakeJobService.jobsFor()).toEqual(['domain_intel']);
+  });
+
+  it('runs the pending jobs of incidents and alerts and clears them', async () => {
+    const queued = await repositories.incidents.create({ title: 'Mirrored lesson videos', pendingJobs: ['domain_intel', 'evidence_capture'] });
+    const done = await repositories.incidents.create({ title: 'Reposted flashcards' });
+    const alert = await repositories.alerts.create({ title: 'Course page excerpt', sourceUrl: 'https://example.com/course', pendingJobs: ['evidence_capture'] });
+
+    expect(await intakeJobService.drain()).toEqual({ incidents: 1, alerts: 1, jobs: 3 });
+
+    expect(domainIntelService.enrichIncident).toHaveBeenCalledWith(queued._id);
+    expect(domainIntelService.enrichAlert).not.toHaveBeenCalled();
+    expect(evidenceCaptureService.captureIncident).toHaveBeenCalledWith(queued._id);
+    expect(evidenceCaptureService.captureIncident).not.toHaveBeenCalledWith(done._id);
+    expect(evidenceCaptureService.captureAlert).toHaveBeenCalledWith(expect.objectContaining({ _id: alert._id }));
+    expect((await repositories.incidents.findById(queued._id)).pendingJobs).toEqual([]);
+    expect((await repositories.alerts.findById(alert._id)).pendingJobs).toEqual([]);
+
+    expect(await intakeJobService.drain()).toEqual({ incidents: 0, alerts: 0, jobs: 0 });
+  });
+
+  it('clears jobs that fail and skips a drain while another runs', async () => {
+    const incident = await repositories.incidents.create({ title: 'Mirrored lesson videos', pendingJobs: ['evidence_capture'] });
+    let finish;
+    evidenceCaptureService.captureIncident.mockImplementation(() => new Promise((resolve, reject) => {
+      finish = () => reject(new Error('Storage unavailable'));
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const draining = intakeJobService.drain();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(await intakeJobService.drain()).toEqual({ skipped: true });
+
+    finish();
+    expect(await draining).toEqual({ incidents: 1, alerts: 0, jobs: 1 });
+    expect((await repositories.incidents.findById(incident._id)).pendingJobs).toEqual([]);
+  });
+
+  it('keeps jobs queued while earlier ones ran', async () => {
+    const incident = await repositories.incidents.create({ title: 'Mirrored lesson videos', pendingJobs: ['domain_intel'] });
+    domainIntelService.enrichIncident.mockImplementation(async id => repositories.incidents.update(id, {
+      pendingJobs: ['domain_intel', 'evidence_capture']
+    }));
+
+    await intakeJobService.runJobs('incidents', incident);
+
+    expect((await repositories.incidents.findById(incident._id)).pendingJobs).toEqual(['evidence_capture']);
+    expect(evidenceCaptureService.captureIncident).not.toHaveBeenCalled();
+  });
+});
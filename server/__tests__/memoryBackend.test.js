@@ -0,0 +1,196 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'dsp-memory-'));
+process.env.DATABASE_TYPE = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.STORAGE_BACKEND = 'local';
+process.env.STORAGE_LOCAL_ROOT = storageRoot;
+process.env.EVIDENCE_CAPTURE_AUTO = 'false';
+
+jest.mock('../services/emailService', () => ({
+  sendInvitationEmail: jest.fn()
+}));
+
+const databaseService = require('../config/databaseService');
+const { createRepositories } = require('../repositories');
+const emailService = require('../services/emailService');
+const domainIntelService = require('../services/domainIntelService');
+const FixtureResolver = require('../services/domainIntel/fixtureResolver');
+const notificationService = require('../services/notificationService');
+const app = require('../index');
+
+const STAFF_ID = '22222222-2222-4222-8222-222222222222';
+
+let server;
+let baseUrl;
+let token;
+
+const request = async (method, url, body) => {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+const newIncident = {
+  title: 'Copied ASL lessons',
+  description: 'Lesson videos reuploaded without permission',
+  incidentType: 'copyright_infringement',
+  severity: 'high',
+  infringedContent: 'ASL Unit 5 lesson videos',
+  infringedUrls: [{ url: 'example.com/asl-unit-5', description: 'Mirror' }]
+};
+
+beforeAll(async () => {
+  databaseService.useRepositories(createRepositories('memory', {
+    seed: {
+      users: [{
+        _id: STAFF_ID,
+        firstName: 'Sam',
+        lastName: 'Staff',
+        email: 'sam@example.com',
+        role: 'staff',
+        department: 'legal',
+        isActive: true
+      }]
+    }
+  }));
+
+  domainIntelService.setResolver(new FixtureResolver({
+    fixtures: { 'example.com': { registrar: 'Example Registrar', hostingAbuseEmail: 'abuse@example.net' } }
+  }));
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(storageRoot, { recursive: true, force: true });
+});
+
+describe('memory backend', () => {
+  let incidentId;
+
+  it('signs in the default admin', async () => {
+    const login = await request('POST', '/api/auth/login', { email: 'admin@dsp.com', password: 'admin123' });
+    expect(login.status).toBe(200);
+    token = login.body.token;
+
+    const me = await request('GET', '/api/auth/me');
+    expect(me.status).toBe(200);
+    expect(me.body.role).toBe('admin');
+  });
+
+  it('creates, lists and reads incidents', async () => {
+    const created = await request('POST', '/api/incidents', newIncident);
+    expect(created.status).toBe(201);
+    incidentId = created.body.incident._id;
+    expect(created.body.incident.infringedUrls[0].url).toBe('https://example.com/asl-unit-5');
+
+    const list = await request('GET', '/api/incidents');
+    expect(list.status).toBe(200);
+    expect(list.body.incidents.map(incident => incident._id)).toContain(incidentId);
+    expect(list.body.pagination.total).toBe(1);
+
+    const note = await request('POST', `/api/incidents/${incidentId}/notes`, { content: 'Contacted the host' });
+    expect(note.status).toBe(200);
+
+    const fetched = await request('GET', `/api/incidents/${incidentId}`);
+    expect(fetched.status).toBe(200);
+    expect(fetched.body.notes[0].author.email).toBe('admin@dsp.com');
+  });
+
+  it('moves a case through the workflow and records its activity', async () => {
+    const transitions = await request('GET', `/api/cases/${incidentId}/transitions`);
+    expect(transitions.status).toBe(200);
+    expect(transitions.body.currentStatus).toBe('reported');
+    expect(transitions.body.transitions.map(transition => transition.to)).toContain('under_review');
+
+    const updated = await request('PUT', `/api/cases/${incidentId}/status`, { status: 'under_review' });
+    expect(updated.status).toBe(200);
+
+    const activity = await request('GET', `/api/cases/${incidentId}/activity`);
+    expect(activity.status).toBe(200);
+    expect(activity.body.activities.map(entry => entry.type).sort()).toEqual(['comment_added', 'created', 'status_changed']);
+  });
+
+  it('clears SLA flags when the due date moves', async () => {
+    const { incidents } = databaseService.getRepositories();
+    const existing = await incidents.findById(incidentId);
+    await incidents.update(incidentId, { sla: { ...existing.sla, status: 'breached', breachedAt: new Date().toISOString() } });
+
+    const updated = await request('PUT', `/api/incidents/${incidentId}`, { dueDate: '2030-01-01T00:00:00.000Z' });
+    expect(updated.status).toBe(200);
+
+    expect((await incidents.findById(incidentId)).sla).toEqual({
+      policy: existing.sla.policy, status: null, atRiskAt: null, breachedAt: null
+    });
+  });
+
+  it('lists and marks notifications', async () => {
+    const me = await request('GET', '/api/auth/me');
+    await notificationService.create({
+      userId: me.body.id,
+      type: 'case_assigned',
+      title: 'Case assigned',
+      message: 'You were assigned a case',
+      incidentId
+    });
+
+    const list = await request('GET', '/api/notifications');
+    expect(list.status).toBe(200);
+    expect(list.body.notifications).toHaveLength(1);
+
+    const unread = await request('GET', '/api/notifications/unread-count');
+    expect(unread.body.unreadCount).toBe(1);
+
+    const read = await request('PUT', '/api/notifications/read-all');
+    expect(read.status).toBe(200);
+    expect((await request('GET', '/api/notifications/unread-count')).body.unreadCount).toBe(0);
+  });
+
+  it('invites and lists users', async () => {
+    const invited = await request('POST', '/api/users', {
+      firstName: 'Ivy',
+      lastName: 'Invitee',
+      email: 'ivy@example.com',
+      role: 'viewer',
+      department: 'marketing'
+    });
+    expect(invited.status).toBe(201);
+    expect(invited.body.user.invitationStatus).toBe('pending');
+    expect(emailService.sendInvitationEmail).toHaveBeenCalled();
+
+    const list = await request('GET', '/api/users?status=active');
+    expect(list.status).toBe(200);
+    expect(list.body.users.map(user => user.email).sort()).toEqual(['admin@dsp.com', 'sam@example.com']);
+  });
+
+  it('soft deletes, restores and purges incidents', async () => {
+    expect((await request('DELETE', `/api/incidents/${incidentId}`, { reason: 'Duplicate report' })).status).toBe(200);
+    expect((await request('GET', `/api/incidents/${incidentId}`)).status).toBe(404);
+
+    const deleted = await request('GET', '/api/incidents/deleted/list');
+    expect(deleted.status).toBe(200);
+    expect(deleted.body.incidents.map(incident => incident.id)).toContain(incidentId);
+
+    expect((await request('POST', `/api/incidents/${incidentId}/restore`)).status).toBe(200);
+    expect((await request('GET', `/api/incidents/${incidentId}`)).status).toBe(200);
+
+    await request('DELETE', `/api/incidents/${incidentId}`);
+    const purged = await request('DELETE', '/api/incidents/deleted/purge');
+    expect(purged.status).toBe(200);
+    expect(purged.body.purged).toEqual([]);
+  });
+});
@@ -0,0 +1,76 @@
+const path = require('path');
+
+const FixtureHttpClient = require('../services/monitoring/fixtureHttpClient');
+const RssConnector = require('../services/monitoring/rssConnector');
+const SitemapConnector = require('../services/monitoring/sitemapConnector');
+const HtmlConnector = require('../services/monitoring/htmlConnector');
+const { compileWatchlist } = require('../services/monitoring/matcher');
+const { connectors } = require('../services/monitoring/fixtures/connectors.json');
+
+const FIXTURES = path.join(__dirname, '..', 'services', 'monitoring', 'fixtures');
+
+const watchlists = [compileWatchlist({
+  _id: 'dsp',
+  name: 'DSP brand terms',
+  matchMode: 'any',
+  keywords: ['Signing Naturally', 'DawnSignPress'],
+  protectedWorks: [{ title: 'Signing Naturally Units 1-6', workType: 'book' }]
+})];
+
+const connectorConfig = (id) => connectors.find(connector => connector.id === id);
+
+// Run a connector from connectors.json against the recorded responses
+const run = async (Type, id) => {
+  const http = new FixtureHttpClient({ dir: FIXTURES });
+  const alerts = await new Type(connectorConfig(id), { http, watchlists }).run();
+  return { alerts, requests: http.requests };
+};
+
+describe('monitoring connectors against the recorded fixtures', () => {
+  it('turns matching feed entries into alerts', async () => {
+    const { alerts } = await run(RssConnector, 'google-alerts');
+
+    expect(alerts.map(alert => alert.sourceUrl)).toEqual([
+      'https://files.example.net/signing-naturally-units-1-6.pdf',
+      'https://blog.example.com/2026/10/signing-naturally-review'
+    ]);
+    expect(alerts[0]).toMatchObject({
+      sourceDomain: 'files.example.net',
+      matchedKeywords: ['Signing Naturally', 'Signing Naturally Units 1-6'],
+      dspContent: { title: 'Signing Naturally Units 1-6', contentType: 'book' },
+      metadata: { connector: 'google-alerts', watchlists: ['dsp'], publishedAt: '2026-10-12T09:15:00.000Z' }
+    });
+  });
+
+  it('follows the sitemap index to included pages and skips pages that fail', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { alerts, requests } = await run(SitemapConnector, 'example-oer');
+    console.error.mockRestore();
+
+    expect(requests).toEqual([
+      'https://oer.example.org/sitemap.xml',
+      'https://oer.example.org/sitemap-resources.xml',
+      'https://oer.example.org/resources/asl-unit-5',
+      'https://oer.example.org/resources/spanish-basics',
+      'https://oer.example.org/resources/removed'
+    ]);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      sourceUrl: 'https://oer.example.org/resources/asl-unit-5',
+      matchedKeywords: ['Signing Naturally', 'DawnSignPress'],
+      metadata: { platform: 'Example OER', publishedAt: '2026-10-11T00:00:00.000Z' }
+    });
+  });
+
+  it('searches with the configured keywords and reads each result once', async () => {
+    const { alerts, requests } = await run(HtmlConnector, 'example-courses');
+
+    expect(requests).toEqual(['https://courses.example.com/search?q=Signing+Naturally+OR+DawnSignPress']);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      sourceUrl: 'https://courses.example.com/courses/asl-101',
+      sourceDomain: 'courses.example.com',
+      dspContent: { title: 'Signing Naturally Units 1-6' }
+    });
+  });
+});
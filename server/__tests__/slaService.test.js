@@ -0,0 +1,113 @@
+const databaseService = require('../config/databaseService');
+const { createRepositories } = require('../repositories');
+const settingsService = require('../services/settingsService');
+const slaService = require('../services/slaService');
+
+const MANAGER_ID = '55555555-5555-4555-8555-555555555555';
+const HOUR = 60 * 60 * 1000;
+
+let repositories;
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR).toISOString();
+
+beforeEach(() => {
+  repositories = createRepositories('memory', {
+    seed: {
+      users: [{ _id: MANAGER_ID, firstName: 'Morgan', lastName: 'Lee', email: 'morgan@dsp.example', role: 'manager', isActive: true }]
+    }
+  });
+  databaseService.useRepositories(repositories);
+  settingsService.cache.clear();
+});
+
+describe('slaService', () => {
+  it('takes the due date from the first matching policy', async () => {
+    const reportedAt = '2026-10-12T09:00:00.000Z';
+
+    expect(await slaService.calculateDueDate({ severity: 'critical', priority: 'urgent', reportedAt }))
+      .toEqual({ dueDate: new Date('2026-10-13T09:00:00.000Z'), policy: 'Critical severity' });
+    expect(await slaService.calculateDueDate({ severity: 'medium', incidentType: 'impersonation', reportedAt }))
+      .toEqual({ dueDate: new Date('2026-10-15T09:00:00.000Z'), policy: 'Impersonation' });
+    expect((await slaService.calculateDueDate({ severity: 'low', reportedAt })).policy).toBe('Standard');
+  });
+
+  it('reports how far through its window a case is', () => {
+    const now = new Date('2026-10-14T00:00:00.000Z');
+    const reportedAt = '2026-10-10T00:00:00.000Z';
+    const state = (fields) => slaService.getState({ status: 'in_progress', reportedAt, ...fields }, 0.75, now);
+
+    expect(state({ dueDate: '2026-10-20T00:00:00.000Z' })).toBe('on_track');
+    expect(state({ dueDate: '2026-10-15T00:00:00.000Z' })).toBe('at_risk');
+    expect(state({ dueDate: '2026-10-13T00:00:00.000Z' })).toBe('breached');
+    expect(state({ status: 'resolved', dueDate: '2026-10-13T00:00:00.000Z', resolvedAt: '2026-10-12T00:00:00.000Z' })).toBe('met');
+    expect(state({ status: 'closed', dueDate: '2026-10-13T00:00:00.000Z', resolvedAt: now })).toBe('missed');
+    expect(state({ dueDate: null })).toBeNull();
+  });
+
+  it('escalates breached cases, flags at-risk ones and notifies managers once', async () => {
+    const breached = await repositories.incidents.create({
+      title: 'Mirrored lesson videos', status: 'in_progress', reportedAt: hoursAgo(48), dueDate: hoursAgo(1)
+    });
+    const atRisk = await repositories.incidents.create({
+      title: 'Reposted flashcards', status: 'under_review', reportedAt: hoursAgo(20), dueDate: hoursAgo(-4)
+    });
+    await repositories.incidents.create({
+      title: 'Course page excerpt', status: 'reported', reportedAt: hoursAgo(1), dueDate: hoursAgo(-167)
+    });
+
+    expect(await slaService.checkDeadlines()).toEqual({ checked: 3, atRisk: 1, breached: 1, escalated: 1 });
+
+    expect(await repositories.incidents.findById(breached._id)).toMatchObject({
+      status: 'escalated', sla: { status: 'breached', breachedAt: expect.any(String) }
+    });
+    expect(await repositories.incidents.findById(atRisk._id)).toMatchObject({
+      status: 'under_review', sla: { status: 'at_risk' }
+    });
+
+    const { items: activity } = await repositories.caseActivities.listByIncident(breached._id);
+    expect(activity).toEqual([expect.objectContaining({ type: 'status_changed' })]);
+
+    const { items: notifications } = await repositories.notifications.listByUser(MANAGER_ID);
+    expect(notifications.map(notification => notification.title).sort())
+      .toEqual(['Case approaching SLA deadline', 'Case breached SLA']);
+
+    expect(await slaService.checkDeadlines()).toEqual({ checked: 3, atRisk: 0, breached: 0, escalated: 0 });
+    expect(await repositories.notifications.countUnread(MANAGER_ID)).toBe(2);
+  });
+
+  it('only flags breaches the workflow does not let it escalate', async () => {
+    const incident = await repositories.incidents.create({
+      title: 'Mirrored lesson videos', status: 'reported', reportedAt: hoursAgo(48), dueDate: hoursAgo(1)
+    });
+
+    expect(await slaService.checkDeadlines()).toEqual({ checked: 1, atRisk: 0, breached: 1, escalated: 0 });
+
+    expect(await repositories.incidents.findById(incident._id)).toMatchObject({
+      status: 'reported', sla: { status: 'breached' }
+    });
+    const { items: notifications } = await repositories.notifications.listByUser(MANAGER_ID);
+    expect(notifications.map(notification => notification.message))
+      .toEqual([expect.not.stringContaining('escalated')]);
+  });
+
+  it('reads cases a page at a time', async () => {
+    for (let i = 0; i < 501; i++) {
+      await repositories.incidents.create({ title: `Reposted flashcards ${i}`, status: 'in_progress', reportedAt: hoursAgo(1), dueDate: hoursAgo(-167) });
+    }
+    const list = jest.spyOn(repositories.incidents, 'list');
+
+    expect((await slaService.getComplianceStats()).total).toBe(501);
+    expect(list.mock.calls.map(([, options]) => [options.page, options.limit])).toEqual([[1, 500], [2, 500]]);
+  });
+
+  it('does not flag a case whose due date moved during the check', async () => {
+    const incident = await repositories.incidents.create({
+      title: 'Mirrored lesson videos', status: 'in_progress', reportedAt: hoursAgo(48), dueDate: hoursAgo(1)
+    });
+    const [stale] = await slaService.getOpenCases();
+    await repositories.incidents.update(incident._id, { dueDate: hoursAgo(-24) });
+
+    expect(await slaService.updateCase(stale, { slaStatus: 'breached', status: 'escalated' })).toBeNull();
+    expect(await repositories.incidents.findById(incident._id)).toMatchObject({ status: 'in_progress', sla: { status: null } });
+  });
+});
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'dsp-takedown-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.STORAGE_LOCAL_ROOT = storageRoot;
+
+const mockPage = {
+  setContent: jest.fn(),
+  pdf: jest.fn()
+};
+const mockBrowser = {
+  newPage: jest.fn(async () => mockPage),
+  close: jest.fn()
+};
+
+jest.mock('puppeteer', () => ({
+  launch: jest.fn(async () => mockBrowser)
+}));
+
+const storageService = require('../services/storageService');
+const takedownService = require('../services/takedownService');
+
+afterAll(() => {
+  fs.rmSync(storageRoot, { recursive: true, force: true });
+});
+
+describe('takedownService.renderPdf', () => {
+  it('renders the notice to a stored PDF', async () => {
+    const pdf = Uint8Array.from(Buffer.from('%PDF-1.4 notice'));
+    mockPage.pdf.mockResolvedValue(pdf);
+
+    const result = await takedownService.renderPdf(
+      { title: 'DMCA Takedown Notice', content: 'Remove <this> & that' },
+      'takedown-DSP-1'
+    );
+
+    expect(mockPage.setContent.mock.calls[0][0]).toContain('<pre>Remove &lt;this&gt; &amp; that</pre>');
+    expect(result.fileName).toBe('takedown-DSP-1.pdf');
+    expect(Buffer.isBuffer(result.content)).toBe(true);
+    expect(result.content.toString()).toBe('%PDF-1.4 notice');
+    expect(result.fileSize).toBe(result.content.length);
+    expect(result.checksum).toBe(storageService.checksum(result.content));
+    expect((await storageService.get(result.filePath)).toString()).toBe('%PDF-1.4 notice');
+    expect(mockBrowser.close).toHaveBeenCalled();
+  });
+});
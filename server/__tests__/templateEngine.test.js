@@ -0,0 +1,91 @@
+const { render, isTemplateError } = require('../services/templates/engine');
+const templateService = require('../services/templateService');
+
+const context = {
+  incident: {
+    title: 'Mirrored lesson videos',
+    reportedAt: '2026-10-12T09:15:00.000Z',
+    infringedUrls: [{ url: 'https://files.example.net/unit-1' }, { url: 'https://files.example.net/unit-2' }]
+  },
+  infringer: { name: 'Example Files', emails: ['abuse@example.net', 'legal@example.net'] },
+  company: { name: 'DawnSignPress' }
+};
+
+const renderError = (source, options) => {
+  try {
+    render(source, context, options);
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('template engine', () => {
+  it('fills in values through filters', () => {
+    expect(render('{{incident.title}} reported {{incident.reportedAt | date "MMMM D, YYYY"}}', context))
+      .toBe('Mirrored lesson videos reported October 12, 2026');
+    expect(render('To: {{infringer.emails | join "; " | upper}}', context))
+      .toBe('To: ABUSE@EXAMPLE.NET; LEGAL@EXAMPLE.NET');
+    expect(render('[{{infringer.phone}}]', context)).toBe('[]');
+  });
+
+  it('renders conditionals and lists', () => {
+    const source = [
+      '{{#if infringer.email}}{{infringer.email}}{{else}}{{infringer.name}}{{/if}}',
+      '{{#each incident.infringedUrls}}',
+      '{{@number}}. {{url}} ({{../infringer.name}}){{#unless @last}};{{/unless}}',
+      '{{/each}}'
+    ].join('\n');
+
+    expect(render(source, context)).toBe([
+      'Example Files',
+      '1. https://files.example.net/unit-1 (Example Files);',
+      '2. https://files.example.net/unit-2 (Example Files)',
+      ''
+    ].join('\n'));
+    expect(render('{{#each incident.removedUrls}}{{url}}{{else}}none{{/each}}', context)).toBe('none');
+  });
+
+  it('inserts partials with the same data', () => {
+    const partials = { signature: 'Legal Department, {{company.name}}' };
+
+    expect(render('Regards,\n{{> signature}}', context, { partials })).toBe('Regards,\nLegal Department, DawnSignPress');
+    expect(renderError('{{> letterhead}}', { partials })).toMatchObject({ message: 'Unknown partial "letterhead" (line 1)' });
+    expect(isTemplateError(renderError('{{> loop}}', { partials: { loop: '{{> loop}}' } }))).toBe(true);
+  });
+
+  it('stops renders that fan out through partials', () => {
+    const includeTen = (name) => `{{> ${name}}}`.repeat(10);
+    const partials = { p1: includeTen('p2'), p2: includeTen('p3'), p3: includeTen('p4'), p4: includeTen('p5'), p5: 'x' };
+
+    expect(renderError(includeTen('p1'), { partials })).toMatchObject({ message: 'Template takes too long to render (line 1)' });
+    expect(render(includeTen('p2'), context, { partials })).toBe('x'.repeat(10000));
+  });
+
+  it('reports malformed templates with their line', () => {
+    const cases = ['{{#if incident.title}}open', '\n{{incident.title | shout}}', '{{incident.title', '{{/each}}'];
+    const errors = cases.map(source => renderError(source));
+
+    expect(errors.every(isTemplateError)).toBe(true);
+    expect(errors.map(error => error.line)).toEqual([1, 2, 1, 1]);
+  });
+
+  it('only reads the data it is given', () => {
+    expect(render('{{__proto__}}|{{incident.constructor.name}}|{{company.toString}}', context)).toBe('||');
+    expect(render('{{#each incident.title.length}}x{{/each}}', context)).toBe('');
+  });
+});
+
+describe('templateService', () => {
+  it('keeps the bindings ahead of variables of the same name', () => {
+    const template = {
+      subject: 'Re: {{incident.title}}',
+      content: '{{today}} {{incident.title}} {{user.fullName}} {{deadline}}',
+      variables: [{ name: 'today', defaultValue: 'yesterday' }, { name: 'deadline', defaultValue: '10 days' }]
+    };
+    const bindings = { incident: { title: 'Mirrored lesson videos' }, today: '2026-10-19' };
+
+    expect(templateService.render(template, { incident: { title: 'Nothing to see' }, user: { fullName: 'Someone else' } }, { context: bindings }))
+      .toEqual({ subject: 'Re: Mirrored lesson videos', content: '2026-10-19 Mirrored lesson videos  10 days' });
+  });
+});
@@ -0,0 +1,69 @@
+const mockSettings = new Map();
+
+jest.mock('../services/settingsService', () => ({
+  get: jest.fn(async (key, defaultValue = null) => (mockSettings.has(key) ? mockSettings.get(key) : defaultValue)),
+  set: jest.fn(async (key, value) => {
+    mockSettings.set(key, value);
+    return value;
+  })
+}));
+
+const workflowService = require('../services/workflowService');
+
+beforeEach(() => {
+  mockSettings.clear();
+});
+
+describe('workflowService', () => {
+  it('lists the transitions out of a status with what each still needs', async () => {
+    const transitions = await workflowService.getAvailableTransitions({
+      status: 'in_progress',
+      incidentType: 'copyright_infringement',
+      role: 'manager',
+      values: {}
+    });
+
+    expect(transitions.map(({ to, allowed, missingFields }) => [to, allowed, missingFields])).toEqual([
+      ['escalated', true, []],
+      ['resolved', true, ['resolution.outcome']],
+      ['counter_notice_received', false, []]
+    ]);
+  });
+
+  it('checks the path, the role and the required fields of a status change', async () => {
+    const change = (from, to, role, values = {}) => workflowService.validateTransition({
+      from, to, role, incidentType: 'copyright_infringement', values
+    });
+
+    expect(await change('reported', 'resolved', 'admin')).toMatchObject({ valid: false, statusCode: 400 });
+    expect(await change('escalated', 'resolved', 'manager', { resolution: { outcome: 'content_removed' } }))
+      .toMatchObject({ valid: false, statusCode: 403, required: ['admin', 'legal'] });
+    expect(await change('in_progress', 'resolved', 'legal'))
+      .toMatchObject({ valid: false, statusCode: 400, missingFields: ['resolution.outcome'] });
+
+    const values = workflowService.toWorkflowValues({ status: 'in_progress', resolution: {} }, { resolution: { outcome: 'content_removed' } });
+    expect(await change('in_progress', 'resolved', 'legal', values)).toMatchObject({ valid: true });
+  });
+
+  it('uses a saved workflow for its incident types', async () => {
+    const workflow = {
+      defaultRoles: ['admin'],
+      default: { transitions: [{ from: 'reported', to: 'under_review' }] },
+      incidentTypes: {
+        impersonation: { transitions: [{ from: 'reported', to: 'escalated', roles: ['staff'] }] }
+      }
+    };
+    expect(workflowService.validateDefinition(workflow)).toEqual([]);
+    await workflowService.saveWorkflow(workflow, null);
+
+    expect(await workflowService.validateTransition({ from: 'reported', to: 'escalated', role: 'staff', incidentType: 'impersonation' }))
+      .toMatchObject({ valid: true });
+    expect(await workflowService.validateTransition({ from: 'reported', to: 'under_review', role: 'staff', incidentType: 'other' }))
+      .toMatchObject({ valid: false, statusCode: 403 });
+  });
+
+  it('rejects workflows that name unknown statuses', () => {
+    expect(workflowService.validateDefinition({ default: { transitions: [{ from: 'reported', to: 'archived' }] } }))
+      .not.toEqual([]);
+  });
+});
@@ -1,15 +1,20 @@
 const mongoose = require('mongoose');
 const supabaseService = require('../services/supabaseService');
+const { createRepositories } = require('../repositories');
 
 class DatabaseService {
   constructor() {
     this.type = process.env.DATABASE_TYPE || 'supabase';
     this.mongodb = null;
     this.supabase = supabaseService;
+    this.repositories = null;
   }
 
   async connect() {
-    if (this.type === 'supabase') {
+    if (this.type === 'memory') {
+      console.log('📊 Using in-memory repositories');
+      return this.getRepositories();
+    } else if (this.type === 'supabase') {
       console.log('📊 Using Supabase PostgreSQL database');
       return this.supabase;
     } else {
@@ -37,6 +42,19 @@ class DatabaseService {
     }
   }
 
+  // Repositories for the configured database, created on first use
+  getRepositories() {
+    if (!this.repositories) {
+      this.repositories = createRepositories(this.type);
+    }
+    return this.repositories;
+  }
+
+  // Replace the repositories, e.g. with seeded in-memory ones in tests
+  useRepositories(repositories) {
+    this.repositories = repositories;
+  }
+
   async disconnect() {
     if (this.type === 'mongodb' && this.mongodb) {
       await this.mongodb.disconnect();
@@ -0,0 +1,44 @@
+-- =====================================================
+-- CASE ACTIVITY TIMELINE MIGRATION
+-- =====================================================
+-- The API now writes structured case_activities rows for every create,
+-- update, assignment, status change, note, evidence upload and template
+-- use. This migration makes sure the table exists, allows the soft delete
+-- activity types, and removes the generic row-level trigger that would
+-- otherwise duplicate every update as an unattributed "Incident updated".
+
+CREATE TABLE IF NOT EXISTS case_activities (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    incident_id UUID NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    activity_type VARCHAR(50) NOT NULL,
+    description TEXT NOT NULL,
+    old_values JSONB,
+    new_values JSONB,
+    metadata JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Allow soft delete / restore activities
+ALTER TABLE case_activities DROP CONSTRAINT IF EXISTS case_activities_activity_type_check;
+ALTER TABLE case_activities ADD CONSTRAINT case_activities_activity_type_check CHECK (activity_type IN (
+    'created',
+    'updated',
+    'assigned',
+    'status_changed',
+    'comment_added',
+    'document_uploaded',
+    'template_used',
+    'legal_action_taken',
+    'resolved',
+    'closed',
+    'deleted',
+    'restored'
+));
+
+-- Activity rows are written by the API with the acting user
+DROP TRIGGER IF EXISTS log_incident_activity ON incidents;
+
+-- Indexes for timeline queries
+CREATE INDEX IF NOT EXISTS idx_case_activities_incident_created ON case_activities(incident_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_case_activities_type ON case_activities(activity_type);
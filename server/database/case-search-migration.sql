@@ -0,0 +1,83 @@
+-- =====================================================
+-- CASE SEARCH AND SAVED SEARCHES MIGRATION
+-- =====================================================
+-- GET /api/cases searches incidents through a weighted full-text vector
+-- kept up to date by a trigger, and orders matches by rank through
+-- search_incidents(). The weights follow SEARCH_FIELDS in
+-- services/searchService.js and the MongoDB text index:
+--   A  title
+--   B  infringed content, tags
+--   C  infringer name, organization, email, website and infringing URLs
+--   D  description and note content
+-- saved_searches holds the named searches each user keeps in the Cases
+-- sidebar.
+
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+CREATE OR REPLACE FUNCTION incident_search_vector(incident incidents)
+RETURNS TSVECTOR AS $$
+    SELECT
+        setweight(to_tsvector('english', coalesce(incident.title, '')), 'A') ||
+        setweight(to_tsvector('english', concat_ws(' ',
+            incident.infringed_content,
+            array_to_string(incident.tags, ' ')
+        )), 'B') ||
+        setweight(to_tsvector('english', concat_ws(' ',
+            incident.infringer_info->>'name',
+            incident.infringer_info->>'organization',
+            incident.infringer_info->>'email',
+            incident.infringer_info->>'website',
+            (SELECT string_agg(entry->>'url', ' ')
+               FROM jsonb_array_elements(coalesce(incident.infringed_urls, '[]'::jsonb)) AS entry)
+        )), 'C') ||
+        setweight(to_tsvector('english', concat_ws(' ',
+            incident.description,
+            (SELECT string_agg(note->>'content', ' ')
+               FROM jsonb_array_elements(coalesce(incident.notes, '[]'::jsonb)) AS note)
+        )), 'D');
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION update_incident_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector := incident_search_vector(NEW);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_incidents_search_vector ON incidents;
+CREATE TRIGGER update_incidents_search_vector
+    BEFORE INSERT OR UPDATE OF title, description, infringed_content, infringed_urls, infringer_info, tags, notes
+    ON incidents
+    FOR EACH ROW EXECUTE FUNCTION update_incident_search_vector();
+
+-- Backfill existing cases without touching their updated_at
+ALTER TABLE incidents DISABLE TRIGGER update_incidents_updated_at;
+UPDATE incidents SET search_vector = incident_search_vector(incidents);
+ALTER TABLE incidents ENABLE TRIGGER update_incidents_updated_at;
+
+CREATE INDEX IF NOT EXISTS idx_incidents_search_vector ON incidents USING GIN(search_vector);
+
+-- Incidents matching a to_tsquery expression, best match first. Callers add their
+-- other filters and pagination through PostgREST.
+CREATE OR REPLACE FUNCTION search_incidents(search_query TEXT)
+RETURNS SETOF incidents AS $$
+    SELECT *
+      FROM incidents
+     WHERE search_vector @@ to_tsquery('english', search_query)
+     ORDER BY ts_rank(search_vector, to_tsquery('english', search_query)) DESC, reported_at DESC;
+$$ LANGUAGE sql STABLE;
+
+-- Saved searches
+CREATE TABLE IF NOT EXISTS saved_searches (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    search TEXT DEFAULT '',
+    filters JSONB DEFAULT '{}'::jsonb, -- {status, incidentType, severity, priority, assignedTo, view, sortBy, sortOrder}
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user_id ON saved_searches(user_id);
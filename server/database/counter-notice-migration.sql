@@ -0,0 +1,25 @@
+-- =====================================================
+-- COUNTER-NOTICE MIGRATION
+-- =====================================================
+-- DMCA counter-notices are recorded against the legal action of a sent
+-- takedown (incidents.legal_action_taken[].counterNotice) with the
+-- subscriber's details, the 512(g)(3) statements and the 10-14 business day
+-- restoration window, so they need no new columns. Cases gain two statuses:
+-- counter_notice_received, set when a counter-notice is recorded, and
+-- litigation_filed, set when suit is filed over one. The longer names need a
+-- wider status column.
+
+ALTER TABLE incidents ALTER COLUMN status TYPE VARCHAR(30);
+
+ALTER TABLE incidents DROP CONSTRAINT IF EXISTS incidents_status_check;
+ALTER TABLE incidents ADD CONSTRAINT incidents_status_check CHECK (status IN (
+    'reported',
+    'under_review',
+    'in_progress',
+    'resolved',
+    'closed',
+    'escalated',
+    'dismissed',
+    'counter_notice_received',
+    'litigation_filed'
+));
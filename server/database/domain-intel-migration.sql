@@ -0,0 +1,15 @@
+-- =====================================================
+-- DOMAIN INTELLIGENCE MIGRATION
+-- =====================================================
+-- Registrar, hosting network and abuse contacts for the domains of each
+-- incident and monitoring alert, looked up through RDAP and DNS by
+-- services/domainIntelService.js after intake. DMCA notices without a
+-- designated agent address go to the hosting network's abuse contact,
+-- then the registrar's.
+-- domain_intel holds one entry per domain:
+--   {domain, registrar, registrarAbuseEmail, registeredAt, expiresAt,
+--    nameservers, ip, asn, hostingProvider, hostingAbuseEmail, country,
+--    resolver, resolvedAt, error}
+
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS domain_intel JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS domain_intel JSONB DEFAULT '[]'::jsonb;
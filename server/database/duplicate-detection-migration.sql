@@ -0,0 +1,75 @@
+-- =====================================================
+-- DUPLICATE DETECTION AND CASE MERGE MIGRATION
+-- =====================================================
+-- POST /api/incidents looks for existing cases on the same domains or
+-- with the same infringer before creating a new one. url_domains keeps
+-- the hosts of a case's infringing URLs and infringer website, without
+-- "www.", so the lookup is a single indexed array overlap. The matching
+-- itself is scored in services/duplicateService.js.
+-- POST /api/cases/:id/merge closes the duplicate and points merged_into
+-- at the case it was folded into, and logs a 'merged' activity on both.
+
+-- The host of a URL without protocol, port, path or "www.", lower-cased
+CREATE OR REPLACE FUNCTION url_domain(url TEXT)
+RETURNS TEXT AS $$
+    SELECT nullif(regexp_replace(
+        substring(lower(trim(url)) from '^(?:[a-z][a-z0-9+.-]*://)?([^/?#:[:space:]]+)'),
+        '^www\.', ''
+    ), '');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION incident_url_domains(incident incidents)
+RETURNS TEXT[] AS $$
+    SELECT coalesce(array_agg(DISTINCT domain) FILTER (WHERE domain IS NOT NULL), '{}')
+      FROM (
+          SELECT url_domain(entry->>'url') AS domain
+            FROM jsonb_array_elements(coalesce(incident.infringed_urls, '[]'::jsonb)) AS entry
+          UNION ALL
+          SELECT url_domain(incident.infringer_info->>'website')
+      ) AS domains;
+$$ LANGUAGE sql STABLE;
+
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS url_domains TEXT[] DEFAULT '{}';
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS merged_into UUID REFERENCES incidents(id) ON DELETE SET NULL;
+
+CREATE OR REPLACE FUNCTION update_incident_url_domains()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.url_domains := incident_url_domains(NEW);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_incidents_url_domains ON incidents;
+CREATE TRIGGER update_incidents_url_domains
+    BEFORE INSERT OR UPDATE OF infringed_urls, infringer_info
+    ON incidents
+    FOR EACH ROW EXECUTE FUNCTION update_incident_url_domains();
+
+-- Backfill existing cases without touching their updated_at
+ALTER TABLE incidents DISABLE TRIGGER update_incidents_updated_at;
+UPDATE incidents SET url_domains = incident_url_domains(incidents);
+ALTER TABLE incidents ENABLE TRIGGER update_incidents_updated_at;
+
+CREATE INDEX IF NOT EXISTS idx_incidents_url_domains ON incidents USING GIN(url_domains);
+CREATE INDEX IF NOT EXISTS idx_incidents_infringer_email ON incidents(lower(infringer_info->>'email'));
+CREATE INDEX IF NOT EXISTS idx_incidents_merged_into ON incidents(merged_into);
+CREATE INDEX IF NOT EXISTS idx_monitoring_alerts_source_domain ON monitoring_alerts(source_domain);
+
+-- Allow merge activities
+ALTER TABLE case_activities DROP CONSTRAINT IF EXISTS case_activities_activity_type_check;
+ALTER TABLE case_activities ADD CONSTRAINT case_activities_activity_type_check CHECK (activity_type IN (
+    'created',
+    'updated',
+    'assigned',
+    'status_changed',
+    'comment_added',
+    'document_uploaded',
+    'template_used',
+    'legal_action_taken',
+    'resolved',
+    'closed',
+    'deleted',
+    'restored',
+    'merged'
+));
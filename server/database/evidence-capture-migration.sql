@@ -0,0 +1,16 @@
+-- =====================================================
+-- EVIDENCE CAPTURE MIGRATION
+-- =====================================================
+-- Infringing pages are archived automatically (services/evidenceCaptureService.js):
+-- the raw response, an optional headless render and a manifest.json listing the
+-- response headers, resolved IP addresses, capture time and the SHA-256 of each
+-- file. The files are stored through the storage service like uploaded evidence.
+-- On incidents the files are appended to evidence_files and the captured entry
+-- of infringed_urls gains capturedAt and captureManifest (the manifest's storage
+-- key) with verified set, so no incident columns change.
+-- monitoring_alerts.evidence_capture holds the capture made when an alert was
+-- raised: {capturedAt, files: [{originalName, key, contentType, size, checksum,
+-- backend}], error}. It becomes the case's evidence when an incident is created
+-- from the alert.
+
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS evidence_capture JSONB;
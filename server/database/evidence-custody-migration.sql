@@ -0,0 +1,50 @@
+-- =====================================================
+-- EVIDENCE CUSTODY MIGRATION
+-- =====================================================
+-- Chain of custody for evidence files (services/custodyService.js). Every
+-- upload, capture, view, download and export of an evidence item appends an
+-- event; each event's hash is the SHA-256 of its own fields and the previous
+-- event's hash, so altering or removing an event breaks every hash after it.
+-- GET /api/incidents/:id/evidence/:evidenceId/custody recomputes the chain
+-- and the stored file's checksum and reports any break.
+-- evidence_id is the id of the entry in incidents.evidence_files. A chain is
+-- keyed by evidence_id alone, since merges copy entries between incidents
+-- with their ids; incident_id records the case each event happened in.
+-- checksum is the file's SHA-256 on ingest, or of the bytes served for a
+-- download. details holds {fileName, size, storageKey, ...} on ingest and
+-- capture events ({captureUrl, manifestKey, manifestChecksum}).
+-- The log is append-only: the unique (evidence_id, sequence) constraint
+-- stops two writers taking the same place in a chain, and the trigger below
+-- rejects any UPDATE or DELETE. Actors are kept by ID with no cascade, as
+-- clearing one would break the event's hash. For the same reason incidents
+-- are referenced with no cascade, and the soft-deleted incident purge keeps
+-- any incident that has custody events.
+
+CREATE TABLE IF NOT EXISTS custody_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    incident_id UUID NOT NULL REFERENCES incidents(id),
+    evidence_id VARCHAR(100) NOT NULL,
+    sequence INTEGER NOT NULL CHECK (sequence > 0),
+    action VARCHAR(20) NOT NULL CHECK (action IN ('uploaded', 'captured', 'viewed', 'downloaded', 'exported')),
+    actor_id UUID REFERENCES users(id),
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    checksum VARCHAR(64),
+    details JSONB DEFAULT '{}'::jsonb,
+    previous_hash VARCHAR(64),
+    hash VARCHAR(64) NOT NULL,
+    CONSTRAINT custody_events_evidence_sequence_key UNIQUE (evidence_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_custody_events_incident_id ON custody_events(incident_id);
+
+CREATE OR REPLACE FUNCTION reject_custody_event_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'custody_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS custody_events_append_only ON custody_events;
+CREATE TRIGGER custody_events_append_only
+    BEFORE UPDATE OR DELETE ON custody_events
+    FOR EACH ROW EXECUTE FUNCTION reject_custody_event_change();
@@ -0,0 +1,57 @@
+-- =====================================================
+-- INFRINGER REGISTRY MIGRATION
+-- =====================================================
+-- The people, organizations and sites behind incidents, so repeat
+-- offenders can be seen across cases. POST /api/incidents links each new
+-- case to a registered infringer sharing its email, domain or name, or
+-- registers one; monitoring scans link alerts by domain. Emails and
+-- domains are stored lower-cased, domains without "www.".
+-- incident_count, alert_count and last_seen_at are kept by the API
+-- (services/infringerService.js) whenever cases or alerts are linked.
+
+CREATE TABLE IF NOT EXISTS infringers (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name VARCHAR(200) NOT NULL,
+    aliases TEXT[] DEFAULT '{}',
+    emails TEXT[] DEFAULT '{}',
+    domains TEXT[] DEFAULT '{}',
+    hosting_providers TEXT[] DEFAULT '{}',
+    social_handles JSONB DEFAULT '[]'::jsonb, -- [{platform, handle}]
+    notes TEXT,
+    match_names TEXT[] DEFAULT '{}', -- lower-cased name and aliases, for case-insensitive matching
+    incident_count INTEGER DEFAULT 0,
+    alert_count INTEGER DEFAULT 0,
+    last_seen_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION update_infringer_match_names()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.match_names := ARRAY(
+        SELECT DISTINCT lower(name)
+          FROM unnest(array_prepend(NEW.name, coalesce(NEW.aliases, '{}'))) AS name
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_infringers_match_names ON infringers;
+CREATE TRIGGER update_infringers_match_names
+    BEFORE INSERT OR UPDATE OF name, aliases
+    ON infringers
+    FOR EACH ROW EXECUTE FUNCTION update_infringer_match_names();
+
+CREATE INDEX IF NOT EXISTS idx_infringers_emails ON infringers USING GIN(emails);
+CREATE INDEX IF NOT EXISTS idx_infringers_domains ON infringers USING GIN(domains);
+CREATE INDEX IF NOT EXISTS idx_infringers_match_names ON infringers USING GIN(match_names);
+CREATE INDEX IF NOT EXISTS idx_infringers_incident_count ON infringers(incident_count DESC);
+
+-- Links from cases and alerts
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS infringer_id UUID REFERENCES infringers(id) ON DELETE SET NULL;
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS infringer_id UUID REFERENCES infringers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_incidents_infringer_id ON incidents(infringer_id);
+CREATE INDEX IF NOT EXISTS idx_monitoring_alerts_infringer_id ON monitoring_alerts(infringer_id);
@@ -0,0 +1,14 @@
+-- =====================================================
+-- INTAKE JOBS MIGRATION
+-- =====================================================
+-- Work owed to incidents and monitoring alerts after intake, such as
+-- evidence capture. Intake only records the job names in pending_jobs;
+-- services/intakeJobService.js runs them from a cron or the
+-- /api/jobs/trigger endpoint and clears each name once it has run, so
+-- saving a case never waits on the infringing site.
+
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS pending_jobs TEXT[] DEFAULT '{}';
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS pending_jobs TEXT[] DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_incidents_pending_jobs ON incidents(created_at) WHERE pending_jobs <> '{}';
+CREATE INDEX IF NOT EXISTS idx_monitoring_alerts_pending_jobs ON monitoring_alerts(created_at) WHERE pending_jobs <> '{}';
@@ -0,0 +1,142 @@
+-- =====================================================
+-- LEGAL DOCUMENTS, TEMPLATES AND MONITORING MIGRATION
+-- =====================================================
+-- The documents, templates, monitoring and reports routes now run against
+-- Supabase. Their responses keep the shape the client was built against,
+-- so these tables gain the columns the MongoDB models already had.
+--
+-- documents holds both stored evidence files (mirrored on upload) and
+-- legal documents such as DMCA notices. Legal documents always have a
+-- status; evidence rows leave it NULL and are not listed by
+-- /api/documents. A legal document only has a file once it is rendered
+-- to PDF, so file_path and file_name become optional.
+
+-- Documents
+ALTER TABLE documents ALTER COLUMN file_path DROP NOT NULL;
+ALTER TABLE documents ALTER COLUMN file_name DROP NOT NULL;
+
+ALTER TABLE documents DROP CONSTRAINT IF EXISTS documents_document_type_check;
+ALTER TABLE documents ADD CONSTRAINT documents_document_type_check CHECK (document_type IN (
+    'evidence',
+    'legal_document',
+    'correspondence',
+    'report',
+    'screenshot',
+    'video',
+    'audio',
+    'cease_desist',
+    'dmca_takedown',
+    'abuse_report',
+    'legal_notice',
+    'template',
+    'other'
+));
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS mime_type VARCHAR(100);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS checksum VARCHAR(255);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS version VARCHAR(20) DEFAULT '1.0';
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES users(id);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS content TEXT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS status VARCHAR(20)
+    CHECK (status IN ('draft', 'review', 'approved', 'sent', 'responded', 'archived'));
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS template_id UUID REFERENCES templates(id) ON DELETE SET NULL;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS recipient JSONB DEFAULT '{}'::jsonb; -- {name, email, address, organization}
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS delivery_method VARCHAR(20)
+    CHECK (delivery_method IN ('email', 'mail', 'fax', 'online_form', 'other'));
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS sent_date TIMESTAMP WITH TIME ZONE;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS response_date TIMESTAMP WITH TIME ZONE;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS response_content TEXT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS delivery JSONB; -- {messageId, to, sentAt, recipientSource}
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS reply_token VARCHAR(32);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS responses JSONB DEFAULT '[]'::jsonb; -- Array of {from, subject, messageId, receivedAt, content, attachments}
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS reviewers JSONB DEFAULT '[]'::jsonb; -- Array of {user, status, comments, reviewedAt}
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS notes JSONB DEFAULT '[]'::jsonb; -- Array of {content, author, createdAt}
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS storage_backend VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_documents_status ON documents(status);
+CREATE INDEX IF NOT EXISTS idx_documents_created_by ON documents(created_by);
+CREATE INDEX IF NOT EXISTS idx_documents_reply_token ON documents(reply_token) WHERE reply_token IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_documents_delivery_message_id ON documents((delivery->>'messageId')) WHERE delivery IS NOT NULL;
+
+-- Templates
+ALTER TABLE templates DROP CONSTRAINT IF EXISTS templates_template_type_check;
+ALTER TABLE templates ADD CONSTRAINT templates_template_type_check CHECK (template_type IN (
+    'cease_desist',
+    'dmca_takedown',
+    'abuse_report',
+    'legal_notice',
+    'email_template',
+    'dmca_notice',
+    'take_down_request',
+    'legal_letter',
+    'report',
+    'correspondence',
+    'contract',
+    'agreement',
+    'other'
+));
+
+-- Versions count content revisions, as they did in MongoDB
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS version VARCHAR(20) DEFAULT '1';
+ALTER TABLE templates ALTER COLUMN version DROP DEFAULT;
+ALTER TABLE templates ALTER COLUMN version TYPE INTEGER
+    USING COALESCE(NULLIF(SPLIT_PART(version::text, '.', 1), '')::INTEGER, 1);
+ALTER TABLE templates ALTER COLUMN version SET DEFAULT 1;
+
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS subject TEXT;
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS category VARCHAR(50);
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS usage_count INTEGER DEFAULT 0;
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES users(id);
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS legal_approved BOOLEAN DEFAULT false;
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS approved_by UUID REFERENCES users(id);
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS settings JSONB
+    DEFAULT '{"requireApproval": true, "allowCustomization": true, "autoSave": true}'::jsonb;
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS history JSONB DEFAULT '[]'::jsonb; -- Array of {version, content, subject, modifiedBy, modifiedAt, changeNotes}
+
+-- Monitoring alerts
+-- `source` keeps the scanner's source name (google_alerts, brandmentions,
+-- automated_scan, manual, other); alert_type is derived from it.
+ALTER TABLE monitoring_alerts DROP CONSTRAINT IF EXISTS monitoring_alerts_alert_type_check;
+ALTER TABLE monitoring_alerts ADD CONSTRAINT monitoring_alerts_alert_type_check CHECK (alert_type IN (
+    'google_alerts',
+    'brand_mentions',
+    'web_scraping',
+    'social_media',
+    'domain_monitoring',
+    'manual',
+    'api_integration'
+));
+
+ALTER TABLE monitoring_alerts DROP CONSTRAINT IF EXISTS monitoring_alerts_status_check;
+ALTER TABLE monitoring_alerts ADD CONSTRAINT monitoring_alerts_status_check CHECK (status IN (
+    'new',
+    'reviewed',
+    'investigating',
+    'action_taken',
+    'resolved',
+    'false_positive',
+    'dismissed',
+    'escalated'
+));
+
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS source_domain VARCHAR(255);
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS confidence_score DECIMAL(3,2); -- 0.00 to 1.00
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS detected_keywords TEXT[];
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS dsp_content JSONB DEFAULT '{}'::jsonb; -- {title, author, isbn, publicationDate, contentType}
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id);
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS detected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS screenshots TEXT[] DEFAULT '{}';
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS evidence_urls TEXT[] DEFAULT '{}';
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS actions JSONB DEFAULT '[]'::jsonb; -- Array of {actionType, description, takenBy, takenAt, result}
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS notes JSONB DEFAULT '[]'::jsonb; -- Array of {content, author, createdAt}
+
+CREATE INDEX IF NOT EXISTS idx_monitoring_alerts_detected_at ON monitoring_alerts(detected_at DESC);
+CREATE INDEX IF NOT EXISTS idx_monitoring_alerts_source ON monitoring_alerts(source);
+CREATE INDEX IF NOT EXISTS idx_monitoring_alerts_url ON monitoring_alerts(url);
@@ -0,0 +1,35 @@
+-- =====================================================
+-- MONITORING RUNS MIGRATION
+-- =====================================================
+-- A record of every monitoring scan (services/monitoringRunService.js):
+-- what started it (the in-process schedule, a user, or an external cron
+-- calling /api/monitoring/runs/trigger), what each connector found and
+-- which alerts were new. Listed by GET /api/monitoring/runs.
+-- Only one run may be 'running' at a time. The partial unique index is
+-- the lock: a second scan starting while one is running fails to insert
+-- and is skipped, so overlapping triggers cannot save the same alerts
+-- twice. A run left 'running' by a crashed process is marked 'abandoned'
+-- once MONITORING_RUN_TIMEOUT_MINUTES (default 30) have passed.
+-- connectors holds [{connector, alertsFound, error}]; watchlists holds
+-- [{id, name}].
+
+CREATE TABLE IF NOT EXISTS monitoring_runs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('schedule', 'manual', 'http')),
+    status VARCHAR(20) DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed', 'abandoned')),
+    due_only BOOLEAN DEFAULT FALSE,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE,
+    duration_ms INTEGER,
+    watchlists JSONB DEFAULT '[]'::jsonb,
+    connectors JSONB DEFAULT '[]'::jsonb,
+    alerts_found INTEGER DEFAULT 0,
+    new_alert_ids UUID[] DEFAULT '{}',
+    error TEXT,
+    triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_monitoring_runs_started_at ON monitoring_runs(started_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_monitoring_runs_single_running ON monitoring_runs(status) WHERE status = 'running';
@@ -0,0 +1,48 @@
+-- =====================================================
+-- MONITORING WATCHLISTS MIGRATION
+-- =====================================================
+-- What monitoring scans look for, managed from the Monitoring page through
+-- /api/monitoring/watchlists and /api/monitoring/works instead of being
+-- hard-coded in the scanner.
+-- protected_works is the catalog of DSP titles; a title and its aliases
+-- are matched as phrases by every watchlist the work is on.
+-- Each watchlist has its own keywords, exclusion terms and domains, a
+-- match_mode (any, all, or boolean to use `query`, e.g.
+-- '"Signing Naturally" (PDF OR download) NOT review') and a frequency.
+-- The scheduler runs hourly and scans the watchlists that are due.
+
+CREATE TABLE IF NOT EXISTS protected_works (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    title VARCHAR(200) NOT NULL,
+    work_type VARCHAR(20) DEFAULT 'book' CHECK (work_type IN ('book', 'video', 'software', 'website', 'other')),
+    isbn VARCHAR(20),
+    aliases TEXT[] DEFAULT '{}',
+    description TEXT,
+    active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS watchlists (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    enabled BOOLEAN DEFAULT TRUE,
+    frequency VARCHAR(10) DEFAULT 'daily' CHECK (frequency IN ('hourly', 'daily', 'weekly', 'monthly')),
+    match_mode VARCHAR(10) DEFAULT 'any' CHECK (match_mode IN ('any', 'all', 'boolean')),
+    keywords TEXT[] DEFAULT '{}',
+    query TEXT,
+    exclude_terms TEXT[] DEFAULT '{}',
+    domains TEXT[] DEFAULT '{}',
+    protected_work_ids UUID[] DEFAULT '{}',
+    last_scanned_at TIMESTAMP WITH TIME ZONE,
+    last_alert_count INTEGER DEFAULT 0,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_protected_works_title ON protected_works(title);
+CREATE INDEX IF NOT EXISTS idx_watchlists_enabled ON watchlists(enabled);
+CREATE INDEX IF NOT EXISTS idx_watchlists_protected_work_ids ON watchlists USING GIN(protected_work_ids);
@@ -0,0 +1,19 @@
+-- =====================================================
+-- SLA AND DUE DATE MIGRATION
+-- =====================================================
+-- New cases get a due_date from the first matching SLA policy (stored in
+-- system_settings under 'sla_policies', falling back to the defaults in
+-- services/slaService.js). A scheduled job flags cases as at risk or
+-- breached, escalates breaches where the case workflow allows it and
+-- records the change as a system activity, so case_activities.user_id
+-- must allow NULL.
+
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS sla_policy VARCHAR(100);
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS sla_status VARCHAR(20)
+    CHECK (sla_status IN ('on_track', 'at_risk', 'breached'));
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS sla_at_risk_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS sla_breached_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_incidents_sla_status ON incidents(sla_status);
+
+ALTER TABLE case_activities ALTER COLUMN user_id DROP NOT NULL;
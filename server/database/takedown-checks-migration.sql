@@ -0,0 +1,34 @@
+-- =====================================================
+-- TAKEDOWN CHECKS MIGRATION
+-- =====================================================
+-- Rechecks of infringing URLs after takedown requests
+-- (services/takedownVerificationService.js, every six hours by default or
+-- POST /api/cases/takedown-checks/run). Open cases are checked, and so are
+-- cases resolved as content_removed within TAKEDOWN_RECHECK_RESOLVED_DAYS
+-- (default 90), so content that comes back reopens them.
+-- state is 'live', 'removed' (404, 410, 451 or the domain is gone), 'changed'
+-- (the page no longer carries the content), 'redirected' or 'unreachable'.
+-- compared_by says how the content was looked for: 'fingerprint' (with the
+-- similarity) or 'keyword'; null when there was nothing to compare.
+-- Each incidents.infringed_urls entry keeps its latest takedownStatus,
+-- lastCheckedAt, lastCheckError and statusChangedAt.
+-- incidents.takedown_check holds {lastCheckedAt, allRemovedAt,
+-- suggestedOutcome, suggestedAt, reopenedAt}; suggestedOutcome is set to
+-- 'content_removed' once every URL of an open case is gone.
+
+CREATE TABLE IF NOT EXISTS takedown_checks (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    incident_id UUID NOT NULL REFERENCES incidents(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    state VARCHAR(20) NOT NULL CHECK (state IN ('live', 'removed', 'changed', 'redirected', 'unreachable')),
+    http_status INTEGER,
+    final_url TEXT,
+    compared_by VARCHAR(20) CHECK (compared_by IN ('fingerprint', 'keyword')),
+    similarity REAL,
+    error TEXT,
+    checked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_takedown_checks_incident_id ON takedown_checks(incident_id, checked_at DESC);
+
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS takedown_check JSONB DEFAULT '{}'::jsonb;
@@ -0,0 +1,28 @@
+-- =====================================================
+-- TEMPLATE PARTIALS MIGRATION
+-- =====================================================
+-- Templates are rendered with conditionals, loops, filters and partials
+-- (services/templates/engine.js) and are bound to the incident, infringer,
+-- reporter and user. Shared blocks such as a letterhead or signature are
+-- saved as templates of type 'partial' and included by name, e.g.
+-- {{> letterhead}}; a saved partial replaces the built-in one of the same
+-- name. Preview a template against a case with
+-- POST /api/templates/:id/preview {"incidentId": "..."}.
+
+ALTER TABLE templates DROP CONSTRAINT IF EXISTS templates_template_type_check;
+ALTER TABLE templates ADD CONSTRAINT templates_template_type_check CHECK (template_type IN (
+    'cease_desist',
+    'dmca_takedown',
+    'abuse_report',
+    'legal_notice',
+    'email_template',
+    'partial',
+    'dmca_notice',
+    'take_down_request',
+    'legal_letter',
+    'report',
+    'correspondence',
+    'contract',
+    'agreement',
+    'other'
+));
@@ -0,0 +1,31 @@
+-- =====================================================
+-- WORK FINGERPRINTS MIGRATION
+-- =====================================================
+-- Reference fingerprints of protected works (services/fingerprintService.js),
+-- made from uploaded files or downloaded copies. Monitoring scans compare the
+-- pages, PDFs and images they find against them, and the best similarity
+-- becomes the alert's confidence.
+-- kind 'text': chunks holds [{shingles, minhash: [128 integers]}], one entry
+-- per overlapping 500-word chunk of the work's text.
+-- kind 'image': hash holds a 64-bit difference hash as 16 hex digits. Video
+-- is fingerprinted through keyframe stills.
+-- source holds {type: 'upload'|'url', name, url, contentType}.
+-- monitoring_alerts.fingerprint_match records the fingerprint an alert was
+-- scored against: {workId, workTitle, fingerprintId, kind, label, similarity}.
+
+CREATE TABLE IF NOT EXISTS work_fingerprints (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    work_id UUID NOT NULL REFERENCES protected_works(id) ON DELETE CASCADE,
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('text', 'image')),
+    label VARCHAR(500),
+    source JSONB DEFAULT '{}'::jsonb,
+    word_count INTEGER DEFAULT 0,
+    chunks JSONB DEFAULT '[]'::jsonb,
+    hash VARCHAR(16),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_work_fingerprints_work_id ON work_fingerprints(work_id);
+
+ALTER TABLE monitoring_alerts ADD COLUMN IF NOT EXISTS fingerprint_match JSONB;
@@ -0,0 +1,24 @@
+-- =====================================================
+-- CASE STATUS WORKFLOW MIGRATION
+-- =====================================================
+-- Status changes are now checked against a configurable workflow. The
+-- workflow definition is stored in system_settings under the key
+-- 'case_status_workflow'; until an admin saves one through
+-- PUT /api/cases/workflow/config the built-in default in
+-- services/workflowService.js is used.
+--
+-- Moving a case to "resolved" requires a resolution outcome, so incidents
+-- need somewhere to keep it.
+
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS resolution JSONB DEFAULT '{}'::jsonb;
+
+CREATE TABLE IF NOT EXISTS system_settings (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    key VARCHAR(100) UNIQUE NOT NULL,
+    value JSONB NOT NULL,
+    description TEXT,
+    category VARCHAR(50) DEFAULT 'general',
+    is_public BOOLEAN DEFAULT false,
+    updated_by UUID REFERENCES users(id),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
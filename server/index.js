@@ -44,24 +44,23 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Logging
 app.use(morgan('combined'));
 
-// Routes - Default to Supabase for production
-const dbType = process.env.DATABASE_TYPE || 'supabase';
-if (dbType === 'supabase') {
-  app.use('/api/auth', require('./routes/auth-supabase')); // Use Supabase auth routes
-  app.use('/api/incidents', require('./routes/incidents-supabase')); // Use Supabase incident routes
-  // Add other Supabase routes as they are converted
-  app.use('/api/users', require('./routes/users-supabase'));
-  app.use('/api/chat', require('./routes/chat')); // Chat routes (Supabase only)
-} else {
-  app.use('/api/auth', require('./routes/auth')); // Original MongoDB auth routes
-  app.use('/api/incidents', require('./routes/incidents')); // Original MongoDB incident routes
-  app.use('/api/users', require('./routes/users'));
-}
+// Routes
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api/incidents', require('./routes/incidents'));
+app.use('/api/users', require('./routes/users'));
 app.use('/api/cases', require('./routes/cases'));
+app.use('/api/chat', require('./routes/chat'));
 app.use('/api/documents', require('./routes/documents'));
+app.use('/api/infringers', require('./routes/infringers'));
 app.use('/api/monitoring', require('./routes/monitoring'));
 app.use('/api/reports', require('./routes/reports'));
 app.use('/api/templates', require('./routes/templates'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/realtime', require('./routes/realtime'));
+app.use('/api/inbound', require('./routes/inbound'));
+app.use('/api/jobs', require('./routes/jobs'));
+app.use('/api/files', require('./routes/files'));
+app.use('/api/upload', require('./routes/upload'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -95,5 +94,15 @@ const initializeDatabase = async () => {
 // Initialize database on startup
 initializeDatabase();
 
+// Check SLA deadlines, run monitoring scans, finish intake jobs, recheck takedowns and send
+// counter-notice reminders on a schedule
+if (process.env.NODE_ENV === 'production') {
+  require('./services/slaService').scheduleChecks();
+  require('./services/monitoringRunService').scheduleRuns();
+  require('./services/intakeJobService').scheduleDrain();
+  require('./services/takedownVerificationService').scheduleChecks();
+  require('./services/counterNoticeService').scheduleReminders();
+}
+
 // Export app for Vercel
 module.exports = app;
@@ -1,6 +1,26 @@
 const jwt = require('jsonwebtoken');
 const databaseService = require('../config/databaseService');
 
+// The signed-in user, with `id` and `userId` alongside `_id` for backward compatibility
+const toRequestUser = (user) => ({
+  ...user,
+  id: user._id,
+  userId: user._id
+});
+
+// Active user a token was issued to. Session tokens carry no `purpose` claim; tokens
+// issued for a single purpose, such as opening the event stream, are only accepted where
+// that purpose is expected, so a leaked stream URL cannot be used as a session.
+const verifyToken = async (token, purpose = null) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+  if ((decoded.purpose || null) !== purpose) {
+    return null;
+  }
+
+  const user = await databaseService.getRepositories().users.findById(decoded.userId);
+  return user && user.isActive ? user : null;
+};
+
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -9,37 +29,13 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-    const db = databaseService.getService();
-    
-    if (databaseService.type === 'supabase') {
-      const user = await db.getUserById(decoded.userId);
-      
-      if (!user || !user.is_active) {
-        return res.status(401).json({ message: 'Token is not valid' });
-      }
-
-      req.user = {
-        id: user.id,
-        userId: user.id, // For backward compatibility
-        email: user.email,
-        role: user.role,
-        department: user.department,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        isActive: user.is_active
-      };
-    } else {
-      // Fallback to MongoDB
-      const User = require('../models/User');
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (!user || !user.isActive) {
-        return res.status(401).json({ message: 'Token is not valid' });
-      }
+    const user = await verifyToken(token);
 
-      req.user = user;
+    if (!user) {
+      return res.status(401).json({ message: 'Token is not valid' });
     }
+
+    req.user = toRequestUser(user);
     
     next();
   } catch (error) {
@@ -48,6 +44,31 @@ const auth = async (req, res, next) => {
   }
 };
 
+// EventSource cannot set request headers, so the event stream accepts a JWT in the `token`
+// query parameter instead. Only short-lived stream tokens are accepted there, so a full
+// session token never ends up in a URL or access log.
+const streamAuth = async (req, res, next) => {
+  const token = req.query.token;
+
+  if (!token) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const user = await verifyToken(token, 'stream');
+
+    if (!user) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+
+    req.user = toRequestUser(user);
+  } catch (error) {
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+
+  next();
+};
+
 const requireRole = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -105,32 +126,10 @@ const optionalAuth = async (req, res, next) => {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-      const db = databaseService.getService();
-      
-      if (databaseService.type === 'supabase') {
-        const user = await db.getUserById(decoded.userId);
-        
-        if (user && user.is_active) {
-          req.user = {
-            id: user.id,
-            userId: user.id,
-            email: user.email,
-            role: user.role,
-            department: user.department,
-            firstName: user.first_name,
-            lastName: user.last_name,
-            isActive: user.is_active
-          };
-        }
-      } else {
-        // Fallback to MongoDB
-        const User = require('../models/User');
-        const user = await User.findById(decoded.userId).select('-password');
-        
-        if (user && user.isActive) {
-          req.user = user;
-        }
+      const user = await verifyToken(token);
+
+      if (user) {
+        req.user = toRequestUser(user);
       }
     }
     
@@ -143,6 +142,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   auth,
+  streamAuth,
   requireRole,
   requirePermission,
   optionalAuth
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Routes started by an external scheduler are authenticated with a shared secret instead of
+// a session token. Vercel Cron sends its CRON_SECRET as a bearer token; a route can accept
+// a secret of its own first, e.g. cronAuth('MONITORING_CRON_SECRET').
+const cronAuth = (...secretNames) => (req, res, next) => {
+  const secret = [...secretNames, 'CRON_SECRET'].map(name => process.env[name]).find(Boolean);
+  if (!secret) {
+    return res.status(503).json({ message: 'Scheduled jobs are not configured' });
+  }
+
+  const provided = Buffer.from((req.header('Authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(secret);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ message: 'Invalid cron secret' });
+  }
+
+  next();
+};
+
+module.exports = { cronAuth };
@@ -0,0 +1,98 @@
+const multer = require('multer');
+const path = require('path');
+
+// Evidence accepted on incident creation, incident editing and the upload endpoint
+const EVIDENCE_EXTENSIONS = ['.jpeg', '.jpg', '.png', '.gif', '.pdf', '.doc', '.docx', '.txt'];
+const EVIDENCE_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain'
+];
+const MAX_EVIDENCE_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_EVIDENCE_FILES = 10;
+
+// Reference copies of protected works that monitoring fingerprints. Video is matched on
+// keyframe stills, so video files themselves are not accepted.
+const FINGERPRINT_EXTENSIONS = ['.pdf', '.txt', '.html', '.htm', '.jpeg', '.jpg', '.png', '.gif', '.webp'];
+const FINGERPRINT_MIME_TYPES = ['application/pdf', 'text/plain', 'text/html', 'image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_FINGERPRINT_FILE_SIZE = 25 * 1024 * 1024; // 25MB
+
+// Uploads are buffered in memory and handed to the storage service, since local disk
+// does not persist on serverless hosts
+const evidenceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_EVIDENCE_FILE_SIZE,
+  },
+  fileFilter: (req, file, cb) => {
+    const extname = EVIDENCE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+    const mimetype = EVIDENCE_MIME_TYPES.includes(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only images, PDFs, and documents are allowed.'));
+    }
+  }
+});
+
+const fingerprintUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FINGERPRINT_FILE_SIZE,
+  },
+  fileFilter: (req, file, cb) => {
+    const extname = FINGERPRINT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+    const mimetype = FINGERPRINT_MIME_TYPES.includes(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Upload a PDF, text or HTML file, or an image (use keyframe stills for video).'));
+    }
+  }
+});
+
+const describeUploadError = (error, maxCount, maxFileSize = MAX_EVIDENCE_FILE_SIZE) => {
+  if (!(error instanceof multer.MulterError)) return error.message;
+
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return `File too large. Each file must be ${maxFileSize / (1024 * 1024)}MB or smaller.`;
+    case 'LIMIT_UNEXPECTED_FILE':
+    case 'LIMIT_FILE_COUNT':
+      return `Too many files. Upload up to ${maxCount} files at a time.`;
+    default:
+      return error.message;
+  }
+};
+
+// Accept up to `maxCount` evidence files from `field`, answering rejected files with a 400
+// instead of letting them fall through to the generic error handler
+const uploadEvidence = (field, maxCount = MAX_EVIDENCE_FILES) => (req, res, next) => {
+  evidenceUpload.array(field, maxCount)(req, res, (error) => {
+    if (!error) return next();
+    res.status(400).json({ message: describeUploadError(error, maxCount) });
+  });
+};
+
+// Accept one reference file for fingerprinting from `field`
+const uploadFingerprint = (field) => (req, res, next) => {
+  fingerprintUpload.single(field)(req, res, (error) => {
+    if (!error) return next();
+    res.status(400).json({ message: describeUploadError(error, 1, MAX_FINGERPRINT_FILE_SIZE) });
+  });
+};
+
+module.exports = {
+  uploadEvidence,
+  uploadFingerprint,
+  EVIDENCE_EXTENSIONS,
+  EVIDENCE_MIME_TYPES,
+  MAX_EVIDENCE_FILE_SIZE,
+  MAX_EVIDENCE_FILES
+};
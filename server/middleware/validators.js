@@ -0,0 +1,11 @@
+const databaseService = require('../config/databaseService');
+
+// Record IDs are ObjectIds in MongoDB and UUIDs in Supabase and the in-memory repositories.
+// Takes an express-validator chain, e.g. isRecordId(body('incidentId')).withMessage('Invalid incident ID').
+const isRecordId = (chain) => (
+  databaseService.type === 'mongodb' ? chain.isMongoId() : chain.isUUID()
+);
+
+module.exports = {
+  isRecordId
+};
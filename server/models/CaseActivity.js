@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const caseActivitySchema = new mongoose.Schema({
+  // Related Information
+  incidentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    required: true
+  },
+  // Empty for activity recorded by scheduled jobs (e.g. SLA escalation)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Activity Details
+  activityType: {
+    type: String,
+    enum: [
+      'created',
+      'updated',
+      'assigned',
+      'status_changed',
+      'comment_added',
+      'document_uploaded',
+      'template_used',
+      'legal_action_taken',
+      'resolved',
+      'closed',
+      'deleted',
+      'restored',
+      'merged'
+    ],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+
+  // Change Tracking
+  oldValues: mongoose.Schema.Types.Mixed,
+  newValues: mongoose.Schema.Types.Mixed,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+caseActivitySchema.index({ incidentId: 1, createdAt: -1 });
+caseActivitySchema.index({ activityType: 1 });
+
+module.exports = mongoose.model('CaseActivity', caseActivitySchema);
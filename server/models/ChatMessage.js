@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const chatMessageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set for direct messages; group messages have no recipient
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+chatMessageSchema.index({ createdAt: -1 });
+chatMessageSchema.index({ user: 1, recipient: 1 });
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
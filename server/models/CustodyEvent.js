@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One entry in an evidence item's chain of custody (services/custodyService.js). Each
+// event's hash covers its own fields and the previous event's hash, so editing or
+// removing an earlier event breaks every hash after it. Events are only ever appended;
+// the unique index stops two writers taking the same place in a chain.
+const custodyEventSchema = new mongoose.Schema({
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    required: true
+  },
+  evidenceId: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['uploaded', 'captured', 'viewed', 'downloaded', 'exported'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  checksum: String,
+  details: mongoose.Schema.Types.Mixed,
+  previousHash: String,
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+custodyEventSchema.index({ evidenceId: 1, sequence: 1 }, { unique: true });
+
+module.exports = mongoose.model('CustodyEvent', custodyEventSchema);
@@ -50,6 +50,25 @@ const documentSchema = new mongoose.Schema({
   sentDate: Date,
   responseDate: Date,
   responseContent: String,
+  delivery: {
+    messageId: String,
+    to: String,
+    sentAt: Date,
+    recipientSource: {
+      type: String,
+      enum: ['provided', 'abuse_mailbox']
+    }
+  },
+  // Token carried in the Reply-To address so inbound replies can be threaded to this document
+  replyToken: String,
+  responses: [{
+    from: String,
+    subject: String,
+    messageId: String,
+    receivedAt: Date,
+    content: String,
+    attachments: [String]
+  }],
   
   // Recipient Information
   recipient: {
@@ -64,6 +83,8 @@ const documentSchema = new mongoose.Schema({
   fileName: String,
   fileSize: Number,
   mimeType: String,
+  checksum: String, // SHA-256 of the stored file
+  storageBackend: String,
   
   // Version Control
   version: {
@@ -127,12 +148,14 @@ documentSchema.index({ createdBy: 1 });
 documentSchema.index({ type: 1 });
 documentSchema.index({ status: 1 });
 documentSchema.index({ sentDate: -1 });
+documentSchema.index({ replyToken: 1 }, { sparse: true });
+documentSchema.index({ 'delivery.messageId': 1 }, { sparse: true });
 
 // Pre-save middleware
 documentSchema.pre('save', function(next) {
   if (this.isModified('content')) {
     this.metadata.wordCount = this.content.split(/\s+/).length;
-    this.version += 1;
+    if (!this.isNew) this.version += 1;
   }
   next();
 });
@@ -30,7 +30,7 @@ const incidentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['reported', 'under_review', 'in_progress', 'resolved', 'closed', 'escalated'],
+    enum: ['reported', 'under_review', 'in_progress', 'resolved', 'closed', 'escalated', 'counter_notice_received', 'litigation_filed'],
     default: 'reported'
   },
   
@@ -43,7 +43,20 @@ const incidentSchema = new mongoose.Schema({
     url: String,
     description: String,
     screenshot: String,
-    verified: { type: Boolean, default: false }
+    verified: { type: Boolean, default: false },
+    // Set by services/evidenceCaptureService.js; captureManifest is the storage key of the
+    // capture's SHA-256 manifest
+    capturedAt: Date,
+    captureManifest: String,
+    // Latest takedown recheck (services/takedownVerificationService.js); the full history
+    // is kept in TakedownCheck
+    takedownStatus: {
+      type: String,
+      enum: ['live', 'removed', 'changed', 'redirected']
+    },
+    lastCheckedAt: Date,
+    lastCheckError: String,
+    statusChangedAt: Date
   }],
   
   // Infringer Information
@@ -54,6 +67,30 @@ const incidentSchema = new mongoose.Schema({
     organization: String,
     contactInfo: String
   },
+  infringerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Infringer'
+  },
+  // Registrar and hosting details for each infringing domain, from domainIntelService
+  domainIntel: [{
+    domain: String,
+    registrar: String,
+    registrarAbuseEmail: String,
+    registeredAt: Date,
+    expiresAt: Date,
+    nameservers: [String],
+    ip: String,
+    asn: Number,
+    hostingProvider: String,
+    hostingAbuseEmail: String,
+    country: String,
+    resolver: String,
+    resolvedAt: Date,
+    error: String
+  }],
+
+  // Follow-up work still owed after intake, drained by services/intakeJobService.js
+  pendingJobs: [String],
   
   // Legal Information
   legalActions: [{
@@ -67,6 +104,45 @@ const incidentSchema = new mongoose.Schema({
     status: {
       type: String,
       enum: ['draft', 'sent', 'responded', 'ignored', 'resolved']
+    },
+    deliveryMethod: String,
+    recipient: {
+      name: String,
+      email: String,
+      organization: String
+    },
+    messageId: String,
+    counterNotice: {
+      receivedAt: Date,
+      notes: String,
+      restoreAfter: Date,
+      restoreBy: Date,
+      party: {
+        name: String,
+        email: String,
+        address: String,
+        phone: String
+      },
+      materialUrls: [String],
+      statements: {
+        goodFaithMistake: Boolean,
+        consentToJurisdiction: Boolean,
+        acceptsService: Boolean
+      },
+      signature: String,
+      missingElements: [String],
+      status: {
+        type: String,
+        enum: ['pending', 'lapsed', 'litigation_filed']
+      },
+      remindersSent: [Number],
+      litigation: {
+        filedAt: Date,
+        court: String,
+        docketNumber: String,
+        notes: String
+      },
+      recordedBy: String
     }
   }],
   
@@ -79,6 +155,10 @@ const incidentSchema = new mongoose.Schema({
     filename: String,
     url: String,
     description: String,
+    mimeType: String,
+    size: Number,
+    checksum: String,
+    storageBackend: String,
     uploadedBy: mongoose.Schema.Types.ObjectId,
     uploadedAt: { type: Date, default: Date.now }
   }],
@@ -88,6 +168,7 @@ const incidentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  assignedAt: Date,
   priority: {
     type: String,
     enum: ['low', 'normal', 'high', 'urgent'],
@@ -104,6 +185,18 @@ const incidentSchema = new mongoose.Schema({
     default: Date.now
   },
   resolvedAt: Date,
+  dueDate: Date,
+
+  // SLA tracking
+  sla: {
+    policy: String,
+    status: {
+      type: String,
+      enum: ['on_track', 'at_risk', 'breached']
+    },
+    atRiskAt: Date,
+    breachedAt: Date
+  },
   
   // Additional Fields
   tags: [String],
@@ -128,7 +221,38 @@ const incidentSchema = new mongoose.Schema({
     notes: String,
     followUpRequired: { type: Boolean, default: false },
     followUpDate: Date
-  }
+  },
+
+  // Takedown rechecks across all of the case's URLs: when every URL was last found gone,
+  // the outcome suggested from that, and when reappearing content reopened the case
+  takedownCheck: {
+    lastCheckedAt: Date,
+    allRemovedAt: Date,
+    suggestedOutcome: {
+      type: String,
+      enum: ['content_removed']
+    },
+    suggestedAt: Date,
+    reopenedAt: Date
+  },
+
+  // Set when the case was merged into another one as a duplicate
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    default: null
+  },
+
+  // Soft Delete
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletedReason: String
 }, {
   timestamps: true
 });
@@ -140,6 +264,40 @@ incidentSchema.index({ assignedTo: 1 });
 incidentSchema.index({ incidentType: 1 });
 incidentSchema.index({ severity: 1 });
 incidentSchema.index({ 'infringedUrls.url': 1 });
+incidentSchema.index({ 'infringerInfo.email': 1 });
+incidentSchema.index({ infringerId: 1 });
+incidentSchema.index({ deletedAt: 1 });
+incidentSchema.index({ dueDate: 1 });
+incidentSchema.index({ pendingJobs: 1 });
+
+// Full-text case search; weights match SEARCH_FIELDS in services/searchService.js
+incidentSchema.index({
+  title: 'text',
+  infringedContent: 'text',
+  tags: 'text',
+  'infringerInfo.name': 'text',
+  'infringerInfo.organization': 'text',
+  'infringerInfo.email': 'text',
+  'infringerInfo.website': 'text',
+  'infringedUrls.url': 'text',
+  description: 'text',
+  'notes.content': 'text'
+}, {
+  name: 'incident_search',
+  default_language: 'english',
+  weights: {
+    title: 10,
+    infringedContent: 5,
+    tags: 5,
+    'infringerInfo.name': 4,
+    'infringerInfo.organization': 4,
+    'infringerInfo.email': 4,
+    'infringerInfo.website': 4,
+    'infringedUrls.url': 3,
+    description: 2,
+    'notes.content': 1
+  }
+});
 
 // Pre-save middleware to update lastUpdated
 incidentSchema.pre('save', function(next) {
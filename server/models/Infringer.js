@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A person, organization or site behind one or more incidents. Emails and domains are
+// stored normalized (lower-cased, domains without "www.") so intake can match on them.
+const infringerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  aliases: [String],
+  emails: [{ type: String, lowercase: true, trim: true }],
+  domains: [{ type: String, lowercase: true, trim: true }],
+  hostingProviders: [String],
+  socialHandles: [{
+    platform: String,
+    handle: String
+  }],
+  notes: String,
+
+  // Kept up to date as incidents and alerts are linked
+  incidentCount: { type: Number, default: 0 },
+  alertCount: { type: Number, default: 0 },
+  lastSeenAt: Date,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+infringerSchema.index({ emails: 1 });
+infringerSchema.index({ domains: 1 });
+infringerSchema.index({ incidentCount: -1 });
+
+module.exports = mongoose.model('Infringer', infringerSchema);
@@ -17,6 +17,26 @@ const monitoringAlertSchema = new mongoose.Schema({
   },
   sourceUrl: String,
   sourceDomain: String,
+  // Registrar and hosting details for each infringing domain, from domainIntelService
+  domainIntel: [{
+    domain: String,
+    registrar: String,
+    registrarAbuseEmail: String,
+    registeredAt: Date,
+    expiresAt: Date,
+    nameservers: [String],
+    ip: String,
+    asn: Number,
+    hostingProvider: String,
+    hostingAbuseEmail: String,
+    country: String,
+    resolver: String,
+    resolvedAt: Date,
+    error: String
+  }],
+
+  // Follow-up work still owed after intake, drained by services/intakeJobService.js
+  pendingJobs: [String],
   
   // Content Information
   detectedContent: {
@@ -30,6 +50,16 @@ const monitoringAlertSchema = new mongoose.Schema({
     max: 100,
     default: 50
   },
+  // The protected work fingerprint the content is most similar to, from fingerprintService.
+  // When set, confidence is that similarity as a percentage.
+  fingerprintMatch: {
+    workId: String,
+    workTitle: String,
+    fingerprintId: String,
+    kind: { type: String, enum: ['text', 'image'] },
+    label: String,
+    similarity: Number
+  },
   
   // DSP Content Information
   dspContent: {
@@ -60,6 +90,7 @@ const monitoringAlertSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  assignedAt: Date,
   reviewedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -70,10 +101,30 @@ const monitoringAlertSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Incident'
   },
+  infringerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Infringer'
+  },
   
   // Evidence
   screenshots: [String],
   evidenceUrls: [String],
+  // The page as archived by services/evidenceCaptureService.js; files are stored
+  // evidence ({ originalName, key, contentType, size, checksum, backend }) ending with the
+  // SHA-256 manifest
+  evidenceCapture: {
+    capturedAt: Date,
+    files: [{
+      _id: false,
+      originalName: String,
+      key: String,
+      contentType: String,
+      size: Number,
+      checksum: String,
+      backend: String
+    }],
+    error: String
+  },
   
   // Actions Taken
   actions: [{
@@ -119,7 +170,10 @@ const monitoringAlertSchema = new mongoose.Schema({
     language: String,
     country: String,
     platform: String,
-    contentType: String
+    contentType: String,
+    connector: String, // ID of the monitoring connector that found it
+    watchlists: [String], // IDs of the watchlists that matched it
+    publishedAt: Date
   }
 }, {
   timestamps: true
@@ -131,6 +185,8 @@ monitoringAlertSchema.index({ source: 1 });
 monitoringAlertSchema.index({ assignedTo: 1 });
 monitoringAlertSchema.index({ 'matchedKeywords': 1 });
 monitoringAlertSchema.index({ confidence: -1 });
+monitoringAlertSchema.index({ infringerId: 1 });
+monitoringAlertSchema.index({ pendingJobs: 1 });
 
 // Pre-save middleware
 monitoringAlertSchema.pre('save', function(next) {
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One monitoring scan: what started it, what each connector found and which alerts were
+// new. Only one run may be `running` at a time; the partial unique index is the lock that
+// stops overlapping scans (the in-process schedule and an external cron, say) from saving
+// the same alerts twice.
+const monitoringRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual', 'http'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'abandoned'],
+    default: 'running'
+  },
+  dueOnly: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  watchlists: [{
+    _id: false,
+    id: String,
+    name: String
+  }],
+  connectors: [{
+    _id: false,
+    connector: String,
+    alertsFound: Number,
+    error: String
+  }],
+  alertsFound: {
+    type: Number,
+    default: 0
+  },
+  newAlertIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MonitoringAlert'
+  }],
+  error: String,
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+monitoringRunSchema.index({ startedAt: -1 });
+monitoringRunSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+
+module.exports = mongoose.model('MonitoringRun', monitoringRunSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['info', 'warning', 'error', 'success'],
+    default: 'info'
+  },
+  category: {
+    type: String,
+    enum: ['incident', 'assignment', 'deadline', 'system', 'legal']
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+
+  // Related entities
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident'
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high', 'urgent'],
+    default: 'normal'
+  },
+  expiresAt: Date,
+  actionUrl: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
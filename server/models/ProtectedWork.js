@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A DSP title or asset that monitoring watches for. Its title and aliases are matched as
+// phrases by every watchlist it is added to.
+const protectedWorkSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  workType: {
+    type: String,
+    enum: ['book', 'video', 'software', 'website', 'other'],
+    default: 'book'
+  },
+  isbn: String,
+  aliases: [String],
+  description: String,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+protectedWorkSchema.index({ title: 1 });
+
+module.exports = mongoose.model('ProtectedWork', protectedWorkSchema);
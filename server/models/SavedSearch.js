@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A named case search a user can re-run from the Cases sidebar
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  search: {
+    type: String,
+    default: ''
+  },
+  filters: {
+    status: String,
+    incidentType: String,
+    severity: String,
+    priority: String,
+    assignedTo: String,
+    view: String,
+    sortBy: String,
+    sortOrder: String
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const systemSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  description: String,
+  category: {
+    type: String,
+    default: 'general'
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+systemSettingSchema.index({ category: 1 });
+
+module.exports = mongoose.model('SystemSetting', systemSettingSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One recheck of an infringing URL after a takedown request
+// (services/takedownVerificationService.js): whether the content was still live, gone
+// (removed, changed or redirected), or the site could not be reached.
+const takedownCheckSchema = new mongoose.Schema({
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  state: {
+    type: String,
+    enum: ['live', 'removed', 'changed', 'redirected', 'unreachable'],
+    required: true
+  },
+  httpStatus: Number,
+  finalUrl: String,
+  comparedBy: {
+    type: String,
+    enum: ['fingerprint', 'keyword']
+  },
+  similarity: Number,
+  error: String,
+  checkedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+takedownCheckSchema.index({ incident: 1, checkedAt: -1 });
+
+module.exports = mongoose.model('TakedownCheck', takedownCheckSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const templateService = require('../services/templateService');
+
 const templateSchema = new mongoose.Schema({
   // Template Information
   name: {
@@ -9,7 +11,7 @@ const templateSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['cease_desist', 'dmca_takedown', 'abuse_report', 'legal_notice', 'email_template', 'other'],
+    enum: ['cease_desist', 'dmca_takedown', 'abuse_report', 'legal_notice', 'email_template', 'partial', 'other'],
     required: true
   },
   
@@ -90,6 +92,7 @@ const templateSchema = new mongoose.Schema({
   history: [{
     version: Number,
     content: String,
+    subject: String,
     modifiedBy: mongoose.Schema.Types.ObjectId,
     modifiedAt: { type: Date, default: Date.now },
     changeNotes: String
@@ -105,7 +108,7 @@ templateSchema.index({ createdBy: 1 });
 
 // Pre-save middleware
 templateSchema.pre('save', function(next) {
-  if (this.isModified('content') || this.isModified('subject')) {
+  if (!this.isNew && (this.isModified('content') || this.isModified('subject'))) {
     this.version += 1;
     this.history.push({
       version: this.version - 1,
@@ -127,37 +130,12 @@ templateSchema.methods.incrementUsage = function() {
 
 // Method to render template with variables
 templateSchema.methods.render = function(variables = {}) {
-  let renderedContent = this.content;
-  let renderedSubject = this.subject || '';
-  
-  // Replace variables in content
-  this.variables.forEach(variable => {
-    const value = variables[variable.name] || variable.defaultValue || '';
-    const regex = new RegExp(`{{${variable.name}}}`, 'g');
-    renderedContent = renderedContent.replace(regex, value);
-    renderedSubject = renderedSubject.replace(regex, value);
-  });
-  
-  return {
-    subject: renderedSubject,
-    content: renderedContent
-  };
+  return templateService.render(this, variables);
 };
 
 // Method to validate required variables
 templateSchema.methods.validateVariables = function(variables = {}) {
-  const missing = [];
-  
-  this.variables.forEach(variable => {
-    if (variable.required && (!variables[variable.name] || variables[variable.name].trim() === '')) {
-      missing.push(variable.name);
-    }
-  });
-  
-  return {
-    isValid: missing.length === 0,
-    missingVariables: missing
-  };
+  return templateService.validateVariables(this, variables);
 };
 
 // Static method to get templates by type
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const userPresenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  lastSeen: {
+    type: Date,
+    default: Date.now
+  },
+  isOnline: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    default: 'online'
+  }
+});
+
+module.exports = mongoose.model('UserPresence', userPresenceSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// What monitoring scans look for and how often. Keywords, exclusion terms and protected
+// work titles are phrases; in "boolean" mode `query` is used instead of the keywords (see
+// services/monitoring/matcher.js). Domains, when given, limit matches to those sites.
+const watchlistSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: String,
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  frequency: {
+    type: String,
+    enum: ['hourly', 'daily', 'weekly', 'monthly'],
+    default: 'daily'
+  },
+  matchMode: {
+    type: String,
+    enum: ['any', 'all', 'boolean'],
+    default: 'any'
+  },
+  keywords: [String],
+  query: String,
+  excludeTerms: [String],
+  domains: [{ type: String, lowercase: true, trim: true }],
+  protectedWorks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProtectedWork'
+  }],
+  lastScannedAt: Date,
+  lastAlertCount: { type: Number, default: 0 },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+watchlistSchema.index({ enabled: 1 });
+watchlistSchema.index({ protectedWorks: 1 });
+
+module.exports = mongoose.model('Watchlist', watchlistSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A reference fingerprint of a protected work that monitoring compares fetched content
+// against (services/fingerprintService.js). Text fingerprints hold a MinHash signature for
+// each overlapping chunk of the work's text; image fingerprints, including video keyframes,
+// hold a 64-bit perceptual hash.
+const workFingerprintSchema = new mongoose.Schema({
+  work: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProtectedWork',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['text', 'image'],
+    required: true
+  },
+  label: String,
+  source: {
+    type: { type: String, enum: ['upload', 'url'] },
+    name: String,
+    url: String,
+    contentType: String
+  },
+  wordCount: Number,
+  chunks: [{
+    _id: false,
+    shingles: Number,
+    minhash: [Number]
+  }],
+  hash: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+workFingerprintSchema.index({ work: 1 });
+
+module.exports = mongoose.model('WorkFingerprint', workFingerprintSchema);
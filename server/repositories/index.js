@@ -0,0 +1,76 @@
+// Per-entity data access for incidents, users, documents, templates, monitoring alerts,
+// chat, saved searches, infringers, protected works and their fingerprints, monitoring
+// watchlists, monitoring runs, evidence custody events, takedown rechecks, case activities,
+// notifications and system settings. Every backend returns the same camelCase domain
+// shape: string `_id`s, ISO date strings, and references populated as objects
+// ({ _id, firstName, ... }) or null.
+//
+//   incidents      findById, findByCaseNumber, list, create, update, purgeDeleted
+//                  (purgeDeleted removes cases soft-deleted before a date and resolves to
+//                  { purged, retained } lists of { _id, caseNumber }; cases with custody
+//                  events are retained, as the append-only log keeps referencing them)
+//   users          findById, findByIds, findByEmail, findByInvitationToken, search, list,
+//                  create, update (findByEmail takes { withPassword } to add `passwordHash`)
+//   documents      newId, findById, findByReplyToken, findByMessageIds, list, create, update
+//   templates      findById, list, create, update, recordUsage
+//   alerts         findById, findRecentByUrl, list, create, update
+//   chat           listMessages, findMessageById, createMessage, deleteMessage,
+//                  touchPresence, listPresence
+//   savedSearches  listByUser, findById, create, update, delete
+//   infringers     findById, list, create, update, delete
+//   protectedWorks findById, list, create, update, delete
+//   watchlists     findById, list, create, update, delete
+//   monitoringRuns findById, findRunning, list, start, update
+//                  (start resolves to null while another run is running)
+//   workFingerprints findById, listByWorks, create, delete, deleteByWork
+//   custodyEvents  listByEvidence, findLatest, append
+//                  (chains are keyed by evidence ID alone, so an item copied into another
+//                  case keeps one log; append resolves to null when the sequence is
+//                  already taken; events are never updated or deleted)
+//   takedownChecks listByIncident (newest first; takes { url, limit }), create
+//   caseActivities listByIncident (newest first; takes { types, page, limit }), create
+//   notifications  listByUser (newest first, unexpired; takes { unreadOnly, category, page,
+//                  limit }), countUnread, create, markRead, markAllRead, delete
+//                  (markRead and delete take the owner's ID and resolve to false for others)
+//   settings       get, set (by key)
+//
+// `list` takes domain filters plus { page, limit, sortBy, sortOrder } and resolves to
+// { items, total }; without a limit it returns every match. Incident lists also take a
+// `relevance` sort, which orders full-text `search` matches best first, and a `deleted`
+// filter for soft-deleted cases only. Incident and alert lists take `hasPendingJobs` for
+// records with intake jobs still to run.
+
+const createRepositories = (type, options = {}) => {
+  switch (type) {
+    case 'supabase':
+      return require('./supabase')(options.client || require('../config/supabase'));
+    case 'memory':
+      return require('./memory')(options.seed);
+    default:
+      return require('./mongo')();
+  }
+};
+
+// ID of a reference whether or not it has been populated
+const refId = (ref) => {
+  if (!ref) return null;
+  return String(ref._id || ref);
+};
+
+// Note authors kept as bare IDs are populated from the users repository
+const populateNoteAuthors = async (users, notes) => {
+  const authorIds = notes.filter(note => typeof note.author === 'string').map(note => note.author);
+  const authors = await users.findByIds(authorIds);
+
+  return notes.map(note => {
+    if (typeof note.author !== 'string') return note;
+    const author = authors.find(user => user._id === note.author);
+    return { ...note, author: author || { _id: note.author } };
+  });
+};
+
+module.exports = {
+  createRepositories,
+  refId,
+  populateNoteAuthors
+};
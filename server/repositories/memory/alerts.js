@@ -0,0 +1,72 @@
+const { containsAny, inDateRange, hostOf, findPage } = require('./store');
+const { toStored, toAlert } = require('./refs');
+
+const REF_FIELDS = ['assignedTo', 'reviewedBy', 'incidentId', 'infringerId'];
+const SORT_FIELDS = ['detectedAt', 'createdAt', 'updatedAt', 'confidence', 'priority', 'status', 'source', 'title'];
+
+class MemoryAlertRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  async findById(id) {
+    return toAlert(this.stores, this.stores.alerts.get(id));
+  }
+
+  // An alert for the same URL detected since the given date, used to skip repeat findings
+  async findRecentByUrl(sourceUrl, since) {
+    const alert = this.stores.alerts.all()
+      .map(record => toAlert(this.stores, record))
+      .find(candidate => candidate.sourceUrl === sourceUrl && inDateRange(candidate.detectedAt, { dateFrom: since }));
+
+    return alert || null;
+  }
+
+  matches(alert, filters) {
+    if (filters.status && alert.status !== filters.status) return false;
+    if (filters.source && alert.source !== filters.source) return false;
+    if (filters.priority && alert.priority !== filters.priority) return false;
+    if (filters.assignedTo && alert.assignedTo?._id !== String(filters.assignedTo)) return false;
+    if (filters.infringerId && alert.infringerId?._id !== String(filters.infringerId)) return false;
+    if (filters.hasPendingJobs && alert.pendingJobs.length === 0) return false;
+    if (!inDateRange(alert.detectedAt, filters)) return false;
+
+    // Alerts found on any of the domains
+    if (filters.domains && ![alert.sourceDomain, alert.sourceUrl].some(value => filters.domains.includes(hostOf(value)))) {
+      return false;
+    }
+
+    if (filters.search && !containsAny(filters.search, [
+      alert.title,
+      alert.description,
+      alert.detectedContent,
+      alert.matchedKeywords
+    ])) {
+      return false;
+    }
+
+    return true;
+  }
+
+  async list(filters = {}, options = {}) {
+    const alerts = this.stores.alerts.all()
+      .map(record => toAlert(this.stores, record))
+      .filter(alert => this.matches(alert, filters));
+
+    return findPage(alerts, options, { sortFields: SORT_FIELDS, defaultSort: 'detectedAt' });
+  }
+
+  async create(fields) {
+    const record = this.stores.alerts.insert({
+      detectedAt: new Date().toISOString(),
+      ...toStored(fields, REF_FIELDS)
+    });
+    return this.findById(record._id);
+  }
+
+  async update(id, fields) {
+    return toAlert(this.stores, this.stores.alerts.update(id, toStored(fields, REF_FIELDS)));
+  }
+}
+
+module.exports = MemoryAlertRepository;
@@ -0,0 +1,28 @@
+const { findPage } = require('./store');
+const { toCaseActivity } = require('./refs');
+
+class MemoryCaseActivityRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  // Newest first, optionally limited to some activity types
+  async listByIncident(incidentId, { types = [], ...options } = {}) {
+    const activities = this.stores.caseActivities.all()
+      .filter(activity => activity.incidentId === String(incidentId))
+      .filter(activity => types.length === 0 || types.includes(activity.type));
+
+    const page = findPage(activities, options, { sortFields: ['createdAt'], defaultSort: 'createdAt' });
+    return { ...page, items: page.items.map(activity => toCaseActivity(this.stores, activity)) };
+  }
+
+  async create({ incidentId, userId, ...fields }) {
+    return toCaseActivity(this.stores, this.stores.caseActivities.insert({
+      ...fields,
+      incidentId: String(incidentId),
+      user: userId ? String(userId) : null
+    }));
+  }
+}
+
+module.exports = MemoryCaseActivityRepository;
@@ -0,0 +1,58 @@
+const { now } = require('./store');
+const { toChatMessage } = require('./refs');
+
+class MemoryChatRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  // Newest `limit` messages before `before`, oldest first. With a recipient, the direct
+  // conversation between the two users; otherwise the group channel.
+  async listMessages({ userId, recipientId, before, limit = 50 }) {
+    const inConversation = (message) => (recipientId
+      ? (message.userId === userId && message.recipientId === recipientId)
+        || (message.userId === recipientId && message.recipientId === userId)
+      : !message.recipientId);
+
+    return this.stores.chatMessages.all()
+      .filter(message => !message.isDeleted && inConversation(message))
+      .filter(message => !before || new Date(message.createdAt) < new Date(before))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .slice(-limit)
+      .map(message => toChatMessage(this.stores, message));
+  }
+
+  async findMessageById(id) {
+    const message = this.stores.chatMessages.get(id);
+    return message && !message.isDeleted ? toChatMessage(this.stores, message) : null;
+  }
+
+  async createMessage({ userId, recipientId, message }) {
+    const record = this.stores.chatMessages.insert({
+      userId: String(userId),
+      recipientId: recipientId ? String(recipientId) : null,
+      message,
+      isDeleted: false
+    });
+    return toChatMessage(this.stores, record);
+  }
+
+  async deleteMessage(id) {
+    this.stores.chatMessages.update(id, { isDeleted: true });
+  }
+
+  async touchPresence(userId) {
+    this.stores.presence.set(String(userId), {
+      userId: String(userId),
+      lastSeen: now(),
+      isOnline: true,
+      status: 'online'
+    });
+  }
+
+  async listPresence() {
+    return [...this.stores.presence.values()].map(entry => ({ ...entry }));
+  }
+}
+
+module.exports = MemoryChatRepository;
@@ -0,0 +1,37 @@
+const { toStored, toCustodyEvent } = require('./refs');
+
+const REF_FIELDS = ['incidentId', 'actor'];
+
+class MemoryCustodyEventRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  chain(evidenceId) {
+    return this.stores.custodyEvents.all()
+      .filter(event => event.evidenceId === String(evidenceId))
+      .sort((a, b) => a.sequence - b.sequence);
+  }
+
+  async listByEvidence(evidenceId) {
+    return this.chain(evidenceId).map(record => toCustodyEvent(this.stores, record));
+  }
+
+  async findLatest(evidenceId) {
+    const events = this.chain(evidenceId);
+    return toCustodyEvent(this.stores, events[events.length - 1]);
+  }
+
+  // Checked and inserted without awaiting in between, so it is atomic like the databases'
+  // unique index
+  async append(fields) {
+    const stored = { ...toStored(fields, REF_FIELDS), evidenceId: String(fields.evidenceId) };
+    if (this.stores.custodyEvents.all().some(event => event.evidenceId === stored.evidenceId && event.sequence === stored.sequence)) {
+      return null;
+    }
+
+    return toCustodyEvent(this.stores, this.stores.custodyEvents.insert(stored));
+  }
+}
+
+module.exports = MemoryCustodyEventRepository;
@@ -0,0 +1,74 @@
+const { newId, containsAny, findPage } = require('./store');
+const { toStored, toDocument } = require('./refs');
+
+const REF_FIELDS = ['incidentId', 'createdBy', 'templateId'];
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'sentDate', 'title', 'type', 'status'];
+
+class MemoryDocumentRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  newId() {
+    return newId();
+  }
+
+  async findById(id) {
+    return toDocument(this.stores, this.stores.documents.get(id));
+  }
+
+  async findByReplyToken(replyToken) {
+    const record = this.stores.documents.all().find(document => document.replyToken === replyToken);
+    return toDocument(this.stores, record);
+  }
+
+  async findByMessageIds(messageIds) {
+    const record = this.stores.documents.all().find(document => messageIds.includes(document.delivery?.messageId));
+    return toDocument(this.stores, record);
+  }
+
+  matches(document, filters) {
+    if (filters.incidentId && document.incidentId?._id !== String(filters.incidentId)) return false;
+    if (filters.type && document.type !== filters.type) return false;
+    if (filters.status && document.status !== filters.status) return false;
+    if (filters.createdBy && document.createdBy?._id !== String(filters.createdBy)) return false;
+
+    if (filters.search && !containsAny(filters.search, [
+      document.title,
+      document.content,
+      document.recipient.name,
+      document.recipient.organization
+    ])) {
+      return false;
+    }
+
+    // Documents the user created or was asked to review
+    if (filters.visibleTo) {
+      const userId = String(filters.visibleTo);
+      if (document.createdBy?._id !== userId && !document.reviewers.some(reviewer => reviewer.user?._id === userId)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  async list(filters = {}, options = {}) {
+    const documents = this.stores.documents.all()
+      .map(record => toDocument(this.stores, record))
+      .filter(document => this.matches(document, filters));
+
+    return findPage(documents, options, { sortFields: SORT_FIELDS, defaultSort: 'createdAt' });
+  }
+
+  async create(fields) {
+    const record = this.stores.documents.insert(toStored(fields, REF_FIELDS));
+    return this.findById(record._id);
+  }
+
+  async update(id, fields) {
+    return toDocument(this.stores, this.stores.documents.update(id, toStored(fields, REF_FIELDS)));
+  }
+}
+
+module.exports = MemoryDocumentRepository;
@@ -0,0 +1,118 @@
+const searchService = require('../../services/searchService');
+const { newId, inDateRange, matchesOneOf, hostOf, sameText, findPage } = require('./store');
+const { caseNumberFor, toStored, toIncident } = require('./refs');
+
+const REF_FIELDS = ['reporter', 'assignedTo', 'mergedInto', 'infringerId', 'deletedBy'];
+const SORT_FIELDS = ['reportedAt', 'createdAt', 'updatedAt', 'dueDate', 'resolvedAt', 'title', 'status', 'severity', 'priority', 'caseNumber', 'deletedAt'];
+
+// Evidence entries get an `_id` the way Mongoose subdocuments do, so they can be addressed
+const withEvidenceIds = (fields) => (fields.evidence
+  ? { ...fields, evidence: fields.evidence.map(entry => (entry._id || entry.id ? entry : { ...entry, _id: newId() })) }
+  : fields);
+
+class MemoryIncidentRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  async findById(id, { includeDeleted = false } = {}) {
+    const incident = toIncident(this.stores, this.stores.incidents.get(id));
+    if (!incident || (incident.deletedAt && !includeDeleted)) return null;
+    return incident;
+  }
+
+  async findByCaseNumber(caseNumber) {
+    const wanted = String(caseNumber).toUpperCase();
+    const record = this.stores.incidents.all().find(incident => !incident.deletedAt && caseNumberFor(incident._id) === wanted);
+    return toIncident(this.stores, record);
+  }
+
+  matches(incident, filters) {
+    // `deleted` lists only soft-deleted cases; otherwise they are left out unless included
+    if (filters.deleted ? !incident.deletedAt : incident.deletedAt && !filters.includeDeleted) return false;
+    if (filters.status && !matchesOneOf(incident.status, filters.status)) return false;
+    if (filters.incidentType && incident.incidentType !== filters.incidentType) return false;
+    if (filters.severity && incident.severity !== filters.severity) return false;
+    if (filters.priority && incident.priority !== filters.priority) return false;
+    if (filters.assignedTo && incident.assignedTo?._id !== String(filters.assignedTo)) return false;
+    if (filters.reporter && incident.reporter?._id !== String(filters.reporter)) return false;
+    if (filters.infringerId && incident.infringerId?._id !== String(filters.infringerId)) return false;
+    if (filters.hasDueDate && !incident.dueDate) return false;
+    if (filters.hasPendingJobs && incident.pendingJobs.length === 0) return false;
+    if (!inDateRange(incident.reportedAt, filters)) return false;
+
+    if (filters.involving && ![incident.reporter?._id, incident.assignedTo?._id].includes(String(filters.involving))) {
+      return false;
+    }
+
+    // Possible duplicates: cases on any of the domains or with the same infringer
+    if (filters.related) {
+      const { domains = [], emails = [], names = [] } = filters.related;
+      const { infringerInfo } = incident;
+      const hosts = [...incident.infringedUrls.map(entry => entry.url), infringerInfo.website].map(hostOf);
+
+      if (!hosts.some(host => domains.includes(host))
+        && !emails.some(email => sameText(email, infringerInfo.email))
+        && !names.some(name => sameText(name, infringerInfo.name) || sameText(name, infringerInfo.organization))) {
+        return false;
+      }
+    }
+
+    // A case number finds that case; anything else matches any of the search words
+    if (filters.search && searchService.isCaseNumber(filters.search)) {
+      if (incident.caseNumber !== filters.search.trim().toUpperCase()) return false;
+    } else if (filters.search) {
+      const terms = searchService.parseTerms(filters.search);
+      if (terms.length > 0 && searchService.score(incident, terms) === 0) return false;
+    }
+
+    return true;
+  }
+
+  async list(filters = {}, options = {}) {
+    const incidents = this.stores.incidents.all()
+      .map(record => toIncident(this.stores, record))
+      .filter(incident => this.matches(incident, filters));
+
+    const terms = searchService.parseTerms(filters.search);
+
+    return findPage(incidents, options, {
+      sortFields: SORT_FIELDS,
+      defaultSort: 'reportedAt',
+      score: terms.length > 0 ? incident => searchService.score(incident, terms) : null
+    });
+  }
+
+  async create(fields) {
+    const record = this.stores.incidents.insert({
+      status: 'reported',
+      priority: 'medium',
+      reportedAt: new Date().toISOString(),
+      ...toStored(withEvidenceIds(fields), REF_FIELDS)
+    });
+    return this.findById(record._id);
+  }
+
+  async update(id, fields) {
+    const { caseNumber, ...updates } = fields;
+    const record = this.stores.incidents.update(id, toStored(withEvidenceIds(updates), REF_FIELDS));
+    return toIncident(this.stores, record);
+  }
+
+  async purgeDeleted(deletedBefore) {
+    const before = new Date(deletedBefore).getTime();
+    const expired = this.stores.incidents.all()
+      .filter(incident => incident.deletedAt && new Date(incident.deletedAt).getTime() < before);
+    const withCustody = new Set(this.stores.custodyEvents.all().map(event => event.incidentId));
+    const summary = incident => ({ _id: incident._id, caseNumber: caseNumberFor(incident._id) });
+
+    const purged = expired.filter(incident => !withCustody.has(incident._id));
+    purged.forEach(incident => this.stores.incidents.remove(incident._id));
+    return {
+      purged: purged.map(summary),
+      retained: expired.filter(incident => withCustody.has(incident._id)).map(summary)
+    };
+  }
+}
+
+module.exports = MemoryIncidentRepository;
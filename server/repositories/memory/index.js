@@ -0,0 +1,66 @@
+const { MemoryStore } = require('./store');
+const MemoryIncidentRepository = require('./incidents');
+const MemoryUserRepository = require('./users');
+const MemoryDocumentRepository = require('./documents');
+const MemoryTemplateRepository = require('./templates');
+const MemoryAlertRepository = require('./alerts');
+const MemoryChatRepository = require('./chat');
+const MemorySavedSearchRepository = require('./savedSearches');
+const MemoryInfringerRepository = require('./infringers');
+const MemoryProtectedWorkRepository = require('./protectedWorks');
+const MemoryWatchlistRepository = require('./watchlists');
+const MemoryMonitoringRunRepository = require('./monitoringRuns');
+const MemoryWorkFingerprintRepository = require('./workFingerprints');
+const MemoryCustodyEventRepository = require('./custodyEvents');
+const MemoryTakedownCheckRepository = require('./takedownChecks');
+const MemoryCaseActivityRepository = require('./caseActivities');
+const MemoryNotificationRepository = require('./notifications');
+const MemorySettingRepository = require('./settings');
+
+// In-memory repositories for tests. `seed` takes arrays of domain records, with
+// references given as IDs: { users, incidents, documents, templates, alerts, chatMessages,
+// savedSearches, infringers, protectedWorks, watchlists, monitoringRuns, workFingerprints,
+// custodyEvents, takedownChecks, caseActivities, notifications, settings }. Users may carry
+// a `passwordHash`; activities reference their user as `user`.
+module.exports = (seed = {}) => {
+  const stores = {
+    users: new MemoryStore(seed.users),
+    incidents: new MemoryStore(seed.incidents),
+    documents: new MemoryStore(seed.documents),
+    templates: new MemoryStore(seed.templates),
+    alerts: new MemoryStore(seed.alerts),
+    chatMessages: new MemoryStore(seed.chatMessages),
+    savedSearches: new MemoryStore(seed.savedSearches),
+    infringers: new MemoryStore(seed.infringers),
+    protectedWorks: new MemoryStore(seed.protectedWorks),
+    watchlists: new MemoryStore(seed.watchlists),
+    monitoringRuns: new MemoryStore(seed.monitoringRuns),
+    workFingerprints: new MemoryStore(seed.workFingerprints),
+    custodyEvents: new MemoryStore(seed.custodyEvents),
+    takedownChecks: new MemoryStore(seed.takedownChecks),
+    caseActivities: new MemoryStore(seed.caseActivities),
+    notifications: new MemoryStore(seed.notifications),
+    settings: new MemoryStore(seed.settings),
+    presence: new Map()
+  };
+
+  return {
+    incidents: new MemoryIncidentRepository(stores),
+    users: new MemoryUserRepository(stores),
+    documents: new MemoryDocumentRepository(stores),
+    templates: new MemoryTemplateRepository(stores),
+    alerts: new MemoryAlertRepository(stores),
+    chat: new MemoryChatRepository(stores),
+    savedSearches: new MemorySavedSearchRepository(stores),
+    infringers: new MemoryInfringerRepository(stores),
+    protectedWorks: new MemoryProtectedWorkRepository(stores),
+    watchlists: new MemoryWatchlistRepository(stores),
+    monitoringRuns: new MemoryMonitoringRunRepository(stores),
+    workFingerprints: new MemoryWorkFingerprintRepository(stores),
+    custodyEvents: new MemoryCustodyEventRepository(stores),
+    takedownChecks: new MemoryTakedownCheckRepository(stores),
+    caseActivities: new MemoryCaseActivityRepository(stores),
+    notifications: new MemoryNotificationRepository(stores),
+    settings: new MemorySettingRepository(stores)
+  };
+};
@@ -0,0 +1,66 @@
+const { containsAny, sameText, findPage } = require('./store');
+const { toStored, toInfringer } = require('./refs');
+
+const REF_FIELDS = ['createdBy'];
+const SORT_FIELDS = ['name', 'incidentCount', 'alertCount', 'lastSeenAt', 'createdAt', 'updatedAt'];
+
+class MemoryInfringerRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  async findById(id) {
+    return toInfringer(this.stores, this.stores.infringers.get(id));
+  }
+
+  matches(infringer, filters) {
+    if (filters.domain && !infringer.domains.includes(filters.domain)) return false;
+    if (filters.minIncidents && infringer.incidentCount < filters.minIncidents) return false;
+
+    if (filters.search && !containsAny(filters.search, [
+      infringer.name,
+      infringer.aliases,
+      infringer.emails,
+      infringer.domains,
+      infringer.hostingProviders,
+      infringer.socialHandles.map(social => social.handle)
+    ])) {
+      return false;
+    }
+
+    // Infringers sharing any of the normalized identifiers
+    if (filters.matching) {
+      const { domains = [], emails = [], names = [] } = filters.matching;
+      if (!domains.some(domain => infringer.domains.includes(domain))
+        && !emails.some(email => infringer.emails.includes(email))
+        && !names.some(name => [infringer.name, ...infringer.aliases].some(known => sameText(known, name)))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  async list(filters = {}, options = {}) {
+    const infringers = this.stores.infringers.all()
+      .map(record => toInfringer(this.stores, record))
+      .filter(infringer => this.matches(infringer, filters));
+
+    return findPage(infringers, options, { sortFields: SORT_FIELDS, defaultSort: 'incidentCount' });
+  }
+
+  async create(fields) {
+    const record = this.stores.infringers.insert(toStored(fields, REF_FIELDS));
+    return this.findById(record._id);
+  }
+
+  async update(id, fields) {
+    return toInfringer(this.stores, this.stores.infringers.update(id, toStored(fields, REF_FIELDS)));
+  }
+
+  async delete(id) {
+    this.stores.infringers.remove(id);
+  }
+}
+
+module.exports = MemoryInfringerRepository;
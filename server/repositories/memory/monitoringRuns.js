@@ -0,0 +1,47 @@
+const { now, findPage } = require('./store');
+const { toStored, toMonitoringRun } = require('./refs');
+
+const REF_FIELDS = ['triggeredBy'];
+const SORT_FIELDS = ['startedAt', 'finishedAt', 'durationMs', 'alertsFound'];
+
+class MemoryMonitoringRunRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  async findById(id) {
+    return toMonitoringRun(this.stores, this.stores.monitoringRuns.get(id));
+  }
+
+  async findRunning() {
+    const record = this.stores.monitoringRuns.all().find(run => run.status === 'running');
+    return toMonitoringRun(this.stores, record);
+  }
+
+  async list(filters = {}, options = {}) {
+    const runs = this.stores.monitoringRuns.all()
+      .filter(run => (!filters.status || run.status === filters.status) && (!filters.trigger || run.trigger === filters.trigger))
+      .map(record => toMonitoringRun(this.stores, record));
+
+    return findPage(runs, options, { sortFields: SORT_FIELDS, defaultSort: 'startedAt' });
+  }
+
+  // Checked and inserted without awaiting in between, so it is atomic like the databases'
+  // unique index
+  async start(fields) {
+    if (this.stores.monitoringRuns.all().some(run => run.status === 'running')) return null;
+
+    const record = this.stores.monitoringRuns.insert({
+      startedAt: now(),
+      ...toStored(fields, REF_FIELDS),
+      status: 'running'
+    });
+    return this.findById(record._id);
+  }
+
+  async update(id, fields) {
+    return toMonitoringRun(this.stores, this.stores.monitoringRuns.update(id, toStored(fields, REF_FIELDS)));
+  }
+}
+
+module.exports = MemoryMonitoringRunRepository;
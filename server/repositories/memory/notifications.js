@@ -0,0 +1,62 @@
+const { now, findPage } = require('./store');
+const { toNotification } = require('./refs');
+
+const isCurrent = (notification) => !notification.expiresAt || new Date(notification.expiresAt) > new Date();
+
+class MemoryNotificationRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  ownedBy(userId) {
+    return this.stores.notifications.all().filter(notification => notification.userId === String(userId));
+  }
+
+  // Newest first, leaving out expired notifications
+  async listByUser(userId, { unreadOnly = false, category, ...options } = {}) {
+    const notifications = this.ownedBy(userId)
+      .filter(isCurrent)
+      .filter(notification => !unreadOnly || !notification.isRead)
+      .filter(notification => !category || notification.category === category);
+
+    const page = findPage(notifications, options, { sortFields: ['createdAt'], defaultSort: 'createdAt' });
+    return { ...page, items: page.items.map(toNotification) };
+  }
+
+  async countUnread(userId) {
+    return this.ownedBy(userId).filter(notification => isCurrent(notification) && !notification.isRead).length;
+  }
+
+  async create({ userId, ...fields }) {
+    return toNotification(this.stores.notifications.insert({ isRead: false, ...fields, userId: String(userId) }));
+  }
+
+  // False when the notification does not belong to the user
+  async markRead(userId, id) {
+    const notification = this.stores.notifications.get(id);
+    if (!notification || notification.userId !== String(userId)) return false;
+
+    this.stores.notifications.update(id, { isRead: true, readAt: now() });
+    return true;
+  }
+
+  // How many unread notifications were marked
+  async markAllRead(userId) {
+    const unread = this.ownedBy(userId).filter(notification => !notification.isRead);
+    const readAt = now();
+
+    unread.forEach(notification => this.stores.notifications.update(notification._id, { isRead: true, readAt }));
+    return unread.length;
+  }
+
+  // False when the notification does not belong to the user
+  async delete(userId, id) {
+    const notification = this.stores.notifications.get(id);
+    if (!notification || notification.userId !== String(userId)) return false;
+
+    this.stores.notifications.remove(id);
+    return true;
+  }
+}
+
+module.exports = MemoryNotificationRepository;
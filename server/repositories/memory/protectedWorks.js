@@ -0,0 +1,45 @@
+const { containsAny, findPage } = require('./store');
+const { toStored, toProtectedWork } = require('./refs');
+
+const REF_FIELDS = ['createdBy'];
+const SORT_FIELDS = ['title', 'workType', 'createdAt', 'updatedAt'];
+
+class MemoryProtectedWorkRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  async findById(id) {
+    return toProtectedWork(this.stores, this.stores.protectedWorks.get(id));
+  }
+
+  matches(work, filters) {
+    if (filters.active !== undefined && work.active !== filters.active) return false;
+    if (filters.workType && work.workType !== filters.workType) return false;
+    if (filters.search && !containsAny(filters.search, [work.title, work.aliases, work.isbn])) return false;
+    return true;
+  }
+
+  async list(filters = {}, options = {}) {
+    const works = this.stores.protectedWorks.all()
+      .map(record => toProtectedWork(this.stores, record))
+      .filter(work => this.matches(work, filters));
+
+    return findPage(works, options, { sortFields: SORT_FIELDS, defaultSort: 'title' });
+  }
+
+  async create(fields) {
+    const record = this.stores.protectedWorks.insert(toStored(fields, REF_FIELDS));
+    return this.findById(record._id);
+  }
+
+  async update(id, fields) {
+    return toProtectedWork(this.stores, this.stores.protectedWorks.update(id, toStored(fields, REF_FIELDS)));
+  }
+
+  async delete(id) {
+    this.stores.protectedWorks.remove(id);
+  }
+}
+
+module.exports = MemoryProtectedWorkRepository;
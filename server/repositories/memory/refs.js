@@ -0,0 +1,395 @@
+const { clone, refId } = require('./store');
+
+// Records are stored in the domain shape with references kept as IDs. Reads copy the
+// record and populate its references from the other stores.
+
+const caseNumberFor = (id) => `DSP-${String(id).substr(24, 8).toUpperCase()}`;
+
+const userRef = (stores, id) => {
+  if (!id) return null;
+  const user = stores.users.get(id);
+  if (!user) return { _id: String(id) };
+
+  return {
+    _id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    department: user.department,
+    phone: user.phone
+  };
+};
+
+const incidentRef = (stores, id) => {
+  if (!id) return null;
+  const incident = stores.incidents.get(id);
+  if (!incident) return { _id: String(id) };
+
+  return { _id: incident._id, title: incident.title, caseNumber: caseNumberFor(incident._id) };
+};
+
+const infringerRef = (stores, id) => {
+  if (!id) return null;
+  const infringer = stores.infringers.get(id);
+  return infringer ? { _id: infringer._id, name: infringer.name } : { _id: String(id) };
+};
+
+// Store the given reference fields as IDs
+const toStored = (fields, refFields) => {
+  const stored = { ...fields };
+  refFields.forEach(field => {
+    if (stored[field] !== undefined) stored[field] = refId(stored[field]);
+  });
+  if (fields.reviewers) {
+    stored.reviewers = fields.reviewers.map(reviewer => ({ ...reviewer, user: refId(reviewer.user) }));
+  }
+  if (fields.notes) {
+    stored.notes = fields.notes.map(note => ({ ...note, author: refId(note.author) }));
+  }
+  return stored;
+};
+
+const withNoteAuthors = (stores, notes = []) => notes.map(note => ({ ...note, author: userRef(stores, note.author) }));
+
+const toUser = (record) => {
+  if (!record) return null;
+  const { passwordHash, passwordResetToken, emailVerificationToken, invitationToken, ...user } = clone(record);
+  return {
+    department: null,
+    phone: null,
+    jobTitle: null,
+    avatar: null,
+    isActive: true,
+    lastLogin: null,
+    preferences: {},
+    emailVerified: false,
+    invitationStatus: null,
+    invitationExpires: null,
+    loginAttempts: 0,
+    lockUntil: null,
+    ...user
+  };
+};
+
+const toIncident = (stores, record) => {
+  if (!record) return null;
+  const incident = clone(record);
+
+  return {
+    infringedUrls: [],
+    infringerInfo: {},
+    domainIntel: [],
+    pendingJobs: [],
+    legalActions: [],
+    evidence: [],
+    notes: [],
+    assignedAt: null,
+    dueDate: null,
+    resolution: {},
+    takedownCheck: {},
+    tags: [],
+    monitoringSource: null,
+    reportedAt: incident.createdAt,
+    resolvedAt: null,
+    deletedAt: null,
+    deletedReason: null,
+    ...incident,
+    caseNumber: caseNumberFor(incident._id),
+    reporter: userRef(stores, incident.reporter),
+    assignedTo: userRef(stores, incident.assignedTo),
+    mergedInto: incidentRef(stores, incident.mergedInto),
+    infringerId: infringerRef(stores, incident.infringerId),
+    deletedBy: userRef(stores, incident.deletedBy),
+    sla: { policy: null, status: null, atRiskAt: null, breachedAt: null, ...incident.sla }
+  };
+};
+
+const toDocument = (stores, record) => {
+  if (!record) return null;
+  const document = clone(record);
+
+  return {
+    templateId: null,
+    deliveryMethod: null,
+    sentDate: null,
+    responseDate: null,
+    responseContent: null,
+    delivery: null,
+    replyToken: null,
+    responses: [],
+    recipient: {},
+    version: 1,
+    tags: [],
+    ...document,
+    incidentId: incidentRef(stores, document.incidentId),
+    createdBy: userRef(stores, document.createdBy),
+    reviewers: (document.reviewers || []).map(reviewer => ({ ...reviewer, user: userRef(stores, reviewer.user) })),
+    notes: withNoteAuthors(stores, document.notes)
+  };
+};
+
+const toTemplate = (stores, record) => {
+  if (!record) return null;
+  const template = clone(record);
+
+  return {
+    subject: null,
+    variables: [],
+    description: null,
+    category: null,
+    tags: [],
+    version: 1,
+    isActive: true,
+    usageCount: 0,
+    lastUsed: null,
+    legalApproved: false,
+    approvedAt: null,
+    settings: {},
+    history: [],
+    ...template,
+    createdBy: userRef(stores, template.createdBy),
+    lastModifiedBy: userRef(stores, template.lastModifiedBy),
+    approvedBy: userRef(stores, template.approvedBy)
+  };
+};
+
+const toAlert = (stores, record) => {
+  if (!record) return null;
+  const alert = clone(record);
+
+  return {
+    description: null,
+    sourceUrl: null,
+    sourceDomain: null,
+    domainIntel: [],
+    pendingJobs: [],
+    matchedKeywords: [],
+    confidence: 50,
+    fingerprintMatch: null,
+    dspContent: {},
+    status: 'new',
+    priority: 'medium',
+    assignedAt: null,
+    screenshots: [],
+    evidenceUrls: [],
+    evidenceCapture: null,
+    actions: [],
+    detectedAt: alert.createdAt,
+    reviewedAt: null,
+    resolvedAt: null,
+    metadata: {},
+    ...alert,
+    assignedTo: userRef(stores, alert.assignedTo),
+    reviewedBy: userRef(stores, alert.reviewedBy),
+    incidentId: incidentRef(stores, alert.incidentId),
+    infringerId: infringerRef(stores, alert.infringerId),
+    notes: withNoteAuthors(stores, alert.notes)
+  };
+};
+
+const toChatMessage = (stores, record) => {
+  if (!record) return null;
+  const user = stores.users.get(record.userId);
+
+  return {
+    _id: record._id,
+    userId: record.userId,
+    recipientId: record.recipientId || null,
+    message: record.message,
+    user: user ? {
+      _id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      role: user.role
+    } : null,
+    createdAt: record.createdAt
+  };
+};
+
+const toInfringer = (stores, record) => {
+  if (!record) return null;
+  const infringer = clone(record);
+
+  return {
+    aliases: [],
+    emails: [],
+    domains: [],
+    hostingProviders: [],
+    socialHandles: [],
+    notes: null,
+    incidentCount: 0,
+    alertCount: 0,
+    lastSeenAt: null,
+    ...infringer,
+    createdBy: userRef(stores, infringer.createdBy)
+  };
+};
+
+const toProtectedWork = (stores, record) => {
+  if (!record) return null;
+  const work = clone(record);
+
+  return {
+    workType: 'book',
+    isbn: null,
+    aliases: [],
+    description: null,
+    active: true,
+    ...work,
+    createdBy: userRef(stores, work.createdBy)
+  };
+};
+
+const protectedWorkRef = (stores, id) => {
+  const work = stores.protectedWorks.get(id);
+  if (!work) return { _id: String(id) };
+
+  return {
+    _id: work._id,
+    title: work.title,
+    workType: work.workType || 'book',
+    isbn: work.isbn || null,
+    aliases: work.aliases || [],
+    active: work.active !== false
+  };
+};
+
+const toWatchlist = (stores, record) => {
+  if (!record) return null;
+  const watchlist = clone(record);
+
+  return {
+    description: null,
+    enabled: true,
+    frequency: 'daily',
+    matchMode: 'any',
+    keywords: [],
+    query: null,
+    excludeTerms: [],
+    domains: [],
+    lastScannedAt: null,
+    lastAlertCount: 0,
+    ...watchlist,
+    protectedWorks: (watchlist.protectedWorks || []).map(id => protectedWorkRef(stores, id)),
+    createdBy: userRef(stores, watchlist.createdBy)
+  };
+};
+
+const toWorkFingerprint = (stores, record) => {
+  if (!record) return null;
+  const fingerprint = clone(record);
+
+  return {
+    label: null,
+    source: {},
+    wordCount: 0,
+    chunks: [],
+    hash: null,
+    ...fingerprint,
+    createdBy: userRef(stores, fingerprint.createdBy)
+  };
+};
+
+const toMonitoringRun = (stores, record) => {
+  if (!record) return null;
+  const run = clone(record);
+
+  return {
+    dueOnly: false,
+    finishedAt: null,
+    durationMs: null,
+    watchlists: [],
+    connectors: [],
+    alertsFound: 0,
+    newAlertIds: [],
+    error: null,
+    ...run,
+    triggeredBy: userRef(stores, run.triggeredBy)
+  };
+};
+
+const toCustodyEvent = (stores, record) => {
+  if (!record) return null;
+  const { createdAt, updatedAt, ...event } = clone(record);
+
+  return {
+    checksum: null,
+    details: {},
+    previousHash: null,
+    ...event,
+    actor: userRef(stores, event.actor)
+  };
+};
+
+const toTakedownCheck = (record) => record && {
+  httpStatus: null,
+  finalUrl: null,
+  comparedBy: null,
+  similarity: null,
+  error: null,
+  ...clone(record)
+};
+
+const toSavedSearch = (record) => record && {
+  search: '',
+  filters: {},
+  ...clone(record)
+};
+
+// The acting user of an activity is shown with their role
+const toCaseActivity = (stores, record) => {
+  if (!record) return null;
+  const activity = clone(record);
+  const user = stores.users.get(activity.user);
+
+  return {
+    oldValues: null,
+    newValues: null,
+    metadata: {},
+    ...activity,
+    user: user ? { ...userRef(stores, user._id), role: user.role } : userRef(stores, activity.user)
+  };
+};
+
+const toNotification = (record) => record && {
+  type: 'info',
+  category: 'system',
+  priority: 'normal',
+  isRead: false,
+  readAt: null,
+  incidentId: null,
+  documentId: null,
+  actionUrl: null,
+  expiresAt: null,
+  ...clone(record)
+};
+
+const toSetting = (record) => record && {
+  description: null,
+  category: 'general',
+  updatedBy: null,
+  ...clone(record)
+};
+
+module.exports = {
+  caseNumberFor,
+  toStored,
+  toUser,
+  toIncident,
+  toDocument,
+  toTemplate,
+  toAlert,
+  toChatMessage,
+  toInfringer,
+  toSavedSearch,
+  toProtectedWork,
+  toWatchlist,
+  toMonitoringRun,
+  toWorkFingerprint,
+  toCustodyEvent,
+  toTakedownCheck,
+  toCaseActivity,
+  toNotification,
+  toSetting
+};
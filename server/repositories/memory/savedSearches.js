@@ -0,0 +1,33 @@
+const { toSavedSearch } = require('./refs');
+
+class MemorySavedSearchRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  async listByUser(userId) {
+    return this.stores.savedSearches.all()
+      .filter(savedSearch => savedSearch.userId === String(userId))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(toSavedSearch);
+  }
+
+  async findById(id) {
+    return toSavedSearch(this.stores.savedSearches.get(id));
+  }
+
+  async create({ userId, ...fields }) {
+    return toSavedSearch(this.stores.savedSearches.insert({ ...fields, userId: String(userId) }));
+  }
+
+  async update(id, fields) {
+    const { userId, ...updates } = fields;
+    return toSavedSearch(this.stores.savedSearches.update(id, updates));
+  }
+
+  async delete(id) {
+    this.stores.savedSearches.remove(id);
+  }
+}
+
+module.exports = MemorySavedSearchRepository;
@@ -0,0 +1,28 @@
+const { toSetting } = require('./refs');
+
+class MemorySettingRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  findRecord(key) {
+    return this.stores.settings.all().find(setting => setting.key === key) || null;
+  }
+
+  async get(key) {
+    return toSetting(this.findRecord(key));
+  }
+
+  // Create or replace the setting stored under `key`
+  async set(key, value, { userId = null, description, category = 'general' } = {}) {
+    const fields = { key, value, category, updatedBy: userId ? String(userId) : null };
+    if (description) fields.description = description;
+
+    const existing = this.findRecord(key);
+    return toSetting(existing
+      ? this.stores.settings.update(existing._id, fields)
+      : this.stores.settings.insert(fields));
+  }
+}
+
+module.exports = MemorySettingRepository;
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+const newId = () => crypto.randomUUID();
+
+const now = () => new Date().toISOString();
+
+// Deep copy so callers never share state with the store
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const refId = (ref) => (ref ? String(ref._id || ref) : null);
+
+// Case-insensitive substring match against any of the given values
+const containsAny = (term, values) => {
+  const needle = String(term).toLowerCase();
+  return values.flat().some(value => value !== null && value !== undefined && String(value).toLowerCase().includes(needle));
+};
+
+const inDateRange = (value, { dateFrom, dateTo }) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  if (dateFrom && !(time >= new Date(dateFrom).getTime())) return false;
+  if (dateTo && !(time <= new Date(dateTo).getTime())) return false;
+  return true;
+};
+
+// The host of a URL without "www.", matching the database-side domain filters
+const hostOf = (value) => {
+  const match = String(value || '').trim().toLowerCase().match(/^(?:[a-z][a-z0-9+.-]*:\/\/)?(?:www\.)?([^/?#:\s]+)/);
+  return match ? match[1] : null;
+};
+
+const sameText = (a, b) => Boolean(a) && Boolean(b) && String(a).toLowerCase() === String(b).toLowerCase();
+
+const matchesOneOf = (value, expected) => (Array.isArray(expected) ? expected.includes(value) : value === expected);
+
+const compareBy = (field, direction) => (a, b) => {
+  if (a[field] === b[field]) return 0;
+  if (a[field] === null || a[field] === undefined) return 1;
+  if (b[field] === null || b[field] === undefined) return -1;
+  return a[field] > b[field] ? direction : -direction;
+};
+
+// Sort and optionally paginate, the way the database-backed list methods do. Missing
+// values sort last whatever the order. A `relevance` sort orders by `score`, best first.
+const findPage = (records, options, { sortFields, defaultSort, score = null }) => {
+  const { page = 1, limit, sortBy, sortOrder = 'desc' } = options;
+  const field = sortFields.includes(sortBy) ? sortBy : defaultSort;
+  const direction = sortOrder === 'asc' ? 1 : -1;
+
+  let sorted;
+  if (sortBy === 'relevance' && score) {
+    const byDefault = compareBy(defaultSort, -1);
+    sorted = records
+      .map(record => ({ record, score: score(record) }))
+      .sort((a, b) => b.score - a.score || byDefault(a.record, b.record))
+      .map(entry => entry.record);
+  } else {
+    sorted = [...records].sort(compareBy(field, direction));
+  }
+
+  return {
+    items: limit ? sorted.slice((page - 1) * limit, page * limit) : sorted,
+    total: sorted.length
+  };
+};
+
+// A Map of records keyed by `_id`, stamped with createdAt and updatedAt
+class MemoryStore {
+  constructor(records = []) {
+    this.records = new Map();
+    records.forEach(record => this.insert(record));
+  }
+
+  get(id) {
+    return id ? this.records.get(String(id)) || null : null;
+  }
+
+  all() {
+    return [...this.records.values()];
+  }
+
+  insert(fields) {
+    const timestamp = now();
+    const record = { createdAt: timestamp, updatedAt: timestamp, ...clone(fields), _id: String(fields._id || newId()) };
+    this.records.set(record._id, record);
+    return record;
+  }
+
+  update(id, fields) {
+    const record = this.get(id);
+    if (!record) return null;
+
+    const { _id, createdAt, updatedAt, ...updates } = clone(fields);
+    Object.entries(updates).forEach(([field, value]) => {
+      if (value !== undefined) record[field] = value;
+    });
+    record.updatedAt = now();
+    return record;
+  }
+
+  remove(id) {
+    this.records.delete(String(id));
+  }
+}
+
+module.exports = {
+  newId,
+  now,
+  clone,
+  refId,
+  containsAny,
+  inDateRange,
+  matchesOneOf,
+  hostOf,
+  sameText,
+  findPage,
+  MemoryStore
+};
@@ -0,0 +1,26 @@
+const { now } = require('./store');
+const { toStored, toTakedownCheck } = require('./refs');
+
+class MemoryTakedownCheckRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  async listByIncident(incidentId, { url, limit } = {}) {
+    const checks = this.stores.takedownChecks.all()
+      .filter(check => check.incidentId === String(incidentId) && (!url || check.url === url))
+      .sort((a, b) => b.checkedAt.localeCompare(a.checkedAt))
+      .map(toTakedownCheck);
+
+    return limit ? checks.slice(0, limit) : checks;
+  }
+
+  async create(fields) {
+    return toTakedownCheck(this.stores.takedownChecks.insert({
+      checkedAt: now(),
+      ...toStored(fields, ['incidentId'])
+    }));
+  }
+}
+
+module.exports = MemoryTakedownCheckRepository;
@@ -0,0 +1,52 @@
+const { containsAny, findPage } = require('./store');
+const { toStored, toTemplate } = require('./refs');
+
+const REF_FIELDS = ['createdBy', 'lastModifiedBy', 'approvedBy'];
+const SORT_FIELDS = ['name', 'type', 'usageCount', 'lastUsed', 'createdAt', 'updatedAt'];
+
+class MemoryTemplateRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  async findById(id) {
+    return toTemplate(this.stores, this.stores.templates.get(id));
+  }
+
+  matches(template, filters) {
+    if (filters.isActive !== undefined && template.isActive !== filters.isActive) return false;
+    if (filters.type && template.type !== filters.type) return false;
+    if (filters.category && template.category !== filters.category) return false;
+    if (filters.search && !containsAny(filters.search, [template.name, template.description, template.tags])) return false;
+    return true;
+  }
+
+  async list(filters = {}, options = {}) {
+    const templates = this.stores.templates.all()
+      .map(record => toTemplate(this.stores, record))
+      .filter(template => this.matches(template, filters));
+
+    return findPage(templates, { sortOrder: 'asc', ...options }, { sortFields: SORT_FIELDS, defaultSort: 'name' });
+  }
+
+  async create(fields) {
+    const record = this.stores.templates.insert(toStored(fields, REF_FIELDS));
+    return this.findById(record._id);
+  }
+
+  async update(id, fields) {
+    return toTemplate(this.stores, this.stores.templates.update(id, toStored(fields, REF_FIELDS)));
+  }
+
+  async recordUsage(id) {
+    const template = this.stores.templates.get(id);
+    if (!template) return null;
+
+    return this.update(id, {
+      usageCount: (template.usageCount || 0) + 1,
+      lastUsed: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = MemoryTemplateRepository;
@@ -0,0 +1,64 @@
+const { containsAny, matchesOneOf, sameText, findPage } = require('./store');
+const { toUser } = require('./refs');
+
+const SORT_FIELDS = ['firstName', 'lastName', 'email', 'createdAt'];
+
+class MemoryUserRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  async findById(id) {
+    return toUser(this.stores.users.get(id));
+  }
+
+  async findByIds(ids = []) {
+    return [...new Set(ids.filter(Boolean).map(String))]
+      .map(id => toUser(this.stores.users.get(id)))
+      .filter(Boolean);
+  }
+
+  // `withPassword` adds the stored `passwordHash` for checking credentials
+  async findByEmail(email, { withPassword = false } = {}) {
+    const record = this.stores.users.all().find(user => sameText(user.email, email));
+    if (!record) return null;
+
+    const user = toUser(record);
+    return withPassword ? { ...user, passwordHash: record.passwordHash || null } : user;
+  }
+
+  async findByInvitationToken(token) {
+    return toUser(this.stores.users.all().find(user => token && user.invitationToken === token));
+  }
+
+  // Match on name, email or job title
+  async search(query, { limit = 5, activeOnly = true } = {}) {
+    return this.stores.users.all()
+      .map(toUser)
+      .filter(user => !activeOnly || user.isActive)
+      .filter(user => containsAny(query, [user.firstName, user.lastName, user.email, user.jobTitle]))
+      .slice(0, limit);
+  }
+
+  async list(filters = {}, options = {}) {
+    const users = this.stores.users.all()
+      .map(toUser)
+      .filter(user => filters.isActive === undefined || user.isActive === filters.isActive)
+      .filter(user => !filters.role || matchesOneOf(user.role, filters.role))
+      .filter(user => !filters.department || user.department === filters.department)
+      .filter(user => !filters.search || containsAny(filters.search, [user.firstName, user.lastName, user.email, user.jobTitle]));
+
+    return findPage(users, { sortOrder: 'asc', ...options }, { sortFields: SORT_FIELDS, defaultSort: 'firstName' });
+  }
+
+  async create(fields) {
+    return toUser(this.stores.users.insert({ ...fields, email: String(fields.email).toLowerCase() }));
+  }
+
+  async update(id, fields) {
+    const updates = fields.email ? { ...fields, email: String(fields.email).toLowerCase() } : fields;
+    return toUser(this.stores.users.update(id, updates));
+  }
+}
+
+module.exports = MemoryUserRepository;
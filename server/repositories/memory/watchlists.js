@@ -0,0 +1,53 @@
+const { refId, findPage } = require('./store');
+const { toStored, toWatchlist } = require('./refs');
+
+const REF_FIELDS = ['createdBy'];
+const SORT_FIELDS = ['name', 'frequency', 'lastScannedAt', 'createdAt', 'updatedAt'];
+
+// Protected work references are stored as IDs
+const toStoredFields = (fields) => {
+  const stored = toStored(fields, REF_FIELDS);
+  if (fields.protectedWorks) stored.protectedWorks = fields.protectedWorks.map(refId);
+  return stored;
+};
+
+class MemoryWatchlistRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  async findById(id) {
+    return toWatchlist(this.stores, this.stores.watchlists.get(id));
+  }
+
+  matches(watchlist, filters) {
+    if (filters.enabled !== undefined && watchlist.enabled !== filters.enabled) return false;
+    if (filters.protectedWork && !watchlist.protectedWorks.some(work => work._id === String(filters.protectedWork))) {
+      return false;
+    }
+    return true;
+  }
+
+  async list(filters = {}, options = {}) {
+    const watchlists = this.stores.watchlists.all()
+      .map(record => toWatchlist(this.stores, record))
+      .filter(watchlist => this.matches(watchlist, filters));
+
+    return findPage(watchlists, options, { sortFields: SORT_FIELDS, defaultSort: 'name' });
+  }
+
+  async create(fields) {
+    const record = this.stores.watchlists.insert(toStoredFields(fields));
+    return this.findById(record._id);
+  }
+
+  async update(id, fields) {
+    return toWatchlist(this.stores, this.stores.watchlists.update(id, toStoredFields(fields)));
+  }
+
+  async delete(id) {
+    this.stores.watchlists.remove(id);
+  }
+}
+
+module.exports = MemoryWatchlistRepository;
@@ -0,0 +1,38 @@
+const { toStored, toWorkFingerprint } = require('./refs');
+
+const REF_FIELDS = ['workId', 'createdBy'];
+
+class MemoryWorkFingerprintRepository {
+  constructor(stores) {
+    this.stores = stores;
+  }
+
+  async findById(id) {
+    return toWorkFingerprint(this.stores, this.stores.workFingerprints.get(id));
+  }
+
+  async listByWorks(workIds) {
+    const ids = workIds.map(String);
+    return this.stores.workFingerprints.all()
+      .filter(fingerprint => ids.includes(fingerprint.workId))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(record => toWorkFingerprint(this.stores, record));
+  }
+
+  async create(fields) {
+    const record = this.stores.workFingerprints.insert(toStored(fields, REF_FIELDS));
+    return this.findById(record._id);
+  }
+
+  async delete(id) {
+    this.stores.workFingerprints.remove(id);
+  }
+
+  async deleteByWork(workId) {
+    this.stores.workFingerprints.all()
+      .filter(fingerprint => fingerprint.workId === String(workId))
+      .forEach(fingerprint => this.stores.workFingerprints.remove(fingerprint._id));
+  }
+}
+
+module.exports = MemoryWorkFingerprintRepository;
@@ -0,0 +1,102 @@
+const MonitoringAlert = require('../../models/MonitoringAlert');
+const { toAlert, unpopulate } = require('./mappers');
+const { contains, onDomains, isValidId, dateRange, findPage } = require('./query');
+
+const USER_FIELDS = 'firstName lastName email department phone';
+const POPULATE = [
+  { path: 'assignedTo', select: USER_FIELDS },
+  { path: 'reviewedBy', select: USER_FIELDS },
+  { path: 'incidentId', select: 'title' },
+  { path: 'infringerId', select: 'name' },
+  { path: 'notes.author', model: 'User', select: USER_FIELDS }
+];
+const REF_FIELDS = ['assignedTo', 'reviewedBy', 'incidentId', 'infringerId'];
+
+const SORT_FIELDS = {
+  detectedAt: 'detectedAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  confidence: 'confidence',
+  priority: 'priority',
+  status: 'status',
+  source: 'source',
+  title: 'title'
+};
+
+const populate = (query) => POPULATE.reduce((result, path) => result.populate(path), query);
+
+class MongoAlertRepository {
+  async findById(id) {
+    if (!isValidId(id)) return null;
+    return toAlert(await populate(MonitoringAlert.findById(id)).lean());
+  }
+
+  // An alert for the same URL detected since the given date, used to skip repeat findings
+  async findRecentByUrl(sourceUrl, since) {
+    return toAlert(await MonitoringAlert.findOne({
+      sourceUrl,
+      detectedAt: { $gte: since }
+    }).lean());
+  }
+
+  toFilter(filters = {}) {
+    const filter = {};
+
+    if (filters.status) filter.status = filters.status;
+    if (filters.source) filter.source = filters.source;
+    if (filters.priority) filter.priority = filters.priority;
+    if (filters.assignedTo) filter.assignedTo = filters.assignedTo;
+    if (filters.infringerId) filter.infringerId = filters.infringerId;
+    if (filters.hasPendingJobs) filter['pendingJobs.0'] = { $exists: true };
+
+    if (filters.dateFrom || filters.dateTo) {
+      filter.detectedAt = dateRange(filters);
+    }
+
+    // Alerts found on any of the domains
+    if (filters.domains) {
+      const pattern = onDomains(filters.domains);
+      filter.$and = [{ $or: [{ sourceDomain: pattern }, { sourceUrl: pattern }] }];
+    }
+
+    if (filters.search) {
+      const pattern = contains(filters.search);
+      filter.$or = [
+        { title: pattern },
+        { description: pattern },
+        { detectedContent: pattern },
+        { matchedKeywords: pattern }
+      ];
+    }
+
+    return filter;
+  }
+
+  list(filters = {}, options = {}) {
+    return findPage(MonitoringAlert, this.toFilter(filters), options, {
+      sortFields: SORT_FIELDS,
+      defaultSort: 'detectedAt',
+      populate: POPULATE,
+      map: toAlert
+    });
+  }
+
+  async create(fields) {
+    const alert = await MonitoringAlert.create(unpopulate(fields, REF_FIELDS));
+    return this.findById(alert._id);
+  }
+
+  async update(id, fields) {
+    const { _id, createdAt, updatedAt, ...updates } = unpopulate(fields, REF_FIELDS);
+
+    const alert = await populate(MonitoringAlert.findOneAndUpdate(
+      { _id: id },
+      { $set: updates },
+      { new: true, runValidators: true }
+    )).lean();
+
+    return toAlert(alert);
+  }
+}
+
+module.exports = MongoAlertRepository;
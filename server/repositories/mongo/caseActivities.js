@@ -0,0 +1,27 @@
+const CaseActivity = require('../../models/CaseActivity');
+const { toCaseActivity } = require('./mappers');
+const { isValidId, findPage } = require('./query');
+
+class MongoCaseActivityRepository {
+  // Newest first, optionally limited to some activity types
+  listByIncident(incidentId, { types = [], ...options } = {}) {
+    if (!isValidId(incidentId)) return { items: [], total: 0 };
+
+    const filter = { incidentId };
+    if (types.length > 0) filter.activityType = { $in: types };
+
+    return findPage(CaseActivity, filter, options, {
+      sortFields: { createdAt: 'createdAt' },
+      defaultSort: 'createdAt',
+      populate: [{ path: 'user', select: 'firstName lastName email department phone role' }],
+      map: toCaseActivity
+    });
+  }
+
+  async create({ incidentId, userId, type, ...fields }) {
+    const activity = await CaseActivity.create({ ...fields, incidentId, user: userId, activityType: type });
+    return toCaseActivity(activity.toObject());
+  }
+}
+
+module.exports = MongoCaseActivityRepository;
@@ -0,0 +1,75 @@
+const ChatMessage = require('../../models/ChatMessage');
+const UserPresence = require('../../models/UserPresence');
+const { toChatMessage } = require('./mappers');
+const { isValidId } = require('./query');
+
+const SENDER_FIELDS = 'firstName lastName email role';
+
+class MongoChatRepository {
+  // Newest `limit` messages before `before`, oldest first. With a recipient, the direct
+  // conversation between the two users; otherwise the group channel.
+  async listMessages({ userId, recipientId, before, limit = 50 }) {
+    const filter = { isDeleted: false };
+
+    if (before) {
+      filter.createdAt = { $lt: new Date(before) };
+    }
+
+    if (recipientId) {
+      filter.$or = [
+        { user: userId, recipient: recipientId },
+        { user: recipientId, recipient: userId }
+      ];
+    } else {
+      filter.recipient = null;
+    }
+
+    const messages = await ChatMessage.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('user', SENDER_FIELDS)
+      .lean();
+
+    return messages.reverse().map(toChatMessage);
+  }
+
+  async findMessageById(id) {
+    if (!isValidId(id)) return null;
+    return toChatMessage(await ChatMessage.findOne({ _id: id, isDeleted: false }).lean());
+  }
+
+  async createMessage({ userId, recipientId, message }) {
+    const created = await ChatMessage.create({
+      user: userId,
+      recipient: recipientId || null,
+      message
+    });
+
+    return toChatMessage(await ChatMessage.findById(created._id).populate('user', SENDER_FIELDS).lean());
+  }
+
+  async deleteMessage(id) {
+    await ChatMessage.updateOne({ _id: id }, { $set: { isDeleted: true } });
+  }
+
+  async touchPresence(userId) {
+    await UserPresence.updateOne(
+      { user: userId },
+      { $set: { lastSeen: new Date(), isOnline: true, status: 'online' } },
+      { upsert: true }
+    );
+  }
+
+  async listPresence() {
+    const presence = await UserPresence.find().lean();
+
+    return presence.map(entry => ({
+      userId: String(entry.user),
+      lastSeen: entry.lastSeen ? entry.lastSeen.toISOString() : null,
+      isOnline: entry.isOnline,
+      status: entry.status
+    }));
+  }
+}
+
+module.exports = MongoChatRepository;
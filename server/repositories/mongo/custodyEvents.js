@@ -0,0 +1,36 @@
+const CustodyEvent = require('../../models/CustodyEvent');
+const { toCustodyEvent, unpopulate } = require('./mappers');
+
+const USER_FIELDS = 'firstName lastName email department phone';
+
+// MongoDB duplicate key error, raised here when another event took the same sequence
+const DUPLICATE_KEY = 11000;
+
+class MongoCustodyEventRepository {
+  async listByEvidence(evidenceId) {
+    const events = await CustodyEvent.find({ evidenceId: String(evidenceId) })
+      .sort({ sequence: 1 })
+      .populate('actor', USER_FIELDS)
+      .lean();
+    return events.map(toCustodyEvent);
+  }
+
+  async findLatest(evidenceId) {
+    return toCustodyEvent(await CustodyEvent.findOne({ evidenceId: String(evidenceId) })
+      .sort({ sequence: -1 })
+      .populate('actor', USER_FIELDS)
+      .lean());
+  }
+
+  async append({ incidentId, ...fields }) {
+    try {
+      const event = await CustodyEvent.create({ ...unpopulate(fields, ['actor']), incident: incidentId });
+      return toCustodyEvent(await CustodyEvent.findById(event._id).populate('actor', USER_FIELDS).lean());
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = MongoCustodyEventRepository;
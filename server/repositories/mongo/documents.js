@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Document = require('../../models/Document');
+const { toDocument, unpopulate } = require('./mappers');
+const { contains, isValidId, findPage } = require('./query');
+
+const USER_FIELDS = 'firstName lastName email department phone';
+const POPULATE = [
+  { path: 'incidentId', select: 'title' },
+  { path: 'createdBy', select: USER_FIELDS },
+  // Reviewers and note authors are plain ObjectIds in the schema, so name the model
+  { path: 'reviewers.user', model: 'User', select: USER_FIELDS },
+  { path: 'notes.author', model: 'User', select: USER_FIELDS }
+];
+const REF_FIELDS = ['incidentId', 'createdBy', 'templateId'];
+
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  sentDate: 'sentDate',
+  title: 'title',
+  type: 'type',
+  status: 'status'
+};
+
+const populate = (query) => POPULATE.reduce((result, path) => result.populate(path), query);
+
+// Reviewer and note references are stored as IDs
+const toStoredFields = (fields) => {
+  const stored = unpopulate(fields, REF_FIELDS);
+  if (fields.reviewers) {
+    stored.reviewers = fields.reviewers.map(reviewer => ({ ...reviewer, user: String(reviewer.user._id || reviewer.user) }));
+  }
+  if (fields.notes) {
+    stored.notes = fields.notes.map(note => ({ ...note, author: note.author && String(note.author._id || note.author) }));
+  }
+  return stored;
+};
+
+class MongoDocumentRepository {
+  newId() {
+    return new mongoose.Types.ObjectId().toString();
+  }
+
+  async findById(id) {
+    if (!isValidId(id)) return null;
+    return toDocument(await populate(Document.findById(id)).lean());
+  }
+
+  async findByReplyToken(replyToken) {
+    return toDocument(await populate(Document.findOne({ replyToken })).lean());
+  }
+
+  async findByMessageIds(messageIds) {
+    return toDocument(await populate(Document.findOne({ 'delivery.messageId': { $in: messageIds } })).lean());
+  }
+
+  toFilter(filters = {}) {
+    const filter = {};
+    const conditions = [];
+
+    if (filters.incidentId) filter.incidentId = filters.incidentId;
+    if (filters.type) filter.type = filters.type;
+    if (filters.status) filter.status = filters.status;
+    if (filters.createdBy) filter.createdBy = filters.createdBy;
+
+    if (filters.search) {
+      const pattern = contains(filters.search);
+      conditions.push({
+        $or: [
+          { title: pattern },
+          { content: pattern },
+          { 'recipient.name': pattern },
+          { 'recipient.organization': pattern }
+        ]
+      });
+    }
+
+    // Documents the user created or was asked to review
+    if (filters.visibleTo) {
+      conditions.push({ $or: [{ createdBy: filters.visibleTo }, { 'reviewers.user': filters.visibleTo }] });
+    }
+
+    if (conditions.length > 0) filter.$and = conditions;
+    return filter;
+  }
+
+  list(filters = {}, options = {}) {
+    return findPage(Document, this.toFilter(filters), options, {
+      sortFields: SORT_FIELDS,
+      defaultSort: 'createdAt',
+      populate: POPULATE,
+      map: toDocument
+    });
+  }
+
+  async create({ _id, ...fields }) {
+    const document = await Document.create({ ...toStoredFields(fields), ...(_id ? { _id } : {}) });
+    return this.findById(document._id);
+  }
+
+  async update(id, fields) {
+    const { _id, createdAt, updatedAt, ...updates } = toStoredFields(fields);
+
+    const document = await populate(Document.findOneAndUpdate(
+      { _id: id },
+      { $set: updates },
+      { new: true, runValidators: true }
+    )).lean();
+
+    return toDocument(document);
+  }
+}
+
+module.exports = MongoDocumentRepository;
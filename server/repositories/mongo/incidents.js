@@ -0,0 +1,152 @@
+const CustodyEvent = require('../../models/CustodyEvent');
+const Incident = require('../../models/Incident');
+const { caseNumberFor, toIncident, unpopulate } = require('./mappers');
+const searchService = require('../../services/searchService');
+const { equalsIgnoringCase, onDomains, isValidId, dateRange, findPage } = require('./query');
+
+const USER_FIELDS = 'firstName lastName email department phone';
+const POPULATE = [
+  { path: 'reporter', select: USER_FIELDS },
+  { path: 'assignedTo', select: USER_FIELDS },
+  { path: 'deletedBy', select: USER_FIELDS },
+  { path: 'mergedInto', select: 'title' },
+  { path: 'infringerId', select: 'name' }
+];
+const REF_FIELDS = ['reporter', 'assignedTo', 'mergedInto', 'infringerId', 'deletedBy'];
+
+const SORT_FIELDS = {
+  reportedAt: 'reportedAt',
+  createdAt: 'createdAt',
+  updatedAt: 'lastUpdated',
+  dueDate: 'dueDate',
+  resolvedAt: 'resolvedAt',
+  title: 'title',
+  status: 'status',
+  severity: 'severity',
+  priority: 'priority',
+  caseNumber: '_id',
+  deletedAt: 'deletedAt'
+};
+
+// The caseNumber virtual, computed in the query so it can be matched and searched
+const CASE_NUMBER_EXPR = {
+  $concat: ['DSP-', { $toUpper: { $substrCP: [{ $toString: '$_id' }, 16, 8] } }]
+};
+
+const populate = (query) => POPULATE.reduce((result, path) => result.populate(path), query);
+
+class MongoIncidentRepository {
+  async findById(id, { includeDeleted = false } = {}) {
+    if (!isValidId(id)) return null;
+
+    const filter = { _id: id };
+    if (!includeDeleted) filter.deletedAt = null;
+
+    return toIncident(await populate(Incident.findOne(filter)).lean());
+  }
+
+  async findByCaseNumber(caseNumber) {
+    const incident = await populate(Incident.findOne({
+      deletedAt: null,
+      $expr: { $eq: [CASE_NUMBER_EXPR, String(caseNumber).toUpperCase()] }
+    })).lean();
+
+    return toIncident(incident);
+  }
+
+  toFilter(filters = {}) {
+    // `deleted` lists only soft-deleted cases; otherwise they are left out unless included
+    const filter = filters.deleted ? { deletedAt: { $ne: null } } : filters.includeDeleted ? {} : { deletedAt: null };
+    const conditions = [];
+
+    if (filters.status) {
+      filter.status = Array.isArray(filters.status) ? { $in: filters.status } : filters.status;
+    }
+    if (filters.incidentType) filter.incidentType = filters.incidentType;
+    if (filters.severity) filter.severity = filters.severity;
+    if (filters.priority) filter.priority = filters.priority;
+    if (filters.assignedTo) filter.assignedTo = filters.assignedTo;
+    if (filters.reporter) filter.reporter = filters.reporter;
+    if (filters.infringerId) filter.infringerId = filters.infringerId;
+    if (filters.hasDueDate) filter.dueDate = { $ne: null };
+    if (filters.hasPendingJobs) filter['pendingJobs.0'] = { $exists: true };
+
+    if (filters.dateFrom || filters.dateTo) {
+      filter.reportedAt = dateRange(filters);
+    }
+
+    // Cases the user reported or is assigned to
+    if (filters.involving) {
+      conditions.push({ $or: [{ reporter: filters.involving }, { assignedTo: filters.involving }] });
+    }
+
+    // Possible duplicates: cases on any of the domains or with the same infringer
+    if (filters.related) {
+      const { domains = [], emails = [], names = [] } = filters.related;
+      const alternatives = [
+        ...(domains.length > 0 ? [{ 'infringedUrls.url': onDomains(domains) }, { 'infringerInfo.website': onDomains(domains) }] : []),
+        ...emails.map(email => ({ 'infringerInfo.email': equalsIgnoringCase(email) })),
+        ...names.flatMap(name => [
+          { 'infringerInfo.name': equalsIgnoringCase(name) },
+          { 'infringerInfo.organization': equalsIgnoringCase(name) }
+        ])
+      ];
+      conditions.push(alternatives.length > 0 ? { $or: alternatives } : { _id: null });
+    }
+
+    // A case number finds that case; anything else is a full-text search on the text index
+    if (filters.search && searchService.isCaseNumber(filters.search)) {
+      conditions.push({ $expr: { $eq: [CASE_NUMBER_EXPR, filters.search.trim().toUpperCase()] } });
+    } else if (filters.search) {
+      const terms = searchService.parseTerms(filters.search);
+      if (terms.length > 0) filter.$text = { $search: terms.join(' ') };
+    }
+
+    if (conditions.length > 0) filter.$and = conditions;
+    return filter;
+  }
+
+  list(filters = {}, options = {}) {
+    return findPage(Incident, this.toFilter(filters), options, {
+      sortFields: SORT_FIELDS,
+      defaultSort: 'reportedAt',
+      populate: POPULATE,
+      map: toIncident
+    });
+  }
+
+  async create(fields) {
+    const incident = await Incident.create(unpopulate(fields, REF_FIELDS));
+    return this.findById(incident._id);
+  }
+
+  async update(id, fields) {
+    const { _id, caseNumber, createdAt, updatedAt, ...updates } = unpopulate(fields, REF_FIELDS);
+
+    const incident = await populate(Incident.findOneAndUpdate(
+      { _id: id },
+      { $set: { ...updates, lastUpdated: new Date() } },
+      { new: true, runValidators: true }
+    )).lean();
+
+    return toIncident(incident);
+  }
+
+  async purgeDeleted(deletedBefore) {
+    const filter = { deletedAt: { $ne: null, $lt: new Date(deletedBefore) } };
+    const expired = await Incident.find(filter).select('_id').lean();
+    const withCustody = new Set((await CustodyEvent.distinct('incident', {
+      incident: { $in: expired.map(incident => incident._id) }
+    })).map(String));
+    const summary = incident => ({ _id: String(incident._id), caseNumber: caseNumberFor(incident._id) });
+
+    const purged = expired.filter(incident => !withCustody.has(String(incident._id)));
+    await Incident.deleteMany({ _id: { $in: purged.map(incident => incident._id) } });
+    return {
+      purged: purged.map(summary),
+      retained: expired.filter(incident => withCustody.has(String(incident._id))).map(summary)
+    };
+  }
+}
+
+module.exports = MongoIncidentRepository;
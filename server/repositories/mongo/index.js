@@ -0,0 +1,37 @@
+const MongoIncidentRepository = require('./incidents');
+const MongoUserRepository = require('./users');
+const MongoDocumentRepository = require('./documents');
+const MongoTemplateRepository = require('./templates');
+const MongoAlertRepository = require('./alerts');
+const MongoChatRepository = require('./chat');
+const MongoSavedSearchRepository = require('./savedSearches');
+const MongoInfringerRepository = require('./infringers');
+const MongoProtectedWorkRepository = require('./protectedWorks');
+const MongoWatchlistRepository = require('./watchlists');
+const MongoMonitoringRunRepository = require('./monitoringRuns');
+const MongoWorkFingerprintRepository = require('./workFingerprints');
+const MongoCustodyEventRepository = require('./custodyEvents');
+const MongoTakedownCheckRepository = require('./takedownChecks');
+const MongoCaseActivityRepository = require('./caseActivities');
+const MongoNotificationRepository = require('./notifications');
+const MongoSettingRepository = require('./settings');
+
+module.exports = () => ({
+  incidents: new MongoIncidentRepository(),
+  users: new MongoUserRepository(),
+  documents: new MongoDocumentRepository(),
+  templates: new MongoTemplateRepository(),
+  alerts: new MongoAlertRepository(),
+  chat: new MongoChatRepository(),
+  savedSearches: new MongoSavedSearchRepository(),
+  infringers: new MongoInfringerRepository(),
+  protectedWorks: new MongoProtectedWorkRepository(),
+  watchlists: new MongoWatchlistRepository(),
+  monitoringRuns: new MongoMonitoringRunRepository(),
+  workFingerprints: new MongoWorkFingerprintRepository(),
+  custodyEvents: new MongoCustodyEventRepository(),
+  takedownChecks: new MongoTakedownCheckRepository(),
+  caseActivities: new MongoCaseActivityRepository(),
+  notifications: new MongoNotificationRepository(),
+  settings: new MongoSettingRepository()
+});
@@ -0,0 +1,93 @@
+const Infringer = require('../../models/Infringer');
+const { toInfringer, unpopulate } = require('./mappers');
+const { contains, equalsIgnoringCase, isValidId, findPage } = require('./query');
+
+const USER_FIELDS = 'firstName lastName email department phone';
+const POPULATE = [{ path: 'createdBy', select: USER_FIELDS }];
+const REF_FIELDS = ['createdBy'];
+
+const SORT_FIELDS = {
+  name: 'name',
+  incidentCount: 'incidentCount',
+  alertCount: 'alertCount',
+  lastSeenAt: 'lastSeenAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+const populate = (query) => POPULATE.reduce((result, path) => result.populate(path), query);
+
+class MongoInfringerRepository {
+  async findById(id) {
+    if (!isValidId(id)) return null;
+    return toInfringer(await populate(Infringer.findById(id)).lean());
+  }
+
+  toFilter(filters = {}) {
+    const filter = {};
+    const conditions = [];
+
+    if (filters.domain) filter.domains = filters.domain;
+    if (filters.minIncidents) filter.incidentCount = { $gte: filters.minIncidents };
+
+    if (filters.search) {
+      const pattern = contains(filters.search);
+      conditions.push({
+        $or: [
+          { name: pattern },
+          { aliases: pattern },
+          { emails: pattern },
+          { domains: pattern },
+          { hostingProviders: pattern },
+          { 'socialHandles.handle': pattern }
+        ]
+      });
+    }
+
+    // Infringers sharing any of the normalized identifiers
+    if (filters.matching) {
+      const { domains = [], emails = [], names = [] } = filters.matching;
+      const alternatives = [
+        ...(domains.length > 0 ? [{ domains: { $in: domains } }] : []),
+        ...(emails.length > 0 ? [{ emails: { $in: emails } }] : []),
+        ...names.flatMap(name => [{ name: equalsIgnoringCase(name) }, { aliases: equalsIgnoringCase(name) }])
+      ];
+      conditions.push(alternatives.length > 0 ? { $or: alternatives } : { _id: null });
+    }
+
+    if (conditions.length > 0) filter.$and = conditions;
+    return filter;
+  }
+
+  list(filters = {}, options = {}) {
+    return findPage(Infringer, this.toFilter(filters), options, {
+      sortFields: SORT_FIELDS,
+      defaultSort: 'incidentCount',
+      populate: POPULATE,
+      map: toInfringer
+    });
+  }
+
+  async create(fields) {
+    const infringer = await Infringer.create(unpopulate(fields, REF_FIELDS));
+    return this.findById(infringer._id);
+  }
+
+  async update(id, fields) {
+    const { _id, createdAt, updatedAt, ...updates } = unpopulate(fields, REF_FIELDS);
+
+    const infringer = await populate(Infringer.findOneAndUpdate(
+      { _id: id },
+      { $set: updates },
+      { new: true, runValidators: true }
+    )).lean();
+
+    return toInfringer(infringer);
+  }
+
+  async delete(id) {
+    await Infringer.deleteOne({ _id: id });
+  }
+}
+
+module.exports = MongoInfringerRepository;
@@ -0,0 +1,425 @@
+const mongoose = require('mongoose');
+
+// Lean Mongoose documents mapped to the domain shape. Nested arrays and objects go through
+// JSON so ObjectIds and Dates inside them come out as strings, as they do from Supabase.
+
+const toId = (value) => (value ? String(value._id || value) : null);
+
+const iso = (value) => (value ? new Date(value).toISOString() : null);
+
+const plain = (value) => (value === undefined || value === null ? value : JSON.parse(JSON.stringify(value)));
+
+// Matches the caseNumber virtual on the Incident model
+const caseNumberFor = (id) => `DSP-${String(id).slice(-8).toUpperCase()}`;
+
+// Populated references become objects; unpopulated ones keep just their ID
+const isUnpopulated = (ref) => ref instanceof mongoose.Types.ObjectId || typeof ref === 'string';
+
+const toUserRef = (user) => {
+  if (!user) return null;
+  if (isUnpopulated(user)) return { _id: toId(user) };
+
+  return {
+    _id: toId(user),
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    department: user.department,
+    phone: user.phone
+  };
+};
+
+const toIncidentRef = (incident) => {
+  if (!incident) return null;
+  if (isUnpopulated(incident)) return { _id: toId(incident) };
+
+  return {
+    _id: toId(incident),
+    title: incident.title,
+    caseNumber: caseNumberFor(incident._id)
+  };
+};
+
+const toInfringerRef = (infringer) => {
+  if (!infringer) return null;
+  if (isUnpopulated(infringer)) return { _id: toId(infringer) };
+  return { _id: toId(infringer), name: infringer.name };
+};
+
+const toUser = (user) => user && ({
+  _id: toId(user),
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  role: user.role,
+  department: user.department,
+  phone: user.phone,
+  jobTitle: user.jobTitle,
+  avatar: user.avatar,
+  isActive: user.isActive,
+  lastLogin: iso(user.lastLogin),
+  preferences: plain(user.preferences) || {},
+  emailVerified: Boolean(user.emailVerified),
+  invitationStatus: user.invitationStatus || null,
+  invitationExpires: iso(user.invitationExpires),
+  loginAttempts: user.loginAttempts || 0,
+  lockUntil: iso(user.lockUntil),
+  createdAt: iso(user.createdAt),
+  updatedAt: iso(user.updatedAt)
+});
+
+const toIncident = (incident) => incident && ({
+  _id: toId(incident),
+  caseNumber: caseNumberFor(incident._id),
+  title: incident.title,
+  description: incident.description,
+  reporter: toUserRef(incident.reporter),
+  incidentType: incident.incidentType,
+  severity: incident.severity,
+  status: incident.status,
+  priority: incident.priority,
+  infringedContent: incident.infringedContent,
+  infringedUrls: plain(incident.infringedUrls) || [],
+  infringerInfo: plain(incident.infringerInfo) || {},
+  infringerId: toInfringerRef(incident.infringerId),
+  domainIntel: plain(incident.domainIntel) || [],
+  pendingJobs: plain(incident.pendingJobs) || [],
+  legalActions: plain(incident.legalActions) || [],
+  evidence: plain(incident.evidence) || [],
+  notes: plain(incident.notes) || [],
+  assignedTo: toUserRef(incident.assignedTo),
+  assignedAt: iso(incident.assignedAt),
+  dueDate: iso(incident.dueDate),
+  sla: {
+    policy: incident.sla?.policy || null,
+    status: incident.sla?.status || null,
+    atRiskAt: iso(incident.sla?.atRiskAt),
+    breachedAt: iso(incident.sla?.breachedAt)
+  },
+  resolution: plain(incident.resolution) || {},
+  takedownCheck: plain(incident.takedownCheck) || {},
+  tags: incident.tags || [],
+  monitoringSource: incident.monitoringSource || null,
+  mergedInto: toIncidentRef(incident.mergedInto),
+  reportedAt: iso(incident.reportedAt),
+  resolvedAt: iso(incident.resolvedAt),
+  deletedAt: iso(incident.deletedAt),
+  deletedBy: toUserRef(incident.deletedBy),
+  deletedReason: incident.deletedReason || null,
+  createdAt: iso(incident.createdAt),
+  updatedAt: iso(incident.lastUpdated || incident.updatedAt)
+});
+
+const toDocument = (document) => document && ({
+  _id: toId(document),
+  title: document.title,
+  type: document.type,
+  content: document.content,
+  templateId: toId(document.templateId),
+  incidentId: toIncidentRef(document.incidentId),
+  createdBy: toUserRef(document.createdBy),
+  status: document.status,
+  deliveryMethod: document.deliveryMethod || null,
+  sentDate: iso(document.sentDate),
+  responseDate: iso(document.responseDate),
+  responseContent: document.responseContent || null,
+  delivery: plain(document.delivery) || null,
+  replyToken: document.replyToken || null,
+  responses: plain(document.responses) || [],
+  recipient: plain(document.recipient) || {},
+  filePath: document.filePath || null,
+  fileName: document.fileName || null,
+  fileSize: document.fileSize || null,
+  mimeType: document.mimeType || null,
+  checksum: document.checksum || null,
+  storageBackend: document.storageBackend || null,
+  version: document.version || 1,
+  reviewers: (document.reviewers || []).map(reviewer => ({
+    ...plain(reviewer),
+    user: toUserRef(reviewer.user)
+  })),
+  tags: document.tags || [],
+  notes: (document.notes || []).map(note => ({
+    ...plain(note),
+    author: toUserRef(note.author)
+  })),
+  createdAt: iso(document.createdAt),
+  updatedAt: iso(document.updatedAt)
+});
+
+const toTemplate = (template) => template && ({
+  _id: toId(template),
+  name: template.name,
+  type: template.type,
+  subject: template.subject || null,
+  content: template.content,
+  variables: plain(template.variables) || [],
+  description: template.description || null,
+  category: template.category || null,
+  tags: template.tags || [],
+  version: template.version || 1,
+  isActive: template.isActive,
+  createdBy: toUserRef(template.createdBy),
+  lastModifiedBy: toUserRef(template.lastModifiedBy),
+  usageCount: template.usageCount || 0,
+  lastUsed: iso(template.lastUsed),
+  legalApproved: template.legalApproved || false,
+  approvedBy: toUserRef(template.approvedBy),
+  approvedAt: iso(template.approvedAt),
+  settings: plain(template.settings) || {},
+  history: plain(template.history) || [],
+  createdAt: iso(template.createdAt),
+  updatedAt: iso(template.updatedAt)
+});
+
+const toAlert = (alert) => alert && ({
+  _id: toId(alert),
+  title: alert.title,
+  description: alert.description || null,
+  source: alert.source,
+  sourceUrl: alert.sourceUrl || null,
+  sourceDomain: alert.sourceDomain || null,
+  domainIntel: plain(alert.domainIntel) || [],
+  pendingJobs: plain(alert.pendingJobs) || [],
+  detectedContent: alert.detectedContent,
+  matchedKeywords: alert.matchedKeywords || [],
+  confidence: alert.confidence ?? 50,
+  fingerprintMatch: alert.fingerprintMatch && alert.fingerprintMatch.fingerprintId ? plain(alert.fingerprintMatch) : null,
+  dspContent: plain(alert.dspContent) || {},
+  status: alert.status,
+  priority: alert.priority,
+  assignedTo: toUserRef(alert.assignedTo),
+  assignedAt: iso(alert.assignedAt),
+  reviewedBy: toUserRef(alert.reviewedBy),
+  incidentId: toIncidentRef(alert.incidentId),
+  infringerId: toInfringerRef(alert.infringerId),
+  screenshots: alert.screenshots || [],
+  evidenceUrls: alert.evidenceUrls || [],
+  evidenceCapture: alert.evidenceCapture && alert.evidenceCapture.capturedAt ? {
+    ...plain(alert.evidenceCapture),
+    capturedAt: iso(alert.evidenceCapture.capturedAt)
+  } : null,
+  actions: plain(alert.actions) || [],
+  detectedAt: iso(alert.detectedAt || alert.createdAt),
+  reviewedAt: iso(alert.reviewedAt),
+  resolvedAt: iso(alert.resolvedAt),
+  notes: (alert.notes || []).map(note => ({
+    ...plain(note),
+    author: toUserRef(note.author)
+  })),
+  metadata: plain(alert.metadata) || {},
+  createdAt: iso(alert.createdAt),
+  updatedAt: iso(alert.updatedAt)
+});
+
+const toChatMessage = (message) => message && ({
+  _id: toId(message),
+  userId: toId(message.user),
+  recipientId: toId(message.recipient),
+  message: message.message,
+  user: message.user && !isUnpopulated(message.user) ? {
+    _id: toId(message.user),
+    firstName: message.user.firstName,
+    lastName: message.user.lastName,
+    email: message.user.email,
+    role: message.user.role
+  } : null,
+  createdAt: iso(message.createdAt)
+});
+
+const toInfringer = (infringer) => infringer && ({
+  _id: toId(infringer),
+  name: infringer.name,
+  aliases: infringer.aliases || [],
+  emails: infringer.emails || [],
+  domains: infringer.domains || [],
+  hostingProviders: infringer.hostingProviders || [],
+  socialHandles: (infringer.socialHandles || []).map(({ platform, handle }) => ({ platform, handle })),
+  notes: infringer.notes || null,
+  incidentCount: infringer.incidentCount || 0,
+  alertCount: infringer.alertCount || 0,
+  lastSeenAt: iso(infringer.lastSeenAt),
+  createdBy: toUserRef(infringer.createdBy),
+  createdAt: iso(infringer.createdAt),
+  updatedAt: iso(infringer.updatedAt)
+});
+
+const toSavedSearch = (savedSearch) => savedSearch && ({
+  _id: toId(savedSearch),
+  userId: toId(savedSearch.user),
+  name: savedSearch.name,
+  search: savedSearch.search || '',
+  filters: plain(savedSearch.filters) || {},
+  createdAt: iso(savedSearch.createdAt),
+  updatedAt: iso(savedSearch.updatedAt)
+});
+
+const toProtectedWork = (work) => {
+  if (!work) return null;
+  if (isUnpopulated(work)) return { _id: toId(work) };
+
+  return {
+    _id: toId(work),
+    title: work.title,
+    workType: work.workType || 'book',
+    isbn: work.isbn || null,
+    aliases: work.aliases || [],
+    description: work.description || null,
+    active: work.active !== false,
+    createdBy: toUserRef(work.createdBy),
+    createdAt: iso(work.createdAt),
+    updatedAt: iso(work.updatedAt)
+  };
+};
+
+const toWatchlist = (watchlist) => watchlist && ({
+  _id: toId(watchlist),
+  name: watchlist.name,
+  description: watchlist.description || null,
+  enabled: watchlist.enabled !== false,
+  frequency: watchlist.frequency || 'daily',
+  matchMode: watchlist.matchMode || 'any',
+  keywords: watchlist.keywords || [],
+  query: watchlist.query || null,
+  excludeTerms: watchlist.excludeTerms || [],
+  domains: watchlist.domains || [],
+  protectedWorks: (watchlist.protectedWorks || []).map(toProtectedWork),
+  lastScannedAt: iso(watchlist.lastScannedAt),
+  lastAlertCount: watchlist.lastAlertCount || 0,
+  createdBy: toUserRef(watchlist.createdBy),
+  createdAt: iso(watchlist.createdAt),
+  updatedAt: iso(watchlist.updatedAt)
+});
+
+const toWorkFingerprint = (fingerprint) => fingerprint && ({
+  _id: toId(fingerprint),
+  workId: toId(fingerprint.work),
+  kind: fingerprint.kind,
+  label: fingerprint.label || null,
+  source: plain(fingerprint.source) || {},
+  wordCount: fingerprint.wordCount || 0,
+  chunks: plain(fingerprint.chunks) || [],
+  hash: fingerprint.hash || null,
+  createdBy: toUserRef(fingerprint.createdBy),
+  createdAt: iso(fingerprint.createdAt)
+});
+
+const toMonitoringRun = (run) => run && ({
+  _id: toId(run),
+  trigger: run.trigger,
+  status: run.status,
+  dueOnly: Boolean(run.dueOnly),
+  startedAt: iso(run.startedAt),
+  finishedAt: iso(run.finishedAt),
+  durationMs: run.durationMs ?? null,
+  watchlists: plain(run.watchlists) || [],
+  connectors: plain(run.connectors) || [],
+  alertsFound: run.alertsFound || 0,
+  newAlertIds: (run.newAlertIds || []).map(toId),
+  error: run.error || null,
+  triggeredBy: toUserRef(run.triggeredBy),
+  createdAt: iso(run.createdAt),
+  updatedAt: iso(run.updatedAt)
+});
+
+const toCustodyEvent = (event) => event && ({
+  _id: toId(event),
+  incidentId: toId(event.incident),
+  evidenceId: event.evidenceId,
+  sequence: event.sequence,
+  action: event.action,
+  actor: toUserRef(event.actor),
+  occurredAt: iso(event.occurredAt),
+  checksum: event.checksum || null,
+  details: plain(event.details) || {},
+  previousHash: event.previousHash || null,
+  hash: event.hash
+});
+
+const toTakedownCheck = (check) => check && ({
+  _id: toId(check),
+  incidentId: toId(check.incident),
+  url: check.url,
+  state: check.state,
+  httpStatus: check.httpStatus ?? null,
+  finalUrl: check.finalUrl || null,
+  comparedBy: check.comparedBy || null,
+  similarity: check.similarity ?? null,
+  error: check.error || null,
+  checkedAt: iso(check.checkedAt)
+});
+
+// The acting user of an activity is shown with their role
+const toCaseActivity = (activity) => activity && ({
+  _id: toId(activity),
+  incidentId: toId(activity.incidentId),
+  user: activity.user && !isUnpopulated(activity.user)
+    ? { ...toUserRef(activity.user), role: activity.user.role }
+    : toUserRef(activity.user),
+  type: activity.activityType,
+  description: activity.description,
+  oldValues: plain(activity.oldValues) || null,
+  newValues: plain(activity.newValues) || null,
+  metadata: plain(activity.metadata) || {},
+  createdAt: iso(activity.createdAt)
+});
+
+const toNotification = (notification) => notification && ({
+  _id: toId(notification),
+  userId: toId(notification.user),
+  title: notification.title,
+  message: notification.message,
+  type: notification.type,
+  category: notification.category,
+  priority: notification.priority,
+  isRead: Boolean(notification.isRead),
+  readAt: iso(notification.readAt),
+  incidentId: toId(notification.incident),
+  documentId: toId(notification.document),
+  actionUrl: notification.actionUrl || null,
+  expiresAt: iso(notification.expiresAt),
+  createdAt: iso(notification.createdAt)
+});
+
+const toSetting = (setting) => setting && ({
+  _id: toId(setting),
+  key: setting.key,
+  value: plain(setting.value),
+  description: setting.description || null,
+  category: setting.category,
+  updatedBy: toId(setting.updatedBy),
+  updatedAt: iso(setting.updatedAt)
+});
+
+// Domain fields hold either IDs or populated references; Mongoose wants the IDs
+const unpopulate = (fields, refFields) => {
+  const result = { ...fields };
+  refFields.forEach(field => {
+    if (result[field] !== undefined) {
+      result[field] = result[field] ? toId(result[field]) : null;
+    }
+  });
+  return result;
+};
+
+module.exports = {
+  caseNumberFor,
+  toUser,
+  toIncident,
+  toDocument,
+  toTemplate,
+  toAlert,
+  toChatMessage,
+  toInfringer,
+  toSavedSearch,
+  toProtectedWork,
+  toWatchlist,
+  toMonitoringRun,
+  toWorkFingerprint,
+  toCustodyEvent,
+  toTakedownCheck,
+  toCaseActivity,
+  toNotification,
+  toSetting,
+  unpopulate
+};
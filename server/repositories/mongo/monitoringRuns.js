@@ -0,0 +1,67 @@
+const MonitoringRun = require('../../models/MonitoringRun');
+const { toMonitoringRun, unpopulate } = require('./mappers');
+const { isValidId, findPage } = require('./query');
+
+const USER_FIELDS = 'firstName lastName email department phone';
+const POPULATE = [{ path: 'triggeredBy', select: USER_FIELDS }];
+const REF_FIELDS = ['triggeredBy'];
+
+const SORT_FIELDS = {
+  startedAt: 'startedAt',
+  finishedAt: 'finishedAt',
+  durationMs: 'durationMs',
+  alertsFound: 'alertsFound'
+};
+
+// MongoDB duplicate key error, raised here by the index allowing one running run
+const DUPLICATE_KEY = 11000;
+
+const populate = (query) => POPULATE.reduce((result, path) => result.populate(path), query);
+
+class MongoMonitoringRunRepository {
+  async findById(id) {
+    if (!isValidId(id)) return null;
+    return toMonitoringRun(await populate(MonitoringRun.findById(id)).lean());
+  }
+
+  async findRunning() {
+    return toMonitoringRun(await populate(MonitoringRun.findOne({ status: 'running' })).lean());
+  }
+
+  list(filters = {}, options = {}) {
+    const filter = {};
+    if (filters.status) filter.status = filters.status;
+    if (filters.trigger) filter.trigger = filters.trigger;
+
+    return findPage(MonitoringRun, filter, options, {
+      sortFields: SORT_FIELDS,
+      defaultSort: 'startedAt',
+      populate: POPULATE,
+      map: toMonitoringRun
+    });
+  }
+
+  async start(fields) {
+    try {
+      const run = await MonitoringRun.create({ ...unpopulate(fields, REF_FIELDS), status: 'running' });
+      return this.findById(run._id);
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) return null;
+      throw error;
+    }
+  }
+
+  async update(id, fields) {
+    const { _id, createdAt, updatedAt, ...updates } = unpopulate(fields, REF_FIELDS);
+
+    const run = await populate(MonitoringRun.findOneAndUpdate(
+      { _id: id },
+      { $set: updates },
+      { new: true, runValidators: true }
+    )).lean();
+
+    return toMonitoringRun(run);
+  }
+}
+
+module.exports = MongoMonitoringRunRepository;
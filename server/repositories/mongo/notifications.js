@@ -0,0 +1,54 @@
+const Notification = require('../../models/Notification');
+const { toNotification } = require('./mappers');
+const { isValidId, findPage } = require('./query');
+
+// Notifications that have not expired
+const current = () => ({ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] });
+
+class MongoNotificationRepository {
+  // Newest first, leaving out expired notifications
+  listByUser(userId, { unreadOnly = false, category, ...options } = {}) {
+    const filter = { user: userId, ...current() };
+    if (unreadOnly) filter.isRead = false;
+    if (category) filter.category = category;
+
+    return findPage(Notification, filter, options, {
+      sortFields: { createdAt: 'createdAt' },
+      defaultSort: 'createdAt',
+      map: toNotification
+    });
+  }
+
+  countUnread(userId) {
+    return Notification.countDocuments({ user: userId, isRead: false, ...current() });
+  }
+
+  async create({ userId, incidentId = null, documentId = null, ...fields }) {
+    const notification = await Notification.create({ ...fields, user: userId, incident: incidentId, document: documentId });
+    return toNotification(notification.toObject());
+  }
+
+  // False when the notification does not belong to the user
+  async markRead(userId, id) {
+    if (!isValidId(id)) return false;
+
+    const notification = await Notification.findOneAndUpdate({ _id: id, user: userId }, { isRead: true, readAt: new Date() });
+    return Boolean(notification);
+  }
+
+  // How many unread notifications were marked
+  async markAllRead(userId) {
+    const result = await Notification.updateMany({ user: userId, isRead: false }, { isRead: true, readAt: new Date() });
+    return result.modifiedCount;
+  }
+
+  // False when the notification does not belong to the user
+  async delete(userId, id) {
+    if (!isValidId(id)) return false;
+
+    const notification = await Notification.findOneAndDelete({ _id: id, user: userId });
+    return Boolean(notification);
+  }
+}
+
+module.exports = MongoNotificationRepository;
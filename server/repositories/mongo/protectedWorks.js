@@ -0,0 +1,68 @@
+const ProtectedWork = require('../../models/ProtectedWork');
+const { toProtectedWork, unpopulate } = require('./mappers');
+const { contains, isValidId, findPage } = require('./query');
+
+const USER_FIELDS = 'firstName lastName email department phone';
+const POPULATE = [{ path: 'createdBy', select: USER_FIELDS }];
+const REF_FIELDS = ['createdBy'];
+
+const SORT_FIELDS = {
+  title: 'title',
+  workType: 'workType',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+const populate = (query) => POPULATE.reduce((result, path) => result.populate(path), query);
+
+class MongoProtectedWorkRepository {
+  async findById(id) {
+    if (!isValidId(id)) return null;
+    return toProtectedWork(await populate(ProtectedWork.findById(id)).lean());
+  }
+
+  toFilter(filters = {}) {
+    const filter = {};
+
+    if (filters.active !== undefined) filter.active = filters.active;
+    if (filters.workType) filter.workType = filters.workType;
+    if (filters.search) {
+      const pattern = contains(filters.search);
+      filter.$or = [{ title: pattern }, { aliases: pattern }, { isbn: pattern }];
+    }
+
+    return filter;
+  }
+
+  list(filters = {}, options = {}) {
+    return findPage(ProtectedWork, this.toFilter(filters), options, {
+      sortFields: SORT_FIELDS,
+      defaultSort: 'title',
+      populate: POPULATE,
+      map: toProtectedWork
+    });
+  }
+
+  async create(fields) {
+    const work = await ProtectedWork.create(unpopulate(fields, REF_FIELDS));
+    return this.findById(work._id);
+  }
+
+  async update(id, fields) {
+    const { _id, createdAt, updatedAt, ...updates } = unpopulate(fields, REF_FIELDS);
+
+    const work = await populate(ProtectedWork.findOneAndUpdate(
+      { _id: id },
+      { $set: updates },
+      { new: true, runValidators: true }
+    )).lean();
+
+    return toProtectedWork(work);
+  }
+
+  async delete(id) {
+    await ProtectedWork.deleteOne({ _id: id });
+  }
+}
+
+module.exports = MongoProtectedWorkRepository;
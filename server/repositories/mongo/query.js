@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive substring match on user input
+const contains = (value) => new RegExp(escapeRegex(value), 'i');
+
+// Case-insensitive match of the whole value
+const equalsIgnoringCase = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+// URLs on any of the given domains, with or without a protocol or "www."
+const onDomains = (domains) => new RegExp(
+  `^([a-z][a-z0-9+.-]*://)?(www\\.)?(${domains.map(escapeRegex).join('|')})([:/?#]|$)`,
+  'i'
+);
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(String(id));
+
+// Restrict a date path to an inclusive range
+const dateRange = ({ dateFrom, dateTo }) => {
+  const range = {};
+  if (dateFrom) range.$gte = new Date(dateFrom);
+  if (dateTo) range.$lte = new Date(dateTo);
+  return range;
+};
+
+// Run a filtered, sorted and optionally paginated find. `sortFields` maps the domain
+// sort keys a caller may use to their paths; anything else falls back to `defaultSort`.
+// A `relevance` sort orders $text matches by score, best first.
+const findPage = async (Model, filter, options, { sortFields, defaultSort, select, populate = [], map }) => {
+  const { page = 1, limit, sortBy, sortOrder = 'desc' } = options;
+  const sortPath = sortFields[sortBy] || sortFields[defaultSort];
+  const sort = sortBy === 'relevance' && filter.$text
+    ? { score: { $meta: 'textScore' }, [sortFields[defaultSort]]: -1 }
+    : { [sortPath]: sortOrder === 'asc' ? 1 : -1 };
+
+  let query = Model.find(filter).sort(sort);
+  if (select) {
+    query = query.select(select);
+  }
+  if (limit) {
+    query = query.skip((page - 1) * limit).limit(limit);
+  }
+  populate.forEach(path => {
+    query = query.populate(path);
+  });
+
+  const [documents, total] = await Promise.all([
+    query.lean(),
+    limit ? Model.countDocuments(filter) : null
+  ]);
+
+  return {
+    items: documents.map(map),
+    total: total === null ? documents.length : total
+  };
+};
+
+module.exports = {
+  escapeRegex,
+  contains,
+  equalsIgnoringCase,
+  onDomains,
+  isValidId,
+  dateRange,
+  findPage
+};
@@ -0,0 +1,38 @@
+const SavedSearch = require('../../models/SavedSearch');
+const { toSavedSearch } = require('./mappers');
+const { isValidId } = require('./query');
+
+class MongoSavedSearchRepository {
+  async listByUser(userId) {
+    const savedSearches = await SavedSearch.find({ user: userId }).sort({ name: 1 }).lean();
+    return savedSearches.map(toSavedSearch);
+  }
+
+  async findById(id) {
+    if (!isValidId(id)) return null;
+    return toSavedSearch(await SavedSearch.findById(id).lean());
+  }
+
+  async create({ userId, ...fields }) {
+    const savedSearch = await SavedSearch.create({ ...fields, user: userId });
+    return this.findById(savedSearch._id);
+  }
+
+  async update(id, fields) {
+    const { _id, userId, createdAt, updatedAt, ...updates } = fields;
+
+    const savedSearch = await SavedSearch.findOneAndUpdate(
+      { _id: id },
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).lean();
+
+    return toSavedSearch(savedSearch);
+  }
+
+  async delete(id) {
+    await SavedSearch.deleteOne({ _id: id });
+  }
+}
+
+module.exports = MongoSavedSearchRepository;
@@ -0,0 +1,18 @@
+const SystemSetting = require('../../models/SystemSetting');
+const { toSetting } = require('./mappers');
+
+class MongoSettingRepository {
+  async get(key) {
+    return toSetting(await SystemSetting.findOne({ key }).lean());
+  }
+
+  // Create or replace the setting stored under `key`
+  async set(key, value, { userId = null, description, category = 'general' } = {}) {
+    const update = { value, category, updatedBy: userId };
+    if (description) update.description = description;
+
+    return toSetting(await SystemSetting.findOneAndUpdate({ key }, update, { new: true, upsert: true }).lean());
+  }
+}
+
+module.exports = MongoSettingRepository;
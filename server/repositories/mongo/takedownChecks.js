@@ -0,0 +1,23 @@
+const TakedownCheck = require('../../models/TakedownCheck');
+const { toTakedownCheck } = require('./mappers');
+const { isValidId } = require('./query');
+
+class MongoTakedownCheckRepository {
+  async listByIncident(incidentId, { url, limit } = {}) {
+    if (!isValidId(incidentId)) return [];
+
+    const filter = { incident: incidentId };
+    if (url) filter.url = url;
+
+    let query = TakedownCheck.find(filter).sort({ checkedAt: -1 });
+    if (limit) query = query.limit(limit);
+    return (await query.lean()).map(toTakedownCheck);
+  }
+
+  async create({ incidentId, ...fields }) {
+    const check = await TakedownCheck.create({ ...fields, incident: incidentId });
+    return toTakedownCheck(check.toObject());
+  }
+}
+
+module.exports = MongoTakedownCheckRepository;
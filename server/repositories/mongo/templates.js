@@ -0,0 +1,86 @@
+const Template = require('../../models/Template');
+const { toTemplate, unpopulate } = require('./mappers');
+const { contains, isValidId, findPage } = require('./query');
+
+const USER_FIELDS = 'firstName lastName email department phone';
+const POPULATE = [
+  { path: 'createdBy', select: USER_FIELDS },
+  { path: 'lastModifiedBy', select: USER_FIELDS },
+  { path: 'approvedBy', select: USER_FIELDS }
+];
+const REF_FIELDS = ['createdBy', 'lastModifiedBy', 'approvedBy'];
+
+const SORT_FIELDS = {
+  name: 'name',
+  type: 'type',
+  usageCount: 'usageCount',
+  lastUsed: 'lastUsed',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+const populate = (query) => POPULATE.reduce((result, path) => result.populate(path), query);
+
+class MongoTemplateRepository {
+  async findById(id) {
+    if (!isValidId(id)) return null;
+    return toTemplate(await populate(Template.findById(id)).lean());
+  }
+
+  toFilter(filters = {}) {
+    const filter = {};
+
+    if (filters.isActive !== undefined) filter.isActive = filters.isActive;
+    if (filters.type) filter.type = filters.type;
+    if (filters.category) filter.category = filters.category;
+
+    if (filters.search) {
+      const pattern = contains(filters.search);
+      filter.$or = [
+        { name: pattern },
+        { description: pattern },
+        { tags: pattern }
+      ];
+    }
+
+    return filter;
+  }
+
+  list(filters = {}, options = {}) {
+    return findPage(Template, this.toFilter(filters), { sortOrder: 'asc', ...options }, {
+      sortFields: SORT_FIELDS,
+      defaultSort: 'name',
+      populate: POPULATE,
+      map: toTemplate
+    });
+  }
+
+  async create(fields) {
+    const template = await Template.create(unpopulate(fields, REF_FIELDS));
+    return this.findById(template._id);
+  }
+
+  async update(id, fields) {
+    const { _id, createdAt, updatedAt, ...updates } = unpopulate(fields, REF_FIELDS);
+
+    const template = await populate(Template.findOneAndUpdate(
+      { _id: id },
+      { $set: updates },
+      { new: true, runValidators: true }
+    )).lean();
+
+    return toTemplate(template);
+  }
+
+  async recordUsage(id) {
+    const template = await populate(Template.findOneAndUpdate(
+      { _id: id },
+      { $inc: { usageCount: 1 }, $set: { lastUsed: new Date() } },
+      { new: true }
+    )).lean();
+
+    return toTemplate(template);
+  }
+}
+
+module.exports = MongoTemplateRepository;
@@ -0,0 +1,99 @@
+const User = require('../../models/User');
+const { toUser } = require('./mappers');
+const { contains, equalsIgnoringCase, isValidId, findPage } = require('./query');
+
+const SAFE_FIELDS = '-password -passwordResetToken -emailVerificationToken -invitationToken';
+
+const SORT_FIELDS = {
+  firstName: 'firstName',
+  lastName: 'lastName',
+  email: 'email',
+  createdAt: 'createdAt'
+};
+
+class MongoUserRepository {
+  async findById(id) {
+    if (!isValidId(id)) return null;
+    return toUser(await User.findById(id).select(SAFE_FIELDS).lean());
+  }
+
+  async findByIds(ids = []) {
+    const valid = [...new Set(ids.filter(Boolean).map(String))].filter(isValidId);
+    if (valid.length === 0) return [];
+
+    const users = await User.find({ _id: { $in: valid } }).select(SAFE_FIELDS).lean();
+    return users.map(toUser);
+  }
+
+  // `withPassword` adds the stored `passwordHash` for checking credentials
+  async findByEmail(email, { withPassword = false } = {}) {
+    const user = await User.findOne({ email: equalsIgnoringCase(String(email).trim()) })
+      .select(withPassword ? '+password' : SAFE_FIELDS)
+      .lean();
+    if (!user) return null;
+
+    return withPassword ? { ...toUser(user), passwordHash: user.password || null } : toUser(user);
+  }
+
+  async findByInvitationToken(token) {
+    if (!token) return null;
+    return toUser(await User.findOne({ invitationToken: String(token) }).select(SAFE_FIELDS).lean());
+  }
+
+  // Match on name, email or job title
+  async search(query, { limit = 5, activeOnly = true } = {}) {
+    const pattern = contains(query);
+    const filter = {
+      $or: [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern },
+        { jobTitle: pattern }
+      ]
+    };
+    if (activeOnly) filter.isActive = true;
+
+    const users = await User.find(filter).select(SAFE_FIELDS).limit(limit).lean();
+    return users.map(toUser);
+  }
+
+  list(filters = {}, options = {}) {
+    const filter = {};
+    if (filters.isActive !== undefined) filter.isActive = filters.isActive;
+    if (filters.role) {
+      filter.role = Array.isArray(filters.role) ? { $in: filters.role } : filters.role;
+    }
+    if (filters.department) filter.department = filters.department;
+    if (filters.search) {
+      const pattern = contains(filters.search);
+      filter.$or = [{ firstName: pattern }, { lastName: pattern }, { email: pattern }, { jobTitle: pattern }];
+    }
+
+    return findPage(User, filter, { sortOrder: 'asc', ...options }, {
+      sortFields: SORT_FIELDS,
+      defaultSort: 'firstName',
+      select: SAFE_FIELDS,
+      map: toUser
+    });
+  }
+
+  // `passwordHash` is already hashed, so it is written around the model's pre-save hook
+  async create({ passwordHash, ...fields }) {
+    const user = await User.create(fields);
+    if (passwordHash) {
+      await User.updateOne({ _id: user._id }, { $set: { password: passwordHash } });
+    }
+    return this.findById(user._id);
+  }
+
+  async update(id, { passwordHash, ...fields }) {
+    if (!isValidId(id)) return null;
+
+    const updates = passwordHash ? { ...fields, password: passwordHash } : fields;
+    return toUser(await User.findByIdAndUpdate(id, { $set: updates }, { new: true, runValidators: true })
+      .select(SAFE_FIELDS)
+      .lean());
+  }
+}
+
+module.exports = MongoUserRepository;
@@ -0,0 +1,80 @@
+const Watchlist = require('../../models/Watchlist');
+const { toWatchlist, unpopulate } = require('./mappers');
+const { isValidId, findPage } = require('./query');
+
+const USER_FIELDS = 'firstName lastName email department phone';
+const POPULATE = [
+  { path: 'createdBy', select: USER_FIELDS },
+  { path: 'protectedWorks', select: 'title workType isbn aliases active' }
+];
+const REF_FIELDS = ['createdBy'];
+
+const SORT_FIELDS = {
+  name: 'name',
+  frequency: 'frequency',
+  lastScannedAt: 'lastScannedAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+const populate = (query) => POPULATE.reduce((result, path) => result.populate(path), query);
+
+// Protected work references are stored as IDs
+const toStoredFields = (fields) => {
+  const stored = unpopulate(fields, REF_FIELDS);
+  if (fields.protectedWorks) {
+    stored.protectedWorks = fields.protectedWorks.map(work => String(work._id || work));
+  }
+  return stored;
+};
+
+class MongoWatchlistRepository {
+  async findById(id) {
+    if (!isValidId(id)) return null;
+    return toWatchlist(await populate(Watchlist.findById(id)).lean());
+  }
+
+  toFilter(filters = {}) {
+    const filter = {};
+
+    if (filters.enabled !== undefined) filter.enabled = filters.enabled;
+    if (filters.protectedWork) {
+      if (!isValidId(filters.protectedWork)) return { _id: null };
+      filter.protectedWorks = filters.protectedWork;
+    }
+
+    return filter;
+  }
+
+  list(filters = {}, options = {}) {
+    return findPage(Watchlist, this.toFilter(filters), options, {
+      sortFields: SORT_FIELDS,
+      defaultSort: 'name',
+      populate: POPULATE,
+      map: toWatchlist
+    });
+  }
+
+  async create(fields) {
+    const watchlist = await Watchlist.create(toStoredFields(fields));
+    return this.findById(watchlist._id);
+  }
+
+  async update(id, fields) {
+    const { _id, createdAt, updatedAt, ...updates } = toStoredFields(fields);
+
+    const watchlist = await populate(Watchlist.findOneAndUpdate(
+      { _id: id },
+      { $set: updates },
+      { new: true, runValidators: true }
+    )).lean();
+
+    return toWatchlist(watchlist);
+  }
+
+  async delete(id) {
+    await Watchlist.deleteOne({ _id: id });
+  }
+}
+
+module.exports = MongoWatchlistRepository;
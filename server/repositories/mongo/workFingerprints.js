@@ -0,0 +1,38 @@
+const WorkFingerprint = require('../../models/WorkFingerprint');
+const { toWorkFingerprint, unpopulate } = require('./mappers');
+const { isValidId } = require('./query');
+
+const USER_FIELDS = 'firstName lastName email department phone';
+
+class MongoWorkFingerprintRepository {
+  async findById(id) {
+    if (!isValidId(id)) return null;
+    return toWorkFingerprint(await WorkFingerprint.findById(id).populate('createdBy', USER_FIELDS).lean());
+  }
+
+  async listByWorks(workIds) {
+    const ids = workIds.filter(isValidId);
+    if (ids.length === 0) return [];
+
+    const fingerprints = await WorkFingerprint.find({ work: { $in: ids } })
+      .sort({ createdAt: 1 })
+      .populate('createdBy', USER_FIELDS)
+      .lean();
+    return fingerprints.map(toWorkFingerprint);
+  }
+
+  async create({ workId, ...fields }) {
+    const fingerprint = await WorkFingerprint.create({ ...unpopulate(fields, ['createdBy']), work: workId });
+    return this.findById(fingerprint._id);
+  }
+
+  async delete(id) {
+    await WorkFingerprint.deleteOne({ _id: id });
+  }
+
+  async deleteByWork(workId) {
+    await WorkFingerprint.deleteMany({ work: workId });
+  }
+}
+
+module.exports = MongoWorkFingerprintRepository;
@@ -0,0 +1,100 @@
+const { USER_REF_COLUMNS, ALERT_SORT_COLUMNS, searchTerm, alertToRow, toAlert } = require('./mappers');
+const { unwrap, findPage, loadUsers } = require('./query');
+
+const ALERT_SELECT = `
+  *,
+  assignee:users!monitoring_alerts_assigned_to_fkey(${USER_REF_COLUMNS}),
+  reviewer:users!monitoring_alerts_reviewed_by_fkey(${USER_REF_COLUMNS}),
+  incident:incidents(id, title, case_number),
+  infringer:infringers(id, name)
+`;
+
+class SupabaseAlertRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  // Note authors are kept as IDs inside the notes column
+  async toAlerts(rows) {
+    const users = await loadUsers(this.client, rows.flatMap(row => (row.notes || []).map(note => note.author)));
+    return rows.map(row => toAlert(row, users));
+  }
+
+  async toAlert(row) {
+    if (!row) return null;
+    const [alert] = await this.toAlerts([row]);
+    return alert;
+  }
+
+  async findById(id) {
+    return this.toAlert(unwrap(await this.client.from('monitoring_alerts').select(ALERT_SELECT).eq('id', id).maybeSingle()));
+  }
+
+  // An alert for the same URL detected since the given date, used to skip repeat findings
+  async findRecentByUrl(sourceUrl, since) {
+    const rows = unwrap(await this.client
+      .from('monitoring_alerts')
+      .select('*')
+      .eq('url', sourceUrl)
+      .gte('detected_at', new Date(since).toISOString())
+      .limit(1));
+
+    return toAlert(rows[0]);
+  }
+
+  list(filters = {}, options = {}) {
+    let query = this.client.from('monitoring_alerts').select(ALERT_SELECT, { count: 'exact' });
+
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.source) query = query.eq('source', filters.source);
+    if (filters.priority) query = query.eq('severity', filters.priority);
+    if (filters.assignedTo) query = query.eq('assigned_to', filters.assignedTo);
+    if (filters.infringerId) query = query.eq('infringer_id', filters.infringerId);
+    if (filters.hasPendingJobs) query = query.neq('pending_jobs', '{}');
+    if (filters.dateFrom) query = query.gte('detected_at', new Date(filters.dateFrom).toISOString());
+    if (filters.dateTo) query = query.lte('detected_at', new Date(filters.dateTo).toISOString());
+
+    // Alerts found on any of the domains, with or without "www."
+    if (filters.domains) {
+      const domains = filters.domains.map(searchTerm).flatMap(domain => [domain, `www.${domain}`]);
+      query = query.or([
+        `source_domain.in.(${domains.join(',')})`,
+        ...domains.flatMap(domain => [`url.ilike.*://${domain}`, `url.ilike.*://${domain}/*`])
+      ].join(','));
+    }
+
+    if (filters.search) {
+      const term = searchTerm(filters.search);
+      query = query.or(`title.ilike.%${term}%,description.ilike.%${term}%,content.ilike.%${term}%,detected_keywords.cs.{"${term}"}`);
+    }
+
+    return findPage(query, options, {
+      sortColumns: ALERT_SORT_COLUMNS,
+      defaultSort: 'detectedAt',
+      map: rows => this.toAlerts(rows)
+    });
+  }
+
+  async create(fields) {
+    const row = unwrap(await this.client
+      .from('monitoring_alerts')
+      .insert([alertToRow(fields)])
+      .select(ALERT_SELECT)
+      .single());
+
+    return this.toAlert(row);
+  }
+
+  async update(id, fields) {
+    const row = unwrap(await this.client
+      .from('monitoring_alerts')
+      .update({ ...alertToRow(fields), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(ALERT_SELECT)
+      .maybeSingle());
+
+    return this.toAlert(row);
+  }
+}
+
+module.exports = SupabaseAlertRepository;
@@ -0,0 +1,48 @@
+const { toCaseActivity } = require('./mappers');
+const { unwrap, findPage } = require('./query');
+
+const ACTIVITY_SELECT = `
+  *,
+  user:users!case_activities_user_id_fkey(id, first_name, last_name, email, department, phone, role)
+`;
+
+class SupabaseCaseActivityRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  // Newest first, optionally limited to some activity types
+  listByIncident(incidentId, { types = [], ...options } = {}) {
+    let query = this.client
+      .from('case_activities')
+      .select(ACTIVITY_SELECT, { count: 'exact' })
+      .eq('incident_id', incidentId);
+    if (types.length > 0) query = query.in('activity_type', types);
+
+    return findPage(query, options, {
+      sortColumns: { createdAt: 'created_at' },
+      defaultSort: 'createdAt',
+      map: rows => rows.map(toCaseActivity)
+    });
+  }
+
+  async create({ incidentId, userId, type, description, oldValues = null, newValues = null, metadata = {} }) {
+    const row = unwrap(await this.client
+      .from('case_activities')
+      .insert([{
+        incident_id: incidentId,
+        user_id: userId,
+        activity_type: type,
+        description,
+        old_values: oldValues,
+        new_values: newValues,
+        metadata
+      }])
+      .select(ACTIVITY_SELECT)
+      .single());
+
+    return toCaseActivity(row);
+  }
+}
+
+module.exports = SupabaseCaseActivityRepository;
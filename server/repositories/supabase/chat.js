@@ -0,0 +1,80 @@
+const { toChatMessage } = require('./mappers');
+const { unwrap } = require('./query');
+
+const MESSAGE_SELECT = `
+  id,
+  user_id,
+  recipient_id,
+  message,
+  created_at,
+  user:users!user_id(id, first_name, last_name, email, role)
+`;
+
+class SupabaseChatRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  // Newest `limit` messages before `before`, oldest first. With a recipient, the direct
+  // conversation between the two users; otherwise the group channel.
+  async listMessages({ userId, recipientId, before, limit = 50 }) {
+    let query = this.client
+      .from('chat_messages')
+      .select(MESSAGE_SELECT)
+      .eq('is_deleted', false)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (before) {
+      query = query.lt('created_at', new Date(before).toISOString());
+    }
+
+    if (recipientId) {
+      query = query.or(`and(user_id.eq.${userId},recipient_id.eq.${recipientId}),and(user_id.eq.${recipientId},recipient_id.eq.${userId})`);
+    } else {
+      query = query.is('recipient_id', null);
+    }
+
+    return unwrap(await query).reverse().map(toChatMessage);
+  }
+
+  async findMessageById(id) {
+    return toChatMessage(unwrap(await this.client
+      .from('chat_messages')
+      .select(MESSAGE_SELECT)
+      .eq('id', id)
+      .eq('is_deleted', false)
+      .maybeSingle()));
+  }
+
+  async createMessage({ userId, recipientId, message }) {
+    const row = unwrap(await this.client
+      .from('chat_messages')
+      .insert([{ user_id: userId, recipient_id: recipientId || null, message }])
+      .select(MESSAGE_SELECT)
+      .single());
+
+    return toChatMessage(row);
+  }
+
+  async deleteMessage(id) {
+    unwrap(await this.client.from('chat_messages').update({ is_deleted: true }).eq('id', id));
+  }
+
+  async touchPresence(userId) {
+    unwrap(await this.client.rpc('update_user_presence', { p_user_id: userId }));
+  }
+
+  async listPresence() {
+    const rows = unwrap(await this.client.from('user_presence').select('user_id, last_seen, is_online, status'));
+
+    return rows.map(row => ({
+      userId: row.user_id,
+      lastSeen: row.last_seen,
+      isOnline: row.is_online,
+      status: row.status
+    }));
+  }
+}
+
+module.exports = SupabaseChatRepository;
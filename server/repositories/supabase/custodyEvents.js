@@ -0,0 +1,50 @@
+const { USER_REF_COLUMNS, custodyEventToRow, toCustodyEvent } = require('./mappers');
+const { unwrap } = require('./query');
+
+const CUSTODY_EVENT_SELECT = `
+  *,
+  actor_user:users!custody_events_actor_id_fkey(${USER_REF_COLUMNS})
+`;
+
+// Postgres unique_violation, raised here when another event took the same sequence
+const UNIQUE_VIOLATION = '23505';
+
+class SupabaseCustodyEventRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async listByEvidence(evidenceId) {
+    const rows = unwrap(await this.client
+      .from('custody_events')
+      .select(CUSTODY_EVENT_SELECT)
+      .eq('evidence_id', String(evidenceId))
+      .order('sequence', { ascending: true }));
+
+    return rows.map(toCustodyEvent);
+  }
+
+  async findLatest(evidenceId) {
+    return toCustodyEvent(unwrap(await this.client
+      .from('custody_events')
+      .select(CUSTODY_EVENT_SELECT)
+      .eq('evidence_id', String(evidenceId))
+      .order('sequence', { ascending: false })
+      .limit(1)
+      .maybeSingle()));
+  }
+
+  async append(fields) {
+    const { data, error } = await this.client
+      .from('custody_events')
+      .insert([custodyEventToRow(fields)])
+      .select(CUSTODY_EVENT_SELECT)
+      .single();
+
+    if (error && error.code === UNIQUE_VIOLATION) return null;
+    if (error) throw error;
+    return toCustodyEvent(data);
+  }
+}
+
+module.exports = SupabaseCustodyEventRepository;
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { USER_REF_COLUMNS, DOCUMENT_SORT_COLUMNS, searchTerm, documentToRow, toDocument } = require('./mappers');
+const { unwrap, findPage, matchEach, loadUsers } = require('./query');
+
+const DOCUMENT_SELECT = `
+  *,
+  incident:incidents(id, title, case_number),
+  creator:users!documents_created_by_fkey(${USER_REF_COLUMNS})
+`;
+
+// Reviewer and note author IDs inside the JSONB columns of the given rows
+const referencedUsers = (rows) => rows.flatMap(row => [
+  ...(row.reviewers || []).map(reviewer => reviewer.user),
+  ...(row.notes || []).map(note => note.author)
+]);
+
+class SupabaseDocumentRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  newId() {
+    return crypto.randomUUID();
+  }
+
+  async toDocuments(rows) {
+    const users = await loadUsers(this.client, referencedUsers(rows));
+    return rows.map(row => toDocument(row, users));
+  }
+
+  async toDocument(row) {
+    if (!row) return null;
+    const [document] = await this.toDocuments([row]);
+    return document;
+  }
+
+  async findById(id) {
+    return this.toDocument(unwrap(await this.client.from('documents').select(DOCUMENT_SELECT).eq('id', id).maybeSingle()));
+  }
+
+  async findByReplyToken(replyToken) {
+    return this.toDocument(unwrap(await this.client
+      .from('documents')
+      .select(DOCUMENT_SELECT)
+      .eq('reply_token', replyToken)
+      .maybeSingle()));
+  }
+
+  async findByMessageIds(messageIds) {
+    const rows = unwrap(await this.client
+      .from('documents')
+      .select(DOCUMENT_SELECT)
+      .in('delivery->>messageId', messageIds)
+      .limit(1));
+
+    return this.toDocument(rows[0]);
+  }
+
+  // Legal documents only; evidence mirrored into the table has no status
+  list(filters = {}, options = {}) {
+    let query = this.client
+      .from('documents')
+      .select(DOCUMENT_SELECT, { count: 'exact' })
+      .not('status', 'is', null);
+    const groups = [];
+
+    if (filters.incidentId) query = query.eq('incident_id', filters.incidentId);
+    if (filters.type) query = query.eq('document_type', filters.type);
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.createdBy) query = query.eq('created_by', filters.createdBy);
+
+    if (filters.search) {
+      const term = searchTerm(filters.search);
+      groups.push([
+        `title.ilike.%${term}%`,
+        `content.ilike.%${term}%`,
+        `recipient->>name.ilike.%${term}%`,
+        `recipient->>organization.ilike.%${term}%`
+      ]);
+    }
+
+    // Documents the user created or was asked to review
+    if (filters.visibleTo) {
+      groups.push([`created_by.eq.${filters.visibleTo}`, `reviewers.cs.[{"user":"${filters.visibleTo}"}]`]);
+    }
+
+    return findPage(matchEach(query, groups), options, {
+      sortColumns: DOCUMENT_SORT_COLUMNS,
+      defaultSort: 'createdAt',
+      map: rows => this.toDocuments(rows)
+    });
+  }
+
+  // The author is also recorded as the uploader, which the documents table requires
+  async create({ _id, ...fields }) {
+    const row = documentToRow(fields);
+    const created = unwrap(await this.client
+      .from('documents')
+      .insert([{ ...row, uploaded_by: row.created_by, ...(_id ? { id: _id } : {}) }])
+      .select(DOCUMENT_SELECT)
+      .single());
+
+    return this.toDocument(created);
+  }
+
+  async update(id, fields) {
+    const row = unwrap(await this.client
+      .from('documents')
+      .update({ ...documentToRow(fields), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(DOCUMENT_SELECT)
+      .maybeSingle());
+
+    return this.toDocument(row);
+  }
+}
+
+module.exports = SupabaseDocumentRepository;
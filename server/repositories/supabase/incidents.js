@@ -0,0 +1,168 @@
+const searchService = require('../../services/searchService');
+const { USER_REF_COLUMNS, INCIDENT_SORT_COLUMNS, searchTerm, incidentToRow, toIncident } = require('./mappers');
+const { unwrap, findPage, matchEach } = require('./query');
+
+const INCIDENT_SELECT = `
+  *,
+  reporter:users!incidents_reporter_id_fkey(${USER_REF_COLUMNS}),
+  assignee:users!incidents_assigned_to_fkey(${USER_REF_COLUMNS}),
+  deleter:users!incidents_deleted_by_fkey(${USER_REF_COLUMNS}),
+  merged:merged_into(id, title, case_number),
+  infringer:infringers(id, name)
+`;
+
+// Any of the search words, as a to_tsquery expression. Terms are letters and digits only.
+const toTsQuery = (terms) => terms.join(' | ');
+
+class SupabaseIncidentRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async findById(id, { includeDeleted = false } = {}) {
+    let query = this.client.from('incidents').select(INCIDENT_SELECT).eq('id', id);
+    if (!includeDeleted) query = query.is('deleted_at', null);
+
+    return toIncident(unwrap(await query.maybeSingle()));
+  }
+
+  async findByCaseNumber(caseNumber) {
+    const row = unwrap(await this.client
+      .from('incidents')
+      .select(INCIDENT_SELECT)
+      .eq('case_number', String(caseNumber).toUpperCase())
+      .is('deleted_at', null)
+      .maybeSingle());
+
+    return toIncident(row);
+  }
+
+  applyFilters(query, filters = {}) {
+    const groups = [];
+    // `deleted` lists only soft-deleted cases; otherwise they are left out unless included
+    if (filters.deleted) query = query.not('deleted_at', 'is', null);
+    else if (!filters.includeDeleted) query = query.is('deleted_at', null);
+
+    if (filters.status) {
+      query = Array.isArray(filters.status) ? query.in('status', filters.status) : query.eq('status', filters.status);
+    }
+    if (filters.incidentType) query = query.eq('incident_type', filters.incidentType);
+    if (filters.severity) query = query.eq('severity', filters.severity);
+    if (filters.priority) query = query.eq('priority', filters.priority);
+    if (filters.assignedTo) query = query.eq('assigned_to', filters.assignedTo);
+    if (filters.reporter) query = query.eq('reporter_id', filters.reporter);
+    if (filters.infringerId) query = query.eq('infringer_id', filters.infringerId);
+    if (filters.hasDueDate) query = query.not('due_date', 'is', null);
+    if (filters.hasPendingJobs) query = query.neq('pending_jobs', '{}');
+    if (filters.dateFrom) query = query.gte('reported_at', new Date(filters.dateFrom).toISOString());
+    if (filters.dateTo) query = query.lte('reported_at', new Date(filters.dateTo).toISOString());
+
+    // Cases the user reported or is assigned to
+    if (filters.involving) {
+      groups.push([`reporter_id.eq.${filters.involving}`, `assigned_to.eq.${filters.involving}`]);
+    }
+
+    // Possible duplicates: cases on any of the domains (kept in url_domains by a trigger)
+    // or with the same infringer
+    if (filters.related) {
+      const { domains = [], emails = [], names = [] } = filters.related;
+      const alternatives = [
+        ...(domains.length > 0 ? [`url_domains.ov.{${domains.map(searchTerm).join(',')}}`] : []),
+        ...emails.map(email => `infringer_info->>email.ilike.${searchTerm(email)}`),
+        ...names.flatMap(name => [
+          `infringer_info->>name.ilike.${searchTerm(name)}`,
+          `infringer_info->>organization.ilike.${searchTerm(name)}`
+        ])
+      ];
+      if (alternatives.length > 0) groups.push(alternatives);
+      else query = query.is('id', null);
+    }
+
+    // A case number finds that case; anything else is a full-text search on search_vector
+    if (filters.search && searchService.isCaseNumber(filters.search)) {
+      query = query.eq('case_number', filters.search.trim().toUpperCase());
+    } else if (filters.search) {
+      const terms = searchService.parseTerms(filters.search);
+      if (terms.length > 0) query = query.textSearch('search_vector', toTsQuery(terms), { config: 'english' });
+    }
+
+    return matchEach(query, groups);
+  }
+
+  list(filters = {}, options = {}) {
+    const terms = searchService.parseTerms(filters.search);
+
+    // search_incidents returns the matches ranked by ts_rank, and PostgREST keeps that
+    // order as long as the request does not add one of its own
+    if (options.sortBy === 'relevance' && terms.length > 0) {
+      const ranked = this.client
+        .rpc('search_incidents', { search_query: toTsQuery(terms) }, { count: 'exact' })
+        .select(INCIDENT_SELECT);
+
+      // The function already applied the search; the remaining filters narrow its matches
+      return findPage(this.applyFilters(ranked, { ...filters, search: undefined }), options, {
+        ranked: true,
+        map: rows => rows.map(toIncident)
+      });
+    }
+
+    const query = this.applyFilters(this.client.from('incidents').select(INCIDENT_SELECT, { count: 'exact' }), filters);
+
+    return findPage(query, options, {
+      sortColumns: INCIDENT_SORT_COLUMNS,
+      defaultSort: 'reportedAt',
+      map: rows => rows.map(toIncident)
+    });
+  }
+
+  async create(fields) {
+    const row = unwrap(await this.client
+      .from('incidents')
+      .insert([incidentToRow(fields)])
+      .select(INCIDENT_SELECT)
+      .single());
+
+    return toIncident(row);
+  }
+
+  async update(id, fields) {
+    const row = unwrap(await this.client
+      .from('incidents')
+      .update({ ...incidentToRow(fields), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(INCIDENT_SELECT)
+      .maybeSingle());
+
+    return toIncident(row);
+  }
+
+  async purgeDeleted(deletedBefore) {
+    const expired = unwrap(await this.client
+      .from('incidents')
+      .select('id, case_number')
+      .not('deleted_at', 'is', null)
+      .lt('deleted_at', new Date(deletedBefore).toISOString()));
+    if (expired.length === 0) return { purged: [], retained: [] };
+
+    const custodyRows = unwrap(await this.client
+      .from('custody_events')
+      .select('incident_id')
+      .in('incident_id', expired.map(row => row.id)));
+    const withCustody = new Set(custodyRows.map(row => row.incident_id));
+    const summary = row => ({ _id: row.id, caseNumber: row.case_number });
+
+    const purged = expired.filter(row => !withCustody.has(row.id));
+    if (purged.length > 0) {
+      unwrap(await this.client
+        .from('incidents')
+        .delete()
+        .in('id', purged.map(row => row.id)));
+    }
+    return {
+      purged: purged.map(summary),
+      retained: expired.filter(row => withCustody.has(row.id)).map(summary)
+    };
+  }
+}
+
+module.exports = SupabaseIncidentRepository;
@@ -0,0 +1,37 @@
+const SupabaseIncidentRepository = require('./incidents');
+const SupabaseUserRepository = require('./users');
+const SupabaseDocumentRepository = require('./documents');
+const SupabaseTemplateRepository = require('./templates');
+const SupabaseAlertRepository = require('./alerts');
+const SupabaseChatRepository = require('./chat');
+const SupabaseSavedSearchRepository = require('./savedSearches');
+const SupabaseInfringerRepository = require('./infringers');
+const SupabaseProtectedWorkRepository = require('./protectedWorks');
+const SupabaseWatchlistRepository = require('./watchlists');
+const SupabaseMonitoringRunRepository = require('./monitoringRuns');
+const SupabaseWorkFingerprintRepository = require('./workFingerprints');
+const SupabaseCustodyEventRepository = require('./custodyEvents');
+const SupabaseTakedownCheckRepository = require('./takedownChecks');
+const SupabaseCaseActivityRepository = require('./caseActivities');
+const SupabaseNotificationRepository = require('./notifications');
+const SupabaseSettingRepository = require('./settings');
+
+module.exports = (client) => ({
+  incidents: new SupabaseIncidentRepository(client),
+  users: new SupabaseUserRepository(client),
+  documents: new SupabaseDocumentRepository(client),
+  templates: new SupabaseTemplateRepository(client),
+  alerts: new SupabaseAlertRepository(client),
+  chat: new SupabaseChatRepository(client),
+  savedSearches: new SupabaseSavedSearchRepository(client),
+  infringers: new SupabaseInfringerRepository(client),
+  protectedWorks: new SupabaseProtectedWorkRepository(client),
+  watchlists: new SupabaseWatchlistRepository(client),
+  monitoringRuns: new SupabaseMonitoringRunRepository(client),
+  workFingerprints: new SupabaseWorkFingerprintRepository(client),
+  custodyEvents: new SupabaseCustodyEventRepository(client),
+  takedownChecks: new SupabaseTakedownCheckRepository(client),
+  caseActivities: new SupabaseCaseActivityRepository(client),
+  notifications: new SupabaseNotificationRepository(client),
+  settings: new SupabaseSettingRepository(client)
+});
@@ -0,0 +1,85 @@
+const { USER_REF_COLUMNS, INFRINGER_SORT_COLUMNS, searchTerm, infringerToRow, toInfringer } = require('./mappers');
+const { unwrap, findPage, matchEach } = require('./query');
+
+const INFRINGER_SELECT = `
+  *,
+  creator:users!infringers_created_by_fkey(${USER_REF_COLUMNS})
+`;
+
+// A PostgREST array literal; values are quoted so spaces survive
+const arrayLiteral = (values) => `{${values.map(value => `"${searchTerm(value)}"`).join(',')}}`;
+
+class SupabaseInfringerRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async findById(id) {
+    return toInfringer(unwrap(await this.client.from('infringers').select(INFRINGER_SELECT).eq('id', id).maybeSingle()));
+  }
+
+  list(filters = {}, options = {}) {
+    let query = this.client.from('infringers').select(INFRINGER_SELECT, { count: 'exact' });
+    const groups = [];
+
+    if (filters.domain) query = query.contains('domains', [filters.domain]);
+    if (filters.minIncidents) query = query.gte('incident_count', filters.minIncidents);
+
+    if (filters.search) {
+      const term = searchTerm(filters.search);
+      groups.push([
+        `name.ilike.%${term}%`,
+        `aliases.cs.{"${term}"}`,
+        `emails.cs.{"${term.toLowerCase()}"}`,
+        `domains.cs.{"${term.toLowerCase()}"}`,
+        `hosting_providers.cs.{"${term}"}`
+      ]);
+    }
+
+    // Infringers sharing any of the normalized identifiers. match_names holds the
+    // lower-cased name and aliases, kept by a trigger.
+    if (filters.matching) {
+      const { domains = [], emails = [], names = [] } = filters.matching;
+      const alternatives = [
+        ...(domains.length > 0 ? [`domains.ov.${arrayLiteral(domains)}`] : []),
+        ...(emails.length > 0 ? [`emails.ov.${arrayLiteral(emails)}`] : []),
+        ...(names.length > 0 ? [`match_names.ov.${arrayLiteral(names.map(name => name.toLowerCase()))}`] : [])
+      ];
+      if (alternatives.length > 0) groups.push(alternatives);
+      else query = query.is('id', null);
+    }
+
+    return findPage(matchEach(query, groups), options, {
+      sortColumns: INFRINGER_SORT_COLUMNS,
+      defaultSort: 'incidentCount',
+      map: rows => rows.map(toInfringer)
+    });
+  }
+
+  async create(fields) {
+    const row = unwrap(await this.client
+      .from('infringers')
+      .insert([infringerToRow(fields)])
+      .select(INFRINGER_SELECT)
+      .single());
+
+    return toInfringer(row);
+  }
+
+  async update(id, fields) {
+    const row = unwrap(await this.client
+      .from('infringers')
+      .update({ ...infringerToRow(fields), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(INFRINGER_SELECT)
+      .maybeSingle());
+
+    return toInfringer(row);
+  }
+
+  async delete(id) {
+    unwrap(await this.client.from('infringers').delete().eq('id', id));
+  }
+}
+
+module.exports = SupabaseInfringerRepository;
@@ -0,0 +1,749 @@
+// Supabase rows mapped to the domain shape the MongoDB models established: camelCase
+// fields, `_id`, and references populated as { _id, firstName, lastName, ... }.
+
+// Joined user columns used for every populated reference
+const USER_REF_COLUMNS = 'id, first_name, last_name, email, department, phone';
+
+const INCIDENT_COLUMNS = {
+  title: 'title',
+  description: 'description',
+  reporter: 'reporter_id',
+  incidentType: 'incident_type',
+  severity: 'severity',
+  status: 'status',
+  priority: 'priority',
+  infringedContent: 'infringed_content',
+  infringedUrls: 'infringed_urls',
+  infringerInfo: 'infringer_info',
+  infringerId: 'infringer_id',
+  domainIntel: 'domain_intel',
+  pendingJobs: 'pending_jobs',
+  legalActions: 'legal_action_taken',
+  evidence: 'evidence_files',
+  notes: 'notes',
+  assignedTo: 'assigned_to',
+  assignedAt: 'assigned_at',
+  dueDate: 'due_date',
+  resolution: 'resolution',
+  takedownCheck: 'takedown_check',
+  tags: 'tags',
+  reportedAt: 'reported_at',
+  resolvedAt: 'resolved_at',
+  mergedInto: 'merged_into',
+  deletedAt: 'deleted_at',
+  deletedBy: 'deleted_by',
+  deletedReason: 'deleted_reason'
+};
+
+const USER_COLUMNS = {
+  firstName: 'first_name',
+  lastName: 'last_name',
+  email: 'email',
+  passwordHash: 'password_hash',
+  role: 'role',
+  department: 'department',
+  phone: 'phone',
+  jobTitle: 'job_title',
+  avatar: 'avatar',
+  isActive: 'is_active',
+  lastLogin: 'last_login',
+  preferences: 'preferences',
+  emailVerified: 'email_verified',
+  invitationToken: 'invitation_token',
+  invitationExpires: 'invitation_expires',
+  invitationStatus: 'invitation_status',
+  invitedBy: 'invited_by',
+  loginAttempts: 'login_attempts',
+  lockUntil: 'lock_until'
+};
+
+const DOCUMENT_COLUMNS = {
+  title: 'title',
+  type: 'document_type',
+  content: 'content',
+  templateId: 'template_id',
+  incidentId: 'incident_id',
+  createdBy: 'created_by',
+  status: 'status',
+  deliveryMethod: 'delivery_method',
+  sentDate: 'sent_date',
+  responseDate: 'response_date',
+  responseContent: 'response_content',
+  delivery: 'delivery',
+  replyToken: 'reply_token',
+  responses: 'responses',
+  recipient: 'recipient',
+  filePath: 'file_path',
+  fileName: 'file_name',
+  fileSize: 'file_size',
+  mimeType: 'mime_type',
+  checksum: 'checksum',
+  storageBackend: 'storage_backend',
+  reviewers: 'reviewers',
+  tags: 'tags',
+  notes: 'notes'
+};
+
+const TEMPLATE_COLUMNS = {
+  name: 'name',
+  type: 'template_type',
+  subject: 'subject',
+  content: 'content',
+  variables: 'variables',
+  description: 'description',
+  category: 'category',
+  tags: 'tags',
+  version: 'version',
+  isActive: 'is_active',
+  createdBy: 'created_by',
+  lastModifiedBy: 'updated_by',
+  usageCount: 'usage_count',
+  lastUsed: 'last_used_at',
+  legalApproved: 'legal_approved',
+  approvedBy: 'approved_by',
+  approvedAt: 'approved_at',
+  settings: 'settings',
+  history: 'history'
+};
+
+const ALERT_COLUMNS = {
+  title: 'title',
+  description: 'description',
+  source: 'source',
+  sourceUrl: 'url',
+  sourceDomain: 'source_domain',
+  domainIntel: 'domain_intel',
+  pendingJobs: 'pending_jobs',
+  detectedContent: 'content',
+  matchedKeywords: 'detected_keywords',
+  fingerprintMatch: 'fingerprint_match',
+  dspContent: 'dsp_content',
+  status: 'status',
+  priority: 'severity',
+  assignedTo: 'assigned_to',
+  assignedAt: 'assigned_at',
+  reviewedBy: 'reviewed_by',
+  incidentId: 'incident_id',
+  infringerId: 'infringer_id',
+  screenshots: 'screenshots',
+  evidenceUrls: 'evidence_urls',
+  evidenceCapture: 'evidence_capture',
+  actions: 'actions',
+  detectedAt: 'detected_at',
+  reviewedAt: 'reviewed_at',
+  resolvedAt: 'resolved_at',
+  notes: 'notes',
+  metadata: 'metadata'
+};
+
+const INFRINGER_COLUMNS = {
+  name: 'name',
+  aliases: 'aliases',
+  emails: 'emails',
+  domains: 'domains',
+  hostingProviders: 'hosting_providers',
+  socialHandles: 'social_handles',
+  notes: 'notes',
+  incidentCount: 'incident_count',
+  alertCount: 'alert_count',
+  lastSeenAt: 'last_seen_at',
+  createdBy: 'created_by'
+};
+
+const PROTECTED_WORK_COLUMNS = {
+  title: 'title',
+  workType: 'work_type',
+  isbn: 'isbn',
+  aliases: 'aliases',
+  description: 'description',
+  active: 'active',
+  createdBy: 'created_by'
+};
+
+const WATCHLIST_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  enabled: 'enabled',
+  frequency: 'frequency',
+  matchMode: 'match_mode',
+  keywords: 'keywords',
+  query: 'query',
+  excludeTerms: 'exclude_terms',
+  domains: 'domains',
+  lastScannedAt: 'last_scanned_at',
+  lastAlertCount: 'last_alert_count',
+  createdBy: 'created_by'
+};
+
+const MONITORING_RUN_COLUMNS = {
+  trigger: 'trigger',
+  status: 'status',
+  dueOnly: 'due_only',
+  startedAt: 'started_at',
+  finishedAt: 'finished_at',
+  durationMs: 'duration_ms',
+  watchlists: 'watchlists',
+  connectors: 'connectors',
+  alertsFound: 'alerts_found',
+  newAlertIds: 'new_alert_ids',
+  error: 'error',
+  triggeredBy: 'triggered_by'
+};
+
+const TAKEDOWN_CHECK_COLUMNS = {
+  incidentId: 'incident_id',
+  url: 'url',
+  state: 'state',
+  httpStatus: 'http_status',
+  finalUrl: 'final_url',
+  comparedBy: 'compared_by',
+  similarity: 'similarity',
+  error: 'error',
+  checkedAt: 'checked_at'
+};
+
+// monitoring_alerts.alert_type for each scanner source
+const ALERT_TYPES_BY_SOURCE = {
+  google_alerts: 'google_alerts',
+  brandmentions: 'brand_mentions',
+  automated_scan: 'web_scraping',
+  manual: 'manual',
+  other: 'api_integration'
+};
+
+// Sort keys accepted by the list methods, by the column they sort on
+const INCIDENT_SORT_COLUMNS = {
+  reportedAt: 'reported_at',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  dueDate: 'due_date',
+  resolvedAt: 'resolved_at',
+  title: 'title',
+  status: 'status',
+  severity: 'severity',
+  priority: 'priority',
+  caseNumber: 'case_number',
+  deletedAt: 'deleted_at'
+};
+const DOCUMENT_SORT_COLUMNS = { ...DOCUMENT_COLUMNS, createdAt: 'created_at', updatedAt: 'updated_at' };
+const TEMPLATE_SORT_COLUMNS = { ...TEMPLATE_COLUMNS, createdAt: 'created_at', updatedAt: 'updated_at' };
+const ALERT_SORT_COLUMNS = { ...ALERT_COLUMNS, confidence: 'confidence_score', createdAt: 'created_at', updatedAt: 'updated_at' };
+const INFRINGER_SORT_COLUMNS = { ...INFRINGER_COLUMNS, createdAt: 'created_at', updatedAt: 'updated_at' };
+const PROTECTED_WORK_SORT_COLUMNS = { ...PROTECTED_WORK_COLUMNS, createdAt: 'created_at', updatedAt: 'updated_at' };
+const WATCHLIST_SORT_COLUMNS = { ...WATCHLIST_COLUMNS, createdAt: 'created_at', updatedAt: 'updated_at' };
+const MONITORING_RUN_SORT_COLUMNS = MONITORING_RUN_COLUMNS;
+const USER_SORT_COLUMNS = { firstName: 'first_name', lastName: 'last_name', email: 'email', createdAt: 'created_at' };
+
+// Incidents created from monitoring alerts carry their source as a tag
+const MONITORING_TAG_PREFIX = 'monitoring:';
+
+const refId = (ref) => (ref ? String(ref._id || ref) : null);
+
+// Copy the defined camelCase fields onto their columns, storing references by ID
+const toRow = (columns, fields, refFields = []) => Object.entries(fields).reduce((row, [field, value]) => {
+  if (columns[field] && value !== undefined) {
+    row[columns[field]] = refFields.includes(field) ? refId(value) : value;
+  }
+  return row;
+}, {});
+
+// Text for a PostgREST `or` filter, which treats commas, parentheses and quotes as syntax
+const searchTerm = (value) => String(value).replace(/[,()"]/g, ' ').trim();
+
+const toUserRef = (user) => (user ? {
+  _id: user.id,
+  firstName: user.first_name,
+  lastName: user.last_name,
+  email: user.email,
+  department: user.department,
+  phone: user.phone
+} : null);
+
+// A joined user when the select included one, otherwise just the ID
+const userRef = (joined, id) => (joined ? toUserRef(joined) : id ? { _id: id } : null);
+
+// Populate a user ID kept inside a JSONB column from users fetched alongside the row
+const populateUser = (id, users = {}) => userRef(users[id], id);
+
+const toIncidentRef = (incident, id) => {
+  if (incident) {
+    return { _id: incident.id, title: incident.title, caseNumber: incident.case_number };
+  }
+  return id ? { _id: id } : null;
+};
+
+const toInfringerRef = (infringer, id) => {
+  if (infringer) return { _id: infringer.id, name: infringer.name };
+  return id ? { _id: id } : null;
+};
+
+const toUser = (row) => row && ({
+  _id: row.id,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  email: row.email,
+  role: row.role,
+  department: row.department,
+  phone: row.phone,
+  jobTitle: row.job_title,
+  avatar: row.avatar,
+  isActive: row.is_active,
+  lastLogin: row.last_login,
+  preferences: row.preferences || {},
+  emailVerified: Boolean(row.email_verified),
+  invitationStatus: row.invitation_status || null,
+  invitationExpires: row.invitation_expires || null,
+  loginAttempts: row.login_attempts || 0,
+  lockUntil: row.lock_until || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const userToRow = (fields) => toRow(USER_COLUMNS, fields, ['invitedBy']);
+
+const incidentToRow = (fields) => {
+  const row = toRow(INCIDENT_COLUMNS, fields, ['reporter', 'assignedTo', 'mergedInto', 'infringerId', 'deletedBy']);
+
+  if (fields.sla !== undefined) {
+    row.sla_policy = fields.sla.policy || null;
+    row.sla_status = fields.sla.status || null;
+    row.sla_at_risk_at = fields.sla.atRiskAt || null;
+    row.sla_breached_at = fields.sla.breachedAt || null;
+  }
+  if (fields.monitoringSource) {
+    row.tags = [...(fields.tags || []), `${MONITORING_TAG_PREFIX}${fields.monitoringSource}`];
+  }
+
+  return row;
+};
+
+const toIncident = (row) => row && ({
+  _id: row.id,
+  caseNumber: row.case_number,
+  title: row.title,
+  description: row.description,
+  reporter: userRef(row.reporter, row.reporter_id),
+  incidentType: row.incident_type,
+  severity: row.severity,
+  status: row.status,
+  priority: row.priority,
+  infringedContent: row.infringed_content,
+  infringedUrls: row.infringed_urls || [],
+  infringerInfo: row.infringer_info || {},
+  infringerId: toInfringerRef(row.infringer, row.infringer_id),
+  domainIntel: row.domain_intel || [],
+  pendingJobs: row.pending_jobs || [],
+  legalActions: row.legal_action_taken || [],
+  evidence: row.evidence_files || [],
+  notes: row.notes || [],
+  assignedTo: userRef(row.assignee, row.assigned_to),
+  assignedAt: row.assigned_at,
+  dueDate: row.due_date,
+  sla: {
+    policy: row.sla_policy || null,
+    status: row.sla_status || null,
+    atRiskAt: row.sla_at_risk_at || null,
+    breachedAt: row.sla_breached_at || null
+  },
+  resolution: row.resolution || {},
+  takedownCheck: row.takedown_check || {},
+  tags: row.tags || [],
+  monitoringSource: ((row.tags || []).find(tag => tag.startsWith(MONITORING_TAG_PREFIX)) || '')
+    .slice(MONITORING_TAG_PREFIX.length) || null,
+  mergedInto: toIncidentRef(row.merged, row.merged_into),
+  reportedAt: row.reported_at,
+  resolvedAt: row.resolved_at,
+  deletedAt: row.deleted_at,
+  deletedBy: userRef(row.deleter, row.deleted_by),
+  deletedReason: row.deleted_reason || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Reviewers and note authors are kept as IDs inside JSONB columns
+const documentToRow = (fields) => {
+  const row = toRow(DOCUMENT_COLUMNS, fields, ['incidentId', 'createdBy', 'templateId']);
+
+  if (fields.version !== undefined) {
+    row.version = String(fields.version);
+  }
+  if (fields.reviewers) {
+    row.reviewers = fields.reviewers.map(reviewer => ({ ...reviewer, user: refId(reviewer.user) }));
+  }
+  if (fields.notes) {
+    row.notes = fields.notes.map(note => ({ ...note, author: refId(note.author) }));
+  }
+
+  return row;
+};
+
+const toDocument = (row, users = {}) => row && ({
+  _id: row.id,
+  title: row.title,
+  type: row.document_type,
+  content: row.content,
+  templateId: row.template_id,
+  incidentId: toIncidentRef(row.incident, row.incident_id),
+  createdBy: userRef(row.creator, row.created_by),
+  status: row.status,
+  deliveryMethod: row.delivery_method,
+  sentDate: row.sent_date,
+  responseDate: row.response_date,
+  responseContent: row.response_content,
+  delivery: row.delivery || null,
+  replyToken: row.reply_token,
+  responses: row.responses || [],
+  recipient: row.recipient || {},
+  filePath: row.file_path,
+  fileName: row.file_name,
+  fileSize: row.file_size,
+  mimeType: row.mime_type,
+  checksum: row.checksum,
+  storageBackend: row.storage_backend,
+  version: parseInt(row.version) || 1,
+  reviewers: (row.reviewers || []).map(reviewer => ({ ...reviewer, user: populateUser(reviewer.user, users) })),
+  tags: row.tags || [],
+  notes: (row.notes || []).map(note => ({ ...note, author: populateUser(note.author, users) })),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const templateToRow = (fields) => toRow(TEMPLATE_COLUMNS, fields, ['createdBy', 'lastModifiedBy', 'approvedBy']);
+
+const toTemplate = (row) => row && ({
+  _id: row.id,
+  name: row.name,
+  type: row.template_type,
+  subject: row.subject,
+  content: row.content,
+  variables: row.variables || [],
+  description: row.description,
+  category: row.category,
+  tags: row.tags || [],
+  version: row.version || 1,
+  isActive: row.is_active,
+  createdBy: userRef(row.creator, row.created_by),
+  lastModifiedBy: userRef(row.modifier, row.updated_by),
+  usageCount: row.usage_count || 0,
+  lastUsed: row.last_used_at,
+  legalApproved: row.legal_approved || false,
+  approvedBy: userRef(row.approver, row.approved_by),
+  approvedAt: row.approved_at,
+  settings: row.settings || {},
+  history: row.history || [],
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Confidence is a 0-100 score in the domain and a 0.00-1.00 fraction in the table
+const alertToRow = (fields) => {
+  const row = toRow(ALERT_COLUMNS, fields, ['assignedTo', 'reviewedBy', 'incidentId', 'infringerId']);
+
+  if (fields.source !== undefined) {
+    row.alert_type = ALERT_TYPES_BY_SOURCE[fields.source] || 'manual';
+  }
+  if (fields.confidence !== undefined) {
+    row.confidence_score = fields.confidence / 100;
+  }
+  if (fields.notes) {
+    row.notes = fields.notes.map(note => ({ ...note, author: refId(note.author) }));
+  }
+
+  return row;
+};
+
+const toAlert = (row, users = {}) => row && ({
+  _id: row.id,
+  title: row.title,
+  description: row.description,
+  source: row.source,
+  sourceUrl: row.url,
+  sourceDomain: row.source_domain,
+  domainIntel: row.domain_intel || [],
+  pendingJobs: row.pending_jobs || [],
+  detectedContent: row.content,
+  matchedKeywords: row.detected_keywords || [],
+  fingerprintMatch: row.fingerprint_match || null,
+  confidence: row.confidence_score !== null && row.confidence_score !== undefined
+    ? Math.round(row.confidence_score * 100)
+    : 50,
+  dspContent: row.dsp_content || {},
+  status: row.status,
+  priority: row.severity,
+  assignedTo: userRef(row.assignee, row.assigned_to),
+  assignedAt: row.assigned_at,
+  reviewedBy: userRef(row.reviewer, row.reviewed_by),
+  incidentId: toIncidentRef(row.incident, row.incident_id),
+  infringerId: toInfringerRef(row.infringer, row.infringer_id),
+  screenshots: row.screenshots || [],
+  evidenceUrls: row.evidence_urls || [],
+  evidenceCapture: row.evidence_capture || null,
+  actions: row.actions || [],
+  detectedAt: row.detected_at || row.created_at,
+  reviewedAt: row.reviewed_at,
+  resolvedAt: row.resolved_at,
+  notes: (row.notes || []).map(note => ({ ...note, author: populateUser(note.author, users) })),
+  metadata: row.metadata || {},
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const toChatMessage = (row) => row && ({
+  _id: row.id,
+  userId: row.user_id,
+  recipientId: row.recipient_id,
+  message: row.message,
+  user: row.user ? {
+    _id: row.user.id,
+    firstName: row.user.first_name,
+    lastName: row.user.last_name,
+    email: row.user.email,
+    role: row.user.role
+  } : null,
+  createdAt: row.created_at
+});
+
+const infringerToRow = (fields) => toRow(INFRINGER_COLUMNS, fields, ['createdBy']);
+
+const toInfringer = (row) => row && ({
+  _id: row.id,
+  name: row.name,
+  aliases: row.aliases || [],
+  emails: row.emails || [],
+  domains: row.domains || [],
+  hostingProviders: row.hosting_providers || [],
+  socialHandles: row.social_handles || [],
+  notes: row.notes,
+  incidentCount: row.incident_count || 0,
+  alertCount: row.alert_count || 0,
+  lastSeenAt: row.last_seen_at,
+  createdBy: userRef(row.creator, row.created_by),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const protectedWorkToRow = (fields) => toRow(PROTECTED_WORK_COLUMNS, fields, ['createdBy']);
+
+const toProtectedWork = (row) => row && ({
+  _id: row.id,
+  title: row.title,
+  workType: row.work_type || 'book',
+  isbn: row.isbn,
+  aliases: row.aliases || [],
+  description: row.description,
+  active: row.active !== false,
+  createdBy: userRef(row.creator, row.created_by),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Protected works are kept as an array of IDs on the row
+const watchlistToRow = (fields) => {
+  const row = toRow(WATCHLIST_COLUMNS, fields, ['createdBy']);
+  if (fields.protectedWorks !== undefined) row.protected_work_ids = fields.protectedWorks.map(refId);
+  return row;
+};
+
+// `works` holds the rows of the watchlist's protected works, keyed by ID
+const toWatchlist = (row, works = {}) => row && ({
+  _id: row.id,
+  name: row.name,
+  description: row.description,
+  enabled: row.enabled !== false,
+  frequency: row.frequency || 'daily',
+  matchMode: row.match_mode || 'any',
+  keywords: row.keywords || [],
+  query: row.query,
+  excludeTerms: row.exclude_terms || [],
+  domains: row.domains || [],
+  protectedWorks: (row.protected_work_ids || []).map(id => {
+    const work = works[id];
+    if (!work) return { _id: id };
+    const { createdBy, createdAt, updatedAt, description, ...ref } = toProtectedWork(work);
+    return ref;
+  }),
+  lastScannedAt: row.last_scanned_at,
+  lastAlertCount: row.last_alert_count || 0,
+  createdBy: userRef(row.creator, row.created_by),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const workFingerprintToRow = (fields) => ({
+  work_id: refId(fields.workId),
+  kind: fields.kind,
+  label: fields.label,
+  source: fields.source,
+  word_count: fields.wordCount,
+  chunks: fields.chunks,
+  hash: fields.hash,
+  created_by: refId(fields.createdBy)
+});
+
+const toWorkFingerprint = (row) => row && ({
+  _id: row.id,
+  workId: row.work_id,
+  kind: row.kind,
+  label: row.label,
+  source: row.source || {},
+  wordCount: row.word_count || 0,
+  chunks: row.chunks || [],
+  hash: row.hash,
+  createdBy: userRef(row.creator, row.created_by),
+  createdAt: row.created_at
+});
+
+const custodyEventToRow = (fields) => ({
+  incident_id: refId(fields.incidentId),
+  evidence_id: String(fields.evidenceId),
+  sequence: fields.sequence,
+  action: fields.action,
+  actor_id: refId(fields.actor),
+  occurred_at: fields.occurredAt,
+  checksum: fields.checksum,
+  details: fields.details,
+  previous_hash: fields.previousHash,
+  hash: fields.hash
+});
+
+const toCustodyEvent = (row) => row && ({
+  _id: row.id,
+  incidentId: row.incident_id,
+  evidenceId: row.evidence_id,
+  sequence: row.sequence,
+  action: row.action,
+  actor: userRef(row.actor_user, row.actor_id),
+  occurredAt: row.occurred_at,
+  checksum: row.checksum,
+  details: row.details || {},
+  previousHash: row.previous_hash,
+  hash: row.hash
+});
+
+const takedownCheckToRow = (fields) => toRow(TAKEDOWN_CHECK_COLUMNS, fields, ['incidentId']);
+
+const toTakedownCheck = (row) => row && ({
+  _id: row.id,
+  incidentId: row.incident_id,
+  url: row.url,
+  state: row.state,
+  httpStatus: row.http_status,
+  finalUrl: row.final_url,
+  comparedBy: row.compared_by,
+  similarity: row.similarity,
+  error: row.error,
+  checkedAt: row.checked_at
+});
+
+const monitoringRunToRow = (fields) => toRow(MONITORING_RUN_COLUMNS, fields, ['triggeredBy']);
+
+const toMonitoringRun = (row) => row && ({
+  _id: row.id,
+  trigger: row.trigger,
+  status: row.status,
+  dueOnly: Boolean(row.due_only),
+  startedAt: row.started_at,
+  finishedAt: row.finished_at,
+  durationMs: row.duration_ms,
+  watchlists: row.watchlists || [],
+  connectors: row.connectors || [],
+  alertsFound: row.alerts_found || 0,
+  newAlertIds: row.new_alert_ids || [],
+  error: row.error,
+  triggeredBy: userRef(row.trigger_user, row.triggered_by),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const toSavedSearch = (row) => row && ({
+  _id: row.id,
+  userId: row.user_id,
+  name: row.name,
+  search: row.search || '',
+  filters: row.filters || {},
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// The acting user of an activity is shown with their role
+const toCaseActivity = (row) => row && ({
+  _id: row.id,
+  incidentId: row.incident_id,
+  user: row.user ? { ...toUserRef(row.user), role: row.user.role } : userRef(null, row.user_id),
+  type: row.activity_type,
+  description: row.description,
+  oldValues: row.old_values || null,
+  newValues: row.new_values || null,
+  metadata: row.metadata || {},
+  createdAt: row.created_at
+});
+
+const toNotification = (row) => row && ({
+  _id: row.id,
+  userId: row.user_id,
+  title: row.title,
+  message: row.message,
+  type: row.type,
+  category: row.category,
+  priority: row.priority,
+  isRead: Boolean(row.is_read),
+  readAt: row.read_at || null,
+  incidentId: row.incident_id || null,
+  documentId: row.document_id || null,
+  actionUrl: row.action_url || null,
+  expiresAt: row.expires_at || null,
+  createdAt: row.created_at
+});
+
+const toSetting = (row) => row && ({
+  _id: row.id,
+  key: row.key,
+  value: row.value,
+  description: row.description || null,
+  category: row.category,
+  updatedBy: row.updated_by || null,
+  updatedAt: row.updated_at
+});
+
+module.exports = {
+  USER_REF_COLUMNS,
+  INCIDENT_SORT_COLUMNS,
+  DOCUMENT_SORT_COLUMNS,
+  TEMPLATE_SORT_COLUMNS,
+  ALERT_SORT_COLUMNS,
+  INFRINGER_SORT_COLUMNS,
+  PROTECTED_WORK_SORT_COLUMNS,
+  WATCHLIST_SORT_COLUMNS,
+  MONITORING_RUN_SORT_COLUMNS,
+  USER_SORT_COLUMNS,
+  searchTerm,
+  toUser,
+  userToRow,
+  incidentToRow,
+  toIncident,
+  documentToRow,
+  toDocument,
+  templateToRow,
+  toTemplate,
+  alertToRow,
+  toAlert,
+  toChatMessage,
+  infringerToRow,
+  toInfringer,
+  toSavedSearch,
+  protectedWorkToRow,
+  toProtectedWork,
+  watchlistToRow,
+  toWatchlist,
+  monitoringRunToRow,
+  toMonitoringRun,
+  workFingerprintToRow,
+  toWorkFingerprint,
+  custodyEventToRow,
+  toCustodyEvent,
+  takedownCheckToRow,
+  toTakedownCheck,
+  toCaseActivity,
+  toNotification,
+  toSetting
+};
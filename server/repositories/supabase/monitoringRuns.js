@@ -0,0 +1,70 @@
+const { USER_REF_COLUMNS, MONITORING_RUN_SORT_COLUMNS, monitoringRunToRow, toMonitoringRun } = require('./mappers');
+const { unwrap, findPage } = require('./query');
+
+const MONITORING_RUN_SELECT = `
+  *,
+  trigger_user:users!monitoring_runs_triggered_by_fkey(${USER_REF_COLUMNS})
+`;
+
+// Postgres unique_violation, raised here by the index allowing one running run
+const UNIQUE_VIOLATION = '23505';
+
+class SupabaseMonitoringRunRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async findById(id) {
+    return toMonitoringRun(unwrap(await this.client
+      .from('monitoring_runs')
+      .select(MONITORING_RUN_SELECT)
+      .eq('id', id)
+      .maybeSingle()));
+  }
+
+  async findRunning() {
+    return toMonitoringRun(unwrap(await this.client
+      .from('monitoring_runs')
+      .select(MONITORING_RUN_SELECT)
+      .eq('status', 'running')
+      .maybeSingle()));
+  }
+
+  list(filters = {}, options = {}) {
+    let query = this.client.from('monitoring_runs').select(MONITORING_RUN_SELECT, { count: 'exact' });
+
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.trigger) query = query.eq('trigger', filters.trigger);
+
+    return findPage(query, options, {
+      sortColumns: MONITORING_RUN_SORT_COLUMNS,
+      defaultSort: 'startedAt',
+      map: rows => rows.map(toMonitoringRun)
+    });
+  }
+
+  async start(fields) {
+    const { data, error } = await this.client
+      .from('monitoring_runs')
+      .insert([{ ...monitoringRunToRow(fields), status: 'running' }])
+      .select(MONITORING_RUN_SELECT)
+      .single();
+
+    if (error && error.code === UNIQUE_VIOLATION) return null;
+    if (error) throw error;
+    return toMonitoringRun(data);
+  }
+
+  async update(id, fields) {
+    const row = unwrap(await this.client
+      .from('monitoring_runs')
+      .update({ ...monitoringRunToRow(fields), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(MONITORING_RUN_SELECT)
+      .maybeSingle());
+
+    return toMonitoringRun(row);
+  }
+}
+
+module.exports = SupabaseMonitoringRunRepository;
@@ -0,0 +1,97 @@
+const { toNotification } = require('./mappers');
+const { unwrap, findPage } = require('./query');
+
+// Notifications that have not expired
+const current = (query) => query.or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+
+class SupabaseNotificationRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  // Newest first, leaving out expired notifications
+  listByUser(userId, { unreadOnly = false, category, ...options } = {}) {
+    let query = current(this.client
+      .from('notifications')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId));
+    if (unreadOnly) query = query.eq('is_read', false);
+    if (category) query = query.eq('category', category);
+
+    return findPage(query, options, {
+      sortColumns: { createdAt: 'created_at' },
+      defaultSort: 'createdAt',
+      map: rows => rows.map(toNotification)
+    });
+  }
+
+  async countUnread(userId) {
+    const { count, error } = await current(this.client
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('is_read', false));
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  async create({ userId, title, message, type, category, incidentId = null, documentId = null, priority, actionUrl = null, expiresAt = null }) {
+    const row = unwrap(await this.client
+      .from('notifications')
+      .insert([{
+        user_id: userId,
+        title,
+        message,
+        type,
+        category,
+        incident_id: incidentId,
+        document_id: documentId,
+        priority,
+        action_url: actionUrl,
+        expires_at: expiresAt
+      }])
+      .select('*')
+      .single());
+
+    return toNotification(row);
+  }
+
+  // False when the notification does not belong to the user
+  async markRead(userId, id) {
+    const rows = unwrap(await this.client
+      .from('notifications')
+      .update({ is_read: true, read_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select('id'));
+
+    return rows.length > 0;
+  }
+
+  // How many unread notifications were marked
+  async markAllRead(userId) {
+    const rows = unwrap(await this.client
+      .from('notifications')
+      .update({ is_read: true, read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('is_read', false)
+      .select('id'));
+
+    return rows.length;
+  }
+
+  // False when the notification does not belong to the user
+  async delete(userId, id) {
+    const rows = unwrap(await this.client
+      .from('notifications')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select('id'));
+
+    return rows.length > 0;
+  }
+}
+
+module.exports = SupabaseNotificationRepository;
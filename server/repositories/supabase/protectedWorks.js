@@ -0,0 +1,65 @@
+const { USER_REF_COLUMNS, PROTECTED_WORK_SORT_COLUMNS, searchTerm, protectedWorkToRow, toProtectedWork } = require('./mappers');
+const { unwrap, findPage } = require('./query');
+
+const PROTECTED_WORK_SELECT = `
+  *,
+  creator:users!protected_works_created_by_fkey(${USER_REF_COLUMNS})
+`;
+
+class SupabaseProtectedWorkRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async findById(id) {
+    return toProtectedWork(unwrap(await this.client
+      .from('protected_works')
+      .select(PROTECTED_WORK_SELECT)
+      .eq('id', id)
+      .maybeSingle()));
+  }
+
+  list(filters = {}, options = {}) {
+    let query = this.client.from('protected_works').select(PROTECTED_WORK_SELECT, { count: 'exact' });
+
+    if (filters.active !== undefined) query = query.eq('active', filters.active);
+    if (filters.workType) query = query.eq('work_type', filters.workType);
+    if (filters.search) {
+      const term = searchTerm(filters.search);
+      query = query.or(`title.ilike.%${term}%,isbn.ilike.%${term}%,aliases.cs.{"${term}"}`);
+    }
+
+    return findPage(query, options, {
+      sortColumns: PROTECTED_WORK_SORT_COLUMNS,
+      defaultSort: 'title',
+      map: rows => rows.map(toProtectedWork)
+    });
+  }
+
+  async create(fields) {
+    const row = unwrap(await this.client
+      .from('protected_works')
+      .insert([protectedWorkToRow(fields)])
+      .select(PROTECTED_WORK_SELECT)
+      .single());
+
+    return toProtectedWork(row);
+  }
+
+  async update(id, fields) {
+    const row = unwrap(await this.client
+      .from('protected_works')
+      .update({ ...protectedWorkToRow(fields), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(PROTECTED_WORK_SELECT)
+      .maybeSingle());
+
+    return toProtectedWork(row);
+  }
+
+  async delete(id) {
+    unwrap(await this.client.from('protected_works').delete().eq('id', id));
+  }
+}
+
+module.exports = SupabaseProtectedWorkRepository;
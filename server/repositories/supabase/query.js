@@ -0,0 +1,52 @@
+const { USER_REF_COLUMNS } = require('./mappers');
+
+// Throw PostgREST errors, otherwise hand back the rows
+const unwrap = ({ data, error }) => {
+  if (error) throw error;
+  return data;
+};
+
+// Sort and optionally paginate a query built with { count: 'exact' }. `sortColumns` maps
+// the domain sort keys a caller may use to columns; anything else falls back to `defaultSort`.
+// `ranked` queries are already in relevance order and are left unsorted.
+const findPage = async (query, options, { sortColumns, defaultSort, ranked = false, map }) => {
+  const { page = 1, limit, sortBy, sortOrder = 'desc' } = options;
+
+  if (!ranked) {
+    query = query.order(sortColumns[sortBy] || sortColumns[defaultSort], { ascending: sortOrder === 'asc' });
+  }
+  if (limit) {
+    const offset = (page - 1) * limit;
+    query = query.range(offset, offset + limit - 1);
+  }
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+
+  const items = await map(data || []);
+  return { items, total: count === null || count === undefined ? items.length : count };
+};
+
+// Require every group of alternatives to match. A query takes a single `or` filter,
+// so several groups are nested inside one.
+const matchEach = (query, groups) => {
+  if (groups.length === 0) return query;
+  if (groups.length === 1) return query.or(groups[0].join(','));
+  return query.or(`and(${groups.map(group => `or(${group.join(',')})`).join(',')})`);
+};
+
+// Users referenced by ID inside JSONB columns, keyed by ID for the mappers
+const loadUsers = async (client, ids) => {
+  const unique = [...new Set(ids.filter(Boolean).map(String))];
+  if (unique.length === 0) return {};
+
+  const users = unwrap(await client.from('users').select(USER_REF_COLUMNS).in('id', unique));
+  return users.reduce((byId, user) => ({ ...byId, [user.id]: user }), {});
+};
+
+module.exports = {
+  unwrap,
+  findPage,
+  matchEach,
+  loadUsers
+};
@@ -0,0 +1,53 @@
+const { toSavedSearch } = require('./mappers');
+const { unwrap } = require('./query');
+
+class SupabaseSavedSearchRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async listByUser(userId) {
+    const rows = unwrap(await this.client
+      .from('saved_searches')
+      .select('*')
+      .eq('user_id', userId)
+      .order('name', { ascending: true }));
+
+    return rows.map(toSavedSearch);
+  }
+
+  async findById(id) {
+    return toSavedSearch(unwrap(await this.client
+      .from('saved_searches')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle()));
+  }
+
+  async create({ userId, name, search, filters }) {
+    const row = unwrap(await this.client
+      .from('saved_searches')
+      .insert([{ user_id: userId, name, search, filters }])
+      .select('*')
+      .single());
+
+    return toSavedSearch(row);
+  }
+
+  async update(id, { name, search, filters }) {
+    const row = unwrap(await this.client
+      .from('saved_searches')
+      .update({ name, search, filters, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select('*')
+      .maybeSingle());
+
+    return toSavedSearch(row);
+  }
+
+  async delete(id) {
+    unwrap(await this.client.from('saved_searches').delete().eq('id', id));
+  }
+}
+
+module.exports = SupabaseSavedSearchRepository;
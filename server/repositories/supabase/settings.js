@@ -0,0 +1,26 @@
+const { toSetting } = require('./mappers');
+const { unwrap } = require('./query');
+
+class SupabaseSettingRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async get(key) {
+    return toSetting(unwrap(await this.client.from('system_settings').select('*').eq('key', key).maybeSingle()));
+  }
+
+  // Create or replace the setting stored under `key`
+  async set(key, value, { userId = null, description, category = 'general' } = {}) {
+    const row = { key, value, category, updated_by: userId, updated_at: new Date().toISOString() };
+    if (description) row.description = description;
+
+    return toSetting(unwrap(await this.client
+      .from('system_settings')
+      .upsert(row, { onConflict: 'key' })
+      .select('*')
+      .single()));
+  }
+}
+
+module.exports = SupabaseSettingRepository;
@@ -0,0 +1,33 @@
+const { takedownCheckToRow, toTakedownCheck } = require('./mappers');
+const { unwrap } = require('./query');
+
+class SupabaseTakedownCheckRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async listByIncident(incidentId, { url, limit } = {}) {
+    let query = this.client
+      .from('takedown_checks')
+      .select('*')
+      .eq('incident_id', incidentId)
+      .order('checked_at', { ascending: false });
+
+    if (url) query = query.eq('url', url);
+    if (limit) query = query.limit(limit);
+
+    return unwrap(await query).map(toTakedownCheck);
+  }
+
+  async create(fields) {
+    const row = unwrap(await this.client
+      .from('takedown_checks')
+      .insert([takedownCheckToRow(fields)])
+      .select('*')
+      .single());
+
+    return toTakedownCheck(row);
+  }
+}
+
+module.exports = SupabaseTakedownCheckRepository;
@@ -0,0 +1,71 @@
+const { USER_REF_COLUMNS, TEMPLATE_SORT_COLUMNS, searchTerm, templateToRow, toTemplate } = require('./mappers');
+const { unwrap, findPage } = require('./query');
+
+const TEMPLATE_SELECT = `
+  *,
+  creator:users!templates_created_by_fkey(${USER_REF_COLUMNS}),
+  modifier:users!templates_updated_by_fkey(${USER_REF_COLUMNS}),
+  approver:users!templates_approved_by_fkey(${USER_REF_COLUMNS})
+`;
+
+class SupabaseTemplateRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async findById(id) {
+    return toTemplate(unwrap(await this.client.from('templates').select(TEMPLATE_SELECT).eq('id', id).maybeSingle()));
+  }
+
+  list(filters = {}, options = {}) {
+    let query = this.client.from('templates').select(TEMPLATE_SELECT, { count: 'exact' });
+
+    if (filters.isActive !== undefined) query = query.eq('is_active', filters.isActive);
+    if (filters.type) query = query.eq('template_type', filters.type);
+    if (filters.category) query = query.eq('category', filters.category);
+
+    if (filters.search) {
+      const term = searchTerm(filters.search);
+      query = query.or(`name.ilike.%${term}%,description.ilike.%${term}%,tags.cs.{"${term}"}`);
+    }
+
+    return findPage(query, { sortOrder: 'asc', ...options }, {
+      sortColumns: TEMPLATE_SORT_COLUMNS,
+      defaultSort: 'name',
+      map: rows => rows.map(toTemplate)
+    });
+  }
+
+  async create(fields) {
+    const row = unwrap(await this.client
+      .from('templates')
+      .insert([templateToRow(fields)])
+      .select(TEMPLATE_SELECT)
+      .single());
+
+    return toTemplate(row);
+  }
+
+  async update(id, fields) {
+    const row = unwrap(await this.client
+      .from('templates')
+      .update({ ...templateToRow(fields), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(TEMPLATE_SELECT)
+      .maybeSingle());
+
+    return toTemplate(row);
+  }
+
+  async recordUsage(id) {
+    const template = await this.findById(id);
+    if (!template) return null;
+
+    return this.update(id, {
+      usageCount: template.usageCount + 1,
+      lastUsed: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = SupabaseTemplateRepository;
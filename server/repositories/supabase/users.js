@@ -0,0 +1,87 @@
+const { USER_SORT_COLUMNS, searchTerm, toUser, userToRow } = require('./mappers');
+const { unwrap, findPage } = require('./query');
+
+// Everything but credentials and tokens
+const USER_COLUMNS = `
+  id, first_name, last_name, email, role, department, phone, job_title, avatar,
+  is_active, last_login, preferences, email_verified, invitation_status, invitation_expires,
+  login_attempts, lock_until, created_at, updated_at
+`;
+
+class SupabaseUserRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async findById(id) {
+    return toUser(unwrap(await this.client.from('users').select(USER_COLUMNS).eq('id', id).maybeSingle()));
+  }
+
+  async findByIds(ids = []) {
+    const unique = [...new Set(ids.filter(Boolean).map(String))];
+    if (unique.length === 0) return [];
+
+    const rows = unwrap(await this.client.from('users').select(USER_COLUMNS).in('id', unique));
+    return rows.map(toUser);
+  }
+
+  // `withPassword` adds the stored `passwordHash` for checking credentials
+  async findByEmail(email, { withPassword = false } = {}) {
+    const columns = withPassword ? `${USER_COLUMNS}, password_hash` : USER_COLUMNS;
+    const row = unwrap(await this.client.from('users').select(columns).eq('email', String(email).trim().toLowerCase()).maybeSingle());
+    if (!row) return null;
+
+    return withPassword ? { ...toUser(row), passwordHash: row.password_hash || null } : toUser(row);
+  }
+
+  async findByInvitationToken(token) {
+    if (!token) return null;
+    return toUser(unwrap(await this.client.from('users').select(USER_COLUMNS).eq('invitation_token', token).maybeSingle()));
+  }
+
+  // Match on name, email or job title
+  async search(query, { limit = 5, activeOnly = true } = {}) {
+    const term = searchTerm(query);
+    let request = this.client
+      .from('users')
+      .select(USER_COLUMNS)
+      .or(`first_name.ilike.%${term}%,last_name.ilike.%${term}%,email.ilike.%${term}%,job_title.ilike.%${term}%`)
+      .limit(limit);
+    if (activeOnly) request = request.eq('is_active', true);
+
+    return unwrap(await request).map(toUser);
+  }
+
+  list(filters = {}, options = {}) {
+    let query = this.client.from('users').select(USER_COLUMNS, { count: 'exact' });
+    if (filters.isActive !== undefined) query = query.eq('is_active', filters.isActive);
+    if (filters.role) {
+      query = Array.isArray(filters.role) ? query.in('role', filters.role) : query.eq('role', filters.role);
+    }
+    if (filters.department) query = query.eq('department', filters.department);
+    if (filters.search) {
+      const term = searchTerm(filters.search);
+      query = query.or(`first_name.ilike.%${term}%,last_name.ilike.%${term}%,email.ilike.%${term}%,job_title.ilike.%${term}%`);
+    }
+
+    return findPage(query, { sortOrder: 'asc', ...options }, {
+      sortColumns: USER_SORT_COLUMNS,
+      defaultSort: 'firstName',
+      map: rows => rows.map(toUser)
+    });
+  }
+
+  async create(fields) {
+    const row = userToRow({ ...fields, email: String(fields.email).toLowerCase() });
+    return toUser(unwrap(await this.client.from('users').insert(row).select(USER_COLUMNS).single()));
+  }
+
+  async update(id, fields) {
+    const row = { ...userToRow(fields), updated_at: new Date().toISOString() };
+    if (row.email) row.email = row.email.toLowerCase();
+
+    return toUser(unwrap(await this.client.from('users').update(row).eq('id', id).select(USER_COLUMNS).maybeSingle()));
+  }
+}
+
+module.exports = SupabaseUserRepository;
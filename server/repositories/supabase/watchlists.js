@@ -0,0 +1,69 @@
+const { USER_REF_COLUMNS, WATCHLIST_SORT_COLUMNS, watchlistToRow, toWatchlist } = require('./mappers');
+const { unwrap, findPage } = require('./query');
+
+const WATCHLIST_SELECT = `
+  *,
+  creator:users!watchlists_created_by_fkey(${USER_REF_COLUMNS})
+`;
+
+class SupabaseWatchlistRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  // Watchlist domain objects with their protected works fetched in one query
+  async withWorks(rows) {
+    const ids = [...new Set(rows.flatMap(row => row.protected_work_ids || []))];
+    const works = ids.length > 0
+      ? unwrap(await this.client.from('protected_works').select('*').in('id', ids))
+      : [];
+    const byId = works.reduce((result, work) => ({ ...result, [work.id]: work }), {});
+
+    return rows.map(row => toWatchlist(row, byId));
+  }
+
+  async findById(id) {
+    const row = unwrap(await this.client.from('watchlists').select(WATCHLIST_SELECT).eq('id', id).maybeSingle());
+    return row ? (await this.withWorks([row]))[0] : null;
+  }
+
+  list(filters = {}, options = {}) {
+    let query = this.client.from('watchlists').select(WATCHLIST_SELECT, { count: 'exact' });
+
+    if (filters.enabled !== undefined) query = query.eq('enabled', filters.enabled);
+    if (filters.protectedWork) query = query.contains('protected_work_ids', [filters.protectedWork]);
+
+    return findPage(query, options, {
+      sortColumns: WATCHLIST_SORT_COLUMNS,
+      defaultSort: 'name',
+      map: rows => this.withWorks(rows)
+    });
+  }
+
+  async create(fields) {
+    const row = unwrap(await this.client
+      .from('watchlists')
+      .insert([watchlistToRow(fields)])
+      .select('id')
+      .single());
+
+    return this.findById(row.id);
+  }
+
+  async update(id, fields) {
+    const row = unwrap(await this.client
+      .from('watchlists')
+      .update({ ...watchlistToRow(fields), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select('id')
+      .maybeSingle());
+
+    return row ? this.findById(row.id) : null;
+  }
+
+  async delete(id) {
+    unwrap(await this.client.from('watchlists').delete().eq('id', id));
+  }
+}
+
+module.exports = SupabaseWatchlistRepository;
@@ -0,0 +1,53 @@
+const { USER_REF_COLUMNS, workFingerprintToRow, toWorkFingerprint } = require('./mappers');
+const { unwrap } = require('./query');
+
+const WORK_FINGERPRINT_SELECT = `
+  *,
+  creator:users!work_fingerprints_created_by_fkey(${USER_REF_COLUMNS})
+`;
+
+class SupabaseWorkFingerprintRepository {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async findById(id) {
+    return toWorkFingerprint(unwrap(await this.client
+      .from('work_fingerprints')
+      .select(WORK_FINGERPRINT_SELECT)
+      .eq('id', id)
+      .maybeSingle()));
+  }
+
+  async listByWorks(workIds) {
+    if (workIds.length === 0) return [];
+
+    const rows = unwrap(await this.client
+      .from('work_fingerprints')
+      .select(WORK_FINGERPRINT_SELECT)
+      .in('work_id', workIds)
+      .order('created_at', { ascending: true }));
+
+    return rows.map(toWorkFingerprint);
+  }
+
+  async create(fields) {
+    const row = unwrap(await this.client
+      .from('work_fingerprints')
+      .insert([workFingerprintToRow(fields)])
+      .select(WORK_FINGERPRINT_SELECT)
+      .single());
+
+    return toWorkFingerprint(row);
+  }
+
+  async delete(id) {
+    unwrap(await this.client.from('work_fingerprints').delete().eq('id', id));
+  }
+
+  async deleteByWork(workId) {
+    unwrap(await this.client.from('work_fingerprints').delete().eq('work_id', workId));
+  }
+}
+
+module.exports = SupabaseWorkFingerprintRepository;
@@ -1,317 +0,0 @@
-const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
-
-const User = require('../models/User');
-const { auth, requireRole } = require('../middleware/auth');
-
-const router = express.Router();
-
-// @route   POST /api/auth/register
-// @desc    Register a new user
-// @access  Private (admin only)
-router.post('/register', auth, requireRole('admin'), [
-  body('firstName').trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
-  body('lastName').trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
-  body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['admin', 'legal', 'manager', 'staff', 'viewer']).withMessage('Invalid role'),
-  body('department').isIn(['legal', 'marketing', 'crr', 'management', 'it']).withMessage('Invalid department')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { firstName, lastName, email, password, role, department, phone, jobTitle } = req.body;
-
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: 'User already exists with this email' });
-    }
-
-    // Create new user
-    const user = new User({
-      firstName,
-      lastName,
-      email,
-      password,
-      role,
-      department,
-      phone,
-      jobTitle
-    });
-
-    await user.save();
-
-    // Generate JWT token
-    const payload = {
-      userId: user._id,
-      email: user.email,
-      role: user.role
-    };
-
-    const token = jwt.sign(payload, process.env.JWT_SECRET || 'fallback-secret-key', {
-      expiresIn: '24h'
-    });
-
-    res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        department: user.department,
-        fullName: user.fullName
-      }
-    });
-
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
-
-// @route   POST /api/auth/login
-// @desc    Login user
-// @access  Public
-router.post('/login', [
-  body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').exists().withMessage('Password is required')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { email, password } = req.body;
-
-    // Find user
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
-
-    // Check if account is locked
-    if (user.isLocked) {
-      return res.status(423).json({ message: 'Account is temporarily locked due to too many failed login attempts' });
-    }
-
-    // Check if account is active
-    if (!user.isActive) {
-      return res.status(400).json({ message: 'Account is deactivated' });
-    }
-
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      await user.incLoginAttempts();
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
-
-    // Reset login attempts on successful login
-    await user.resetLoginAttempts();
-
-    // Generate JWT token
-    const payload = {
-      userId: user._id,
-      email: user.email,
-      role: user.role
-    };
-
-    const token = jwt.sign(payload, process.env.JWT_SECRET || 'fallback-secret-key', {
-      expiresIn: '24h'
-    });
-
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        department: user.department,
-        fullName: user.fullName,
-        preferences: user.preferences
-      }
-    });
-
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
-
-// @route   GET /api/auth/me
-// @desc    Get current user
-// @access  Private
-router.get('/me', auth, async (req, res) => {
-  try {
-    const user = await User.findById(req.user._id).select('-password');
-    res.json({
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        department: user.department,
-        phone: user.phone,
-        jobTitle: user.jobTitle,
-        avatar: user.avatar,
-        fullName: user.fullName,
-        preferences: user.preferences,
-        lastLogin: user.lastLogin
-      }
-    });
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
-
-// @route   PUT /api/auth/profile
-// @desc    Update user profile
-// @access  Private
-router.put('/profile', auth, [
-  body('firstName').optional().trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
-  body('lastName').optional().trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
-  body('phone').optional().trim(),
-  body('jobTitle').optional().trim()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { firstName, lastName, phone, jobTitle, preferences } = req.body;
-    const user = await User.findById(req.user._id);
-
-    if (firstName) user.firstName = firstName;
-    if (lastName) user.lastName = lastName;
-    if (phone !== undefined) user.phone = phone;
-    if (jobTitle !== undefined) user.jobTitle = jobTitle;
-    if (preferences) user.preferences = { ...user.preferences, ...preferences };
-
-    await user.save();
-
-    res.json({
-      message: 'Profile updated successfully',
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        department: user.department,
-        phone: user.phone,
-        jobTitle: user.jobTitle,
-        fullName: user.fullName,
-        preferences: user.preferences
-      }
-    });
-
-  } catch (error) {
-    console.error('Profile update error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
-
-// @route   PUT /api/auth/password
-// @desc    Change password
-// @access  Private
-router.put('/password', auth, [
-  body('currentPassword').exists().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { currentPassword, newPassword } = req.body;
-    const user = await User.findById(req.user._id);
-
-    // Check current password
-    const isMatch = await user.comparePassword(currentPassword);
-    if (!isMatch) {
-      return res.status(400).json({ message: 'Current password is incorrect' });
-    }
-
-    // Update password
-    user.password = newPassword;
-    await user.save();
-
-    res.json({ message: 'Password updated successfully' });
-
-  } catch (error) {
-    console.error('Password change error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
-
-// @route   GET /api/auth/users
-// @desc    Get all users
-// @access  Private (admin/manager only)
-router.get('/users', auth, requireRole('admin', 'manager'), async (req, res) => {
-  try {
-    const users = await User.find({ isActive: true })
-      .select('-password')
-      .sort({ firstName: 1 });
-
-    res.json({ users });
-  } catch (error) {
-    console.error('Get users error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
-
-// @route   PUT /api/auth/users/:id/status
-// @desc    Update user status
-// @access  Private (admin only)
-router.put('/users/:id/status', auth, requireRole('admin'), [
-  body('isActive').isBoolean().withMessage('isActive must be a boolean')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const user = await User.findById(req.params.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
-    user.isActive = req.body.isActive;
-    await user.save();
-
-    res.json({
-      message: `User ${req.body.isActive ? 'activated' : 'deactivated'} successfully`,
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        isActive: user.isActive
-      }
-    });
-
-  } catch (error) {
-    console.error('User status update error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
-
-module.exports = router;
@@ -1,339 +0,0 @@
-const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
-
-const databaseService = require('../config/databaseService'); // Import the database service
-const { auth, requireRole } = require('../middleware/auth-supabase');
-
-const router = express.Router();
-
-// @route   POST /api/auth/register
-// @desc    Register a new user
-// @access  Private (admin only)
-router.post('/register', auth, requireRole('admin'), [
-  body('firstName').trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
-  body('lastName').trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
-  body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['admin', 'legal', 'manager', 'staff', 'viewer']).withMessage('Invalid role'),
-  body('department').isIn(['legal', 'marketing', 'crr', 'management', 'it']).withMessage('Invalid department')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { firstName, lastName, email, password, role, department, phone, jobTitle } = req.body;
-
-    const db = databaseService.getService();
-
-    if (databaseService.type === 'supabase') {
-      // Check if user already exists using Supabase
-      const existingUser = await db.getUserByEmail(email);
-      if (existingUser) {
-        return res.status(400).json({ message: 'User already exists' });
-      }
-
-      // Hash password
-      const salt = await bcrypt.genSalt(10);
-      const password_hash = await bcrypt.hash(password, salt);
-
-      // Create user using Supabase
-      const newUser = await db.createUser({
-        first_name: firstName,
-        last_name: lastName,
-        email,
-        password_hash,
-        role,
-        department,
-        phone,
-        job_title: jobTitle,
-        is_active: true,
-        email_verified: true,
-      });
-
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: newUser.id, email: newUser.email, role: newUser.role },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
-
-      res.status(201).json({
-        message: 'User registered successfully',
-        token,
-        user: {
-          id: newUser.id,
-          firstName: newUser.first_name,
-          lastName: newUser.last_name,
-          email: newUser.email,
-          role: newUser.role,
-          department: newUser.department,
-        },
-      });
-
-    } else {
-      // MongoDB logic (existing code)
-      const User = require('../models/User');
-      
-      // Check if user already exists
-      const existingUser = await User.findOne({ email });
-      if (existingUser) {
-        return res.status(400).json({ message: 'User already exists' });
-      }
-
-      // Hash password
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash(password, salt);
-
-      // Create user
-      const newUser = new User({
-        firstName,
-        lastName,
-        email,
-        password: hashedPassword,
-        role,
-        department,
-        phone,
-        jobTitle,
-        isActive: true,
-        emailVerified: true,
-      });
-
-      await newUser.save();
-
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: newUser._id, email: newUser.email, role: newUser.role },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
-
-      res.status(201).json({
-        message: 'User registered successfully',
-        token,
-        user: {
-          id: newUser._id,
-          firstName: newUser.firstName,
-          lastName: newUser.lastName,
-          email: newUser.email,
-          role: newUser.role,
-          department: newUser.department,
-        },
-      });
-    }
-
-  } catch (error) {
-    console.error('Error registering user:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
-
-// @route   POST /api/auth/login
-// @desc    Authenticate user & get token
-// @access  Public
-router.post('/login', [
-  body('email').isEmail().withMessage('Please include a valid email'),
-  body('password').exists().withMessage('Password is required'),
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { email, password } = req.body;
-
-    const db = databaseService.getService();
-
-    if (databaseService.type === 'supabase') {
-      // Find user using Supabase
-      let user = await db.getUserByEmail(email);
-
-      // If admin user doesn't exist and trying to login as admin, create it
-      if (!user && email === 'admin@dsp.com' && password === 'admin123') {
-        console.log('🔐 Creating default admin user...');
-        try {
-          const salt = await bcrypt.genSalt(10);
-          const password_hash = await bcrypt.hash(password, salt);
-          const newAdmin = await db.createUser({
-            first_name: 'Admin',
-            last_name: 'User',
-            email: 'admin@dsp.com',
-            password_hash: password_hash,
-            role: 'admin',
-            department: 'management',
-            is_active: true,
-            email_verified: true,
-            preferences: {
-              emailNotifications: true,
-              dashboardLayout: 'default',
-              timezone: 'America/Los_Angeles'
-            }
-          });
-          user = newAdmin;
-          console.log('✅ Default admin user created successfully');
-        } catch (createError) {
-          console.error('❌ Failed to create admin user:', createError);
-          return res.status(500).json({ message: 'Failed to create admin user' });
-        }
-      }
-
-      if (!user) {
-        return res.status(401).json({ message: 'Invalid credentials' });
-      }
-
-      // Compare password
-      const isMatch = await bcrypt.compare(password, user.password_hash);
-      if (!isMatch) {
-        return res.status(401).json({ message: 'Invalid credentials' });
-      }
-
-      // Check if user is active
-      if (!user.is_active) {
-        return res.status(401).json({ message: 'Account is inactive. Please contact support.' });
-      }
-
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user.id, email: user.email, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
-
-      res.json({
-        message: 'Login successful',
-        token,
-        user: {
-          id: user.id,
-          firstName: user.first_name,
-          lastName: user.last_name,
-          email: user.email,
-          role: user.role,
-          department: user.department,
-          fullName: `${user.first_name} ${user.last_name}`,
-          preferences: user.preferences,
-        },
-      });
-
-    } else {
-      // MongoDB logic (existing code)
-      const User = require('../models/User');
-      
-      // Find user
-      const user = await User.findOne({ email }).select('+password');
-      if (!user) {
-        return res.status(401).json({ message: 'Invalid credentials' });
-      }
-
-      // Compare password
-      const isMatch = await bcrypt.compare(password, user.password);
-      if (!isMatch) {
-        return res.status(401).json({ message: 'Invalid credentials' });
-      }
-
-      // Check if user is active
-      if (!user.isActive) {
-        return res.status(401).json({ message: 'Account is inactive. Please contact support.' });
-      }
-
-      // Update last login
-      user.lastLogin = new Date();
-      await user.save();
-
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user._id, email: user.email, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
-
-      res.json({
-        message: 'Login successful',
-        token,
-        user: {
-          id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          role: user.role,
-          department: user.department,
-          fullName: `${user.firstName} ${user.lastName}`,
-          preferences: user.preferences,
-        },
-      });
-    }
-
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
-
-// @route   GET /api/auth/me
-// @desc    Get current user profile
-// @access  Private
-router.get('/me', auth, async (req, res) => {
-  try {
-    const db = databaseService.getService();
-
-    if (databaseService.type === 'supabase') {
-      const user = await db.getUserById(req.user.userId);
-
-      if (!user) {
-        return res.status(404).json({ message: 'User not found' });
-      }
-
-      res.json({
-        id: user.id,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        email: user.email,
-        role: user.role,
-        department: user.department,
-        phone: user.phone,
-        jobTitle: user.job_title,
-        avatar: user.avatar,
-        isActive: user.is_active,
-        lastLogin: user.last_login,
-        preferences: user.preferences,
-        createdAt: user.created_at,
-        updatedAt: user.updated_at,
-      });
-
-    } else {
-      // MongoDB logic (existing code)
-      const User = require('../models/User');
-      
-      const user = await User.findById(req.user.userId).select('-password');
-      if (!user) {
-        return res.status(404).json({ message: 'User not found' });
-      }
-
-      res.json({
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        department: user.department,
-        phone: user.phone,
-        jobTitle: user.jobTitle,
-        avatar: user.avatar,
-        isActive: user.isActive,
-        lastLogin: user.lastLogin,
-        preferences: user.preferences,
-        createdAt: user.createdAt,
-        updatedAt: user.updatedAt,
-      });
-    }
-
-  } catch (error) {
-    console.error('Error fetching user profile:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
-
-module.exports = router;
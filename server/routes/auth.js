@@ -4,10 +4,19 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 
 const databaseService = require('../config/databaseService');
-const { auth, requireRole } = require('../middleware/auth');
+const { auth, requireRole } = require('../middleware/auth-supabase');
 
 const router = express.Router();
 
+// Created on the first sign-in with these credentials when no such user exists
+const DEFAULT_ADMIN = { email: 'admin@dsp.com', password: 'admin123' };
+
+const signToken = (user) => jwt.sign(
+  { userId: user._id, email: user.email, role: user.role },
+  process.env.JWT_SECRET,
+  { expiresIn: '24h' }
+);
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Private (admin only)
@@ -26,119 +35,51 @@ router.post('/register', auth, requireRole('admin'), [
     }
 
     const { firstName, lastName, email, password, role, department, phone, jobTitle } = req.body;
+    const { users } = databaseService.getRepositories();
 
-    const db = databaseService.getService();
-    
-    if (databaseService.type === 'supabase') {
-      // Check if user already exists using Supabase
-      const existingUser = await db.getUserByEmail(email);
-      if (existingUser) {
-        return res.status(400).json({ message: 'User already exists' });
-      }
-
-      // Create user using Supabase
-      const userData = {
-        first_name: firstName,
-        last_name: lastName,
-        email,
-        password,
-        role,
-        department,
-        phone,
-        job_title: jobTitle,
-        is_active: true,
-        email_verified: true
-      };
-
-      const user = await db.createUser(userData);
-
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          userId: user.id, 
-          email: user.email, 
-          role: user.role 
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
-
-      res.status(201).json({
-        message: 'User registered successfully',
-        token,
-        user: {
-          id: user.id,
-          firstName: user.first_name,
-          lastName: user.last_name,
-          email: user.email,
-          role: user.role,
-          department: user.department,
-          fullName: `${user.first_name} ${user.last_name}`,
-          preferences: user.preferences
-        }
-      });
-    } else {
-      // Fallback to MongoDB
-      const User = require('../models/User');
-      
-      const existingUser = await User.findOne({ email });
-      if (existingUser) {
-        return res.status(400).json({ message: 'User already exists' });
-      }
-
-      const user = new User({
-        firstName,
-        lastName,
-        email,
-        password,
-        role,
-        department,
-        phone,
-        jobTitle,
-        isActive: true,
-        emailVerified: true
-      });
-
-      await user.save();
-
-      const token = jwt.sign(
-        { 
-          userId: user._id, 
-          email: user.email, 
-          role: user.role 
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
-
-      res.status(201).json({
-        message: 'User registered successfully',
-        token,
-        user: {
-          id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          role: user.role,
-          department: user.department,
-          fullName: user.fullName,
-          preferences: user.preferences
-        }
-      });
+    const existingUser = await users.findByEmail(email);
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists' });
     }
 
+    const newUser = await users.create({
+      firstName,
+      lastName,
+      email,
+      passwordHash: await bcrypt.hash(password, 10),
+      role,
+      department,
+      phone,
+      jobTitle,
+      isActive: true,
+      emailVerified: true,
+    });
+
+    res.status(201).json({
+      message: 'User registered successfully',
+      token: signToken(newUser),
+      user: {
+        id: newUser._id,
+        firstName: newUser.firstName,
+        lastName: newUser.lastName,
+        email: newUser.email,
+        role: newUser.role,
+        department: newUser.department,
+      },
+    });
+
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('Error registering user:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Authenticate user & get token
 // @access  Public
 router.post('/login', [
-  body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').exists().withMessage('Password is required')
+  body('email').isEmail().withMessage('Please include a valid email'),
+  body('password').exists().withMessage('Password is required'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -147,101 +88,62 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+    const { users } = databaseService.getRepositories();
 
-    const db = databaseService.getService();
-    
-    if (databaseService.type === 'supabase') {
-      // Find user using Supabase
-      const user = await db.getUserByEmail(email);
-      
-      if (!user) {
-        return res.status(401).json({ message: 'Invalid credentials' });
-      }
-
-      if (!user.is_active) {
-        return res.status(401).json({ message: 'Account is deactivated' });
-      }
-
-      // Check password
-      const isMatch = await bcrypt.compare(password, user.password_hash);
-      if (!isMatch) {
-        return res.status(401).json({ message: 'Invalid credentials' });
-      }
-
-      // Update last login
-      await db.updateUser(user.id, { last_login: new Date() });
+    let user = await users.findByEmail(email, { withPassword: true });
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          userId: user.id, 
-          email: user.email, 
-          role: user.role 
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
-
-      res.json({
-        message: 'Login successful',
-        token,
-        user: {
-          id: user.id,
-          firstName: user.first_name,
-          lastName: user.last_name,
-          email: user.email,
-          role: user.role,
-          department: user.department,
-          fullName: `${user.first_name} ${user.last_name}`,
-          preferences: user.preferences
+    // If admin user doesn't exist and trying to login as admin, create it
+    if (!user && email === DEFAULT_ADMIN.email && password === DEFAULT_ADMIN.password) {
+      console.log('🔐 Creating default admin user...');
+      const passwordHash = await bcrypt.hash(password, 10);
+      const admin = await users.create({
+        firstName: 'Admin',
+        lastName: 'User',
+        email,
+        passwordHash,
+        role: 'admin',
+        department: 'management',
+        isActive: true,
+        emailVerified: true,
+        preferences: {
+          emailNotifications: true,
+          dashboardLayout: 'default',
+          timezone: 'America/Los_Angeles'
         }
       });
-    } else {
-      // Fallback to MongoDB
-      const User = require('../models/User');
-      
-      const user = await User.findOne({ email }).select('+password');
-      
-      if (!user) {
-        return res.status(401).json({ message: 'Invalid credentials' });
-      }
+      user = { ...admin, passwordHash };
+      console.log('✅ Default admin user created successfully');
+    }
 
-      if (!user.isActive) {
-        return res.status(401).json({ message: 'Account is deactivated' });
-      }
+    if (!user || !user.passwordHash) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
 
-      const isMatch = await user.matchPassword(password);
-      if (!isMatch) {
-        return res.status(401).json({ message: 'Invalid credentials' });
-      }
+    const isMatch = await bcrypt.compare(password, user.passwordHash);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
 
-      await user.recordLogin();
+    if (!user.isActive) {
+      return res.status(401).json({ message: 'Account is inactive. Please contact support.' });
+    }
 
-      const token = jwt.sign(
-        { 
-          userId: user._id, 
-          email: user.email, 
-          role: user.role 
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
+    await users.update(user._id, { lastLogin: new Date().toISOString() });
 
-      res.json({
-        message: 'Login successful',
-        token,
-        user: {
-          id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          role: user.role,
-          department: user.department,
-          fullName: user.fullName,
-          preferences: user.preferences
-        }
-      });
-    }
+    res.json({
+      message: 'Login successful',
+      token: signToken(user),
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role,
+        department: user.department,
+        fullName: `${user.firstName} ${user.lastName}`,
+        preferences: user.preferences,
+      },
+    });
 
   } catch (error) {
     console.error('Login error:', error);
@@ -250,53 +152,34 @@ router.post('/login', [
 });
 
 // @route   GET /api/auth/me
-// @desc    Get current user
+// @desc    Get current user profile
 // @access  Private
 router.get('/me', auth, async (req, res) => {
   try {
-    const db = databaseService.getService();
-    
-    if (databaseService.type === 'supabase') {
-      const user = await db.getUserById(req.user.userId);
-      
-      if (!user) {
-        return res.status(404).json({ message: 'User not found' });
-      }
-
-      res.json({
-        id: user.id,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        email: user.email,
-        role: user.role,
-        department: user.department,
-        fullName: `${user.first_name} ${user.last_name}`,
-        preferences: user.preferences
-      });
-    } else {
-      // Fallback to MongoDB
-      const User = require('../models/User');
-      
-      const user = await User.findById(req.user.userId);
-      
-      if (!user) {
-        return res.status(404).json({ message: 'User not found' });
-      }
-
-      res.json({
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        department: user.department,
-        fullName: user.fullName,
-        preferences: user.preferences
-      });
+    const user = await databaseService.getRepositories().users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
+    res.json({
+      id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      role: user.role,
+      department: user.department,
+      phone: user.phone,
+      jobTitle: user.jobTitle,
+      avatar: user.avatar,
+      isActive: user.isActive,
+      lastLogin: user.lastLogin,
+      preferences: user.preferences,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    });
+
   } catch (error) {
-    console.error('Get user error:', error);
+    console.error('Error fetching user profile:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -315,51 +198,26 @@ router.put('/change-password', auth, [
     }
 
     const { currentPassword, newPassword } = req.body;
+    const { users } = databaseService.getRepositories();
 
-    const db = databaseService.getService();
-    
-    if (databaseService.type === 'supabase') {
-      const user = await db.getUserById(req.user.userId);
-      
-      if (!user) {
-        return res.status(404).json({ message: 'User not found' });
-      }
-
-      const isMatch = await bcrypt.compare(currentPassword, user.password_hash);
-      if (!isMatch) {
-        return res.status(400).json({ message: 'Current password is incorrect' });
-      }
-
-      const hashedPassword = await bcrypt.hash(newPassword, 10);
-      await db.updateUser(user.id, { password_hash: hashedPassword });
-
-      res.json({ message: 'Password changed successfully' });
-    } else {
-      // Fallback to MongoDB
-      const User = require('../models/User');
-      
-      const user = await User.findById(req.user.userId).select('+password');
-      
-      if (!user) {
-        return res.status(404).json({ message: 'User not found' });
-      }
+    const user = await users.findByEmail(req.user.email, { withPassword: true });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
-      const isMatch = await user.matchPassword(currentPassword);
-      if (!isMatch) {
-        return res.status(400).json({ message: 'Current password is incorrect' });
-      }
+    const isMatch = user.passwordHash && await bcrypt.compare(currentPassword, user.passwordHash);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
 
-      user.password = newPassword;
-      await user.save();
+    await users.update(user._id, { passwordHash: await bcrypt.hash(newPassword, 10) });
 
-      res.json({ message: 'Password changed successfully' });
-    }
+    res.json({ message: 'Password changed successfully' });
 
   } catch (error) {
-    console.error('Change password error:', error);
+    console.error('Error changing password:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Export middleware for use in other routes
 module.exports = router;
@@ -2,73 +2,65 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 
 const databaseService = require('../config/databaseService');
+const { refId, populateNoteAuthors } = require('../repositories');
+const caseActivityService = require('../services/caseActivityService');
+const workflowService = require('../services/workflowService');
+const slaService = require('../services/slaService');
+const searchService = require('../services/searchService');
+const duplicateService = require('../services/duplicateService');
+const domainIntelService = require('../services/domainIntelService');
+const evidenceCaptureService = require('../services/evidenceCaptureService');
+const takedownService = require('../services/takedownService');
+const takedownVerificationService = require('../services/takedownVerificationService');
+const notificationService = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
 const { auth, requirePermission } = require('../middleware/auth-supabase');
+const { isRecordId } = require('../middleware/validators');
 
 const router = express.Router();
 
+const OPEN_STATUSES = ['reported', 'under_review', 'in_progress'];
+const RESOLVED_STATUSES = ['resolved', 'closed'];
+
+// Cases are incidents; the client also reads `id` and `lastUpdated`
+const toCase = (incident) => ({
+  ...incident,
+  id: incident._id,
+  lastUpdated: incident.updatedAt
+});
+
+// Staff only see cases they reported or are assigned to
+const canViewCase = (user, incident) => (
+  user.role !== 'staff' || [refId(incident.reporter), refId(incident.assignedTo)].includes(String(user.id))
+);
+
+// Saved searches keep the list filters the Cases page can set, as strings
+const SAVED_SEARCH_FILTERS = ['status', 'incidentType', 'severity', 'priority', 'assignedTo', 'view', 'sortBy', 'sortOrder'];
+
+const toSavedFilters = (filters = {}) => SAVED_SEARCH_FILTERS.reduce((saved, key) => {
+  if (filters[key]) saved[key] = String(filters[key]);
+  return saved;
+}, {});
+
+const countOpenAndResolved = (cases) => ({
+  open: cases.filter(case_ => OPEN_STATUSES.includes(case_.status)).length,
+  resolved: cases.filter(case_ => RESOLVED_STATUSES.includes(case_.status)).length
+});
+
+const countBy = (cases, key) => Object.entries(cases.reduce((counts, case_) => {
+  counts[case_[key]] = (counts[case_[key]] || 0) + 1;
+  return counts;
+}, {}));
+
 // @route   GET /api/cases
 // @desc    Get all cases with advanced filtering and search
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const db = databaseService.getService();
-
-    if (databaseService.type === 'supabase') {
-      // Simple Supabase implementation - just return incidents as cases
-      const { data: incidents, error } = await db.client.from('incidents').select(`
-        *,
-        reporter:users!incidents_reporter_id_fkey(first_name, last_name, email, department, phone),
-        assigned_user:users!incidents_assigned_to_fkey(first_name, last_name, email, phone)
-      `).order('reported_at', { ascending: false });
-
-      if (error) throw error;
-
-      const cases = incidents.map(incident => ({
-        _id: incident.id,
-        title: incident.title,
-        description: incident.description,
-        reporter: {
-          _id: incident.reporter?.id,
-          firstName: incident.reporter?.first_name,
-          lastName: incident.reporter?.last_name,
-          email: incident.reporter?.email,
-          department: incident.reporter?.department,
-          phone: incident.reporter?.phone,
-        },
-        incidentType: incident.incident_type,
-        severity: incident.severity,
-        status: incident.status,
-        priority: incident.priority,
-        infringedContent: incident.infringed_content,
-        infringedUrls: incident.infringed_urls,
-        infringerInfo: incident.infringer_info,
-        assignedTo: incident.assigned_user ? {
-          _id: incident.assigned_user.id,
-          firstName: incident.assigned_user.first_name,
-          lastName: incident.assigned_user.last_name,
-          email: incident.assigned_user.email,
-          phone: incident.assigned_user.phone,
-        } : null,
-        assignedAt: incident.assigned_at,
-        dueDate: incident.due_date,
-        caseNumber: incident.case_number,
-        tags: incident.tags,
-        evidenceFiles: incident.evidence_files,
-        notes: incident.notes,
-        reportedAt: incident.reported_at,
-        resolvedAt: incident.resolved_at,
-        createdAt: incident.created_at,
-        updatedAt: incident.updated_at,
-      }));
-
-      res.json({ cases, pagination: { current: 1, pages: 1, total: cases.length, limit: 20 } });
-      return;
-    }
-
-    // MongoDB implementation (existing code)
+    const { incidents } = databaseService.getRepositories();
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
     const {
-      page = 1,
-      limit = 20,
       status,
       incidentType,
       severity,
@@ -78,93 +70,48 @@ router.get('/', auth, async (req, res) => {
       search,
       dateFrom,
       dateTo,
-      sortBy = 'reportedAt',
+      // Searches rank by relevance unless another order is asked for
+      sortBy = search ? 'relevance' : 'reportedAt',
       sortOrder = 'desc',
       view = 'all' // all, my, assigned, open, resolved
     } = req.query;
 
-    // Build filter object
-    const filter = {};
-    
-    if (status) filter.status = status;
-    if (incidentType) filter.incidentType = incidentType;
-    if (severity) filter.severity = severity;
-    if (priority) filter.priority = priority;
-    if (assignedTo) filter.assignedTo = assignedTo;
-    if (reporter) filter.reporter = reporter;
-    
-    // Date range filtering
-    if (dateFrom || dateTo) {
-      filter.reportedAt = {};
-      if (dateFrom) filter.reportedAt.$gte = new Date(dateFrom);
-      if (dateTo) filter.reportedAt.$lte = new Date(dateTo);
-    }
-    
-    // Search functionality
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { infringedContent: { $regex: search, $options: 'i' } },
-        { 'infringerInfo.name': { $regex: search, $options: 'i' } },
-        { 'infringerInfo.organization': { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
+    const filters = { status, incidentType, severity, priority, assignedTo, reporter, search, dateFrom, dateTo };
 
     // View-based filtering
     switch (view) {
       case 'my':
-        filter.reporter = req.user._id;
+        filters.reporter = req.user.id;
         break;
       case 'assigned':
-        filter.assignedTo = req.user._id;
+        filters.assignedTo = req.user.id;
         break;
       case 'open':
-        filter.status = { $in: ['reported', 'under_review', 'in_progress'] };
+        filters.status = OPEN_STATUSES;
         break;
       case 'resolved':
-        filter.status = { $in: ['resolved', 'closed'] };
+        filters.status = RESOLVED_STATUSES;
         break;
     }
 
     // Role-based filtering for staff
     if (req.user.role === 'staff' && view === 'all') {
-      filter.$or = [
-        { reporter: req.user._id },
-        { assignedTo: req.user._id }
-      ];
+      filters.involving = req.user.id;
     }
 
-    // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const cases = await Incident.find(filter)
-      .populate('reporter', 'firstName lastName email department')
-      .populate('assignedTo', 'firstName lastName email')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Incident.countDocuments(filter);
-
-    // Add case numbers
-    const casesWithNumbers = cases.map(case_ => ({
-      ...case_.toObject(),
-      caseNumber: case_.caseNumber
-    }));
+    const { items, total } = await incidents.list(filters, { page, limit, sortBy, sortOrder });
+    const terms = searchService.parseTerms(search);
 
     res.json({
-      cases: casesWithNumbers,
+      cases: items.map(incident => ({
+        ...toCase(incident),
+        highlights: searchService.highlights(incident, terms)
+      })),
       pagination: {
-        current: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
+        current: page,
+        pages: Math.ceil(total / limit),
         total,
-        limit: parseInt(limit)
+        limit
       }
     });
 
@@ -179,102 +126,27 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.get('/search-suggestions', auth, async (req, res) => {
   try {
-    const { q: query, limit = 10 } = req.query;
-    
+    const { q: query } = req.query;
+    const limit = parseInt(req.query.limit) || 10;
+
     if (!query || query.length < 2) {
       return res.json({ suggestions: [] });
     }
-    
-    const searchRegex = new RegExp(query, 'i');
-    
-    // Search in cases (incidents)
-    // Handle case number search (DSP-XXXXXXXX format)
-    let searchQuery = {
-      $or: [
-        { title: searchRegex },
-        { description: searchRegex },
-        { infringerInfo: { $regex: searchRegex } },
-        { tags: { $in: [searchRegex] } }
-      ]
-    };
-    
-    // If query looks like a case number (DSP-XXXXXXXX), search by _id
-    if (query.match(/^DSP-[A-F0-9]{8}$/i)) {
-      const caseIdSuffix = query.replace(/^DSP-/i, '').toLowerCase();
-      // Find all incidents and filter by case number
-      const allIncidents = await Incident.find({})
-        .select('_id title status incidentType severity priority')
-        .sort({ reportedAt: -1 });
-      
-      // Filter by case number
-      const matchingCases = allIncidents.filter(incident => {
-        const caseNumber = `DSP-${incident._id.toString().slice(-8).toUpperCase()}`;
-        return caseNumber.toLowerCase() === query.toLowerCase();
-      });
-      
-      // Format case suggestions
-      const caseSuggestions = matchingCases.map(caseItem => ({
-        type: 'case',
-        id: caseItem._id,
-        title: caseItem.title,
-        subtitle: `DSP-${caseItem._id.toString().slice(-8).toUpperCase()} • ${caseItem.status}`,
-        value: caseItem.title,
-        icon: 'file-text',
-        category: 'Cases'
-      }));
-      
-      // Search in users (for assigned to suggestions)
-      const users = await User.find({
-        $or: [
-          { firstName: searchRegex },
-          { lastName: searchRegex },
-          { email: searchRegex },
-          { jobTitle: searchRegex }
-        ],
-        isActive: true
-      })
-      .select('firstName lastName email jobTitle department')
-      .limit(5);
-      
-      // Format suggestions
-      const suggestions = [
-        ...caseSuggestions,
-        // User suggestions
-        ...users.map(user => ({
-          type: 'user',
-          id: user._id,
-          title: `${user.firstName} ${user.lastName}`,
-          subtitle: `${user.jobTitle || 'User'} • ${user.department}`,
-          value: `${user.firstName} ${user.lastName}`,
-          icon: 'user',
-          category: 'Users'
-        })),
-        // Common search terms
-        ...getCommonSearchTerms(query)
-      ];
-      
-      return res.json({ suggestions: suggestions.slice(0, parseInt(limit)) });
+
+    const { incidents, users } = databaseService.getRepositories();
+
+    // A query shaped like a case number (DSP-XXXXXXXX) looks up that case only
+    let cases;
+    if (/^DSP-[A-F0-9]{8}$/i.test(query)) {
+      const match = await incidents.findByCaseNumber(query);
+      cases = match ? [match] : [];
+    } else {
+      ({ items: cases } = await incidents.list({ search: query }, { limit, sortBy: 'relevance' }));
     }
-    
-    const cases = await Incident.find(searchQuery)
-    .select('caseNumber title status incidentType severity priority')
-    .limit(parseInt(limit))
-    .sort({ reportedAt: -1 });
-    
+
     // Search in users (for assigned to suggestions)
-    const users = await User.find({
-      $or: [
-        { firstName: searchRegex },
-        { lastName: searchRegex },
-        { email: searchRegex },
-        { jobTitle: searchRegex }
-      ],
-      isActive: true
-    })
-    .select('firstName lastName email jobTitle department')
-    .limit(5);
-    
-    // Format suggestions
+    const matchingUsers = await users.search(query, { limit: 5 });
+
     const suggestions = [
       // Case suggestions
       ...cases.map(caseItem => ({
@@ -286,9 +158,9 @@ router.get('/search-suggestions', auth, async (req, res) => {
         icon: 'file-text',
         category: 'Cases'
       })),
-      
+
       // User suggestions
-      ...users.map(user => ({
+      ...matchingUsers.map(user => ({
         type: 'user',
         id: user._id,
         title: `${user.firstName} ${user.lastName}`,
@@ -297,12 +169,12 @@ router.get('/search-suggestions', auth, async (req, res) => {
         icon: 'user',
         category: 'Users'
       })),
-      
+
       // Common search terms
       ...getCommonSearchTerms(query)
     ];
-    
-    res.json({ suggestions: suggestions.slice(0, parseInt(limit)) });
+
+    res.json({ suggestions: suggestions.slice(0, limit) });
   } catch (error) {
     console.error('Error fetching search suggestions:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -339,125 +211,366 @@ function getCommonSearchTerms(query) {
     }));
 }
 
+// @route   GET /api/cases/saved-searches
+// @desc    Get the current user's saved searches
+// @access  Private
+router.get('/saved-searches', auth, async (req, res) => {
+  try {
+    const { savedSearches } = databaseService.getRepositories();
+
+    res.json({ savedSearches: await savedSearches.listByUser(req.user.id) });
+
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/cases/saved-searches
+// @desc    Save the current search and filters under a name
+// @access  Private
+router.post('/saved-searches', auth, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('search').optional().isString().trim().isLength({ max: 500 }).withMessage('Search must be at most 500 characters'),
+  body('filters').optional().isObject().withMessage('Filters must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { savedSearches } = databaseService.getRepositories();
+    const existing = await savedSearches.listByUser(req.user.id);
+    if (existing.some(savedSearch => savedSearch.name === req.body.name)) {
+      return res.status(400).json({ message: 'A saved search with this name already exists' });
+    }
+
+    const savedSearch = await savedSearches.create({
+      userId: req.user.id,
+      name: req.body.name,
+      search: req.body.search || '',
+      filters: toSavedFilters(req.body.filters)
+    });
+
+    res.status(201).json({
+      message: 'Search saved successfully',
+      savedSearch
+    });
+
+  } catch (error) {
+    console.error('Error saving search:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   PUT /api/cases/saved-searches/:id
+// @desc    Rename or replace a saved search
+// @access  Private (owner)
+router.put('/saved-searches/:id', auth, [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('search').optional().isString().trim().isLength({ max: 500 }).withMessage('Search must be at most 500 characters'),
+  body('filters').optional().isObject().withMessage('Filters must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { savedSearches } = databaseService.getRepositories();
+
+    const savedSearch = await savedSearches.findById(req.params.id);
+    if (!savedSearch || savedSearch.userId !== String(req.user.id)) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    const { name = savedSearch.name, search = savedSearch.search } = req.body;
+    if (name !== savedSearch.name) {
+      const existing = await savedSearches.listByUser(req.user.id);
+      if (existing.some(other => other.name === name)) {
+        return res.status(400).json({ message: 'A saved search with this name already exists' });
+      }
+    }
+
+    const updated = await savedSearches.update(savedSearch._id, {
+      name,
+      search,
+      filters: req.body.filters ? toSavedFilters(req.body.filters) : savedSearch.filters
+    });
+
+    res.json({
+      message: 'Saved search updated successfully',
+      savedSearch: updated
+    });
+
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   DELETE /api/cases/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private (owner)
+router.delete('/saved-searches/:id', auth, async (req, res) => {
+  try {
+    const { savedSearches } = databaseService.getRepositories();
+
+    const savedSearch = await savedSearches.findById(req.params.id);
+    if (!savedSearch || savedSearch.userId !== String(req.user.id)) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    await savedSearches.delete(savedSearch._id);
+
+    res.json({ message: 'Saved search deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/cases/workflow/config
+// @desc    Get the case status workflow definition
+// @access  Private (admin)
+router.get('/workflow/config', auth, requirePermission('system_settings'), async (req, res) => {
+  try {
+    const workflow = await workflowService.getWorkflow();
+
+    res.json({
+      workflow,
+      statuses: workflowService.statuses,
+      resolutionOutcomes: workflowService.resolutionOutcomes
+    });
+
+  } catch (error) {
+    console.error('Error fetching workflow:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   PUT /api/cases/workflow/config
+// @desc    Replace the case status workflow definition
+// @access  Private (admin)
+router.put('/workflow/config', auth, requirePermission('system_settings'), [
+  body('workflow').isObject().withMessage('Workflow definition is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const problems = workflowService.validateDefinition(req.body.workflow);
+    if (problems.length > 0) {
+      return res.status(400).json({ message: 'Invalid workflow definition', errors: problems });
+    }
+
+    const workflow = await workflowService.saveWorkflow(req.body.workflow, req.user.id || req.user._id);
+
+    res.json({ message: 'Workflow updated successfully', workflow });
+
+  } catch (error) {
+    console.error('Error updating workflow:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/cases/sla/config
+// @desc    Get the SLA policies used to set case due dates
+// @access  Private (admin)
+router.get('/sla/config', auth, requirePermission('system_settings'), async (req, res) => {
+  try {
+    const config = await slaService.getConfig();
+    res.json({ config });
+
+  } catch (error) {
+    console.error('Error fetching SLA config:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   PUT /api/cases/sla/config
+// @desc    Replace the SLA policies
+// @access  Private (admin)
+router.put('/sla/config', auth, requirePermission('system_settings'), [
+  body('config').isObject().withMessage('SLA configuration is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const problems = slaService.validateConfig(req.body.config);
+    if (problems.length > 0) {
+      return res.status(400).json({ message: 'Invalid SLA configuration', errors: problems });
+    }
+
+    const config = await slaService.saveConfig(req.body.config, req.user.id || req.user._id);
+
+    res.json({ message: 'SLA configuration updated successfully', config });
+
+  } catch (error) {
+    console.error('Error updating SLA config:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/cases/sla/check
+// @desc    Run the SLA deadline check now instead of waiting for the scheduler
+// @access  Private (admin)
+router.post('/sla/check', auth, requirePermission('system_settings'), async (req, res) => {
+  try {
+    const summary = await slaService.checkDeadlines();
+
+    if (summary.skipped) {
+      return res.status(409).json({ message: 'An SLA check is already running' });
+    }
+
+    res.json({ message: 'SLA check completed', summary });
+
+  } catch (error) {
+    console.error('Error running SLA check:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/cases/takedown-checks/run
+// @desc    Recheck the infringing URLs of every case now instead of waiting for the scheduler
+// @access  Private (admin)
+router.post('/takedown-checks/run', auth, requirePermission('system_settings'), async (req, res) => {
+  try {
+    const summary = await takedownVerificationService.checkAll();
+
+    if (summary.skipped) {
+      return res.status(409).json({ message: 'A takedown check is already running' });
+    }
+
+    res.json({ message: 'Takedown check completed', summary });
+
+  } catch (error) {
+    console.error('Error running takedown check:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // @route   GET /api/cases/:id
 // @desc    Get case by ID with full details
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
-    const db = databaseService.getService();
-
-    if (databaseService.type === 'supabase') {
-      // Supabase implementation
-      const { data: incident, error } = await db.client
-        .from('incidents')
-        .select(`
-          *,
-          reporter:users!incidents_reporter_id_fkey(id, first_name, last_name, email, department, phone),
-          assigned_user:users!incidents_assigned_to_fkey(id, first_name, last_name, email, phone)
-        `)
-        .eq('id', req.params.id)
-        .single();
-
-      if (error || !incident) {
-        console.error('Error fetching case:', error);
-        return res.status(404).json({ message: 'Case not found' });
-      }
+    const { incidents, documents, users } = databaseService.getRepositories();
 
-      // Check permissions
-      if (req.user.role === 'staff' && 
-          incident.reporter_id !== req.user.id && 
-          incident.assigned_to !== req.user.id) {
-        return res.status(403).json({ message: 'Access denied' });
-      }
+    const incident = await incidents.findById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
 
-      // Format the response
-      const caseData = {
-        _id: incident.id,
-        id: incident.id,
-        title: incident.title,
-        description: incident.description,
-        reporter: incident.reporter ? {
-          _id: incident.reporter.id,
-          id: incident.reporter.id,
-          firstName: incident.reporter.first_name,
-          lastName: incident.reporter.last_name,
-          email: incident.reporter.email,
-          department: incident.reporter.department,
-          phone: incident.reporter.phone,
-        } : null,
-        incidentType: incident.incident_type,
-        incident_type: incident.incident_type,
-        severity: incident.severity,
-        status: incident.status,
-        priority: incident.priority,
-        infringedContent: incident.infringed_content,
-        infringed_content: incident.infringed_content,
-        infringedUrls: incident.infringed_urls || [],
-        infringerInfo: incident.infringer_info || {},
-        assignedTo: incident.assigned_user ? {
-          _id: incident.assigned_user.id,
-          id: incident.assigned_user.id,
-          firstName: incident.assigned_user.first_name,
-          lastName: incident.assigned_user.last_name,
-          email: incident.assigned_user.email,
-          phone: incident.assigned_user.phone,
-        } : null,
-        assignedAt: incident.assigned_at,
-        dueDate: incident.due_date,
-        caseNumber: incident.case_number,
-        tags: incident.tags || [],
-        evidence: incident.evidence_files || [],
-        evidenceFiles: incident.evidence_files || [],
-        notes: incident.notes || [],
-        reportedAt: incident.reported_at,
-        reported_at: incident.reported_at,
-        resolvedAt: incident.resolved_at,
-        lastUpdated: incident.updated_at,
-        createdAt: incident.created_at,
-        updatedAt: incident.updated_at,
-      };
+    // Check permissions
+    if (!canViewCase(req.user, incident)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-      res.json({
-        case: caseData,
-        documents: [] // TODO: Add documents support if needed
-      });
-      return;
+    const [notes, { items: caseDocuments }] = await Promise.all([
+      populateNoteAuthors(users, incident.notes),
+      documents.list({ incidentId: incident._id }, { sortBy: 'createdAt' })
+    ]);
+
+    res.json({
+      case: toCase({ ...incident, notes }),
+      documents: caseDocuments
+    });
+
+  } catch (error) {
+    console.error('Error fetching case:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/cases/:id/activity
+// @desc    Get the activity timeline for a case
+// @access  Private
+router.get('/:id/activity', auth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const types = (req.query.type || '')
+      .split(',')
+      .map(type => type.trim())
+      .filter(Boolean);
+
+    const invalidTypes = types.filter(type => !caseActivityService.activityTypes.includes(type));
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({ message: `Invalid activity type: ${invalidTypes.join(', ')}` });
     }
 
-    // MongoDB implementation
-    const case_ = await Incident.findById(req.params.id)
-      .populate('reporter', 'firstName lastName email department phone')
-      .populate('assignedTo', 'firstName lastName email phone')
-      .populate('notes.author', 'firstName lastName email')
-      .populate('evidence.uploadedBy', 'firstName lastName');
+    const { incidents } = databaseService.getRepositories();
+    const incident = await incidents.findById(req.params.id, { includeDeleted: true });
 
-    if (!case_) {
+    if (!incident) {
       return res.status(404).json({ message: 'Case not found' });
     }
 
     // Check permissions
-    if (req.user.role === 'staff' && 
-        case_.reporter._id.toString() !== req.user._id.toString() && 
-        case_.assignedTo?._id.toString() !== req.user._id.toString()) {
+    if (!canViewCase(req.user, incident)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Get related documents
-    const documents = await Document.find({ incidentId: req.params.id })
-      .populate('createdBy', 'firstName lastName')
-      .populate('reviewers.user', 'firstName lastName')
-      .sort({ createdAt: -1 });
+    const { activities, total } = await caseActivityService.list(req.params.id, { page, limit, types });
 
     res.json({
-      case: {
-        ...case_.toObject(),
-        caseNumber: case_.caseNumber
-      },
-      documents
+      activities,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
     });
 
   } catch (error) {
-    console.error('Error fetching case:', error);
+    console.error('Error fetching case activity:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/cases/:id/transitions
+// @desc    Get the status transitions available from the case's current status
+// @access  Private
+router.get('/:id/transitions', auth, async (req, res) => {
+  try {
+    const { incidents } = databaseService.getRepositories();
+
+    const incident = await incidents.findById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
+
+    // Check permissions
+    if (!canViewCase(req.user, incident)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const values = workflowService.toWorkflowValues(incident);
+    const transitions = await workflowService.getAvailableTransitions({
+      status: values.status,
+      incidentType: values.incidentType,
+      role: req.user.role,
+      values
+    });
+
+    res.json({
+      currentStatus: values.status,
+      incidentType: values.incidentType,
+      transitions,
+      resolutionOutcomes: workflowService.resolutionOutcomes
+    });
+
+  } catch (error) {
+    console.error('Error fetching case transitions:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -466,7 +579,7 @@ router.get('/:id', auth, async (req, res) => {
 // @desc    Assign case to user
 // @access  Private (manager and above)
 router.put('/:id/assign', auth, requirePermission('assign_cases'), [
-  body('assignedTo').isMongoId().withMessage('Invalid user ID'),
+  isRecordId(body('assignedTo')).withMessage('Invalid user ID'),
   body('priority').optional().isIn(['low', 'normal', 'high', 'urgent']).withMessage('Invalid priority')
 ], async (req, res) => {
   try {
@@ -475,37 +588,47 @@ router.put('/:id/assign', auth, requirePermission('assign_cases'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const case_ = await Incident.findById(req.params.id);
-    if (!case_) {
+    const { incidents, users } = databaseService.getRepositories();
+
+    const incident = await incidents.findById(req.params.id);
+    if (!incident) {
       return res.status(404).json({ message: 'Case not found' });
     }
 
     // Verify assigned user exists
-    const assignedUser = await User.findById(req.body.assignedTo);
-    if (!assignedUser) {
+    const assignedUser = await users.findById(req.body.assignedTo);
+    if (!assignedUser || !assignedUser.isActive) {
       return res.status(400).json({ message: 'Assigned user not found' });
     }
 
-    case_.assignedTo = req.body.assignedTo;
-    if (req.body.priority) {
-      case_.priority = req.body.priority;
-    }
+    const priority = req.body.priority || incident.priority;
+    const updated = await incidents.update(incident._id, {
+      assignedTo: assignedUser._id,
+      assignedAt: new Date(),
+      priority
+    });
 
-    await case_.save();
-    await case_.populate('assignedTo', 'firstName lastName email');
+    const assigneeName = `${assignedUser.firstName} ${assignedUser.lastName}`;
+    await caseActivityService.log({
+      incidentId: incident._id,
+      userId: req.user.id,
+      type: 'assigned',
+      description: `Case assigned to ${assigneeName}${req.body.priority ? ` with ${req.body.priority} priority` : ''}`,
+      oldValues: { assignedTo: refId(incident.assignedTo), priority: incident.priority },
+      newValues: { assignedTo: assignedUser._id, priority },
+      metadata: { assigneeName, assigneeEmail: assignedUser.email }
+    });
 
-    // Add note about assignment
-    await case_.addNote(
-      `Case assigned to ${assignedUser.fullName}${req.body.priority ? ` with ${req.body.priority} priority` : ''}`,
-      req.user._id
-    );
+    await notificationService.notifyAssignment({
+      incidentId: incident._id,
+      caseLabel: `${updated.caseNumber} ${updated.title}`,
+      assigneeId: assignedUser._id,
+      actorId: req.user.id
+    });
 
     res.json({
       message: 'Case assigned successfully',
-      case: {
-        ...case_.toObject(),
-        caseNumber: case_.caseNumber
-      }
+      case: toCase(updated)
     });
 
   } catch (error) {
@@ -518,8 +641,10 @@ router.put('/:id/assign', auth, requirePermission('assign_cases'), [
 // @desc    Update case status
 // @access  Private
 router.put('/:id/status', auth, requirePermission('edit_incidents'), [
-  body('status').isIn(['reported', 'under_review', 'in_progress', 'resolved', 'closed', 'escalated']).withMessage('Invalid status'),
-  body('notes').optional().trim()
+  body('status').isIn(workflowService.statuses).withMessage('Invalid status'),
+  body('notes').optional().trim(),
+  body('resolution.outcome').optional().isIn(workflowService.resolutionOutcomes).withMessage('Invalid resolution outcome'),
+  body('resolution.notes').optional().trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -527,335 +652,434 @@ router.put('/:id/status', auth, requirePermission('edit_incidents'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const db = databaseService.getService();
+    const { incidents } = databaseService.getRepositories();
+    const { status, resolution } = req.body;
 
-    if (databaseService.type === 'supabase') {
-      // Supabase implementation
-      const { data: incident, error: fetchError } = await db.client
-        .from('incidents')
-        .select('*, reporter:users!incidents_reporter_id_fkey(first_name, last_name, email)')
-        .eq('id', req.params.id)
-        .single();
+    const incident = await incidents.findById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
 
-      if (fetchError || !incident) {
-        return res.status(404).json({ message: 'Case not found' });
-      }
+    const oldStatus = incident.status;
+    const transition = await workflowService.validateTransition({
+      from: oldStatus,
+      to: status,
+      incidentType: incident.incidentType,
+      role: req.user.role,
+      values: workflowService.toWorkflowValues(incident, { resolution })
+    });
 
-      const oldStatus = incident.status;
-      const updateData = {
-        status: req.body.status,
-        updated_at: new Date().toISOString()
-      };
+    if (!transition.valid) {
+      return res.status(transition.statusCode).json({
+        message: transition.message,
+        missingFields: transition.missingFields,
+        required: transition.required
+      });
+    }
 
-      // If resolving, set resolved_at timestamp
-      if (req.body.status === 'resolved' && oldStatus !== 'resolved') {
-        updateData.resolved_at = new Date().toISOString();
-      }
+    const updates = { status };
+    if (resolution) {
+      updates.resolution = { ...incident.resolution, ...resolution };
+    }
 
-      // Update the incident
-      const { data: updatedIncident, error: updateError } = await db.client
-        .from('incidents')
-        .update(updateData)
-        .eq('id', req.params.id)
-        .select('*, reporter:users!incidents_reporter_id_fkey(first_name, last_name, email), assigned_user:users!incidents_assigned_to_fkey(first_name, last_name, email)')
-        .single();
-
-      if (updateError) {
-        console.error('Error updating status:', updateError);
-        return res.status(500).json({ message: 'Failed to update status' });
-      }
+    // Record when the case was first resolved or closed
+    if (RESOLVED_STATUSES.includes(status) && !RESOLVED_STATUSES.includes(oldStatus)) {
+      updates.resolvedAt = new Date();
+    }
 
-      // Add note about status change
-      const notes = incident.notes || [];
-      const newNote = {
-        content: req.body.notes 
-          ? `Status changed from ${oldStatus} to ${req.body.status}. ${req.body.notes}`
-          : `Status changed from ${oldStatus} to ${req.body.status}`,
-        author: {
-          id: req.user.id,
-          firstName: req.user.firstName || req.user.first_name,
-          lastName: req.user.lastName || req.user.last_name,
-          email: req.user.email
-        },
-        createdAt: new Date().toISOString()
-      };
-      notes.push(newNote);
-
-      await db.client
-        .from('incidents')
-        .update({ notes })
-        .eq('id', req.params.id);
-
-      res.json({
-        message: 'Status updated successfully',
-        case: {
-          ...updatedIncident,
-          _id: updatedIncident.id,
-          caseNumber: updatedIncident.case_number
-        }
-      });
-      return;
+    const updated = await incidents.update(incident._id, updates);
+
+    await caseActivityService.logStatusChange({
+      incidentId: incident._id,
+      userId: req.user.id,
+      oldStatus,
+      newStatus: status,
+      notes: req.body.notes
+    });
+
+    await notificationService.notifyStatusChange({
+      incidentId: incident._id,
+      caseLabel: `${updated.caseNumber} ${updated.title}`,
+      recipientIds: [refId(incident.reporter), refId(incident.assignedTo)],
+      actorId: req.user.id,
+      oldStatus,
+      newStatus: status
+    });
+
+    realtimeService.publishCaseStatus({
+      id: updated._id,
+      caseNumber: updated.caseNumber,
+      title: updated.title,
+      oldStatus,
+      newStatus: status,
+      reporterId: refId(updated.reporter),
+      assignedTo: refId(updated.assignedTo),
+      changedBy: req.user.id
+    });
+
+    res.json({
+      message: 'Status updated successfully',
+      case: toCase(updated)
+    });
+
+  } catch (error) {
+    console.error('Error updating status:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/cases/:id/duplicates
+// @desc    Get cases and alerts that may duplicate this case
+// @access  Private
+router.get('/:id/duplicates', auth, async (req, res) => {
+  try {
+    const { incidents } = databaseService.getRepositories();
+
+    const incident = await incidents.findById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
+    if (!canViewCase(req.user, incident)) {
+      return res.status(403).json({ message: 'Access denied' });
     }
 
-    // MongoDB implementation
-    const case_ = await Incident.findById(req.params.id);
-    if (!case_) {
+    const duplicates = await duplicateService.findDuplicates({
+      infringedUrls: incident.infringedUrls,
+      infringerInfo: incident.infringerInfo,
+      excludeId: incident._id
+    });
+
+    res.json({ duplicates });
+
+  } catch (error) {
+    console.error('Error finding duplicate cases:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/cases/:id/domain-intel
+// @desc    Get registrar and hosting details for the case's domains and the takedown recipient they suggest
+// @access  Private
+router.get('/:id/domain-intel', auth, async (req, res) => {
+  try {
+    const { incidents } = databaseService.getRepositories();
+
+    const incident = await incidents.findById(req.params.id);
+    if (!incident) {
       return res.status(404).json({ message: 'Case not found' });
     }
+    if (!canViewCase(req.user, incident)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-    const oldStatus = case_.status;
-    await case_.updateStatus(req.body.status, req.user._id);
+    res.json({
+      domainIntel: incident.domainIntel,
+      recipient: takedownService.resolveRecipient(incident)
+    });
 
-    // Add note about status change
-    if (req.body.notes) {
-      await case_.addNote(
-        `Status changed from ${oldStatus} to ${req.body.status}. ${req.body.notes}`,
-        req.user._id
-      );
-    } else {
-      await case_.addNote(
-        `Status changed from ${oldStatus} to ${req.body.status}`,
-        req.user._id
-      );
+  } catch (error) {
+    console.error('Error fetching domain intelligence:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/cases/:id/domain-intel
+// @desc    Look up the case's domains again, bypassing cached results
+// @access  Private
+router.post('/:id/domain-intel', auth, requirePermission('edit_incidents'), async (req, res) => {
+  try {
+    const { incidents } = databaseService.getRepositories();
+
+    const existing = await incidents.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Case not found' });
     }
 
-    await case_.populate('reporter', 'firstName lastName email');
-    await case_.populate('assignedTo', 'firstName lastName email');
+    const incident = await domainIntelService.enrichIncident(existing._id, { refresh: true });
+    if (!incident) {
+      return res.status(502).json({ message: 'Domain lookup failed' });
+    }
 
     res.json({
-      message: 'Status updated successfully',
-      case: {
-        ...case_.toObject(),
-        caseNumber: case_.caseNumber
-      }
+      message: 'Domain intelligence updated',
+      domainIntel: incident.domainIntel,
+      recipient: takedownService.resolveRecipient(incident)
     });
 
   } catch (error) {
-    console.error('Error updating status:', error);
+    console.error('Error refreshing domain intelligence:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// @route   GET /api/cases/stats/dashboard
-// @desc    Get dashboard statistics
+// @route   POST /api/cases/:id/capture
+// @desc    Archive the case's infringing pages as evidence: those not captured yet, or the
+//          given `urls` again
 // @access  Private
-router.get('/stats/dashboard', auth, async (req, res) => {
+router.post('/:id/capture', auth, requirePermission('edit_incidents'), [
+  body('urls').optional().isArray({ min: 1 }).withMessage('URLs must be a non-empty array')
+], async (req, res) => {
   try {
-    const databaseService = require('../config/databaseService');
-    const db = databaseService.getService();
-
-    if (databaseService.type === 'supabase') {
-      // Supabase implementation
-      const userId = req.user.id;
-      const userRole = req.user.role;
-
-      // Get all incidents for the user (role-based filtering)
-      let incidentsQuery = db.client.from('incidents').select('*');
-      
-      if (userRole === 'staff') {
-        incidentsQuery = incidentsQuery.or(`reporter_id.eq.${userId},assigned_to.eq.${userId}`);
-      }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-      const { data: incidents, error } = await incidentsQuery;
-      
-      if (error) throw error;
-
-      // Calculate statistics
-      const total = incidents.length;
-      const open = incidents.filter(i => ['reported', 'under_review', 'in_progress'].includes(i.status)).length;
-      const resolved = incidents.filter(i => ['resolved', 'closed'].includes(i.status)).length;
-      const critical = incidents.filter(i => i.severity === 'critical').length;
-      const high = incidents.filter(i => i.severity === 'high').length;
-      const urgent = incidents.filter(i => i.priority === 'urgent').length;
-
-      // Status breakdown
-      const statusBreakdown = incidents.reduce((acc, incident) => {
-        const status = incident.status;
-        acc[status] = (acc[status] || 0) + 1;
-        return acc;
-      }, {});
-
-      // Type breakdown
-      const typeBreakdown = incidents.reduce((acc, incident) => {
-        const type = incident.incident_type;
-        acc[type] = (acc[type] || 0) + 1;
-        return acc;
-      }, {});
-
-      // Monthly trends (last 6 months)
-      const monthlyTrends = [];
-      for (let i = 5; i >= 0; i--) {
-        const date = new Date();
-        date.setMonth(date.getMonth() - i);
-        const month = date.toISOString().substring(0, 7);
-        
-        const monthIncidents = incidents.filter(incident => 
-          incident.reported_at && incident.reported_at.startsWith(month)
-        );
-        
-        monthlyTrends.push({
-          month: month,
-          count: monthIncidents.length
-        });
-      }
+    const { incidents } = databaseService.getRepositories();
 
-      res.json({
-        overview: { total, open, resolved, critical, high, urgent },
-        statusBreakdown: Object.entries(statusBreakdown).map(([status, count]) => ({
-          status,
-          count
-        })),
-        typeBreakdown: Object.entries(typeBreakdown).map(([type, count]) => ({
-          type,
-          count
-        })),
-        monthlyTrends
-      });
+    const existing = await incidents.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
 
-    } else {
-      // MongoDB implementation (existing code)
-      const userId = req.user._id;
-      const userRole = req.user.role;
+    const { urls } = req.body;
+    const known = existing.infringedUrls.map(entry => entry.url);
+    if (urls && urls.some(url => !known.includes(url))) {
+      return res.status(400).json({ message: 'Only the case\'s infringing URLs can be captured' });
+    }
 
-    // Base aggregation pipeline
-    let matchStage = {};
-    
-    // Role-based filtering
-    if (userRole === 'staff') {
-      matchStage = {
-        $or: [
-          { reporter: userId },
-          { assignedTo: userId }
-        ]
-      };
+    const captured = await evidenceCaptureService.captureIncident(existing._id, { urls, userId: req.user.id });
+    if (!captured) {
+      return res.status(502).json({ message: 'Evidence capture failed' });
     }
 
-    // Overall statistics
-    const overallStats = await Incident.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          open: { $sum: { $cond: [{ $in: ['$status', ['reported', 'under_review', 'in_progress']] }, 1, 0] } },
-          resolved: { $sum: { $cond: [{ $in: ['$status', ['resolved', 'closed']] }, 1, 0] } },
-          critical: { $sum: { $cond: [{ $eq: ['$severity', 'critical'] }, 1, 0] } },
-          high: { $sum: { $cond: [{ $eq: ['$severity', 'high'] }, 1, 0] } },
-          urgent: { $sum: { $cond: [{ $eq: ['$priority', 'urgent'] }, 1, 0] } }
-        }
-      }
-    ]);
+    const failed = captured.results.filter(result => result.error).length;
+    res.json({
+      message: captured.results.length === 0
+        ? 'Every infringing URL has already been captured'
+        : `Captured ${captured.results.length - failed} of ${captured.results.length} URL(s)`,
+      results: captured.results,
+      case: toCase(captured.incident)
+    });
 
-    // Status breakdown
-    const statusStats = await Incident.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
+  } catch (error) {
+    console.error('Error capturing case evidence:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    // Type breakdown
-    const typeStats = await Incident.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: '$incidentType',
-          count: { $sum: 1 }
-        }
-      }
+// @route   GET /api/cases/:id/takedown-checks
+// @desc    Get the takedown state of the case's URLs and their recheck history
+// @access  Private
+router.get('/:id/takedown-checks', auth, async (req, res) => {
+  try {
+    const { incidents, takedownChecks } = databaseService.getRepositories();
+
+    const incident = await incidents.findById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
+    if (!canViewCase(req.user, incident)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({
+      urls: incident.infringedUrls,
+      takedownCheck: incident.takedownCheck,
+      checks: await takedownChecks.listByIncident(incident._id, { url: req.query.url, limit: 100 })
+    });
+
+  } catch (error) {
+    console.error('Error fetching takedown checks:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/cases/:id/takedown-checks
+// @desc    Recheck whether the case's infringing content is still online
+// @access  Private
+router.post('/:id/takedown-checks', auth, requirePermission('edit_incidents'), async (req, res) => {
+  try {
+    const checked = await takedownVerificationService.checkIncident(req.params.id);
+    if (!checked) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
+
+    const gone = checked.results.filter(result => takedownVerificationService.goneStates.includes(result.state)).length;
+    res.json({
+      message: `${gone} of ${checked.results.length} URL(s) down`,
+      results: checked.results,
+      suggested: checked.suggested,
+      reopened: checked.reopened,
+      case: toCase(checked.incident)
+    });
+
+  } catch (error) {
+    console.error('Error checking takedown:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/cases/:id/merge
+// @desc    Merge a duplicate case into this one
+// @access  Private
+router.post('/:id/merge', auth, requirePermission('edit_incidents'), [
+  isRecordId(body('sourceId')).withMessage('Invalid case ID'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { incidents } = databaseService.getRepositories();
+
+    const [target, source] = await Promise.all([
+      incidents.findById(req.params.id),
+      incidents.findById(req.body.sourceId)
     ]);
+    if (!target || !source) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
+    if (!canViewCase(req.user, target) || !canViewCase(req.user, source)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    if (target._id === source._id) {
+      return res.status(400).json({ message: 'A case cannot be merged into itself' });
+    }
+    if (source.mergedInto || target.mergedInto) {
+      return res.status(400).json({ message: 'Merged cases cannot be merged again' });
+    }
 
-    // Monthly trends (last 12 months)
-    const monthlyStats = await Incident.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: {
-            year: { $year: '$reportedAt' },
-            month: { $month: '$reportedAt' }
-          },
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { '_id.year': -1, '_id.month': -1 } },
-      { $limit: 12 }
+    const { fields, addedUrls, addedEvidence } = duplicateService.mergeFields(target, source);
+    const mergeNote = {
+      content: `Merged ${source.caseNumber} (${source.title}) into this case${req.body.notes ? `: ${req.body.notes}` : ''}`,
+      author: req.user.id,
+      createdAt: new Date().toISOString()
+    };
+
+    const merged = await incidents.update(target._id, { ...fields, notes: [...fields.notes, mergeNote] });
+
+    // The source case is closed rather than deleted so its history stays reachable
+    const oldStatus = source.status;
+    const closed = await incidents.update(source._id, {
+      status: 'closed',
+      mergedInto: target._id,
+      resolvedAt: source.resolvedAt || new Date(),
+      resolution: { ...source.resolution, outcome: 'no_action_taken', notes: `Merged into ${target.caseNumber}` }
+    });
+
+    const metadata = {
+      targetId: target._id,
+      targetCaseNumber: target.caseNumber,
+      sourceId: source._id,
+      sourceCaseNumber: source.caseNumber,
+      addedUrls: addedUrls.map(entry => entry.url),
+      addedEvidence: addedEvidence.length,
+      addedNotes: source.notes.length
+    };
+
+    await Promise.all([
+      caseActivityService.log({
+        incidentId: target._id,
+        userId: req.user.id,
+        type: 'merged',
+        description: `Merged ${source.caseNumber} into this case`,
+        metadata
+      }),
+      caseActivityService.log({
+        incidentId: source._id,
+        userId: req.user.id,
+        type: 'merged',
+        description: `Merged into ${target.caseNumber}`,
+        oldValues: { status: oldStatus, mergedInto: null },
+        newValues: { status: 'closed', mergedInto: target._id },
+        metadata
+      })
     ]);
 
-    // Response time statistics
-    const responseTimeStats = await Incident.aggregate([
-      { 
-        $match: { 
-          ...matchStage,
-          resolvedAt: { $exists: true }
-        } 
-      },
-      {
-        $project: {
-          responseTime: {
-            $divide: [
-              { $subtract: ['$resolvedAt', '$reportedAt'] },
-              1000 * 60 * 60 * 24 // Convert to days
-            ]
-          }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          avgResponseTime: { $avg: '$responseTime' },
-          minResponseTime: { $min: '$responseTime' },
-          maxResponseTime: { $max: '$responseTime' }
-        }
+    realtimeService.publishCaseStatus({
+      id: closed._id,
+      caseNumber: closed.caseNumber,
+      title: closed.title,
+      oldStatus,
+      newStatus: 'closed',
+      reporterId: refId(closed.reporter),
+      assignedTo: refId(closed.assignedTo),
+      changedBy: req.user.id
+    });
+
+    res.json({
+      message: `${source.caseNumber} merged into ${target.caseNumber}`,
+      case: toCase(merged),
+      mergedCase: toCase(closed)
+    });
+
+  } catch (error) {
+    console.error('Error merging cases:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/cases/stats/dashboard
+// @desc    Get dashboard statistics
+// @access  Private
+router.get('/stats/dashboard', auth, async (req, res) => {
+  try {
+    const { incidents } = databaseService.getRepositories();
+    const userId = String(req.user.id);
+
+    // Role-based filtering
+    const filters = req.user.role === 'staff' ? { involving: userId } : {};
+    const { items: cases } = await incidents.list(filters);
+
+    const overview = {
+      total: cases.length,
+      ...countOpenAndResolved(cases),
+      critical: cases.filter(case_ => case_.severity === 'critical').length,
+      high: cases.filter(case_ => case_.severity === 'high').length,
+      urgent: cases.filter(case_ => case_.priority === 'urgent').length
+    };
+
+    // Monthly trends (last 6 months)
+    const monthlyTrends = [];
+    for (let i = 5; i >= 0; i--) {
+      const date = new Date();
+      date.setDate(1);
+      date.setMonth(date.getMonth() - i);
+      const month = date.toISOString().substring(0, 7);
+
+      monthlyTrends.push({
+        month,
+        count: cases.filter(case_ => case_.reportedAt && case_.reportedAt.startsWith(month)).length
+      });
+    }
+
+    // Days from report to resolution
+    const responseTimes = cases
+      .filter(case_ => case_.resolvedAt && case_.reportedAt)
+      .map(case_ => (new Date(case_.resolvedAt) - new Date(case_.reportedAt)) / (1000 * 60 * 60 * 24));
+
+    const responseTime = responseTimes.length > 0
+      ? {
+        avgResponseTime: responseTimes.reduce((sum, days) => sum + days, 0) / responseTimes.length,
+        minResponseTime: Math.min(...responseTimes),
+        maxResponseTime: Math.max(...responseTimes)
       }
-    ]);
+      : { avgResponseTime: 0, minResponseTime: 0, maxResponseTime: 0 };
 
     // User-specific stats (if not admin)
     let userStats = null;
-    if (userRole !== 'admin') {
-      userStats = await Incident.aggregate([
-        { $match: { reporter: userId } },
-        {
-          $group: {
-            _id: null,
-            reported: { $sum: 1 },
-            open: { $sum: { $cond: [{ $in: ['$status', ['reported', 'under_review', 'in_progress']] }, 1, 0] } },
-            resolved: { $sum: { $cond: [{ $in: ['$status', ['resolved', 'closed']] }, 1, 0] } }
-          }
-        }
-      ]);
-
-      const assignedStats = await Incident.aggregate([
-        { $match: { assignedTo: userId } },
-        {
-          $group: {
-            _id: null,
-            assigned: { $sum: 1 },
-            open: { $sum: { $cond: [{ $in: ['$status', ['reported', 'under_review', 'in_progress']] }, 1, 0] } },
-            resolved: { $sum: { $cond: [{ $in: ['$status', ['resolved', 'closed']] }, 1, 0] } }
-          }
-        }
-      ]);
+    if (req.user.role !== 'admin') {
+      const reported = cases.filter(case_ => refId(case_.reporter) === userId);
+      const assigned = cases.filter(case_ => refId(case_.assignedTo) === userId);
 
       userStats = {
-        reported: userStats[0] || { reported: 0, open: 0, resolved: 0 },
-        assigned: assignedStats[0] || { assigned: 0, open: 0, resolved: 0 }
+        reported: { reported: reported.length, ...countOpenAndResolved(reported) },
+        assigned: { assigned: assigned.length, ...countOpenAndResolved(assigned) }
       };
     }
 
     res.json({
-      overview: overallStats[0] || { total: 0, open: 0, resolved: 0, critical: 0, high: 0, urgent: 0 },
-      statusBreakdown: statusStats,
-      typeBreakdown: typeStats,
-      monthlyTrends: monthlyStats,
-      responseTime: responseTimeStats[0] || { avgResponseTime: 0, minResponseTime: 0, maxResponseTime: 0 },
+      overview,
+      statusBreakdown: countBy(cases, 'status').map(([status, count]) => ({ status, count })),
+      typeBreakdown: countBy(cases, 'incidentType').map(([type, count]) => ({ type, count })),
+      monthlyTrends,
+      responseTime,
       userStats
     });
 
-    } // End of MongoDB else block
-
   } catch (error) {
     console.error('Error fetching dashboard stats:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -873,28 +1097,19 @@ router.get('/search/suggestions', auth, async (req, res) => {
       return res.json({ suggestions: [] });
     }
 
-    const suggestions = await Incident.aggregate([
-      {
-        $match: {
-          $or: [
-            { title: { $regex: q, $options: 'i' } },
-            { 'infringerInfo.name': { $regex: q, $options: 'i' } },
-            { 'infringerInfo.organization': { $regex: q, $options: 'i' } },
-            { tags: { $in: [new RegExp(q, 'i')] } }
-          ]
-        }
-      },
-      {
-        $project: {
-          title: 1,
-          'infringerInfo.name': 1,
-          'infringerInfo.organization': 1,
-          tags: 1,
-          status: 1
-        }
+    const { incidents } = databaseService.getRepositories();
+    const { items } = await incidents.list({ search: q }, { limit: 10, sortBy: 'relevance' });
+
+    const suggestions = items.map(incident => ({
+      _id: incident._id,
+      title: incident.title,
+      infringerInfo: {
+        name: incident.infringerInfo.name,
+        organization: incident.infringerInfo.organization
       },
-      { $limit: 10 }
-    ]);
+      tags: incident.tags,
+      status: incident.status
+    }));
 
     res.json({ suggestions });
 
@@ -2,27 +2,23 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs').promises;
 
-const Document = require('../models/Document');
-const Template = require('../models/Template');
-const Incident = require('../models/Incident');
-const { auth, requirePermission } = require('../middleware/auth');
+const databaseService = require('../config/databaseService');
+const { refId } = require('../repositories');
+const caseActivityService = require('../services/caseActivityService');
+const notificationService = require('../services/notificationService');
+const takedownService = require('../services/takedownService');
+const counterNoticeService = require('../services/counterNoticeService');
+const templateService = require('../services/templateService');
+const storageService = require('../services/storageService');
+const { auth, requirePermission } = require('../middleware/auth-supabase');
+const { isRecordId } = require('../middleware/validators');
 
 const router = express.Router();
 
-// Configure multer for document uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads/documents');
-    await fs.mkdir(uploadDir, { recursive: true });
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Uploads are buffered in memory and handed to the storage service, since local disk
+// does not persist on serverless hosts
+const storage = multer.memoryStorage();
 
 const upload = multer({
   storage,
@@ -42,6 +38,29 @@ const upload = multer({
   }
 });
 
+// Staff only see documents they created or were asked to review
+const canViewDocument = (user, document) => {
+  if (user.role !== 'staff') return true;
+
+  const userId = String(user.id);
+  return refId(document.createdBy) === userId ||
+    document.reviewers.some(reviewer => refId(reviewer.user) === userId);
+};
+
+// Apply updates to a document; content edits bump its version
+const saveDocument = (document, updates) => {
+  const fields = { ...updates };
+  if (updates.content !== undefined && updates.content !== document.content) {
+    fields.version = document.version + 1;
+  }
+  return databaseService.getRepositories().documents.update(document._id, fields);
+};
+
+// Persist an incident's legal actions after adding or updating one
+const saveLegalActions = (incident) => (
+  databaseService.getRepositories().incidents.update(incident._id, { legalActions: incident.legalActions })
+);
+
 // @route   GET /api/documents
 // @desc    Get all documents with filtering
 // @access  Private
@@ -59,51 +78,24 @@ router.get('/', auth, async (req, res) => {
       sortOrder = 'desc'
     } = req.query;
 
-    // Build filter object
-    const filter = {};
-    
-    if (incidentId) filter.incidentId = incidentId;
-    if (type) filter.type = type;
-    if (status) filter.status = status;
-    if (createdBy) filter.createdBy = createdBy;
-    
-    // Search functionality
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
-        { 'recipient.name': { $regex: search, $options: 'i' } },
-        { 'recipient.organization': { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    // Role-based filtering
-    if (req.user.role === 'staff') {
-      filter.$or = [
-        { createdBy: req.user._id },
-        { 'reviewers.user': req.user._id }
-      ];
-    }
-
-    // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const documents = await Document.find(filter)
-      .populate('incidentId', 'title caseNumber')
-      .populate('createdBy', 'firstName lastName email')
-      .populate('reviewers.user', 'firstName lastName')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Document.countDocuments(filter);
+    const { documents } = databaseService.getRepositories();
+    const { items, total } = await documents.list({
+      incidentId,
+      type,
+      status,
+      createdBy,
+      search,
+      // Role-based filtering
+      visibleTo: req.user.role === 'staff' ? req.user.id : undefined
+    }, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sortBy,
+      sortOrder
+    });
 
     res.json({
-      documents,
+      documents: items,
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / parseInt(limit)),
@@ -118,25 +110,67 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/documents/counter-notices
+// @desc    Get the counter-notices still waiting on their restoration window, soonest first
+// @access  Private
+router.get('/counter-notices', auth, requirePermission('send_legal_actions'), async (req, res) => {
+  try {
+    const pending = await counterNoticeService.listPending();
+
+    res.json({
+      counterNotices: pending
+        .sort((a, b) => new Date(a.legalAction.counterNotice.restoreAfter) - new Date(b.legalAction.counterNotice.restoreAfter))
+        .map(({ incident, legalAction, businessDaysLeft }) => ({
+          incidentId: incident._id,
+          caseNumber: incident.caseNumber,
+          title: incident.title,
+          status: incident.status,
+          documentId: legalAction.documentId,
+          businessDaysLeft,
+          counterNotice: legalAction.counterNotice
+        }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching counter-notices:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/documents/counter-notices/reminders
+// @desc    Send counter-notice deadline reminders now instead of waiting for the scheduler
+// @access  Private (admin)
+router.post('/counter-notices/reminders', auth, requirePermission('system_settings'), async (req, res) => {
+  try {
+    const summary = await counterNoticeService.sendReminders();
+
+    if (summary.skipped) {
+      return res.status(409).json({ message: 'A counter-notice check is already running' });
+    }
+
+    res.json({ message: 'Counter-notice check completed', summary });
+
+  } catch (error) {
+    console.error('Error checking counter-notices:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // @route   GET /api/documents/:id
 // @desc    Get document by ID
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
-    const document = await Document.findById(req.params.id)
-      .populate('incidentId', 'title caseNumber')
-      .populate('createdBy', 'firstName lastName email')
-      .populate('reviewers.user', 'firstName lastName')
-      .populate('notes.author', 'firstName lastName');
+    const { documents } = databaseService.getRepositories();
+
+    const document = await documents.findById(req.params.id);
 
     if (!document) {
       return res.status(404).json({ message: 'Document not found' });
     }
 
     // Check permissions
-    if (req.user.role === 'staff' && 
-        document.createdBy._id.toString() !== req.user._id.toString() &&
-        !document.reviewers.some(r => r.user._id.toString() === req.user._id.toString())) {
+    if (!canViewDocument(req.user, document)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -154,7 +188,7 @@ router.get('/:id', auth, async (req, res) => {
 router.post('/', auth, requirePermission('create_documents'), [
   body('title').trim().isLength({ min: 5 }).withMessage('Title must be at least 5 characters'),
   body('type').isIn(['cease_desist', 'dmca_takedown', 'abuse_report', 'legal_notice', 'other']).withMessage('Invalid document type'),
-  body('incidentId').isMongoId().withMessage('Invalid incident ID'),
+  isRecordId(body('incidentId')).withMessage('Invalid incident ID'),
   body('content').trim().isLength({ min: 10 }).withMessage('Content must be at least 10 characters')
 ], async (req, res) => {
   try {
@@ -174,30 +208,28 @@ router.post('/', auth, requirePermission('create_documents'), [
       tags = []
     } = req.body;
 
+    const { documents, incidents } = databaseService.getRepositories();
+
     // Verify incident exists
-    const incident = await Incident.findById(incidentId);
+    const incident = await incidents.findById(incidentId);
     if (!incident) {
       return res.status(404).json({ message: 'Incident not found' });
     }
 
     // Create document
-    const document = new Document({
+    const document = await documents.create({
       title,
       type,
       incidentId,
       content,
       templateId,
-      createdBy: req.user._id,
+      createdBy: req.user.id,
       recipient: JSON.parse(recipient || '{}'),
       deliveryMethod,
       tags: JSON.parse(tags || '[]'),
       status: 'draft'
     });
 
-    await document.save();
-    await document.populate('incidentId', 'title caseNumber');
-    await document.populate('createdBy', 'firstName lastName email');
-
     res.status(201).json({
       message: 'Document created successfully',
       document
@@ -213,8 +245,8 @@ router.post('/', auth, requirePermission('create_documents'), [
 // @desc    Generate document from template
 // @access  Private
 router.post('/generate-from-template', auth, requirePermission('create_documents'), [
-  body('templateId').isMongoId().withMessage('Invalid template ID'),
-  body('incidentId').isMongoId().withMessage('Invalid incident ID'),
+  isRecordId(body('templateId')).withMessage('Invalid template ID'),
+  isRecordId(body('incidentId')).withMessage('Invalid incident ID'),
   body('variables').isObject().withMessage('Variables must be an object')
 ], async (req, res) => {
   try {
@@ -225,20 +257,22 @@ router.post('/generate-from-template', auth, requirePermission('create_documents
 
     const { templateId, incidentId, variables, recipient, deliveryMethod } = req.body;
 
+    const { documents, incidents, templates } = databaseService.getRepositories();
+
     // Get template
-    const template = await Template.findById(templateId);
+    const template = await templates.findById(templateId);
     if (!template) {
       return res.status(404).json({ message: 'Template not found' });
     }
 
     // Verify incident exists
-    const incident = await Incident.findById(incidentId);
+    const incident = await incidents.findById(incidentId);
     if (!incident) {
       return res.status(404).json({ message: 'Incident not found' });
     }
 
     // Validate required variables
-    const validation = template.validateVariables(variables);
+    const validation = templateService.validateVariables(template, variables);
     if (!validation.isValid) {
       return res.status(400).json({ 
         message: 'Missing required variables',
@@ -246,28 +280,32 @@ router.post('/generate-from-template', auth, requirePermission('create_documents
       });
     }
 
-    // Render template
-    const rendered = template.render(variables);
+    // Render template with the incident's bindings
+    const rendered = await templateService.renderFor(template, { incident, user: req.user, variables });
 
     // Create document
-    const document = new Document({
+    const document = await documents.create({
       title: rendered.subject || template.name,
       type: template.type,
       incidentId,
       content: rendered.content,
       templateId,
-      createdBy: req.user._id,
+      createdBy: req.user.id,
       recipient: JSON.parse(recipient || '{}'),
       deliveryMethod,
       status: 'draft'
     });
 
-    await document.save();
-    await document.populate('incidentId', 'title caseNumber');
-    await document.populate('createdBy', 'firstName lastName email');
-
     // Increment template usage
-    await template.incrementUsage();
+    await templates.recordUsage(template._id);
+
+    await caseActivityService.log({
+      incidentId,
+      userId: req.user.id,
+      type: 'template_used',
+      description: `Generated "${document.title}" from template ${template.name}`,
+      metadata: { templateId: template._id, documentId: document._id, documentType: document.type }
+    });
 
     res.status(201).json({
       message: 'Document generated successfully',
@@ -275,11 +313,109 @@ router.post('/generate-from-template', auth, requirePermission('create_documents
     });
 
   } catch (error) {
+    if (templateService.isTemplateError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error generating document:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
+// @route   POST /api/documents/takedown
+// @desc    Generate a DMCA takedown notice and its PDF from an incident
+// @access  Private
+router.post('/takedown', auth, requirePermission('create_documents'), [
+  isRecordId(body('incidentId')).withMessage('Invalid incident ID'),
+  isRecordId(body('templateId').optional()).withMessage('Invalid template ID'),
+  body('variables').optional().isObject().withMessage('Variables must be an object'),
+  body('recipient').optional().isObject().withMessage('Recipient must be an object'),
+  body('recipient.email').optional().isEmail().withMessage('Invalid recipient email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { incidentId, templateId, variables = {}, recipient = {} } = req.body;
+    const { documents, incidents, templates } = databaseService.getRepositories();
+
+    const incident = await incidents.findById(incidentId);
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (!incident.infringedUrls.some(entry => entry.url)) {
+      return res.status(400).json({ message: 'Incident has no infringing URLs to include in the notice' });
+    }
+
+    let template = null;
+    if (templateId) {
+      template = await templates.findById(templateId);
+      if (!template) {
+        return res.status(404).json({ message: 'Template not found' });
+      }
+      if (template.type !== 'dmca_takedown') {
+        return res.status(400).json({ message: 'Template is not a DMCA takedown template' });
+      }
+    }
+
+    const rendered = await takedownService.renderNotice({ template, incident, user: req.user, variables });
+    const resolvedRecipient = takedownService.resolveRecipient(incident, recipient);
+
+    // The PDF is named after the document, so its ID is chosen before it is stored
+    const documentId = documents.newId();
+    const pdf = await takedownService.renderPdf(
+      { title: rendered.subject, content: rendered.content },
+      `dmca-${documentId}`
+    );
+
+    const document = await documents.create({
+      _id: documentId,
+      title: rendered.subject,
+      type: 'dmca_takedown',
+      incidentId,
+      content: rendered.content,
+      templateId: template ? template._id : undefined,
+      createdBy: req.user.id,
+      recipient: resolvedRecipient || {},
+      deliveryMethod: 'email',
+      status: 'draft',
+      filePath: pdf.filePath,
+      fileName: pdf.fileName,
+      fileSize: pdf.fileSize,
+      mimeType: 'application/pdf',
+      checksum: pdf.checksum,
+      storageBackend: pdf.storageBackend
+    });
+
+    if (template) {
+      await templates.recordUsage(template._id);
+    }
+
+    await caseActivityService.log({
+      incidentId,
+      userId: req.user.id,
+      type: template ? 'template_used' : 'document_uploaded',
+      description: `Generated DMCA takedown notice "${document.title}"`,
+      metadata: { templateId: template ? template._id : null, documentId: document._id, documentType: document.type }
+    });
+
+    res.status(201).json({
+      message: 'Takedown notice generated successfully',
+      document,
+      recipientSource: resolvedRecipient ? resolvedRecipient.source : null
+    });
+
+  } catch (error) {
+    if (templateService.isTemplateError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error generating takedown notice:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // @route   PUT /api/documents/:id
 // @desc    Update document
 // @access  Private
@@ -294,27 +430,19 @@ router.put('/:id', auth, requirePermission('edit_incidents'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const document = await Document.findById(req.params.id);
-    if (!document) {
+    const existing = await databaseService.getRepositories().documents.findById(req.params.id);
+    if (!existing) {
       return res.status(404).json({ message: 'Document not found' });
     }
 
     // Check permissions
-    if (req.user.role === 'staff' && 
-        document.createdBy.toString() !== req.user._id.toString()) {
+    if (req.user.role === 'staff' && refId(existing.createdBy) !== String(req.user.id)) {
       return res.status(403).json({ message: 'Can only edit your own documents' });
     }
 
-    const updates = req.body;
-    delete updates._id;
-    delete updates.createdBy;
-    delete updates.createdAt;
-
-    Object.assign(document, updates);
-    await document.save();
+    const { _id, createdBy, createdAt, version, ...updates } = req.body;
 
-    await document.populate('incidentId', 'title caseNumber');
-    await document.populate('createdBy', 'firstName lastName email');
+    const document = await saveDocument(existing, updates);
 
     res.json({
       message: 'Document updated successfully',
@@ -331,7 +459,7 @@ router.put('/:id', auth, requirePermission('edit_incidents'), [
 // @desc    Add reviewer to document
 // @access  Private
 router.post('/:id/reviewers', auth, requirePermission('edit_incidents'), [
-  body('userId').isMongoId().withMessage('Invalid user ID')
+  isRecordId(body('userId')).withMessage('Invalid user ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -339,13 +467,31 @@ router.post('/:id/reviewers', auth, requirePermission('edit_incidents'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const document = await Document.findById(req.params.id);
+    const { documents } = databaseService.getRepositories();
+
+    let document = await documents.findById(req.params.id);
     if (!document) {
       return res.status(404).json({ message: 'Document not found' });
     }
 
-    await document.addReviewer(req.body.userId);
-    await document.populate('reviewers.user', 'firstName lastName email');
+    if (!document.reviewers.some(reviewer => refId(reviewer.user) === req.body.userId)) {
+      document = await documents.update(document._id, {
+        reviewers: [...document.reviewers, { user: req.body.userId, status: 'pending' }]
+      });
+    }
+
+    if (req.body.userId !== String(req.user.id)) {
+      await notificationService.create({
+        userId: req.body.userId,
+        title: 'Review requested',
+        message: `${req.user.firstName} ${req.user.lastName} asked you to review "${document.title}".`,
+        category: 'legal',
+        incidentId: refId(document.incidentId),
+        documentId: document._id,
+        priority: 'high',
+        actionUrl: '/documents'
+      });
+    }
 
     res.json({
       message: 'Reviewer added successfully',
@@ -371,19 +517,24 @@ router.put('/:id/reviewers/:userId', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const document = await Document.findById(req.params.id);
+    const { documents } = databaseService.getRepositories();
+
+    let document = await documents.findById(req.params.id);
     if (!document) {
       return res.status(404).json({ message: 'Document not found' });
     }
 
     // Check if user is a reviewer
-    const isReviewer = document.reviewers.some(r => r.user.toString() === req.params.userId);
+    const isReviewer = document.reviewers.some(r => refId(r.user) === req.params.userId);
     if (!isReviewer) {
       return res.status(403).json({ message: 'Not authorized to review this document' });
     }
 
-    await document.updateReviewerStatus(req.params.userId, req.body.status, req.body.comments);
-    await document.populate('reviewers.user', 'firstName lastName email');
+    document = await documents.update(document._id, {
+      reviewers: document.reviewers.map(reviewer => (refId(reviewer.user) === req.params.userId
+        ? { ...reviewer, status: req.body.status, comments: req.body.comments || '', reviewedAt: new Date() }
+        : reviewer))
+    });
 
     res.json({
       message: 'Review status updated successfully',
@@ -396,12 +547,43 @@ router.put('/:id/reviewers/:userId', auth, [
   }
 });
 
+// @route   GET /api/documents/:id/pdf
+// @desc    Download the rendered PDF of a document
+// @access  Private
+router.get('/:id/pdf', auth, async (req, res) => {
+  try {
+    const document = await databaseService.getRepositories().documents.findById(req.params.id);
+    if (!document || !document.filePath || document.mimeType !== 'application/pdf') {
+      return res.status(404).json({ message: 'Document PDF not found' });
+    }
+
+    if (!canViewDocument(req.user, document)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const content = await storageService.get(document.filePath);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${document.fileName}"`,
+      'X-Checksum-SHA256': document.checksum || ''
+    });
+    res.send(content);
+
+  } catch (error) {
+    console.error('Error downloading document PDF:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // @route   POST /api/documents/:id/send
-// @desc    Mark document as sent
+// @desc    Send a document by email, or record a delivery made another way
 // @access  Private
 router.post('/:id/send', auth, requirePermission('send_legal_actions'), [
   body('deliveryMethod').isIn(['email', 'mail', 'fax', 'online_form', 'other']).withMessage('Invalid delivery method'),
-  body('sentDate').optional().isISO8601().withMessage('Invalid date format')
+  body('sentDate').optional().isISO8601().withMessage('Invalid date format'),
+  body('recipient').optional().isObject().withMessage('Recipient must be an object'),
+  body('recipient.email').optional().isEmail().withMessage('Invalid recipient email')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -409,26 +591,228 @@ router.post('/:id/send', auth, requirePermission('send_legal_actions'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const document = await Document.findById(req.params.id);
-    if (!document) {
+    const { documents, incidents } = databaseService.getRepositories();
+
+    const existing = await documents.findById(req.params.id);
+    if (!existing) {
       return res.status(404).json({ message: 'Document not found' });
     }
 
-    document.status = 'sent';
-    document.deliveryMethod = req.body.deliveryMethod;
-    document.sentDate = req.body.sentDate ? new Date(req.body.sentDate) : new Date();
+    if (existing.status === 'sent') {
+      return res.status(400).json({ message: 'Document has already been sent' });
+    }
+
+    const incident = await incidents.findById(refId(existing.incidentId));
+    const { deliveryMethod } = req.body;
+    const previousFile = existing.filePath;
+
+    const currentRecipient = { ...existing.recipient, ...req.body.recipient };
+    const updates = { recipient: currentRecipient };
+
+    if (deliveryMethod === 'email') {
+      const recipient = incident
+        ? takedownService.resolveRecipient(incident, currentRecipient)
+        : currentRecipient.email && { ...currentRecipient, source: 'provided' };
 
-    await document.save();
-    await document.populate('incidentId', 'title caseNumber');
-    await document.populate('createdBy', 'firstName lastName email');
+      if (!recipient || !recipient.email) {
+        return res.status(400).json({ message: 'A recipient email address is required to send by email' });
+      }
+
+      // Re-render so the attachment always matches the current document content
+      const pdf = await takedownService.renderPdf(
+        { title: existing.title, content: existing.content },
+        `${existing.type}-${existing._id}`
+      );
+      const { replyToken, ...delivery } = await takedownService.deliver({ document: existing, recipient, pdf });
+
+      Object.assign(updates, {
+        filePath: pdf.filePath,
+        fileName: pdf.fileName,
+        fileSize: pdf.fileSize,
+        mimeType: 'application/pdf',
+        checksum: pdf.checksum,
+        storageBackend: pdf.storageBackend,
+        recipient: {
+          name: recipient.name,
+          email: recipient.email,
+          address: recipient.address,
+          organization: recipient.organization
+        },
+        delivery: { ...delivery, recipientSource: recipient.source },
+        replyToken,
+        sentDate: delivery.sentAt
+      });
+    } else {
+      updates.sentDate = req.body.sentDate ? new Date(req.body.sentDate) : new Date();
+    }
+
+    updates.status = 'sent';
+    updates.deliveryMethod = deliveryMethod;
+
+    const document = await saveDocument(existing, updates);
+
+    // The re-rendered PDF replaces the draft copy
+    if (deliveryMethod === 'email' && previousFile && previousFile !== document.filePath) {
+      await storageService.remove(previousFile).catch(error => console.error('Error removing draft PDF:', error));
+    }
+
+    if (incident) {
+      incident.legalActions.push({
+        actionType: document.type === 'template' ? 'other' : document.type,
+        documentId: document._id,
+        sentDate: document.sentDate,
+        status: 'sent',
+        deliveryMethod,
+        recipient: {
+          name: document.recipient.name,
+          email: document.recipient.email,
+          organization: document.recipient.organization
+        },
+        messageId: document.delivery ? document.delivery.messageId : undefined
+      });
+      await saveLegalActions(incident);
+
+      await caseActivityService.log({
+        incidentId: incident._id,
+        userId: req.user.id,
+        type: 'legal_action_taken',
+        description: `Sent "${document.title}"` +
+          (document.recipient.email ? ` to ${document.recipient.email}` : '') + ` by ${deliveryMethod.replace('_', ' ')}`,
+        metadata: {
+          documentId: document._id,
+          documentType: document.type,
+          deliveryMethod,
+          messageId: document.delivery ? document.delivery.messageId : null
+        }
+      });
+    }
 
     res.json({
-      message: 'Document marked as sent successfully',
+      message: deliveryMethod === 'email' ? 'Document sent successfully' : 'Document marked as sent successfully',
       document
     });
 
   } catch (error) {
-    console.error('Error marking document as sent:', error);
+    console.error('Error sending document:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Load a sent DMCA takedown with its incident and legal action for counter-notice routes.
+// Sends the error response and resolves to null when any of them is missing.
+const loadTakedown = async (req, res) => {
+  const { documents, incidents } = databaseService.getRepositories();
+
+  const document = await documents.findById(req.params.id);
+  if (!document) {
+    res.status(404).json({ message: 'Document not found' });
+    return null;
+  }
+
+  if (document.type !== 'dmca_takedown' || !['sent', 'responded'].includes(document.status)) {
+    res.status(400).json({ message: 'Counter-notices can only be recorded against a sent DMCA takedown' });
+    return null;
+  }
+
+  const incident = await incidents.findById(refId(document.incidentId));
+  if (!incident) {
+    res.status(404).json({ message: 'Incident not found' });
+    return null;
+  }
+
+  const legalAction = counterNoticeService.findLegalAction(incident, document._id);
+  if (!legalAction) {
+    res.status(400).json({ message: 'No delivery has been recorded for this document' });
+    return null;
+  }
+
+  return { document, incident, legalAction };
+};
+
+// @route   POST /api/documents/:id/counter-notice
+// @desc    Record a counter-notice against a sent takedown, open the restoration window and
+//          move the case to counter_notice_received
+// @access  Private
+router.post('/:id/counter-notice', auth, requirePermission('send_legal_actions'), [
+  body('receivedAt').optional().isISO8601().withMessage('Invalid date format'),
+  body('notes').optional().trim(),
+  body('party.name').optional().trim(),
+  body('party.email').optional({ checkFalsy: true }).isEmail().withMessage('Invalid email'),
+  body('party.address').optional().trim(),
+  body('party.phone').optional().trim(),
+  body('materialUrls').optional().isArray().withMessage('materialUrls must be an array'),
+  body('materialUrls.*').isURL().withMessage('Invalid material URL'),
+  body('statements.goodFaithMistake').optional().isBoolean().toBoolean(),
+  body('statements.consentToJurisdiction').optional().isBoolean().toBoolean(),
+  body('statements.acceptsService').optional().isBoolean().toBoolean(),
+  body('signature').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const takedown = await loadTakedown(req, res);
+    if (!takedown) return;
+
+    if (takedown.legalAction.counterNotice && takedown.legalAction.counterNotice.status === 'litigation_filed') {
+      return res.status(400).json({ message: 'Suit has already been filed over this takedown' });
+    }
+
+    const { counterNotice } = await counterNoticeService.record({ ...takedown, fields: req.body, userId: req.user.id });
+
+    await saveDocument(takedown.document, {
+      status: 'responded',
+      responseDate: counterNotice.receivedAt,
+      ...(req.body.notes ? { responseContent: req.body.notes } : {})
+    });
+
+    res.json({
+      message: counterNotice.missingElements.length > 0
+        ? `Counter-notice recorded; it is missing: ${counterNotice.missingElements.join(', ')}`
+        : 'Counter-notice recorded successfully',
+      counterNotice
+    });
+
+  } catch (error) {
+    console.error('Error recording counter-notice:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/documents/:id/counter-notice/litigation
+// @desc    Record that suit has been filed over a counter-notice, so the material stays down,
+//          and move the case to litigation_filed
+// @access  Private
+router.post('/:id/counter-notice/litigation', auth, requirePermission('send_legal_actions'), [
+  body('filedAt').optional().isISO8601().withMessage('Invalid date format'),
+  body('court').optional().trim(),
+  body('docketNumber').optional().trim(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const takedown = await loadTakedown(req, res);
+    if (!takedown) return;
+
+    if (!takedown.legalAction.counterNotice) {
+      return res.status(400).json({ message: 'No counter-notice has been recorded for this document' });
+    }
+
+    const { counterNotice } = await counterNoticeService.fileLitigation({ ...takedown, fields: req.body, userId: req.user.id });
+
+    res.json({
+      message: 'Litigation recorded successfully',
+      counterNotice
+    });
+
+  } catch (error) {
+    console.error('Error recording litigation:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -438,47 +822,39 @@ router.post('/:id/send', auth, requirePermission('send_legal_actions'), [
 // @access  Private
 router.get('/stats/overview', auth, async (req, res) => {
   try {
-    const stats = await Document.aggregate([
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          draft: { $sum: { $cond: [{ $eq: ['$status', 'draft'] }, 1, 0] } },
-          review: { $sum: { $cond: [{ $eq: ['$status', 'review'] }, 1, 0] } },
-          approved: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
-          sent: { $sum: { $cond: [{ $eq: ['$status', 'sent'] }, 1, 0] } },
-          responded: { $sum: { $cond: [{ $eq: ['$status', 'responded'] }, 1, 0] } }
-        }
-      }
-    ]);
-
-    const typeStats = await Document.aggregate([
-      {
-        $group: {
-          _id: '$type',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-
-    const monthlyStats = await Document.aggregate([
-      {
-        $group: {
-          _id: {
-            year: { $year: '$createdAt' },
-            month: { $month: '$createdAt' }
-          },
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { '_id.year': -1, '_id.month': -1 } },
-      { $limit: 12 }
-    ]);
+    const { documents } = databaseService.getRepositories();
+    const { items } = await documents.list();
+
+    const countStatus = (status) => items.filter(document => document.status === status).length;
+    const byType = {};
+    const monthly = {};
+
+    items.forEach(document => {
+      byType[document.type] = byType[document.type] || { _id: document.type, count: 0 };
+      byType[document.type].count += 1;
+
+      const createdAt = new Date(document.createdAt);
+      const key = `${createdAt.getUTCFullYear()}-${createdAt.getUTCMonth() + 1}`;
+      monthly[key] = monthly[key] || {
+        _id: { year: createdAt.getUTCFullYear(), month: createdAt.getUTCMonth() + 1 },
+        count: 0
+      };
+      monthly[key].count += 1;
+    });
 
     res.json({
-      overview: stats[0] || { total: 0, draft: 0, review: 0, approved: 0, sent: 0, responded: 0 },
-      byType: typeStats,
-      monthly: monthlyStats
+      overview: {
+        total: items.length,
+        draft: countStatus('draft'),
+        review: countStatus('review'),
+        approved: countStatus('approved'),
+        sent: countStatus('sent'),
+        responded: countStatus('responded')
+      },
+      byType: Object.values(byType),
+      monthly: Object.values(monthly)
+        .sort((a, b) => b._id.year - a._id.year || b._id.month - a._id.month)
+        .slice(0, 12)
     });
 
   } catch (error) {
@@ -0,0 +1,38 @@
+const express = require('express');
+const path = require('path');
+
+const storageService = require('../services/storageService');
+
+const router = express.Router();
+
+// @route   GET /api/files/signed
+// @desc    Serve a locally stored file through a signed, time-limited URL
+// @access  Signed URL
+router.get('/signed', async (req, res) => {
+  try {
+    const backend = storageService.getBackend();
+    if (backend.name !== 'local') {
+      return res.status(404).json({ message: 'Signed file URLs are served by the storage provider' });
+    }
+
+    const { key, expires, signature } = req.query;
+    if (!backend.verifySignature(key, expires, signature)) {
+      return res.status(403).json({ message: 'Invalid or expired download link' });
+    }
+
+    const content = await storageService.get(key);
+
+    res.set('Content-Disposition', `attachment; filename="${path.basename(key)}"`);
+    res.type(path.extname(key) || 'application/octet-stream');
+    res.send(content);
+
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    console.error('Error serving signed file:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
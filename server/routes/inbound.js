@@ -0,0 +1,58 @@
+const express = require('express');
+const crypto = require('crypto');
+
+const inboundEmailService = require('../services/inboundEmailService');
+
+const router = express.Router();
+
+// Inbound mail is posted by the MTA or mail webhook, not a logged-in user, so it is
+// authenticated with a shared secret instead of a session token
+const inboundAuth = (req, res, next) => {
+  const secret = process.env.INBOUND_EMAIL_SECRET;
+  if (!secret) {
+    return res.status(503).json({ message: 'Inbound email is not configured' });
+  }
+
+  const provided = Buffer.from(req.header('X-Inbound-Secret') || '');
+  const expected = Buffer.from(secret);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ message: 'Invalid inbound email secret' });
+  }
+
+  next();
+};
+
+// @route   POST /api/inbound/email
+// @desc    Ingest a raw RFC 822 message replying to a sent document
+// @access  Shared secret (mail transfer agent or webhook)
+router.post('/email', inboundAuth, express.raw({ type: () => true, limit: '25mb' }), async (req, res) => {
+  try {
+    // Raw MIME bodies arrive as a Buffer; webhook stand-ins may post JSON as { raw: '...' }
+    const raw = Buffer.isBuffer(req.body) ? req.body : req.body && req.body.raw;
+    if (!raw || raw.length === 0) {
+      return res.status(400).json({ message: 'Raw message body is required' });
+    }
+
+    const result = await inboundEmailService.ingest(raw);
+
+    // Unmatched mail is accepted so the sender is not asked to retry it
+    if (!result) {
+      return res.status(202).json({ message: 'Message did not match a sent document', matched: false });
+    }
+
+    res.json({
+      message: 'Response recorded successfully',
+      matched: true,
+      matchedBy: result.matchedBy,
+      documentId: result.document._id,
+      incidentId: result.incident ? result.incident._id : null,
+      attachments: result.attachments.length
+    });
+
+  } catch (error) {
+    console.error('Error ingesting inbound email:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,68 +1,139 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs').promises;
 
 const databaseService = require('../config/databaseService');
-const { auth, requirePermission } = require('../middleware/auth');
+const { refId, populateNoteAuthors } = require('../repositories');
+const caseActivityService = require('../services/caseActivityService');
+const workflowService = require('../services/workflowService');
+const slaService = require('../services/slaService');
+const notificationService = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
+const evidenceService = require('../services/evidenceService');
+const storageService = require('../services/storageService');
+const duplicateService = require('../services/duplicateService');
+const infringerService = require('../services/infringerService');
+const intakeJobService = require('../services/intakeJobService');
+const custodyService = require('../services/custodyService');
+const { auth, requireRole, requirePermission } = require('../middleware/auth-supabase');
+const { isRecordId } = require('../middleware/validators');
+const { uploadEvidence } = require('../middleware/upload');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads/evidence');
-    await fs.mkdir(uploadDir, { recursive: true });
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Soft-deleted incidents can only be purged once they have been deleted for this many days
+const SOFT_DELETE_RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
 
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only images, PDFs, and documents are allowed.'));
-    }
+// Multipart submissions carry arrays and objects as JSON strings
+const fromForm = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Infringed URLs are stored with a protocol, defaulting to https
+const withProtocol = (urlObj) => {
+  const { url } = urlObj;
+  if (url && !url.startsWith('http://') && !url.startsWith('https://')) {
+    return { ...urlObj, url: `https://${url}` };
   }
-});
+  return urlObj;
+};
+
+// Incidents are returned in the repository shape; the client also reads `id`
+const toResponse = (incident) => ({ ...incident, id: incident._id });
 
-// Validation rules
 const incidentValidation = [
   body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
   body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
   body('incidentType').isIn(['copyright_infringement', 'trademark_violation', 'impersonation', 'unauthorized_distribution', 'other']).withMessage('Invalid incident type'),
   body('severity').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid severity level'),
   body('infringedContent').trim().isLength({ min: 5 }).withMessage('Infringed content description is required'),
-  body('infringedUrls').custom((value) => {
-    if (!value || !Array.isArray(value)) {
-      throw new Error('Infringed URLs must be an array');
-    }
-    if (value.length === 0) {
-      throw new Error('At least one infringed URL is required');
-    }
-    return true;
-  }),
-  body('infringerInfo').optional().isObject().withMessage('Infringer info must be an object')
+  body('infringedUrls')
+    .custom((value, { req }) => {
+      if (!value || value.length === 0) {
+        throw new Error('At least one infringed URL is required');
+      }
+      const urls = typeof value === 'string' ? JSON.parse(value) : value;
+      for (const urlObj of urls) {
+        let url = urlObj.url;
+        if (!url.startsWith('http://') && !url.startsWith('https://')) {
+          url = `https://${url}`; // Auto-prepend protocol for validation
+        }
+        try {
+          new URL(url);
+        } catch (e) {
+          throw new Error(`Invalid URL: ${urlObj.url}`);
+        }
+      }
+      return true;
+    })
+    .withMessage('Invalid infringed URLs provided'),
+  body('infringerInfo').optional().isObject().withMessage('Infringer info must be an object'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('priority').optional().isIn(['low', 'normal', 'high', 'urgent']).withMessage('Invalid priority level'),
+  isRecordId(body('assignedTo').optional()).withMessage('Invalid assigned user ID'),
+  body('dueDate').optional().isISO8601().toDate().withMessage('Invalid due date'),
+  body('ignoreDuplicates').optional().isBoolean().toBoolean().withMessage('ignoreDuplicates must be a boolean'),
 ];
 
+// Record evidence files added to a case and open their custody logs
+const logEvidenceUploaded = async (incidentId, userId, evidenceFiles = []) => {
+  if (evidenceFiles.length === 0) return;
+
+  await custodyService.recordIngest(incidentId, evidenceFiles, { userId });
+
+  await caseActivityService.log({
+    incidentId,
+    userId,
+    type: 'document_uploaded',
+    description: `${evidenceFiles.length} evidence file(s) uploaded`,
+    metadata: {
+      files: evidenceFiles.map(file => ({
+        name: file.original_name || file.filename,
+        mimetype: file.mimetype || file.mimeType,
+        size: file.size,
+        checksum: file.checksum,
+      })),
+    },
+  });
+};
+
+// Record the creation of an incident, its initial assignment and any evidence uploaded with it
+const logIncidentCreated = async (incident, userId, evidenceFiles = []) => {
+  await caseActivityService.log({
+    incidentId: incident._id,
+    userId,
+    type: 'created',
+    description: `Incident reported: ${incident.title}`,
+    newValues: {
+      title: incident.title,
+      incidentType: incident.incidentType,
+      severity: incident.severity,
+      priority: incident.priority,
+      status: incident.status,
+    },
+  });
+
+  if (incident.assignedTo) {
+    await caseActivityService.log({
+      incidentId: incident._id,
+      userId,
+      type: 'assigned',
+      description: 'Case assigned on creation',
+      newValues: { assignedTo: refId(incident.assignedTo) },
+    });
+
+    await notificationService.notifyAssignment({
+      incidentId: incident._id,
+      caseLabel: `${incident.caseNumber} ${incident.title}`,
+      assigneeId: refId(incident.assignedTo),
+      actorId: userId,
+    });
+  }
+
+  await logEvidenceUploaded(incident._id, userId, evidenceFiles);
+};
+
 // @route   POST /api/incidents
-// @desc    Create a new incident
+// @desc    Report a new incident
 // @access  Private
-router.post('/', auth, upload.array('evidence', 5), incidentValidation, async (req, res) => {
+router.post('/', auth, uploadEvidence('evidenceFiles'), incidentValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -73,146 +144,68 @@ router.post('/', auth, upload.array('evidence', 5), incidentValidation, async (r
       title,
       description,
       incidentType,
-      severity = 'medium',
-      priority = 'normal',
+      severity,
       infringedContent,
-      infringedUrls,
-      infringerInfo = {},
-      tags = [],
-      dueDate
+      priority,
+      assignedTo,
+      dueDate,
+      ignoreDuplicates,
     } = req.body;
+    const infringedUrls = fromForm(req.body.infringedUrls);
+    const infringerInfo = fromForm(req.body.infringerInfo) || {};
 
-    // Process infringed URLs
-    let processedUrls = [];
-    if (typeof infringedUrls === 'string') {
-      try {
-        processedUrls = JSON.parse(infringedUrls);
-      } catch (e) {
-        processedUrls = [{ url: infringedUrls, description: '', verified: false }];
-      }
-    } else if (Array.isArray(infringedUrls)) {
-      processedUrls = infringedUrls;
-    }
-
-    // Normalize URLs (add https:// if no protocol)
-    processedUrls = processedUrls.map(urlObj => {
-      if (typeof urlObj === 'string') {
-        urlObj = { url: urlObj, description: '', verified: false };
-      }
-      if (!urlObj.url.startsWith('http://') && !urlObj.url.startsWith('https://')) {
-        urlObj.url = 'https://' + urlObj.url;
-      }
-      return urlObj;
-    });
-
-    // Process infringer info
-    let processedInfringerInfo = {};
-    if (typeof infringerInfo === 'string') {
-      try {
-        processedInfringerInfo = JSON.parse(infringerInfo);
-      } catch (e) {
-        processedInfringerInfo = { name: infringerInfo };
-      }
-    } else if (typeof infringerInfo === 'object') {
-      processedInfringerInfo = infringerInfo;
+    // Ask for confirmation before reporting an infringement that is already on file
+    const duplicates = await duplicateService.findDuplicates({ infringedUrls, infringerInfo });
+    if (!ignoreDuplicates && duplicates.some(match => duplicateService.isDuplicate(match))) {
+      return res.status(409).json({ message: 'Possible duplicates found', duplicates });
     }
 
-    // Process tags
-    let processedTags = [];
-    if (typeof tags === 'string') {
-      try {
-        processedTags = JSON.parse(tags);
-      } catch (e) {
-        processedTags = tags.split(',').map(tag => tag.trim()).filter(tag => tag);
-      }
-    } else if (Array.isArray(tags)) {
-      processedTags = tags;
-    }
-
-    // Process evidence files
-    const evidenceFiles = req.files ? req.files.map(file => ({
-      fileName: file.originalname,
-      filePath: file.path,
-      fileSize: file.size,
-      fileType: file.mimetype,
-      uploadedAt: new Date()
-    })) : [];
-
-    // Get database service
-    const db = databaseService.getService();
-    
-    if (databaseService.type === 'supabase') {
-      // Create incident using Supabase
-      const { data, error } = await db.createIncident({
-        title,
-        description,
-        reporter_id: req.user.id,
-        incident_type: incidentType,
-        severity,
-        priority,
-        infringed_content: infringedContent,
-        infringed_urls: processedUrls,
-        infringer_info: processedInfringerInfo,
-        tags: processedTags,
-        evidence_files: evidenceFiles,
-        due_date: dueDate ? new Date(dueDate) : null,
-        reported_at: new Date()
+    // Cases without an explicit due date get one from the matching SLA policy
+    const sla = dueDate
+      ? { dueDate: new Date(dueDate), policy: null }
+      : await slaService.calculateDueDate({
+        severity: severity || 'medium',
+        priority: priority || 'normal',
+        incidentType
       });
 
-      if (error) {
-        console.error('Error creating incident:', error);
-        return res.status(500).json({ message: 'Server error', error: error.message });
-      }
-
-      // Get the created incident with populated data
-      const incident = await db.getIncidentById(data.id);
-      
-      res.status(201).json({
-        message: 'Incident reported successfully',
-        incident: {
-          ...incident,
-          caseNumber: `DSP-${incident.id.slice(-8).toUpperCase()}`,
-          reporter: {
-            _id: incident.reporter?.id,
-            firstName: incident.reporter?.first_name,
-            lastName: incident.reporter?.last_name,
-            email: incident.reporter?.email,
-            department: incident.reporter?.department
-          }
-        }
-      });
-    } else {
-      // Fallback to MongoDB (for backward compatibility)
-      const Incident = require('../models/Incident');
-      const User = require('../models/User');
-      
-      const incident = new Incident({
-        title,
-        description,
-        reporter: req.user._id,
-        incidentType,
-        severity,
-        priority,
-        infringedContent,
-        infringedUrls: processedUrls,
-        infringerInfo: processedInfringerInfo,
-        tags: processedTags,
-        evidenceFiles,
-        dueDate: dueDate ? new Date(dueDate) : null,
-        reportedAt: new Date()
-      });
+    const evidence = await evidenceService.storeUploads(req.files, req.user.id);
+    const incident = await databaseService.getRepositories().incidents.create({
+      title,
+      description,
+      reporter: req.user.id,
+      incidentType,
+      severity,
+      status: 'reported',
+      priority,
+      infringedContent,
+      infringedUrls: infringedUrls.map(withProtocol),
+      infringerInfo,
+      assignedTo: assignedTo || null,
+      assignedAt: assignedTo ? new Date() : null,
+      dueDate: sla.dueDate,
+      sla: { policy: sla.policy },
+      tags: fromForm(req.body.tags),
+      reportedAt: new Date(),
+      evidence,
+      notes: [],
+      pendingJobs: intakeJobService.jobsFor(),
+    });
+    await evidenceService.recordDocuments(incident._id, evidence);
 
-      await incident.save();
-      await incident.populate('reporter', 'firstName lastName email department');
+    await logIncidentCreated(incident, req.user.id, evidence);
+    const infringer = await infringerService.matchIncident(incident._id, { userId: req.user.id });
+    intakeJobService.start();
 
-      res.status(201).json({
-        message: 'Incident reported successfully',
-        incident
-      });
-    }
+    res.status(201).json({
+      message: 'Incident reported successfully',
+      incident: toResponse(incident),
+      infringer,
+      duplicates,
+    });
 
   } catch (error) {
-    console.error('Error creating incident:', error);
+    console.error('Error reporting incident:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -223,108 +216,92 @@ router.post('/', auth, upload.array('evidence', 5), incidentValidation, async (r
 router.get('/', auth, async (req, res) => {
   try {
     const {
-      page = 1,
-      limit = 20,
       status,
       incidentType,
       severity,
       assignedTo,
       reporter,
       search,
-      sortBy = 'reported_at',
+      sortBy = 'reportedAt',
       sortOrder = 'desc'
     } = req.query;
-
-    const db = databaseService.getService();
-    
-    if (databaseService.type === 'supabase') {
-      // Get incidents using Supabase
-      const filters = {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        status,
-        incident_type: incidentType,
-        severity,
-        assigned_to: assignedTo,
-        reporter_id: reporter,
-        search,
-        sortBy,
-        sortOrder
-      };
-
-      const { incidents, total } = await db.listIncidents(filters);
-
-      res.json({
-        incidents: incidents.map(incident => ({
-          ...incident,
-          caseNumber: `DSP-${incident.id.slice(-8).toUpperCase()}`,
-          reporter: {
-            _id: incident.reporter?.id,
-            firstName: incident.reporter?.first_name,
-            lastName: incident.reporter?.last_name,
-            email: incident.reporter?.email,
-            department: incident.reporter?.department
-          },
-          assignedTo: incident.assigned_to ? {
-            _id: incident.assigned_to.id,
-            firstName: incident.assigned_to.first_name,
-            lastName: incident.assigned_to.last_name,
-            email: incident.assigned_to.email
-          } : null
-        })),
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / parseInt(limit)),
-          total,
-          limit: parseInt(limit)
-        }
-      });
-    } else {
-      // Fallback to MongoDB
-      const Incident = require('../models/Incident');
-      
-      const filter = {};
-      if (status) filter.status = status;
-      if (incidentType) filter.incidentType = incidentType;
-      if (severity) filter.severity = severity;
-      if (assignedTo) filter.assignedTo = assignedTo;
-      if (reporter) filter.reporter = reporter;
-      
-      if (search) {
-        filter.$or = [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { infringedContent: { $regex: search, $options: 'i' } },
-          { 'infringerInfo.name': { $regex: search, $options: 'i' } }
-        ];
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.max(parseInt(req.query.limit) || 20, 1);
+
+    const { items, total } = await databaseService.getRepositories().incidents.list(
+      { status, incidentType, severity, assignedTo, reporter, search },
+      { page, limit, sortBy, sortOrder }
+    );
+
+    res.json({
+      incidents: items.map(toResponse),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
       }
+    });
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-      const sort = {};
-      sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-      const incidents = await Incident.find(filter)
-        .populate('reporter', 'firstName lastName email department')
-        .populate('assignedTo', 'firstName lastName email')
-        .sort(sort)
-        .skip(skip)
-        .limit(parseInt(limit));
-
-      const total = await Incident.countDocuments(filter);
-
-      res.json({
-        incidents,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / parseInt(limit)),
-          total,
-          limit: parseInt(limit)
-        }
-      });
+  } catch (error) {
+    console.error('Error fetching incidents:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/incidents/deleted/list
+// @desc    Get soft-deleted incidents
+// @access  Private (admin and manager)
+router.get('/deleted/list', auth, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { items } = await databaseService.getRepositories().incidents.list({ deleted: true }, { sortBy: 'deletedAt' });
+
+    const formattedIncidents = items.map(incident => ({
+      ...toResponse(incident),
+      deletedBy: incident.deletedBy ? {
+        first_name: incident.deletedBy.firstName,
+        last_name: incident.deletedBy.lastName,
+        email: incident.deletedBy.email,
+      } : null,
+    }));
+
+    res.json({ incidents: formattedIncidents, total: formattedIncidents.length });
+
+  } catch (error) {
+    console.error('Error fetching deleted incidents:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   DELETE /api/incidents/deleted/purge
+// @desc    Permanently remove incidents soft-deleted longer than the retention window, keeping
+//          any with an evidence custody log
+// @access  Private (admin only)
+router.delete('/deleted/purge', auth, requireRole('admin'), [
+  body('olderThanDays').optional().isInt({ min: SOFT_DELETE_RETENTION_DAYS })
+    .withMessage(`Incidents must stay deleted for at least ${SOFT_DELETE_RETENTION_DAYS} days before they can be purged`),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
+    const olderThanDays = parseInt(req.body.olderThanDays) || SOFT_DELETE_RETENTION_DAYS;
+    const deletedBefore = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+    const { purged, retained } = await databaseService.getRepositories().incidents.purgeDeleted(deletedBefore);
+    const summary = incident => ({ id: incident._id, caseNumber: incident.caseNumber });
+
+    res.json({
+      message: `Permanently deleted ${purged.length} incident(s)` +
+        (retained.length > 0 ? `; kept ${retained.length} with an evidence custody log` : ''),
+      purged: purged.map(summary),
+      retained: retained.map(summary),
+      olderThanDays,
+    });
+
   } catch (error) {
-    console.error('Error fetching incidents:', error);
+    console.error('Error purging deleted incidents:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -334,98 +311,468 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
-    const db = databaseService.getService();
-    
-    if (databaseService.type === 'supabase') {
-      const incident = await db.getIncidentById(req.params.id);
-      
-      if (!incident) {
-        return res.status(404).json({ message: 'Incident not found' });
-      }
+    const { incidents, users } = databaseService.getRepositories();
 
-      res.json({
-        ...incident,
-        caseNumber: `DSP-${incident.id.slice(-8).toUpperCase()}`,
-        reporter: {
-          _id: incident.reporter?.id,
-          firstName: incident.reporter?.first_name,
-          lastName: incident.reporter?.last_name,
-          email: incident.reporter?.email,
-          department: incident.reporter?.department
-        },
-        assignedTo: incident.assigned_to ? {
-          _id: incident.assigned_to.id,
-          firstName: incident.assigned_to.first_name,
-          lastName: incident.assigned_to.last_name,
-          email: incident.assigned_to.email
-        } : null
-      });
-    } else {
-      // Fallback to MongoDB
-      const Incident = require('../models/Incident');
-      
-      const incident = await Incident.findById(req.params.id)
-        .populate('reporter', 'firstName lastName email department phone')
-        .populate('assignedTo', 'firstName lastName email phone')
-        .populate('notes.author', 'firstName lastName email')
-        .populate('documents', 'title fileName fileType uploadedBy createdAt')
-        .populate('monitoringAlerts', 'title alertType status createdAt');
-
-      if (!incident) {
-        return res.status(404).json({ message: 'Incident not found' });
-      }
+    const incident = await incidents.findById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    const notes = await populateNoteAuthors(users, incident.notes);
+    res.json(toResponse({ ...incident, notes }));
+
+  } catch (error) {
+    console.error('Error fetching incident details:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/incidents/:id/evidence/:evidenceId/download
+// @desc    Download an evidence file
+// @access  Private
+router.get('/:id/evidence/:evidenceId/download', auth, async (req, res) => {
+  try {
+    const { incident, evidence } = await evidenceService.findEvidence(req.params.id, req.params.evidenceId);
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (!evidenceService.canAccess(req.user, incident)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!evidence || !evidence.key) {
+      return res.status(404).json({ message: 'Evidence file not found' });
+    }
+
+    const content = await storageService.get(evidence.key);
+    await custodyService.record(incident.id, evidence.id, 'downloaded', {
+      userId: req.user.id || req.user._id,
+      checksum: storageService.checksum(content)
+    });
+
+    res.set({
+      'Content-Type': evidence.mimeType || 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${encodeURIComponent(evidence.fileName)}"`,
+      'X-Checksum-SHA256': evidence.checksum || ''
+    });
+    res.send(content);
+
+  } catch (error) {
+    console.error('Error downloading evidence:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/incidents/:id/evidence/:evidenceId/url
+// @desc    Get a signed, time-limited download URL for an evidence file
+// @access  Private
+router.get('/:id/evidence/:evidenceId/url', auth, async (req, res) => {
+  try {
+    const { incident, evidence } = await evidenceService.findEvidence(req.params.id, req.params.evidenceId);
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (!evidenceService.canAccess(req.user, incident)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!evidence || !evidence.key) {
+      return res.status(404).json({ message: 'Evidence file not found' });
+    }
+
+    const { url, expiresAt } = await storageService.getSignedUrl(evidence.key);
+    await custodyService.record(incident.id, evidence.id, 'viewed', {
+      userId: req.user.id || req.user._id,
+      details: { expiresAt: expiresAt.toISOString() }
+    });
+
+    res.json({
+      url,
+      expiresAt,
+      fileName: evidence.fileName,
+      checksum: evidence.checksum
+    });
 
-      res.json(incident);
+  } catch (error) {
+    console.error('Error creating evidence download URL:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/incidents/:id/evidence/:evidenceId/custody
+// @desc    Verify an evidence file's chain of custody and stored checksum
+// @access  Private
+router.get('/:id/evidence/:evidenceId/custody', auth, async (req, res) => {
+  try {
+    const { incident, evidence } = await evidenceService.findEvidence(req.params.id, req.params.evidenceId);
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
     }
 
+    if (!evidenceService.canAccess(req.user, incident)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!evidence) {
+      return res.status(404).json({ message: 'Evidence file not found' });
+    }
+
+    res.json(await custodyService.verify(incident.id, evidence));
+
   } catch (error) {
-    console.error('Error fetching incident:', error);
+    console.error('Error verifying evidence custody:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
+// @route   GET /api/incidents/:id/evidence/:evidenceId/custody/export
+// @desc    Download an evidence file's custody report, recording the export in its log
+// @access  Private
+router.get('/:id/evidence/:evidenceId/custody/export', auth, async (req, res) => {
+  try {
+    const { incident, evidence } = await evidenceService.findEvidence(req.params.id, req.params.evidenceId);
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (!evidenceService.canAccess(req.user, incident)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!evidence) {
+      return res.status(404).json({ message: 'Evidence file not found' });
+    }
+
+    await custodyService.record(incident.id, evidence.id, 'exported', { userId: req.user.id || req.user._id });
+    const report = Buffer.from(JSON.stringify(await custodyService.verify(incident.id, evidence), null, 2));
+
+    res.set({
+      'Content-Type': 'application/json',
+      'Content-Disposition': `attachment; filename="custody-${encodeURIComponent(evidence.id)}.json"`,
+      'X-Checksum-SHA256': storageService.checksum(report)
+    });
+    res.send(report);
+
+  } catch (error) {
+    console.error('Error exporting evidence custody:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+
+// Fields that can be edited through PUT /api/incidents/:id. Status and assignment have
+// dedicated endpoints so they are tracked as their own activities.
+const EDITABLE_INCIDENT_FIELDS = [
+  'title',
+  'description',
+  'incidentType',
+  'severity',
+  'priority',
+  'infringedContent',
+  'infringedUrls',
+  'infringerInfo',
+  'tags',
+  'dueDate',
+];
+
+const incidentUpdateValidation = [
+  body('title').optional().trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
+  body('description').optional().trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
+  body('incidentType').optional().isIn(['copyright_infringement', 'trademark_violation', 'impersonation', 'unauthorized_distribution', 'other']).withMessage('Invalid incident type'),
+  body('severity').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid severity level'),
+  body('priority').optional().isIn(['low', 'normal', 'high', 'urgent']).withMessage('Invalid priority level'),
+  body('infringedContent').optional().trim().isLength({ min: 5 }).withMessage('Infringed content description is required'),
+  body('infringedUrls').optional().isArray({ min: 1 }).withMessage('At least one infringed URL is required'),
+  body('infringerInfo').optional().isObject().withMessage('Infringer info must be an object'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('dueDate').optional({ nullable: true }).isISO8601().withMessage('Invalid due date'),
+  body('evidenceFiles').optional().isArray().withMessage('Evidence files must be an array'),
+];
+
 // @route   PUT /api/incidents/:id
-// @desc    Update incident
+// @desc    Update incident details
 // @access  Private
-router.put('/:id', auth, requirePermission('edit_incidents'), async (req, res) => {
+router.put('/:id', auth, requirePermission('edit_incidents'), incidentUpdateValidation, async (req, res) => {
   try {
-    const db = databaseService.getService();
-    
-    if (databaseService.type === 'supabase') {
-      const { data, error } = await db.updateIncident(req.params.id, req.body);
-      
-      if (error) {
-        return res.status(500).json({ message: 'Server error', error: error.message });
-      }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-      res.json({
-        message: 'Incident updated successfully',
-        incident: data
-      });
-    } else {
-      // Fallback to MongoDB
-      const Incident = require('../models/Incident');
-      
-      const incident = await Incident.findByIdAndUpdate(
-        req.params.id,
-        req.body,
-        { new: true, runValidators: true }
-      ).populate('reporter', 'firstName lastName email department');
-
-      if (!incident) {
-        return res.status(404).json({ message: 'Incident not found' });
-      }
+    // Evidence is attached by the descriptors /api/upload/multiple returned for stored files
+    const evidenceDescriptors = req.body.evidenceFiles || [];
+    if (evidenceDescriptors.some(descriptor => !evidenceService.isValidDescriptor(descriptor))) {
+      return res.status(400).json({ message: 'Evidence files must be uploaded through /api/upload/multiple' });
+    }
+
+    const { incidents } = databaseService.getRepositories();
+    const existing = await incidents.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    const updates = {};
+    EDITABLE_INCIDENT_FIELDS.forEach(field => {
+      if (typeof req.body[field] !== 'undefined') updates[field] = req.body[field];
+    });
+    if (updates.infringedUrls) {
+      updates.infringedUrls = updates.infringedUrls.map(({ id, ...urlObj }) => withProtocol(urlObj));
+    }
+
+    const { oldValues, newValues, changed } = caseActivityService.diff(existing, updates, EDITABLE_INCIDENT_FIELDS);
+
+    // Re-submitted descriptors for files that are already attached are ignored
+    const attachedKeys = existing.evidence.map(file => evidenceService.describe(file).key);
+    const newEvidence = evidenceService.fromDescriptors(
+      evidenceDescriptors.filter(descriptor => !attachedKeys.includes(descriptor.key))
+    );
+
+    if (changed.length === 0 && newEvidence.length === 0) {
+      return res.json({ message: 'No changes to update', incident: toResponse(existing) });
+    }
+
+    const incident = await incidents.update(existing._id, {
+      ...newValues,
+      ...(changed.includes('dueDate') && { sla: slaService.resetFlags(existing.sla) }),
+      ...(newEvidence.length > 0 && { evidence: [...existing.evidence, ...newEvidence] }),
+    });
 
-      res.json({
-        message: 'Incident updated successfully',
-        incident
+    if (changed.length > 0) {
+      await caseActivityService.log({
+        incidentId: incident._id,
+        userId: req.user.id,
+        type: 'updated',
+        description: `Updated ${changed.join(', ')}`,
+        oldValues,
+        newValues,
       });
     }
 
+    await evidenceService.recordDocuments(incident._id, newEvidence);
+    await logEvidenceUploaded(incident._id, req.user.id, newEvidence);
+
+    res.json({ message: 'Incident updated successfully', incident: toResponse(incident) });
+
   } catch (error) {
     console.error('Error updating incident:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
+// @route   POST /api/incidents/:id/notes
+// @desc    Add note to incident
+// @access  Private
+router.post('/:id/notes', auth, [
+  body('content').trim().isLength({ min: 1 }).withMessage('Note content is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { content } = req.body;
+    const { incidents, users } = databaseService.getRepositories();
+
+    const existing = await incidents.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    const note = { content, author: req.user.id, createdAt: new Date().toISOString() };
+    const incident = await incidents.update(existing._id, { notes: [...existing.notes, note] });
+
+    await caseActivityService.log({
+      incidentId: incident._id,
+      userId: req.user.id,
+      type: 'comment_added',
+      description: 'Note added',
+      metadata: { content },
+    });
+
+    const notes = await populateNoteAuthors(users, incident.notes);
+    res.json({ message: 'Note added successfully', incident: toResponse({ ...incident, notes }) });
+
+  } catch (error) {
+    console.error('Error adding note:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   PUT /api/incidents/:id/status
+// @desc    Update incident status
+// @access  Private
+router.put('/:id/status', auth, requirePermission('edit_incidents'), [
+  body('status').isIn(workflowService.statuses).withMessage('Invalid status'),
+  body('resolution.outcome').optional().isIn(workflowService.resolutionOutcomes).withMessage('Invalid resolution outcome'),
+  body('resolution.notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, resolution } = req.body;
+    const { incidents } = databaseService.getRepositories();
+
+    const existing = await incidents.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    const transition = await workflowService.validateTransition({
+      from: existing.status,
+      to: status,
+      incidentType: existing.incidentType,
+      role: req.user.role,
+      values: workflowService.toWorkflowValues(existing, { resolution })
+    });
+
+    if (!transition.valid) {
+      return res.status(transition.statusCode).json({
+        message: transition.message,
+        missingFields: transition.missingFields,
+        required: transition.required
+      });
+    }
+
+    const updates = { status };
+    if (resolution) {
+      updates.resolution = { ...existing.resolution, ...resolution };
+    }
+    if (status === 'resolved' || status === 'closed') {
+      updates.resolvedAt = new Date();
+    }
+    const incident = await incidents.update(existing._id, updates);
+
+    await caseActivityService.logStatusChange({
+      incidentId: incident._id,
+      userId: req.user.id,
+      oldStatus: existing.status,
+      newStatus: status,
+    });
+
+    await notificationService.notifyStatusChange({
+      incidentId: incident._id,
+      caseLabel: `${incident.caseNumber} ${incident.title}`,
+      recipientIds: [refId(existing.reporter), refId(existing.assignedTo)],
+      actorId: req.user.id,
+      oldStatus: existing.status,
+      newStatus: status,
+    });
+
+    realtimeService.publishCaseStatus({
+      id: incident._id,
+      caseNumber: incident.caseNumber,
+      title: incident.title,
+      oldStatus: existing.status,
+      newStatus: status,
+      reporterId: refId(existing.reporter),
+      assignedTo: refId(existing.assignedTo),
+      changedBy: req.user.id,
+    });
+
+    res.json({ message: 'Incident status updated successfully', incident: toResponse(incident) });
+
+  } catch (error) {
+    console.error('Error updating incident status:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Shared handler for soft-deleting an incident (exposed as both DELETE and POST for clients
+// whose proxies strip DELETE request bodies)
+const softDeleteIncident = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason } = req.body;
+    const { incidents } = databaseService.getRepositories();
+
+    const existing = await incidents.findById(req.params.id, { includeDeleted: true });
+    if (!existing) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+    if (existing.deletedAt) {
+      return res.status(400).json({ message: 'Incident is already deleted' });
+    }
+
+    const incident = await incidents.update(existing._id, {
+      deletedAt: new Date(),
+      deletedBy: req.user.id,
+      deletedReason: reason || null,
+    });
+
+    await caseActivityService.log({
+      incidentId: incident._id,
+      userId: req.user.id,
+      type: 'deleted',
+      description: reason ? `Incident deleted: ${reason}` : 'Incident deleted',
+      metadata: reason ? { reason } : {},
+    });
+
+    res.json({ message: 'Incident deleted successfully', incident: toResponse(incident) });
+
+  } catch (error) {
+    console.error('Error deleting incident:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+const softDeleteValidation = [
+  body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters'),
+];
+
+// @route   DELETE /api/incidents/:id
+// @desc    Soft delete incident
+// @access  Private (admin and manager)
+router.delete('/:id', auth, requireRole('admin', 'manager'), softDeleteValidation, softDeleteIncident);
+
+// @route   POST /api/incidents/:id/delete
+// @desc    Soft delete incident
+// @access  Private (admin and manager)
+router.post('/:id/delete', auth, requireRole('admin', 'manager'), softDeleteValidation, softDeleteIncident);
+
+// @route   POST /api/incidents/:id/restore
+// @desc    Restore a soft-deleted incident
+// @access  Private (admin and manager)
+router.post('/:id/restore', auth, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { incidents } = databaseService.getRepositories();
+
+    const existing = await incidents.findById(req.params.id, { includeDeleted: true });
+    if (!existing) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+    if (!existing.deletedAt) {
+      return res.status(400).json({ message: 'Incident is not deleted' });
+    }
+
+    const incident = await incidents.update(existing._id, { deletedAt: null, deletedBy: null, deletedReason: null });
+
+    await caseActivityService.log({
+      incidentId: incident._id,
+      userId: req.user.id,
+      type: 'restored',
+      description: 'Incident restored',
+    });
+
+    res.json({ message: 'Incident restored successfully', incident: toResponse(incident) });
+
+  } catch (error) {
+    console.error('Error restoring incident:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 module.exports = router;
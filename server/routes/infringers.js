@@ -0,0 +1,249 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const databaseService = require('../config/databaseService');
+const { refId } = require('../repositories');
+const infringerService = require('../services/infringerService');
+const { auth, requirePermission } = require('../middleware/auth-supabase');
+
+const router = express.Router();
+
+const infringerValidation = [
+  body('name').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Name must be between 1 and 200 characters'),
+  body('aliases').optional().isArray().withMessage('Aliases must be an array'),
+  body('emails').optional().isArray().withMessage('Emails must be an array'),
+  body('emails.*').optional().isEmail().withMessage('Invalid email address'),
+  body('domains').optional().isArray().withMessage('Domains must be an array'),
+  body('hostingProviders').optional().isArray().withMessage('Hosting providers must be an array'),
+  body('socialHandles').optional().isArray().withMessage('Social handles must be an array'),
+  body('socialHandles.*.handle').optional().trim().notEmpty().withMessage('Social handles need a handle'),
+  body('notes').optional().trim()
+];
+
+const EDITABLE_FIELDS = ['name', 'aliases', 'emails', 'domains', 'hostingProviders', 'socialHandles', 'notes'];
+
+const pickEditable = (fields) => EDITABLE_FIELDS.reduce((picked, field) => (
+  fields[field] === undefined ? picked : { ...picked, [field]: fields[field] }
+), {});
+
+// Staff only see cases they reported or are assigned to
+const canViewCase = (user, incident) => (
+  Boolean(incident) && (user.role !== 'staff' || [refId(incident.reporter), refId(incident.assignedTo)].includes(String(user.id)))
+);
+
+// @route   GET /api/infringers
+// @desc    Search the infringer registry, repeat offenders first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { infringers } = databaseService.getRepositories();
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { search, domain, minIncidents, sortBy = 'incidentCount', sortOrder = 'desc' } = req.query;
+
+    const { items, total } = await infringers.list({
+      search,
+      domain: domain ? String(domain).toLowerCase() : undefined,
+      minIncidents: parseInt(minIncidents) || undefined
+    }, { page, limit, sortBy, sortOrder });
+
+    res.json({
+      infringers: items,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching infringers:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/infringers/:id
+// @desc    Get an infringer with their incidents, alerts, notices and response statistics
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const { infringers } = databaseService.getRepositories();
+
+    const infringer = await infringers.findById(req.params.id);
+    if (!infringer) {
+      return res.status(404).json({ message: 'Infringer not found' });
+    }
+
+    const history = await infringerService.history(infringer._id, {
+      canView: incident => canViewCase(req.user, incident)
+    });
+
+    res.json({ infringer, ...history });
+
+  } catch (error) {
+    console.error('Error fetching infringer:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/infringers
+// @desc    Register an infringer
+// @access  Private
+router.post('/', auth, requirePermission('edit_incidents'), [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...infringerValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { infringers } = databaseService.getRepositories();
+    const infringer = await infringers.create(infringerService.normalize({
+      ...pickEditable(req.body),
+      createdBy: req.user.id
+    }));
+
+    res.status(201).json({
+      message: 'Infringer registered successfully',
+      infringer
+    });
+
+  } catch (error) {
+    console.error('Error creating infringer:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   PUT /api/infringers/:id
+// @desc    Update an infringer's names and identifiers
+// @access  Private
+router.put('/:id', auth, requirePermission('edit_incidents'), infringerValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { infringers } = databaseService.getRepositories();
+
+    const existing = await infringers.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Infringer not found' });
+    }
+
+    const infringer = await infringers.update(existing._id, infringerService.normalize(pickEditable(req.body)));
+
+    res.json({
+      message: 'Infringer updated successfully',
+      infringer
+    });
+
+  } catch (error) {
+    console.error('Error updating infringer:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   DELETE /api/infringers/:id
+// @desc    Remove an infringer from the registry, unlinking their incidents and alerts
+// @access  Private (admin)
+router.delete('/:id', auth, requirePermission('delete_incidents'), async (req, res) => {
+  try {
+    const { infringers, incidents, alerts } = databaseService.getRepositories();
+
+    const infringer = await infringers.findById(req.params.id);
+    if (!infringer) {
+      return res.status(404).json({ message: 'Infringer not found' });
+    }
+
+    const [{ items: linkedIncidents }, { items: linkedAlerts }] = await Promise.all([
+      incidents.list({ infringerId: infringer._id, includeDeleted: true }),
+      alerts.list({ infringerId: infringer._id })
+    ]);
+
+    await Promise.all([
+      ...linkedIncidents.map(incident => incidents.update(incident._id, { infringerId: null })),
+      ...linkedAlerts.map(alert => alerts.update(alert._id, { infringerId: null }))
+    ]);
+    await infringers.delete(infringer._id);
+
+    res.json({ message: 'Infringer deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting infringer:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   PUT /api/infringers/:id/incidents/:incidentId
+// @desc    Link an incident to this infringer
+// @access  Private
+router.put('/:id/incidents/:incidentId', auth, requirePermission('edit_incidents'), async (req, res) => {
+  try {
+    const { infringers, incidents } = databaseService.getRepositories();
+
+    const [infringer, incident] = await Promise.all([
+      infringers.findById(req.params.id),
+      incidents.findById(req.params.incidentId)
+    ]);
+    if (!infringer) {
+      return res.status(404).json({ message: 'Infringer not found' });
+    }
+    if (!incident) {
+      return res.status(404).json({ message: 'Case not found' });
+    }
+
+    const previousId = refId(incident.infringerId);
+    await incidents.update(incident._id, { infringerId: infringer._id });
+
+    // The infringer the case moved away from loses it from its counts
+    if (previousId && previousId !== infringer._id) {
+      await infringerService.refreshStats(previousId);
+    }
+
+    res.json({
+      message: 'Incident linked successfully',
+      infringer: await infringerService.refreshStats(infringer._id)
+    });
+
+  } catch (error) {
+    console.error('Error linking incident to infringer:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   DELETE /api/infringers/:id/incidents/:incidentId
+// @desc    Unlink an incident from this infringer
+// @access  Private
+router.delete('/:id/incidents/:incidentId', auth, requirePermission('edit_incidents'), async (req, res) => {
+  try {
+    const { infringers, incidents } = databaseService.getRepositories();
+
+    const [infringer, incident] = await Promise.all([
+      infringers.findById(req.params.id),
+      incidents.findById(req.params.incidentId)
+    ]);
+    if (!infringer) {
+      return res.status(404).json({ message: 'Infringer not found' });
+    }
+    if (!incident || refId(incident.infringerId) !== infringer._id) {
+      return res.status(404).json({ message: 'Case is not linked to this infringer' });
+    }
+
+    await incidents.update(incident._id, { infringerId: null });
+
+    res.json({
+      message: 'Incident unlinked successfully',
+      infringer: await infringerService.refreshStats(infringer._id)
+    });
+
+  } catch (error) {
+    console.error('Error unlinking incident from infringer:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
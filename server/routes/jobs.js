@@ -0,0 +1,29 @@
+const express = require('express');
+
+const intakeJobService = require('../services/intakeJobService');
+const { cronAuth } = require('../middleware/cronAuth');
+
+const router = express.Router();
+
+// @route   GET|POST /api/jobs/trigger
+// @desc    Run the pending intake jobs (domain lookups, evidence capture) of the oldest cases and alerts
+//          and wait for them, for external schedulers. Responds 409 while a drain runs.
+// @access  Shared secret (Authorization: Bearer <CRON_SECRET>)
+const triggerDrain = async (req, res) => {
+  try {
+    const summary = await intakeJobService.drain();
+    if (summary.skipped) {
+      return res.status(409).json({ message: 'Intake jobs are already running' });
+    }
+
+    res.json({ summary });
+
+  } catch (error) {
+    console.error('Error triggering intake jobs:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+router.get('/trigger', cronAuth(), triggerDrain);
+router.post('/trigger', cronAuth(), triggerDrain);
+
+module.exports = router;
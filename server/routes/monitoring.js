@@ -1,36 +1,28 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const axios = require('axios');
-const cheerio = require('cheerio');
-const cron = require('node-cron');
 
-const MonitoringAlert = require('../models/MonitoringAlert');
-const Incident = require('../models/Incident');
-const { auth, requirePermission } = require('../middleware/auth');
+const databaseService = require('../config/databaseService');
+const { refId } = require('../repositories');
+const notificationService = require('../services/notificationService');
+const infringerService = require('../services/infringerService');
+const domainIntelService = require('../services/domainIntelService');
+const evidenceCaptureService = require('../services/evidenceCaptureService');
+const intakeJobService = require('../services/intakeJobService');
+const evidenceService = require('../services/evidenceService');
+const custodyService = require('../services/custodyService');
+const monitoringService = require('../services/monitoringService');
+const monitoringRunService = require('../services/monitoringRunService');
+const watchlistService = require('../services/watchlistService');
+const fingerprintService = require('../services/fingerprintService');
+const { auth, requirePermission } = require('../middleware/auth-supabase');
+const { uploadFingerprint } = require('../middleware/upload');
+const { isRecordId } = require('../middleware/validators');
+const { cronAuth } = require('../middleware/cronAuth');
 
 const router = express.Router();
 
-// Monitoring configuration
-const MONITORING_KEYWORDS = [
-  'Signing Naturally',
-  'DawnSignPress',
-  'ASL Pal',
-  'DSP Publications',
-  'Dawn Sign Press',
-  'ASL Learning',
-  'Deaf Education'
-];
-
-const MONITORING_DOMAINS = [
-  'oercommons.org',
-  'merlot.org',
-  'openstax.org',
-  'khanacademy.org',
-  'coursera.org',
-  'edx.org',
-  'youtube.com',
-  'vimeo.com'
-];
+// Scans started by an external scheduler may use a secret of their own
+const scanCronAuth = cronAuth('MONITORING_CRON_SECRET');
 
 // @route   GET /api/monitoring/alerts
 // @desc    Get monitoring alerts with filtering
@@ -51,50 +43,14 @@ router.get('/alerts', auth, async (req, res) => {
       sortOrder = 'desc'
     } = req.query;
 
-    // Build filter object
-    const filter = {};
-    
-    if (status) filter.status = status;
-    if (source) filter.source = source;
-    if (priority) filter.priority = priority;
-    if (assignedTo) filter.assignedTo = assignedTo;
-    
-    // Date range filtering
-    if (dateFrom || dateTo) {
-      filter.detectedAt = {};
-      if (dateFrom) filter.detectedAt.$gte = new Date(dateFrom);
-      if (dateTo) filter.detectedAt.$lte = new Date(dateTo);
-    }
-    
-    // Search functionality
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { detectedContent: { $regex: search, $options: 'i' } },
-        { matchedKeywords: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
-
-    // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const alerts = await MonitoringAlert.find(filter)
-      .populate('assignedTo', 'firstName lastName email')
-      .populate('reviewedBy', 'firstName lastName email')
-      .populate('incidentId', 'title caseNumber')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await MonitoringAlert.countDocuments(filter);
+    const { alerts } = databaseService.getRepositories();
+    const { items, total } = await alerts.list(
+      { status, source, priority, assignedTo, search, dateFrom, dateTo },
+      { page: parseInt(page), limit: parseInt(limit), sortBy, sortOrder }
+    );
 
     res.json({
-      alerts,
+      alerts: items,
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / parseInt(limit)),
@@ -114,12 +70,9 @@ router.get('/alerts', auth, async (req, res) => {
 // @access  Private
 router.get('/alerts/:id', auth, async (req, res) => {
   try {
-    const alert = await MonitoringAlert.findById(req.params.id)
-      .populate('assignedTo', 'firstName lastName email')
-      .populate('reviewedBy', 'firstName lastName email')
-      .populate('incidentId', 'title caseNumber')
-      .populate('notes.author', 'firstName lastName');
+    const { alerts } = databaseService.getRepositories();
 
+    const alert = await alerts.findById(req.params.id);
     if (!alert) {
       return res.status(404).json({ message: 'Alert not found' });
     }
@@ -136,7 +89,7 @@ router.get('/alerts/:id', auth, async (req, res) => {
 // @desc    Assign alert to user
 // @access  Private
 router.post('/alerts/:id/assign', auth, requirePermission('edit_incidents'), [
-  body('assignedTo').isMongoId().withMessage('Invalid user ID')
+  isRecordId(body('assignedTo')).withMessage('Invalid user ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -144,15 +97,26 @@ router.post('/alerts/:id/assign', auth, requirePermission('edit_incidents'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const alert = await MonitoringAlert.findById(req.params.id);
-    if (!alert) {
+    const { alerts } = databaseService.getRepositories();
+
+    if (!await alerts.findById(req.params.id)) {
       return res.status(404).json({ message: 'Alert not found' });
     }
 
-    alert.assignedTo = req.body.assignedTo;
-    await alert.save();
+    const alert = await alerts.update(req.params.id, {
+      assignedTo: req.body.assignedTo,
+      assignedAt: new Date()
+    });
 
-    await alert.populate('assignedTo', 'firstName lastName email');
+    if (req.body.assignedTo !== String(req.user.id)) {
+      await notificationService.create({
+        userId: req.body.assignedTo,
+        title: 'Monitoring alert assigned to you',
+        message: `${alert.title} has been assigned to you for review.`,
+        category: 'assignment',
+        actionUrl: '/monitoring'
+      });
+    }
 
     res.json({
       message: 'Alert assigned successfully',
@@ -165,6 +129,59 @@ router.post('/alerts/:id/assign', auth, requirePermission('edit_incidents'), [
   }
 });
 
+// @route   POST /api/monitoring/alerts/:id/domain-intel
+// @desc    Look up the alert's domain again, bypassing cached results
+// @access  Private
+router.post('/alerts/:id/domain-intel', auth, requirePermission('edit_incidents'), async (req, res) => {
+  try {
+    const { alerts } = databaseService.getRepositories();
+
+    const existing = await alerts.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    const alert = await domainIntelService.enrichAlert(existing, { refresh: true });
+
+    res.json({
+      message: 'Domain intelligence updated',
+      alert
+    });
+
+  } catch (error) {
+    console.error('Error refreshing alert domain intelligence:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/monitoring/alerts/:id/capture
+// @desc    Archive the alert's page again, replacing the capture recorded on it
+// @access  Private
+router.post('/alerts/:id/capture', auth, requirePermission('edit_incidents'), async (req, res) => {
+  try {
+    const { alerts } = databaseService.getRepositories();
+
+    const existing = await alerts.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    const alert = await evidenceCaptureService.captureAlert(existing, { userId: req.user.id });
+    if (alert.evidenceCapture?.error) {
+      return res.status(502).json({ message: `Capture failed: ${alert.evidenceCapture.error}`, alert });
+    }
+
+    res.json({
+      message: 'Page captured',
+      alert
+    });
+
+  } catch (error) {
+    console.error('Error capturing alert evidence:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // @route   PUT /api/monitoring/alerts/:id/status
 // @desc    Update alert status
 // @access  Private
@@ -177,13 +194,21 @@ router.put('/alerts/:id/status', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const alert = await MonitoringAlert.findById(req.params.id);
-    if (!alert) {
+    const { alerts } = databaseService.getRepositories();
+
+    const existing = await alerts.findById(req.params.id);
+    if (!existing) {
       return res.status(404).json({ message: 'Alert not found' });
     }
 
-    await alert.updateStatus(req.body.status, req.user._id);
-    await alert.populate('reviewedBy', 'firstName lastName email');
+    // The first review and the resolution are recorded once
+    const { status } = req.body;
+    const updates = { status };
+    if (status === 'reviewed' && !existing.reviewedBy) updates.reviewedBy = req.user.id;
+    if (status === 'reviewed' && !existing.reviewedAt) updates.reviewedAt = new Date();
+    if (status === 'resolved' && !existing.resolvedAt) updates.resolvedAt = new Date();
+
+    const alert = await alerts.update(existing._id, updates);
 
     res.json({
       message: 'Status updated successfully',
@@ -201,52 +226,73 @@ router.put('/alerts/:id/status', auth, [
 // @access  Private
 router.post('/alerts/:id/create-incident', auth, requirePermission('create_incidents'), async (req, res) => {
   try {
-    const alert = await MonitoringAlert.findById(req.params.id);
+    const { alerts, incidents } = databaseService.getRepositories();
+
+    const alert = await alerts.findById(req.params.id);
     if (!alert) {
       return res.status(404).json({ message: 'Alert not found' });
     }
 
-    // Create incident data from alert
-    const incidentData = {
+    // The page as captured when the alert was raised becomes the case's first evidence
+    const captured = evidenceCaptureService.toEvidence(alert, { userId: req.user.id });
+    const capturedKeys = (alert.evidenceCapture?.files || []).map(file => file.key);
+
+    const incident = await incidents.create({
       title: alert.title,
-      description: alert.description,
-      reporter: req.user._id,
+      description: alert.description || alert.title,
+      reporter: req.user.id,
       incidentType: 'copyright_infringement',
       severity: alert.priority === 'critical' ? 'critical' : alert.priority === 'high' ? 'high' : 'medium',
-      infringedContent: alert.dspContent?.title || 'Unknown DSP Content',
-      infringedUrls: [{
+      status: 'reported',
+      infringedContent: alert.dspContent.title || 'Unknown DSP Content',
+      infringedUrls: alert.sourceUrl ? [{
         url: alert.sourceUrl,
         description: alert.description,
-        verified: true
-      }],
+        verified: true,
+        ...(captured.length > 0 ? {
+          capturedAt: alert.evidenceCapture.capturedAt,
+          captureManifest: alert.evidenceCapture.files[alert.evidenceCapture.files.length - 1].key
+        } : {})
+      }] : [],
       infringerInfo: {
-        name: alert.metadata?.platform || 'Unknown',
+        name: alert.metadata.platform || 'Unknown',
         website: alert.sourceDomain
       },
+      infringerId: alert.infringerId,
       monitoringSource: alert.source,
-      evidence: alert.screenshots.map(screenshot => ({
-        type: 'screenshot',
-        filename: screenshot,
-        description: 'Screenshot from monitoring alert'
-      }))
-    };
-
-    const incident = new Incident(incidentData);
-    await incident.save();
+      evidence: [
+        ...captured,
+        ...alert.screenshots.filter(screenshot => !capturedKeys.includes(screenshot)).map(screenshot => ({
+          type: 'screenshot',
+          filename: screenshot,
+          description: 'Screenshot from monitoring alert'
+        }))
+      ],
+      reportedAt: new Date(),
+      pendingJobs: intakeJobService.jobsFor()
+    });
+    await evidenceService.recordDocuments(incident._id, captured);
+    if (captured.length > 0) {
+      const { capturedAt, files } = alert.evidenceCapture;
+      await custodyService.recordIngest(incident._id, captured, {
+        userId: req.user.id,
+        action: 'captured',
+        details: {
+          ...evidenceCaptureService.custodyDetails({ url: alert.sourceUrl, capturedAt, manifest: files[files.length - 1] }),
+          alertId: alert._id
+        }
+      });
+    }
 
     // Link alert to incident
-    alert.incidentId = incident._id;
-    alert.status = 'action_taken';
-    await alert.save();
-
-    await incident.populate('reporter', 'firstName lastName email department');
+    await alerts.update(alert._id, { incidentId: incident._id, status: 'action_taken' });
+    const infringer = await infringerService.matchIncident(incident._id, { userId: req.user.id });
+    intakeJobService.start();
 
     res.json({
       message: 'Incident created successfully',
-      incident: {
-        ...incident.toObject(),
-        caseNumber: incident.caseNumber
-      }
+      incident,
+      infringer
     });
 
   } catch (error) {
@@ -256,17 +302,27 @@ router.post('/alerts/:id/create-incident', auth, requirePermission('create_incid
 });
 
 // @route   POST /api/monitoring/scan
-// @desc    Trigger manual monitoring scan
+// @desc    Trigger a manual monitoring scan of every enabled watchlist
 // @access  Private (admin only)
 router.post('/scan', auth, requirePermission('create_incidents'), async (req, res) => {
   try {
-    const results = await performMonitoringScan();
-    
+    const { skipped, run, alerts } = await monitoringRunService.execute({ trigger: 'manual', userId: req.user.id });
+    if (skipped) {
+      return res.status(409).json({ message: 'A monitoring scan is already running', run });
+    }
+    if (run.status === 'failed') {
+      return res.status(500).json({ message: 'Monitoring scan failed', error: run.error, run });
+    }
+
     res.json({
       message: 'Monitoring scan completed',
+      run,
       results: {
-        alertsFound: results.length,
-        alerts: results
+        alertsFound: alerts.length,
+        newAlerts: run.newAlertIds.length,
+        alerts,
+        connectors: run.connectors,
+        watchlists: run.watchlists
       }
     });
 
@@ -276,226 +332,551 @@ router.post('/scan', auth, requirePermission('create_incidents'), async (req, re
   }
 });
 
-// @route   GET /api/monitoring/stats/overview
-// @desc    Get monitoring statistics
+// @route   GET /api/monitoring/runs
+// @desc    Get the history of monitoring scans, newest first
 // @access  Private
-router.get('/stats/overview', auth, async (req, res) => {
+router.get('/runs', auth, async (req, res) => {
   try {
-    const stats = await MonitoringAlert.aggregate([
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          new: { $sum: { $cond: [{ $eq: ['$status', 'new'] }, 1, 0] } },
-          reviewed: { $sum: { $cond: [{ $eq: ['$status', 'reviewed'] }, 1, 0] } },
-          investigating: { $sum: { $cond: [{ $eq: ['$status', 'investigating'] }, 1, 0] } },
-          actionTaken: { $sum: { $cond: [{ $eq: ['$status', 'action_taken'] }, 1, 0] } },
-          resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
-          falsePositive: { $sum: { $cond: [{ $eq: ['$status', 'false_positive'] }, 1, 0] } }
-        }
-      }
-    ]);
+    const { monitoringRuns } = databaseService.getRepositories();
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { status, trigger } = req.query;
 
-    const sourceStats = await MonitoringAlert.aggregate([
-      {
-        $group: {
-          _id: '$source',
-          count: { $sum: 1 }
-        }
+    const { items, total } = await monitoringRuns.list({ status, trigger }, { page, limit, sortBy: 'startedAt', sortOrder: 'desc' });
+
+    res.json({
+      runs: items,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
       }
-    ]);
-
-    const monthlyStats = await MonitoringAlert.aggregate([
-      {
-        $group: {
-          _id: {
-            year: { $year: '$detectedAt' },
-            month: { $month: '$detectedAt' }
-          },
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { '_id.year': -1, '_id.month': -1 } },
-      { $limit: 12 }
-    ]);
+    });
+
+  } catch (error) {
+    console.error('Error fetching monitoring runs:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET|POST /api/monitoring/runs/trigger
+// @desc    Scan the watchlists that are due (all enabled ones with ?all=true) and wait for the
+//          run to finish, for external schedulers. Responds 409 while another scan runs.
+// @access  Shared secret (Authorization: Bearer <MONITORING_CRON_SECRET>)
+const triggerRun = async (req, res) => {
+  try {
+    const { skipped, run } = await monitoringRunService.execute({ trigger: 'http', dueOnly: req.query.all !== 'true' });
+    if (skipped) {
+      return res.status(409).json({ message: 'A monitoring scan is already running', run });
+    }
+
+    res.status(run.status === 'failed' ? 500 : 200).json({ run });
+
+  } catch (error) {
+    console.error('Error triggering monitoring run:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+router.get('/runs/trigger', scanCronAuth, triggerRun);
+router.post('/runs/trigger', scanCronAuth, triggerRun);
+
+// @route   GET /api/monitoring/runs/:id
+// @desc    Get a monitoring run with the alerts it saved
+// @access  Private
+router.get('/runs/:id', auth, async (req, res) => {
+  try {
+    const { monitoringRuns, alerts } = databaseService.getRepositories();
+
+    const run = await monitoringRuns.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ message: 'Monitoring run not found' });
+    }
+
+    const newAlerts = await Promise.all(run.newAlertIds.map(id => alerts.findById(id)));
+
+    res.json({ run, alerts: newAlerts.filter(Boolean) });
+
+  } catch (error) {
+    console.error('Error fetching monitoring run:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/monitoring/connectors
+// @desc    Get the monitoring connectors with each connector's health
+// @access  Private
+router.get('/connectors', auth, async (req, res) => {
+  try {
+    const connectors = await monitoringService.getConnectors();
 
     res.json({
-      overview: stats[0] || { total: 0, new: 0, reviewed: 0, investigating: 0, actionTaken: 0, resolved: 0, falsePositive: 0 },
-      bySource: sourceStats,
-      monthly: monthlyStats
+      connectors,
+      connectorTypes: monitoringService.connectorTypes
     });
 
   } catch (error) {
-    console.error('Error fetching monitoring stats:', error);
+    console.error('Error fetching monitoring connectors:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Monitoring scan functions
-async function performMonitoringScan() {
-  const alerts = [];
-  
+// @route   PUT /api/monitoring/connectors
+// @desc    Replace the monitoring connector configuration
+// @access  Private (admin)
+router.put('/connectors', auth, requirePermission('system_settings'), [
+  body('connectors').isArray().withMessage('Connectors must be an array')
+], async (req, res) => {
   try {
-    // Google Alerts simulation (in production, integrate with Google Alerts API)
-    const googleAlerts = await simulateGoogleAlerts();
-    alerts.push(...googleAlerts);
-    
-    // BrandMentions simulation (in production, integrate with BrandMentions API)
-    const brandMentions = await simulateBrandMentions();
-    alerts.push(...brandMentions);
-    
-    // Automated web scraping
-    const webScans = await performWebScans();
-    alerts.push(...webScans);
-    
-    // Save alerts to database
-    for (const alertData of alerts) {
-      const existingAlert = await MonitoringAlert.findOne({
-        sourceUrl: alertData.sourceUrl,
-        detectedAt: {
-          $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) // Within last 24 hours
-        }
-      });
-      
-      if (!existingAlert) {
-        const alert = new MonitoringAlert(alertData);
-        await alert.save();
-      }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const config = { connectors: req.body.connectors };
+    const problems = monitoringService.validateConfig(config);
+    if (problems.length > 0) {
+      return res.status(400).json({ message: 'Invalid monitoring configuration', errors: problems });
     }
-    
-    return alerts;
+
+    await monitoringService.saveConfig(config, req.user.id);
+
+    res.json({
+      message: 'Monitoring connectors updated successfully',
+      connectors: await monitoringService.getConnectors()
+    });
+
   } catch (error) {
-    console.error('Error in monitoring scan:', error);
-    return [];
+    console.error('Error updating monitoring connectors:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
-}
+});
 
-async function simulateGoogleAlerts() {
-  // In production, integrate with Google Alerts API
-  // For now, return simulated data
-  return [
-    {
-      title: 'Signing Naturally Unit 5 Found on Educational Platform',
-      description: 'Potential unauthorized use of DSP content detected',
-      source: 'google_alerts',
-      sourceUrl: 'https://example-oer.org/signing-naturally-unit-5',
-      sourceDomain: 'example-oer.org',
-      detectedContent: 'Signing Naturally Unit 5: Family and Relationships',
-      matchedKeywords: ['Signing Naturally'],
-      confidence: 85,
-      dspContent: {
-        title: 'Signing Naturally Unit 5',
-        contentType: 'book'
-      },
-      metadata: {
-        platform: 'OER Commons',
-        language: 'en',
-        country: 'US'
-      }
+// @route   POST /api/monitoring/connectors/:id/test
+// @desc    Run one connector against the enabled watchlists and return what it finds without
+//          saving any alerts
+// @access  Private (admin)
+router.post('/connectors/:id/test', auth, requirePermission('system_settings'), async (req, res) => {
+  try {
+    const config = await monitoringService.getConfig();
+    const connector = config.connectors.find(entry => entry.id === req.params.id);
+    if (!connector) {
+      return res.status(404).json({ message: 'Connector not found' });
     }
-  ];
+
+    const watchlists = await watchlistService.getActive();
+    const { alerts, error } = await monitoringService.runConnector(connector, { watchlists });
+
+    res.json({
+      connector: connector.id,
+      alertsFound: alerts.length,
+      alerts,
+      error
+    });
+
+  } catch (error) {
+    console.error('Error testing monitoring connector:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+const watchlistValidation = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('description').optional({ nullable: true }).trim(),
+  body('enabled').optional().isBoolean().withMessage('Enabled must be true or false'),
+  body('frequency').optional().isIn(watchlistService.frequencies).withMessage('Invalid frequency'),
+  body('matchMode').optional().isIn(watchlistService.matchModes).withMessage('Invalid match mode'),
+  body('keywords').optional().isArray().withMessage('Keywords must be an array'),
+  body('query').optional({ nullable: true }).isString().withMessage('Query must be text'),
+  body('excludeTerms').optional().isArray().withMessage('Exclusion terms must be an array'),
+  body('domains').optional().isArray().withMessage('Domains must be an array'),
+  body('protectedWorks').optional().isArray().withMessage('Protected works must be an array of IDs'),
+  isRecordId(body('protectedWorks.*')).withMessage('Invalid protected work ID')
+];
+
+const WATCHLIST_FIELDS = ['name', 'description', 'enabled', 'frequency', 'matchMode', 'keywords', 'query', 'excludeTerms', 'domains', 'protectedWorks'];
+
+const workValidation = [
+  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+  body('workType').optional().isIn(watchlistService.workTypes).withMessage('Invalid work type'),
+  body('isbn').optional({ nullable: true }).trim(),
+  body('aliases').optional().isArray().withMessage('Aliases must be an array'),
+  body('description').optional({ nullable: true }).trim(),
+  body('active').optional().isBoolean().withMessage('Active must be true or false')
+];
+
+const WORK_FIELDS = ['title', 'workType', 'isbn', 'aliases', 'description', 'active'];
+
+const pick = (fields, allowed) => allowed.reduce((picked, field) => (
+  fields[field] === undefined ? picked : { ...picked, [field]: fields[field] }
+), {});
+
+// Problems with a watchlist as it would be saved, including protected works that do not exist
+async function watchlistProblems(watchlist) {
+  const { protectedWorks } = databaseService.getRepositories();
+  const problems = watchlistService.validate(watchlist);
+
+  const works = await Promise.all((watchlist.protectedWorks || []).map(work => protectedWorks.findById(refId(work))));
+  if (works.some(work => !work)) problems.push('protectedWorks contains a work that does not exist');
+
+  return problems;
 }
 
-async function simulateBrandMentions() {
-  // In production, integrate with BrandMentions API
-  return [
-    {
-      title: 'DawnSignPress Logo Used Without Permission',
-      description: 'Company logo found on unauthorized website',
-      source: 'brandmentions',
-      sourceUrl: 'https://unauthorized-site.com/about',
-      sourceDomain: 'unauthorized-site.com',
-      detectedContent: 'DawnSignPress logo and branding materials',
-      matchedKeywords: ['DawnSignPress'],
-      confidence: 90,
-      dspContent: {
-        title: 'DawnSignPress Logo',
-        contentType: 'other'
-      },
-      metadata: {
-        platform: 'Website',
-        language: 'en',
-        country: 'US'
-      }
+// @route   GET /api/monitoring/watchlists
+// @desc    Get the monitoring watchlists with the frequencies and match modes they accept
+// @access  Private
+router.get('/watchlists', auth, async (req, res) => {
+  try {
+    const { watchlists } = databaseService.getRepositories();
+    const { items } = await watchlists.list({}, { sortBy: 'name', sortOrder: 'asc' });
+
+    res.json({
+      watchlists: items.map(watchlist => ({ ...watchlist, due: watchlist.enabled && watchlistService.isDue(watchlist) })),
+      frequencies: watchlistService.frequencies,
+      matchModes: watchlistService.matchModes
+    });
+
+  } catch (error) {
+    console.error('Error fetching watchlists:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/monitoring/watchlists
+// @desc    Create a monitoring watchlist
+// @access  Private
+router.post('/watchlists', auth, requirePermission('edit_incidents'), [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...watchlistValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
-  ];
-}
 
-async function performWebScans() {
-  const alerts = [];
-  
+    const fields = watchlistService.normalize(pick(req.body, WATCHLIST_FIELDS));
+    const problems = await watchlistProblems(fields);
+    if (problems.length > 0) {
+      return res.status(400).json({ message: 'Invalid watchlist', errors: problems });
+    }
+
+    const { watchlists } = databaseService.getRepositories();
+    const watchlist = await watchlists.create({ ...fields, createdBy: req.user.id });
+
+    res.status(201).json({
+      message: 'Watchlist created successfully',
+      watchlist
+    });
+
+  } catch (error) {
+    console.error('Error creating watchlist:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   PUT /api/monitoring/watchlists/:id
+// @desc    Update a monitoring watchlist
+// @access  Private
+router.put('/watchlists/:id', auth, requirePermission('edit_incidents'), watchlistValidation, async (req, res) => {
   try {
-    // Scan OER repositories
-    for (const domain of MONITORING_DOMAINS) {
-      try {
-        const response = await axios.get(`https://${domain}/search`, {
-          params: {
-            q: MONITORING_KEYWORDS.join(' OR '),
-            limit: 10
-          },
-          timeout: 10000
-        });
-        
-        const $ = cheerio.load(response.data);
-        
-        // Parse search results and look for DSP content
-        $('.search-result, .result-item, .content-item').each((index, element) => {
-          const title = $(element).find('h3, .title, .name').text().trim();
-          const description = $(element).find('.description, .summary').text().trim();
-          const link = $(element).find('a').attr('href');
-          
-          if (title && link) {
-            const matchedKeywords = MONITORING_KEYWORDS.filter(keyword => 
-              title.toLowerCase().includes(keyword.toLowerCase()) ||
-              description.toLowerCase().includes(keyword.toLowerCase())
-            );
-            
-            if (matchedKeywords.length > 0) {
-              alerts.push({
-                title: `Potential DSP Content Found: ${title}`,
-                description: description || 'Content found during automated scan',
-                source: 'automated_scan',
-                sourceUrl: link.startsWith('http') ? link : `https://${domain}${link}`,
-                sourceDomain: domain,
-                detectedContent: title,
-                matchedKeywords,
-                confidence: Math.min(60 + (matchedKeywords.length * 10), 90),
-                dspContent: {
-                  title: title,
-                  contentType: 'other'
-                },
-                metadata: {
-                  platform: domain,
-                  language: 'en',
-                  country: 'US'
-                }
-              });
-            }
-          }
-        });
-      } catch (error) {
-        console.error(`Error scanning ${domain}:`, error.message);
-      }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { watchlists } = databaseService.getRepositories();
+
+    const existing = await watchlists.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Watchlist not found' });
+    }
+
+    const updates = watchlistService.normalize(pick(req.body, WATCHLIST_FIELDS));
+    const problems = await watchlistProblems({ ...existing, ...updates });
+    if (problems.length > 0) {
+      return res.status(400).json({ message: 'Invalid watchlist', errors: problems });
+    }
+
+    const watchlist = await watchlists.update(existing._id, updates);
+
+    res.json({
+      message: 'Watchlist updated successfully',
+      watchlist
+    });
+
+  } catch (error) {
+    console.error('Error updating watchlist:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   DELETE /api/monitoring/watchlists/:id
+// @desc    Delete a monitoring watchlist; alerts it found are kept
+// @access  Private
+router.delete('/watchlists/:id', auth, requirePermission('edit_incidents'), async (req, res) => {
+  try {
+    const { watchlists } = databaseService.getRepositories();
+
+    const watchlist = await watchlists.findById(req.params.id);
+    if (!watchlist) {
+      return res.status(404).json({ message: 'Watchlist not found' });
     }
+
+    await watchlists.delete(watchlist._id);
+
+    res.json({ message: 'Watchlist deleted successfully' });
+
   } catch (error) {
-    console.error('Error in web scanning:', error);
+    console.error('Error deleting watchlist:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
-  
-  return alerts;
-}
+});
 
-// Schedule automated monitoring scans
-if (process.env.NODE_ENV === 'production') {
-  // Run monitoring scan every 6 hours
-  cron.schedule('0 */6 * * *', async () => {
-    console.log('Running scheduled monitoring scan...');
-    try {
-      const results = await performMonitoringScan();
-      console.log(`Monitoring scan completed. Found ${results.length} potential alerts.`);
-    } catch (error) {
-      console.error('Scheduled monitoring scan failed:', error);
-    }
-  });
-}
+// @route   GET /api/monitoring/works
+// @desc    Get the protected works catalog
+// @access  Private
+router.get('/works', auth, async (req, res) => {
+  try {
+    const { protectedWorks, workFingerprints } = databaseService.getRepositories();
+    const { search, active } = req.query;
+
+    const { items } = await protectedWorks.list({
+      search,
+      active: active === undefined ? undefined : active === 'true'
+    }, { sortBy: 'title', sortOrder: 'asc' });
+    const fingerprints = await workFingerprints.listByWorks(items.map(work => work._id));
+
+    res.json({
+      works: items.map(work => ({
+        ...work,
+        fingerprints: fingerprints
+          .filter(fingerprint => fingerprint.workId === work._id)
+          .map(fingerprintService.summarize)
+      })),
+      workTypes: watchlistService.workTypes
+    });
+
+  } catch (error) {
+    console.error('Error fetching protected works:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/monitoring/works
+// @desc    Add a work to the protected works catalog
+// @access  Private
+router.post('/works', auth, requirePermission('edit_incidents'), [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  ...workValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { protectedWorks } = databaseService.getRepositories();
+    const work = await protectedWorks.create({
+      ...watchlistService.normalizeWork(pick(req.body, WORK_FIELDS)),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Protected work added successfully',
+      work
+    });
+
+  } catch (error) {
+    console.error('Error creating protected work:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   PUT /api/monitoring/works/:id
+// @desc    Update a protected work
+// @access  Private
+router.put('/works/:id', auth, requirePermission('edit_incidents'), workValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { protectedWorks } = databaseService.getRepositories();
+
+    const existing = await protectedWorks.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Protected work not found' });
+    }
+
+    const work = await protectedWorks.update(existing._id, watchlistService.normalizeWork(pick(req.body, WORK_FIELDS)));
+
+    res.json({
+      message: 'Protected work updated successfully',
+      work
+    });
+
+  } catch (error) {
+    console.error('Error updating protected work:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   DELETE /api/monitoring/works/:id
+// @desc    Delete a protected work, taking it off every watchlist
+// @access  Private
+router.delete('/works/:id', auth, requirePermission('edit_incidents'), async (req, res) => {
+  try {
+    const { protectedWorks, workFingerprints } = databaseService.getRepositories();
+
+    const work = await protectedWorks.findById(req.params.id);
+    if (!work) {
+      return res.status(404).json({ message: 'Protected work not found' });
+    }
+
+    await watchlistService.removeWork(work._id);
+    await workFingerprints.deleteByWork(work._id);
+    await protectedWorks.delete(work._id);
+
+    res.json({ message: 'Protected work deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting protected work:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/monitoring/works/:id/fingerprints
+// @desc    Get the reference fingerprints of a protected work
+// @access  Private
+router.get('/works/:id/fingerprints', auth, async (req, res) => {
+  try {
+    const { protectedWorks, workFingerprints } = databaseService.getRepositories();
+
+    const work = await protectedWorks.findById(req.params.id);
+    if (!work) {
+      return res.status(404).json({ message: 'Protected work not found' });
+    }
+
+    const fingerprints = await workFingerprints.listByWorks([work._id]);
+    res.json({ fingerprints: fingerprints.map(fingerprintService.summarize) });
+
+  } catch (error) {
+    console.error('Error fetching fingerprints:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /api/monitoring/works/:id/fingerprints
+// @desc    Fingerprint a reference copy of a protected work, uploaded as `file` or
+//          downloaded from `url`
+// @access  Private
+router.post('/works/:id/fingerprints', auth, requirePermission('edit_incidents'), uploadFingerprint('file'), [
+  body('url').optional({ checkFalsy: true }).isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('URL must be an http(s) URL'),
+  body('label').optional().trim().isLength({ max: 200 }).withMessage('Label must be 200 characters or fewer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!req.file && !req.body.url) {
+      return res.status(400).json({ message: 'Upload a file or give the URL of a copy of the work' });
+    }
+
+    const { protectedWorks } = databaseService.getRepositories();
+    const work = await protectedWorks.findById(req.params.id);
+    if (!work) {
+      return res.status(404).json({ message: 'Protected work not found' });
+    }
+
+    const options = { label: req.body.label, userId: req.user.id };
+    const fingerprint = req.file
+      ? await fingerprintService.createFromUpload(work, req.file, options)
+      : await fingerprintService.createFromUrl(work, req.body.url, options);
+
+    res.status(201).json({
+      message: 'Fingerprint added successfully',
+      fingerprint: fingerprintService.summarize(fingerprint)
+    });
+
+  } catch (error) {
+    if (error.status === 422) {
+      return res.status(422).json({ message: error.message });
+    }
+    console.error('Error creating fingerprint:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   DELETE /api/monitoring/works/:id/fingerprints/:fingerprintId
+// @desc    Delete a reference fingerprint
+// @access  Private
+router.delete('/works/:id/fingerprints/:fingerprintId', auth, requirePermission('edit_incidents'), async (req, res) => {
+  try {
+    const { workFingerprints } = databaseService.getRepositories();
+
+    const fingerprint = await workFingerprints.findById(req.params.fingerprintId);
+    if (!fingerprint || fingerprint.workId !== String(req.params.id)) {
+      return res.status(404).json({ message: 'Fingerprint not found' });
+    }
+
+    await workFingerprints.delete(fingerprint._id);
+
+    res.json({ message: 'Fingerprint deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting fingerprint:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/monitoring/stats/overview
+// @desc    Get monitoring statistics
+// @access  Private
+router.get('/stats/overview', auth, async (req, res) => {
+  try {
+    const { alerts } = databaseService.getRepositories();
+    const { items } = await alerts.list();
+
+    const countStatus = (status) => items.filter(alert => alert.status === status).length;
+    const bySource = {};
+    const monthly = {};
+
+    items.forEach(alert => {
+      bySource[alert.source] = bySource[alert.source] || { _id: alert.source, count: 0 };
+      bySource[alert.source].count += 1;
+
+      const detectedAt = new Date(alert.detectedAt);
+      const key = `${detectedAt.getUTCFullYear()}-${detectedAt.getUTCMonth() + 1}`;
+      monthly[key] = monthly[key] || {
+        _id: { year: detectedAt.getUTCFullYear(), month: detectedAt.getUTCMonth() + 1 },
+        count: 0
+      };
+      monthly[key].count += 1;
+    });
+
+    res.json({
+      overview: {
+        total: items.length,
+        new: countStatus('new'),
+        reviewed: countStatus('reviewed'),
+        investigating: countStatus('investigating'),
+        actionTaken: countStatus('action_taken'),
+        resolved: countStatus('resolved'),
+        falsePositive: countStatus('false_positive')
+      },
+      bySource: Object.values(bySource),
+      monthly: Object.values(monthly)
+        .sort((a, b) => b._id.year - a._id.year || b._id.month - a._id.month)
+        .slice(0, 12)
+    });
+
+  } catch (error) {
+    console.error('Error fetching monitoring stats:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
 module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+
+const notificationService = require('../services/notificationService');
+const { auth } = require('../middleware/auth-supabase');
+
+const router = express.Router();
+
+const CATEGORIES = ['incident', 'assignment', 'deadline', 'system', 'legal'];
+
+const currentUserId = (req) => req.user.id || req.user._id;
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { category } = req.query;
+
+    if (category && !CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: `Invalid category: ${category}` });
+    }
+
+    const { notifications, total, unreadCount } = await notificationService.list(currentUserId(req), {
+      page,
+      limit,
+      unreadOnly: req.query.unread === 'true',
+      category
+    });
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread notifications
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(currentUserId(req));
+    res.json({ unreadCount });
+
+  } catch (error) {
+    console.error('Error fetching unread count:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(currentUserId(req));
+    res.json({ message: 'All notifications marked as read', updated });
+
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const updated = await notificationService.markRead(currentUserId(req), req.params.id);
+    if (!updated) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification marked as read' });
+
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const deleted = await notificationService.remove(currentUserId(req), req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification deleted' });
+
+  } catch (error) {
+    console.error('Error deleting notification:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
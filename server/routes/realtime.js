@@ -0,0 +1,76 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
+
+const realtimeService = require('../services/realtimeService');
+const { auth, streamAuth } = require('../middleware/auth-supabase');
+
+const router = express.Router();
+
+// Stream tokens only need to outlive the time it takes to open the connection
+const STREAM_TOKEN_EXPIRY = '1m';
+
+// @route   POST /api/realtime/token
+// @desc    Issue a short-lived token for opening the event stream
+// @access  Private
+router.post('/token', auth, async (req, res) => {
+  try {
+    const userId = req.user.id || req.user._id;
+    const token = jwt.sign(
+      { userId, purpose: 'stream' },
+      process.env.JWT_SECRET || 'fallback-secret-key',
+      { expiresIn: STREAM_TOKEN_EXPIRY }
+    );
+
+    res.json({ token });
+
+  } catch (error) {
+    console.error('Error issuing stream token:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/realtime/stream
+// @desc    Server-Sent Events stream of chat, presence, case and monitoring events
+// @access  Private
+router.get('/stream', streamAuth, (req, res) => {
+  realtimeService.connect(req, res);
+});
+
+// @route   POST /api/realtime/typing
+// @desc    Broadcast that the current user is typing in a chat
+// @access  Private
+router.post('/typing', auth, [
+  body('isTyping').isBoolean().withMessage('isTyping must be a boolean'),
+  body('recipientId').optional({ nullable: true }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = (req.user.id || req.user._id).toString();
+    const { recipientId, isTyping } = req.body;
+
+    realtimeService.publish('chat:typing', {
+      userId,
+      firstName: req.user.firstName,
+      lastName: req.user.lastName,
+      recipientId: recipientId || null,
+      isTyping
+    }, {
+      // Direct-message typing only goes to the other participant
+      userIds: recipientId ? [recipientId] : undefined,
+      exclude: [userId]
+    });
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Error broadcasting typing status:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
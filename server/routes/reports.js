@@ -1,81 +1,101 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
 
-const Incident = require('../models/Incident');
-const Document = require('../models/Document');
-const MonitoringAlert = require('../models/MonitoringAlert');
-const { auth, requirePermission } = require('../middleware/auth');
+const databaseService = require('../config/databaseService');
+const slaService = require('../services/slaService');
+const { auth, requirePermission } = require('../middleware/auth-supabase');
 
 const router = express.Router();
 
+const OPEN_STATUSES = ['reported', 'under_review', 'in_progress'];
+const RESOLVED_STATUSES = ['resolved', 'closed'];
+
+const fullName = (user) => (user && user.firstName ? `${user.firstName} ${user.lastName}` : undefined);
+
+// Documents have no date filter of their own, so the report range is applied to createdAt here
+const createdWithin = (record, { dateFrom, dateTo }) => {
+  const createdAt = new Date(record.createdAt);
+  if (dateFrom && createdAt < new Date(dateFrom)) return false;
+  if (dateTo && createdAt > new Date(dateTo)) return false;
+  return true;
+};
+
+// Week of the year as MongoDB's $week counts it: weeks start on Sunday and days
+// before the first Sunday fall in week 0
+const weekOfYear = (date) => {
+  const startOfYear = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+  const dayOfYear = Math.floor((date - startOfYear) / (24 * 60 * 60 * 1000));
+  return Math.floor((dayOfYear + (startOfYear.getUTCDay() || 7)) / 7);
+};
+
+// Group records by period as { _id: { year, month|week, day }, count }, newest first
+const groupByPeriod = (rows, dateField, period, accumulate) => {
+  const groups = {};
+
+  rows.forEach(row => {
+    const date = new Date(row[dateField]);
+    const id = { year: date.getUTCFullYear() };
+    if (period === 'weekly') {
+      id.week = weekOfYear(date);
+    } else {
+      id.month = date.getUTCMonth() + 1;
+      if (period === 'daily') id.day = date.getUTCDate();
+    }
+
+    const key = JSON.stringify(id);
+    groups[key] = groups[key] || { _id: id, count: 0 };
+    groups[key].count += 1;
+    accumulate(groups[key], row);
+  });
+
+  return Object.values(groups)
+    .sort((a, b) => b._id.year - a._id.year ||
+      (b._id.month || b._id.week) - (a._id.month || a._id.week) ||
+      (b._id.day || 0) - (a._id.day || 0))
+    .slice(0, 12);
+};
+
 // @route   GET /api/reports/overview
 // @desc    Get comprehensive overview report
 // @access  Private
 router.get('/overview', auth, async (req, res) => {
   try {
     const { dateFrom, dateTo } = req.query;
-    
-    // Build date filter
-    const dateFilter = {};
-    if (dateFrom || dateTo) {
-      dateFilter.reportedAt = {};
-      if (dateFrom) dateFilter.reportedAt.$gte = new Date(dateFrom);
-      if (dateTo) dateFilter.reportedAt.$lte = new Date(dateTo);
-    }
+    const { incidents, documents, alerts } = databaseService.getRepositories();
 
-    // Get incident statistics
-    const incidentStats = await Incident.aggregate([
-      { $match: dateFilter },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          open: { $sum: { $cond: [{ $in: ['$status', ['reported', 'under_review', 'in_progress']] }, 1, 0] } },
-          resolved: { $sum: { $cond: [{ $in: ['$status', ['resolved', 'closed']] }, 1, 0] } },
-          critical: { $sum: { $cond: [{ $eq: ['$severity', 'critical'] }, 1, 0] } },
-          high: { $sum: { $cond: [{ $eq: ['$severity', 'high'] }, 1, 0] } },
-          avgResolutionTime: {
-            $avg: {
-              $cond: [
-                { $ne: ['$resolvedAt', null] },
-                { $subtract: ['$resolvedAt', '$reportedAt'] },
-                null
-              ]
-            }
-          }
-        }
-      }
+    const [{ items: incidentItems }, { items: documentItems }, { items: alertItems }, slaStats] = await Promise.all([
+      incidents.list({ dateFrom, dateTo }),
+      documents.list(),
+      alerts.list(),
+      slaService.getComplianceStats({ dateFrom, dateTo })
     ]);
 
-    // Get document statistics
-    const documentStats = await Document.aggregate([
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          sent: { $sum: { $cond: [{ $eq: ['$status', 'sent'] }, 1, 0] } },
-          responded: { $sum: { $cond: [{ $eq: ['$status', 'responded'] }, 1, 0] } }
-        }
-      }
-    ]);
-
-    // Get monitoring statistics
-    const monitoringStats = await MonitoringAlert.aggregate([
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          new: { $sum: { $cond: [{ $eq: ['$status', 'new'] }, 1, 0] } },
-          resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
-          falsePositive: { $sum: { $cond: [{ $eq: ['$status', 'false_positive'] }, 1, 0] } }
-        }
-      }
-    ]);
+    const resolutionTimes = incidentItems
+      .filter(incident => incident.resolvedAt)
+      .map(incident => new Date(incident.resolvedAt) - new Date(incident.reportedAt));
 
     res.json({
-      incidents: incidentStats[0] || { total: 0, open: 0, resolved: 0, critical: 0, high: 0, avgResolutionTime: 0 },
-      documents: documentStats[0] || { total: 0, sent: 0, responded: 0 },
-      monitoring: monitoringStats[0] || { total: 0, new: 0, resolved: 0, falsePositive: 0 }
+      incidents: {
+        total: incidentItems.length,
+        open: incidentItems.filter(incident => OPEN_STATUSES.includes(incident.status)).length,
+        resolved: incidentItems.filter(incident => RESOLVED_STATUSES.includes(incident.status)).length,
+        critical: incidentItems.filter(incident => incident.severity === 'critical').length,
+        high: incidentItems.filter(incident => incident.severity === 'high').length,
+        avgResolutionTime: resolutionTimes.length > 0
+          ? resolutionTimes.reduce((sum, time) => sum + time, 0) / resolutionTimes.length
+          : null
+      },
+      documents: {
+        total: documentItems.length,
+        sent: documentItems.filter(doc => doc.status === 'sent').length,
+        responded: documentItems.filter(doc => doc.status === 'responded').length
+      },
+      monitoring: {
+        total: alertItems.length,
+        new: alertItems.filter(alert => alert.status === 'new').length,
+        resolved: alertItems.filter(alert => alert.status === 'resolved').length,
+        falsePositive: alertItems.filter(alert => alert.status === 'false_positive').length
+      },
+      sla: slaStats
     });
 
   } catch (error) {
@@ -90,51 +110,21 @@ router.get('/overview', auth, async (req, res) => {
 router.get('/trends', auth, async (req, res) => {
   try {
     const { period = 'monthly' } = req.query;
-    
-    let groupFormat;
-    switch (period) {
-      case 'daily':
-        groupFormat = { year: { $year: '$reportedAt' }, month: { $month: '$reportedAt' }, day: { $dayOfMonth: '$reportedAt' } };
-        break;
-      case 'weekly':
-        groupFormat = { year: { $year: '$reportedAt' }, week: { $week: '$reportedAt' } };
-        break;
-      case 'monthly':
-      default:
-        groupFormat = { year: { $year: '$reportedAt' }, month: { $month: '$reportedAt' } };
-        break;
-    }
+    const { incidents, documents } = databaseService.getRepositories();
 
-    // Incident trends
-    const incidentTrends = await Incident.aggregate([
-      {
-        $group: {
-          _id: groupFormat,
-          count: { $sum: 1 },
-          resolved: { $sum: { $cond: [{ $in: ['$status', ['resolved', 'closed']] }, 1, 0] } },
-          critical: { $sum: { $cond: [{ $eq: ['$severity', 'critical'] }, 1, 0] } }
-        }
-      },
-      { $sort: { '_id.year': -1, '_id.month': -1, '_id.day': -1 } },
-      { $limit: 12 }
-    ]);
-
-    // Document trends
-    const documentTrends = await Document.aggregate([
-      {
-        $group: {
-          _id: groupFormat,
-          count: { $sum: 1 },
-          sent: { $sum: { $cond: [{ $eq: ['$status', 'sent'] }, 1, 0] } }
-        }
-      },
-      { $sort: { '_id.year': -1, '_id.month': -1, '_id.day': -1 } },
-      { $limit: 12 }
+    const [{ items: incidentItems }, { items: documentItems }] = await Promise.all([
+      incidents.list(),
+      documents.list()
     ]);
 
     res.json({
-      incidents: incidentTrends,
-      documents: documentTrends
+      incidents: groupByPeriod(incidentItems, 'reportedAt', period, (group, incident) => {
+        group.resolved = (group.resolved || 0) + (RESOLVED_STATUSES.includes(incident.status) ? 1 : 0);
+        group.critical = (group.critical || 0) + (incident.severity === 'critical' ? 1 : 0);
+      }),
+      documents: groupByPeriod(documentItems, 'createdAt', period, (group, doc) => {
+        group.sent = (group.sent || 0) + (doc.status === 'sent' ? 1 : 0);
+      })
     });
 
   } catch (error) {
@@ -149,32 +139,7 @@ router.get('/trends', auth, async (req, res) => {
 router.get('/export', auth, requirePermission('view_reports'), async (req, res) => {
   try {
     const { format = 'json', dateFrom, dateTo } = req.query;
-    
-    // Build date filter
-    const dateFilter = {};
-    if (dateFrom || dateTo) {
-      dateFilter.reportedAt = {};
-      if (dateFrom) dateFilter.reportedAt.$gte = new Date(dateFrom);
-      if (dateTo) dateFilter.reportedAt.$lte = new Date(dateTo);
-    }
-
-    // Get all incidents
-    const incidents = await Incident.find(dateFilter)
-      .populate('reporter', 'firstName lastName email department')
-      .populate('assignedTo', 'firstName lastName email')
-      .sort({ reportedAt: -1 });
-
-    // Get all documents
-    const documents = await Document.find(dateFilter)
-      .populate('incidentId', 'title caseNumber')
-      .populate('createdBy', 'firstName lastName email')
-      .sort({ createdAt: -1 });
-
-    // Get all monitoring alerts
-    const alerts = await MonitoringAlert.find(dateFilter)
-      .populate('assignedTo', 'firstName lastName email')
-      .populate('incidentId', 'title caseNumber')
-      .sort({ detectedAt: -1 });
+    const { incidents, documents, alerts } = await getExportRecords({ dateFrom, dateTo });
 
     const reportData = {
       generatedAt: new Date().toISOString(),
@@ -191,8 +156,8 @@ router.get('/export', auth, requirePermission('view_reports'), async (req, res)
         type: incident.incidentType,
         status: incident.status,
         severity: incident.severity,
-        reporter: incident.reporter?.fullName,
-        assignedTo: incident.assignedTo?.fullName,
+        reporter: fullName(incident.reporter),
+        assignedTo: fullName(incident.assignedTo),
         reportedAt: incident.reportedAt,
         resolvedAt: incident.resolvedAt
       })),
@@ -201,7 +166,7 @@ router.get('/export', auth, requirePermission('view_reports'), async (req, res)
         type: doc.type,
         status: doc.status,
         incidentCaseNumber: doc.incidentId?.caseNumber,
-        createdBy: doc.createdBy?.fullName,
+        createdBy: fullName(doc.createdBy),
         createdAt: doc.createdAt,
         sentDate: doc.sentDate
       })),
@@ -211,7 +176,7 @@ router.get('/export', auth, requirePermission('view_reports'), async (req, res)
         status: alert.status,
         priority: alert.priority,
         detectedAt: alert.detectedAt,
-        assignedTo: alert.assignedTo?.fullName,
+        assignedTo: fullName(alert.assignedTo),
         incidentCaseNumber: alert.incidentId?.caseNumber
       }))
     };
@@ -235,6 +200,22 @@ router.get('/export', auth, requirePermission('view_reports'), async (req, res)
   }
 });
 
+async function getExportRecords({ dateFrom, dateTo }) {
+  const { incidents, documents, alerts } = databaseService.getRepositories();
+
+  const [{ items: incidentItems }, { items: documentItems }, { items: alertItems }] = await Promise.all([
+    incidents.list({ dateFrom, dateTo }, { sortBy: 'reportedAt', sortOrder: 'desc' }),
+    documents.list({}, { sortBy: 'createdAt', sortOrder: 'desc' }),
+    alerts.list({ dateFrom, dateTo }, { sortBy: 'detectedAt', sortOrder: 'desc' })
+  ]);
+
+  return {
+    incidents: incidentItems,
+    documents: documentItems.filter(doc => createdWithin(doc, { dateFrom, dateTo })),
+    alerts: alertItems
+  };
+}
+
 // Helper function to convert data to CSV
 function convertToCSV(data) {
   const headers = [
@@ -1,11 +1,34 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 
-const Template = require('../models/Template');
-const { auth, requirePermission } = require('../middleware/auth');
+const databaseService = require('../config/databaseService');
+const { refId } = require('../repositories');
+const templateService = require('../services/templateService');
+const { auth, requirePermission } = require('../middleware/auth-supabase');
+const { isRecordId } = require('../middleware/validators');
 
 const router = express.Router();
 
+const TEMPLATE_TYPES = ['cease_desist', 'dmca_takedown', 'abuse_report', 'legal_notice', 'email_template', 'partial', 'other'];
+
+// Partials are included by name ({{> letterhead}}), so their names must be usable in a tag
+const PARTIAL_NAME = /^[\w.-]+$/;
+
+// Problem with a template about to be saved, or null when it can be saved
+const templateProblem = ({ type, name, content, subject }) => {
+  if (type === templateService.partialType && !PARTIAL_NAME.test(name)) {
+    return 'Partial names may only contain letters, numbers, ".", "-" and "_"';
+  }
+
+  try {
+    templateService.check({ content, subject });
+    return null;
+  } catch (error) {
+    if (templateService.isTemplateError(error)) return error.message;
+    throw error;
+  }
+};
+
 // @route   GET /api/templates
 // @desc    Get all templates with filtering
 // @access  Private
@@ -18,27 +41,15 @@ router.get('/', auth, async (req, res) => {
       isActive = true
     } = req.query;
 
-    // Build filter object
-    const filter = { isActive };
-    
-    if (type) filter.type = type;
-    if (category) filter.category = category;
-    
-    // Search functionality
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
-
-    const templates = await Template.find(filter)
-      .populate('createdBy', 'firstName lastName')
-      .populate('lastModifiedBy', 'firstName lastName')
-      .sort({ name: 1 });
+    const { templates } = databaseService.getRepositories();
+    const { items } = await templates.list({
+      type,
+      category,
+      search,
+      isActive: String(isActive) !== 'false'
+    });
 
-    res.json({ templates });
+    res.json({ templates: items });
 
   } catch (error) {
     console.error('Error fetching templates:', error);
@@ -51,10 +62,9 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
-    const template = await Template.findById(req.params.id)
-      .populate('createdBy', 'firstName lastName')
-      .populate('lastModifiedBy', 'firstName lastName');
+    const { templates } = databaseService.getRepositories();
 
+    const template = await templates.findById(req.params.id);
     if (!template) {
       return res.status(404).json({ message: 'Template not found' });
     }
@@ -72,13 +82,14 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private (legal and above)
 router.post('/', auth, requirePermission('create_documents'), [
   body('name').trim().isLength({ min: 3 }).withMessage('Name must be at least 3 characters'),
-  body('type').isIn(['cease_desist', 'dmca_takedown', 'abuse_report', 'legal_notice', 'email_template', 'other']).withMessage('Invalid template type'),
+  body('type').isIn(TEMPLATE_TYPES).withMessage('Invalid template type'),
   body('content').trim().isLength({ min: 10 }).withMessage('Content must be at least 10 characters'),
   body('subject').optional().trim(),
   body('description').optional().trim(),
   body('category').optional().trim(),
   body('tags').optional().isArray().withMessage('Tags must be an array'),
-  body('variables').optional().isArray().withMessage('Variables must be an array')
+  body('variables').optional().isArray().withMessage('Variables must be an array'),
+  body('variables.*.name').not().isIn(templateService.bindings).withMessage(`Variables cannot be named ${templateService.bindings.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -98,8 +109,13 @@ router.post('/', auth, requirePermission('create_documents'), [
       settings = {}
     } = req.body;
 
-    // Create template
-    const template = new Template({
+    const problem = templateProblem({ type, name, content, subject });
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+
+    const { templates } = databaseService.getRepositories();
+    const template = await templates.create({
       name,
       type,
       subject,
@@ -108,14 +124,11 @@ router.post('/', auth, requirePermission('create_documents'), [
       category,
       tags,
       variables,
-      settings,
-      createdBy: req.user._id,
-      lastModifiedBy: req.user._id
+      settings: { requireApproval: true, allowCustomization: true, autoSave: true, ...settings },
+      createdBy: req.user.id,
+      lastModifiedBy: req.user.id
     });
 
-    await template.save();
-    await template.populate('createdBy', 'firstName lastName');
-
     res.status(201).json({
       message: 'Template created successfully',
       template
@@ -137,7 +150,8 @@ router.put('/:id', auth, requirePermission('create_documents'), [
   body('description').optional().trim(),
   body('category').optional().trim(),
   body('tags').optional().isArray().withMessage('Tags must be an array'),
-  body('variables').optional().isArray().withMessage('Variables must be an array')
+  body('variables').optional().isArray().withMessage('Variables must be an array'),
+  body('variables.*.name').not().isIn(templateService.bindings).withMessage(`Variables cannot be named ${templateService.bindings.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -145,26 +159,48 @@ router.put('/:id', auth, requirePermission('create_documents'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const template = await Template.findById(req.params.id);
+    const { templates } = databaseService.getRepositories();
+
+    const template = await templates.findById(req.params.id);
     if (!template) {
       return res.status(404).json({ message: 'Template not found' });
     }
 
-    const updates = req.body;
-    delete updates._id;
-    delete updates.createdBy;
-    delete updates.createdAt;
+    const {
+      _id,
+      createdBy,
+      createdAt,
+      version,
+      history,
+      usageCount,
+      ...updates
+    } = req.body;
+    const fields = { ...updates, lastModifiedBy: req.user.id };
 
-    updates.lastModifiedBy = req.user._id;
-    Object.assign(template, updates);
+    const problem = templateProblem({ ...template, ...updates });
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
 
-    await template.save();
-    await template.populate('createdBy', 'firstName lastName');
-    await template.populate('lastModifiedBy', 'firstName lastName');
+    // Content changes bump the version and keep the previous revision
+    const contentChanged = (updates.content !== undefined && updates.content !== template.content) ||
+      (updates.subject !== undefined && updates.subject !== template.subject);
+    if (contentChanged) {
+      fields.version = template.version + 1;
+      fields.history = [...template.history, {
+        version: template.version,
+        content: template.content,
+        subject: template.subject,
+        modifiedBy: req.user.id,
+        modifiedAt: new Date()
+      }];
+    }
+
+    const updated = await templates.update(template._id, fields);
 
     res.json({
       message: 'Template updated successfully',
-      template
+      template: updated
     });
 
   } catch (error) {
@@ -174,10 +210,11 @@ router.put('/:id', auth, requirePermission('create_documents'), [
 });
 
 // @route   POST /api/templates/:id/preview
-// @desc    Preview template with variables
+// @desc    Preview template with variables, bound to an incident when incidentId is given
 // @access  Private
 router.post('/:id/preview', auth, [
-  body('variables').isObject().withMessage('Variables must be an object')
+  body('variables').optional().isObject().withMessage('Variables must be an object'),
+  isRecordId(body('incidentId').optional()).withMessage('Invalid incident ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -185,13 +222,29 @@ router.post('/:id/preview', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const template = await Template.findById(req.params.id);
+    const { templates, incidents } = databaseService.getRepositories();
+    const { incidentId, variables = {} } = req.body;
+
+    const template = await templates.findById(req.params.id);
     if (!template) {
       return res.status(404).json({ message: 'Template not found' });
     }
 
+    let incident = null;
+    if (incidentId) {
+      incident = await incidents.findById(incidentId);
+      if (!incident) {
+        return res.status(404).json({ message: 'Incident not found' });
+      }
+      // Staff only see cases they reported or are assigned to
+      if (req.user.role === 'staff' &&
+        ![refId(incident.reporter), refId(incident.assignedTo)].includes(String(req.user.id))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    }
+
     // Validate required variables
-    const validation = template.validateVariables(req.body.variables);
+    const validation = templateService.validateVariables(template, variables);
     if (!validation.isValid) {
       return res.status(400).json({ 
         message: 'Missing required variables',
@@ -200,15 +253,19 @@ router.post('/:id/preview', auth, [
     }
 
     // Render template
-    const rendered = template.render(req.body.variables);
+    const rendered = await templateService.renderFor(template, { incident, user: req.user, variables });
 
     res.json({
       subject: rendered.subject,
       content: rendered.content,
-      variables: req.body.variables
+      variables,
+      incidentId: incident ? incident._id : null
     });
 
   } catch (error) {
+    if (templateService.isTemplateError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error previewing template:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -227,31 +284,33 @@ router.put('/:id/approve', auth, requirePermission('create_documents'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const template = await Template.findById(req.params.id);
+    const { templates } = databaseService.getRepositories();
+
+    const template = await templates.findById(req.params.id);
     if (!template) {
       return res.status(404).json({ message: 'Template not found' });
     }
 
-    template.legalApproved = req.body.approved;
-    template.approvedBy = req.user._id;
-    template.approvedAt = new Date();
-
+    const fields = {
+      legalApproved: req.body.approved,
+      approvedBy: req.user.id,
+      approvedAt: new Date()
+    };
     if (req.body.comments) {
-      template.history.push({
+      fields.history = [...template.history, {
         version: template.version,
         content: template.content,
-        modifiedBy: req.user._id,
+        modifiedBy: req.user.id,
         modifiedAt: new Date(),
         changeNotes: `Legal approval: ${req.body.comments}`
-      });
+      }];
     }
 
-    await template.save();
-    await template.populate('approvedBy', 'firstName lastName');
+    const updated = await templates.update(template._id, fields);
 
     res.json({
       message: `Template ${req.body.approved ? 'approved' : 'rejected'} successfully`,
-      template
+      template: updated
     });
 
   } catch (error) {
@@ -265,13 +324,14 @@ router.put('/:id/approve', auth, requirePermission('create_documents'), [
 // @access  Private (admin only)
 router.delete('/:id', auth, requirePermission('create_documents'), async (req, res) => {
   try {
-    const template = await Template.findById(req.params.id);
+    const { templates } = databaseService.getRepositories();
+
+    const template = await templates.findById(req.params.id);
     if (!template) {
       return res.status(404).json({ message: 'Template not found' });
     }
 
-    template.isActive = false;
-    await template.save();
+    await templates.update(template._id, { isActive: false });
 
     res.json({ message: 'Template deleted successfully' });
 
@@ -286,33 +346,29 @@ router.delete('/:id', auth, requirePermission('create_documents'), async (req, r
 // @access  Private
 router.get('/stats/overview', auth, async (req, res) => {
   try {
-    const stats = await Template.aggregate([
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          active: { $sum: { $cond: [{ $eq: ['$isActive', true] }, 1, 0] } },
-          approved: { $sum: { $cond: [{ $eq: ['$legalApproved', true] }, 1, 0] } },
-          totalUsage: { $sum: '$usageCount' }
-        }
-      }
-    ]);
-
-    const typeStats = await Template.aggregate([
-      {
-        $group: {
-          _id: '$type',
-          count: { $sum: 1 },
-          usage: { $sum: '$usageCount' }
-        }
-      }
-    ]);
+    const { templates } = databaseService.getRepositories();
+    const { items } = await templates.list();
+
+    const byType = {};
+    items.forEach(template => {
+      byType[template.type] = byType[template.type] || { _id: template.type, count: 0, usage: 0 };
+      byType[template.type].count += 1;
+      byType[template.type].usage += template.usageCount;
+    });
 
-    const mostUsed = await Template.getMostUsed(5);
+    const { items: mostUsed } = await templates.list(
+      { isActive: true },
+      { sortBy: 'usageCount', sortOrder: 'desc', limit: 5 }
+    );
 
     res.json({
-      overview: stats[0] || { total: 0, active: 0, approved: 0, totalUsage: 0 },
-      byType: typeStats,
+      overview: {
+        total: items.length,
+        active: items.filter(template => template.isActive).length,
+        approved: items.filter(template => template.legalApproved).length,
+        totalUsage: items.reduce((sum, template) => sum + template.usageCount, 0)
+      },
+      byType: Object.values(byType),
       mostUsed
     });
 
@@ -0,0 +1,31 @@
+const express = require('express');
+
+const evidenceService = require('../services/evidenceService');
+const { auth } = require('../middleware/auth-supabase');
+const { uploadEvidence, MAX_EVIDENCE_FILES } = require('../middleware/upload');
+
+const router = express.Router();
+
+// @route   POST /api/upload/multiple
+// @desc    Upload evidence files ahead of attaching them to an incident
+// @access  Private
+router.post('/multiple', auth, uploadEvidence('files', MAX_EVIDENCE_FILES), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded' });
+    }
+
+    const files = await evidenceService.storeDescriptors(req.files, req.user.id || req.user._id);
+
+    res.status(201).json({
+      message: `${files.length} file(s) uploaded successfully`,
+      files
+    });
+
+  } catch (error) {
+    console.error('Error uploading files:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
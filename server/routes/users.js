@@ -1,59 +1,66 @@
 const express = require('express');
-const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const User = require('../models/User');
-const { auth, requireRole } = require('../middleware/auth');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const router = express.Router();
+
+const databaseService = require('../config/databaseService');
 const emailService = require('../services/emailService');
+const { auth, requireRole } = require('../middleware/auth-supabase');
+
+const INVITATION_DAYS = 7;
+const LOCK_HOURS = 24;
+
+// Fields an admin can change through PUT /api/users/:id
+const EDITABLE_USER_FIELDS = ['firstName', 'lastName', 'email', 'role', 'department', 'phone', 'jobTitle', 'isActive'];
 
-// Get all users (Admin only)
+const newInvitation = () => ({
+  invitationToken: crypto.randomBytes(32).toString('hex'),
+  invitationExpires: new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+  invitationStatus: 'pending',
+});
+
+const isInvitationValid = (user) => (
+  user.invitationStatus === 'pending' &&
+  Boolean(user.invitationExpires) &&
+  new Date(user.invitationExpires) > new Date()
+);
+
+const countBy = (users, field) => Object.entries(users.reduce((counts, user) => {
+  if (user[field]) counts[user[field]] = (counts[user[field]] || 0) + 1;
+  return counts;
+}, {})).map(([value, count]) => ({ _id: value, count })).sort((a, b) => b.count - a.count);
+
+// @route   GET /api/users
+// @desc    List users with search, department, role and status filters
+// @access  Private (admin only)
 router.get('/', auth, requireRole('admin'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, search = '', department = '', role = '', status = '' } = req.query;
-    
-    // Build filter object
-    const filter = {};
-    
-    if (search) {
-      filter.$or = [
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { jobTitle: { $regex: search, $options: 'i' } }
-      ];
-    }
-    
-    if (department) {
-      filter.department = department;
-    }
-    
-    if (role) {
-      filter.role = role;
-    }
-    
-    if (status === 'active') {
-      filter.isActive = true;
-    } else if (status === 'inactive') {
-      filter.isActive = false;
-    }
-    
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const users = await User.find(filter)
-      .select('-password -passwordResetToken -passwordResetExpires -emailVerificationToken')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-    
-    const total = await User.countDocuments(filter);
-    
+    const { search = '', department = '', role = '', status = '' } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.max(parseInt(req.query.limit) || 10, 1);
+
+    const filters = { search, department, role };
+    if (status === 'active') filters.isActive = true;
+    if (status === 'inactive') filters.isActive = false;
+
+    const { items, total } = await databaseService.getRepositories().users.list(filters, {
+      page,
+      limit,
+      sortBy: 'createdAt',
+      sortOrder: 'desc',
+    });
+
     res.json({
-      users,
+      users: items,
       pagination: {
-        page: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
+        page,
+        pages: Math.ceil(total / limit),
         total,
-        limit: parseInt(limit)
-      }
+        limit,
+      },
     });
   } catch (error) {
     console.error('Error fetching users:', error);
@@ -61,15 +68,45 @@ router.get('/', auth, requireRole('admin'), async (req, res) => {
   }
 });
 
-// Get user by ID
+// @route   GET /api/users/stats/overview
+// @desc    User counts by status, role and department, and the newest users
+// @access  Private (admin only)
+router.get('/stats/overview', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { items } = await databaseService.getRepositories().users.list({}, { sortBy: 'createdAt', sortOrder: 'desc' });
+    const activeUsers = items.filter(user => user.isActive);
+
+    res.json({
+      totalUsers: items.length,
+      activeUsers: activeUsers.length,
+      inactiveUsers: items.length - activeUsers.length,
+      usersByRole: countBy(items, 'role'),
+      usersByDepartment: countBy(items, 'department'),
+      recentUsers: activeUsers.slice(0, 5).map(user => ({
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role,
+        department: user.department,
+        createdAt: user.createdAt,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching user statistics:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/users/:id
+// @desc    Get a user
+// @access  Private (admin only)
 router.get('/:id', auth, requireRole('admin'), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password -passwordResetToken -passwordResetExpires -emailVerificationToken');
-    
+    const user = await databaseService.getRepositories().users.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    
+
     res.json(user);
   } catch (error) {
     console.error('Error fetching user:', error);
@@ -77,90 +114,69 @@ router.get('/:id', auth, requireRole('admin'), async (req, res) => {
   }
 });
 
-// Update user profile
+// @route   PUT /api/users/:id
+// @desc    Update a user
+// @access  Private (admin only)
 router.put('/:id', auth, requireRole('admin'), [
-  body('firstName').optional().trim().isLength({ min: 2 }),
-  body('lastName').optional().trim().isLength({ min: 2 }),
-  body('email').optional().isEmail().normalizeEmail(),
-  body('role').optional().isIn(['admin', 'legal', 'manager', 'staff', 'viewer']),
-  body('department').optional().isIn(['legal', 'marketing', 'crr', 'management', 'it']),
+  body('firstName').optional().trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
+  body('lastName').optional().trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
+  body('email').optional().isEmail().withMessage('Valid email is required'),
+  body('role').optional().isIn(['admin', 'legal', 'manager', 'staff', 'viewer']).withMessage('Invalid role'),
+  body('department').optional().isIn(['legal', 'marketing', 'crr', 'management', 'it']).withMessage('Invalid department'),
   body('phone').optional().trim(),
   body('jobTitle').optional().trim(),
-  body('isActive').optional().isBoolean()
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-    
-    const { firstName, lastName, email, role, department, phone, jobTitle, isActive, preferences } = req.body;
-    
-    const user = await User.findById(req.params.id);
+
+    const { users } = databaseService.getRepositories();
+    const user = await users.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    
-    // Check if email is already taken by another user
-    if (email && email !== user.email) {
-      const existingUser = await User.findOne({ email, _id: { $ne: req.params.id } });
-      if (existingUser) {
-        return res.status(400).json({ message: 'Email already in use' });
+
+    if (req.body.email) {
+      const existing = await users.findByEmail(req.body.email);
+      if (existing && existing._id !== user._id) {
+        return res.status(400).json({ message: 'Email is already in use' });
       }
     }
-    
-    // Update user fields
-    if (firstName) user.firstName = firstName;
-    if (lastName) user.lastName = lastName;
-    if (email) user.email = email;
-    if (role) user.role = role;
-    if (department) user.department = department;
-    if (phone) user.phone = phone;
-    if (jobTitle) user.jobTitle = jobTitle;
-    if (typeof isActive === 'boolean') user.isActive = isActive;
-    if (preferences) {
-      user.preferences = { ...user.preferences, ...preferences };
-    }
-    
-    await user.save();
-    
-    // Return user without sensitive data
-    const userResponse = user.toObject();
-    delete userResponse.password;
-    delete userResponse.passwordResetToken;
-    delete userResponse.passwordResetExpires;
-    delete userResponse.emailVerificationToken;
-    
-    res.json({
-      message: 'User updated successfully',
-      user: userResponse
+
+    const updates = {};
+    EDITABLE_USER_FIELDS.forEach(field => {
+      if (typeof req.body[field] !== 'undefined') updates[field] = req.body[field];
     });
+
+    res.json({ message: 'User updated successfully', user: await users.update(user._id, updates) });
   } catch (error) {
     console.error('Error updating user:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Change user password
+// @route   PUT /api/users/:id/password
+// @desc    Set a user's password
+// @access  Private (admin only)
 router.put('/:id/password', auth, requireRole('admin'), [
-  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-    
-    const { newPassword } = req.body;
-    
-    const user = await User.findById(req.params.id);
+
+    const user = await databaseService.getRepositories().users.update(req.params.id, {
+      passwordHash: await bcrypt.hash(req.body.newPassword, 10),
+    });
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    
-    user.password = newPassword; // Pre-save hook will hash it
-    await user.save();
-    
+
     res.json({ message: 'Password updated successfully' });
   } catch (error) {
     console.error('Error updating password:', error);
@@ -168,70 +184,62 @@ router.put('/:id/password', auth, requireRole('admin'), [
   }
 });
 
-// Lock/Unlock user account
+// @route   PUT /api/users/:id/lock
+// @desc    Lock or unlock a user account
+// @access  Private (admin only)
 router.put('/:id/lock', auth, requireRole('admin'), [
-  body('locked').isBoolean().withMessage('Locked status must be boolean')
+  body('locked').isBoolean().withMessage('Locked status must be boolean'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-    
+
     const { locked } = req.body;
-    
-    const user = await User.findById(req.params.id);
+    const user = await databaseService.getRepositories().users.update(req.params.id, {
+      lockUntil: locked ? new Date(Date.now() + LOCK_HOURS * 60 * 60 * 1000).toISOString() : null,
+      loginAttempts: locked ? 5 : 0,
+    });
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    
-    if (locked) {
-      // Lock the account for 24 hours
-      user.lockUntil = Date.now() + 24 * 60 * 60 * 1000;
-      user.loginAttempts = 5;
-    } else {
-      // Unlock the account
-      user.lockUntil = undefined;
-      user.loginAttempts = 0;
-    }
-    
-    await user.save();
-    
-    res.json({
-      message: locked ? 'User account locked successfully' : 'User account unlocked successfully',
-      locked: !!user.lockUntil
-    });
+
+    res.json({ message: locked ? 'User account locked successfully' : 'User account unlocked successfully', locked });
   } catch (error) {
     console.error('Error updating user lock status:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Create new user (Admin only) - Invitation-based
+// @route   POST /api/users
+// @desc    Invite a new user, who sets a password when accepting the invitation
+// @access  Private (admin only)
 router.post('/', auth, requireRole('admin'), [
   body('firstName').trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
   body('lastName').trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
-  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('email').isEmail().withMessage('Valid email is required'),
   body('role').isIn(['admin', 'legal', 'manager', 'staff', 'viewer']).withMessage('Invalid role'),
   body('department').isIn(['legal', 'marketing', 'crr', 'management', 'it']).withMessage('Invalid department'),
   body('phone').optional().trim(),
-  body('jobTitle').optional().trim()
+  body('jobTitle').optional().trim(),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-    
+
     const { firstName, lastName, email, role, department, phone, jobTitle, preferences } = req.body;
-    
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
+    const { users } = databaseService.getRepositories();
+
+    const existingUser = await users.findByEmail(email);
     if (existingUser) {
       return res.status(400).json({ message: 'User with this email already exists' });
     }
-    
-    const user = new User({
+
+    const invitation = newInvitation();
+    const user = await users.create({
       firstName,
       lastName,
       email,
@@ -244,64 +252,51 @@ router.post('/', auth, requireRole('admin'), [
         dashboardLayout: 'default',
         timezone: 'America/Los_Angeles'
       },
-      isActive: false, // User will be activated after accepting invitation
-      invitedBy: req.user._id
+      isActive: false, // Activated when the invitation is accepted
+      emailVerified: false,
+      invitedBy: req.user.id,
+      ...invitation,
     });
-    
-    // Generate invitation token
-    const invitationToken = user.generateInvitationToken();
-    await user.save();
-    
-    // Send invitation email
+
     try {
-      await emailService.sendInvitationEmail(user, invitationToken);
+      await emailService.sendInvitationEmail(user, invitation.invitationToken);
     } catch (emailError) {
+      // The invitation stands; it can be resent once email is working
       console.error('Failed to send invitation email:', emailError);
-      // Don't fail the request if email fails, just log it
     }
-    
-    // Return user without sensitive data
-    const userResponse = user.toObject();
-    delete userResponse.password;
-    delete userResponse.passwordResetToken;
-    delete userResponse.passwordResetExpires;
-    delete userResponse.emailVerificationToken;
-    delete userResponse.invitationToken;
-    
-    res.status(201).json({
-      message: 'User invitation sent successfully',
-      user: userResponse
-    });
+
+    res.status(201).json({ message: 'User invitation sent successfully', user });
   } catch (error) {
     console.error('Error creating user invitation:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Resend invitation (Admin only)
+// @route   POST /api/users/:id/resend-invitation
+// @desc    Issue a new invitation token and email it
+// @access  Private (admin only)
 router.post('/:id/resend-invitation', auth, requireRole('admin'), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const { users } = databaseService.getRepositories();
+    const user = await users.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    
+
     if (user.invitationStatus === 'accepted') {
       return res.status(400).json({ message: 'User has already accepted the invitation' });
     }
-    
-    // Generate new invitation token
-    const invitationToken = user.generateInvitationToken();
-    await user.save();
-    
-    // Send invitation email
+
+    const invitation = newInvitation();
+    await users.update(user._id, invitation);
+
     try {
-      await emailService.sendInvitationEmail(user, invitationToken);
+      await emailService.sendInvitationEmail(user, invitation.invitationToken);
     } catch (emailError) {
       console.error('Failed to resend invitation email:', emailError);
       return res.status(500).json({ message: 'Failed to send invitation email' });
     }
-    
+
     res.json({ message: 'Invitation resent successfully' });
   } catch (error) {
     console.error('Error resending invitation:', error);
@@ -309,23 +304,23 @@ router.post('/:id/resend-invitation', auth, requireRole('admin'), async (req, re
   }
 });
 
-// Delete user (soft delete by deactivating)
+// @route   DELETE /api/users/:id
+// @desc    Deactivate a user
+// @access  Private (admin only)
 router.delete('/:id', auth, requireRole('admin'), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const { users } = databaseService.getRepositories();
+    const user = await users.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    
-    // Prevent admin from deleting themselves
-    if (user._id.toString() === req.user._id.toString()) {
+
+    if (user._id === String(req.user.id)) {
       return res.status(400).json({ message: 'Cannot delete your own account' });
     }
-    
-    // Soft delete by deactivating
-    user.isActive = false;
-    await user.save();
-    
+
+    await users.update(user._id, { isActive: false });
+
     res.json({ message: 'User deactivated successfully' });
   } catch (error) {
     console.error('Error deactivating user:', error);
@@ -333,59 +328,20 @@ router.delete('/:id', auth, requireRole('admin'), async (req, res) => {
   }
 });
 
-// Get user statistics
-router.get('/stats/overview', auth, requireRole('admin'), async (req, res) => {
-  try {
-    const totalUsers = await User.countDocuments();
-    const activeUsers = await User.countDocuments({ isActive: true });
-    const inactiveUsers = await User.countDocuments({ isActive: false });
-    
-    const usersByRole = await User.aggregate([
-      { $group: { _id: '$role', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
-    
-    const usersByDepartment = await User.aggregate([
-      { $group: { _id: '$department', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
-    
-    const recentUsers = await User.find({ isActive: true })
-      .select('firstName lastName email role department createdAt')
-      .sort({ createdAt: -1 })
-      .limit(5);
-    
-    res.json({
-      totalUsers,
-      activeUsers,
-      inactiveUsers,
-      usersByRole,
-      usersByDepartment,
-      recentUsers
-    });
-  } catch (error) {
-    console.error('Error fetching user statistics:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
-
-// Get invitation details (Public endpoint for registration)
+// @route   GET /api/users/invitation/:token
+// @desc    Get the invited user's details for the registration page
+// @access  Public
 router.get('/invitation/:token', async (req, res) => {
   try {
-    const { token } = req.params;
-    
-    const user = await User.findOne({ invitationToken: token })
-      .populate('invitedBy', 'firstName lastName email')
-      .select('-password -passwordResetToken -passwordResetExpires -emailVerificationToken');
-    
+    const user = await databaseService.getRepositories().users.findByInvitationToken(req.params.token);
     if (!user) {
       return res.status(404).json({ message: 'Invalid invitation token' });
     }
-    
-    if (!user.isInvitationValid()) {
+
+    if (!isInvitationValid(user)) {
       return res.status(400).json({ message: 'Invitation has expired or is no longer valid' });
     }
-    
+
     res.json({
       user: {
         firstName: user.firstName,
@@ -394,8 +350,7 @@ router.get('/invitation/:token', async (req, res) => {
         role: user.role,
         department: user.department,
         jobTitle: user.jobTitle,
-        invitedBy: user.invitedBy
-      }
+      },
     });
   } catch (error) {
     console.error('Error fetching invitation details:', error);
@@ -403,43 +358,46 @@ router.get('/invitation/:token', async (req, res) => {
   }
 });
 
-// Accept invitation and set password (Public endpoint for registration)
+// @route   POST /api/users/invitation/:token/accept
+// @desc    Accept an invitation by setting a password
+// @access  Public
 router.post('/invitation/:token/accept', [
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-    
-    const { token } = req.params;
-    const { password } = req.body;
-    
-    const user = await User.findOne({ invitationToken: token });
-    
+
+    const { users } = databaseService.getRepositories();
+    const user = await users.findByInvitationToken(req.params.token);
     if (!user) {
       return res.status(404).json({ message: 'Invalid invitation token' });
     }
-    
-    if (!user.isInvitationValid()) {
+
+    if (!isInvitationValid(user)) {
       return res.status(400).json({ message: 'Invitation has expired or is no longer valid' });
     }
-    
-    // Accept the invitation
-    await user.acceptInvitation(password);
-    
-    // Generate JWT token for immediate login
-    const jwt = require('jsonwebtoken');
-    const token_jwt = jwt.sign(
-      { userId: user._id },
+
+    await users.update(user._id, {
+      passwordHash: await bcrypt.hash(req.body.password, 10),
+      isActive: true,
+      emailVerified: true,
+      invitationStatus: 'accepted',
+      invitationToken: null,
+      invitationExpires: null,
+    });
+
+    const token = jwt.sign(
+      { userId: user._id, email: user.email, role: user.role },
       process.env.JWT_SECRET || 'fallback-secret-key',
       { expiresIn: '7d' }
     );
-    
+
     res.json({
       message: 'Account created successfully',
-      token: token_jwt,
+      token,
       user: {
         _id: user._id,
         firstName: user.firstName,
@@ -447,8 +405,8 @@ router.post('/invitation/:token/accept', [
         email: user.email,
         role: user.role,
         department: user.department,
-        jobTitle: user.jobTitle
-      }
+        jobTitle: user.jobTitle,
+      },
     });
   } catch (error) {
     console.error('Error accepting invitation:', error);
@@ -0,0 +1,98 @@
+const databaseService = require('../config/databaseService');
+
+const ACTIVITY_TYPES = [
+  'created',
+  'updated',
+  'assigned',
+  'status_changed',
+  'comment_added',
+  'document_uploaded',
+  'template_used',
+  'legal_action_taken',
+  'resolved',
+  'closed',
+  'deleted',
+  'restored',
+  'merged'
+];
+
+class CaseActivityService {
+  constructor() {
+    this.activityTypes = ACTIVITY_TYPES;
+  }
+
+  // Record a structured activity row for a case. Logging failures are reported but never
+  // thrown, so a missing audit row cannot fail the request that triggered it.
+  async log({ incidentId, userId, type, description, oldValues = null, newValues = null, metadata = {} }) {
+    try {
+      return await databaseService.getRepositories().caseActivities.create({
+        incidentId,
+        userId,
+        type,
+        description,
+        oldValues,
+        newValues,
+        metadata
+      });
+    } catch (error) {
+      console.error('Error logging case activity:', error);
+      return null;
+    }
+  }
+
+  async list(incidentId, { page = 1, limit = 20, types = [] } = {}) {
+    const { items, total } = await databaseService.getRepositories().caseActivities.listByIncident(incidentId, { types, page, limit });
+
+    return {
+      activities: items.map(activity => ({
+        id: activity._id,
+        type: activity.type,
+        description: activity.description,
+        oldValues: activity.oldValues,
+        newValues: activity.newValues,
+        metadata: activity.metadata || {},
+        user: activity.user ? {
+          id: activity.user._id,
+          firstName: activity.user.firstName,
+          lastName: activity.user.lastName,
+          email: activity.user.email,
+          role: activity.user.role
+        } : null,
+        createdAt: activity.createdAt
+      })),
+      total
+    };
+  }
+
+  async logStatusChange({ incidentId, userId, oldStatus, newStatus, notes }) {
+    return this.log({
+      incidentId,
+      userId,
+      type: 'status_changed',
+      description: notes
+        ? `Status changed from ${oldStatus} to ${newStatus}. ${notes}`
+        : `Status changed from ${oldStatus} to ${newStatus}`,
+      oldValues: { status: oldStatus },
+      newValues: { status: newStatus },
+      metadata: notes ? { notes } : {}
+    });
+  }
+
+  // Build old/new value maps containing only the fields whose values actually changed
+  diff(before, after, fields) {
+    const oldValues = {};
+    const newValues = {};
+
+    fields.forEach(field => {
+      if (typeof after[field] === 'undefined') return;
+      if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+        oldValues[field] = before[field] ?? null;
+        newValues[field] = after[field] ?? null;
+      }
+    });
+
+    return { oldValues, newValues, changed: Object.keys(newValues) };
+  }
+}
+
+module.exports = new CaseActivityService();
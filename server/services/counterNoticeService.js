@@ -0,0 +1,280 @@
+const cron = require('node-cron');
+
+const databaseService = require('../config/databaseService');
+const { refId } = require('../repositories');
+const takedownService = require('./takedownService');
+const caseActivityService = require('./caseActivityService');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+
+// DMCA counter-notices (17 U.S.C. 512(g)) received against sent takedowns. Recording one opens
+// the restoration window and moves the case to counter_notice_received. Unless suit is filed
+// first, the host may put the material back once the window opens, so legal is reminded as
+// that date approaches and told when it passes.
+
+// Elements a counter-notice must contain under 512(g)(3), with how to read each from the record
+const REQUIRED_ELEMENTS = {
+  signature: notice => Boolean(notice.signature),
+  materialUrls: notice => notice.materialUrls.length > 0,
+  goodFaithMistake: notice => notice.statements.goodFaithMistake === true,
+  name: notice => Boolean(notice.party.name),
+  address: notice => Boolean(notice.party.address),
+  phone: notice => Boolean(notice.party.phone),
+  consentToJurisdiction: notice => notice.statements.consentToJurisdiction === true,
+  acceptsService: notice => notice.statements.acceptsService === true
+};
+
+// Business days before the window opens at which legal is reminded
+const REMINDER_DAYS = (process.env.COUNTER_NOTICE_REMINDER_DAYS || '5,2,1')
+  .split(',')
+  .map(days => parseInt(days, 10))
+  .filter(days => days > 0)
+  .sort((a, b) => b - a);
+
+const NOTIFY_ROLES = ['legal'];
+
+// Cases a counter-notice can still be pending on; resolving or closing a case ends it
+const ACTIVE_STATUSES = ['reported', 'under_review', 'in_progress', 'escalated', 'counter_notice_received', 'litigation_filed'];
+
+const caseLabel = (incident) => `${incident.caseNumber} ${incident.title}`;
+
+class CounterNoticeService {
+  constructor() {
+    this.requiredElements = Object.keys(REQUIRED_ELEMENTS);
+    this.reminderDays = REMINDER_DAYS;
+    this.running = false;
+  }
+
+  // The legal action recording delivery of a takedown document
+  findLegalAction(incident, documentId) {
+    return incident.legalActions.find(action => action.documentId && action.documentId.toString() === documentId.toString());
+  }
+
+  missingElements(notice) {
+    return Object.entries(REQUIRED_ELEMENTS)
+      .filter(([, present]) => !present(notice))
+      .map(([element]) => element);
+  }
+
+  // Move a case to a counter-notice status outside the workflow, as the notice or suit
+  // itself is what changes it
+  async changeStatus(incident, updates, { status, userId, notes }) {
+    const { incidents } = databaseService.getRepositories();
+    const oldStatus = incident.status;
+    const changing = status && status !== oldStatus;
+
+    const updated = await incidents.update(incident._id, changing ? { ...updates, status } : updates);
+    if (!changing) return updated;
+
+    await caseActivityService.logStatusChange({ incidentId: incident._id, userId, oldStatus, newStatus: status, notes });
+    await notificationService.notifyStatusChange({
+      incidentId: incident._id,
+      caseLabel: caseLabel(updated),
+      recipientIds: [refId(incident.reporter), refId(incident.assignedTo)],
+      actorId: userId,
+      oldStatus,
+      newStatus: status
+    });
+    realtimeService.publishCaseStatus({
+      id: updated._id,
+      caseNumber: updated.caseNumber,
+      title: updated.title,
+      oldStatus,
+      newStatus: status,
+      reporterId: refId(updated.reporter),
+      assignedTo: refId(updated.assignedTo),
+      changedBy: userId
+    });
+
+    return updated;
+  }
+
+  // Record a counter-notice against the legal action of a sent takedown. Resolves to
+  // { incident, counterNotice }.
+  async record({ incident, legalAction, document, fields, userId }) {
+    const window = takedownService.getCounterNoticeWindow(fields.receivedAt ? new Date(fields.receivedAt) : new Date());
+    const notice = {
+      ...window,
+      notes: fields.notes,
+      party: { ...fields.party },
+      materialUrls: fields.materialUrls || [],
+      statements: { ...fields.statements },
+      signature: fields.signature,
+      status: 'pending',
+      remindersSent: [],
+      recordedBy: userId
+    };
+    notice.missingElements = this.missingElements(notice);
+
+    legalAction.status = 'responded';
+    legalAction.responseDate = window.receivedAt;
+    legalAction.counterNotice = notice;
+
+    const updated = await this.changeStatus(incident, { legalActions: incident.legalActions }, {
+      status: incident.status === 'litigation_filed' ? null : 'counter_notice_received',
+      userId,
+      notes: `Counter-notice received from ${notice.party.name || 'the subscriber'}.`
+    });
+
+    await caseActivityService.log({
+      incidentId: incident._id,
+      userId,
+      type: 'legal_action_taken',
+      description: `Counter-notice received for "${document.title}"; material may be restored between ` +
+        `${window.restoreAfter.toDateString()} and ${window.restoreBy.toDateString()} unless suit is filed` +
+        (notice.missingElements.length > 0 ? `. Missing: ${notice.missingElements.join(', ')}` : ''),
+      metadata: {
+        documentId: document._id,
+        party: notice.party,
+        receivedAt: window.receivedAt,
+        restoreAfter: window.restoreAfter,
+        restoreBy: window.restoreBy,
+        missingElements: notice.missingElements
+      }
+    });
+
+    const legalIds = await notificationService.getActiveUserIdsByRole(NOTIFY_ROLES);
+    await notificationService.notifyUsers([...legalIds, refId(incident.assignedTo)].filter(id => id && id.toString() !== String(userId)), {
+      title: 'Counter-notice received',
+      message: `${caseLabel(updated)}: the material may be restored from ${window.restoreAfter.toDateString()} unless suit is filed.`,
+      type: 'warning',
+      category: 'legal',
+      incidentId: incident._id,
+      priority: 'high',
+      actionUrl: `/cases/${incident._id}`
+    });
+
+    return { incident: updated, counterNotice: notice };
+  }
+
+  // Record that the complainant has filed suit over a counter-noticed takedown, which stops
+  // the material being restored. Resolves to { incident, counterNotice }.
+  async fileLitigation({ incident, legalAction, document, fields, userId }) {
+    const notice = legalAction.counterNotice;
+    notice.status = 'litigation_filed';
+    notice.litigation = {
+      filedAt: fields.filedAt ? new Date(fields.filedAt) : new Date(),
+      court: fields.court,
+      docketNumber: fields.docketNumber,
+      notes: fields.notes
+    };
+
+    const updated = await this.changeStatus(incident, { legalActions: incident.legalActions }, {
+      status: 'litigation_filed',
+      userId,
+      notes: [notice.litigation.court, notice.litigation.docketNumber].filter(Boolean).join(', ') || undefined
+    });
+
+    await caseActivityService.log({
+      incidentId: incident._id,
+      userId,
+      type: 'legal_action_taken',
+      description: `Suit filed over the counter-notice to "${document.title}"` +
+        (notice.litigation.court ? ` in ${notice.litigation.court}` : ''),
+      metadata: { documentId: document._id, litigation: notice.litigation }
+    });
+
+    return { incident: updated, counterNotice: notice };
+  }
+
+  // Counter-notices still waiting on the window to open, with the business days left
+  async listPending(now = new Date()) {
+    const { incidents } = databaseService.getRepositories();
+    const { items } = await incidents.list({ status: ACTIVE_STATUSES });
+
+    return items.flatMap(incident => incident.legalActions
+      .filter(action => action.counterNotice && action.counterNotice.status === 'pending')
+      .map(action => ({
+        incident,
+        legalAction: action,
+        businessDaysLeft: takedownService.businessDaysBetween(now, action.counterNotice.restoreAfter)
+      })));
+  }
+
+  // Remind legal of counter-notices whose window is about to open, once per reminder day,
+  // and mark those whose window has opened as lapsed
+  async sendReminders(now = new Date()) {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    const summary = { pending: 0, reminded: 0, lapsed: 0 };
+
+    try {
+      const { incidents } = databaseService.getRepositories();
+      const pending = await this.listPending(now);
+      const legalIds = pending.length > 0 ? await notificationService.getActiveUserIdsByRole(NOTIFY_ROLES) : [];
+      summary.pending = pending.length;
+
+      for (const { incident, legalAction, businessDaysLeft } of pending) {
+        const notice = legalAction.counterNotice;
+        const sent = notice.remindersSent || [];
+        const due = REMINDER_DAYS.filter(days => businessDaysLeft <= days && !sent.includes(days));
+        const lapsed = businessDaysLeft === 0;
+        if (due.length === 0 && !lapsed) continue;
+
+        notice.remindersSent = [...sent, ...due];
+        if (lapsed) notice.status = 'lapsed';
+
+        // Saved before notifying, so a failed save does not send the reminder again next run
+        const current = await incidents.findById(incident._id);
+        const stored = this.findLegalAction(current, legalAction.documentId);
+        stored.counterNotice = notice;
+        await incidents.update(current._id, { legalActions: current.legalActions });
+
+        const restoreAfter = new Date(notice.restoreAfter).toDateString();
+        await notificationService.notifyUsers([...legalIds, refId(incident.assignedTo)], lapsed ? {
+          title: 'Counter-notice window has opened',
+          message: `No suit was recorded for ${caseLabel(incident)}; the material may be restored from ${restoreAfter}.`,
+          type: 'error',
+          category: 'deadline',
+          incidentId: incident._id,
+          priority: 'urgent',
+          actionUrl: `/cases/${incident._id}`
+        } : {
+          title: 'Counter-notice deadline approaching',
+          message: `${caseLabel(incident)}: ${businessDaysLeft} business day(s) left to file suit before the material may be restored on ${restoreAfter}.`,
+          type: 'warning',
+          category: 'deadline',
+          incidentId: incident._id,
+          priority: 'high',
+          actionUrl: `/cases/${incident._id}`
+        });
+
+        if (lapsed) {
+          await caseActivityService.log({
+            incidentId: incident._id,
+            userId: null,
+            type: 'legal_action_taken',
+            description: `Counter-notice window opened on ${restoreAfter} with no suit recorded; the material may be restored`,
+            metadata: { documentId: legalAction.documentId, restoreAfter: notice.restoreAfter, restoreBy: notice.restoreBy }
+          });
+          summary.lapsed++;
+        } else {
+          summary.reminded++;
+        }
+      }
+
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Send reminders on a schedule (weekday mornings by default)
+  scheduleReminders(expression = process.env.COUNTER_NOTICE_CRON || '0 8 * * 1-5') {
+    return cron.schedule(expression, async () => {
+      try {
+        const summary = await this.sendReminders();
+        if (!summary.skipped && (summary.reminded || summary.lapsed)) {
+          console.log(`Counter-notice check completed. ${summary.reminded} reminded, ${summary.lapsed} lapsed of ${summary.pending} pending.`);
+        }
+      } catch (error) {
+        console.error('Scheduled counter-notice check failed:', error);
+      }
+    });
+  }
+}
+
+module.exports = new CounterNoticeService();
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+
+const databaseService = require('../config/databaseService');
+const storageService = require('./storageService');
+const { refId } = require('../repositories');
+
+// Chain of custody for evidence files. Every ingest and access is appended to the item's
+// custody log, and each event's SHA-256 covers its fields and the previous event's hash,
+// so changing or removing any event shows up as a break when the chain is verified.
+// A log belongs to the evidence ID alone: an item copied into another case by a merge, or
+// attached to several cases, keeps one chain, and each event records the case it was in.
+
+const ACTIONS = ['uploaded', 'captured', 'viewed', 'downloaded', 'exported'];
+
+// The event that opens a chain records the checksum the file had when it came in
+const INGEST_ACTIONS = ['uploaded', 'captured'];
+
+// Concurrent writers lose the race for a sequence number and try again with the new head
+const MAX_APPEND_ATTEMPTS = 5;
+
+// JSON with object keys sorted, so a hash does not depend on how a database orders keys
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashEvent = (event) => crypto.createHash('sha256').update(canonical([
+  String(event.incidentId),
+  String(event.evidenceId),
+  event.sequence,
+  event.action,
+  refId(event.actor),
+  new Date(event.occurredAt).toISOString(),
+  event.checksum || null,
+  event.details || {},
+  event.previousHash || null
+])).digest('hex');
+
+// Storage key of an evidence entry of either database's shape
+const keyOf = (entry) => entry.file_path || entry.url;
+
+class CustodyService {
+  constructor() {
+    this.actions = ACTIONS;
+    this.hashEvent = hashEvent;
+  }
+
+  // Append an event to an evidence item's custody log. Throws when it cannot be recorded.
+  async record(incidentId, evidenceId, action, { userId = null, checksum = null, details = {} } = {}) {
+    if (!ACTIONS.includes(action)) throw new Error(`Unknown custody action "${action}"`);
+
+    const { custodyEvents } = databaseService.getRepositories();
+
+    for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+      const latest = await custodyEvents.findLatest(evidenceId);
+      const event = {
+        incidentId: String(incidentId),
+        evidenceId: String(evidenceId),
+        sequence: latest ? latest.sequence + 1 : 1,
+        action,
+        actor: userId ? String(userId) : null,
+        occurredAt: new Date().toISOString(),
+        checksum,
+        details,
+        previousHash: latest ? latest.hash : null
+      };
+
+      const saved = await custodyEvents.append({ ...event, hash: hashEvent(event) });
+      if (saved) return saved;
+    }
+
+    throw new Error(`Custody event for evidence ${evidenceId} could not be recorded`);
+  }
+
+  // Open the custody logs of evidence entries just added to an incident, with the checksum
+  // each file was stored under. Entries are matched to the saved incident by storage key,
+  // since Mongo assigns their IDs on save. Failures are logged, never thrown.
+  async recordIngest(incidentId, entries = [], { userId = null, action = 'uploaded', details = {} } = {}) {
+    if (entries.length === 0) return;
+
+    try {
+      const incident = await databaseService.getRepositories().incidents.findById(incidentId);
+      if (!incident) return;
+
+      const keys = new Set(entries.map(keyOf));
+      for (const entry of incident.evidence.filter(item => keys.has(keyOf(item)))) {
+        await this.record(incident._id, entry.id || entry._id, action, {
+          userId,
+          checksum: entry.checksum || null,
+          details: {
+            fileName: entry.original_name || entry.filename || null,
+            size: entry.size ?? null,
+            storageKey: keyOf(entry),
+            ...details
+          }
+        });
+      }
+    } catch (error) {
+      console.error('Error recording evidence custody:', error);
+    }
+  }
+
+  // Re-hash the custody log and the stored file of an evidence item (as described by
+  // evidenceService.describe) and report every break: events out of sequence, links to
+  // the wrong previous hash, events whose contents no longer match their hash, and files
+  // or records whose checksum differs from the one taken on ingest.
+  async verify(incidentId, evidence) {
+    const { custodyEvents } = databaseService.getRepositories();
+    const events = await custodyEvents.listByEvidence(evidence.id);
+    const issues = [];
+
+    let previous = null;
+    const checked = events.map((event, index) => {
+      const hashValid = hashEvent(event) === event.hash;
+
+      if (event.sequence !== index + 1) {
+        issues.push({ sequence: event.sequence, type: 'sequence_gap', message: `Expected event ${index + 1}, found event ${event.sequence}` });
+      }
+      if ((event.previousHash || null) !== (previous ? previous.hash : null)) {
+        issues.push({ sequence: event.sequence, type: 'broken_link', message: 'Previous hash does not match the event before it' });
+      }
+      if (!hashValid) {
+        issues.push({ sequence: event.sequence, type: 'hash_mismatch', message: 'Event has been altered since it was recorded' });
+      }
+
+      previous = event;
+      return { ...event, hashValid };
+    });
+
+    const ingest = events.length > 0 && INGEST_ACTIONS.includes(events[0].action) ? events[0] : null;
+    if (events.length === 0) {
+      issues.push({ sequence: null, type: 'missing_log', message: 'No custody events recorded for this evidence' });
+    } else if (!ingest) {
+      issues.push({ sequence: events[0].sequence, type: 'missing_ingest', message: 'Custody log does not start with the upload or capture' });
+    }
+
+    const ingestChecksum = ingest ? ingest.checksum : null;
+    let storedChecksum = null;
+    if (evidence.key) {
+      try {
+        storedChecksum = storageService.checksum(await storageService.get(evidence.key));
+      } catch (error) {
+        issues.push({ sequence: null, type: 'file_missing', message: `Stored file could not be read: ${error.message}` });
+      }
+    }
+
+    if (ingestChecksum) {
+      if (storedChecksum && storedChecksum !== ingestChecksum) {
+        issues.push({ sequence: null, type: 'file_altered', message: 'Stored file no longer matches the checksum taken on ingest' });
+      }
+      if (evidence.checksum !== ingestChecksum) {
+        issues.push({ sequence: null, type: 'record_altered', message: 'Evidence record checksum differs from the one taken on ingest' });
+      }
+      events
+        .filter(event => event.action === 'downloaded' && event.checksum && event.checksum !== ingestChecksum)
+        .forEach(event => issues.push({ sequence: event.sequence, type: 'served_altered', message: 'File served for this download did not match the ingest checksum' }));
+    }
+
+    return {
+      incidentId: String(incidentId),
+      evidenceId: evidence.id,
+      fileName: evidence.fileName,
+      valid: issues.length === 0,
+      verifiedAt: new Date().toISOString(),
+      checksums: {
+        ingest: ingestChecksum,
+        record: evidence.checksum || null,
+        stored: storedChecksum
+      },
+      head: previous ? previous.hash : null,
+      events: checked,
+      issues
+    };
+  }
+}
+
+module.exports = new CustodyService();
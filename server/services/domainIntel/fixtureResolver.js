@@ -0,0 +1,24 @@
+const fs = require('fs');
+
+// Answers lookups from a fixed set of results keyed by domain, read from a JSON file or
+// passed in directly. Used in tests and offline development so no network is needed; a
+// subdomain falls back to the closest parent domain in the fixtures.
+class FixtureResolver {
+  constructor({ file, fixtures }) {
+    this.name = 'fixture';
+    this.fixtures = fixtures || (file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+  }
+
+  async lookup(domain) {
+    const labels = domain.split('.');
+
+    for (let start = 0; start <= labels.length - 2; start++) {
+      const fixture = this.fixtures[labels.slice(start).join('.')];
+      if (fixture) return { ...fixture };
+    }
+
+    return null;
+  }
+}
+
+module.exports = FixtureResolver;
@@ -0,0 +1,133 @@
+const axios = require('axios');
+const dns = require('dns').promises;
+
+// Resolves a domain through public RDAP (registrar and registration dates), DNS (the
+// address it is served from) and Team Cymru's IP-to-ASN DNS service (hosting network).
+// rdap.org redirects each query to the authoritative registry or RIR.
+class RdapResolver {
+  constructor({ baseUrl, timeout }) {
+    this.name = 'rdap';
+    this.baseUrl = (baseUrl || 'https://rdap.org').replace(/\/+$/, '');
+    this.timeout = timeout;
+  }
+
+  async lookup(domain) {
+    const [registration, ip] = await Promise.all([this.registration(domain), this.address(domain)]);
+    if (!registration && !ip) return null;
+
+    const [network, asn] = ip ? await Promise.all([this.network(ip), this.asn(ip)]) : [null, null];
+
+    return {
+      ...(registration || {}),
+      ip,
+      asn: asn ? asn.number : null,
+      hostingProvider: (asn && asn.name) || (network && network.organization) || null,
+      hostingAbuseEmail: network ? network.abuseEmail : null,
+      country: (asn && asn.country) || (network && network.country) || null
+    };
+  }
+
+  async get(path) {
+    try {
+      const { data } = await axios.get(`${this.baseUrl}/${path}`, {
+        timeout: this.timeout,
+        headers: { Accept: 'application/rdap+json' }
+      });
+      return data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) return null;
+      throw error;
+    }
+  }
+
+  // Registries only answer for registered names, so subdomains are walked up to the
+  // shortest name with two labels until one is found
+  async registration(domain) {
+    const labels = domain.split('.');
+
+    for (let start = 0; start <= labels.length - 2; start++) {
+      const data = await this.get(`domain/${labels.slice(start).join('.')}`);
+      if (!data) continue;
+
+      const registrar = findEntity(data.entities, 'registrar');
+      const abuse = registrar && findEntity(registrar.entities, 'abuse');
+      const eventDate = action => ((data.events || []).find(event => event.eventAction === action) || {}).eventDate || null;
+
+      return {
+        registrar: registrar ? vcardValue(registrar, 'fn') : null,
+        registrarAbuseEmail: abuse ? vcardValue(abuse, 'email') : null,
+        registeredAt: eventDate('registration'),
+        expiresAt: eventDate('expiration'),
+        nameservers: (data.nameservers || []).map(nameserver => String(nameserver.ldhName || '').toLowerCase()).filter(Boolean)
+      };
+    }
+
+    return null;
+  }
+
+  async address(domain) {
+    try {
+      const [ip] = await dns.resolve4(domain);
+      return ip || null;
+    } catch (error) {
+      if (['ENOTFOUND', 'ENODATA'].includes(error.code)) return null;
+      throw error;
+    }
+  }
+
+  async network(ip) {
+    const data = await this.get(`ip/${ip}`);
+    if (!data) return null;
+
+    const registrant = findEntity(data.entities, 'registrant');
+    const abuse = findEntity(data.entities, 'abuse');
+
+    return {
+      organization: registrant ? vcardValue(registrant, 'fn') : data.name || null,
+      abuseEmail: abuse ? vcardValue(abuse, 'email') : null,
+      country: data.country || null
+    };
+  }
+
+  // "13335 | 104.16.0.0/12 | US | arin | 2014-03-28", then the AS's name from
+  // "13335 | US | arin | 2010-07-14 | CLOUDFLARENET - Cloudflare, Inc., US"
+  async asn(ip) {
+    try {
+      const reversed = ip.split('.').reverse().join('.');
+      const [origin] = await dns.resolveTxt(`${reversed}.origin.asn.cymru.com`);
+      const [number, , country] = origin.join('').split('|').map(part => part.trim());
+      if (!number) return null;
+
+      const [description] = await dns.resolveTxt(`AS${number.split(' ')[0]}.asn.cymru.com`);
+      const name = description.join('').split('|').pop().trim();
+
+      return {
+        number: parseInt(number),
+        name: name.replace(/^[^ ]+ - /, '').replace(/, [A-Z]{2}$/, '') || null,
+        country: country || null
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Entities may nest (a registrar's abuse contact sits inside the registrar entity, an
+// RIR's abuse contact inside the registrant), so search depth-first
+function findEntity(entities = [], role) {
+  for (const entity of entities) {
+    if ((entity.roles || []).includes(role)) return entity;
+    const nested = findEntity(entity.entities, role);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+// jCard properties are [name, parameters, type, value]
+function vcardValue(entity, property) {
+  const [, properties = []] = entity.vcardArray || [];
+  const found = properties.find(([name]) => name === property);
+  return found ? String(found[3]).trim() || null : null;
+}
+
+module.exports = RdapResolver;
@@ -0,0 +1,187 @@
+const databaseService = require('../config/databaseService');
+const duplicateService = require('./duplicateService');
+const RdapResolver = require('./domainIntel/rdapResolver');
+const FixtureResolver = require('./domainIntel/fixtureResolver');
+
+const RESOLVERS = ['rdap', 'fixture', 'none'];
+
+// Registration and hosting rarely change, so results are reused for a day. Failed lookups
+// are retried sooner, and the cache is bounded so scans of many domains cannot grow it.
+const CACHE_TTL_MS = (parseFloat(process.env.DOMAIN_INTEL_CACHE_HOURS) || 24) * 60 * 60 * 1000;
+const FAILURE_TTL_MS = 15 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+const LOOKUP_TIMEOUT_MS = parseInt(process.env.DOMAIN_INTEL_TIMEOUT_MS) || 5000;
+
+// Every new case and alert is looked up, so only the first few domains of each are resolved
+const MAX_DOMAINS_PER_RECORD = 5;
+
+// Every field a lookup result carries, so records from any resolver have the same shape
+const EMPTY_INTEL = {
+  registrar: null,
+  registrarAbuseEmail: null,
+  registeredAt: null,
+  expiresAt: null,
+  nameservers: [],
+  ip: null,
+  asn: null,
+  hostingProvider: null,
+  hostingAbuseEmail: null,
+  country: null
+};
+
+class DomainIntelService {
+  constructor() {
+    this.resolvers = RESOLVERS;
+    this.resolver = null;
+    this.cache = new Map();
+    this.pending = new Map();
+  }
+
+  // Resolver is chosen by DOMAIN_INTEL_RESOLVER; "fixture" reads DOMAIN_INTEL_FIXTURES, e.g.
+  // services/monitoring/fixtures/domain-intel.json for the sites in the monitoring fixtures
+  getResolver() {
+    if (this.resolver !== null) return this.resolver;
+
+    const name = process.env.DOMAIN_INTEL_RESOLVER || 'rdap';
+
+    switch (name) {
+      case 'rdap':
+        this.resolver = new RdapResolver({
+          baseUrl: process.env.DOMAIN_INTEL_RDAP_URL,
+          timeout: LOOKUP_TIMEOUT_MS
+        });
+        break;
+      case 'fixture':
+        this.resolver = new FixtureResolver({ file: process.env.DOMAIN_INTEL_FIXTURES });
+        break;
+      case 'none':
+        this.resolver = false;
+        break;
+      default:
+        throw new Error(`Unknown domain intelligence resolver "${name}". Expected one of: ${RESOLVERS.join(', ')}`);
+    }
+
+    return this.resolver;
+  }
+
+  // Swap the resolver, e.g. for a FixtureResolver in tests. Cached results are dropped.
+  setResolver(resolver) {
+    this.resolver = resolver;
+    this.cache.clear();
+  }
+
+  // Registrar, hosting and abuse contacts for the domain of a URL or bare host. Failures
+  // are returned as a record with `error` set rather than thrown.
+  async lookup(urlOrDomain, { refresh = false } = {}) {
+    const domain = duplicateService.domainOf(urlOrDomain);
+    const resolver = this.getResolver();
+    if (!domain || !resolver) return null;
+
+    const cached = this.cache.get(domain);
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+      return cached.intel;
+    }
+
+    // Concurrent requests for the same domain share one lookup
+    if (!this.pending.has(domain)) {
+      this.pending.set(domain, this.resolve(resolver, domain).finally(() => this.pending.delete(domain)));
+    }
+    return this.pending.get(domain);
+  }
+
+  async resolve(resolver, domain) {
+    let intel;
+
+    try {
+      const found = await resolver.lookup(domain);
+      intel = {
+        ...EMPTY_INTEL,
+        ...(found || {}),
+        domain,
+        resolver: resolver.name,
+        resolvedAt: new Date().toISOString(),
+        error: found ? null : 'No registration or hosting data found'
+      };
+    } catch (error) {
+      console.error(`Error looking up domain intelligence for ${domain}:`, error.message);
+      intel = { ...EMPTY_INTEL, domain, resolver: resolver.name, resolvedAt: new Date().toISOString(), error: error.message };
+    }
+
+    if (this.cache.size >= CACHE_MAX_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(domain, { intel, expiresAt: Date.now() + (intel.error ? FAILURE_TTL_MS : CACHE_TTL_MS) });
+
+    return intel;
+  }
+
+  async lookupAll(urls, options = {}) {
+    const domains = [...new Set(urls.map(url => duplicateService.domainOf(url)).filter(Boolean))]
+      .slice(0, MAX_DOMAINS_PER_RECORD);
+    const results = await Promise.all(domains.map(domain => this.lookup(domain, options)));
+    return results.filter(Boolean);
+  }
+
+  // Look up every infringing domain of an incident and store the results on it. Lookups
+  // can take seconds, so intake queues this (see intakeJobService); failures are logged,
+  // never thrown.
+  async enrichIncident(incidentId, options = {}) {
+    try {
+      const { incidents } = databaseService.getRepositories();
+
+      const incident = await incidents.findById(incidentId);
+      if (!incident) return null;
+
+      const domainIntel = await this.lookupAll(
+        [...incident.infringedUrls.map(entry => entry.url), incident.infringerInfo.website],
+        options
+      );
+      if (domainIntel.length === 0) return incident;
+
+      return incidents.update(incident._id, { domainIntel });
+    } catch (error) {
+      console.error('Error enriching incident with domain intelligence:', error);
+      return null;
+    }
+  }
+
+  async enrichAlert(alert, options = {}) {
+    try {
+      const domainIntel = await this.lookupAll([alert.sourceUrl, alert.sourceDomain], options);
+      if (domainIntel.length === 0) return alert;
+
+      const { alerts } = databaseService.getRepositories();
+      return alerts.update(alert._id, { domainIntel });
+    } catch (error) {
+      console.error('Error enriching alert with domain intelligence:', error);
+      return alert;
+    }
+  }
+
+  // Who to send a takedown for a URL to: the hosting network's abuse contact, otherwise
+  // the registrar's. Null when neither is known for the URL's domain.
+  abuseContact(domainIntel = [], url) {
+    const domain = duplicateService.domainOf(url);
+    const intel = domainIntel.find(entry => entry.domain === domain);
+    if (!intel) return null;
+
+    if (intel.hostingAbuseEmail) {
+      return {
+        organization: intel.hostingProvider || domain,
+        email: intel.hostingAbuseEmail,
+        source: 'hosting_abuse_contact'
+      };
+    }
+    if (intel.registrarAbuseEmail) {
+      return {
+        organization: intel.registrar || domain,
+        email: intel.registrarAbuseEmail,
+        source: 'registrar_abuse_contact'
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new DomainIntelService();
@@ -0,0 +1,211 @@
+const databaseService = require('../config/databaseService');
+
+// Possible duplicates of a case being reported: existing cases and monitoring alerts that
+// share an infringing URL, domain or infringer. The repositories narrow the candidates;
+// scoring and the reasons shown to staff are worked out here so every backend agrees.
+
+const MAX_RESULTS = 10;
+const CANDIDATE_LIMIT = 50;
+
+// A match at or above this score is treated as the same infringement rather than a
+// related one, and makes POST /api/incidents ask for confirmation
+const DUPLICATE_SCORE = 60;
+
+const MATCH_SCORES = {
+  same_url: 100,
+  infringer_email: 60,
+  same_domain: 40,
+  infringer_website: 40,
+  infringer_name: 30
+};
+
+// Query parameters that identify a visit rather than the content
+const TRACKING_PARAMS = /^(utm_.+|fbclid|gclid|mc_cid|mc_eid|ref|ref_src)$/i;
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+const parseUrl = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    return null;
+  }
+};
+
+const normalizeText = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+class DuplicateService {
+  // The host without "www.", lower-cased
+  domainOf(value) {
+    const url = parseUrl(value);
+    return url ? url.hostname.toLowerCase().replace(/^www\./, '') : null;
+  }
+
+  // A URL reduced to what identifies the content: no protocol, "www.", default port,
+  // fragment, tracking parameters or trailing slash, and the query sorted
+  normalizeUrl(value) {
+    const url = parseUrl(value);
+    if (!url) return null;
+
+    const params = [...url.searchParams.entries()]
+      .filter(([key]) => !TRACKING_PARAMS.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = new URLSearchParams(params).toString();
+    const port = url.port && url.port !== DEFAULT_PORTS[url.protocol] ? `:${url.port}` : '';
+    const path = url.pathname.replace(/\/+$/, '');
+
+    return `${this.domainOf(url.href)}${port}${path}${query ? `?${query}` : ''}`;
+  }
+
+  // What the incoming report can be matched on
+  fingerprint({ infringedUrls = [], infringerInfo = {} }) {
+    const urls = infringedUrls.map(entry => (typeof entry === 'string' ? entry : entry?.url)).filter(Boolean);
+    const website = this.domainOf(infringerInfo.website);
+
+    return {
+      urls: new Set(urls.map(url => this.normalizeUrl(url)).filter(Boolean)),
+      domains: new Set([...urls.map(url => this.domainOf(url)), website].filter(Boolean)),
+      website,
+      email: normalizeText(infringerInfo.email) || null,
+      names: new Set([infringerInfo.name, infringerInfo.organization].map(normalizeText).filter(Boolean))
+    };
+  }
+
+  // Reasons an existing case matches, each { type, value }
+  incidentReasons(incident, wanted) {
+    const existing = this.fingerprint(incident);
+    const reasons = [];
+
+    [...wanted.urls].filter(url => existing.urls.has(url))
+      .forEach(url => reasons.push({ type: 'same_url', value: url }));
+
+    const sharedDomains = [...wanted.domains].filter(domain => existing.domains.has(domain));
+    if (reasons.length === 0) {
+      sharedDomains.forEach(domain => reasons.push({ type: 'same_domain', value: domain }));
+    }
+    if (wanted.website && wanted.website === existing.website && !sharedDomains.includes(wanted.website)) {
+      reasons.push({ type: 'infringer_website', value: wanted.website });
+    }
+
+    if (wanted.email && wanted.email === existing.email) {
+      reasons.push({ type: 'infringer_email', value: wanted.email });
+    }
+    [...wanted.names].filter(name => existing.names.has(name))
+      .forEach(name => reasons.push({ type: 'infringer_name', value: name }));
+
+    return reasons;
+  }
+
+  alertReasons(alert, wanted) {
+    const url = this.normalizeUrl(alert.sourceUrl);
+    if (url && wanted.urls.has(url)) return [{ type: 'same_url', value: url }];
+
+    const domain = this.domainOf(alert.sourceDomain) || this.domainOf(alert.sourceUrl);
+    return domain && wanted.domains.has(domain) ? [{ type: 'same_domain', value: domain }] : [];
+  }
+
+  // The strongest reason counts in full and each further one adds a little, capped at 100
+  score(reasons) {
+    const scores = reasons.map(reason => MATCH_SCORES[reason.type]).sort((a, b) => b - a);
+    const total = scores.reduce((sum, score, index) => sum + (index === 0 ? score : score / 4), 0);
+    return Math.min(100, Math.round(total));
+  }
+
+  isDuplicate(match) {
+    return match.score >= DUPLICATE_SCORE;
+  }
+
+  // Existing cases and alerts matching a report, best match first. Each match has a
+  // score and the reasons behind it; `excludeId` leaves out the case itself.
+  async findDuplicates({ infringedUrls = [], infringerInfo = {}, excludeId = null }) {
+    const wanted = this.fingerprint({ infringedUrls, infringerInfo });
+    if (wanted.domains.size === 0 && !wanted.email && wanted.names.size === 0) return [];
+
+    const repositories = databaseService.getRepositories();
+    const [incidents, alerts] = await Promise.all([
+      repositories.incidents.list({
+        related: { domains: [...wanted.domains], emails: wanted.email ? [wanted.email] : [], names: [...wanted.names] }
+      }, { limit: CANDIDATE_LIMIT }),
+      wanted.domains.size > 0
+        ? repositories.alerts.list({ domains: [...wanted.domains] }, { limit: CANDIDATE_LIMIT })
+        : { items: [] }
+    ]);
+
+    const matches = [
+      ...incidents.items
+        .filter(incident => String(incident._id) !== String(excludeId))
+        .map(incident => ({ incident, reasons: this.incidentReasons(incident, wanted) }))
+        .filter(({ reasons }) => reasons.length > 0)
+        .map(({ incident, reasons }) => ({
+          type: 'incident',
+          id: incident._id,
+          caseNumber: incident.caseNumber,
+          title: incident.title,
+          status: incident.status,
+          reportedAt: incident.reportedAt,
+          mergedInto: incident.mergedInto,
+          score: this.score(reasons),
+          reasons
+        })),
+      ...alerts.items
+        .map(alert => ({ alert, reasons: this.alertReasons(alert, wanted) }))
+        .filter(({ reasons }) => reasons.length > 0)
+        .map(({ alert, reasons }) => ({
+          type: 'alert',
+          id: alert._id,
+          title: alert.title,
+          status: alert.status,
+          sourceUrl: alert.sourceUrl,
+          detectedAt: alert.detectedAt,
+          incident: alert.incidentId,
+          score: this.score(reasons),
+          reasons
+        }))
+    ];
+
+    return matches.sort((a, b) => b.score - a.score).slice(0, MAX_RESULTS);
+  }
+
+  // Key an evidence entry by its content where it has a checksum, so a merge does not
+  // copy the same file twice
+  evidenceKey(entry) {
+    return String(entry.checksum || entry.url || entry.file_path || entry._id || entry.id);
+  }
+
+  // The target case's fields once the source case is folded into it: URLs not already
+  // listed, evidence not already attached, both sets of notes in date order and all tags
+  mergeFields(target, source) {
+    const urls = new Set(target.infringedUrls.map(entry => this.normalizeUrl(entry.url)));
+    const addedUrls = source.infringedUrls.filter(entry => {
+      const url = this.normalizeUrl(entry.url);
+      if (urls.has(url)) return false;
+      urls.add(url);
+      return true;
+    });
+
+    const evidenceKeys = new Set(target.evidence.map(entry => this.evidenceKey(entry)));
+    const addedEvidence = source.evidence.filter(entry => {
+      const key = this.evidenceKey(entry);
+      if (evidenceKeys.has(key)) return false;
+      evidenceKeys.add(key);
+      return true;
+    });
+
+    const noteTime = note => new Date(note.createdAt || note.created_at || 0).getTime();
+
+    return {
+      addedUrls,
+      addedEvidence,
+      fields: {
+        infringedUrls: [...target.infringedUrls, ...addedUrls],
+        evidence: [...target.evidence, ...addedEvidence],
+        notes: [...target.notes, ...source.notes].sort((a, b) => noteTime(a) - noteTime(b)),
+        tags: [...new Set([...target.tags, ...source.tags])]
+      }
+    };
+  }
+}
+
+module.exports = new DuplicateService();
@@ -162,6 +162,34 @@ class EmailService {
     }
   }
 
+  // Deliver a takedown notice to a host's abuse contact or designated agent, attaching the
+  // signed PDF copy of the notice
+  async sendTakedownNotice({ to, cc, replyTo, subject, text, html, pdf }) {
+    const mailOptions = {
+      from: `"${process.env.DMCA_COMPLAINANT_ORGANIZATION || 'DawnSignPress'}" <${process.env.EMAIL_USER}>`,
+      to,
+      cc,
+      replyTo: replyTo || process.env.TAKEDOWN_REPLY_TO || process.env.EMAIL_USER,
+      subject,
+      text,
+      html,
+      attachments: pdf ? [{
+        filename: pdf.filename,
+        content: pdf.content,
+        contentType: 'application/pdf'
+      }] : []
+    };
+
+    try {
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Takedown notice sent:', result.messageId);
+      return result;
+    } catch (error) {
+      console.error('Error sending takedown notice:', error);
+      throw error;
+    }
+  }
+
   async testConnection() {
     try {
       await this.transporter.verify();
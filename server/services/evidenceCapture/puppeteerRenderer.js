@@ -0,0 +1,58 @@
+const addressGuard = require('../monitoring/addressGuard');
+
+// Schemes a page may load without the network
+const LOCAL_PROTOCOLS = ['data:', 'blob:', 'about:'];
+
+// Whether the browser may make a request: navigations, redirects and subresources alike
+// must stay on public addresses
+const isAllowed = async (url) => {
+  try {
+    if (LOCAL_PROTOCOLS.includes(new URL(url).protocol)) return true;
+    await addressGuard.checkUrl(url);
+    return true;
+  } catch (error) {
+    console.error(`Evidence render blocked ${url}:`, error.message);
+    return false;
+  }
+};
+
+// Renders a page in headless Chrome so a capture also holds what a visitor saw: a
+// full-page screenshot and the DOM after scripts ran. Uses the browser at
+// PUPPETEER_EXECUTABLE_PATH, like notice PDFs.
+class PuppeteerRenderer {
+  constructor({ timeout = 30000, viewport = { width: 1280, height: 900 } } = {}) {
+    this.name = 'puppeteer';
+    this.timeout = timeout;
+    this.viewport = viewport;
+  }
+
+  // Resolves to { screenshot, html } with the screenshot as a PNG buffer
+  async render(url) {
+    const puppeteer = require('puppeteer');
+    const browser = await puppeteer.launch({
+      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH,
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+
+    try {
+      const page = await browser.newPage();
+      await page.setViewport(this.viewport);
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        isAllowed(request.url())
+          .then(allowed => (allowed ? request.continue() : request.abort('blockedbyclient')))
+          .catch(error => console.error('Evidence render request failed:', error.message));
+      });
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: this.timeout });
+
+      return {
+        screenshot: Buffer.from(await page.screenshot({ fullPage: true, type: 'png' })),
+        html: await page.content()
+      };
+    } finally {
+      await browser.close();
+    }
+  }
+}
+
+module.exports = PuppeteerRenderer;
@@ -0,0 +1,301 @@
+const dns = require('dns').promises;
+
+const databaseService = require('../config/databaseService');
+const storageService = require('./storageService');
+const evidenceService = require('./evidenceService');
+const monitoringService = require('./monitoringService');
+const caseActivityService = require('./caseActivityService');
+const custodyService = require('./custodyService');
+const PuppeteerRenderer = require('./evidenceCapture/puppeteerRenderer');
+
+// Archives infringing pages before they can be taken down. Each capture stores the raw
+// response body, an optional headless render (screenshot and rendered DOM) and a JSON
+// manifest recording when and from where the page was fetched, its response headers and
+// the SHA-256 of every file in the capture. Stored files become evidence on the case.
+
+const RENDERERS = ['none', 'puppeteer'];
+const CAPTURE_FOLDER = 'evidence';
+const MANIFEST_VERSION = 1;
+
+// Intake captures run in the background, so only the first few URLs of a report are taken
+const MAX_URLS_PER_CAPTURE = 10;
+
+const RENDER_TIMEOUT_MS = parseInt(process.env.EVIDENCE_RENDER_TIMEOUT_MS) || 30000;
+
+const EXTENSIONS = {
+  'text/html': '.html',
+  'application/xhtml+xml': '.html',
+  'application/pdf': '.pdf',
+  'application/json': '.json',
+  'text/plain': '.txt',
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+const mimeTypeOf = (contentType) => String(contentType || '').split(';')[0].trim().toLowerCase();
+
+// A file name for part of a capture, e.g. example.com-2026-10-19T16-30-00Z-page.html
+const fileName = (url, capturedAt, part, extension) => (
+  `${new URL(url).hostname}-${capturedAt.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-')}-${part}${extension}`
+);
+
+class EvidenceCaptureService {
+  constructor() {
+    this.renderers = RENDERERS;
+    this.renderer = null;
+  }
+
+  // Renderer is chosen by EVIDENCE_RENDERER; the default, "none", archives the response only
+  getRenderer() {
+    if (this.renderer !== null) return this.renderer;
+
+    const name = process.env.EVIDENCE_RENDERER || 'none';
+
+    switch (name) {
+      case 'puppeteer':
+        this.renderer = new PuppeteerRenderer({ timeout: RENDER_TIMEOUT_MS });
+        break;
+      case 'none':
+        this.renderer = false;
+        break;
+      default:
+        throw new Error(`Unknown evidence renderer "${name}". Expected one of: ${RENDERERS.join(', ')}`);
+    }
+
+    return this.renderer;
+  }
+
+  // Swap the renderer for any object with a name and render(url) resolving to
+  // { screenshot, html }, or false for none
+  setRenderer(renderer) {
+    this.renderer = renderer;
+  }
+
+  // New cases and alerts are queued for capture (see intakeJobService) unless
+  // EVIDENCE_CAPTURE_AUTO is false
+  isAutomatic() {
+    return process.env.EVIDENCE_CAPTURE_AUTO !== 'false';
+  }
+
+  async resolveAddresses(hostname) {
+    try {
+      const addresses = await dns.lookup(hostname, { all: true });
+      return { addresses: addresses.map(entry => entry.address), error: null };
+    } catch (error) {
+      return { addresses: [], error: error.code || error.message };
+    }
+  }
+
+  // Fetch a URL and store the capture. Resolves to { url, capturedAt, files, manifest,
+  // screenshot } where files are stored file records, the manifest last; throws when the
+  // page cannot be fetched.
+  async capture(url, { userId = null } = {}) {
+    const capturedAt = new Date().toISOString();
+    const response = await monitoringService.createHttpClient({}).get(url, { binary: true });
+    const { addresses, error: dnsError } = await this.resolveAddresses(new URL(response.url).hostname);
+
+    const contentType = mimeTypeOf(response.contentType) || 'application/octet-stream';
+    const parts = [{
+      part: 'page',
+      buffer: response.body,
+      contentType,
+      extension: EXTENSIONS[contentType] || '.bin'
+    }];
+
+    const renderer = this.getRenderer();
+    let renderError = null;
+    if (renderer) {
+      try {
+        const { screenshot, html } = await renderer.render(response.url);
+        if (screenshot) parts.push({ part: 'screenshot', buffer: screenshot, contentType: 'image/png', extension: '.png' });
+        if (html) parts.push({ part: 'rendered', buffer: Buffer.from(html), contentType: 'text/html', extension: '.html' });
+      } catch (error) {
+        console.error(`Evidence render of ${response.url} failed:`, error.message);
+        renderError = error.message;
+      }
+    }
+
+    const files = [];
+    for (const { part, buffer, contentType: type, extension } of parts) {
+      files.push({
+        part,
+        ...await storageService.save(buffer, {
+          folder: CAPTURE_FOLDER,
+          originalName: fileName(url, capturedAt, part, extension),
+          contentType: type
+        })
+      });
+    }
+
+    const manifest = {
+      version: MANIFEST_VERSION,
+      url,
+      finalUrl: response.url,
+      capturedAt,
+      capturedBy: userId ? String(userId) : null,
+      response: {
+        status: response.status,
+        headers: response.headers || {}
+      },
+      dns: { addresses, error: dnsError },
+      renderer: renderer ? { name: renderer.name, error: renderError } : null,
+      files: files.map(file => ({
+        part: file.part,
+        name: file.originalName,
+        key: file.key,
+        contentType: file.contentType,
+        size: file.size,
+        sha256: file.checksum
+      }))
+    };
+    const manifestFile = {
+      part: 'manifest',
+      ...await storageService.save(Buffer.from(JSON.stringify(manifest, null, 2)), {
+        folder: CAPTURE_FOLDER,
+        originalName: fileName(url, capturedAt, 'manifest', '.json'),
+        contentType: 'application/json'
+      })
+    };
+
+    return {
+      url,
+      capturedAt,
+      files: [...files, manifestFile].map(({ part, ...file }) => file),
+      manifest: manifestFile,
+      screenshot: files.find(file => file.part === 'screenshot') || null
+    };
+  }
+
+  // Capture an incident's infringing URLs (those not captured yet, or the given `urls`),
+  // add the files to its evidence and mark each URL verified. Failures are logged, never
+  // thrown, so this can run after intake without being awaited; resolves to
+  // { incident, results } or null.
+  async captureIncident(incidentId, { urls, userId = null } = {}) {
+    try {
+      const { incidents } = databaseService.getRepositories();
+
+      const incident = await incidents.findById(incidentId);
+      if (!incident) return null;
+
+      const targets = incident.infringedUrls
+        .filter(entry => entry.url && (urls ? urls.includes(entry.url) : !entry.capturedAt))
+        .slice(0, MAX_URLS_PER_CAPTURE)
+        .map(entry => entry.url);
+      if (targets.length === 0) return { incident, results: [] };
+
+      const results = [];
+      const captured = new Map();
+      for (const url of targets) {
+        try {
+          const capture = await this.capture(url, { userId });
+          captured.set(url, {
+            ...capture,
+            entries: capture.files.map(file => evidenceService.toEntry(file, {
+              uploadedBy: userId,
+              uploadedAt: new Date(capture.capturedAt),
+              description: `Automated capture of ${url}`
+            }))
+          });
+          results.push({ url, capturedAt: capture.capturedAt, checksum: capture.manifest.checksum, error: null });
+        } catch (error) {
+          console.error(`Evidence capture of ${url} failed:`, error.message);
+          results.push({ url, capturedAt: null, checksum: null, error: error.message });
+        }
+      }
+      if (captured.size === 0) return { incident, results };
+      const evidence = [...captured.values()].flatMap(capture => capture.entries);
+
+      // Read again so URLs and evidence added while pages were being fetched are kept
+      const current = await incidents.findById(incident._id);
+      const updated = await incidents.update(current._id, {
+        evidence: [...current.evidence, ...evidence],
+        infringedUrls: current.infringedUrls.map(entry => {
+          const capture = captured.get(entry.url);
+          if (!capture) return entry;
+          return {
+            ...entry,
+            verified: true,
+            capturedAt: capture.capturedAt,
+            captureManifest: capture.manifest.key,
+            screenshot: capture.screenshot ? capture.screenshot.key : entry.screenshot
+          };
+        })
+      });
+      await evidenceService.recordDocuments(updated._id, evidence);
+      for (const capture of captured.values()) {
+        await custodyService.recordIngest(updated._id, capture.entries, {
+          userId,
+          action: 'captured',
+          details: this.custodyDetails(capture)
+        });
+      }
+
+      await caseActivityService.log({
+        incidentId: updated._id,
+        userId,
+        type: 'document_uploaded',
+        description: `Captured evidence of ${captured.size} infringing URL${captured.size === 1 ? '' : 's'}`,
+        metadata: { capture: results }
+      });
+
+      return { incident: updated, results };
+    } catch (error) {
+      console.error('Error capturing incident evidence:', error);
+      return null;
+    }
+  }
+
+  // Capture a monitoring alert's page and record it on the alert. Like captureIncident,
+  // failures are logged rather than thrown; a failed fetch is recorded on the alert.
+  async captureAlert(alert, { userId = null } = {}) {
+    try {
+      const { alerts } = databaseService.getRepositories();
+
+      let evidenceCapture;
+      let screenshot = null;
+      try {
+        const capture = await this.capture(alert.sourceUrl, { userId });
+        evidenceCapture = { capturedAt: capture.capturedAt, files: capture.files, error: null };
+        screenshot = capture.screenshot;
+      } catch (error) {
+        console.error(`Evidence capture of ${alert.sourceUrl} failed:`, error.message);
+        evidenceCapture = { capturedAt: new Date().toISOString(), files: [], error: error.message };
+      }
+
+      return alerts.update(alert._id, {
+        evidenceCapture,
+        ...(screenshot ? { screenshots: [...alert.screenshots, screenshot.key] } : {})
+      });
+    } catch (error) {
+      console.error('Error capturing alert evidence:', error);
+      return alert;
+    }
+  }
+
+  // What a captured file's custody log records about the capture it belongs to; the
+  // manifest's checksum covers every file in the bundle
+  custodyDetails({ url, capturedAt, manifest }) {
+    return {
+      captureUrl: url,
+      capturedAt,
+      manifestKey: manifest.key,
+      manifestChecksum: manifest.checksum
+    };
+  }
+
+  // Evidence entries for the files of an alert's capture, for the case created from it
+  toEvidence(alert, { userId = null } = {}) {
+    const capture = alert.evidenceCapture;
+    if (!capture || capture.files.length === 0) return [];
+
+    return capture.files.map(file => evidenceService.toEntry(file, {
+      uploadedBy: userId,
+      uploadedAt: new Date(capture.capturedAt),
+      description: `Automated capture of ${alert.sourceUrl}`
+    }));
+  }
+}
+
+module.exports = new EvidenceCaptureService();
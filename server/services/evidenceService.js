@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const databaseService = require('../config/databaseService');
+const { refId } = require('../repositories');
+const storageService = require('./storageService');
+
+const EVIDENCE_FOLDER = 'evidence';
+
+// Upload descriptor fields covered by the descriptor signature
+const DESCRIPTOR_FIELDS = ['id', 'key', 'originalName', 'contentType', 'size', 'checksum', 'backend', 'uploadedBy', 'uploadedAt'];
+
+class EvidenceService {
+  // Evidence entry for a stored file, in the shape of the active database
+  toEntry(file, { uploadedBy, uploadedAt = new Date(), description }) {
+    if (databaseService.type === 'supabase') {
+      return {
+        id: file.id || crypto.randomUUID(),
+        file_name: path.basename(file.key),
+        file_path: file.key,
+        original_name: file.originalName,
+        mimetype: file.contentType,
+        size: file.size,
+        checksum: file.checksum,
+        storage_backend: file.backend,
+        ...(description ? { description } : {}),
+        uploaded_by: uploadedBy,
+        uploaded_at: uploadedAt
+      };
+    }
+
+    return {
+      type: file.contentType && file.contentType.startsWith('image/') ? 'screenshot' : 'document',
+      filename: file.originalName,
+      url: file.key,
+      mimeType: file.contentType,
+      size: file.size,
+      checksum: file.checksum,
+      storageBackend: file.backend,
+      description,
+      uploadedBy,
+      uploadedAt
+    };
+  }
+
+  // Store uploaded evidence and describe it in the shape of the active database
+  async storeUploads(files = [], userId) {
+    const stored = await storageService.saveUploads(files, EVIDENCE_FOLDER);
+    return stored.map(file => this.toEntry(file, { uploadedBy: userId }));
+  }
+
+  descriptorPayload(descriptor) {
+    return JSON.stringify(DESCRIPTOR_FIELDS.map(field => descriptor[field]));
+  }
+
+  // Store files ahead of attaching them to a case. The returned descriptors are signed so
+  // PUT /api/incidents/:id can trust the storage key and checksum they carry.
+  async storeDescriptors(files = [], userId) {
+    const stored = await storageService.saveUploads(files, EVIDENCE_FOLDER);
+
+    return stored.map(file => {
+      const descriptor = {
+        id: crypto.randomUUID(),
+        key: file.key,
+        originalName: file.originalName,
+        contentType: file.contentType,
+        size: file.size,
+        checksum: file.checksum,
+        backend: file.backend,
+        uploadedBy: userId.toString(),
+        uploadedAt: new Date().toISOString()
+      };
+
+      return { ...descriptor, signature: storageService.sign(this.descriptorPayload(descriptor)) };
+    });
+  }
+
+  isValidDescriptor(descriptor) {
+    return Boolean(descriptor && descriptor.key && descriptor.signature) &&
+      storageService.verifySignature(this.descriptorPayload(descriptor), descriptor.signature);
+  }
+
+  // Evidence entries for descriptors returned by the upload endpoint
+  fromDescriptors(descriptors = []) {
+    return descriptors.map(descriptor => this.toEntry(descriptor, {
+      uploadedBy: descriptor.uploadedBy,
+      uploadedAt: new Date(descriptor.uploadedAt)
+    }));
+  }
+
+  // Mirror stored evidence into the documents table so each file keeps its checksum on record
+  async recordDocuments(incidentId, evidenceFiles = []) {
+    if (databaseService.type !== 'supabase' || evidenceFiles.length === 0) return [];
+
+    const db = databaseService.getService();
+    return Promise.all(evidenceFiles.map(file => db.createDocument({
+      id: file.id,
+      incident_id: incidentId,
+      title: file.original_name,
+      file_path: file.file_path,
+      file_name: file.file_name,
+      file_size: file.size,
+      file_type: path.extname(file.original_name || '').replace('.', '').toLowerCase() || null,
+      mime_type: file.mimetype,
+      document_type: file.mimetype && file.mimetype.startsWith('image/') ? 'screenshot' : 'evidence',
+      uploaded_by: file.uploaded_by,
+      created_by: file.uploaded_by,
+      checksum: file.checksum
+    })));
+  }
+
+  // An evidence entry of either database's shape as { id, key, fileName, mimeType, size,
+  // checksum }; the key is null for entries that predate stored files
+  describe(entry) {
+    if (entry.file_path !== undefined) {
+      return {
+        id: String(entry.id),
+        key: entry.storage_backend ? entry.file_path : null,
+        fileName: entry.original_name || entry.file_name,
+        mimeType: entry.mimetype,
+        size: entry.size,
+        checksum: entry.checksum
+      };
+    }
+
+    return {
+      id: String(entry._id),
+      key: entry.storageBackend ? entry.url : null,
+      fileName: entry.filename,
+      mimeType: entry.mimeType,
+      size: entry.size,
+      checksum: entry.checksum
+    };
+  }
+
+  // Look up an evidence file and the case fields needed for access checks
+  async findEvidence(incidentId, evidenceId) {
+    const incident = await databaseService.getRepositories().incidents.findById(incidentId);
+    if (!incident) return { incident: null, evidence: null };
+
+    const file = incident.evidence.find(entry => String(entry.id || entry._id) === String(evidenceId));
+
+    return {
+      incident: {
+        id: incident._id,
+        reporterId: refId(incident.reporter),
+        assignedToId: refId(incident.assignedTo)
+      },
+      evidence: file ? this.describe(file) : null
+    };
+  }
+
+  // Staff can only reach evidence on cases they reported or are assigned to
+  canAccess(user, incident) {
+    if (user.role !== 'staff') return true;
+
+    const userId = (user.id || user._id).toString();
+    return incident.reporterId === userId || incident.assignedToId === userId;
+  }
+}
+
+module.exports = new EvidenceService();
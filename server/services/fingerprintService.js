@@ -0,0 +1,194 @@
+const databaseService = require('../config/databaseService');
+const monitoringService = require('./monitoringService');
+const { textFingerprint, textSimilarity, imageHash, imageSimilarity, readContent } = require('./monitoring/fingerprint');
+
+// Reference fingerprints of protected works, and scoring of monitoring alerts against them.
+
+// Similarity from which a match names the protected work as the alert's DSP content
+const MATCH_THRESHOLD = 0.5;
+
+// Images fetched per alert when comparing against image fingerprints
+const MAX_CANDIDATE_IMAGES = 3;
+
+// Below this many words an entry's own text is not worth scoring, so the page is fetched
+const MIN_ENTRY_WORDS = 100;
+
+const contentError = (message) => {
+  const error = new Error(message);
+  error.status = 422;
+  return error;
+};
+
+// A fingerprint as listed to users, without its signatures
+const summarize = ({ chunks, ...fingerprint }) => ({ ...fingerprint, chunkCount: chunks.length });
+
+class FingerprintService {
+  constructor() {
+    this.summarize = summarize;
+    this.matchThreshold = MATCH_THRESHOLD;
+  }
+
+  // Fingerprint fields for a file or download. Throws an error with status 422 for content
+  // that cannot be fingerprinted.
+  async fingerprint(buffer, { contentType, name }) {
+    let content;
+    try {
+      content = await readContent(buffer, { contentType, name });
+    } catch (error) {
+      throw contentError(error.message);
+    }
+
+    if (content.kind === 'image') {
+      try {
+        return { kind: 'image', hash: await imageHash(content.buffer) };
+      } catch (error) {
+        throw contentError(`Image could not be read: ${error.message}`);
+      }
+    }
+
+    const { wordCount, chunks } = textFingerprint(content.text);
+    if (chunks.length === 0) {
+      throw contentError('No text found to fingerprint. Scanned PDFs need a text layer.');
+    }
+    return { kind: 'text', wordCount, chunks };
+  }
+
+  // Store a fingerprint of an uploaded file (from multer's memory storage)
+  async createFromUpload(work, file, { label, userId }) {
+    const fields = await this.fingerprint(file.buffer, { contentType: file.mimetype, name: file.originalname });
+
+    return databaseService.getRepositories().workFingerprints.create({
+      ...fields,
+      workId: work._id,
+      label: label || file.originalname,
+      source: { type: 'upload', name: file.originalname, contentType: file.mimetype },
+      createdBy: userId
+    });
+  }
+
+  // Store a fingerprint of a page, PDF or image downloaded from `url`
+  async createFromUrl(work, url, { label, userId }) {
+    let response;
+    try {
+      response = await monitoringService.createHttpClient({}).get(url, { binary: true });
+    } catch (error) {
+      throw contentError(error.message);
+    }
+    const fields = await this.fingerprint(response.body, { contentType: response.contentType, name: new URL(response.url).pathname });
+
+    return databaseService.getRepositories().workFingerprints.create({
+      ...fields,
+      workId: work._id,
+      label: label || response.url,
+      source: { type: 'url', url: response.url, contentType: response.contentType },
+      createdBy: userId
+    });
+  }
+
+  // The active protected works with their text and image fingerprints
+  async loadReferences() {
+    const { protectedWorks, workFingerprints } = databaseService.getRepositories();
+    const { items: works } = await protectedWorks.list({ active: true });
+    const fingerprints = await workFingerprints.listByWorks(works.map(work => work._id));
+
+    return {
+      works,
+      worksById: new Map(works.map(work => [work._id, work])),
+      texts: fingerprints.filter(fingerprint => fingerprint.kind === 'text'),
+      images: fingerprints.filter(fingerprint => fingerprint.kind === 'image')
+    };
+  }
+
+  // A scorer for Connector#run holding the fingerprints of every active protected work, or
+  // null when there are none to compare against
+  async createScorer() {
+    const references = await this.loadReferences();
+    if (references.texts.length + references.images.length === 0) return null;
+
+    return {
+      apply: (alert, entry, http) => this.score(alert, entry, http, references)
+    };
+  }
+
+  // The fingerprint most like content from readContent, as { fingerprint, similarity }, or
+  // null when there is nothing of the same kind to compare it with
+  async compare(content, { texts, images }) {
+    let comparisons = [];
+    if (content.kind === 'text') {
+      const candidate = textFingerprint(content.text);
+      comparisons = texts
+        .map(fingerprint => ({ fingerprint, similarity: textSimilarity(candidate, fingerprint) }))
+        .filter(comparison => comparison.similarity !== null);
+    } else if (content.kind === 'image' && images.length > 0) {
+      const hash = await imageHash(content.buffer);
+      comparisons = images.map(fingerprint => ({ fingerprint, similarity: imageSimilarity(hash, fingerprint.hash) }));
+    }
+
+    if (comparisons.length === 0) return null;
+    return comparisons.reduce((a, b) => (b.similarity > a.similarity ? b : a));
+  }
+
+  // Set the alert's confidence to its best similarity to a fingerprint. Alerts that could
+  // not be compared, because nothing usable could be fetched, keep their keyword confidence.
+  async score(alert, entry, http, { texts, images, worksById }) {
+    const comparisons = [];
+    const compareText = (text) => {
+      const candidate = textFingerprint(text);
+      texts.forEach(fingerprint => {
+        const similarity = textSimilarity(candidate, fingerprint);
+        if (similarity !== null) comparisons.push({ fingerprint, similarity });
+      });
+    };
+    const compareImage = async (buffer) => {
+      const hash = await imageHash(buffer);
+      images.forEach(fingerprint => comparisons.push({ fingerprint, similarity: imageSimilarity(hash, fingerprint.hash) }));
+    };
+
+    if (texts.length > 0) compareText([entry.summary, entry.text].filter(Boolean).join('\n'));
+
+    // Search results and feed items carry a snippet at most, so look at the page itself
+    const snippetOnly = (entry.text || '').split(/\s+/).length < MIN_ENTRY_WORDS;
+    if ((snippetOnly && texts.length > 0) || images.length > 0) {
+      try {
+        const response = await http.get(entry.url, { binary: true });
+        const content = await readContent(response.body, { contentType: response.contentType, name: new URL(entry.url).pathname });
+
+        if (content.kind === 'image' && images.length > 0) await compareImage(content.buffer);
+        if (content.kind === 'text' && snippetOnly && texts.length > 0) compareText(content.text);
+      } catch (error) {
+        console.error(`Fingerprint scoring could not read ${entry.url}: ${error.message}`);
+      }
+    }
+
+    if (images.length > 0) {
+      for (const url of (entry.images || []).slice(0, MAX_CANDIDATE_IMAGES)) {
+        try {
+          await compareImage((await http.get(url, { binary: true })).body);
+        } catch (error) {
+          console.error(`Fingerprint scoring could not read ${url}: ${error.message}`);
+        }
+      }
+    }
+
+    if (comparisons.length === 0) return alert;
+
+    const best = comparisons.reduce((a, b) => (b.similarity > a.similarity ? b : a));
+    const work = worksById.get(best.fingerprint.workId);
+
+    alert.confidence = Math.round(best.similarity * 100);
+    alert.fingerprintMatch = {
+      workId: best.fingerprint.workId,
+      workTitle: work.title,
+      fingerprintId: best.fingerprint._id,
+      kind: best.fingerprint.kind,
+      label: best.fingerprint.label,
+      similarity: Math.round(best.similarity * 1000) / 1000
+    };
+    if (best.similarity >= MATCH_THRESHOLD) {
+      alert.dspContent = { title: work.title, isbn: work.isbn || undefined, contentType: work.workType || 'other' };
+    }
+    return alert;
+  }
+}
+
+module.exports = new FingerprintService();
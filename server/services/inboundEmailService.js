@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+
+const databaseService = require('../config/databaseService');
+const caseActivityService = require('./caseActivityService');
+const custodyService = require('./custodyService');
+const evidenceService = require('./evidenceService');
+const notificationService = require('./notificationService');
+const storageService = require('./storageService');
+const { refId } = require('../repositories');
+
+// Plus-addressed reply tokens, e.g. legal+3f9a1c0b7d2e4a61@example.com
+const REPLY_TOKEN_PATTERN = /\+([a-f0-9]{16})@/i;
+
+class InboundEmailService {
+  createReplyToken() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  // Reply-To address that routes an infringer's answer back to the document it answers
+  getReplyAddress(token) {
+    const mailbox = process.env.INBOUND_EMAIL_ADDRESS;
+    if (!mailbox || !token) return null;
+
+    const [local, domain] = mailbox.split('@');
+    return `${local}+${token}@${domain}`;
+  }
+
+  findReplyToken(parsed) {
+    const recipients = ['to', 'cc']
+      .flatMap(field => (parsed[field] ? [].concat(parsed[field]) : []))
+      .flatMap(address => address.value || [])
+      .map(entry => entry.address || '');
+
+    const deliveredTo = parsed.headers.get('delivered-to');
+    if (deliveredTo) recipients.push(...[].concat(deliveredTo));
+
+    for (const address of recipients) {
+      const match = String(address).match(REPLY_TOKEN_PATTERN);
+      if (match) return match[1].toLowerCase();
+    }
+
+    return null;
+  }
+
+  // Match a reply to its document by reply token, falling back to the message it answers
+  async findDocument(parsed) {
+    const { documents } = databaseService.getRepositories();
+    const token = this.findReplyToken(parsed);
+    if (token) {
+      const document = await documents.findByReplyToken(token);
+      if (document) return { document, matchedBy: 'reply_token' };
+    }
+
+    const referenced = [parsed.inReplyTo, ...[].concat(parsed.references || [])].filter(Boolean);
+    if (referenced.length > 0) {
+      const document = await documents.findByMessageIds(referenced);
+      if (document) return { document, matchedBy: 'message_id' };
+    }
+
+    return { document: null, matchedBy: null };
+  }
+
+  async saveAttachments(attachments) {
+    return Promise.all(attachments.map(attachment => storageService.save(attachment.content, {
+      folder: 'evidence',
+      originalName: attachment.filename || 'attachment',
+      contentType: attachment.contentType
+    })));
+  }
+
+  // Record the response on the document, attach its files to the case as evidence with
+  // their custody logs opened, and mark the legal action answered. Resolves to the
+  // incident, or null when it no longer exists.
+  async recordResponse(document, response, attachments) {
+    const { documents, incidents } = databaseService.getRepositories();
+
+    await documents.update(document._id, {
+      status: 'responded',
+      responseDate: response.receivedAt,
+      responseContent: response.content,
+      responses: [...document.responses, response]
+    });
+
+    const incident = await incidents.findById(refId(document.incidentId));
+    if (!incident) return null;
+
+    const evidence = attachments.map(attachment => ({
+      ...evidenceService.toEntry(attachment, { uploadedBy: null }),
+      type: 'email',
+      description: `Attachment from ${response.from} in reply to "${document.title}"`
+    }));
+    this.markLegalActionResponded(incident.legalActions, document, response.receivedAt);
+
+    const updated = await incidents.update(incident._id, {
+      evidence: [...incident.evidence, ...evidence],
+      legalActions: incident.legalActions
+    });
+    await evidenceService.recordDocuments(updated._id, evidence);
+    await custodyService.recordIngest(updated._id, evidence, {
+      details: { receivedFrom: response.from, documentId: String(document._id) }
+    });
+
+    return updated;
+  }
+
+  markLegalActionResponded(legalActions, document, receivedAt) {
+    const legalAction = legalActions.find(action =>
+      action.documentId && action.documentId.toString() === document._id.toString()
+    );
+    if (legalAction && legalAction.status === 'sent') {
+      legalAction.status = 'responded';
+      legalAction.responseDate = receivedAt;
+    }
+  }
+
+  // Parse a raw RFC 822 message and attach it to the document it replies to.
+  // Returns null when the message cannot be matched to a sent document.
+  async ingest(raw) {
+    const parsed = await simpleParser(raw);
+    const { document, matchedBy } = await this.findDocument(parsed);
+    if (!document) return null;
+
+    const attachments = await this.saveAttachments(parsed.attachments || []);
+    const from = parsed.from ? parsed.from.text : 'unknown sender';
+    const response = {
+      from,
+      subject: parsed.subject,
+      messageId: parsed.messageId,
+      receivedAt: parsed.date || new Date(),
+      content: (parsed.text || '').trim(),
+      attachments: attachments.map(attachment => attachment.originalName)
+    };
+
+    const incident = await this.recordResponse(document, response, attachments);
+
+    if (!incident) {
+      return { document, incident: null, matchedBy, attachments };
+    }
+
+    await caseActivityService.log({
+      incidentId: incident._id,
+      userId: null,
+      type: 'legal_action_taken',
+      description: `Response received from ${from} to "${document.title}"` +
+        (attachments.length > 0 ? ` with ${attachments.length} attachment(s)` : ''),
+      metadata: {
+        documentId: document._id,
+        messageId: parsed.messageId,
+        matchedBy,
+        attachments: attachments.map(attachment => attachment.originalName)
+      }
+    });
+
+    const recipientId = refId(incident.assignedTo) || refId(document.createdBy);
+    if (recipientId) {
+      await notificationService.create({
+        userId: recipientId,
+        title: 'Response received',
+        message: `${from} replied to "${document.title}" on case ${incident.caseNumber || incident.title}.`,
+        category: 'legal',
+        incidentId: incident._id,
+        documentId: document._id,
+        priority: 'high',
+        actionUrl: `/cases/${incident._id}`
+      });
+    }
+
+    return { document, incident, matchedBy, attachments };
+  }
+}
+
+module.exports = new InboundEmailService();
@@ -0,0 +1,233 @@
+const databaseService = require('../config/databaseService');
+const duplicateService = require('./duplicateService');
+
+// The infringer registry: matching incidents and alerts to known infringers on intake,
+// keeping each infringer's counts current and summarising their history.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RESOLVED_STATUSES = ['resolved', 'closed'];
+const HISTORY_ALERT_LIMIT = 20;
+
+// Sites that host many unrelated uploaders. Their domains say nothing about who is behind
+// an infringing URL, so they are never used to match or describe an infringer.
+const SHARED_PLATFORM_DOMAINS = [
+  'youtube.com', 'youtu.be', 'facebook.com', 'instagram.com', 'twitter.com', 'x.com',
+  'tiktok.com', 'reddit.com', 'pinterest.com', 'linkedin.com', 'vimeo.com', 'scribd.com',
+  'medium.com', 'github.com', 'drive.google.com', 'docs.google.com', 'dropbox.com',
+  'amazon.com', 'ebay.com', 'etsy.com', 'wordpress.com', 'blogspot.com'
+];
+
+const sharedPlatforms = new Set([
+  ...SHARED_PLATFORM_DOMAINS,
+  ...(process.env.SHARED_PLATFORM_DOMAINS || '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean)
+]);
+
+// Infringer names that only say the name was not known
+const PLACEHOLDER_NAMES = new Set(['unknown', 'n/a', 'none']);
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+const sameText = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+class InfringerService {
+  isSharedPlatform(domain) {
+    return sharedPlatforms.has(domain) || [...sharedPlatforms].some(platform => domain.endsWith(`.${platform}`));
+  }
+
+  // Registry fields with emails lower-cased, domains reduced to their host and duplicate
+  // entries dropped
+  normalize(fields) {
+    const normalized = { ...fields };
+
+    if (fields.name !== undefined) normalized.name = String(fields.name).trim();
+    if (fields.aliases) normalized.aliases = unique(fields.aliases.map(alias => String(alias).trim()));
+    if (fields.emails) normalized.emails = unique(fields.emails.map(email => String(email).trim().toLowerCase()));
+    if (fields.domains) normalized.domains = unique(fields.domains.map(domain => duplicateService.domainOf(domain)));
+    if (fields.hostingProviders) {
+      normalized.hostingProviders = unique(fields.hostingProviders.map(provider => String(provider).trim()));
+    }
+    if (fields.socialHandles) {
+      normalized.socialHandles = fields.socialHandles
+        .filter(social => social && social.handle)
+        .map(({ platform, handle }) => ({ platform: String(platform || '').trim().toLowerCase(), handle: String(handle).trim() }));
+    }
+
+    return normalized;
+  }
+
+  // Identifiers an incident or alert can be matched on: domains of the infringing URLs and
+  // infringer website other than shared platforms, the infringer's email and names
+  identifiers({ infringerInfo = {}, infringedUrls = [], sourceUrl = null, sourceDomain = null }) {
+    const urls = [...infringedUrls.map(entry => entry.url), infringerInfo.website, sourceUrl, sourceDomain];
+
+    return {
+      domains: unique(urls.map(url => duplicateService.domainOf(url))).filter(domain => !this.isSharedPlatform(domain)),
+      emails: unique([infringerInfo.email && String(infringerInfo.email).trim().toLowerCase()]),
+      names: unique([infringerInfo.organization, infringerInfo.name].map(name => name && String(name).trim()))
+        .filter(name => !PLACEHOLDER_NAMES.has(name.toLowerCase()))
+    };
+  }
+
+  // The registered infringer sharing the most identifiers, weighting emails over domains
+  // over names, or null
+  async findMatch({ domains = [], emails = [], names = [] }) {
+    if (domains.length === 0 && emails.length === 0 && names.length === 0) return null;
+
+    const { infringers } = databaseService.getRepositories();
+    const { items } = await infringers.list({ matching: { domains, emails, names } }, { limit: 20 });
+
+    const score = infringer => (
+      emails.filter(email => infringer.emails.includes(email)).length * 3 +
+      domains.filter(domain => infringer.domains.includes(domain)).length * 2 +
+      names.filter(name => [infringer.name, ...infringer.aliases].some(known => sameText(known, name))).length
+    );
+
+    return items.reduce((best, infringer) => (!best || score(infringer) > score(best) ? infringer : best), null);
+  }
+
+  // Link a newly reported incident to its infringer, registering the infringer on first
+  // sight and adding any identifiers not yet on file. Failures are logged rather than
+  // thrown so the report itself still succeeds.
+  async matchIncident(incidentId, { userId = null } = {}) {
+    try {
+      const { incidents, infringers } = databaseService.getRepositories();
+
+      // Incidents created from a linked alert arrive with their infringer already set
+      const incident = await incidents.findById(incidentId);
+      if (!incident) return null;
+      if (incident.infringerId) return this.refreshStats(incident.infringerId._id);
+
+      const found = this.identifiers(incident);
+      if (found.domains.length === 0 && found.emails.length === 0 && found.names.length === 0) return null;
+
+      let infringer = await this.findMatch(found);
+      if (infringer) {
+        const aliases = found.names.filter(name => ![infringer.name, ...infringer.aliases].some(known => sameText(known, name)));
+        infringer = await infringers.update(infringer._id, this.normalize({
+          aliases: [...infringer.aliases, ...aliases],
+          emails: [...infringer.emails, ...found.emails],
+          domains: [...infringer.domains, ...found.domains]
+        }));
+      } else {
+        const [name, ...aliases] = found.names.length > 0 ? found.names : [found.domains[0] || found.emails[0]];
+        infringer = await infringers.create(this.normalize({
+          name,
+          aliases,
+          emails: found.emails,
+          domains: found.domains,
+          createdBy: userId
+        }));
+      }
+
+      await incidents.update(incident._id, { infringerId: infringer._id });
+      return this.refreshStats(infringer._id);
+    } catch (error) {
+      console.error('Error matching incident to infringer:', error);
+      return null;
+    }
+  }
+
+  // Link a monitoring alert to a registered infringer on one of its domains. Alerts never
+  // register new infringers.
+  async matchAlert(alert) {
+    try {
+      const { domains } = this.identifiers(alert);
+      if (alert.infringerId || domains.length === 0) return alert;
+
+      const infringer = await this.findMatch({ domains });
+      if (!infringer) return alert;
+
+      const { alerts } = databaseService.getRepositories();
+      const linked = await alerts.update(alert._id, { infringerId: infringer._id });
+      await this.refreshStats(infringer._id);
+      return linked;
+    } catch (error) {
+      console.error('Error matching alert to infringer:', error);
+      return alert;
+    }
+  }
+
+  // Recount an infringer's incidents and alerts and when they were last seen
+  async refreshStats(infringerId) {
+    const { incidents, alerts, infringers } = databaseService.getRepositories();
+
+    const [latestIncident, latestAlert] = await Promise.all([
+      incidents.list({ infringerId }, { limit: 1, sortBy: 'reportedAt' }),
+      alerts.list({ infringerId }, { limit: 1, sortBy: 'detectedAt' })
+    ]);
+    const seen = [latestIncident.items[0]?.reportedAt, latestAlert.items[0]?.detectedAt]
+      .filter(Boolean)
+      .sort()
+      .pop();
+
+    return infringers.update(infringerId, {
+      incidentCount: latestIncident.total,
+      alertCount: latestAlert.total,
+      lastSeenAt: seen || null
+    });
+  }
+
+  // Incidents, recent alerts and notices for an infringer, with response and outcome
+  // statistics. `canView` limits which incidents are listed, not what is counted.
+  async history(infringerId, { canView = () => true } = {}) {
+    const { incidents, alerts } = databaseService.getRepositories();
+
+    const [{ items: cases }, { items: recentAlerts, total: alertCount }] = await Promise.all([
+      incidents.list({ infringerId }, { sortBy: 'reportedAt' }),
+      alerts.list({ infringerId }, { limit: HISTORY_ALERT_LIMIT, sortBy: 'detectedAt' })
+    ]);
+
+    const notices = cases
+      .flatMap(incident => incident.legalActions
+        .filter(action => action.sentDate)
+        .map(action => ({
+          incident: { _id: incident._id, caseNumber: incident.caseNumber, title: incident.title },
+          actionType: action.actionType,
+          status: action.status,
+          deliveryMethod: action.deliveryMethod || null,
+          sentDate: action.sentDate,
+          responseDate: action.responseDate || null
+        })))
+      .sort((a, b) => new Date(b.sentDate) - new Date(a.sentDate));
+
+    const responded = notices.filter(notice => notice.responseDate || ['responded', 'resolved'].includes(notice.status));
+    const responseDays = responded
+      .filter(notice => notice.responseDate)
+      .map(notice => (new Date(notice.responseDate) - new Date(notice.sentDate)) / DAY_MS);
+
+    const outcomes = cases.reduce((counts, incident) => {
+      const outcome = incident.resolution?.outcome;
+      return outcome ? { ...counts, [outcome]: (counts[outcome] || 0) + 1 } : counts;
+    }, {});
+
+    return {
+      incidents: cases.filter(canView).map(incident => ({
+        _id: incident._id,
+        caseNumber: incident.caseNumber,
+        title: incident.title,
+        status: incident.status,
+        severity: incident.severity,
+        outcome: incident.resolution?.outcome || null,
+        reportedAt: incident.reportedAt,
+        resolvedAt: incident.resolvedAt
+      })),
+      alerts: recentAlerts,
+      notices: notices.filter(notice => canView(cases.find(incident => incident._id === notice.incident._id))),
+      stats: {
+        incidents: cases.length,
+        openIncidents: cases.filter(incident => !RESOLVED_STATUSES.includes(incident.status)).length,
+        alerts: alertCount,
+        noticesSent: notices.length,
+        responses: responded.length,
+        responseRate: notices.length > 0 ? Math.round((responded.length / notices.length) * 100) : null,
+        averageResponseDays: responseDays.length > 0
+          ? Math.round((responseDays.reduce((sum, days) => sum + days, 0) / responseDays.length) * 10) / 10
+          : null,
+        outcomes,
+        firstSeenAt: cases.length > 0 ? cases[cases.length - 1].reportedAt : null
+      }
+    };
+  }
+}
+
+module.exports = new InfringerService();
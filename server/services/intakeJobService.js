@@ -0,0 +1,126 @@
+const cron = require('node-cron');
+
+const databaseService = require('../config/databaseService');
+const domainIntelService = require('./domainIntelService');
+const evidenceCaptureService = require('./evidenceCaptureService');
+
+// Work owed to new incidents and monitoring alerts that calls third-party services: domain
+// lookups and evidence capture. Intake only records the job names in the record's pendingJobs and kicks
+// off a drain without waiting for it, so saving a case never waits on the infringing site.
+// The schedule (or /api/jobs/trigger where there is no in-process schedule) picks up
+// whatever a kick left behind. A job's name is cleared once it has run, whether or not it
+// succeeded: the jobs record their own failures, and a page that cannot be fetched would
+// otherwise be retried forever.
+
+// Records taken from each repository per drain
+const BATCH_SIZE = parseInt(process.env.INTAKE_JOBS_BATCH_SIZE) || 10;
+
+// Jobs by repository and name; each is given the record as it is when the job starts
+const HANDLERS = {
+  incidents: {
+    domain_intel: incident => domainIntelService.enrichIncident(incident._id),
+    evidence_capture: incident => evidenceCaptureService.captureIncident(incident._id)
+  },
+  alerts: {
+    domain_intel: alert => domainIntelService.enrichAlert(alert),
+    evidence_capture: alert => evidenceCaptureService.captureAlert(alert)
+  }
+};
+
+class IntakeJobService {
+  constructor() {
+    this.running = false;
+    this.requested = false;
+  }
+
+  // The pendingJobs a new incident or alert is saved with. Domain lookups go first, as they
+  // are quicker and takedown notices are addressed from them.
+  jobsFor() {
+    return ['domain_intel', ...(evidenceCaptureService.isAutomatic() ? ['evidence_capture'] : [])];
+  }
+
+  // Run a record's pending jobs one after another, then clear the ones that ran. Jobs
+  // added while these were running are kept for the next drain.
+  async runJobs(repositoryName, record) {
+    const repository = databaseService.getRepositories()[repositoryName];
+
+    const ran = [];
+    for (const job of record.pendingJobs) {
+      const current = await repository.findById(record._id);
+      if (!current) return ran;
+
+      const handler = HANDLERS[repositoryName][job];
+      try {
+        if (handler) {
+          await handler(current);
+        } else {
+          console.error(`Unknown intake job "${job}" on ${repositoryName} ${record._id}`);
+        }
+      } catch (error) {
+        console.error(`Intake job ${job} failed on ${repositoryName} ${record._id}:`, error);
+      }
+      ran.push(job);
+    }
+
+    const current = await repository.findById(record._id);
+    if (current) {
+      await repository.update(current._id, { pendingJobs: current.pendingJobs.filter(job => !ran.includes(job)) });
+    }
+    return ran;
+  }
+
+  // Run the pending jobs of the oldest BATCH_SIZE incidents and alerts. Only one drain runs
+  // at a time in a process; a drain asked for while one is running is skipped, and the
+  // running one goes round again for the records that asked.
+  async drain() {
+    if (this.running) {
+      this.requested = true;
+      return { skipped: true };
+    }
+
+    this.running = true;
+    const summary = { incidents: 0, alerts: 0, jobs: 0 };
+
+    try {
+      do {
+        this.requested = false;
+        for (const repositoryName of Object.keys(HANDLERS)) {
+          const { items } = await databaseService.getRepositories()[repositoryName].list(
+            { hasPendingJobs: true },
+            { limit: BATCH_SIZE, sortBy: 'createdAt', sortOrder: 'asc' }
+          );
+          for (const record of items) {
+            summary.jobs += (await this.runJobs(repositoryName, record)).length;
+            summary[repositoryName] += 1;
+          }
+        }
+      } while (this.requested);
+
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Drain in the background, for intake to call once its records are saved
+  start() {
+    this.drain().catch(error => console.error('Error running intake jobs:', error));
+  }
+
+  // Drain on a cron schedule (every minute by default), for records whose kick was lost
+  // to a restart
+  scheduleDrain(expression = process.env.INTAKE_JOBS_CRON || '* * * * *') {
+    return cron.schedule(expression, async () => {
+      try {
+        const summary = await this.drain();
+        if (!summary.skipped && summary.jobs > 0) {
+          console.log(`Intake jobs completed. ${summary.jobs} jobs on ${summary.incidents} incidents and ${summary.alerts} alerts.`);
+        }
+      } catch (error) {
+        console.error('Scheduled intake jobs failed:', error);
+      }
+    });
+  }
+}
+
+module.exports = new IntakeJobService();
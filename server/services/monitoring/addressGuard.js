@@ -0,0 +1,83 @@
+const dns = require('dns');
+const net = require('net');
+
+// Keeps server-side fetches of user-supplied URLs (monitoring, evidence capture, takedown
+// rechecks, fingerprint downloads) on the public internet. A URL is refused when its host
+// is, or resolves to, a loopback, private, link-local (including the 169.254.169.254
+// cloud metadata service), shared, multicast or reserved address.
+
+const BLOCKED_CODE = 'EADDRBLOCKED';
+const PROTOCOLS = ['http:', 'https:'];
+
+// One list per family, as a BlockList matches IPv4 addresses against IPv4-mapped IPv6 rules
+const blockLists = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockLists.ipv4.addSubnet(network, prefix, 'ipv4'));
+[
+  // IPv4-mapped and NAT64 addresses are refused outright rather than unwrapped
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockLists.ipv6.addSubnet(network, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  return !blockLists[type].check(address, type);
+};
+
+const blockedError = (message) => {
+  const error = new Error(message);
+  error.code = BLOCKED_CODE;
+  return error;
+};
+
+const lookupAll = (hostname) => new Promise((resolve, reject) => {
+  dns.lookup(hostname, { all: true }, (error, addresses) => (error ? reject(error) : resolve(addresses)));
+});
+
+// Resolve a URL's host and throw unless it is http(s) and every address it resolves to is
+// public. Resolves to the addresses.
+const checkUrl = async (url) => {
+  const { protocol, hostname } = new URL(url);
+  if (!PROTOCOLS.includes(protocol)) {
+    throw blockedError(`${url} is not an http(s) URL`);
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [host] : (await lookupAll(host)).map(entry => entry.address);
+  const refused = addresses.find(address => !isPublicAddress(address));
+  if (refused) {
+    throw blockedError(net.isIP(host)
+      ? `${host} is not a public address`
+      : `${hostname} resolves to ${refused}, which is not a public address`);
+  }
+
+  return addresses;
+};
+
+// A `lookup` for http(s) agents that checks the addresses a connection is about to use, so
+// a host cannot resolve to a public address for checkUrl and a private one for the request
+const lookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const refused = addresses.find(entry => !isPublicAddress(entry.address));
+    if (refused) {
+      return callback(blockedError(`${hostname} resolves to ${refused.address}, which is not a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  BLOCKED_CODE,
+  isPublicAddress,
+  checkUrl,
+  lookup
+};
@@ -0,0 +1,131 @@
+const cheerio = require('cheerio');
+
+const ALERT_SOURCES = ['google_alerts', 'brandmentions', 'automated_scan', 'manual', 'other'];
+const DEFAULT_MAX_ITEMS = 50;
+const MAX_TEXT_LENGTH = 20000;
+const MAX_IMAGES = 5;
+
+// A monitoring source. Subclasses implement fetch() to download documents and parse() to
+// turn one document into entries ({ title, url, summary, text, images, publishedAt });
+// run() ties them together and normalize() turns each entry a watchlist matches into alert
+// fields. `watchlists` are matchers from services/monitoring/matcher.js; `keywords`, the
+// terms sent to sites that take a search, default to all of their terms. An optional
+// `scorer` (fingerprintService.createScorer()) replaces each alert's keyword confidence
+// with how closely the content matches a protected work.
+class Connector {
+  constructor(config, { http, watchlists, scorer = null }) {
+    this.id = config.id;
+    this.type = config.type;
+    this.name = config.name || config.id;
+    this.config = config;
+    this.http = http;
+    this.watchlists = watchlists;
+    this.scorer = scorer;
+    this.keywords = config.keywords && config.keywords.length > 0
+      ? config.keywords
+      : [...new Set(watchlists.flatMap(watchlist => watchlist.searchTerms))];
+    this.source = config.source || 'automated_scan';
+    this.maxItems = config.maxItems || DEFAULT_MAX_ITEMS;
+  }
+
+  // Problems with the type-specific part of a connector's configuration
+  static validate() {
+    return [];
+  }
+
+  async fetch() {
+    throw new Error(`${this.type} connector does not implement fetch()`);
+  }
+
+  parse() {
+    throw new Error(`${this.type} connector does not implement parse()`);
+  }
+
+  async run() {
+    const documents = await this.fetch();
+    const seen = new Set();
+    const entries = documents
+      .flatMap(document => this.parse(document))
+      .filter(entry => entry.url && entry.title && !seen.has(entry.url) && seen.add(entry.url))
+      .slice(0, this.maxItems);
+
+    const alerts = [];
+    for (const entry of entries) {
+      const alert = this.normalize(entry);
+      if (!alert) continue;
+      if (this.scorer) await this.scorer.apply(alert, entry, this.http);
+      alerts.push(alert);
+    }
+    return alerts;
+  }
+
+  // Alert fields for an entry, or null when no watchlist matches it. The first protected
+  // work mentioned becomes the alert's DSP content.
+  normalize(entry) {
+    const matches = this.watchlists
+      .map(watchlist => ({ id: watchlist.id, result: watchlist.match(entry) }))
+      .filter(({ result }) => result);
+    if (matches.length === 0) return null;
+
+    const matchedKeywords = [...new Set(matches.flatMap(({ result }) => result.terms))];
+    const work = matches.flatMap(({ result }) => result.works)[0];
+    const sourceDomain = new URL(entry.url).hostname.toLowerCase().replace(/^www\./, '');
+
+    return {
+      title: `Potential DSP Content Found: ${entry.title}`.slice(0, 500),
+      description: entry.summary || `Found by the ${this.name} monitoring connector`,
+      source: this.source,
+      sourceUrl: entry.url,
+      sourceDomain,
+      detectedContent: entry.title,
+      matchedKeywords,
+      confidence: Math.min(60 + (matchedKeywords.length * 10), 90),
+      dspContent: work
+        ? { title: work.title, isbn: work.isbn || undefined, contentType: work.workType || 'other' }
+        : { title: entry.title, contentType: 'other' },
+      detectedAt: new Date(),
+      metadata: {
+        platform: this.config.platform || sourceDomain,
+        language: this.config.language || 'en',
+        connector: this.id,
+        watchlists: matches.map(({ id }) => id),
+        publishedAt: entry.publishedAt || null
+      }
+    };
+  }
+}
+
+// Readable text of an HTML fragment or page, whitespace collapsed
+const textOf = (html) => {
+  const $ = cheerio.load(`<body>${html || ''}</body>`);
+  $('script, style, noscript').remove();
+  return $('body').text().replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+};
+
+// An absolute http(s) URL for a link found on `base`, or null
+const absoluteUrl = (link, base) => {
+  try {
+    const url = new URL(String(link).trim(), base);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Absolute URLs of the images in `root` (a page or one result on it) that best represent
+// it: the page's preview image, video posters, then other images
+const imagesOf = ($, root, base) => {
+  const links = [
+    root.find('meta[property="og:image"]').attr('content'),
+    ...root.find('video[poster]').toArray().map(element => $(element).attr('poster')),
+    ...root.find('img[src]').toArray().map(element => $(element).attr('src'))
+  ];
+  return [...new Set(links.filter(Boolean).map(link => absoluteUrl(link, base)).filter(Boolean))].slice(0, MAX_IMAGES);
+};
+
+const isoDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+module.exports = { Connector, ALERT_SOURCES, textOf, absoluteUrl, imagesOf, isoDate };
@@ -0,0 +1,163 @@
+const cheerio = require('cheerio');
+const sharp = require('sharp');
+// The package entry point runs a self-test when loaded outside a module, so load the parser directly
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+// Content fingerprints used to tell whether fetched content copies a protected work.
+//
+// Text is split into overlapping chunks of words; each chunk is summarised by a MinHash
+// signature of its five-word shingles. Comparing signatures estimates how much of a
+// candidate chunk appears in a reference chunk, so an excerpt scores high against the
+// whole book it was taken from. Images get a 64-bit difference hash (dHash), which
+// survives resizing, recompression and small edits.
+
+const SHINGLE_WORDS = 5;
+const CHUNK_WORDS = 500;
+const CHUNK_STRIDE = 250;
+const MAX_CHUNKS = 200;
+const PERMUTATIONS = 128;
+
+// Below this many shingles a signature is too noisy to score
+const MIN_SHINGLES = 20;
+
+// Hashes further apart than this many bits are treated as unrelated images
+const MAX_IMAGE_DISTANCE = 24;
+
+const fnv1a = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const mix32 = (value) => {
+  let hash = value;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+// Fixed so that signatures stored earlier stay comparable
+const SEEDS = Array.from({ length: PERMUTATIONS }, (value, index) => mix32(index + 0x9e3779b9));
+
+const wordsOf = (text) => (
+  String(text || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+);
+
+const signature = (words) => {
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+    shingles.add(fnv1a(words.slice(i, i + SHINGLE_WORDS).join(' ')));
+  }
+
+  const minhash = new Array(PERMUTATIONS).fill(0xffffffff);
+  shingles.forEach(shingle => {
+    for (let i = 0; i < PERMUTATIONS; i++) {
+      const value = mix32(shingle ^ SEEDS[i]);
+      if (value < minhash[i]) minhash[i] = value;
+    }
+  });
+
+  return { shingles: shingles.size, minhash };
+};
+
+// Start offsets of the chunks of a text of `count` words, spread evenly over the text when
+// it is longer than MAX_CHUNKS chunks
+const chunkOffsets = (count) => {
+  const offsets = [];
+  for (let start = 0; start === 0 || start + CHUNK_WORDS - CHUNK_STRIDE < count; start += CHUNK_STRIDE) {
+    offsets.push(start);
+  }
+  if (offsets.length <= MAX_CHUNKS) return offsets;
+
+  return Array.from({ length: MAX_CHUNKS }, (value, index) => offsets[Math.round(index * (offsets.length - 1) / (MAX_CHUNKS - 1))]);
+};
+
+// { wordCount, chunks: [{ shingles, minhash }] } for a text
+function textFingerprint(text) {
+  const words = wordsOf(text);
+  const chunks = chunkOffsets(words.length)
+    .map(start => signature(words.slice(start, start + CHUNK_WORDS)))
+    .filter(chunk => chunk.shingles > 0);
+
+  return { wordCount: words.length, chunks };
+}
+
+// Estimated share of chunk `a`'s shingles that also appear in chunk `b`, from the Jaccard
+// similarity the signatures give
+const containment = (a, b) => {
+  let equal = 0;
+  for (let i = 0; i < PERMUTATIONS; i++) {
+    if (a.minhash[i] === b.minhash[i]) equal++;
+  }
+  const jaccard = equal / PERMUTATIONS;
+  return Math.min(1, (jaccard * (a.shingles + b.shingles)) / ((1 + jaccard) * a.shingles));
+};
+
+// 0-1 for how much of the candidate's text is copied from the reference, or null when the
+// candidate is too short to judge
+function textSimilarity(candidate, reference) {
+  const candidates = candidate.chunks.filter(chunk => chunk.shingles >= MIN_SHINGLES);
+  if (candidates.length === 0 || reference.chunks.length === 0) return null;
+
+  return Math.max(...candidates.flatMap(a => reference.chunks.map(b => containment(a, b))));
+}
+
+// 16 hex digits: whether each pixel of a 9x8 greyscale thumbnail is darker than its neighbour
+async function imageHash(buffer) {
+  const pixels = await sharp(buffer).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+// 0-1 for how alike two image hashes are; unrelated images score 0
+function imageSimilarity(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return Math.max(0, (MAX_IMAGE_DISTANCE - distance) / MAX_IMAGE_DISTANCE);
+}
+
+const isPdf = (buffer, contentType, name) => (
+  /pdf/i.test(contentType || '') || /\.pdf$/i.test(name || '') || buffer.subarray(0, 5).toString('latin1') === '%PDF-'
+);
+
+// What can be fingerprinted in a file or response: { kind: 'text', text } or
+// { kind: 'image', buffer }. Throws for content that cannot be fingerprinted.
+async function readContent(buffer, { contentType = '', name = '' } = {}) {
+  if (isPdf(buffer, contentType, name)) {
+    const { text } = await pdfParse(buffer);
+    return { kind: 'text', text };
+  }
+  if (/^image\//i.test(contentType) || /\.(jpe?g|png|gif|webp)$/i.test(name)) {
+    return { kind: 'image', buffer };
+  }
+  if (/^video\//i.test(contentType)) {
+    throw new Error('Video cannot be fingerprinted directly; add keyframe stills as images instead');
+  }
+  if (/html/i.test(contentType) || /\.html?$/i.test(name)) {
+    const $ = cheerio.load(buffer.toString('utf8'));
+    $('script, style, noscript').remove();
+    return { kind: 'text', text: $('body').text() };
+  }
+  if (/^text\//i.test(contentType) || /\.txt$/i.test(name)) {
+    return { kind: 'text', text: buffer.toString('utf8') };
+  }
+  throw new Error(`Cannot fingerprint ${contentType || name || 'this content'}`);
+}
+
+module.exports = { textFingerprint, textSimilarity, imageHash, imageSimilarity, readContent };
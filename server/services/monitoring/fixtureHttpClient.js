@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+// Serves recorded responses instead of fetching, so connectors can be run offline and
+// against known pages. `index.json` in the fixture directory maps each URL (including
+// its query string) to a file, or to { file, status, contentType }.
+class FixtureHttpClient {
+  constructor({ dir }) {
+    this.dir = path.resolve(dir);
+    this.index = JSON.parse(fs.readFileSync(path.join(this.dir, 'index.json'), 'utf8'));
+    this.requests = [];
+  }
+
+  async get(url, { params, binary = false } = {}) {
+    const target = new URL(url);
+    Object.entries(params || {}).forEach(([key, value]) => target.searchParams.set(key, value));
+    const requested = target.href;
+    this.requests.push(requested);
+
+    const fixture = this.index[requested];
+    if (!fixture) {
+      const failure = new Error(`GET ${requested} failed: no recorded fixture`);
+      failure.status = 404;
+      throw failure;
+    }
+
+    const { file, status = 200, contentType = '' } = typeof fixture === 'string' ? { file: fixture } : fixture;
+    if (status >= 400) {
+      const failure = new Error(`GET ${requested} failed: HTTP ${status}`);
+      failure.status = status;
+      throw failure;
+    }
+
+    return {
+      url: requested,
+      status,
+      contentType,
+      headers: contentType ? { 'content-type': contentType } : {},
+      body: fs.readFileSync(path.join(this.dir, file), binary ? undefined : 'utf8')
+    };
+  }
+}
+
+module.exports = FixtureHttpClient;
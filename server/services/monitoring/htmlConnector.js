@@ -0,0 +1,47 @@
+const cheerio = require('cheerio');
+
+const { Connector, textOf, absoluteUrl, imagesOf } = require('./connector');
+
+// Pulls results out of any HTML page, typically a site's own search, using CSS selectors
+// configured for that site. `{keywords}` in `params` is replaced with the keywords joined
+// by " OR ".
+//   { type: 'html', url: 'https://example.org/search', params: { q: '{keywords}' },
+//     itemSelector: '.result', titleSelector: 'h3', linkSelector: 'a',
+//     descriptionSelector: '.summary' }
+class HtmlConnector extends Connector {
+  static validate(config) {
+    const problems = [];
+    if (!absoluteUrl(config.url || '')) problems.push('url must be an http(s) URL');
+    if (!config.itemSelector) problems.push('itemSelector is required');
+    return problems;
+  }
+
+  async fetch() {
+    const params = Object.entries(this.config.params || {}).reduce((resolved, [key, value]) => ({
+      ...resolved,
+      [key]: String(value).replace('{keywords}', this.keywords.join(' OR '))
+    }), {});
+
+    return [await this.http.get(this.config.url, { params })];
+  }
+
+  parse(document) {
+    const $ = cheerio.load(document.body);
+    const { itemSelector, titleSelector, linkSelector = 'a', descriptionSelector } = this.config;
+
+    return $(itemSelector).toArray().map(element => {
+      const item = $(element);
+      const link = item.is('a') ? item : item.find(linkSelector).first();
+
+      return {
+        title: (titleSelector ? item.find(titleSelector).first() : link).text().replace(/\s+/g, ' ').trim(),
+        url: absoluteUrl(link.attr('href') || '', document.url),
+        summary: descriptionSelector ? item.find(descriptionSelector).first().text().replace(/\s+/g, ' ').trim() : '',
+        text: textOf(item.html()),
+        images: imagesOf($, item, document.url)
+      };
+    });
+  }
+}
+
+module.exports = HtmlConnector;
@@ -0,0 +1,114 @@
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+
+const addressGuard = require('./addressGuard');
+
+// Statuses worth retrying: timeouts, rate limiting and server-side failures
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+const MAX_RESPONSE_BYTES = 5 * 1024 * 1024;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+
+// Connections only go to addresses the guard allows, whatever the host resolves to by then
+const httpAgent = new http.Agent({ lookup: addressGuard.lookup });
+const httpsAgent = new https.Agent({ lookup: addressGuard.lookup });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either a number of seconds or an HTTP date
+const retryAfterMs = (response) => {
+  const value = response && response.headers && response.headers['retry-after'];
+  if (!value) return null;
+
+  const ms = /^\d+$/.test(value) ? parseInt(value) * 1000 : new Date(value).getTime() - Date.now();
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS) : null;
+};
+
+// Fetches pages for one connector, keeping at least `minIntervalMs` between requests and
+// retrying transient failures with exponential backoff (or the server's Retry-After).
+// Redirects are followed here rather than by axios, so every hop is checked against
+// ./addressGuard before it is requested.
+class HttpClient {
+  constructor({ minIntervalMs = 1000, retries = 2, retryDelayMs = 1000, timeout = 10000, userAgent } = {}) {
+    this.minIntervalMs = minIntervalMs;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.timeout = timeout;
+    this.userAgent = userAgent || process.env.MONITORING_USER_AGENT || 'DSPBrandProtectionMonitor/1.0';
+    this.nextRequestAt = 0;
+  }
+
+  async throttle() {
+    const now = Date.now();
+    const wait = this.nextRequestAt - now;
+    this.nextRequestAt = Math.max(now, this.nextRequestAt) + this.minIntervalMs;
+    if (wait > 0) await sleep(wait);
+  }
+
+  // Resolves to { url, status, contentType, headers, body } with the body as text, or as a
+  // Buffer when `binary` is set. Throws with code addressGuard.BLOCKED_CODE when the URL,
+  // or any URL it redirects to, is not on a public address.
+  async get(url, { params, binary = false } = {}) {
+    const first = new URL(url);
+    Object.entries(params || {}).forEach(([key, value]) => first.searchParams.set(key, value));
+
+    let target = first.href;
+    for (let redirects = 0; ; redirects++) {
+      await addressGuard.checkUrl(target);
+      const response = await this.fetch(target, { binary });
+
+      const location = REDIRECT_STATUSES.includes(response.status) && response.headers.location;
+      if (!location) return response;
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`GET ${url} failed: more than ${MAX_REDIRECTS} redirects`);
+      }
+      target = new URL(location, target).href;
+    }
+  }
+
+  // One request, without following redirects
+  async fetch(url, { binary }) {
+    for (let attempt = 0; ; attempt++) {
+      await this.throttle();
+
+      try {
+        const response = await axios.get(url, {
+          timeout: this.timeout,
+          responseType: binary ? 'arraybuffer' : 'text',
+          maxContentLength: MAX_RESPONSE_BYTES,
+          maxRedirects: 0,
+          validateStatus: status => status >= 200 && status < 400,
+          httpAgent,
+          httpsAgent,
+          headers: { 'User-Agent': this.userAgent }
+        });
+
+        return {
+          url,
+          status: response.status,
+          contentType: response.headers['content-type'] || '',
+          headers: { ...response.headers },
+          body: binary ? Buffer.from(response.data) : response.data
+        };
+      } catch (error) {
+        const status = error.response ? error.response.status : null;
+        const blocked = error.code === addressGuard.BLOCKED_CODE;
+        const retryable = !blocked && (!status || RETRYABLE_STATUSES.includes(status));
+
+        if (!retryable || attempt >= this.retries) {
+          const failure = new Error(`GET ${url} failed: ${status ? `HTTP ${status}` : (blocked && error.message) || error.code || error.message}`);
+          failure.status = status;
+          failure.code = error.code;
+          throw failure;
+        }
+
+        const delay = retryAfterMs(error.response);
+        await sleep(delay !== null ? delay : this.retryDelayMs * 2 ** attempt);
+      }
+    }
+  }
+}
+
+module.exports = HttpClient;
@@ -0,0 +1,173 @@
+// Watchlist matching. Terms are phrases matched case-insensitively on word boundaries, so
+// "ASL" does not match "tassel" and "Signing  Naturally" matches across any whitespace.
+// Boolean queries combine terms with AND, OR, NOT (or a leading "-"), parentheses and
+// "quoted phrases"; terms next to each other are ANDed:
+//   "Signing Naturally" (PDF OR download) NOT review
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const phrasePattern = (phrase) => {
+  const words = String(phrase).trim().split(/\s+/).filter(Boolean).map(escapeRegExp);
+  return new RegExp(`(?:^|[^\\p{L}\\p{N}])${words.join('\\s+')}(?=$|[^\\p{L}\\p{N}])`, 'iu');
+};
+
+const containsPhrase = (text, phrase) => Boolean(phrase && phrase.trim()) && phrasePattern(phrase).test(text);
+
+function tokenize(query) {
+  const source = query.trim();
+  const pattern = /\s*(?:"([^"]*)"|(\()|(\))|(-)(?=\S)|([^\s()"]+))/y;
+  const tokens = [];
+
+  while (pattern.lastIndex < source.length) {
+    const match = pattern.exec(source);
+    if (!match) throw new Error('Unbalanced quotes in query');
+
+    const [, phrase, open, close, minus, word] = match;
+    if (phrase !== undefined) tokens.push({ type: 'term', value: phrase });
+    else if (open) tokens.push({ type: '(' });
+    else if (close) tokens.push({ type: ')' });
+    else if (minus) tokens.push({ type: 'NOT' });
+    else if (['AND', 'OR', 'NOT'].includes(word)) tokens.push({ type: word });
+    else tokens.push({ type: 'term', value: word });
+  }
+
+  return tokens;
+}
+
+// Parse a boolean query into { type: 'term' | 'and' | 'or' | 'not', ... } nodes. Throws
+// an Error describing the problem when the query is malformed.
+function parseQuery(query) {
+  const tokens = tokenize(String(query || ''));
+  let position = 0;
+
+  const peek = () => tokens[position] || { type: 'end' };
+  const take = () => tokens[position++];
+
+  function primary() {
+    const token = take();
+    if (!token) throw new Error('Query ends unexpectedly');
+    if (token.type === 'term') {
+      if (!token.value.trim()) throw new Error('Query contains an empty phrase');
+      return { type: 'term', value: token.value.trim() };
+    }
+    if (token.type === '(') {
+      const node = or();
+      if (take()?.type !== ')') throw new Error('Missing closing parenthesis');
+      return node;
+    }
+    throw new Error(`Unexpected ${token.type === ')' ? 'closing parenthesis' : token.type} in query`);
+  }
+
+  function not() {
+    if (peek().type === 'NOT') {
+      take();
+      return { type: 'not', child: not() };
+    }
+    return primary();
+  }
+
+  function and() {
+    const children = [not()];
+    while (['AND', 'NOT', 'term', '('].includes(peek().type)) {
+      if (peek().type === 'AND') take();
+      children.push(not());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function or() {
+    const children = [and()];
+    while (peek().type === 'OR') {
+      take();
+      children.push(and());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  if (tokens.length === 0) throw new Error('Query is empty');
+  const tree = or();
+  if (position < tokens.length) throw new Error('Unexpected closing parenthesis in query');
+  return tree;
+}
+
+// Whether `text` satisfies the parsed query; terms that count towards the match are added
+// to `matched`
+function evaluate(node, text, matched) {
+  switch (node.type) {
+    case 'term':
+      if (!containsPhrase(text, node.value)) return false;
+      matched.add(node.value);
+      return true;
+    case 'and':
+      return node.children.every(child => evaluate(child, text, matched));
+    case 'or':
+      return node.children.map(child => evaluate(child, text, matched)).some(Boolean);
+    case 'not':
+      return !evaluate(node.child, text, new Set());
+    default:
+      return false;
+  }
+}
+
+// The positive terms of a query, used to build search requests
+function queryTerms(node) {
+  if (node.type === 'term') return [node.value];
+  if (node.type === 'not') return [];
+  return node.children.flatMap(queryTerms);
+}
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// A matcher for one watchlist. match(entry) returns null, or the matched terms and the
+// protected works the entry mentions.
+function compileWatchlist(watchlist) {
+  const works = (watchlist.protectedWorks || []).filter(work => work.active !== false);
+  const tree = watchlist.matchMode === 'boolean' ? parseQuery(watchlist.query) : null;
+  const domains = (watchlist.domains || []).map(domain => domain.toLowerCase().replace(/^www\./, ''));
+
+  const searchTerms = [...new Set([
+    ...(tree ? queryTerms(tree) : watchlist.keywords || []),
+    ...works.flatMap(work => [work.title, ...(work.aliases || [])])
+  ])];
+
+  function match(entry) {
+    const host = hostOf(entry.url);
+    if (domains.length > 0 && !domains.some(domain => host === domain || (host || '').endsWith(`.${domain}`))) {
+      return null;
+    }
+
+    const text = [entry.title, entry.summary, entry.text].filter(Boolean).join('\n');
+    if ((watchlist.excludeTerms || []).some(term => containsPhrase(text, term))) return null;
+
+    const mentionedWorks = works.filter(work => [work.title, ...(work.aliases || [])].some(term => containsPhrase(text, term)));
+    const workTerms = mentionedWorks.flatMap(work => [work.title, ...(work.aliases || [])].filter(term => containsPhrase(text, term)));
+    const keywords = watchlist.keywords || [];
+    const matched = new Set();
+
+    let found;
+    if (tree) {
+      found = evaluate(tree, text, matched);
+    } else if (watchlist.matchMode === 'all') {
+      keywords.forEach(keyword => containsPhrase(text, keyword) && matched.add(keyword));
+      found = matched.size === keywords.length && (works.length === 0 || mentionedWorks.length > 0)
+        && (keywords.length > 0 || mentionedWorks.length > 0);
+    } else {
+      keywords.forEach(keyword => containsPhrase(text, keyword) && matched.add(keyword));
+      found = matched.size > 0 || mentionedWorks.length > 0;
+    }
+
+    if (!found) return null;
+    workTerms.forEach(term => matched.add(term));
+    return { terms: [...matched], works: mentionedWorks };
+  }
+
+  return { id: watchlist._id, name: watchlist.name, searchTerms, match };
+}
+
+module.exports = { parseQuery, compileWatchlist, containsPhrase };
@@ -0,0 +1,64 @@
+const cheerio = require('cheerio');
+
+const { Connector, textOf, absoluteUrl, isoDate } = require('./connector');
+
+// Google Alerts links point at a redirect that carries the real URL in `url`
+const unwrapRedirect = (link) => {
+  try {
+    const url = new URL(link);
+    if (/(^|\.)google\.[a-z.]+$/.test(url.hostname) && url.pathname === '/url' && url.searchParams.get('url')) {
+      return url.searchParams.get('url');
+    }
+  } catch (error) {
+    // Not an absolute URL; left for absoluteUrl() to resolve
+  }
+  return link;
+};
+
+// RSS 2.0 and Atom feeds, one document per feed URL. Google Alerts can deliver any alert as
+// an Atom feed, which makes this the connector for those.
+//   { type: 'rss', urls: ['https://www.google.com/alerts/feeds/...'] }
+class RssConnector extends Connector {
+  constructor(config, options) {
+    super({ source: isGoogleAlertsFeed(config) ? 'google_alerts' : 'other', ...config }, options);
+    this.urls = config.urls || [config.url];
+  }
+
+  static validate(config) {
+    const urls = config.urls || (config.url ? [config.url] : []);
+    if (urls.length === 0) return ['url or urls is required'];
+    return urls.filter(url => !absoluteUrl(url)).map(url => `${url} is not an http(s) URL`);
+  }
+
+  async fetch() {
+    const documents = [];
+    for (const url of this.urls) {
+      documents.push(await this.http.get(url));
+    }
+    return documents;
+  }
+
+  parse(document) {
+    const $ = cheerio.load(document.body, { xmlMode: true });
+
+    return $('item, entry').toArray().map(element => {
+      const item = $(element);
+      const link = item.children('link[rel="alternate"]').attr('href')
+        || item.children('link').attr('href')
+        || item.children('link').first().text();
+
+      return {
+        title: textOf(item.children('title').first().text()),
+        url: absoluteUrl(unwrapRedirect(link || item.children('guid').text()), document.url),
+        summary: textOf(item.children('description, summary, content').first().text()),
+        publishedAt: isoDate(item.children('pubDate, published, updated').first().text())
+      };
+    });
+  }
+}
+
+function isGoogleAlertsFeed(config) {
+  return (config.urls || [config.url]).some(url => /^https:\/\/www\.google\.[a-z.]+\/alerts\/feeds\//.test(url || ''));
+}
+
+module.exports = RssConnector;
@@ -0,0 +1,165 @@
+const cron = require('node-cron');
+
+const databaseService = require('../config/databaseService');
+const monitoringService = require('./monitoringService');
+const watchlistService = require('./watchlistService');
+const fingerprintService = require('./fingerprintService');
+const infringerService = require('./infringerService');
+const intakeJobService = require('./intakeJobService');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+
+// Monitoring scans, each recorded as a run. The monitoringRuns repository allows one
+// running run at a time, which is the lock that keeps the in-process schedule, manual scans
+// and an external cron from scanning at once.
+
+// Roles notified when a scan finds new alerts
+const ALERT_NOTIFY_ROLES = ['legal', 'manager'];
+
+// An alert for a URL already alerted on within this window is not saved again
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// A run still marked running after this long was cut off (a crash, or a serverless function
+// timing out) and no longer holds the lock
+const RUN_TIMEOUT_MS = (parseInt(process.env.MONITORING_RUN_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+
+class MonitoringRunService {
+  // Release the lock held by a run that has been running for longer than RUN_TIMEOUT_MS
+  async expireStaleRun() {
+    const { monitoringRuns } = databaseService.getRepositories();
+    const running = await monitoringRuns.findRunning();
+    if (!running || Date.now() - new Date(running.startedAt).getTime() < RUN_TIMEOUT_MS) {
+      return running;
+    }
+
+    await monitoringRuns.update(running._id, {
+      status: 'abandoned',
+      finishedAt: new Date().toISOString(),
+      error: `Did not finish within ${RUN_TIMEOUT_MS / 60000} minutes`
+    });
+    return null;
+  }
+
+  // Start a run and scan. Resolves to { run } once it has finished, or { skipped: true, run }
+  // with the run already in progress. `trigger` is schedule, manual or http; `dueOnly` limits
+  // the scan to watchlists due by their frequency.
+  async execute({ trigger, dueOnly = false, userId = null }) {
+    const { monitoringRuns } = databaseService.getRepositories();
+
+    const running = await this.expireStaleRun();
+    const run = running ? null : await monitoringRuns.start({
+      trigger,
+      dueOnly,
+      startedAt: new Date().toISOString(),
+      triggeredBy: userId
+    });
+    if (!run) {
+      return { skipped: true, run: running || await monitoringRuns.findRunning() };
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await this.scan({ dueOnly });
+
+      return {
+        run: await monitoringRuns.update(run._id, {
+          status: 'completed',
+          finishedAt: new Date().toISOString(),
+          durationMs: Date.now() - startedAt,
+          watchlists: result.watchlists,
+          connectors: result.connectors,
+          alertsFound: result.alerts.length,
+          newAlertIds: result.savedAlerts.map(alert => alert._id)
+        }),
+        alerts: result.alerts
+      };
+    } catch (error) {
+      console.error('Error in monitoring scan:', error);
+
+      return {
+        run: await monitoringRuns.update(run._id, {
+          status: 'failed',
+          finishedAt: new Date().toISOString(),
+          durationMs: Date.now() - startedAt,
+          error: error.message
+        }),
+        alerts: []
+      };
+    }
+  }
+
+  // Collect alerts for the active watchlists, save the ones not seen recently and tell the
+  // people who triage them
+  async scan({ dueOnly }) {
+    const watchlists = await watchlistService.getActive({ dueOnly });
+    const scorer = watchlists.length > 0 ? await fingerprintService.createScorer() : null;
+    const { alerts, connectors } = await monitoringService.collect({ watchlists, scorer });
+
+    const savedAlerts = [];
+    const since = new Date(Date.now() - DUPLICATE_WINDOW_MS);
+    const { alerts: alertRepository } = databaseService.getRepositories();
+    for (const alertData of alerts) {
+      if (!await alertRepository.findRecentByUrl(alertData.sourceUrl, since)) {
+        savedAlerts.push(await infringerService.matchAlert(await alertRepository.create({
+          ...alertData,
+          pendingJobs: intakeJobService.jobsFor()
+        })));
+      }
+    }
+    if (savedAlerts.length > 0) intakeJobService.start();
+    await watchlistService.markScanned(watchlists, savedAlerts);
+
+    // Once per scan rather than once per alert
+    if (savedAlerts.length > 0) {
+      const recipients = await notificationService.getActiveUserIdsByRole(ALERT_NOTIFY_ROLES);
+      const highPriority = savedAlerts.filter(alert => ['high', 'critical'].includes(alert.priority)).length;
+
+      await notificationService.notifyUsers(recipients, {
+        title: 'New monitoring alerts',
+        message: highPriority > 0
+          ? `${savedAlerts.length} new alert(s) detected, ${highPriority} high priority.`
+          : `${savedAlerts.length} new alert(s) detected.`,
+        type: highPriority > 0 ? 'warning' : 'info',
+        category: 'incident',
+        priority: highPriority > 0 ? 'high' : 'normal',
+        actionUrl: '/monitoring'
+      });
+
+      realtimeService.publish('monitoring:alerts', {
+        count: savedAlerts.length,
+        highPriority,
+        alerts: savedAlerts.map(alert => ({
+          id: alert._id,
+          title: alert.title,
+          source: alert.source,
+          sourceUrl: alert.sourceUrl,
+          priority: alert.priority
+        }))
+      });
+    }
+
+    return {
+      alerts,
+      savedAlerts,
+      connectors,
+      watchlists: watchlists.map(({ id, name }) => ({ id: String(id), name }))
+    };
+  }
+
+  // Scan the watchlists that are due on a schedule (hourly by default). Hosts without a
+  // long-running process, such as Vercel, call POST /api/monitoring/runs/trigger instead.
+  scheduleRuns(expression = process.env.MONITORING_CRON || '0 * * * *') {
+    return cron.schedule(expression, async () => {
+      try {
+        const { skipped, run } = await this.execute({ trigger: 'schedule', dueOnly: true });
+        if (!skipped && run.watchlists.length > 0) {
+          console.log(`Scheduled monitoring scan ${run.status}. ${run.alertsFound} potential alerts, ${run.newAlertIds.length} new.`);
+        }
+      } catch (error) {
+        console.error('Scheduled monitoring scan failed:', error);
+      }
+    });
+  }
+}
+
+module.exports = new MonitoringRunService();
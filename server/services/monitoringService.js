@@ -0,0 +1,201 @@
+const settingsService = require('./settingsService');
+const HttpClient = require('./monitoring/httpClient');
+const FixtureHttpClient = require('./monitoring/fixtureHttpClient');
+const { ALERT_SOURCES } = require('./monitoring/connector');
+const RssConnector = require('./monitoring/rssConnector');
+const SitemapConnector = require('./monitoring/sitemapConnector');
+const HtmlConnector = require('./monitoring/htmlConnector');
+
+const MONITORING_SETTING_KEY = 'monitoring_connectors';
+
+const CONNECTOR_TYPES = {
+  rss: RssConnector,
+  sitemap: SitemapConnector,
+  html: HtmlConnector
+};
+
+// A connector that has failed this many runs in a row is reported as failing, not degraded
+const FAILING_AFTER_RUNS = 3;
+
+const googleAlertsFeeds = (process.env.GOOGLE_ALERTS_FEEDS || '').split(',').map(url => url.trim()).filter(Boolean);
+
+// Default configuration used until an admin saves one to system_settings. Each connector has
+// an `id`, a `type` (rss, sitemap or html) and that type's settings; every connector also
+// accepts enabled, name, keywords (search terms to send instead of the watchlists'), source,
+// platform, language, maxItems, minIntervalMs (between requests), retries and timeoutMs.
+// What counts as a match is set by the watchlists (services/watchlistService.js).
+const DEFAULT_MONITORING_CONFIG = {
+  connectors: googleAlertsFeeds.length > 0
+    ? [{ id: 'google-alerts', type: 'rss', name: 'Google Alerts', urls: googleAlertsFeeds }]
+    : []
+};
+
+const isPositive = (value) => typeof value === 'undefined' || (Number.isFinite(value) && value > 0);
+
+class MonitoringService {
+  constructor() {
+    this.connectorTypes = Object.keys(CONNECTOR_TYPES);
+    this.health = new Map();
+  }
+
+  async getConfig() {
+    return settingsService.get(MONITORING_SETTING_KEY, DEFAULT_MONITORING_CONFIG);
+  }
+
+  async saveConfig(config, userId) {
+    return settingsService.set(MONITORING_SETTING_KEY, config, userId, {
+      description: 'The connectors monitoring scans collect alerts from',
+      category: 'monitoring'
+    });
+  }
+
+  // Returns a list of problems with a monitoring configuration, empty when it is valid
+  validateConfig(config) {
+    const problems = [];
+
+    if (!config || typeof config !== 'object') {
+      return ['Monitoring configuration must be an object'];
+    }
+
+    if (!Array.isArray(config.connectors)) {
+      problems.push('connectors must be an array');
+      return problems;
+    }
+
+    const ids = new Set();
+    config.connectors.forEach((connector, index) => {
+      const label = `connectors[${index}]`;
+
+      if (!connector.id || !/^[a-z0-9-]+$/.test(connector.id)) {
+        problems.push(`${label}.id must be lower-case letters, digits and dashes`);
+      } else if (ids.has(connector.id)) {
+        problems.push(`${label}.id ${connector.id} is used more than once`);
+      }
+      ids.add(connector.id);
+
+      const Type = CONNECTOR_TYPES[connector.type];
+      if (!Type) {
+        problems.push(`${label}.type must be one of: ${this.connectorTypes.join(', ')}`);
+        return;
+      }
+
+      if (connector.source && !ALERT_SOURCES.includes(connector.source)) {
+        problems.push(`${label}.source must be one of: ${ALERT_SOURCES.join(', ')}`);
+      }
+      if (connector.keywords && !Array.isArray(connector.keywords)) {
+        problems.push(`${label}.keywords must be an array`);
+      }
+      ['maxItems', 'minIntervalMs', 'timeoutMs'].forEach(field => {
+        if (!isPositive(connector[field])) problems.push(`${label}.${field} must be a positive number`);
+      });
+      if (typeof connector.retries !== 'undefined' && !(Number.isInteger(connector.retries) && connector.retries >= 0)) {
+        problems.push(`${label}.retries must be a whole number`);
+      }
+
+      Type.validate(connector).forEach(problem => problems.push(`${label}: ${problem}`));
+    });
+
+    return problems;
+  }
+
+  // Recorded responses from MONITORING_FIXTURES replace the network when it is set.
+  // services/monitoring/fixtures holds a set to go with the connectors in its connectors.json.
+  createHttpClient(connector) {
+    if (process.env.MONITORING_FIXTURES) {
+      return new FixtureHttpClient({ dir: process.env.MONITORING_FIXTURES });
+    }
+
+    return new HttpClient({
+      minIntervalMs: connector.minIntervalMs,
+      retries: connector.retries,
+      timeout: connector.timeoutMs
+    });
+  }
+
+  createConnector(connector, { watchlists, scorer, http = this.createHttpClient(connector) }) {
+    const Type = CONNECTOR_TYPES[connector.type];
+    if (!Type) {
+      throw new Error(`Unknown monitoring connector type "${connector.type}". Expected one of: ${this.connectorTypes.join(', ')}`);
+    }
+    return new Type(connector, { http, watchlists, scorer });
+  }
+
+  // Run one connector and record how it went. Errors are reported in the result rather
+  // than thrown so one broken source does not stop a scan.
+  async runConnector(connector, { watchlists, scorer, http } = {}) {
+    const startedAt = Date.now();
+    const previous = this.health.get(connector.id) || { consecutiveFailures: 0, lastSuccessAt: null };
+
+    try {
+      const alerts = await this.createConnector(connector, { watchlists, scorer, http }).run();
+
+      this.health.set(connector.id, {
+        status: 'healthy',
+        lastRunAt: new Date(startedAt).toISOString(),
+        lastSuccessAt: new Date().toISOString(),
+        lastError: null,
+        consecutiveFailures: 0,
+        lastAlertCount: alerts.length,
+        lastDurationMs: Date.now() - startedAt
+      });
+
+      return { connector: connector.id, alerts, error: null };
+    } catch (error) {
+      console.error(`Monitoring connector ${connector.id} failed:`, error.message);
+      const consecutiveFailures = previous.consecutiveFailures + 1;
+
+      this.health.set(connector.id, {
+        status: consecutiveFailures >= FAILING_AFTER_RUNS ? 'failing' : 'degraded',
+        lastRunAt: new Date(startedAt).toISOString(),
+        lastSuccessAt: previous.lastSuccessAt,
+        lastError: error.message,
+        consecutiveFailures,
+        lastAlertCount: 0,
+        lastDurationMs: Date.now() - startedAt
+      });
+
+      return { connector: connector.id, alerts: [], error: error.message };
+    }
+  }
+
+  // Alert fields for what the given watchlist matchers find through every enabled connector,
+  // or only those listed in `connectorIds`, with a URL found by more than one connector
+  // reported once. A fingerprint `scorer` sets their confidence by similarity.
+  async collect({ watchlists, connectorIds, scorer = null }) {
+    if (watchlists.length === 0) return { alerts: [], connectors: [] };
+
+    const config = await this.getConfig();
+    const connectors = config.connectors.filter(connector => (
+      connectorIds ? connectorIds.includes(connector.id) : connector.enabled !== false
+    ));
+
+    const results = [];
+    for (const connector of connectors) {
+      results.push(await this.runConnector(connector, { watchlists, scorer }));
+    }
+
+    const seen = new Set();
+    const alerts = results
+      .flatMap(result => result.alerts)
+      .filter(alert => !seen.has(alert.sourceUrl) && seen.add(alert.sourceUrl));
+
+    return {
+      alerts,
+      connectors: results.map(({ connector, alerts: found, error }) => ({ connector, alertsFound: found.length, error }))
+    };
+  }
+
+  // Configured connectors with the outcome of their latest run since the server started
+  async getConnectors() {
+    const config = await this.getConfig();
+
+    return config.connectors.map(connector => ({
+      ...connector,
+      health: connector.enabled === false
+        ? { ...this.health.get(connector.id), status: 'disabled' }
+        : this.health.get(connector.id) || { status: 'never_run' }
+    }));
+  }
+}
+
+module.exports = new MonitoringService();
@@ -0,0 +1,128 @@
+const databaseService = require('../config/databaseService');
+const realtimeService = require('./realtimeService');
+
+class NotificationService {
+  // Create an in-app notification for a single user. Like activity logging, failures are
+  // reported but never thrown so a notification cannot fail the action that produced it.
+  async create({
+    userId,
+    title,
+    message,
+    type = 'info',
+    category = 'system',
+    incidentId = null,
+    documentId = null,
+    priority = 'normal',
+    actionUrl = null
+  }) {
+    try {
+      const notification = await databaseService.getRepositories().notifications.create({
+        userId,
+        title,
+        message,
+        type,
+        category,
+        incidentId,
+        documentId,
+        priority,
+        actionUrl
+      });
+      realtimeService.publish('notification:new', { id: notification._id, title, message, type, category }, { userIds: [userId] });
+      return notification;
+    } catch (error) {
+      console.error('Error creating notification:', error);
+      return null;
+    }
+  }
+
+  // Send the same notification to several users, skipping empty and duplicate ids
+  async notifyUsers(userIds, notification) {
+    const recipients = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+    return Promise.all(recipients.map(userId => this.create({ ...notification, userId })));
+  }
+
+  // Tell a user a case has been assigned to them, unless they assigned it themselves
+  async notifyAssignment({ incidentId, caseLabel, assigneeId, actorId }) {
+    if (!assigneeId || (actorId && assigneeId.toString() === actorId.toString())) {
+      return null;
+    }
+
+    return this.create({
+      userId: assigneeId,
+      title: 'Case assigned to you',
+      message: `${caseLabel} has been assigned to you.`,
+      category: 'assignment',
+      incidentId,
+      priority: 'high',
+      actionUrl: `/cases/${incidentId}`
+    });
+  }
+
+  // Tell the reporter and assignee about a status change made by someone else
+  async notifyStatusChange({ incidentId, caseLabel, recipientIds, actorId, oldStatus, newStatus }) {
+    const recipients = recipientIds.filter(id => id && (!actorId || id.toString() !== actorId.toString()));
+
+    return this.notifyUsers(recipients, {
+      title: 'Case status changed',
+      message: `${caseLabel} moved from ${oldStatus.replace(/_/g, ' ')} to ${newStatus.replace(/_/g, ' ')}.`,
+      type: newStatus === 'escalated' ? 'warning' : newStatus === 'resolved' ? 'success' : 'info',
+      category: 'incident',
+      incidentId,
+      actionUrl: `/cases/${incidentId}`
+    });
+  }
+
+  // List a user's notifications, newest first, leaving out expired ones
+  async list(userId, { page = 1, limit = 20, unreadOnly = false, category } = {}) {
+    const { notifications } = databaseService.getRepositories();
+    const [{ items, total }, unreadCount] = await Promise.all([
+      notifications.listByUser(userId, { unreadOnly, category, page, limit }),
+      this.getUnreadCount(userId)
+    ]);
+
+    return {
+      notifications: items.map(notification => ({
+        id: notification._id,
+        title: notification.title,
+        message: notification.message,
+        type: notification.type,
+        category: notification.category,
+        priority: notification.priority,
+        isRead: notification.isRead,
+        readAt: notification.readAt,
+        incidentId: notification.incidentId,
+        documentId: notification.documentId,
+        actionUrl: notification.actionUrl,
+        createdAt: notification.createdAt
+      })),
+      total,
+      unreadCount
+    };
+  }
+
+  async getUnreadCount(userId) {
+    return databaseService.getRepositories().notifications.countUnread(userId);
+  }
+
+  // Mark one notification as read. Returns false when it does not belong to the user.
+  async markRead(userId, id) {
+    return databaseService.getRepositories().notifications.markRead(userId, id);
+  }
+
+  // Mark all of a user's unread notifications as read, returning how many changed
+  async markAllRead(userId) {
+    return databaseService.getRepositories().notifications.markAllRead(userId);
+  }
+
+  // Delete one notification. Returns false when it does not belong to the user.
+  async remove(userId, id) {
+    return databaseService.getRepositories().notifications.delete(userId, id);
+  }
+
+  async getActiveUserIdsByRole(roles) {
+    const { items } = await databaseService.getRepositories().users.list({ role: roles, isActive: true });
+    return items.map(user => user._id);
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,116 @@
+// Server-Sent Events hub. Connections are held in memory, so events only reach clients
+// connected to the same server process.
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Roles that may only see cases they reported or are assigned to
+const RESTRICTED_CASE_ROLES = ['staff'];
+
+class RealtimeService {
+  constructor() {
+    this.connections = new Map();
+    this.nextConnectionId = 1;
+  }
+
+  // Turn an authenticated request into an event stream for the current user
+  connect(req, res) {
+    const user = {
+      id: (req.user.id || req.user._id).toString(),
+      role: req.user.role,
+      firstName: req.user.firstName,
+      lastName: req.user.lastName
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const wasOnline = this.isOnline(user.id);
+    const connectionId = this.nextConnectionId++;
+    this.connections.set(connectionId, { res, user });
+
+    this.send(res, 'connected', { userId: user.id, onlineUserIds: this.getOnlineUserIds() });
+    if (!wasOnline) {
+      this.publish('presence:update', { userId: user.id, isOnline: true }, { exclude: [user.id] });
+    }
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      if (res.flush) res.flush();
+    }, HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.connections.delete(connectionId);
+
+      if (!this.isOnline(user.id)) {
+        this.publish('presence:update', {
+          userId: user.id,
+          isOnline: false,
+          lastSeen: new Date().toISOString()
+        });
+      }
+    });
+  }
+
+  send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // The compression middleware buffers output until flushed
+    if (res.flush) res.flush();
+  }
+
+  // Push an event to connected clients. `userIds`, `roles` and `filter` narrow the audience
+  // (all must pass); `exclude` skips the listed users. With no options everyone receives it.
+  publish(event, data, { userIds, roles, exclude = [], filter } = {}) {
+    const allowedUsers = userIds && userIds.filter(Boolean).map(id => id.toString());
+    const excludedUsers = exclude.filter(Boolean).map(id => id.toString());
+
+    this.connections.forEach(({ res, user }) => {
+      if (allowedUsers && !allowedUsers.includes(user.id)) return;
+      if (roles && !roles.includes(user.role)) return;
+      if (excludedUsers.includes(user.id)) return;
+      if (filter && !filter(user)) return;
+
+      try {
+        this.send(res, event, data);
+      } catch (error) {
+        console.error(`Error sending ${event} event:`, error.message);
+      }
+    });
+  }
+
+  // Broadcast a case status change to everyone who can see the case
+  publishCaseStatus({ id, caseNumber, title, oldStatus, newStatus, reporterId, assignedTo, changedBy }) {
+    const participants = [reporterId, assignedTo].filter(Boolean).map(userId => userId.toString());
+
+    this.publish('case:status_changed', {
+      id: id.toString(),
+      caseNumber,
+      title,
+      oldStatus,
+      newStatus,
+      changedBy: changedBy ? changedBy.toString() : null,
+      changedAt: new Date().toISOString()
+    }, {
+      filter: user => !RESTRICTED_CASE_ROLES.includes(user.role) || participants.includes(user.id)
+    });
+  }
+
+  isOnline(userId) {
+    for (const { user } of this.connections.values()) {
+      if (user.id === userId.toString()) return true;
+    }
+    return false;
+  }
+
+  getOnlineUserIds() {
+    return [...new Set([...this.connections.values()].map(({ user }) => user.id))];
+  }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,120 @@
+// Full-text case search: query parsing, relevance scoring and highlighted snippets.
+// MongoDB ($text index) and Supabase (search_vector) rank matches themselves; the
+// in-memory repositories rank with `score`, using the same fields and weights.
+
+const CASE_NUMBER_PATTERN = /^DSP-[A-F0-9]{8}$/i;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const MAX_TERMS = 10;
+const MAX_HIGHLIGHTS = 3;
+const SNIPPET_BEFORE = 60;
+const SNIPPET_LENGTH = 180;
+
+// Words too common to be worth matching, as the database full-text parsers drop them
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+// Searched fields by weight; the MongoDB text index and the Supabase search_vector
+// trigger index the same fields with the same relative weights
+const SEARCH_FIELDS = [
+  { field: 'title', weight: 10, values: incident => [incident.title] },
+  { field: 'infringedContent', weight: 5, values: incident => [incident.infringedContent] },
+  { field: 'tags', weight: 5, values: incident => incident.tags || [] },
+  {
+    field: 'infringerInfo',
+    weight: 4,
+    values: ({ infringerInfo = {} }) => [infringerInfo.name, infringerInfo.organization, infringerInfo.email, infringerInfo.website]
+  },
+  { field: 'infringedUrls', weight: 3, values: incident => (incident.infringedUrls || []).map(entry => entry.url) },
+  { field: 'description', weight: 2, values: incident => [incident.description] },
+  { field: 'notes', weight: 1, values: incident => (incident.notes || []).map(note => note.content) }
+];
+
+// Drop common English suffixes so "infringing" also matches "infringed"
+const stem = (term) => {
+  const match = term.match(/^(.{3,}?)(ing|ed|es|s)$/);
+  return match ? match[1] : term;
+};
+
+class SearchService {
+  isCaseNumber(query) {
+    return CASE_NUMBER_PATTERN.test(String(query || '').trim());
+  }
+
+  // Lower-cased search words without punctuation or stop words. Case numbers are looked
+  // up exactly rather than searched, so they have none.
+  parseTerms(query) {
+    if (this.isCaseNumber(query)) return [];
+
+    const words = String(query || '').toLowerCase().match(WORD_PATTERN) || [];
+    const terms = words.filter(word => word.length > 1 && !STOP_WORDS.has(word));
+    return [...new Set(terms)].slice(0, MAX_TERMS);
+  }
+
+  // Positions of the words in `text` that match any of the terms
+  findMatches(text, terms) {
+    const stems = terms.map(stem);
+    const matches = [];
+
+    for (const word of String(text).matchAll(WORD_PATTERN)) {
+      const lower = word[0].toLowerCase();
+      if (stems.some(prefix => lower.startsWith(prefix))) {
+        matches.push([word.index, word.index + word[0].length]);
+      }
+    }
+
+    return matches;
+  }
+
+  // Weighted number of field values matching any term; zero means no match
+  score(incident, terms) {
+    return SEARCH_FIELDS.reduce((total, { weight, values }) => {
+      const matching = values(incident).filter(value => value && this.findMatches(value, terms).length > 0);
+      return total + matching.length * weight;
+    }, 0);
+  }
+
+  // Snippets of the highest-weighted fields that match, as { field, text, matches } where
+  // `matches` holds [start, end) offsets into `text` for the client to highlight
+  highlights(incident, terms) {
+    if (terms.length === 0) return [];
+
+    const highlights = [];
+    for (const { field, values } of SEARCH_FIELDS) {
+      const value = values(incident).find(text => text && this.findMatches(text, terms).length > 0);
+      if (value) highlights.push({ field, ...this.snippet(String(value), terms) });
+      if (highlights.length === MAX_HIGHLIGHTS) break;
+    }
+
+    return highlights;
+  }
+
+  // A window of the text around its first match, trimmed to word boundaries
+  snippet(text, terms) {
+    const [[firstStart]] = this.findMatches(text, terms);
+    let start = Math.max(0, firstStart - SNIPPET_BEFORE);
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    if (start > 0) {
+      const wordStart = text.indexOf(' ', start) + 1;
+      if (wordStart > 0 && wordStart <= firstStart) start = wordStart;
+    }
+    if (end < text.length) {
+      const wordEnd = text.lastIndexOf(' ', end);
+      if (wordEnd > firstStart) end = wordEnd;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const excerpt = text.slice(start, end);
+
+    return {
+      text: `${prefix}${excerpt}${suffix}`,
+      matches: this.findMatches(excerpt, terms)
+        .map(([matchStart, matchEnd]) => [matchStart + prefix.length, matchEnd + prefix.length])
+    };
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,34 @@
+const databaseService = require('../config/databaseService');
+
+// Settings are read on most case updates, so keep them briefly in memory
+const CACHE_TTL_MS = 60 * 1000;
+
+class SettingsService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  // Read a setting, falling back to the given default when it is unset
+  async get(key, defaultValue = null) {
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const setting = await databaseService.getRepositories().settings.get(key);
+    const value = setting ? setting.value : undefined;
+
+    const resolved = typeof value === 'undefined' ? defaultValue : value;
+    this.cache.set(key, { value: resolved, expiresAt: Date.now() + CACHE_TTL_MS });
+    return resolved;
+  }
+
+  async set(key, value, userId, { description, category = 'general' } = {}) {
+    const setting = await databaseService.getRepositories().settings.set(key, value, { userId, description, category });
+
+    this.cache.delete(key);
+    return setting.value;
+  }
+}
+
+module.exports = new SettingsService();
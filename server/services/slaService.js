@@ -0,0 +1,318 @@
+const cron = require('node-cron');
+
+const databaseService = require('../config/databaseService');
+const { refId } = require('../repositories');
+const settingsService = require('./settingsService');
+const caseActivityService = require('./caseActivityService');
+const workflowService = require('./workflowService');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+
+const SLA_SETTING_KEY = 'sla_policies';
+
+const OPEN_STATUSES = ['reported', 'under_review', 'in_progress', 'escalated'];
+const CLOSED_STATUSES = ['resolved', 'closed'];
+const MATCH_FIELDS = ['severity', 'priority', 'incidentType'];
+
+// Cases are read a page at a time, as Supabase returns at most 1000 rows per request
+const PAGE_SIZE = 500;
+
+// Breaches are escalated by the system, which may take the transitions an admin may
+const ESCALATION_ROLE = 'admin';
+
+// Default SLA policies used until an admin saves some to system_settings. Policies are checked
+// in order and the first one whose `match` fits the case wins; each match field may be a single
+// value or a list. A case is "at risk" once `atRiskThreshold` of its window has elapsed.
+const DEFAULT_SLA_CONFIG = {
+  atRiskThreshold: 0.75,
+  escalateOnBreach: true,
+  notifyRoles: ['manager'],
+  policies: [
+    { name: 'Critical severity', match: { severity: 'critical' }, resolutionHours: 24 },
+    { name: 'Urgent priority', match: { priority: 'urgent' }, resolutionHours: 48 },
+    { name: 'High severity', match: { severity: 'high' }, resolutionHours: 72 },
+    { name: 'Impersonation', match: { incidentType: 'impersonation' }, resolutionHours: 72 },
+    { name: 'Standard', match: {}, resolutionHours: 168 }
+  ]
+};
+
+const matches = (expected, actual) => (Array.isArray(expected) ? expected.includes(actual) : expected === actual);
+
+class SlaService {
+  constructor() {
+    this.openStatuses = OPEN_STATUSES;
+    this.running = false;
+  }
+
+  async getConfig() {
+    return settingsService.get(SLA_SETTING_KEY, DEFAULT_SLA_CONFIG);
+  }
+
+  async saveConfig(config, userId) {
+    return settingsService.set(SLA_SETTING_KEY, config, userId, {
+      description: 'SLA resolution windows by severity, priority and incident type',
+      category: 'sla'
+    });
+  }
+
+  // Returns a list of problems with an SLA configuration, empty when it is valid
+  validateConfig(config) {
+    const problems = [];
+
+    if (!config || typeof config !== 'object') {
+      return ['SLA configuration must be an object'];
+    }
+
+    if (typeof config.atRiskThreshold !== 'undefined' &&
+      !(config.atRiskThreshold > 0 && config.atRiskThreshold < 1)) {
+      problems.push('atRiskThreshold must be between 0 and 1');
+    }
+
+    if (config.notifyRoles && !Array.isArray(config.notifyRoles)) {
+      problems.push('notifyRoles must be an array');
+    }
+
+    if (!Array.isArray(config.policies) || config.policies.length === 0) {
+      problems.push('policies must be a non-empty array');
+      return problems;
+    }
+
+    config.policies.forEach((policy, index) => {
+      const label = `policies[${index}]`;
+      if (!policy.name) problems.push(`${label}.name is required`);
+      if (!(policy.resolutionHours > 0)) problems.push(`${label}.resolutionHours must be a positive number`);
+      Object.keys(policy.match || {}).forEach(field => {
+        if (!MATCH_FIELDS.includes(field)) problems.push(`${label}.match.${field} is not a supported field`);
+      });
+    });
+
+    return problems;
+  }
+
+  findPolicy(config, { severity, priority, incidentType }) {
+    const values = { severity, priority, incidentType };
+    return config.policies.find(policy =>
+      Object.entries(policy.match || {}).every(([field, expected]) => matches(expected, values[field]))
+    ) || null;
+  }
+
+  // Work out the due date for a new case from the first matching policy
+  async calculateDueDate({ severity, priority, incidentType, reportedAt = new Date() }) {
+    const config = await this.getConfig();
+    const policy = this.findPolicy(config, { severity, priority, incidentType });
+
+    if (!policy) {
+      return { dueDate: null, policy: null };
+    }
+
+    const dueDate = new Date(new Date(reportedAt).getTime() + policy.resolutionHours * 60 * 60 * 1000);
+    return { dueDate, policy: policy.name };
+  }
+
+  // SLA state of a single case: on_track, at_risk or breached while open; met or missed once resolved
+  getState({ status, reportedAt, dueDate, resolvedAt }, atRiskThreshold = DEFAULT_SLA_CONFIG.atRiskThreshold, now = new Date()) {
+    if (!dueDate) return null;
+
+    const due = new Date(dueDate).getTime();
+
+    if (CLOSED_STATUSES.includes(status)) {
+      if (!resolvedAt) return 'met';
+      return new Date(resolvedAt).getTime() <= due ? 'met' : 'missed';
+    }
+
+    if (now.getTime() > due) return 'breached';
+
+    const start = new Date(reportedAt || now).getTime();
+    const elapsed = (now.getTime() - start) / Math.max(due - start, 1);
+    return elapsed >= atRiskThreshold ? 'at_risk' : 'on_track';
+  }
+
+  // Every incident matching the filters, oldest first
+  async listCases(filters) {
+    const { incidents } = databaseService.getRepositories();
+
+    const cases = [];
+    for (let page = 1; ; page++) {
+      const { items, total } = await incidents.list(filters, { page, limit: PAGE_SIZE, sortBy: 'createdAt', sortOrder: 'asc' });
+      cases.push(...items);
+      if (items.length < PAGE_SIZE || cases.length >= total) return cases;
+    }
+  }
+
+  // The open cases that have a due date, in the shape checkDeadlines works with
+  async getOpenCases() {
+    const items = await this.listCases({ status: OPEN_STATUSES, hasDueDate: true });
+
+    return items.map(incident => ({
+      id: incident._id,
+      title: incident.title,
+      caseNumber: incident.caseNumber,
+      status: incident.status,
+      incidentType: incident.incidentType,
+      workflowValues: workflowService.toWorkflowValues(incident),
+      reportedAt: incident.reportedAt,
+      dueDate: incident.dueDate,
+      reporterId: refId(incident.reporter),
+      assignedTo: refId(incident.assignedTo),
+      sla: incident.sla,
+      slaStatus: incident.sla && incident.sla.status
+    }));
+  }
+
+  // The sla to store alongside a new due date, since flags raised against the old one no
+  // longer apply
+  resetFlags(sla) {
+    return { ...sla, status: null, atRiskAt: null, breachedAt: null };
+  }
+
+  // Record a case's new SLA state. Resolves to null, changing nothing, when the due date was
+  // edited after the case was read, as the state was worked out against the old one.
+  async updateCase(incident, { slaStatus, status }) {
+    const { incidents } = databaseService.getRepositories();
+    const current = await incidents.findById(incident.id);
+    if (!current || new Date(current.dueDate).getTime() !== new Date(incident.dueDate).getTime()) return null;
+
+    const now = new Date().toISOString();
+    const sla = { ...current.sla, status: slaStatus };
+    if (slaStatus === 'at_risk') sla.atRiskAt = now;
+    if (slaStatus === 'breached') sla.breachedAt = now;
+
+    return incidents.update(incident.id, status ? { sla, status } : { sla });
+  }
+
+  // Whether the workflow lets a breached case move to escalated
+  async canEscalate(incident) {
+    if (incident.status === 'escalated') return false;
+
+    const { valid } = await workflowService.validateTransition({
+      from: incident.status,
+      to: 'escalated',
+      role: ESCALATION_ROLE,
+      incidentType: incident.incidentType,
+      values: incident.workflowValues
+    });
+    return valid;
+  }
+
+  // Flag at-risk and breached cases, escalate breaches the workflow allows to be escalated
+  // and notify the assignee and managers. Each case is only flagged once per state, so
+  // repeated runs do not re-notify.
+  async checkDeadlines() {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    const summary = { checked: 0, atRisk: 0, breached: 0, escalated: 0 };
+
+    try {
+      const config = await this.getConfig();
+      const managerIds = await notificationService.getActiveUserIdsByRole(
+        config.notifyRoles || DEFAULT_SLA_CONFIG.notifyRoles
+      );
+      const cases = await this.getOpenCases();
+      summary.checked = cases.length;
+
+      for (const incident of cases) {
+        const state = this.getState(incident, config.atRiskThreshold || DEFAULT_SLA_CONFIG.atRiskThreshold);
+        if (state === incident.slaStatus || !['at_risk', 'breached'].includes(state)) continue;
+
+        const label = incident.caseNumber ? `${incident.caseNumber} ${incident.title}` : incident.title;
+        const dueDate = new Date(incident.dueDate).toLocaleString();
+
+        if (state === 'at_risk') {
+          if (!await this.updateCase(incident, { slaStatus: state })) continue;
+          await notificationService.notifyUsers([incident.assignedTo, ...managerIds], {
+            title: 'Case approaching SLA deadline',
+            message: `${label} is due ${dueDate}.`,
+            type: 'warning',
+            category: 'deadline',
+            incidentId: incident.id,
+            priority: 'high',
+            actionUrl: `/cases/${incident.id}`
+          });
+          summary.atRisk++;
+          continue;
+        }
+
+        const escalate = config.escalateOnBreach !== false && await this.canEscalate(incident);
+        if (!await this.updateCase(incident, { slaStatus: state, status: escalate ? 'escalated' : undefined })) continue;
+
+        if (escalate) {
+          await caseActivityService.logStatusChange({
+            incidentId: incident.id,
+            userId: null,
+            oldStatus: incident.status,
+            newStatus: 'escalated',
+            notes: `SLA breached (due ${dueDate}).`
+          });
+          realtimeService.publishCaseStatus({
+            id: incident.id,
+            caseNumber: incident.caseNumber,
+            title: incident.title,
+            oldStatus: incident.status,
+            newStatus: 'escalated',
+            reporterId: incident.reporterId,
+            assignedTo: incident.assignedTo
+          });
+          summary.escalated++;
+        }
+
+        await notificationService.notifyUsers([incident.assignedTo, ...managerIds], {
+          title: 'Case breached SLA',
+          message: escalate
+            ? `${label} passed its due date of ${dueDate} and has been escalated.`
+            : `${label} passed its due date of ${dueDate}.`,
+          type: 'error',
+          category: 'deadline',
+          incidentId: incident.id,
+          priority: 'urgent',
+          actionUrl: `/cases/${incident.id}`
+        });
+        summary.breached++;
+      }
+
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // SLA compliance figures for cases reported in the given range
+  async getComplianceStats({ dateFrom, dateTo } = {}) {
+    const cases = await this.listCases({ hasDueDate: true, dateFrom, dateTo });
+
+    const config = await this.getConfig();
+    const stats = { total: cases.length, met: 0, missed: 0, onTrack: 0, atRisk: 0, breached: 0, complianceRate: null };
+    const keys = { met: 'met', missed: 'missed', on_track: 'onTrack', at_risk: 'atRisk', breached: 'breached' };
+
+    cases.forEach(incident => {
+      const state = this.getState(incident, config.atRiskThreshold || DEFAULT_SLA_CONFIG.atRiskThreshold);
+      if (state) stats[keys[state]]++;
+    });
+
+    // Open cases still inside their window have not yet met or missed the SLA
+    const decided = stats.met + stats.missed + stats.breached;
+    if (decided > 0) {
+      stats.complianceRate = Math.round((stats.met / decided) * 1000) / 10;
+    }
+
+    return stats;
+  }
+
+  // Run the deadline check on a schedule (every 15 minutes by default)
+  scheduleChecks(expression = process.env.SLA_CHECK_CRON || '*/15 * * * *') {
+    return cron.schedule(expression, async () => {
+      try {
+        const summary = await this.checkDeadlines();
+        if (!summary.skipped) {
+          console.log(`SLA check completed. ${summary.atRisk} at risk, ${summary.breached} breached, ${summary.escalated} escalated.`);
+        }
+      } catch (error) {
+        console.error('Scheduled SLA check failed:', error);
+      }
+    });
+  }
+}
+
+module.exports = new SlaService();
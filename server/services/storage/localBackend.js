@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Stores files on the server's disk. Suitable for development and single-host deployments;
+// files do not survive on ephemeral hosts such as Vercel.
+class LocalBackend {
+  constructor({ root, signingSecret }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+    this.signingSecret = signingSecret;
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.signingSecret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  verifySignature(key, expires, signature) {
+    if (!key || !expires || !signature || Date.now() > Number(expires)) return false;
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const provided = Buffer.from(String(signature));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  // Signed URLs are served by GET /api/files/signed, which checks the signature and expiry
+  async getSignedUrl(key, expiresIn) {
+    const expires = Date.now() + expiresIn * 1000;
+    const baseUrl = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5001}`;
+    const query = new URLSearchParams({ key, expires: String(expires), signature: this.sign(key, expires) });
+    return `${baseUrl}/api/files/signed?${query}`;
+  }
+}
+
+module.exports = LocalBackend;
@@ -0,0 +1,45 @@
+// Stores files in any S3-compatible object store (AWS S3, Cloudflare R2, MinIO, ...)
+class S3Backend {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+    const { S3Client } = require('@aws-sdk/client-s3');
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      forcePathStyle: Boolean(forcePathStyle),
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  async put(key, buffer, { contentType, checksum } = {}) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      Metadata: checksum ? { sha256: checksum } : undefined
+    }));
+  }
+
+  async get(key) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async remove(key) {
+    const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  async getSignedUrl(key, expiresIn) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+    return getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: key }), { expiresIn });
+  }
+}
+
+module.exports = S3Backend;
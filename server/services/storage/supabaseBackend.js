@@ -0,0 +1,35 @@
+// Stores files in a Supabase Storage bucket (see SUPABASE-STORAGE-SETUP.md)
+class SupabaseBackend {
+  constructor({ client, bucket }) {
+    this.name = 'supabase';
+    this.client = client;
+    this.bucket = bucket;
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType, upsert: false });
+
+    if (error) throw error;
+  }
+
+  async get(key) {
+    const { data, error } = await this.client.storage.from(this.bucket).download(key);
+    if (error) throw error;
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async remove(key) {
+    const { error } = await this.client.storage.from(this.bucket).remove([key]);
+    if (error) throw error;
+  }
+
+  async getSignedUrl(key, expiresIn) {
+    const { data, error } = await this.client.storage.from(this.bucket).createSignedUrl(key, expiresIn);
+    if (error) throw error;
+    return data.signedUrl;
+  }
+}
+
+module.exports = SupabaseBackend;
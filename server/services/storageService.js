@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const databaseService = require('../config/databaseService');
+const LocalBackend = require('./storage/localBackend');
+const S3Backend = require('./storage/s3Backend');
+const SupabaseBackend = require('./storage/supabaseBackend');
+
+const BACKENDS = ['local', 's3', 'supabase'];
+
+// Signed download URLs are short-lived so a leaked link stops working quickly
+const DEFAULT_SIGNED_URL_EXPIRY_SECONDS = parseInt(process.env.STORAGE_SIGNED_URL_EXPIRY) || 300;
+const SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'fallback-secret-key';
+
+class StorageService {
+  constructor() {
+    this.backends = BACKENDS;
+    this.backend = null;
+  }
+
+  // Backend is chosen by STORAGE_BACKEND, defaulting to Supabase Storage in Supabase mode
+  getBackend() {
+    if (this.backend) return this.backend;
+
+    const name = process.env.STORAGE_BACKEND || (databaseService.type === 'supabase' ? 'supabase' : 'local');
+
+    switch (name) {
+      case 'local':
+        this.backend = new LocalBackend({
+          root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '../uploads'),
+          signingSecret: SIGNING_SECRET
+        });
+        break;
+      case 's3':
+        this.backend = new S3Backend({
+          bucket: process.env.S3_BUCKET,
+          region: process.env.S3_REGION,
+          endpoint: process.env.S3_ENDPOINT,
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+        });
+        break;
+      case 'supabase':
+        this.backend = new SupabaseBackend({
+          client: require('../config/supabase'),
+          bucket: process.env.SUPABASE_STORAGE_BUCKET || 'evidence'
+        });
+        break;
+      default:
+        throw new Error(`Unknown storage backend "${name}". Expected one of: ${BACKENDS.join(', ')}`);
+    }
+
+    return this.backend;
+  }
+
+  // HMAC proving a value was issued by this server
+  sign(value) {
+    return crypto.createHmac('sha256', SIGNING_SECRET).update(value).digest('hex');
+  }
+
+  verifySignature(value, signature) {
+    const expected = Buffer.from(this.sign(value));
+    const provided = Buffer.from(String(signature || ''));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  checksum(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  // Unique key under a folder, keeping the original extension for content sniffing
+  createKey(folder, originalName = '') {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    return `${folder}/${uniqueSuffix}${path.extname(originalName).toLowerCase()}`;
+  }
+
+  // Store a buffer and return the metadata callers persist alongside the record
+  async save(buffer, { folder, originalName, contentType }) {
+    const backend = this.getBackend();
+    const key = this.createKey(folder, originalName);
+    const checksum = this.checksum(buffer);
+
+    await backend.put(key, buffer, { contentType, checksum });
+
+    return {
+      key,
+      backend: backend.name,
+      checksum,
+      size: buffer.length,
+      contentType,
+      originalName
+    };
+  }
+
+  // Store files received through multer's memory storage
+  async saveUploads(files = [], folder) {
+    return Promise.all(files.map(file => this.save(file.buffer, {
+      folder,
+      originalName: file.originalname,
+      contentType: file.mimetype
+    })));
+  }
+
+  async get(key) {
+    return this.getBackend().get(key);
+  }
+
+  async remove(key) {
+    return this.getBackend().remove(key);
+  }
+
+  async getSignedUrl(key, expiresIn = DEFAULT_SIGNED_URL_EXPIRY_SECONDS) {
+    const url = await this.getBackend().getSignedUrl(key, expiresIn);
+    return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+  }
+
+  // Re-hash a stored file and compare it with the checksum recorded at upload time
+  async verify(key, expectedChecksum) {
+    const actual = this.checksum(await this.get(key));
+    return { valid: actual === expectedChecksum, checksum: actual };
+  }
+}
+
+module.exports = new StorageService();
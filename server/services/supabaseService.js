@@ -127,7 +127,8 @@ class SupabaseService {
         *,
         reporter:users!incidents_reporter_id_fkey(first_name, last_name, email, department, phone),
         assigned_user:users!incidents_assigned_to_fkey(first_name, last_name, email, phone)
-      `);
+      `)
+      .is('deleted_at', null);
 
     // Apply filters
     if (filters.status) {
@@ -180,7 +181,7 @@ class SupabaseService {
       *,
       reporter:users!incidents_reporter_id_fkey(first_name, last_name, email),
       assigned_user:users!incidents_assigned_to_fkey(first_name, last_name, email)
-    `);
+    `).is('deleted_at', null);
     
     if (filters.status) {
       query = query.eq('status', filters.status);
@@ -238,74 +239,78 @@ class SupabaseService {
     };
   }
 
-  
-
-  async searchIncidents(query, limit = 10) {
+  // Soft delete operations
+  async softDeleteIncident(id, userId, reason) {
     const { data, error } = await this.client
       .from('incidents')
-      .select('id, title, status, incident_type, severity, priority, case_number')
-      .or(`title.ilike.%${query}%,description.ilike.%${query}%,case_number.ilike.%${query}%`)
-      .limit(limit)
-      .order('reported_at', { ascending: false });
-    
+      .update({
+        deleted_at: new Date().toISOString(),
+        deleted_by: userId,
+        deleted_reason: reason || null
+      })
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select()
+      .single();
     if (error) throw error;
     return data;
   }
 
-  // Document operations
-  async createDocument(documentData) {
+  async restoreIncident(id) {
     const { data, error } = await this.client
-      .from('documents')
-      .insert([documentData])
+      .from('incidents')
+      .update({ deleted_at: null, deleted_by: null, deleted_reason: null })
+      .eq('id', id)
+      .not('deleted_at', 'is', null)
       .select()
       .single();
-    
     if (error) throw error;
     return data;
   }
 
-  async getDocumentsByIncident(incidentId) {
+  async listDeletedIncidents() {
     const { data, error } = await this.client
-      .from('documents')
+      .from('incidents')
       .select(`
         *,
-        uploader:users!documents_uploaded_by_fkey(first_name, last_name, email)
+        reporter:users!incidents_reporter_id_fkey(first_name, last_name, email),
+        deleted_by_user:users!incidents_deleted_by_fkey(first_name, last_name, email)
       `)
-      .eq('incident_id', incidentId)
-      .order('created_at', { ascending: false });
-    
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false });
     if (error) throw error;
-    return data;
+    return data || [];
   }
 
-  // Template operations
-  async createTemplate(templateData) {
+  async purgeDeletedIncidents(deletedBefore) {
     const { data, error } = await this.client
-      .from('templates')
-      .insert([templateData])
-      .select()
-      .single();
-    
+      .from('incidents')
+      .delete()
+      .not('deleted_at', 'is', null)
+      .lt('deleted_at', deletedBefore.toISOString())
+      .select('id, case_number');
     if (error) throw error;
-    return data;
+    return data || [];
   }
 
-  async getTemplates() {
+  async searchIncidents(query, limit = 10) {
     const { data, error } = await this.client
-      .from('templates')
-      .select('*')
-      .eq('is_active', true)
-      .order('created_at', { ascending: false });
+      .from('incidents')
+      .select('id, title, status, incident_type, severity, priority, case_number')
+      .is('deleted_at', null)
+      .or(`title.ilike.%${query}%,description.ilike.%${query}%,case_number.ilike.%${query}%`)
+      .limit(limit)
+      .order('reported_at', { ascending: false });
     
     if (error) throw error;
     return data;
   }
 
-  // Monitoring alerts operations
-  async createMonitoringAlert(alertData) {
+  // Document operations
+  async createDocument(documentData) {
     const { data, error } = await this.client
-      .from('monitoring_alerts')
-      .insert([alertData])
+      .from('documents')
+      .insert([documentData])
       .select()
       .single();
     
@@ -313,39 +318,18 @@ class SupabaseService {
     return data;
   }
 
-  async getMonitoringAlerts(filters = {}) {
-    let query = this.client.from('monitoring_alerts').select('*');
-    
-    if (filters.status) {
-      query = query.eq('status', filters.status);
-    }
-    
-    if (filters.alertType) {
-      query = query.eq('alert_type', filters.alertType);
-    }
-    
-    if (filters.severity) {
-      query = query.eq('severity', filters.severity);
-    }
-    
-    if (filters.page && filters.limit) {
-      const offset = (filters.page - 1) * filters.limit;
-      query = query.range(offset, offset + filters.limit - 1);
-    }
-    
-    query = query.order('created_at', { ascending: false });
-    
-    const { data, error, count } = await query;
+  async getDocumentsByIncident(incidentId) {
+    const { data, error } = await this.client
+      .from('documents')
+      .select(`
+        *,
+        uploader:users!documents_uploaded_by_fkey(first_name, last_name, email)
+      `)
+      .eq('incident_id', incidentId)
+      .order('created_at', { ascending: false });
     
     if (error) throw error;
-    
-    return {
-      alerts: data,
-      total: count,
-      page: filters.page || 1,
-      limit: filters.limit || 20,
-      pages: Math.ceil(count / (filters.limit || 20))
-    };
+    return data;
   }
 
   // Statistics operations
@@ -360,10 +344,10 @@ class SupabaseService {
       { count: totalAlerts },
       { count: newAlerts }
     ] = await Promise.all([
-      this.client.from('incidents').select('*', { count: 'exact', head: true }),
-      this.client.from('incidents').select('*', { count: 'exact', head: true }).in('status', ['reported', 'under_review', 'in_progress']),
-      this.client.from('incidents').select('*', { count: 'exact', head: true }).in('status', ['resolved', 'closed']),
-      this.client.from('incidents').select('*', { count: 'exact', head: true }).eq('severity', 'critical'),
+      this.client.from('incidents').select('*', { count: 'exact', head: true }).is('deleted_at', null),
+      this.client.from('incidents').select('*', { count: 'exact', head: true }).is('deleted_at', null).in('status', ['reported', 'under_review', 'in_progress']),
+      this.client.from('incidents').select('*', { count: 'exact', head: true }).is('deleted_at', null).in('status', ['resolved', 'closed']),
+      this.client.from('incidents').select('*', { count: 'exact', head: true }).is('deleted_at', null).eq('severity', 'critical'),
       this.client.from('users').select('*', { count: 'exact', head: true }),
       this.client.from('users').select('*', { count: 'exact', head: true }).eq('is_active', true),
       this.client.from('monitoring_alerts').select('*', { count: 'exact', head: true }),
@@ -0,0 +1,260 @@
+const domainIntelService = require('./domainIntelService');
+const emailService = require('./emailService');
+const inboundEmailService = require('./inboundEmailService');
+const storageService = require('./storageService');
+const templateService = require('./templateService');
+
+// 17 U.S.C. 512(g)(2)(C): removed material is restored no less than 10 and no more than
+// 14 business days after a counter-notice is received, unless the complainant files suit
+const COUNTER_NOTICE_MIN_BUSINESS_DAYS = 10;
+const COUNTER_NOTICE_MAX_BUSINESS_DAYS = 14;
+
+// Statements required by 17 U.S.C. 512(c)(3)(A)(v) and (vi)
+const SWORN_STATEMENTS = [
+  'I have a good faith belief that use of the copyrighted materials described above as allegedly infringing is not authorized by the copyright owner, its agent, or the law.',
+  'I swear, under penalty of perjury, that the information in this notification is accurate and that I am the copyright owner or am authorized to act on behalf of the owner of an exclusive right that is allegedly infringed.'
+];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class TakedownService {
+  constructor() {
+    this.swornStatements = SWORN_STATEMENTS;
+  }
+
+  addBusinessDays(date, days) {
+    const result = new Date(date);
+    let remaining = days;
+
+    while (remaining > 0) {
+      result.setDate(result.getDate() + 1);
+      const day = result.getDay();
+      if (day !== 0 && day !== 6) remaining--;
+    }
+
+    return result;
+  }
+
+  // Business days left from `from` until the day of `to`; 0 once that day has come
+  businessDaysBetween(from, to) {
+    const cursor = new Date(from);
+    cursor.setHours(0, 0, 0, 0);
+    const end = new Date(to);
+    end.setHours(0, 0, 0, 0);
+    let days = 0;
+
+    while (cursor < end) {
+      cursor.setDate(cursor.getDate() + 1);
+      const day = cursor.getDay();
+      if (day !== 0 && day !== 6) days++;
+    }
+
+    return days;
+  }
+
+  // Restoration window that opens when a counter-notice is received
+  getCounterNoticeWindow(receivedAt) {
+    return {
+      receivedAt: new Date(receivedAt),
+      restoreAfter: this.addBusinessDays(receivedAt, COUNTER_NOTICE_MIN_BUSINESS_DAYS),
+      restoreBy: this.addBusinessDays(receivedAt, COUNTER_NOTICE_MAX_BUSINESS_DAYS)
+    };
+  }
+
+  // Values available to DMCA templates, taken from the incident and the complainant settings
+  buildVariables(incident, user) {
+    const infringer = incident.infringerInfo || {};
+    const complainant = templateService.complainant(user);
+    const urls = (incident.infringedUrls || []).map(entry => entry.url).filter(Boolean);
+
+    return {
+      caseNumber: incident.caseNumber || '',
+      incidentTitle: incident.title,
+      originalWork: incident.infringedContent,
+      infringingUrls: urls.map((url, index) => `${index + 1}. ${url}`).join('\n'),
+      infringerName: infringer.name || '',
+      infringerOrganization: infringer.organization || '',
+      infringerWebsite: infringer.website || '',
+      infringerEmail: infringer.email || '',
+      complainantName: complainant.name,
+      complainantOrganization: complainant.organization,
+      complainantAddress: complainant.address,
+      complainantEmail: complainant.email,
+      complainantPhone: complainant.phone,
+      swornStatements: SWORN_STATEMENTS.join('\n\n'),
+      signature: `/${complainant.name}/`,
+      date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+    };
+  }
+
+  // Standard notice used when no DMCA template is chosen
+  renderDefaultNotice(variables) {
+    const lines = [
+      variables.date,
+      '',
+      'Re: DMCA Notice of Copyright Infringement' + (variables.caseNumber ? ` (${variables.caseNumber})` : ''),
+      '',
+      'To the Designated Agent:',
+      '',
+      'I am writing under the Digital Millennium Copyright Act (17 U.S.C. 512(c)) to notify you of material on your service that infringes copyrights owned by ' +
+        `${variables.complainantOrganization}.`,
+      '',
+      'Copyrighted work:',
+      variables.originalWork,
+      '',
+      'Infringing material to be removed or disabled:',
+      variables.infringingUrls
+    ];
+
+    if (variables.infringerName || variables.infringerOrganization) {
+      lines.push('', `Posted by: ${[variables.infringerName, variables.infringerOrganization].filter(Boolean).join(', ')}`);
+    }
+
+    lines.push(
+      '',
+      variables.swornStatements,
+      '',
+      'Complainant contact information:',
+      [
+        variables.complainantName,
+        variables.complainantOrganization,
+        variables.complainantAddress,
+        variables.complainantEmail,
+        variables.complainantPhone
+      ].filter(Boolean).join('\n'),
+      '',
+      `Signature: ${variables.signature}`
+    );
+
+    return {
+      subject: `DMCA Takedown Notice${variables.caseNumber ? ` - ${variables.caseNumber}` : ''}`,
+      content: lines.join('\n')
+    };
+  }
+
+  // Fill a DMCA notice from the incident, using the template when one is given. The
+  // built-in values above are available to the template as top-level names, next to the
+  // incident, infringer and user bindings.
+  async renderNotice({ template, incident, user, variables = {} }) {
+    const values = { ...this.buildVariables(incident, user), ...variables };
+
+    if (!template) {
+      return this.renderDefaultNotice(values);
+    }
+
+    const { subject, content } = await templateService.renderFor(template, { incident, user, variables: values });
+    return { subject: subject || template.name, content };
+  }
+
+  // When no designated agent address is supplied, the notice goes to the abuse contact found
+  // for the hosting network or registrar, and failing that to the host's abuse mailbox
+  // (RFC 2142)
+  resolveRecipient(incident, recipient = {}) {
+    if (recipient.email) {
+      return { ...recipient, source: 'provided' };
+    }
+
+    const url = (incident.infringedUrls || []).map(entry => entry.url).find(Boolean);
+    if (!url) return null;
+
+    const contact = domainIntelService.abuseContact(incident.domainIntel, url);
+    if (contact) {
+      return {
+        ...contact,
+        name: recipient.name || 'Abuse Department',
+        organization: recipient.organization || contact.organization
+      };
+    }
+
+    try {
+      const hostname = new URL(url).hostname.replace(/^www\./, '');
+      return {
+        name: recipient.name || 'Designated Agent',
+        organization: recipient.organization || hostname,
+        email: `abuse@${hostname}`,
+        source: 'abuse_mailbox'
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Render a notice to PDF and store it through the storage service
+  async renderPdf({ title, content }, fileBaseName) {
+    const puppeteer = require('puppeteer');
+    const browser = await puppeteer.launch({
+      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH,
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+
+    try {
+      const page = await browser.newPage();
+      await page.setContent(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <title>${escapeHtml(title)}</title>
+          <style>
+            body { font-family: Georgia, 'Times New Roman', serif; font-size: 12pt; line-height: 1.5; color: #111; }
+            pre { font-family: inherit; white-space: pre-wrap; word-wrap: break-word; margin: 0; }
+          </style>
+        </head>
+        <body><pre>${escapeHtml(content)}</pre></body>
+        </html>
+      `, { waitUntil: 'domcontentloaded' });
+
+      const pdf = await page.pdf({
+        format: 'Letter',
+        margin: { top: '1in', right: '1in', bottom: '1in', left: '1in' },
+        printBackground: true
+      });
+
+      const pdfBuffer = Buffer.from(pdf);
+      const fileName = `${fileBaseName}.pdf`;
+      const stored = await storageService.save(pdfBuffer, {
+        folder: 'documents',
+        originalName: fileName,
+        contentType: 'application/pdf'
+      });
+
+      return {
+        filePath: stored.key,
+        fileName,
+        fileSize: stored.size,
+        checksum: stored.checksum,
+        storageBackend: stored.backend,
+        content: pdfBuffer
+      };
+    } finally {
+      await browser.close();
+    }
+  }
+
+  // Email a rendered notice with its PDF to the recipient. Replies are addressed to a
+  // per-document token so they can be threaded back by inbound email ingestion.
+  async deliver({ document, recipient, pdf }) {
+    const replyToken = document.replyToken || inboundEmailService.createReplyToken();
+    const result = await emailService.sendTakedownNotice({
+      to: recipient.email,
+      replyTo: inboundEmailService.getReplyAddress(replyToken),
+      subject: document.title,
+      text: document.content,
+      html: `<pre style="font-family: Georgia, serif; white-space: pre-wrap;">${escapeHtml(document.content)}</pre>`,
+      pdf: { filename: pdf.fileName, content: pdf.content }
+    });
+
+    return {
+      replyToken,
+      messageId: result.messageId,
+      to: recipient.email,
+      sentAt: new Date()
+    };
+  }
+}
+
+module.exports = new TakedownService();
@@ -0,0 +1,352 @@
+const cron = require('node-cron');
+
+const databaseService = require('../config/databaseService');
+const { refId } = require('../repositories');
+const monitoringService = require('./monitoringService');
+const fingerprintService = require('./fingerprintService');
+const caseActivityService = require('./caseActivityService');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+const { readContent } = require('./monitoring/fingerprint');
+const { containsPhrase } = require('./monitoring/matcher');
+
+// Rechecks the infringing URLs of cases to learn whether takedown requests worked. Each
+// check fetches the URL and compares what is there with the protected works the case is
+// about: by fingerprint where those works have one, otherwise by their titles and the
+// case's infringed content. A URL is live while the content is still there, and gone once
+// it is removed (404, 410, 451 or the domain no longer resolves), changed (the page no
+// longer carries the content) or redirected elsewhere. Every check is kept in the
+// takedownChecks history; the latest state is kept on the case's URL entry.
+
+const OPEN_STATUSES = ['reported', 'under_review', 'in_progress', 'escalated'];
+const RESOLVED_STATUSES = ['resolved', 'closed'];
+// Cases waiting on a counter-notice are rechecked too, since the host may restore the content
+const COUNTER_NOTICE_STATUSES = ['counter_notice_received', 'litigation_filed'];
+const GONE_STATES = ['removed', 'changed', 'redirected'];
+
+// Responses and lookup failures that mean the page or site has been taken down
+const REMOVED_STATUSES = [404, 410, 451];
+const REMOVED_ERROR_CODES = ['ENOTFOUND'];
+
+// Resolved cases are rechecked for this long, so content that comes back reopens them
+const RECHECK_RESOLVED_DAYS = parseInt(process.env.TAKEDOWN_RECHECK_RESOLVED_DAYS) || 90;
+
+// Longer infringed content descriptions are prose rather than a title worth matching on
+const MAX_KEYWORD_LENGTH = 120;
+
+// Where a resolved case goes when its content reappears
+const REOPEN_STATUS = 'in_progress';
+
+// A URL's page ignoring scheme, "www.", trailing slashes and fragment, to tell real
+// redirects from canonicalisation
+const pageOf = (value) => {
+  const url = new URL(value);
+  return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}${url.search}`;
+};
+
+const caseLabel = (incident) => `${incident.caseNumber} ${incident.title}`;
+
+class TakedownVerificationService {
+  constructor() {
+    this.goneStates = GONE_STATES;
+    this.running = false;
+  }
+
+  // The protected works a case is about: those whose title or an alias appears in its
+  // title or infringed content
+  worksFor(incident, works) {
+    const text = `${incident.title}\n${incident.infringedContent || ''}`;
+    return works.filter(work => [work.title, ...(work.aliases || [])].some(name => containsPhrase(text, name)));
+  }
+
+  // Fingerprints and phrases to look for at a case's URLs
+  targetsFor(incident, references) {
+    const works = this.worksFor(incident, references.works);
+    const workIds = new Set(works.map(work => work._id));
+    const { infringedContent } = incident;
+
+    return {
+      texts: references.texts.filter(fingerprint => workIds.has(fingerprint.workId)),
+      images: references.images.filter(fingerprint => workIds.has(fingerprint.workId)),
+      phrases: [
+        ...works.flatMap(work => [work.title, ...(work.aliases || [])]),
+        ...(infringedContent && infringedContent.length <= MAX_KEYWORD_LENGTH ? [infringedContent] : [])
+      ].filter(Boolean)
+    };
+  }
+
+  // Whether a response still carries the content: { matched, comparedBy, similarity } with
+  // `matched` null when there was nothing to compare it with
+  async compare(response, targets) {
+    let content;
+    try {
+      content = await readContent(response.body, { contentType: response.contentType, name: new URL(response.url).pathname });
+    } catch (error) {
+      return { matched: null, comparedBy: null, similarity: null };
+    }
+
+    let best = null;
+    try {
+      best = await fingerprintService.compare(content, targets);
+    } catch (error) {
+      console.error(`Takedown check could not fingerprint ${response.url}: ${error.message}`);
+    }
+    if (best) {
+      return {
+        matched: best.similarity >= fingerprintService.matchThreshold,
+        comparedBy: 'fingerprint',
+        similarity: Math.round(best.similarity * 1000) / 1000
+      };
+    }
+
+    if (content.kind === 'text' && targets.phrases.length > 0) {
+      return {
+        matched: targets.phrases.some(phrase => containsPhrase(content.text, phrase)),
+        comparedBy: 'keyword',
+        similarity: null
+      };
+    }
+
+    return { matched: null, comparedBy: null, similarity: null };
+  }
+
+  // Fetch one URL and work out its state. Sites that cannot be reached for other reasons
+  // are "unreachable", which says nothing about whether the content is gone.
+  async checkUrl(url, { http, targets }) {
+    const checkedAt = new Date().toISOString();
+
+    let response;
+    try {
+      response = await http.get(url, { binary: true });
+    } catch (error) {
+      const removed = REMOVED_STATUSES.includes(error.status) || REMOVED_ERROR_CODES.includes(error.code);
+      return {
+        url,
+        state: removed ? 'removed' : 'unreachable',
+        httpStatus: error.status || null,
+        finalUrl: null,
+        comparedBy: null,
+        similarity: null,
+        error: removed ? null : error.message,
+        checkedAt
+      };
+    }
+
+    const { matched, comparedBy, similarity } = await this.compare(response, targets);
+    const redirected = pageOf(response.url) !== pageOf(url);
+
+    let state = 'live';
+    if (matched !== true && redirected) state = 'redirected';
+    else if (matched === false) state = 'changed';
+
+    return {
+      url,
+      state,
+      httpStatus: response.status,
+      finalUrl: response.url,
+      comparedBy,
+      similarity,
+      error: null,
+      checkedAt
+    };
+  }
+
+  // Recheck every URL of a case and record the results. When every URL is gone an open case
+  // is given a suggested outcome of content_removed; when content reappears on a resolved
+  // case, the case is reopened. Resolves to { incident, results, suggested, reopened,
+  // reappeared }.
+  async checkCase(incident, { http, references }) {
+    const { incidents, takedownChecks } = databaseService.getRepositories();
+    const targets = this.targetsFor(incident, references);
+
+    const results = [];
+    for (const entry of incident.infringedUrls.filter(item => item.url)) {
+      const result = await this.checkUrl(entry.url, { http, targets });
+      await takedownChecks.create({ incidentId: incident._id, ...result });
+      results.push({ ...result, previousState: entry.takedownStatus || null });
+    }
+
+    // Read again so changes made while the URLs were being fetched are kept
+    const current = await incidents.findById(incident._id);
+    const checkedAt = new Date().toISOString();
+    const byUrl = new Map(results.map(result => [result.url, result]));
+
+    const infringedUrls = current.infringedUrls.map(entry => {
+      const result = byUrl.get(entry.url);
+      if (!result) return entry;
+      if (result.state === 'unreachable') {
+        return { ...entry, lastCheckedAt: result.checkedAt, lastCheckError: result.error };
+      }
+      return {
+        ...entry,
+        takedownStatus: result.state,
+        lastCheckedAt: result.checkedAt,
+        lastCheckError: null,
+        statusChangedAt: result.state === entry.takedownStatus ? entry.statusChangedAt : result.checkedAt
+      };
+    });
+
+    const withUrls = infringedUrls.filter(entry => entry.url);
+    const allGone = withUrls.length > 0 && withUrls.every(entry => GONE_STATES.includes(entry.takedownStatus));
+    const reappeared = results
+      .filter(result => result.state === 'live' && GONE_STATES.includes(result.previousState))
+      .map(result => result.url);
+
+    const takedownCheck = {
+      ...current.takedownCheck,
+      lastCheckedAt: checkedAt,
+      allRemovedAt: allGone ? current.takedownCheck.allRemovedAt || checkedAt : null
+    };
+
+    const suggested = allGone && OPEN_STATUSES.includes(current.status) &&
+      !current.takedownCheck.suggestedOutcome && current.resolution.outcome !== 'content_removed';
+    if (suggested) {
+      takedownCheck.suggestedOutcome = 'content_removed';
+      takedownCheck.suggestedAt = checkedAt;
+    } else if (!allGone) {
+      takedownCheck.suggestedOutcome = null;
+      takedownCheck.suggestedAt = null;
+    }
+
+    const reopened = reappeared.length > 0 && RESOLVED_STATUSES.includes(current.status);
+    if (reopened) takedownCheck.reopenedAt = checkedAt;
+
+    const updated = await incidents.update(current._id, {
+      infringedUrls,
+      takedownCheck,
+      ...(reopened ? { status: REOPEN_STATUS } : {})
+    });
+
+    const recipients = [refId(current.assignedTo), refId(current.reporter)];
+
+    if (suggested) {
+      await caseActivityService.log({
+        incidentId: current._id,
+        userId: null,
+        type: 'updated',
+        description: 'All infringing URLs are down. Suggested resolution: content removed',
+        newValues: { takedownCheck: { suggestedOutcome: 'content_removed' } },
+        metadata: { urls: withUrls.map(entry => ({ url: entry.url, status: entry.takedownStatus })) }
+      });
+      await notificationService.notifyUsers(recipients, {
+        title: 'Infringing content taken down',
+        message: `Every infringing URL of ${caseLabel(updated)} is down. It can be resolved as content removed.`,
+        type: 'success',
+        category: 'incident',
+        incidentId: current._id,
+        priority: 'normal',
+        actionUrl: `/cases/${current._id}`
+      });
+    }
+
+    if (reopened) {
+      await caseActivityService.logStatusChange({
+        incidentId: current._id,
+        userId: null,
+        oldStatus: current.status,
+        newStatus: REOPEN_STATUS,
+        notes: `Content reappeared at ${reappeared.join(', ')}.`
+      });
+      realtimeService.publishCaseStatus({
+        id: current._id,
+        caseNumber: updated.caseNumber,
+        title: updated.title,
+        oldStatus: current.status,
+        newStatus: REOPEN_STATUS,
+        reporterId: refId(current.reporter),
+        assignedTo: refId(current.assignedTo)
+      });
+    }
+
+    if (reappeared.length > 0) {
+      await notificationService.notifyUsers(recipients, {
+        title: 'Infringing content is back',
+        message: reopened
+          ? `Content reappeared at ${reappeared.join(', ')}; ${caseLabel(updated)} has been reopened.`
+          : `Content reappeared at ${reappeared.join(', ')} on ${caseLabel(updated)}.`,
+        type: 'warning',
+        category: 'incident',
+        incidentId: current._id,
+        priority: 'high',
+        actionUrl: `/cases/${current._id}`
+      });
+    }
+
+    return { incident: updated, results, suggested, reopened, reappeared };
+  }
+
+  // Recheck one case now; resolves to null when it does not exist
+  async checkIncident(incidentId) {
+    const incident = await databaseService.getRepositories().incidents.findById(incidentId);
+    if (!incident) return null;
+
+    return this.checkCase(incident, {
+      http: monitoringService.createHttpClient({}),
+      references: await fingerprintService.loadReferences()
+    });
+  }
+
+  // Open and counter-noticed cases with URLs, and cases resolved as content removed in the
+  // last RECHECK_RESOLVED_DAYS days
+  async getCasesToCheck() {
+    const { incidents } = databaseService.getRepositories();
+    const since = Date.now() - RECHECK_RESOLVED_DAYS * 24 * 60 * 60 * 1000;
+
+    const { items: open } = await incidents.list({ status: [...OPEN_STATUSES, ...COUNTER_NOTICE_STATUSES] });
+    const { items: resolved } = await incidents.list({ status: RESOLVED_STATUSES });
+
+    return [
+      ...open,
+      ...resolved.filter(incident => incident.resolution.outcome === 'content_removed' &&
+        incident.resolvedAt && new Date(incident.resolvedAt).getTime() >= since)
+    ].filter(incident => incident.infringedUrls.some(entry => entry.url));
+  }
+
+  // Recheck every case due a check. One case failing does not stop the others.
+  async checkAll() {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    const summary = { cases: 0, urls: 0, live: 0, removed: 0, changed: 0, redirected: 0, unreachable: 0, suggested: 0, reopened: 0 };
+
+    try {
+      const references = await fingerprintService.loadReferences();
+      const http = monitoringService.createHttpClient({});
+
+      for (const incident of await this.getCasesToCheck()) {
+        try {
+          const { results, suggested, reopened } = await this.checkCase(incident, { http, references });
+          summary.cases++;
+          summary.urls += results.length;
+          results.forEach(result => { summary[result.state]++; });
+          if (suggested) summary.suggested++;
+          if (reopened) summary.reopened++;
+        } catch (error) {
+          console.error(`Takedown check of case ${incident._id} failed:`, error);
+        }
+      }
+
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Recheck on a schedule (every six hours by default)
+  scheduleChecks(expression = process.env.TAKEDOWN_CHECK_CRON || '0 */6 * * *') {
+    return cron.schedule(expression, async () => {
+      try {
+        const summary = await this.checkAll();
+        if (!summary.skipped) {
+          console.log(`Takedown check completed. ${summary.urls} URLs on ${summary.cases} cases: ${summary.removed + summary.changed + summary.redirected} gone, ${summary.live} live, ${summary.reopened} cases reopened.`);
+        }
+      } catch (error) {
+        console.error('Scheduled takedown check failed:', error);
+      }
+    });
+  }
+}
+
+module.exports = new TakedownVerificationService();
@@ -0,0 +1,188 @@
+const databaseService = require('../config/databaseService');
+const { refId } = require('../repositories');
+const engine = require('./templates/engine');
+
+// Template type whose content is included by name in other templates: {{> letterhead}}
+const PARTIAL_TYPE = 'partial';
+
+// Names bound by buildContext. Variables cannot take them, so what a document says about a
+// case always comes from the case.
+const BINDINGS = ['incident', 'infringer', 'reporter', 'assignee', 'user', 'complainant', 'today'];
+
+// Used until a partial template of the same name is saved
+const BUILT_IN_PARTIALS = {
+  letterhead: [
+    '{{complainant.organization}}{{#if complainant.address}}',
+    '{{complainant.address}}{{/if}}{{#if complainant.email}}',
+    '{{complainant.email}}{{/if}}{{#if complainant.phone}}',
+    '{{complainant.phone}}{{/if}}'
+  ].join('\n'),
+  signature: [
+    'Sincerely,',
+    '',
+    '/{{complainant.name}}/',
+    '{{complainant.name}}',
+    '{{complainant.organization}}'
+  ].join('\n')
+};
+
+const person = (user) => user && ({
+  id: refId(user),
+  firstName: user.firstName || '',
+  lastName: user.lastName || '',
+  fullName: [user.firstName, user.lastName].filter(Boolean).join(' '),
+  email: user.email || '',
+  department: user.department || '',
+  phone: user.phone || '',
+  ...(user.role ? { role: user.role } : {})
+});
+
+// Rendering shared by Mongoose templates and Supabase template rows. Both expose
+// `content`, `subject` and `variables` once mapped to the API shape. Templates are written
+// in the language described in ./templates/engine.js and see their declared variables as
+// top-level names alongside these bindings:
+//   incident    id, caseNumber, title, description, status, severity, priority, incidentType,
+//               infringedContent, infringedUrls [{url, description}], urls, reportedAt,
+//               dueDate, resolvedAt, resolution
+//   infringer   name, organization, website, email, contactInfo, with aliases, emails,
+//               domains and hostingProviders from the linked infringer profile
+//   reporter, assignee, user   id, firstName, lastName, fullName, email, department, phone
+//   complainant name, organization, address, email, phone (from the DMCA_COMPLAINANT_* settings)
+//   today
+// Variables named like a binding are ignored.
+class TemplateService {
+  constructor() {
+    this.partialType = PARTIAL_TYPE;
+    this.bindings = BINDINGS;
+    this.filters = engine.filters;
+    this.isTemplateError = engine.isTemplateError;
+  }
+
+  // Throw a template error if the content or subject is malformed
+  check({ content, subject }) {
+    engine.compile(content);
+    engine.compile(subject);
+  }
+
+  // Declared variables with their defaults, plus any other values supplied, less any named
+  // like a binding
+  variableValues(template, variables = {}) {
+    const values = { ...variables };
+    (template.variables || []).forEach(variable => {
+      values[variable.name] = variables[variable.name] || variable.defaultValue || '';
+    });
+    BINDINGS.forEach(name => delete values[name]);
+    return values;
+  }
+
+  // Render a template's subject and content. `context` holds the bindings (see
+  // buildContext) and `partials` the partial sources by lower-case name.
+  render(template, variables = {}, { context = {}, partials = BUILT_IN_PARTIALS } = {}) {
+    const data = { ...this.variableValues(template, variables), ...context };
+
+    return {
+      subject: engine.render(template.subject || '', data, { partials }),
+      content: engine.render(template.content, data, { partials })
+    };
+  }
+
+  // The built-in partials overridden by the active partial templates
+  async loadPartials() {
+    const { items } = await databaseService.getRepositories().templates.list({ type: PARTIAL_TYPE, isActive: true });
+
+    return items.reduce((partials, template) => (
+      { ...partials, [template.name.toLowerCase()]: template.content }
+    ), { ...BUILT_IN_PARTIALS });
+  }
+
+  complainant(user) {
+    const name = process.env.DMCA_COMPLAINANT_NAME || (user ? [user.firstName, user.lastName].filter(Boolean).join(' ') : '');
+
+    return {
+      name,
+      organization: process.env.DMCA_COMPLAINANT_ORGANIZATION || 'DawnSignPress',
+      address: process.env.DMCA_COMPLAINANT_ADDRESS || '',
+      email: process.env.DMCA_COMPLAINANT_EMAIL || process.env.EMAIL_USER || (user && user.email) || '',
+      phone: process.env.DMCA_COMPLAINANT_PHONE || ''
+    };
+  }
+
+  // Bindings for a template rendered about an incident on behalf of a user; either may be null
+  async buildContext({ incident = null, user = null } = {}) {
+    const context = {
+      user: person(user),
+      complainant: this.complainant(user),
+      today: new Date().toISOString()
+    };
+    if (!incident) return context;
+
+    const { users, infringers } = databaseService.getRepositories();
+    const [reporter, assignee] = await Promise.all(
+      [incident.reporter, incident.assignedTo].map(ref => (refId(ref) ? users.findById(refId(ref)) : null))
+    );
+    const profile = refId(incident.infringerId) ? await infringers.findById(refId(incident.infringerId)) : null;
+    const urls = (incident.infringedUrls || []).filter(entry => entry.url);
+
+    return {
+      ...context,
+      incident: {
+        id: incident._id,
+        caseNumber: incident.caseNumber || '',
+        title: incident.title,
+        description: incident.description,
+        status: incident.status,
+        severity: incident.severity,
+        priority: incident.priority,
+        incidentType: incident.incidentType,
+        infringedContent: incident.infringedContent,
+        infringedUrls: urls.map(entry => ({ url: entry.url, description: entry.description || '' })),
+        urls: urls.map(entry => entry.url),
+        reportedAt: incident.reportedAt,
+        dueDate: incident.dueDate,
+        resolvedAt: incident.resolvedAt,
+        resolution: incident.resolution || {}
+      },
+      infringer: {
+        name: '',
+        organization: '',
+        website: '',
+        email: '',
+        contactInfo: '',
+        ...(incident.infringerInfo || {}),
+        ...(profile ? {
+          name: (incident.infringerInfo && incident.infringerInfo.name) || profile.name,
+          aliases: profile.aliases,
+          emails: profile.emails,
+          domains: profile.domains,
+          hostingProviders: profile.hostingProviders
+        } : {})
+      },
+      reporter: person(reporter || incident.reporter),
+      assignee: person(assignee || incident.assignedTo)
+    };
+  }
+
+  // Render a template with the bindings for an incident and user and the saved partials
+  async renderFor(template, { incident = null, user = null, variables = {} } = {}) {
+    const [context, partials] = await Promise.all([this.buildContext({ incident, user }), this.loadPartials()]);
+    return this.render(template, variables, { context, partials });
+  }
+
+  validateVariables(template, variables = {}) {
+    const missing = [];
+
+    (template.variables || []).forEach(variable => {
+      const value = variables[variable.name];
+      if (variable.required && (!value || String(value).trim() === '')) {
+        missing.push(variable.name);
+      }
+    });
+
+    return {
+      isValid: missing.length === 0,
+      missingVariables: missing
+    };
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,369 @@
+// A small Handlebars-style template language for legal documents. Templates only read the
+// data they are given: there are no helpers that run code, lookups see own properties only,
+// partials nest to a fixed depth, and both the work a render does and its output are capped.
+//
+//   {{incident.title}}                      value at a path; missing values render empty
+//   {{incident.reportedAt | date "MMMM D, YYYY"}}
+//   {{infringer.emails | join "; " | upper}} filters, applied left to right
+//   {{#if infringer.email}}...{{else}}...{{/if}}, {{#unless path}}...{{/unless}}
+//   {{#each incident.infringedUrls}}{{@number}}. {{url}}{{else}}none{{/each}}
+//   {{> signature}}                         another template inserted with the same data
+//   {{! comment }} or {{!-- comment --}}
+//
+// Inside #each, `this` is the current item, `@index`/`@number` its 0/1-based position,
+// `@first`/`@last` flag the ends, `../name` reads the enclosing scope and `@root.name` the
+// top. Bare names are looked up in the current item first, then outwards. Block, else and
+// comment tags on a line of their own do not leave a blank line behind.
+
+const MAX_PARTIAL_DEPTH = 5;
+// Nodes rendered per template, counting each pass through a loop or partial, so partials
+// that each include others several times cannot multiply into millions of steps
+const MAX_RENDER_STEPS = 100000;
+const MAX_OUTPUT_LENGTH = 1000000;
+const CACHE_SIZE = 200;
+
+const BLOCKED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Template errors carry the line they were found on; callers report them as bad input
+const templateError = (message, line) => {
+  const error = new Error(line ? `${message} (line ${line})` : message);
+  error.code = 'TEMPLATE_INVALID';
+  error.line = line || null;
+  return error;
+};
+
+const isTemplateError = (error) => Boolean(error) && error.code === 'TEMPLATE_INVALID';
+
+const isEmpty = (value) => value === undefined || value === null || value === false || value === '' || value === 0 ||
+  (Array.isArray(value) && value.length === 0);
+
+const toText = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(', ');
+  if (typeof value === 'object') return '';
+  return String(value);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Dates are formatted in UTC so a date-only value is the same day wherever the server runs
+const formatDate = (value, format = 'MMMM D, YYYY') => {
+  if (isEmpty(value)) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+
+  const parts = {
+    YYYY: date.getUTCFullYear(),
+    YY: pad(date.getUTCFullYear() % 100),
+    MMMM: MONTHS[date.getUTCMonth()],
+    MMM: MONTHS[date.getUTCMonth()].slice(0, 3),
+    MM: pad(date.getUTCMonth() + 1),
+    M: date.getUTCMonth() + 1,
+    DD: pad(date.getUTCDate()),
+    D: date.getUTCDate(),
+    dddd: DAYS[date.getUTCDay()],
+    ddd: DAYS[date.getUTCDay()].slice(0, 3),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes())
+  };
+
+  return String(format).replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|mm/g, token => parts[token]);
+};
+
+const FILTERS = {
+  date: (value, format) => formatDate(value, format),
+  upper: value => toText(value).toUpperCase(),
+  lower: value => toText(value).toLowerCase(),
+  capitalize: value => toText(value).replace(/^./, letter => letter.toUpperCase()),
+  humanize: value => toText(value).split('_').filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+  join: (value, separator = ', ') => (Array.isArray(value)
+    ? value.map(toText).filter(Boolean).join(toText(separator))
+    : toText(value)),
+  map: (value, key) => (Array.isArray(value) ? value.map(item => ownValue(item, toText(key))) : []),
+  default: (value, fallback) => (isEmpty(value) ? fallback : value),
+  count: value => (Array.isArray(value) || typeof value === 'string' ? value.length : 0)
+};
+
+function ownValue(object, key) {
+  if (object === null || typeof object !== 'object' || BLOCKED_KEYS.has(key)) return undefined;
+  return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+}
+
+// --- Parsing ---
+
+const PATH_PATTERN = /^(?:@root\.|(?:\.\.\/)*)?@?[\w-]+(?:\.[\w-]+)*$/;
+
+const parsePath = (source, line) => {
+  if (!PATH_PATTERN.test(source)) throw templateError(`Invalid name "${source}"`, line);
+
+  let rest = source;
+  let root = false;
+  let up = 0;
+  if (rest.startsWith('@root.')) {
+    root = true;
+    rest = rest.slice('@root.'.length);
+  }
+  while (rest.startsWith('../')) {
+    up++;
+    rest = rest.slice(3);
+  }
+
+  const segments = rest.split('.');
+  const data = segments[0].startsWith('@') ? segments.shift().slice(1) : null;
+  const self = segments[0] === 'this';
+  if (self) segments.shift();
+
+  return { type: 'path', root, up, data, self, segments };
+};
+
+const parseArgument = (token, line) => {
+  if (/^["']/.test(token)) {
+    return {
+      type: 'literal',
+      value: token.slice(1, -1).replace(/\\(.)/g, (match, char) => ({ n: '\n', t: '\t' }[char] || char))
+    };
+  }
+  if (/^-?\d+(\.\d+)?$/.test(token)) return { type: 'literal', value: Number(token) };
+  if (['true', 'false', 'null'].includes(token)) return { type: 'literal', value: JSON.parse(token) };
+  return parsePath(token, line);
+};
+
+// An expression is a value followed by any number of "| filter arg ..." stages
+const parseExpression = (source, line) => {
+  const tokens = source.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\||[^\s|]+/g) || [];
+  const stages = [[]];
+  tokens.forEach(token => (token === '|' ? stages.push([]) : stages[stages.length - 1].push(token)));
+
+  const [head, ...filters] = stages;
+  if (head.length !== 1) throw templateError(`Expected a single value in "{{${source.trim()}}}"`, line);
+
+  return {
+    value: parseArgument(head[0], line),
+    filters: filters.map(([name, ...args]) => {
+      if (!name || !FILTERS[name]) throw templateError(`Unknown filter "${name || ''}"`, line);
+      return { name, args: args.map(arg => parseArgument(arg, line)) };
+    })
+  };
+};
+
+// Partials keep their line break, as saved templates have trailing whitespace trimmed
+const STANDALONE = ['open', 'else', 'close', 'comment'];
+
+const tokenize = (source) => {
+  const tokens = [];
+  const pattern = /\{\{(!--[\s\S]*?--|[\s\S]*?)\}\}/g;
+  let last = 0;
+  let match;
+
+  const lineAt = (index) => source.slice(0, index).split('\n').length;
+
+  while ((match = pattern.exec(source))) {
+    if (match.index > last) tokens.push({ kind: 'text', value: source.slice(last, match.index) });
+    const body = match[1].trim();
+    const line = lineAt(match.index);
+
+    if (body.startsWith('!')) tokens.push({ kind: 'comment', line });
+    else if (body.startsWith('#')) {
+      const [, name, rest] = body.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+      tokens.push({ kind: 'open', name, rest, line });
+    } else if (body.startsWith('/')) tokens.push({ kind: 'close', name: body.slice(1).trim(), line });
+    else if (body === 'else') tokens.push({ kind: 'else', line });
+    else if (body.startsWith('>')) tokens.push({ kind: 'partial', name: body.slice(1).trim(), line });
+    else tokens.push({ kind: 'output', rest: body, line });
+
+    last = pattern.lastIndex;
+  }
+  if (last < source.length) tokens.push({ kind: 'text', value: source.slice(last) });
+
+  if (/\{\{/.test(tokens.filter(token => token.kind === 'text').map(token => token.value).join(''))) {
+    throw templateError('Unclosed "{{"', lineAt(source.lastIndexOf('{{')));
+  }
+
+  // Drop the indentation and line break around tags that sit on a line of their own
+  tokens.forEach((token, index) => {
+    if (!STANDALONE.includes(token.kind)) return;
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+
+    const startsLine = !previous || (previous.kind === 'text' && /(^|\n)[ \t]*$/.test(previous.value) &&
+      (index === 1 || previous.value.includes('\n') || previous.afterStandalone));
+    const endsLine = !next || (next.kind === 'text' &&
+      (/^[ \t]*\r?\n/.test(next.value) || (/^[ \t]*$/.test(next.value) && index + 1 === tokens.length - 1)));
+    if (!startsLine || !endsLine) return;
+
+    if (previous) previous.value = previous.value.replace(/[ \t]*$/, '');
+    if (next) {
+      next.value = next.value.replace(/^[ \t]*\r?\n?/, '');
+      next.afterStandalone = true;
+    }
+  });
+
+  return tokens;
+};
+
+const BLOCKS = ['if', 'unless', 'each'];
+
+const parse = (source) => {
+  const root = { body: [] };
+  const stack = [{ node: root, target: root.body }];
+
+  tokenize(String(source)).forEach(token => {
+    const current = stack[stack.length - 1];
+
+    switch (token.kind) {
+      case 'text':
+        if (token.value) current.target.push({ type: 'text', value: token.value });
+        break;
+      case 'comment':
+        break;
+      case 'output':
+        current.target.push({ type: 'output', expression: parseExpression(token.rest, token.line) });
+        break;
+      case 'partial':
+        if (!/^[\w.-]+$/.test(token.name)) throw templateError(`Invalid partial name "${token.name}"`, token.line);
+        current.target.push({ type: 'partial', name: token.name.toLowerCase(), line: token.line });
+        break;
+      case 'open': {
+        if (!BLOCKS.includes(token.name)) throw templateError(`Unknown block "#${token.name || ''}"`, token.line);
+        const node = { type: token.name, expression: parseExpression(token.rest, token.line), body: [], inverse: [], line: token.line };
+        current.target.push(node);
+        stack.push({ node, target: node.body });
+        break;
+      }
+      case 'else':
+        if (stack.length === 1 || current.target === current.node.inverse) {
+          throw templateError('Unexpected {{else}}', token.line);
+        }
+        current.target = current.node.inverse;
+        break;
+      case 'close':
+        if (stack.length === 1 || current.node.type !== token.name) {
+          throw templateError(`Unexpected {{/${token.name}}}`, token.line);
+        }
+        stack.pop();
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1].node;
+    throw templateError(`{{#${open.type}}} is not closed`, open.line);
+  }
+
+  return root.body;
+};
+
+const cache = new Map();
+
+// Parse a template, throwing a template error if it is malformed
+const compile = (source) => {
+  const key = String(source || '');
+  if (!cache.has(key)) {
+    if (cache.size >= CACHE_SIZE) cache.clear();
+    cache.set(key, parse(key));
+  }
+  return cache.get(key);
+};
+
+// --- Rendering ---
+
+// Scopes run from the outermost (the data passed to render) to the innermost #each item
+const lookup = (path, scopes) => {
+  let scopeIndex = path.root ? 0 : scopes.length - 1 - path.up;
+  if (scopeIndex < 0) return undefined;
+
+  if (path.data) {
+    const scope = scopes.slice(0, scopeIndex + 1).reverse().find(candidate => candidate.data);
+    return scope ? ownValue(scope.data, path.data) : undefined;
+  }
+
+  // Bare names fall back to enclosing scopes; this, ../ and @root read only their own
+  if (!path.self && !path.root && path.up === 0) {
+    const found = scopes.slice().reverse().findIndex(scope => ownValue(scope.context, path.segments[0]) !== undefined);
+    if (found >= 0) scopeIndex = scopes.length - 1 - found;
+  }
+
+  return path.segments.reduce((value, segment) => ownValue(value, segment), scopes[scopeIndex].context);
+};
+
+const evaluate = (expression, scopes) => {
+  const resolve = (argument) => (argument.type === 'literal' ? argument.value : lookup(argument, scopes));
+  return expression.filters.reduce(
+    (value, filter) => FILTERS[filter.name](value, ...filter.args.map(resolve)),
+    resolve(expression.value)
+  );
+};
+
+const renderNodes = (nodes, scopes, options, depth) => {
+  let output = '';
+
+  const append = (text) => {
+    output += text;
+    if (output.length > MAX_OUTPUT_LENGTH) throw templateError('Rendered template is too long');
+  };
+
+  nodes.forEach(node => {
+    options.steps += 1;
+    if (options.steps > MAX_RENDER_STEPS) throw templateError('Template takes too long to render', node.line);
+
+    switch (node.type) {
+      case 'text':
+        append(node.value);
+        break;
+      case 'output':
+        append(toText(evaluate(node.expression, scopes)));
+        break;
+      case 'if':
+      case 'unless': {
+        const truthy = !isEmpty(evaluate(node.expression, scopes));
+        append(renderNodes(truthy === (node.type === 'if') ? node.body : node.inverse, scopes, options, depth));
+        break;
+      }
+      case 'each': {
+        const items = evaluate(node.expression, scopes);
+        const list = Array.isArray(items) ? items : [];
+        if (list.length === 0) {
+          append(renderNodes(node.inverse, scopes, options, depth));
+          break;
+        }
+        list.forEach((item, index) => {
+          const data = { index, number: index + 1, first: index === 0, last: index === list.length - 1 };
+          append(renderNodes(node.body, [...scopes, { context: item, data }], options, depth));
+        });
+        break;
+      }
+      case 'partial': {
+        const source = ownValue(options.partials, node.name);
+        if (source === undefined) throw templateError(`Unknown partial "${node.name}"`, node.line);
+        if (depth >= MAX_PARTIAL_DEPTH) throw templateError(`Partials nested more than ${MAX_PARTIAL_DEPTH} deep`, node.line);
+        append(renderNodes(compile(source), scopes, options, depth + 1));
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return output;
+};
+
+// Render a template with `context` as its data. `partials` maps lower-case partial names to
+// their template source.
+const render = (source, context = {}, { partials = {} } = {}) => (
+  renderNodes(compile(source), [{ context, data: null }], { partials, steps: 0 }, 0)
+);
+
+module.exports = {
+  compile,
+  render,
+  formatDate,
+  isTemplateError,
+  filters: Object.keys(FILTERS)
+};
@@ -0,0 +1,178 @@
+const databaseService = require('../config/databaseService');
+const duplicateService = require('./duplicateService');
+const { parseQuery, compileWatchlist } = require('./monitoring/matcher');
+
+// Monitoring watchlists: what scans look for and when each list is next due.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long after a scan each watchlist frequency is due again
+const FREQUENCIES = {
+  hourly: HOUR_MS,
+  daily: 24 * HOUR_MS,
+  weekly: 7 * 24 * HOUR_MS,
+  monthly: 30 * 24 * HOUR_MS
+};
+
+const MATCH_MODES = ['any', 'all', 'boolean'];
+const WORK_TYPES = ['book', 'video', 'software', 'website', 'other'];
+
+// The scheduler runs on the hour and a scan takes a while, so a list is treated as due a
+// few minutes early rather than slipping to the following hour
+const SCHEDULE_SLACK_MS = 10 * 60 * 1000;
+
+// Scanned until the first watchlist is created
+const DEFAULT_WATCHLIST = {
+  _id: 'default',
+  name: 'DSP brand terms',
+  enabled: true,
+  frequency: 'daily',
+  matchMode: 'any',
+  keywords: [
+    'Signing Naturally',
+    'DawnSignPress',
+    'ASL Pal',
+    'DSP Publications',
+    'Dawn Sign Press',
+    'ASL Learning',
+    'Deaf Education'
+  ],
+  excludeTerms: [],
+  domains: [],
+  protectedWorks: []
+};
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+const cleanTerms = (terms) => unique((terms || []).map(term => String(term).replace(/\s+/g, ' ').trim()));
+
+class WatchlistService {
+  constructor() {
+    this.frequencies = Object.keys(FREQUENCIES);
+    this.matchModes = MATCH_MODES;
+    this.workTypes = WORK_TYPES;
+    this.defaultScannedAt = null;
+  }
+
+  // Watchlist fields with terms trimmed, duplicates dropped and domains reduced to their host
+  normalize(fields) {
+    const normalized = { ...fields };
+
+    if (fields.name !== undefined) normalized.name = String(fields.name).trim();
+    ['keywords', 'excludeTerms'].forEach(field => {
+      if (fields[field]) normalized[field] = cleanTerms(fields[field]);
+    });
+    if (fields.query !== undefined) normalized.query = fields.query ? String(fields.query).trim() : null;
+    if (fields.domains) {
+      // Left null when unparseable so validate() can report it
+      normalized.domains = [...new Set(fields.domains.map(domain => (
+        duplicateService.domainOf(/^[a-z][a-z0-9+.-]*:\/\//i.test(domain) ? domain : `http://${String(domain).trim()}`)
+      )))];
+    }
+
+    return normalized;
+  }
+
+  normalizeWork(fields) {
+    const normalized = { ...fields };
+
+    if (fields.title !== undefined) normalized.title = String(fields.title).trim();
+    if (fields.aliases) normalized.aliases = cleanTerms(fields.aliases);
+    if (fields.isbn !== undefined) normalized.isbn = fields.isbn ? String(fields.isbn).replace(/[\s-]/g, '') : null;
+
+    return normalized;
+  }
+
+  // Returns a list of problems with a complete watchlist, empty when it can be scanned
+  validate(watchlist) {
+    const problems = [];
+
+    if (!watchlist.name) problems.push('name is required');
+    if (watchlist.frequency && !FREQUENCIES[watchlist.frequency]) {
+      problems.push(`frequency must be one of: ${this.frequencies.join(', ')}`);
+    }
+    if (watchlist.matchMode && !MATCH_MODES.includes(watchlist.matchMode)) {
+      problems.push(`matchMode must be one of: ${MATCH_MODES.join(', ')}`);
+    }
+
+    if (watchlist.matchMode === 'boolean') {
+      try {
+        parseQuery(watchlist.query);
+      } catch (error) {
+        problems.push(`query: ${error.message}`);
+      }
+    } else if ((watchlist.keywords || []).length === 0 && (watchlist.protectedWorks || []).length === 0) {
+      problems.push('add at least one keyword or protected work');
+    }
+
+    if ((watchlist.domains || []).some(domain => !domain)) {
+      problems.push('domains must be host names such as example.com');
+    }
+
+    return problems;
+  }
+
+  isDue(watchlist, now = Date.now()) {
+    if (!watchlist.lastScannedAt) return true;
+    const interval = FREQUENCIES[watchlist.frequency] || FREQUENCIES.daily;
+    return new Date(watchlist.lastScannedAt).getTime() + interval - SCHEDULE_SLACK_MS <= now;
+  }
+
+  // Enabled watchlists, or the built-in one while none have been created
+  async listEnabled() {
+    const { watchlists } = databaseService.getRepositories();
+    const { items } = await watchlists.list({ enabled: true });
+    if (items.length > 0) return items;
+
+    const { total } = await watchlists.list({}, { limit: 1 });
+    return total > 0 ? [] : [{ ...DEFAULT_WATCHLIST, lastScannedAt: this.defaultScannedAt }];
+  }
+
+  // Matchers for the enabled watchlists, or only those due a scan. A list that fails to
+  // compile is left out so it cannot stop the others being scanned.
+  async getActive({ dueOnly = false } = {}) {
+    const enabled = await this.listEnabled();
+
+    return enabled
+      .filter(watchlist => !dueOnly || this.isDue(watchlist))
+      .map(watchlist => {
+        try {
+          return compileWatchlist(watchlist);
+        } catch (error) {
+          console.error(`Watchlist ${watchlist.name} cannot be scanned:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // Record when the given watchlists were scanned and how many new alerts each produced
+  async markScanned(matchers, savedAlerts) {
+    const { watchlists } = databaseService.getRepositories();
+    const scannedAt = new Date().toISOString();
+
+    for (const matcher of matchers) {
+      const lastAlertCount = savedAlerts.filter(alert => (alert.metadata?.watchlists || []).includes(matcher.id)).length;
+
+      if (matcher.id === DEFAULT_WATCHLIST._id) {
+        this.defaultScannedAt = scannedAt;
+      } else {
+        await watchlists.update(matcher.id, { lastScannedAt: scannedAt, lastAlertCount });
+      }
+    }
+  }
+
+  // Take a deleted protected work off every watchlist it was on
+  async removeWork(workId) {
+    const { watchlists } = databaseService.getRepositories();
+    const { items } = await watchlists.list({ protectedWork: workId });
+
+    for (const watchlist of items) {
+      await watchlists.update(watchlist._id, {
+        protectedWorks: watchlist.protectedWorks.filter(work => work._id !== String(workId))
+      });
+    }
+  }
+}
+
+module.exports = new WatchlistService();
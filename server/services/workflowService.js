@@ -0,0 +1,186 @@
+const settingsService = require('./settingsService');
+
+const WORKFLOW_SETTING_KEY = 'case_status_workflow';
+
+const CASE_STATUSES = [
+  'reported', 'under_review', 'in_progress', 'resolved', 'closed', 'escalated', 'counter_notice_received', 'litigation_filed'
+];
+
+const RESOLUTION_OUTCOMES = ['content_removed', 'partial_resolution', 'no_action_taken', 'legal_action', 'ongoing'];
+
+// Default workflow used until an admin saves one to system_settings. Transitions without a
+// `roles` list fall back to `defaultRoles`; `incidentTypes` entries replace the default
+// transition list for that incident type.
+const DEFAULT_WORKFLOW = {
+  defaultRoles: ['admin', 'legal', 'manager'],
+  default: {
+    transitions: [
+      { from: 'reported', to: 'under_review' },
+      { from: 'under_review', to: 'in_progress' },
+      { from: 'under_review', to: 'escalated' },
+      { from: 'in_progress', to: 'escalated' },
+      { from: 'in_progress', to: 'resolved', requiredFields: ['resolution.outcome'] },
+      { from: 'escalated', to: 'in_progress' },
+      { from: 'escalated', to: 'resolved', requiredFields: ['resolution.outcome'], roles: ['admin', 'legal'] },
+      { from: 'resolved', to: 'closed' },
+      { from: 'resolved', to: 'in_progress' },
+      { from: 'closed', to: 'under_review', roles: ['admin'] },
+      { from: 'in_progress', to: 'counter_notice_received', roles: ['admin', 'legal'] },
+      { from: 'escalated', to: 'counter_notice_received', roles: ['admin', 'legal'] },
+      { from: 'resolved', to: 'counter_notice_received', roles: ['admin', 'legal'] },
+      { from: 'counter_notice_received', to: 'litigation_filed', roles: ['admin', 'legal'] },
+      { from: 'counter_notice_received', to: 'in_progress', roles: ['admin', 'legal'] },
+      { from: 'counter_notice_received', to: 'resolved', requiredFields: ['resolution.outcome'], roles: ['admin', 'legal'] },
+      { from: 'litigation_filed', to: 'resolved', requiredFields: ['resolution.outcome'], roles: ['admin', 'legal'] }
+    ]
+  },
+  incidentTypes: {}
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const isMissing = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+class WorkflowService {
+  constructor() {
+    this.statuses = CASE_STATUSES;
+    this.resolutionOutcomes = RESOLUTION_OUTCOMES;
+  }
+
+  async getWorkflow() {
+    return settingsService.get(WORKFLOW_SETTING_KEY, DEFAULT_WORKFLOW);
+  }
+
+  async saveWorkflow(workflow, userId) {
+    return settingsService.set(WORKFLOW_SETTING_KEY, workflow, userId, {
+      description: 'Allowed case status transitions, required fields and roles per incident type',
+      category: 'workflow'
+    });
+  }
+
+  // Returns a list of problems with a workflow definition, empty when it is valid
+  validateDefinition(workflow) {
+    const problems = [];
+
+    if (!workflow || typeof workflow !== 'object') {
+      return ['Workflow must be an object'];
+    }
+
+    const checkTransitions = (transitions, scope) => {
+      if (!Array.isArray(transitions)) {
+        problems.push(`${scope}.transitions must be an array`);
+        return;
+      }
+      transitions.forEach((transition, index) => {
+        const label = `${scope}.transitions[${index}]`;
+        if (!CASE_STATUSES.includes(transition.from)) problems.push(`${label}.from is not a valid status`);
+        if (!CASE_STATUSES.includes(transition.to)) problems.push(`${label}.to is not a valid status`);
+        if (transition.roles && !Array.isArray(transition.roles)) problems.push(`${label}.roles must be an array`);
+        if (transition.requiredFields && !Array.isArray(transition.requiredFields)) problems.push(`${label}.requiredFields must be an array`);
+      });
+    };
+
+    if (!workflow.default) {
+      problems.push('default workflow is required');
+    } else {
+      checkTransitions(workflow.default.transitions, 'default');
+    }
+
+    Object.entries(workflow.incidentTypes || {}).forEach(([type, definition]) => {
+      checkTransitions(definition && definition.transitions, `incidentTypes.${type}`);
+    });
+
+    return problems;
+  }
+
+  getTransitionsForType(workflow, incidentType) {
+    const definition = (workflow.incidentTypes && workflow.incidentTypes[incidentType]) || workflow.default;
+    return (definition.transitions || []).map(transition => ({
+      ...transition,
+      roles: transition.roles || workflow.defaultRoles || DEFAULT_WORKFLOW.defaultRoles,
+      requiredFields: transition.requiredFields || []
+    }));
+  }
+
+  // List the transitions out of the case's current status, flagging which ones the user can perform.
+  // `values` holds the case fields (camelCase) used to evaluate required fields.
+  async getAvailableTransitions({ status, incidentType, role, values = {} }) {
+    const workflow = await this.getWorkflow();
+
+    return this.getTransitionsForType(workflow, incidentType)
+      .filter(transition => transition.from === status)
+      .map(transition => ({
+        to: transition.to,
+        roles: transition.roles,
+        requiredFields: transition.requiredFields,
+        allowed: transition.roles.includes(role),
+        missingFields: transition.requiredFields.filter(field => isMissing(getPath(values, field)))
+      }));
+  }
+
+  // Map a stored case (Supabase row or Mongo document) to the camelCase shape required fields
+  // are written against, merging in any values supplied with the status change
+  toWorkflowValues(incident, changes = {}) {
+    const source = typeof incident.toObject === 'function' ? incident.toObject() : incident;
+    const values = {};
+
+    Object.entries(source).forEach(([key, value]) => {
+      values[key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase())] = value;
+    });
+
+    Object.entries(changes).forEach(([key, value]) => {
+      if (typeof value === 'undefined') return;
+      if (value && typeof value === 'object' && !Array.isArray(value) && values[key] && typeof values[key] === 'object') {
+        values[key] = { ...values[key], ...value };
+      } else {
+        values[key] = value;
+      }
+    });
+
+    return values;
+  }
+
+  // Check a requested status change against the workflow. `values` should already merge the
+  // stored case fields with anything supplied alongside the status change.
+  async validateTransition({ from, to, incidentType, role, values = {} }) {
+    if (from === to) {
+      return { valid: false, statusCode: 400, message: `Case is already ${to}` };
+    }
+
+    const workflow = await this.getWorkflow();
+    const transition = this.getTransitionsForType(workflow, incidentType)
+      .find(candidate => candidate.from === from && candidate.to === to);
+
+    if (!transition) {
+      return {
+        valid: false,
+        statusCode: 400,
+        message: `Cannot move a case from ${from} to ${to}`
+      };
+    }
+
+    if (!transition.roles.includes(role)) {
+      return {
+        valid: false,
+        statusCode: 403,
+        message: `Your role cannot move a case from ${from} to ${to}`,
+        required: transition.roles
+      };
+    }
+
+    const missingFields = transition.requiredFields.filter(field => isMissing(getPath(values, field)));
+    if (missingFields.length > 0) {
+      return {
+        valid: false,
+        statusCode: 400,
+        message: `Missing required fields for ${to}: ${missingFields.join(', ')}`,
+        missingFields
+      };
+    }
+
+    return { valid: true, transition };
+  }
+}
+
+module.exports = new WorkflowService();